@@ -59,7 +59,7 @@
  */
 
 /**
- * Externs for focus-trap. Used by mdc-dialog.
+ * Externs for focus-trap. Used by mdc-dialog, mdc-bottom-sheet and mdc-side-sheet.
  * @see http://npmjs.com/focus-trap
  */
 
@@ -15,9 +15,16 @@
  */
 
 import autoInit from '@material/auto-init/index';
+import * as autocomplete from '@material/autocomplete/index';
+import * as backdrop from '@material/backdrop/index';
+import * as banner from '@material/banner/index';
 import * as base from '@material/base/index';
+import * as bottomNavigation from '@material/bottom-navigation/index';
+import * as bottomSheet from '@material/bottom-sheet/index';
 import * as checkbox from '@material/checkbox/index';
 import * as chips from '@material/chips/index';
+import * as circularProgress from '@material/circular-progress/index';
+import * as dataTable from '@material/data-table/index';
 import * as dialog from '@material/dialog/index';
 import * as drawer from '@material/drawer/index';
 import * as floatingLabel from '@material/floating-label/index';
@@ -28,25 +35,41 @@ import * as iconToggle from '@material/icon-toggle/index';
 import * as linearProgress from '@material/linear-progress/index';
 import * as lineRipple from '@material/line-ripple/index';
 import * as list from '@material/list/index';
+import * as menuSurface from '@material/menu-surface/index';
 import * as menu from '@material/menu/index';
 import * as notchedOutline from '@material/notched-outline/index';
 import * as radio from '@material/radio/index';
 import * as ripple from '@material/ripple/index';
 import * as select from '@material/select/index';
 import * as selectionControl from '@material/selection-control/index';
+import * as sideSheet from '@material/side-sheet/index';
 import * as slider from '@material/slider/index';
 import * as snackbar from '@material/snackbar/index';
+import * as switchControl from '@material/switch/index';
 import * as tabs from '@material/tabs/index';
 import * as textField from '@material/textfield/index';
 import * as toolbar from '@material/toolbar/index';
+import * as tooltip from '@material/tooltip/index';
 import * as topAppBar from '@material/top-app-bar/index';
 
 // Register all components
+autoInit.register('MDCAutocomplete', autocomplete.MDCAutocomplete);
+autoInit.register('MDCBackdrop', backdrop.MDCBackdrop);
+autoInit.register('MDCBanner', banner.MDCBanner);
+autoInit.register('MDCBottomNavigation', bottomNavigation.MDCBottomNavigation);
+autoInit.register('MDCBottomSheet', bottomSheet.MDCBottomSheet);
 autoInit.register('MDCCheckbox', checkbox.MDCCheckbox);
 autoInit.register('MDCChip', chips.MDCChip);
 autoInit.register('MDCChipSet', chips.MDCChipSet);
+autoInit.register('MDCCircularProgress', circularProgress.MDCCircularProgress);
+autoInit.register('MDCDataTable', dataTable.MDCDataTable);
 autoInit.register('MDCDialog', dialog.MDCDialog);
+autoInit.register('MDCMenuSurface', menuSurface.MDCMenuSurface);
+autoInit.register('MDCModalBottomSheet', bottomSheet.MDCModalBottomSheet);
+autoInit.register('MDCModalSideSheet', sideSheet.MDCModalSideSheet);
 autoInit.register('MDCPersistentDrawer', drawer.MDCPersistentDrawer);
+autoInit.register('MDCSideSheet', sideSheet.MDCSideSheet);
+autoInit.register('MDCSwitch', switchControl.MDCSwitch);
 autoInit.register('MDCTemporaryDrawer', drawer.MDCTemporaryDrawer);
 autoInit.register('MDCFloatingLabel', floatingLabel.MDCFloatingLabel);
 autoInit.register('MDCFormField', formField.MDCFormField);
@@ -67,14 +90,22 @@ autoInit.register('MDCMenu', menu.MDCMenu);
 autoInit.register('MDCSelect', select.MDCSelect);
 autoInit.register('MDCSlider', slider.MDCSlider);
 autoInit.register('MDCToolbar', toolbar.MDCToolbar);
+autoInit.register('MDCTooltip', tooltip.MDCTooltip);
 autoInit.register('MDCTopAppBar', topAppBar.MDCTopAppBar);
 
 // Export all components.
 export {
   autoInit,
+  autocomplete,
+  backdrop,
+  banner,
   base,
+  bottomNavigation,
+  bottomSheet,
   checkbox,
   chips,
+  circularProgress,
+  dataTable,
   dialog,
   drawer,
   floatingLabel,
@@ -86,15 +117,19 @@ export {
   linearProgress,
   list,
   menu,
+  menuSurface,
   notchedOutline,
   radio,
   ripple,
   select,
   selectionControl,
+  sideSheet,
   slider,
   snackbar,
+  switchControl,
   tabs,
   textField,
   toolbar,
+  tooltip,
   topAppBar,
 };
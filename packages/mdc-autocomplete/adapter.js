@@ -0,0 +1,161 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+/* eslint-disable no-unused-vars */
+import {MatchSegment} from './util';
+/* eslint-enable no-unused-vars */
+
+/**
+ * Adapter for MDC Autocomplete.
+ *
+ * Defines the shape of the adapter expected by the foundation. Implement this
+ * adapter to integrate the Autocomplete into your framework. See
+ * https://github.com/material-components/material-components-web/blob/master/docs/authoring-components.md
+ * for more information.
+ *
+ * @record
+ */
+class MDCAutocompleteAdapter {
+  /**
+   * Sets an attribute on the root element, which has the combobox role.
+   * @param {string} attr
+   * @param {string} value
+   */
+  setRootAttr(attr, value) {}
+
+  /**
+   * @return {string} Value of the input.
+   */
+  getInputValue() {}
+
+  /**
+   * Sets the value of the input, and floats the label of the text field.
+   * @param {string} value
+   */
+  setInputValue(value) {}
+
+  /**
+   * Sets an attribute on the input.
+   * @param {string} attr
+   * @param {string} value
+   */
+  setInputAttr(attr, value) {}
+
+  /**
+   * Removes an attribute from the input.
+   * @param {string} attr
+   */
+  removeInputAttr(attr) {}
+
+  /**
+   * Adds an event listener to the input.
+   * @param {string} evtType
+   * @param {function(!Event)} handler
+   */
+  registerInputInteractionHandler(evtType, handler) {}
+
+  /**
+   * Removes an event listener from the input.
+   * @param {string} evtType
+   * @param {function(!Event)} handler
+   */
+  deregisterInputInteractionHandler(evtType, handler) {}
+
+  /**
+   * Adds an event listener to the menu which contains the options.
+   * @param {string} evtType
+   * @param {function(!Event)} handler
+   */
+  registerMenuInteractionHandler(evtType, handler) {}
+
+  /**
+   * Removes an event listener from the menu which contains the options.
+   * @param {string} evtType
+   * @param {function(!Event)} handler
+   */
+  deregisterMenuInteractionHandler(evtType, handler) {}
+
+  /**
+   * Replaces the options with one option per suggestion, highlighting the parts of their text which match the query.
+   * @param {!Array<!Array<!MatchSegment>>} options Text of each option, split into matching and other parts.
+   */
+  setOptions(options) {}
+
+  /**
+   * @param {!EventTarget} target
+   * @return {number} Index of the option which contains the event target, or -1 if none does.
+   */
+  getOptionIndexForEventTarget(target) {}
+
+  /**
+   * @param {number} index
+   * @return {string} The id of the option at the index, which the input references while the option is active.
+   */
+  getOptionId(index) {}
+
+  /**
+   * Adds a class to the option at the index.
+   * @param {number} index
+   * @param {string} className
+   */
+  addClassForOptionAtIndex(index, className) {}
+
+  /**
+   * Removes a class from the option at the index.
+   * @param {number} index
+   * @param {string} className
+   */
+  removeClassForOptionAtIndex(index, className) {}
+
+  /**
+   * Sets an attribute on the option at the index.
+   * @param {number} index
+   * @param {string} attr
+   * @param {string} value
+   */
+  setAttrForOptionAtIndex(index, attr, value) {}
+
+  /**
+   * Scrolls the menu so that the option at the index is visible.
+   * @param {number} index
+   */
+  scrollOptionIntoView(index) {}
+
+  /**
+   * Opens the menu without moving focus out of the input.
+   */
+  openMenu() {}
+
+  /**
+   * Closes the menu.
+   */
+  closeMenu() {}
+
+  /**
+   * @return {boolean} Whether the menu is open.
+   */
+  isMenuOpen() {}
+
+  /**
+   * Emits an event when the user selected a suggestion.
+   * @param {{index: number, suggestion: (string|{text: string})}} evtData
+   */
+  notifySelected(evtData) {}
+}
+
+export default MDCAutocompleteAdapter;
@@ -0,0 +1,47 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @enum {string} */
+const cssClasses = {
+  ROOT: 'mdc-autocomplete',
+  MATCH: 'mdc-autocomplete__match',
+  OPTION: 'mdc-list-item',
+  OPTION_ACTIVATED: 'mdc-list-item--activated',
+};
+
+/** @enum {string} */
+const strings = {
+  ARIA_ACTIVEDESCENDANT: 'aria-activedescendant',
+  ARIA_EXPANDED: 'aria-expanded',
+  ARIA_SELECTED: 'aria-selected',
+  INPUT_SELECTOR: '.mdc-text-field__input',
+  LIST_SELECTOR: '.mdc-list',
+  MENU_SELECTOR: '.mdc-autocomplete__menu',
+  OPTION_SELECTOR: '.mdc-list-item',
+  SELECTED_EVENT: 'MDCAutocomplete:selected',
+  TEXT_FIELD_SELECTOR: '.mdc-text-field',
+};
+
+/** @enum {number} */
+const numbers = {
+  // Time after the last input at which suggestions are requested, so that fast typing requests them only once.
+  DEBOUNCE_DELAY_MS: 300,
+  // Number of characters which need to be typed before suggestions are requested.
+  MIN_LENGTH: 1,
+};
+
+export {cssClasses, strings, numbers};
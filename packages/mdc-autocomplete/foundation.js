@@ -0,0 +1,393 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import MDCFoundation from '@material/base/foundation';
+import MDCAutocompleteAdapter from './adapter';
+/* eslint-disable no-unused-vars */
+import {Suggestion, getSuggestionText, getMatchSegments} from './util';
+/* eslint-enable no-unused-vars */
+import {cssClasses, strings, numbers} from './constants';
+
+/**
+ * Returns the suggestions for a query, either synchronously or as a Promise. The signal is aborted when the request
+ * becomes stale, so that a source which fetches suggestions can pass it to `fetch` to cancel the request.
+ * @typedef {function(string, (!AbortSignal|undefined)): (!Array<!Suggestion>|!Promise<!Array<!Suggestion>>)}
+ */
+let SuggestionSource;
+
+/**
+ * @extends {MDCFoundation<!MDCAutocompleteAdapter>}
+ * @final
+ */
+class MDCAutocompleteFoundation extends MDCFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /** @return enum {number} */
+  static get numbers() {
+    return numbers;
+  }
+
+  /**
+   * {@see MDCAutocompleteAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCAutocompleteAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCAutocompleteAdapter} */ ({
+      setRootAttr: () => {},
+      getInputValue: () => '',
+      setInputValue: () => {},
+      setInputAttr: () => {},
+      removeInputAttr: () => {},
+      registerInputInteractionHandler: () => {},
+      deregisterInputInteractionHandler: () => {},
+      registerMenuInteractionHandler: () => {},
+      deregisterMenuInteractionHandler: () => {},
+      setOptions: () => {},
+      getOptionIndexForEventTarget: () => -1,
+      getOptionId: () => '',
+      addClassForOptionAtIndex: () => {},
+      removeClassForOptionAtIndex: () => {},
+      setAttrForOptionAtIndex: () => {},
+      scrollOptionIntoView: () => {},
+      openMenu: () => {},
+      closeMenu: () => {},
+      isMenuOpen: () => false,
+      notifySelected: () => {},
+    });
+  }
+
+  /** @param {!MDCAutocompleteAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCAutocompleteFoundation.defaultAdapter, adapter));
+
+    /** @private {!SuggestionSource} */
+    this.source_ = () => [];
+
+    /** @private {number} */
+    this.debounceDelay_ = numbers.DEBOUNCE_DELAY_MS;
+
+    /** @private {number} */
+    this.minLength_ = numbers.MIN_LENGTH;
+
+    /** @private {!Array<!Suggestion>} */
+    this.suggestions_ = [];
+
+    /**
+     * Index of the option which the input references via aria-activedescendant, or -1 if none is active.
+     * @private {number}
+     */
+    this.activeIndex_ = -1;
+
+    /** @private {number} */
+    this.debounceTimerId_ = 0;
+
+    /**
+     * Incremented whenever a request becomes stale, so that its suggestions are ignored when they arrive.
+     * @private {number}
+     */
+    this.requestId_ = 0;
+
+    /** @private {?AbortController} */
+    this.abortController_ = null;
+
+    /** @private {function(!Event)} */
+    this.inputHandler_ = () => this.handleInput_();
+    /** @private {function(!Event)} */
+    this.keydownHandler_ = (evt) => this.handleKeydown_(evt);
+    /** @private {function(!Event)} */
+    this.blurHandler_ = () => this.handleBlur_();
+    /** @private {function(!Event)} */
+    this.menuClickHandler_ = (evt) => this.handleMenuClick_(evt);
+    // Keeps focus in the input when an option or the scrollbar of the menu is pressed.
+    /** @private {function(!Event)} */
+    this.menuMousedownHandler_ = (evt) => evt.preventDefault();
+  }
+
+  init() {
+    this.adapter_.setRootAttr(strings.ARIA_EXPANDED, 'false');
+    this.adapter_.registerInputInteractionHandler('input', this.inputHandler_);
+    this.adapter_.registerInputInteractionHandler('keydown', this.keydownHandler_);
+    this.adapter_.registerInputInteractionHandler('blur', this.blurHandler_);
+    this.adapter_.registerMenuInteractionHandler('click', this.menuClickHandler_);
+    this.adapter_.registerMenuInteractionHandler('mousedown', this.menuMousedownHandler_);
+  }
+
+  destroy() {
+    this.cancelPendingRequest_();
+    this.adapter_.deregisterInputInteractionHandler('input', this.inputHandler_);
+    this.adapter_.deregisterInputInteractionHandler('keydown', this.keydownHandler_);
+    this.adapter_.deregisterInputInteractionHandler('blur', this.blurHandler_);
+    this.adapter_.deregisterMenuInteractionHandler('click', this.menuClickHandler_);
+    this.adapter_.deregisterMenuInteractionHandler('mousedown', this.menuMousedownHandler_);
+  }
+
+  /**
+   * @param {!SuggestionSource} source Function which returns the suggestions for a query.
+   */
+  setSource(source) {
+    this.source_ = source;
+  }
+
+  /**
+   * @param {number} debounceDelay Time in milliseconds after the last input at which suggestions are requested, or 0
+   *     to request them on every input.
+   */
+  setDebounceDelay(debounceDelay) {
+    this.debounceDelay_ = debounceDelay;
+  }
+
+  /**
+   * @param {number} minLength Number of characters which need to be typed before suggestions are requested.
+   */
+  setMinLength(minLength) {
+    this.minLength_ = minLength;
+  }
+
+  /** @return {!Array<!Suggestion>} The suggestions for the last query. */
+  getSuggestions() {
+    return this.suggestions_;
+  }
+
+  /** @return {number} Index of the active option, or -1 if none is active. */
+  getActiveIndex() {
+    return this.activeIndex_;
+  }
+
+  /** @return {boolean} */
+  isOpen() {
+    return this.adapter_.isMenuOpen();
+  }
+
+  /**
+   * Closes the menu and ignores the suggestions of any pending request.
+   */
+  close() {
+    this.cancelPendingRequest_();
+    this.closeMenu_();
+  }
+
+  /**
+   * Fills the input with the text of the suggestion at the index, closes the menu and emits a selected event.
+   * @param {number} index
+   */
+  selectOption(index) {
+    const suggestion = this.suggestions_[index];
+    if (!suggestion) {
+      return;
+    }
+
+    this.cancelPendingRequest_();
+    this.adapter_.setInputValue(getSuggestionText(suggestion));
+    this.closeMenu_();
+    this.adapter_.notifySelected({index, suggestion});
+  }
+
+  /**
+   * Resets the combobox state after the menu closed by itself, e.g. when the user clicked outside of it.
+   */
+  handleMenuClosed() {
+    if (!this.adapter_.isMenuOpen()) {
+      this.closeMenu_();
+    }
+  }
+
+  /**
+   * Requests suggestions for the new value of the input once the user stops typing.
+   * @private
+   */
+  handleInput_() {
+    const query = this.adapter_.getInputValue();
+    this.cancelPendingRequest_();
+    if (query.trim().length < this.minLength_) {
+      this.setSuggestions_([], query);
+      return;
+    }
+
+    if (this.debounceDelay_ > 0) {
+      this.debounceTimerId_ = setTimeout(() => {
+        this.debounceTimerId_ = 0;
+        this.requestSuggestions_(query);
+      }, this.debounceDelay_);
+    } else {
+      this.requestSuggestions_(query);
+    }
+  }
+
+  /**
+   * Moves the active option with the arrow keys, selects it with Enter and closes the menu with Escape, while focus
+   * stays in the input.
+   * @param {!Event} evt
+   * @private
+   */
+  handleKeydown_(evt) {
+    const isArrowDown = evt.key === 'ArrowDown' || evt.keyCode === 40;
+    const isArrowUp = evt.key === 'ArrowUp' || evt.keyCode === 38;
+    const isEnter = evt.key === 'Enter' || evt.keyCode === 13;
+    const isEscape = evt.key === 'Escape' || evt.keyCode === 27;
+    const isOpen = this.adapter_.isMenuOpen();
+
+    if (isArrowDown || isArrowUp) {
+      evt.preventDefault();
+      const count = this.suggestions_.length;
+      if (!count) {
+        return;
+      }
+      if (!isOpen) {
+        this.openMenu_();
+      }
+
+      let index;
+      if (this.activeIndex_ === -1) {
+        index = isArrowDown ? 0 : count - 1;
+      } else {
+        index = (this.activeIndex_ + (isArrowDown ? 1 : -1) + count) % count;
+      }
+      this.setActiveIndex_(index);
+    } else if (isEnter && isOpen && this.activeIndex_ >= 0) {
+      evt.preventDefault();
+      this.selectOption(this.activeIndex_);
+    } else if (isEscape && isOpen) {
+      evt.preventDefault();
+      this.close();
+    }
+  }
+
+  /** @private */
+  handleBlur_() {
+    this.close();
+  }
+
+  /**
+   * @param {!Event} evt
+   * @private
+   */
+  handleMenuClick_(evt) {
+    const index = this.adapter_.getOptionIndexForEventTarget(evt.target);
+    if (index >= 0) {
+      this.selectOption(index);
+    }
+  }
+
+  /**
+   * @param {string} query
+   * @private
+   */
+  requestSuggestions_(query) {
+    const requestId = this.requestId_;
+    const abortController = typeof AbortController === 'function' ? new AbortController() : null;
+    this.abortController_ = abortController;
+
+    const result = this.source_(query, abortController ? abortController.signal : undefined);
+    if (!result || typeof result.then !== 'function') {
+      this.abortController_ = null;
+      this.setSuggestions_(/** @type {!Array<!Suggestion>} */ (result || []), query);
+      return;
+    }
+
+    const handleResult = (suggestions) => {
+      if (requestId === this.requestId_) {
+        this.abortController_ = null;
+        this.setSuggestions_(suggestions, query);
+      }
+    };
+    // A failed request shows no suggestions, just like a request without results.
+    result.then((suggestions) => handleResult(suggestions || []), () => handleResult([]));
+  }
+
+  /**
+   * Clears the debounce timer, and aborts the pending request so that its suggestions are ignored.
+   * @private
+   */
+  cancelPendingRequest_() {
+    clearTimeout(this.debounceTimerId_);
+    this.debounceTimerId_ = 0;
+    this.requestId_++;
+    if (this.abortController_) {
+      this.abortController_.abort();
+      this.abortController_ = null;
+    }
+  }
+
+  /**
+   * Shows the suggestions, or closes the menu if there are none.
+   * @param {!Array<!Suggestion>} suggestions
+   * @param {string} query
+   * @private
+   */
+  setSuggestions_(suggestions, query) {
+    this.setActiveIndex_(-1);
+    this.suggestions_ = suggestions;
+    this.adapter_.setOptions(suggestions.map((suggestion) => getMatchSegments(getSuggestionText(suggestion), query)));
+    if (suggestions.length) {
+      this.openMenu_();
+    } else {
+      this.closeMenu_();
+    }
+  }
+
+  /** @private */
+  openMenu_() {
+    if (!this.adapter_.isMenuOpen()) {
+      this.adapter_.openMenu();
+    }
+    this.adapter_.setRootAttr(strings.ARIA_EXPANDED, 'true');
+  }
+
+  /** @private */
+  closeMenu_() {
+    this.setActiveIndex_(-1);
+    if (this.adapter_.isMenuOpen()) {
+      this.adapter_.closeMenu();
+    }
+    this.adapter_.setRootAttr(strings.ARIA_EXPANDED, 'false');
+  }
+
+  /**
+   * Activates the option at the index, which the input references via aria-activedescendant so that screen readers
+   * announce it while focus stays in the input.
+   * @param {number} index Index of the option, or -1 to deactivate the active option.
+   * @private
+   */
+  setActiveIndex_(index) {
+    if (this.activeIndex_ >= 0) {
+      this.adapter_.removeClassForOptionAtIndex(this.activeIndex_, cssClasses.OPTION_ACTIVATED);
+      this.adapter_.setAttrForOptionAtIndex(this.activeIndex_, strings.ARIA_SELECTED, 'false');
+    }
+
+    this.activeIndex_ = index;
+    if (index < 0) {
+      this.adapter_.removeInputAttr(strings.ARIA_ACTIVEDESCENDANT);
+      return;
+    }
+
+    this.adapter_.addClassForOptionAtIndex(index, cssClasses.OPTION_ACTIVATED);
+    this.adapter_.setAttrForOptionAtIndex(index, strings.ARIA_SELECTED, 'true');
+    this.adapter_.setInputAttr(strings.ARIA_ACTIVEDESCENDANT, this.adapter_.getOptionId(index));
+    this.adapter_.scrollOptionIntoView(index);
+  }
+}
+
+export {MDCAutocompleteFoundation, SuggestionSource};
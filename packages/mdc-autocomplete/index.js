@@ -0,0 +1,213 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import MDCComponent from '@material/base/component';
+import {MDCMenuSurface, MDCMenuSurfaceFoundation, Corner} from '@material/menu-surface/index';
+import {MDCTextField} from '@material/textfield/index';
+
+import MDCAutocompleteAdapter from './adapter';
+/* eslint-disable no-unused-vars */
+import {MDCAutocompleteFoundation, SuggestionSource} from './foundation';
+import {Suggestion, MatchSegment} from './util';
+/* eslint-enable no-unused-vars */
+
+/** @type {number} Used to give listboxes without an id a unique one. */
+let listIdCounter = 0;
+
+/**
+ * @extends {MDCComponent<!MDCAutocompleteFoundation>}
+ * @final
+ */
+class MDCAutocomplete extends MDCComponent {
+  /** @param {...?} args */
+  constructor(...args) {
+    super(...args);
+    /** @private {!MDCTextField} */
+    this.textField_;
+    /** @private {!MDCMenuSurface} */
+    this.menuSurface_;
+    /** @private {!Element} */
+    this.inputElement_;
+    /** @private {!Element} */
+    this.menuElement_;
+    /** @private {!Element} */
+    this.listElement_;
+    /** @private {function(!Event)} */
+    this.handleMenuClosed_;
+  }
+
+  /**
+   * @param {!Element} root
+   * @return {!MDCAutocomplete}
+   */
+  static attachTo(root) {
+    return new MDCAutocomplete(root);
+  }
+
+  /**
+   * @param {(function(!Element): !MDCTextField)=} textFieldFactory A function which creates a new MDCTextField.
+   * @param {(function(!Element): !MDCMenuSurface)=} menuSurfaceFactory A function which creates a new MDCMenuSurface.
+   */
+  initialize(
+    textFieldFactory = (el) => new MDCTextField(el),
+    menuSurfaceFactory = (el) => new MDCMenuSurface(el)) {
+    const {INPUT_SELECTOR, LIST_SELECTOR, MENU_SELECTOR, TEXT_FIELD_SELECTOR} = MDCAutocompleteFoundation.strings;
+    this.textField_ = textFieldFactory(this.root_.querySelector(TEXT_FIELD_SELECTOR));
+    this.inputElement_ = this.root_.querySelector(INPUT_SELECTOR);
+    this.menuElement_ = this.root_.querySelector(MENU_SELECTOR);
+    this.listElement_ = this.menuElement_.querySelector(LIST_SELECTOR);
+    if (!this.listElement_.id) {
+      this.listElement_.id = `mdc-autocomplete-list-${++listIdCounter}`;
+    }
+
+    // The menu opens below the text field, and is positioned relative to the root element.
+    this.menuSurface_ = menuSurfaceFactory(this.menuElement_);
+    this.menuSurface_.anchorElement = this.root_;
+    this.menuSurface_.setAnchorCorner(Corner.BOTTOM_START);
+  }
+
+  initialSyncWithDOM() {
+    this.handleMenuClosed_ = () => this.foundation_.handleMenuClosed();
+    this.menuSurface_.listen(MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, this.handleMenuClosed_);
+  }
+
+  destroy() {
+    this.menuSurface_.unlisten(MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, this.handleMenuClosed_);
+    this.menuSurface_.destroy();
+    this.textField_.destroy();
+    super.destroy();
+  }
+
+  /** @param {!SuggestionSource} source Function which returns the suggestions for a query. */
+  set source(source) {
+    this.foundation_.setSource(source);
+  }
+
+  /** @param {number} debounceDelay Time in milliseconds after the last input at which suggestions are requested. */
+  set debounceDelay(debounceDelay) {
+    this.foundation_.setDebounceDelay(debounceDelay);
+  }
+
+  /** @param {number} minLength Number of characters which need to be typed before suggestions are requested. */
+  set minLength(minLength) {
+    this.foundation_.setMinLength(minLength);
+  }
+
+  /** @return {!Array<!Suggestion>} The suggestions for the last query. */
+  get suggestions() {
+    return this.foundation_.getSuggestions();
+  }
+
+  /** @return {string} */
+  get value() {
+    return this.textField_.value;
+  }
+
+  /** @param {string} value */
+  set value(value) {
+    this.textField_.value = value;
+  }
+
+  /** @return {boolean} */
+  get open() {
+    return this.foundation_.isOpen();
+  }
+
+  close() {
+    this.foundation_.close();
+  }
+
+  /** @return {!MDCAutocompleteFoundation} */
+  getDefaultFoundation() {
+    return new MDCAutocompleteFoundation(/** @type {!MDCAutocompleteAdapter} */ (Object.assign({
+      setRootAttr: (attr, value) => this.root_.setAttribute(attr, value),
+      getInputValue: () => this.textField_.value,
+      setInputValue: (value) => {
+        this.textField_.value = value;
+      },
+      setInputAttr: (attr, value) => this.inputElement_.setAttribute(attr, value),
+      removeInputAttr: (attr) => this.inputElement_.removeAttribute(attr),
+      registerInputInteractionHandler: (type, handler) => this.inputElement_.addEventListener(type, handler),
+      deregisterInputInteractionHandler: (type, handler) => this.inputElement_.removeEventListener(type, handler),
+      registerMenuInteractionHandler: (type, handler) => this.menuElement_.addEventListener(type, handler),
+      deregisterMenuInteractionHandler: (type, handler) => this.menuElement_.removeEventListener(type, handler),
+      setOptions: (options) => this.renderOptions_(options),
+      getOptionIndexForEventTarget: (target) =>
+        this.getOptions_().map((option) => option.contains(/** @type {?Node} */ (target))).indexOf(true),
+      getOptionId: (index) => this.getOptions_()[index].id,
+      addClassForOptionAtIndex: (index, className) => this.getOptions_()[index].classList.add(className),
+      removeClassForOptionAtIndex: (index, className) => this.getOptions_()[index].classList.remove(className),
+      setAttrForOptionAtIndex: (index, attr, value) => this.getOptions_()[index].setAttribute(attr, value),
+      scrollOptionIntoView: (index) => {
+        const option = this.getOptions_()[index];
+        const menu = this.menuElement_;
+        if (option.offsetTop < menu.scrollTop) {
+          menu.scrollTop = option.offsetTop;
+        } else if (option.offsetTop + option.offsetHeight > menu.scrollTop + menu.clientHeight) {
+          menu.scrollTop = option.offsetTop + option.offsetHeight - menu.clientHeight;
+        }
+      },
+      openMenu: () => {
+        this.menuSurface_.open = true;
+      },
+      closeMenu: () => {
+        this.menuSurface_.open = false;
+      },
+      isMenuOpen: () => this.menuSurface_.open,
+      notifySelected: (evtData) => this.emit(MDCAutocompleteFoundation.strings.SELECTED_EVENT, evtData),
+    })));
+  }
+
+  /**
+   * @return {!Array<!Element>}
+   * @private
+   */
+  getOptions_() {
+    return [].slice.call(this.listElement_.querySelectorAll(MDCAutocompleteFoundation.strings.OPTION_SELECTOR));
+  }
+
+  /**
+   * Replaces the options in the listbox. Each option gets an id, so that the input can reference it via
+   * aria-activedescendant.
+   * @param {!Array<!Array<!MatchSegment>>} options
+   * @private
+   */
+  renderOptions_(options) {
+    const {OPTION, MATCH} = MDCAutocompleteFoundation.cssClasses;
+    this.listElement_.textContent = '';
+    options.forEach((segments, index) => {
+      const option = document.createElement('li');
+      option.className = OPTION;
+      option.id = `${this.listElement_.id}-option-${index}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute(MDCAutocompleteFoundation.strings.ARIA_SELECTED, 'false');
+      segments.forEach(({text, isMatch}) => {
+        if (isMatch) {
+          const match = document.createElement('span');
+          match.className = MATCH;
+          match.textContent = text;
+          option.appendChild(match);
+        } else {
+          option.appendChild(document.createTextNode(text));
+        }
+      });
+      this.listElement_.appendChild(option);
+    });
+  }
+}
+
+export {MDCAutocomplete, MDCAutocompleteFoundation};
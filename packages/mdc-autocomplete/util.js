@@ -0,0 +1,84 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {normalizeText} from '@material/list/typeahead';
+
+/**
+ * A suggestion is either its text, or an object with its text and any other data, e.g. the id of a place.
+ * @typedef {string|{text: string}}
+ */
+let Suggestion;
+
+/**
+ * A part of the text of a suggestion, which is highlighted if it matches the query.
+ * @typedef {{text: string, isMatch: boolean}}
+ */
+let MatchSegment;
+
+/**
+ * @param {!Suggestion} suggestion
+ * @return {string}
+ */
+function getSuggestionText(suggestion) {
+  return typeof suggestion === 'string' ? suggestion : suggestion.text;
+}
+
+/**
+ * Splits the text into the parts which match the query and the parts in between. Matching ignores case and accents,
+ * so that the query "cafe" highlights "Café" in "Café de Flore".
+ * @param {string} text
+ * @param {string} query
+ * @return {!Array<!MatchSegment>}
+ */
+function getMatchSegments(text, query) {
+  const normalizedQuery = normalizeText(query.trim());
+  if (!normalizedQuery) {
+    return text ? [{text, isMatch: false}] : [];
+  }
+
+  // Text is normalized character by character, so that positions in the normalized text map back to the original.
+  let normalizedText = '';
+  const textIndexes = [];
+  for (let i = 0; i < text.length; i++) {
+    const normalizedChar = normalizeText(text[i]);
+    for (let j = 0; j < normalizedChar.length; j++) {
+      normalizedText += normalizedChar[j];
+      textIndexes.push(i);
+    }
+  }
+  textIndexes.push(text.length);
+
+  const segments = [];
+  let segmentStart = 0;
+  let matchIndex = normalizedText.indexOf(normalizedQuery);
+  while (matchIndex !== -1) {
+    const matchStart = textIndexes[matchIndex];
+    const matchEnd = textIndexes[matchIndex + normalizedQuery.length];
+    if (matchStart > segmentStart) {
+      segments.push({text: text.slice(segmentStart, matchStart), isMatch: false});
+    }
+    segments.push({text: text.slice(matchStart, matchEnd), isMatch: true});
+    segmentStart = matchEnd;
+    matchIndex = normalizedText.indexOf(normalizedQuery, matchIndex + normalizedQuery.length);
+  }
+  if (segmentStart < text.length) {
+    segments.push({text: text.slice(segmentStart), isMatch: false});
+  }
+  return segments;
+}
+
+export {Suggestion, MatchSegment, getSuggestionText, getMatchSegments};
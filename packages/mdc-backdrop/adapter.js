@@ -0,0 +1,156 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+
+/**
+ * Adapter for MDC Backdrop.
+ *
+ * Defines the shape of the adapter expected by the foundation. Implement this
+ * adapter to integrate the Backdrop into your framework. See
+ * https://github.com/material-components/material-components-web/blob/master/docs/authoring-components.md
+ * for more information.
+ *
+ * @record
+ */
+class MDCBackdropAdapter {
+  /**
+   * Adds a class to the root element.
+   * @param {string} className
+   */
+  addClass(className) {}
+
+  /**
+   * Removes a class from the root element.
+   * @param {string} className
+   */
+  removeClass(className) {}
+
+  /**
+   * @param {string} className
+   * @return {boolean} Whether the root element has the class.
+   */
+  hasClass(className) {}
+
+  /**
+   * @return {number} Height of the back layer content which the front layer reveals.
+   */
+  getBackContentHeight() {}
+
+  /**
+   * @return {number} Height of the front layer.
+   */
+  getFrontLayerHeight() {}
+
+  /**
+   * @return {number} Height of the subheader of the front layer, or 0 if there is none.
+   */
+  getSubheaderHeight() {}
+
+  /**
+   * Translates the front layer down, or removes its inline translation when the value is null.
+   * @param {?number} value
+   */
+  setFrontLayerTranslateY(value) {}
+
+  /**
+   * Sets an attribute on the back layer content.
+   * @param {string} attr
+   * @param {string} value
+   */
+  setBackContentAttribute(attr, value) {}
+
+  /**
+   * Removes an attribute from the back layer content.
+   * @param {string} attr
+   */
+  removeBackContentAttribute(attr) {}
+
+  /**
+   * @return {!NodeList|!Array<!Element>} Focusable elements within the back layer content.
+   */
+  getBackContentFocusableElements() {}
+
+  /**
+   * Saves the tab index of the element.
+   * @param {!Element} el
+   */
+  saveElementTabState(el) {}
+
+  /**
+   * Restores the tab index of the element saved by `saveElementTabState`.
+   * @param {!Element} el
+   */
+  restoreElementTabState(el) {}
+
+  /**
+   * Removes the element from the tab order.
+   * @param {!Element} el
+   */
+  makeElementUntabbable(el) {}
+
+  /**
+   * Registers an event handler on the front layer.
+   * @param {string} evtType
+   * @param {!EventListener} handler
+   */
+  registerFrontLayerInteractionHandler(evtType, handler) {}
+
+  /**
+   * Deregisters an event handler from the front layer.
+   * @param {string} evtType
+   * @param {!EventListener} handler
+   */
+  deregisterFrontLayerInteractionHandler(evtType, handler) {}
+
+  /**
+   * Registers a handler for navigation icon clicks of the top app bar of the backdrop.
+   * @param {!EventListener} handler
+   */
+  registerNavigationHandler(handler) {}
+
+  /**
+   * Deregisters a handler for navigation icon clicks of the top app bar of the backdrop.
+   * @param {!EventListener} handler
+   */
+  deregisterNavigationHandler(handler) {}
+
+  /**
+   * Registers a handler for resize events on the window.
+   * @param {!EventListener} handler
+   */
+  registerResizeHandler(handler) {}
+
+  /**
+   * Deregisters a handler for resize events on the window.
+   * @param {!EventListener} handler
+   */
+  deregisterResizeHandler(handler) {}
+
+  /**
+   * Emits an event when the back layer content is revealed.
+   */
+  notifyReveal() {}
+
+  /**
+   * Emits an event when the back layer content is concealed.
+   */
+  notifyConceal() {}
+}
+
+export default MDCBackdropAdapter;
@@ -0,0 +1,38 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/** @enum {string} */
+const cssClasses = {
+  ROOT: 'mdc-backdrop',
+  REVEALED: 'mdc-backdrop--revealed',
+};
+
+/** @enum {string} */
+const strings = {
+  BACK_CONTENT_SELECTOR: '.mdc-backdrop__back-content',
+  FRONT_LAYER_SELECTOR: '.mdc-backdrop__front-layer',
+  SUBHEADER_SELECTOR: '.mdc-backdrop__subheader',
+  FOCUSABLE_ELEMENTS:
+    'a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), ' +
+    'button:not([disabled]), iframe, object, embed, [tabindex], [contenteditable]',
+  ARIA_HIDDEN: 'aria-hidden',
+  REVEAL_EVENT: 'MDCBackdrop:reveal',
+  CONCEAL_EVENT: 'MDCBackdrop:conceal',
+};
+
+export {cssClasses, strings};
@@ -0,0 +1,204 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCFoundation from '@material/base/foundation';
+import MDCBackdropAdapter from './adapter';
+import {cssClasses, strings} from './constants';
+
+/**
+ * @extends {MDCFoundation<!MDCBackdropAdapter>}
+ * @final
+ */
+class MDCBackdropFoundation extends MDCFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /**
+   * {@see MDCBackdropAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCBackdropAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCBackdropAdapter} */ ({
+      addClass: () => {},
+      removeClass: () => {},
+      hasClass: () => false,
+      getBackContentHeight: () => 0,
+      getFrontLayerHeight: () => 0,
+      getSubheaderHeight: () => 0,
+      setFrontLayerTranslateY: () => {},
+      setBackContentAttribute: () => {},
+      removeBackContentAttribute: () => {},
+      getBackContentFocusableElements: () => [],
+      saveElementTabState: () => {},
+      restoreElementTabState: () => {},
+      makeElementUntabbable: () => {},
+      registerFrontLayerInteractionHandler: () => {},
+      deregisterFrontLayerInteractionHandler: () => {},
+      registerNavigationHandler: () => {},
+      deregisterNavigationHandler: () => {},
+      registerResizeHandler: () => {},
+      deregisterResizeHandler: () => {},
+      notifyReveal: () => {},
+      notifyConceal: () => {},
+    });
+  }
+
+  /** @param {!MDCBackdropAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCBackdropFoundation.defaultAdapter, adapter));
+
+    /** @private {boolean} */
+    this.isRevealed_ = false;
+    /** @private {boolean} */
+    this.inert_ = false;
+
+    /** @private {function(!Event)} */
+    this.frontLayerClickHandler_ = () => {
+      if (this.isRevealed_) {
+        this.conceal();
+      }
+    };
+    /** @private {function(!Event)} */
+    this.navigationHandler_ = () => this.toggle();
+    /** @private {function(!Event)} */
+    this.resizeHandler_ = () => this.layout();
+  }
+
+  init() {
+    this.isRevealed_ = this.adapter_.hasClass(cssClasses.REVEALED);
+    if (this.isRevealed_) {
+      this.layout();
+    } else {
+      this.hideBackContent_();
+    }
+
+    this.adapter_.registerFrontLayerInteractionHandler('click', this.frontLayerClickHandler_);
+    this.adapter_.registerNavigationHandler(this.navigationHandler_);
+    this.adapter_.registerResizeHandler(this.resizeHandler_);
+  }
+
+  destroy() {
+    this.adapter_.deregisterFrontLayerInteractionHandler('click', this.frontLayerClickHandler_);
+    this.adapter_.deregisterNavigationHandler(this.navigationHandler_);
+    this.adapter_.deregisterResizeHandler(this.resizeHandler_);
+  }
+
+  /**
+   * Slides the front layer down to reveal the back layer content.
+   */
+  reveal() {
+    if (this.isRevealed_) {
+      return;
+    }
+
+    this.isRevealed_ = true;
+    this.adapter_.addClass(cssClasses.REVEALED);
+    this.showBackContent_();
+    this.layout();
+    this.adapter_.notifyReveal();
+  }
+
+  /**
+   * Slides the front layer back up to conceal the back layer content.
+   */
+  conceal() {
+    if (!this.isRevealed_) {
+      return;
+    }
+
+    this.isRevealed_ = false;
+    this.adapter_.removeClass(cssClasses.REVEALED);
+    this.adapter_.setFrontLayerTranslateY(null);
+    this.hideBackContent_();
+    this.adapter_.notifyConceal();
+  }
+
+  toggle() {
+    if (this.isRevealed_) {
+      this.conceal();
+    } else {
+      this.reveal();
+    }
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isRevealed() {
+    return this.isRevealed_;
+  }
+
+  /**
+   * Recomputes the position of the front layer from the height of the back layer content. Call this after the back
+   * layer content changes while it is revealed.
+   */
+  layout() {
+    if (!this.isRevealed_) {
+      return;
+    }
+
+    // Slide down by the height of the back layer content, but keep the subheader of the front layer in view.
+    const maxOffset = this.adapter_.getFrontLayerHeight() - this.adapter_.getSubheaderHeight();
+    const offset = Math.max(0, Math.min(this.adapter_.getBackContentHeight(), maxOffset));
+    this.adapter_.setFrontLayerTranslateY(offset);
+  }
+
+  /**
+   * Hides the concealed back layer content from assistive technology and removes it from the tab order.
+   * @private
+   */
+  hideBackContent_() {
+    this.adapter_.setBackContentAttribute(strings.ARIA_HIDDEN, 'true');
+    if (this.inert_) {
+      return;
+    }
+
+    const elements = this.adapter_.getBackContentFocusableElements();
+    for (let i = 0; i < elements.length; i++) {
+      this.adapter_.saveElementTabState(elements[i]);
+      this.adapter_.makeElementUntabbable(elements[i]);
+    }
+    this.inert_ = true;
+  }
+
+  /**
+   * @private
+   */
+  showBackContent_() {
+    this.adapter_.removeBackContentAttribute(strings.ARIA_HIDDEN);
+    if (!this.inert_) {
+      return;
+    }
+
+    const elements = this.adapter_.getBackContentFocusableElements();
+    for (let i = 0; i < elements.length; i++) {
+      this.adapter_.restoreElementTabState(elements[i]);
+    }
+    this.inert_ = false;
+  }
+}
+
+export default MDCBackdropFoundation;
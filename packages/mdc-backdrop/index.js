@@ -0,0 +1,118 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCComponent from '@material/base/component';
+import * as drawerUtil from '@material/drawer/util';
+import {strings as topAppBarStrings} from '@material/top-app-bar/constants';
+
+import MDCBackdropAdapter from './adapter';
+import MDCBackdropFoundation from './foundation';
+
+/**
+ * @extends {MDCComponent<!MDCBackdropFoundation>}
+ * @final
+ */
+class MDCBackdrop extends MDCComponent {
+  /**
+   * @param {!Element} root
+   * @return {!MDCBackdrop}
+   */
+  static attachTo(root) {
+    return new MDCBackdrop(root);
+  }
+
+  /** @return {boolean} */
+  get revealed() {
+    return this.foundation_.isRevealed();
+  }
+
+  /** @param {boolean} value */
+  set revealed(value) {
+    if (value) {
+      this.foundation_.reveal();
+    } else {
+      this.foundation_.conceal();
+    }
+  }
+
+  reveal() {
+    this.foundation_.reveal();
+  }
+
+  conceal() {
+    this.foundation_.conceal();
+  }
+
+  toggle() {
+    this.foundation_.toggle();
+  }
+
+  /**
+   * Recomputes the position of the front layer. Call this after the back layer content changes size.
+   */
+  layout() {
+    this.foundation_.layout();
+  }
+
+  /** @return {!MDCBackdropFoundation} */
+  getDefaultFoundation() {
+    const {BACK_CONTENT_SELECTOR, FRONT_LAYER_SELECTOR, SUBHEADER_SELECTOR, FOCUSABLE_ELEMENTS} =
+      MDCBackdropFoundation.strings;
+    const backContent = () => this.root_.querySelector(BACK_CONTENT_SELECTOR);
+    const frontLayer = () => this.root_.querySelector(FRONT_LAYER_SELECTOR);
+    const topAppBar = () => this.root_.querySelector(topAppBarStrings.ROOT_SELECTOR);
+
+    return new MDCBackdropFoundation(/** @type {!MDCBackdropAdapter} */ (Object.assign({
+      addClass: (className) => this.root_.classList.add(className),
+      removeClass: (className) => this.root_.classList.remove(className),
+      hasClass: (className) => this.root_.classList.contains(className),
+      getBackContentHeight: () => backContent() ? backContent().offsetHeight : 0,
+      getFrontLayerHeight: () => frontLayer() ? frontLayer().offsetHeight : 0,
+      getSubheaderHeight: () => {
+        const subheader = this.root_.querySelector(SUBHEADER_SELECTOR);
+        return subheader ? subheader.offsetHeight : 0;
+      },
+      setFrontLayerTranslateY: (value) => {
+        if (frontLayer()) {
+          frontLayer().style.setProperty(
+            drawerUtil.getTransformPropertyName(), value === null ? null : `translateY(${value}px)`);
+        }
+      },
+      setBackContentAttribute: (attr, value) => backContent() && backContent().setAttribute(attr, value),
+      removeBackContentAttribute: (attr) => backContent() && backContent().removeAttribute(attr),
+      getBackContentFocusableElements: () => backContent() ? backContent().querySelectorAll(FOCUSABLE_ELEMENTS) : [],
+      saveElementTabState: (el) => drawerUtil.saveElementTabState(el),
+      restoreElementTabState: (el) => drawerUtil.restoreElementTabState(el),
+      makeElementUntabbable: (el) => el.setAttribute('tabindex', -1),
+      registerFrontLayerInteractionHandler: (evtType, handler) =>
+        frontLayer() && frontLayer().addEventListener(evtType, handler),
+      deregisterFrontLayerInteractionHandler: (evtType, handler) =>
+        frontLayer() && frontLayer().removeEventListener(evtType, handler),
+      registerNavigationHandler: (handler) =>
+        topAppBar() && topAppBar().addEventListener(topAppBarStrings.NAVIGATION_EVENT, handler),
+      deregisterNavigationHandler: (handler) =>
+        topAppBar() && topAppBar().removeEventListener(topAppBarStrings.NAVIGATION_EVENT, handler),
+      registerResizeHandler: (handler) => window.addEventListener('resize', handler),
+      deregisterResizeHandler: (handler) => window.removeEventListener('resize', handler),
+      notifyReveal: () => this.emit(MDCBackdropFoundation.strings.REVEAL_EVENT, {}),
+      notifyConceal: () => this.emit(MDCBackdropFoundation.strings.CONCEAL_EVENT, {}),
+    })));
+  }
+}
+
+export {MDCBackdrop, MDCBackdropFoundation};
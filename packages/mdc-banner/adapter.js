@@ -0,0 +1,98 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+
+/**
+ * @typedef {{
+ *   action: string,
+ * }}
+ */
+let MDCBannerCloseEventDetail;
+
+/**
+ * Adapter for MDC Banner.
+ *
+ * Defines the shape of the adapter expected by the foundation. Implement this
+ * adapter to integrate the Banner into your framework. See
+ * https://github.com/material-components/material-components-web/blob/master/docs/authoring-components.md
+ * for more information.
+ *
+ * @record
+ */
+class MDCBannerAdapter {
+  /**
+   * Adds a class to the root element.
+   * @param {string} className
+   */
+  addClass(className) {}
+
+  /**
+   * Removes a class from the root element.
+   * @param {string} className
+   */
+  removeClass(className) {}
+
+  /**
+   * @return {number} Height of the content element, which determines the height of the open banner.
+   */
+  getContentHeight() {}
+
+  /**
+   * Sets an inline style property on the root element.
+   * @param {string} propertyName
+   * @param {string} value
+   */
+  setStyleProperty(propertyName, value) {}
+
+  /**
+   * Registers a handler for the window resize event.
+   * @param {!Function} handler
+   */
+  registerResizeHandler(handler) {}
+
+  /**
+   * Deregisters a handler for the window resize event.
+   * @param {!Function} handler
+   */
+  deregisterResizeHandler(handler) {}
+
+  /**
+   * Emits an event when the banner starts opening.
+   */
+  notifyOpening() {}
+
+  /**
+   * Emits an event when the banner has finished opening.
+   */
+  notifyOpened() {}
+
+  /**
+   * Emits an event when the banner starts closing.
+   * @param {!MDCBannerCloseEventDetail} evtData
+   */
+  notifyClosing(evtData) {}
+
+  /**
+   * Emits an event when the banner has finished closing.
+   * @param {!MDCBannerCloseEventDetail} evtData
+   */
+  notifyClosed(evtData) {}
+}
+
+export {MDCBannerAdapter, MDCBannerCloseEventDetail};
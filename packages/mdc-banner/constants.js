@@ -0,0 +1,57 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/** @enum {string} */
+const cssClasses = {
+  ROOT: 'mdc-banner',
+  OPEN: 'mdc-banner--open',
+  OPENING: 'mdc-banner--opening',
+  CLOSING: 'mdc-banner--closing',
+};
+
+/** @enum {string} */
+const strings = {
+  CONTENT_SELECTOR: '.mdc-banner__content',
+  PRIMARY_ACTION_SELECTOR: '.mdc-banner__primary-action',
+  SECONDARY_ACTION_SELECTOR: '.mdc-banner__secondary-action',
+  TEXT_SELECTOR: '.mdc-banner__text',
+  OPENING_EVENT: 'MDCBanner:opening',
+  OPENED_EVENT: 'MDCBanner:opened',
+  CLOSING_EVENT: 'MDCBanner:closing',
+  CLOSED_EVENT: 'MDCBanner:closed',
+};
+
+/** @enum {number} */
+const numbers = {
+  // Durations of the height transitions of the banner, in sync with mdc-banner.scss.
+  OPEN_ANIMATION_TIME_MS: 250,
+  CLOSE_ANIMATION_TIME_MS: 200,
+  RESIZE_THROTTLE_TIME_MS: 100,
+};
+
+/**
+ * Action which closed the banner, carried by the closing and closed events.
+ * @enum {string}
+ */
+const CloseAction = {
+  PRIMARY: 'primary',
+  SECONDARY: 'secondary',
+  UNSPECIFIED: '',
+};
+
+export {cssClasses, strings, numbers, CloseAction};
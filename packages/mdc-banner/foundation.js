@@ -0,0 +1,182 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCFoundation from '@material/base/foundation';
+import {MDCBannerAdapter} from './adapter';
+import {cssClasses, strings, numbers, CloseAction} from './constants';
+
+/**
+ * @extends {MDCFoundation<!MDCBannerAdapter>}
+ * @final
+ */
+class MDCBannerFoundation extends MDCFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /** @return enum {number} */
+  static get numbers() {
+    return numbers;
+  }
+
+  /**
+   * {@see MDCBannerAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCBannerAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCBannerAdapter} */ ({
+      addClass: () => {},
+      removeClass: () => {},
+      getContentHeight: () => 0,
+      setStyleProperty: () => {},
+      registerResizeHandler: () => {},
+      deregisterResizeHandler: () => {},
+      notifyOpening: () => {},
+      notifyOpened: () => {},
+      notifyClosing: () => {},
+      notifyClosed: () => {},
+    });
+  }
+
+  /** @param {!MDCBannerAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCBannerFoundation.defaultAdapter, adapter));
+
+    /** @private {boolean} */
+    this.isOpen_ = false;
+    /** @private {number} */
+    this.animationFrame_ = 0;
+    /** @private {number} */
+    this.animationTimer_ = 0;
+    /** @private {number} */
+    this.resizeThrottleTimer_ = 0;
+
+    /** @private {function(): undefined} */
+    this.resizeHandler_ = () => this.handleResize_();
+  }
+
+  destroy() {
+    cancelAnimationFrame(this.animationFrame_);
+    clearTimeout(this.animationTimer_);
+    clearTimeout(this.resizeThrottleTimer_);
+    this.adapter_.deregisterResizeHandler(this.resizeHandler_);
+  }
+
+  /**
+   * Opens the banner, animating its height from zero to the height of its content so that the content below the
+   * banner is pushed down.
+   */
+  open() {
+    if (this.isOpen_) {
+      return;
+    }
+
+    this.isOpen_ = true;
+    this.adapter_.notifyOpening();
+    cancelAnimationFrame(this.animationFrame_);
+    clearTimeout(this.animationTimer_);
+    this.adapter_.removeClass(cssClasses.CLOSING);
+    this.adapter_.addClass(cssClasses.OPENING);
+    this.adapter_.registerResizeHandler(this.resizeHandler_);
+
+    const contentHeight = this.adapter_.getContentHeight();
+    this.animationFrame_ = requestAnimationFrame(() => {
+      this.adapter_.addClass(cssClasses.OPEN);
+      this.adapter_.setStyleProperty('height', `${contentHeight}px`);
+
+      this.animationTimer_ = setTimeout(() => {
+        this.adapter_.removeClass(cssClasses.OPENING);
+        this.adapter_.notifyOpened();
+      }, numbers.OPEN_ANIMATION_TIME_MS);
+    });
+  }
+
+  /**
+   * Closes the banner, animating its height back to zero.
+   * @param {!CloseAction=} action The action which closed the banner, passed on to the closing and closed events.
+   */
+  close(action = CloseAction.UNSPECIFIED) {
+    if (!this.isOpen_) {
+      return;
+    }
+
+    this.isOpen_ = false;
+    this.adapter_.notifyClosing({action});
+    cancelAnimationFrame(this.animationFrame_);
+    clearTimeout(this.animationTimer_);
+    this.adapter_.removeClass(cssClasses.OPENING);
+    this.adapter_.removeClass(cssClasses.OPEN);
+    this.adapter_.addClass(cssClasses.CLOSING);
+    this.adapter_.setStyleProperty('height', '0');
+    this.adapter_.deregisterResizeHandler(this.resizeHandler_);
+    clearTimeout(this.resizeThrottleTimer_);
+    this.resizeThrottleTimer_ = 0;
+
+    this.animationTimer_ = setTimeout(() => {
+      this.adapter_.removeClass(cssClasses.CLOSING);
+      this.adapter_.notifyClosed({action});
+    }, numbers.CLOSE_ANIMATION_TIME_MS);
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isOpen() {
+    return this.isOpen_;
+  }
+
+  /**
+   * Recomputes the height of the open banner. Call this after the banner content changes size, e.g. when the
+   * viewport is resized.
+   */
+  layout() {
+    if (this.isOpen_) {
+      this.adapter_.setStyleProperty('height', `${this.adapter_.getContentHeight()}px`);
+    }
+  }
+
+  /**
+   * Lays out the open banner at most once per throttle interval while the window is resized.
+   * @private
+   */
+  handleResize_() {
+    if (!this.resizeThrottleTimer_) {
+      this.resizeThrottleTimer_ = setTimeout(() => {
+        this.resizeThrottleTimer_ = 0;
+        this.layout();
+      }, numbers.RESIZE_THROTTLE_TIME_MS);
+    }
+  }
+
+  handlePrimaryActionClick() {
+    this.close(CloseAction.PRIMARY);
+  }
+
+  handleSecondaryActionClick() {
+    this.close(CloseAction.SECONDARY);
+  }
+}
+
+export default MDCBannerFoundation;
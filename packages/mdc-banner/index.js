@@ -0,0 +1,141 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCComponent from '@material/base/component';
+import {MDCRipple} from '@material/ripple/index';
+
+import {MDCBannerAdapter} from './adapter';
+import MDCBannerFoundation from './foundation';
+import {CloseAction} from './constants';
+
+/**
+ * @extends {MDCComponent<!MDCBannerFoundation>}
+ * @final
+ */
+class MDCBanner extends MDCComponent {
+  /**
+   * @param {...?} args
+   */
+  constructor(...args) {
+    super(...args);
+
+    /** @private {?Element} */
+    this.content_;
+    /** @private {?Element} */
+    this.primaryAction_;
+    /** @private {?Element} */
+    this.secondaryAction_;
+    /** @private {!Array<!MDCRipple>} */
+    this.actionRipples_;
+    /** @private {function(!Event): undefined} */
+    this.handlePrimaryActionClick_;
+    /** @private {function(!Event): undefined} */
+    this.handleSecondaryActionClick_;
+  }
+
+  /**
+   * @param {!Element} root
+   * @return {!MDCBanner}
+   */
+  static attachTo(root) {
+    return new MDCBanner(root);
+  }
+
+  /**
+   * @param {(function(!Element): !MDCRipple)=} rippleFactory A function which creates a new MDCRipple.
+   */
+  initialize(rippleFactory = (el) => MDCRipple.attachTo(el)) {
+    const {CONTENT_SELECTOR, PRIMARY_ACTION_SELECTOR, SECONDARY_ACTION_SELECTOR} = MDCBannerFoundation.strings;
+    this.content_ = this.root_.querySelector(CONTENT_SELECTOR);
+    this.primaryAction_ = this.root_.querySelector(PRIMARY_ACTION_SELECTOR);
+    this.secondaryAction_ = this.root_.querySelector(SECONDARY_ACTION_SELECTOR);
+    this.actionRipples_ = [this.primaryAction_, this.secondaryAction_]
+      .filter((actionEl) => actionEl)
+      .map((actionEl) => rippleFactory(actionEl));
+  }
+
+  initialSyncWithDOM() {
+    this.handlePrimaryActionClick_ = () => this.foundation_.handlePrimaryActionClick();
+    this.handleSecondaryActionClick_ = () => this.foundation_.handleSecondaryActionClick();
+
+    if (this.primaryAction_) {
+      this.primaryAction_.addEventListener('click', this.handlePrimaryActionClick_);
+    }
+    if (this.secondaryAction_) {
+      this.secondaryAction_.addEventListener('click', this.handleSecondaryActionClick_);
+    }
+  }
+
+  destroy() {
+    if (this.primaryAction_) {
+      this.primaryAction_.removeEventListener('click', this.handlePrimaryActionClick_);
+    }
+    if (this.secondaryAction_) {
+      this.secondaryAction_.removeEventListener('click', this.handleSecondaryActionClick_);
+    }
+    this.actionRipples_.forEach((ripple) => ripple.destroy());
+    super.destroy();
+  }
+
+  /** @return {boolean} */
+  get isOpen() {
+    return this.foundation_.isOpen();
+  }
+
+  /**
+   * Opens the banner, pushing the content below it down.
+   */
+  open() {
+    this.foundation_.open();
+  }
+
+  /**
+   * Closes the banner.
+   * @param {!CloseAction=} action The action which closed the banner, passed on to the closing and closed events.
+   */
+  close(action = CloseAction.UNSPECIFIED) {
+    this.foundation_.close(action);
+  }
+
+  /**
+   * Recomputes the height of the open banner. Call this after changing the banner content.
+   */
+  layout() {
+    this.foundation_.layout();
+  }
+
+  /** @return {!MDCBannerFoundation} */
+  getDefaultFoundation() {
+    const {OPENING_EVENT, OPENED_EVENT, CLOSING_EVENT, CLOSED_EVENT} = MDCBannerFoundation.strings;
+
+    return new MDCBannerFoundation(/** @type {!MDCBannerAdapter} */ (Object.assign({
+      addClass: (className) => this.root_.classList.add(className),
+      removeClass: (className) => this.root_.classList.remove(className),
+      getContentHeight: () => this.content_ ? this.content_.offsetHeight : 0,
+      setStyleProperty: (propertyName, value) => this.root_.style.setProperty(propertyName, value),
+      registerResizeHandler: (handler) => window.addEventListener('resize', handler),
+      deregisterResizeHandler: (handler) => window.removeEventListener('resize', handler),
+      notifyOpening: () => this.emit(OPENING_EVENT, {}),
+      notifyOpened: () => this.emit(OPENED_EVENT, {}),
+      notifyClosing: (evtData) => this.emit(CLOSING_EVENT, evtData),
+      notifyClosed: (evtData) => this.emit(CLOSED_EVENT, evtData),
+    })));
+  }
+}
+
+export {MDCBanner, MDCBannerFoundation, CloseAction};
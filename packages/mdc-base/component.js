@@ -120,6 +120,30 @@ class MDCComponent {
 
     this.root_.dispatchEvent(evt);
   }
+
+  /**
+   * Fires a cross-browser-compatible custom event from the component root of the given type, with the given data,
+   * which listeners may cancel by calling `preventDefault()`.
+   * @param {string} evtType
+   * @param {!Object} evtData
+   * @param {boolean=} shouldBubble
+   * @return {boolean} False if a listener canceled the event.
+   */
+  emitCancelable(evtType, evtData, shouldBubble = false) {
+    let evt;
+    if (typeof CustomEvent === 'function') {
+      evt = new CustomEvent(evtType, {
+        detail: evtData,
+        bubbles: shouldBubble,
+        cancelable: true,
+      });
+    } else {
+      evt = document.createEvent('CustomEvent');
+      evt.initCustomEvent(evtType, shouldBubble, true, evtData);
+    }
+
+    return this.root_.dispatchEvent(evt);
+  }
 }
 
 export default MDCComponent;
@@ -0,0 +1,156 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+
+/**
+ * @typedef {{
+ *   index: number,
+ * }}
+ */
+let MDCBottomNavigationChangeEventDetail;
+
+/**
+ * Adapter for MDC Bottom Navigation.
+ *
+ * Defines the shape of the adapter expected by the foundation. Implement this
+ * adapter to integrate the Bottom Navigation into your framework. See
+ * https://github.com/material-components/material-components-web/blob/master/docs/authoring-components.md
+ * for more information.
+ *
+ * @record
+ */
+class MDCBottomNavigationAdapter {
+  /**
+   * @param {string} className
+   * @return {boolean} Whether the root element has the class.
+   */
+  hasClass(className) {}
+
+  /**
+   * Sets an inline style property on the root element.
+   * @param {string} property
+   * @param {string} value
+   */
+  setStyle(property, value) {}
+
+  /**
+   * @return {number} Number of destination items.
+   */
+  getItemCount() {}
+
+  /**
+   * @param {number} index
+   * @param {string} className
+   * @return {boolean} Whether the item at the index has the class.
+   */
+  hasClassForItemAtIndex(index, className) {}
+
+  /**
+   * Adds a class to the item at the index.
+   * @param {number} index
+   * @param {string} className
+   */
+  addClassForItemAtIndex(index, className) {}
+
+  /**
+   * Removes a class from the item at the index.
+   * @param {number} index
+   * @param {string} className
+   */
+  removeClassForItemAtIndex(index, className) {}
+
+  /**
+   * Sets an attribute on the item at the index.
+   * @param {number} index
+   * @param {string} attr
+   * @param {string} value
+   */
+  setAttributeForItemAtIndex(index, attr, value) {}
+
+  /**
+   * Removes an attribute from the item at the index.
+   * @param {number} index
+   * @param {string} attr
+   */
+  removeAttributeForItemAtIndex(index, attr) {}
+
+  /**
+   * @param {?EventTarget} el
+   * @return {number} Index of the item which is or contains the element, or -1 if there is none.
+   */
+  getItemIndexByChildElement(el) {}
+
+  /**
+   * @return {number} Index of the focused item, or -1 if no item is focused.
+   */
+  getFocusedItemIndex() {}
+
+  /**
+   * Focuses the item at the index.
+   * @param {number} index
+   */
+  focusItemAtIndex(index) {}
+
+  /**
+   * @return {boolean} Whether the root element is in an RTL context.
+   */
+  isRtl() {}
+
+  /**
+   * Emits an event when the user activates a different destination.
+   * @param {!MDCBottomNavigationChangeEventDetail} evtData
+   */
+  notifyChange(evtData) {}
+
+  /**
+   * Registers a handler for scroll events on the window.
+   * @param {!EventListener} handler
+   */
+  registerScrollHandler(handler) {}
+
+  /**
+   * Deregisters a handler for scroll events on the window.
+   * @param {!EventListener} handler
+   */
+  deregisterScrollHandler(handler) {}
+
+  /**
+   * Registers a handler for resize events on the window.
+   * @param {!EventListener} handler
+   */
+  registerResizeHandler(handler) {}
+
+  /**
+   * Deregisters a handler for resize events on the window.
+   * @param {!EventListener} handler
+   */
+  deregisterResizeHandler(handler) {}
+
+  /**
+   * @return {number} Number of pixels the viewport is scrolled vertically.
+   */
+  getViewportScrollY() {}
+
+  /**
+   * @return {number} Height of the root element.
+   */
+  getBottomNavigationHeight() {}
+}
+
+export {MDCBottomNavigationAdapter, MDCBottomNavigationChangeEventDetail};
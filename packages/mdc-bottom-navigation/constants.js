@@ -0,0 +1,35 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/** @enum {string} */
+const cssClasses = {
+  ROOT: 'mdc-bottom-navigation',
+  HIDE_ON_SCROLL: 'mdc-bottom-navigation--hide-on-scroll',
+  ITEM: 'mdc-bottom-navigation__item',
+  ITEM_ACTIVE: 'mdc-bottom-navigation__item--active',
+};
+
+/** @enum {string} */
+const strings = {
+  ITEM_SELECTOR: '.mdc-bottom-navigation__item',
+  ARIA_CURRENT: 'aria-current',
+  ARIA_CURRENT_VALUE: 'page',
+  CHANGE_EVENT: 'MDCBottomNavigation:change',
+};
+
+export {cssClasses, strings};
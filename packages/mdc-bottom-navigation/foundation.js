@@ -0,0 +1,238 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCFoundation from '@material/base/foundation';
+import MDCHideOnScrollTracker from '@material/top-app-bar/hide-on-scroll-tracker';
+import {MDCBottomNavigationAdapter} from './adapter';
+import {cssClasses, strings} from './constants';
+
+/**
+ * @extends {MDCFoundation<!MDCBottomNavigationAdapter>}
+ * @final
+ */
+class MDCBottomNavigationFoundation extends MDCFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /**
+   * {@see MDCBottomNavigationAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCBottomNavigationAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCBottomNavigationAdapter} */ ({
+      hasClass: () => false,
+      setStyle: () => {},
+      getItemCount: () => 0,
+      hasClassForItemAtIndex: () => false,
+      addClassForItemAtIndex: () => {},
+      removeClassForItemAtIndex: () => {},
+      setAttributeForItemAtIndex: () => {},
+      removeAttributeForItemAtIndex: () => {},
+      getItemIndexByChildElement: () => -1,
+      getFocusedItemIndex: () => -1,
+      focusItemAtIndex: () => {},
+      isRtl: () => false,
+      notifyChange: () => {},
+      registerScrollHandler: () => {},
+      deregisterScrollHandler: () => {},
+      registerResizeHandler: () => {},
+      deregisterResizeHandler: () => {},
+      getViewportScrollY: () => 0,
+      getBottomNavigationHeight: () => 0,
+    });
+  }
+
+  /** @param {!MDCBottomNavigationAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCBottomNavigationFoundation.defaultAdapter, adapter));
+
+    /** @private {number} */
+    this.activeIndex_ = -1;
+
+    /** @private {boolean} */
+    this.hidesOnScroll_ = false;
+
+    /**
+     * Used to verify when the bottom navigation is completely showing or completely hidden
+     * @private {number}
+     */
+    this.bottomNavigationHeight_ = 0;
+
+    /**
+     * Distance by which the bottom navigation is moved down out of view, as a negative number of pixels
+     * @private {number}
+     */
+    this.currentOffsetBottom_ = 0;
+
+    /** @private {?MDCHideOnScrollTracker} */
+    this.scrollTracker_ = null;
+
+    /** @private {function(!Event)} */
+    this.scrollHandler_ = () => this.scrollTracker_.handleScroll();
+    /** @private {function(!Event)} */
+    this.resizeHandler_ = () => this.scrollTracker_.handleResize();
+  }
+
+  init() {
+    let activeIndex = 0;
+    for (let i = 0; i < this.adapter_.getItemCount(); i++) {
+      if (this.adapter_.hasClassForItemAtIndex(i, cssClasses.ITEM_ACTIVE)) {
+        activeIndex = i;
+        break;
+      }
+    }
+    this.setActiveIndex(activeIndex);
+
+    this.hidesOnScroll_ = this.adapter_.hasClass(cssClasses.HIDE_ON_SCROLL);
+    if (this.hidesOnScroll_) {
+      this.bottomNavigationHeight_ = this.adapter_.getBottomNavigationHeight();
+      this.scrollTracker_ = new MDCHideOnScrollTracker(
+        () => this.adapter_.getViewportScrollY(),
+        (diff) => this.moveBottomNavigation_(this.currentOffsetBottom_ - diff),
+        () => this.throttledResizeHandler_());
+      this.adapter_.registerScrollHandler(this.scrollHandler_);
+      this.adapter_.registerResizeHandler(this.resizeHandler_);
+    }
+  }
+
+  destroy() {
+    if (this.hidesOnScroll_) {
+      this.adapter_.deregisterScrollHandler(this.scrollHandler_);
+      this.adapter_.deregisterResizeHandler(this.resizeHandler_);
+      this.adapter_.setStyle('bottom', '');
+      this.scrollTracker_.destroy();
+    }
+  }
+
+  /**
+   * @return {number} Index of the active destination.
+   */
+  getActiveIndex() {
+    return this.activeIndex_;
+  }
+
+  /**
+   * Makes the destination at the index the active destination, without emitting a change event.
+   * @param {number} index
+   */
+  setActiveIndex(index) {
+    const itemCount = this.adapter_.getItemCount();
+    if (index < 0 || index >= itemCount) {
+      return;
+    }
+
+    for (let i = 0; i < itemCount; i++) {
+      if (i === index) {
+        this.adapter_.addClassForItemAtIndex(i, cssClasses.ITEM_ACTIVE);
+        this.adapter_.setAttributeForItemAtIndex(i, strings.ARIA_CURRENT, strings.ARIA_CURRENT_VALUE);
+        this.adapter_.setAttributeForItemAtIndex(i, 'tabindex', '0');
+      } else {
+        this.adapter_.removeClassForItemAtIndex(i, cssClasses.ITEM_ACTIVE);
+        this.adapter_.removeAttributeForItemAtIndex(i, strings.ARIA_CURRENT);
+        this.adapter_.setAttributeForItemAtIndex(i, 'tabindex', '-1');
+      }
+    }
+    this.activeIndex_ = index;
+  }
+
+  /**
+   * Activates the destination which was clicked, and emits a change event if it was not already active.
+   * @param {!Event} evt
+   */
+  handleClick(evt) {
+    const index = this.adapter_.getItemIndexByChildElement(evt.target);
+    if (index === -1 || index === this.activeIndex_) {
+      return;
+    }
+
+    this.setActiveIndex(index);
+    this.adapter_.notifyChange({index});
+  }
+
+  /**
+   * Moves focus between destinations with the arrow, Home and End keys.
+   * @param {!Event} evt
+   */
+  handleKeydown(evt) {
+    const isArrowLeft = evt.key === 'ArrowLeft' || evt.keyCode === 37;
+    const isArrowRight = evt.key === 'ArrowRight' || evt.keyCode === 39;
+    const isHome = evt.key === 'Home' || evt.keyCode === 36;
+    const isEnd = evt.key === 'End' || evt.keyCode === 35;
+    if (!isArrowLeft && !isArrowRight && !isHome && !isEnd) {
+      return;
+    }
+
+    let index = this.adapter_.getFocusedItemIndex();
+    if (index === -1) {
+      index = this.adapter_.getItemIndexByChildElement(evt.target);
+      if (index === -1) {
+        return;
+      }
+    }
+
+    evt.preventDefault();
+    const itemCount = this.adapter_.getItemCount();
+    let nextIndex;
+    if (isHome) {
+      nextIndex = 0;
+    } else if (isEnd) {
+      nextIndex = itemCount - 1;
+    } else {
+      // The next destination is to the right of the current one, which is towards the start in RTL.
+      const step = (isArrowRight ? 1 : -1) * (this.adapter_.isRtl() ? -1 : 1);
+      nextIndex = (index + step + itemCount) % itemCount;
+    }
+    this.adapter_.focusItemAtIndex(nextIndex);
+  }
+
+  /**
+   * Throttled function that keeps a completely hidden bottom navigation hidden if its height changes.
+   * @private
+   */
+  throttledResizeHandler_() {
+    const currentHeight = this.adapter_.getBottomNavigationHeight();
+    if (this.bottomNavigationHeight_ !== currentHeight) {
+      const wasHidden = this.currentOffsetBottom_ === -this.bottomNavigationHeight_;
+      this.bottomNavigationHeight_ = currentHeight;
+      this.moveBottomNavigation_(wasHidden ? -currentHeight : this.currentOffsetBottom_);
+    }
+  }
+
+  /**
+   * Clamps the offset between fully showing and fully hidden, and updates the DOM if it changed.
+   * @param {number} offset
+   * @private
+   */
+  moveBottomNavigation_(offset) {
+    const clampedOffset = Math.min(0, Math.max(-this.bottomNavigationHeight_, offset));
+    if (clampedOffset !== this.currentOffsetBottom_) {
+      this.currentOffsetBottom_ = clampedOffset;
+      this.adapter_.setStyle('bottom', `${clampedOffset}px`);
+    }
+  }
+}
+
+export default MDCBottomNavigationFoundation;
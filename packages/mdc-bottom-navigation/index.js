@@ -0,0 +1,131 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCComponent from '@material/base/component';
+import {MDCRipple} from '@material/ripple/index';
+
+import {MDCBottomNavigationAdapter} from './adapter';
+import MDCBottomNavigationFoundation from './foundation';
+
+/**
+ * @extends {MDCComponent<!MDCBottomNavigationFoundation>}
+ * @final
+ */
+class MDCBottomNavigation extends MDCComponent {
+  /**
+   * @param {...?} args
+   */
+  constructor(...args) {
+    super(...args);
+
+    /** @private {!Array<!MDCRipple>} */
+    this.itemRipples_;
+    /** @private {function(!Event): undefined} */
+    this.handleClick_;
+    /** @private {function(!Event): undefined} */
+    this.handleKeydown_;
+  }
+
+  /**
+   * @param {!Element} root
+   * @return {!MDCBottomNavigation}
+   */
+  static attachTo(root) {
+    return new MDCBottomNavigation(root);
+  }
+
+  /**
+   * @param {(function(!Element): !MDCRipple)=} rippleFactory A function which creates a new MDCRipple.
+   */
+  initialize(rippleFactory = (el) => MDCRipple.attachTo(el)) {
+    this.itemRipples_ = this.items.map((item) => rippleFactory(item));
+  }
+
+  initialSyncWithDOM() {
+    this.handleClick_ = (evt) => this.foundation_.handleClick(evt);
+    this.handleKeydown_ = (evt) => this.foundation_.handleKeydown(evt);
+    this.root_.addEventListener('click', this.handleClick_);
+    this.root_.addEventListener('keydown', this.handleKeydown_);
+  }
+
+  destroy() {
+    this.root_.removeEventListener('click', this.handleClick_);
+    this.root_.removeEventListener('keydown', this.handleKeydown_);
+    this.itemRipples_.forEach((ripple) => ripple.destroy());
+    super.destroy();
+  }
+
+  /**
+   * @return {!Array<!Element>} The destination item elements.
+   */
+  get items() {
+    return [].slice.call(this.root_.querySelectorAll(MDCBottomNavigationFoundation.strings.ITEM_SELECTOR));
+  }
+
+  /**
+   * @return {number} Index of the active destination.
+   */
+  get activeIndex() {
+    return this.foundation_.getActiveIndex();
+  }
+
+  /**
+   * Makes the destination at the index the active destination, without emitting a change event.
+   * @param {number} index
+   */
+  set activeIndex(index) {
+    this.foundation_.setActiveIndex(index);
+  }
+
+  /**
+   * @return {!MDCBottomNavigationFoundation}
+   */
+  getDefaultFoundation() {
+    const {ITEM} = MDCBottomNavigationFoundation.cssClasses;
+
+    return new MDCBottomNavigationFoundation(/** @type {!MDCBottomNavigationAdapter} */ (Object.assign({
+      hasClass: (className) => this.root_.classList.contains(className),
+      setStyle: (property, value) => this.root_.style.setProperty(property, value),
+      getItemCount: () => this.items.length,
+      hasClassForItemAtIndex: (index, className) => this.items[index].classList.contains(className),
+      addClassForItemAtIndex: (index, className) => this.items[index].classList.add(className),
+      removeClassForItemAtIndex: (index, className) => this.items[index].classList.remove(className),
+      setAttributeForItemAtIndex: (index, attr, value) => this.items[index].setAttribute(attr, value),
+      removeAttributeForItemAtIndex: (index, attr) => this.items[index].removeAttribute(attr),
+      getItemIndexByChildElement: (el) => {
+        let itemEl = /** @type {?Element} */ (el);
+        while (itemEl && itemEl !== this.root_ && !itemEl.classList.contains(ITEM)) {
+          itemEl = itemEl.parentElement;
+        }
+        return this.items.indexOf(itemEl);
+      },
+      getFocusedItemIndex: () => this.items.indexOf(document.activeElement),
+      focusItemAtIndex: (index) => this.items[index].focus(),
+      isRtl: () => getComputedStyle(this.root_).getPropertyValue('direction') === 'rtl',
+      notifyChange: (evtData) => this.emit(MDCBottomNavigationFoundation.strings.CHANGE_EVENT, evtData),
+      registerScrollHandler: (handler) => window.addEventListener('scroll', handler),
+      deregisterScrollHandler: (handler) => window.removeEventListener('scroll', handler),
+      registerResizeHandler: (handler) => window.addEventListener('resize', handler),
+      deregisterResizeHandler: (handler) => window.removeEventListener('resize', handler),
+      getViewportScrollY: () => window.pageYOffset,
+      getBottomNavigationHeight: () => this.root_.clientHeight,
+    })));
+  }
+}
+
+export {MDCBottomNavigation, MDCBottomNavigationFoundation};
@@ -0,0 +1,135 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCComponent from '@material/base/component';
+import * as drawerUtil from '@material/drawer/util';
+
+import {MDCBottomSheetAdapter} from './adapter';
+import MDCBottomSheetFoundation from './foundation';
+import {SnapPoint} from './constants';
+
+/**
+ * @extends {MDCComponent<!MDCBottomSheetFoundation>}
+ */
+class MDCBottomSheet extends MDCComponent {
+  /**
+   * @param {!Element} root
+   * @return {!MDCBottomSheet}
+   */
+  static attachTo(root) {
+    return new MDCBottomSheet(root);
+  }
+
+  /** @return {boolean} */
+  get open() {
+    return this.foundation_.isOpen();
+  }
+
+  /** @param {boolean} value */
+  set open(value) {
+    if (value) {
+      this.foundation_.open();
+    } else {
+      this.foundation_.close();
+    }
+  }
+
+  /** @return {?SnapPoint} */
+  get snapPoint() {
+    return this.foundation_.getSnapPoint();
+  }
+
+  /** @return {number} */
+  get peekHeight() {
+    return this.foundation_.getPeekHeight();
+  }
+
+  /** @param {number} peekHeight */
+  set peekHeight(peekHeight) {
+    this.foundation_.setPeekHeight(peekHeight);
+  }
+
+  /**
+   * Returns the sheet element inside the component.
+   * @return {!Element}
+   */
+  get sheet() {
+    return /** @type {!Element} */ (this.root_.querySelector(MDCBottomSheetFoundation.strings.SHEET_SELECTOR));
+  }
+
+  /**
+   * Opens the sheet at the given snap point, or moves an open sheet to it.
+   * @param {!SnapPoint=} snapPoint
+   */
+  show(snapPoint = SnapPoint.HALF) {
+    this.foundation_.open(snapPoint);
+  }
+
+  close() {
+    this.foundation_.close();
+  }
+
+  /**
+   * @return {!MDCBottomSheetAdapter}
+   * @protected
+   */
+  getDefaultAdapter_() {
+    const {CONTENT_SELECTOR, FOCUSABLE_ELEMENTS, OPEN_EVENT, CLOSE_EVENT} = MDCBottomSheetFoundation.strings;
+
+    return /** @type {!MDCBottomSheetAdapter} */ ({
+      addClass: (className) => this.root_.classList.add(className),
+      removeClass: (className) => this.root_.classList.remove(className),
+      hasClass: (className) => this.root_.classList.contains(className),
+      hasNecessaryDom: () => Boolean(this.sheet),
+      registerInteractionHandler: (evtType, handler) =>
+        document.addEventListener(drawerUtil.remapEvent(evtType), handler, drawerUtil.applyPassive()),
+      deregisterInteractionHandler: (evtType, handler) =>
+        document.removeEventListener(drawerUtil.remapEvent(evtType), handler, drawerUtil.applyPassive()),
+      registerDrawerInteractionHandler: (evtType, handler) =>
+        this.sheet.addEventListener(drawerUtil.remapEvent(evtType), handler),
+      deregisterDrawerInteractionHandler: (evtType, handler) =>
+        this.sheet.removeEventListener(drawerUtil.remapEvent(evtType), handler),
+      registerTransitionEndHandler: (handler) => this.sheet.addEventListener('transitionend', handler),
+      deregisterTransitionEndHandler: (handler) => this.sheet.removeEventListener('transitionend', handler),
+      registerDocumentKeydownHandler: (handler) => document.addEventListener('keydown', handler),
+      deregisterDocumentKeydownHandler: (handler) => document.removeEventListener('keydown', handler),
+      isSheet: (el) => el === this.sheet,
+      isInScrolledContent: (el) => {
+        const content = this.sheet.querySelector(CONTENT_SELECTOR);
+        return Boolean(content) && content.contains(/** @type {?Node} */ (el)) && content.scrollTop > 0;
+      },
+      setTranslateY: (value) => this.sheet.style.setProperty(
+        drawerUtil.getTransformPropertyName(), value === null ? null : `translateY(${value}px)`),
+      getSheetHeight: () => this.sheet.offsetHeight,
+      getViewportHeight: () => window.innerHeight,
+      getFocusableElements: () => this.sheet.querySelectorAll(FOCUSABLE_ELEMENTS),
+      saveElementTabState: (el) => drawerUtil.saveElementTabState(el),
+      restoreElementTabState: (el) => drawerUtil.restoreElementTabState(el),
+      makeElementUntabbable: (el) => el.setAttribute('tabindex', -1),
+      notifyOpen: () => this.emit(OPEN_EVENT, {snapPoint: this.foundation_.getSnapPoint()}),
+      notifyClose: () => this.emit(CLOSE_EVENT, {}),
+    });
+  }
+
+  /** @return {!MDCBottomSheetFoundation} */
+  getDefaultFoundation() {
+    return new MDCBottomSheetFoundation(this.getDefaultAdapter_());
+  }
+}
+
+export {MDCBottomSheet};
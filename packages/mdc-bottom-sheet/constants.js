@@ -0,0 +1,56 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {FOCUSABLE_ELEMENTS} from '@material/drawer/slidable/constants';
+
+/** @enum {string} */
+const cssClasses = {
+  ROOT: 'mdc-bottom-sheet',
+  OPEN: 'mdc-bottom-sheet--open',
+  ANIMATING: 'mdc-bottom-sheet--animating',
+};
+
+/** @enum {string} */
+const strings = {
+  SHEET_SELECTOR: '.mdc-bottom-sheet__sheet',
+  CONTENT_SELECTOR: '.mdc-bottom-sheet__content',
+  FOCUSABLE_ELEMENTS,
+  OPEN_EVENT: 'MDCBottomSheet:open',
+  CLOSE_EVENT: 'MDCBottomSheet:close',
+};
+
+/** @enum {number} */
+const numbers = {
+  // Visible height of the sheet at the peek snap point.
+  DEFAULT_PEEK_HEIGHT: 96,
+  // Minimum speed, in pixels per millisecond, at which releasing a dragged sheet moves it to the next snap point in
+  // the direction of the drag rather than to the nearest snap point.
+  VELOCITY_THRESHOLD: 0.5,
+};
+
+/**
+ * Positions at which an open sheet comes to rest.
+ * @enum {string}
+ */
+const SnapPoint = {
+  PEEK: 'peek',
+  HALF: 'half',
+  FULL: 'full',
+};
+
+export {cssClasses, strings, numbers, SnapPoint};
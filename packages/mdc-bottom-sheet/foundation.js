@@ -0,0 +1,297 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {MDCSlidableDrawerFoundation} from '@material/drawer/slidable/index';
+import {MDCBottomSheetAdapter} from './adapter';
+import {cssClasses, strings, numbers, SnapPoint} from './constants';
+
+/**
+ * Foundation of the persistent bottom sheet, which the modal bottom sheet extends. Opening and closing are shared
+ * with the slidable drawers; the bottom sheet rests at snap points and is dragged vertically instead.
+ */
+class MDCBottomSheetFoundation extends MDCSlidableDrawerFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /** @return enum {number} */
+  static get numbers() {
+    return numbers;
+  }
+
+  /**
+   * {@see MDCBottomSheetAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCBottomSheetAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCBottomSheetAdapter} */ (Object.assign(MDCSlidableDrawerFoundation.defaultAdapter, {
+      isSheet: () => false,
+      isInScrolledContent: () => false,
+      setTranslateY: () => {},
+      getSheetHeight: () => 0,
+      getViewportHeight: () => 0,
+    }));
+  }
+
+  /** @param {!MDCBottomSheetAdapter} adapter */
+  constructor(adapter) {
+    super(
+      Object.assign(MDCBottomSheetFoundation.defaultAdapter, adapter),
+      cssClasses.ROOT,
+      cssClasses.ANIMATING,
+      cssClasses.OPEN);
+
+    /** @private {?SnapPoint} */
+    this.snapPoint_ = null;
+    /** @private {number} */
+    this.peekHeight_ = numbers.DEFAULT_PEEK_HEIGHT;
+
+    /** @protected {number} */
+    this.sheetHeight_ = 0;
+    /** @protected {number} */
+    this.startOffset_ = 0;
+    /** @private {number} */
+    this.startY_ = 0;
+    /** @private {number} */
+    this.currentY_ = 0;
+    /** @private {number} */
+    this.lastMoveTime_ = 0;
+    /** @private {number} */
+    this.velocity_ = 0;
+    /** @private {number} */
+    this.updateRaf_ = 0;
+  }
+
+  init() {
+    super.init();
+
+    if (this.isOpen_) {
+      this.snapPoint_ = SnapPoint.FULL;
+    }
+  }
+
+  destroy() {
+    super.destroy();
+
+    cancelAnimationFrame(this.updateRaf_);
+    this.adapter_.deregisterTransitionEndHandler(this.transitionEndHandler_);
+  }
+
+  /**
+   * Opens the sheet at the given snap point, or moves an open sheet to it.
+   * @param {!SnapPoint=} snapPoint
+   * @override
+   */
+  open(snapPoint = SnapPoint.HALF) {
+    this.snapPoint_ = snapPoint;
+    this.adapter_.setTranslateY(this.getSnapPointOffset_(snapPoint));
+    super.open();
+  }
+
+  /** @override */
+  close() {
+    this.snapPoint_ = null;
+    this.adapter_.setTranslateY(null);
+    super.close();
+  }
+
+  /**
+   * @return {?SnapPoint} The snap point at which the sheet rests, or null if the sheet is closed.
+   */
+  getSnapPoint() {
+    return this.snapPoint_;
+  }
+
+  /**
+   * @return {number}
+   */
+  getPeekHeight() {
+    return this.peekHeight_;
+  }
+
+  /**
+   * Sets the visible height of the sheet at the peek snap point.
+   * @param {number} peekHeight
+   */
+  setPeekHeight(peekHeight) {
+    this.peekHeight_ = peekHeight;
+    if (this.snapPoint_ === SnapPoint.PEEK) {
+      this.adapter_.setTranslateY(this.getSnapPointOffset_(SnapPoint.PEEK));
+    }
+  }
+
+  /**
+   * Whether dragging the sheet down past its lowest snap point closes it.
+   * @return {boolean}
+   * @protected
+   */
+  isDismissible_() {
+    return false;
+  }
+
+  /**
+   * @param {!SnapPoint} snapPoint
+   * @return {number} Distance by which the sheet is translated down from its fully open position at the snap point.
+   * @private
+   */
+  getSnapPointOffset_(snapPoint) {
+    const sheetHeight = this.adapter_.getSheetHeight();
+    let visibleHeight = sheetHeight;
+    if (snapPoint === SnapPoint.PEEK) {
+      visibleHeight = this.peekHeight_;
+    } else if (snapPoint === SnapPoint.HALF) {
+      visibleHeight = this.adapter_.getViewportHeight() / 2;
+    }
+    return Math.round(Math.max(0, sheetHeight - visibleHeight));
+  }
+
+  /**
+   * @param {!Event} evt
+   * @override
+   */
+  handleTouchStart_(evt) {
+    if (!this.isOpen_ || (evt.pointerType && evt.pointerType !== 'touch')) {
+      return;
+    }
+    // Swiping down within scrolled content scrolls the content back up instead of dragging the sheet.
+    if (this.adapter_.isInScrolledContent(evt.target)) {
+      return;
+    }
+
+    this.isDragging_ = true;
+    this.sheetHeight_ = this.adapter_.getSheetHeight();
+    this.startOffset_ = this.getSnapPointOffset_(/** @type {!SnapPoint} */ (this.snapPoint_));
+    this.startY_ = this.getPageY_(evt);
+    this.currentY_ = this.startY_;
+    this.lastMoveTime_ = Date.now();
+    this.velocity_ = 0;
+    this.adapter_.removeClass(cssClasses.ANIMATING);
+
+    this.updateRaf_ = requestAnimationFrame(() => this.updateDrawer_());
+  }
+
+  /**
+   * @param {!Event} evt
+   * @override
+   */
+  handleTouchMove_(evt) {
+    if (!this.isDragging_ || (evt.pointerType && evt.pointerType !== 'touch')) {
+      return;
+    }
+
+    const pageY = this.getPageY_(evt);
+    const now = Date.now();
+    if (now > this.lastMoveTime_) {
+      this.velocity_ = (pageY - this.currentY_) / (now - this.lastMoveTime_);
+      this.lastMoveTime_ = now;
+    }
+    this.currentY_ = pageY;
+  }
+
+  /**
+   * @param {!Event} evt
+   * @override
+   */
+  handleTouchEnd_(evt) {
+    if (!this.isDragging_ || (evt.pointerType && evt.pointerType !== 'touch')) {
+      return;
+    }
+
+    this.isDragging_ = false;
+    this.prepareForTouchEnd_();
+
+    const snapPoint = this.getReleaseSnapPoint_();
+    if (snapPoint) {
+      // Opening at the snap point animates the sheet from where it was released.
+      this.open(snapPoint);
+    } else {
+      this.close();
+    }
+  }
+
+  /** @override */
+  prepareForTouchEnd_() {
+    cancelAnimationFrame(this.updateRaf_);
+  }
+
+  /** @override */
+  updateDrawer_() {
+    this.updateRaf_ = requestAnimationFrame(() => this.updateDrawer_());
+    this.adapter_.setTranslateY(this.getDragOffset_());
+  }
+
+  /**
+   * @return {number} Distance by which the sheet is translated down from its fully open position while dragged.
+   * @protected
+   */
+  getDragOffset_() {
+    return Math.min(this.sheetHeight_, Math.max(0, this.startOffset_ + this.currentY_ - this.startY_));
+  }
+
+  /**
+   * Returns the snap point to move the sheet to when it is released: the next snap point in the direction of a fast
+   * drag, or the nearest snap point otherwise. Returns null if the sheet should close.
+   * @return {?SnapPoint}
+   * @private
+   */
+  getReleaseSnapPoint_() {
+    const offset = this.getDragOffset_();
+    const positions = [SnapPoint.FULL, SnapPoint.HALF, SnapPoint.PEEK].map((snapPoint) => ({
+      snapPoint, offset: this.getSnapPointOffset_(snapPoint),
+    }));
+    if (this.isDismissible_()) {
+      positions.push({snapPoint: null, offset: this.sheetHeight_});
+    }
+    positions.sort((a, b) => a.offset - b.offset);
+
+    if (Math.abs(this.velocity_) >= numbers.VELOCITY_THRESHOLD) {
+      if (this.velocity_ > 0) {
+        const lower = positions.filter((position) => position.offset > offset);
+        return (lower.length ? lower[0] : positions[positions.length - 1]).snapPoint;
+      }
+      const higher = positions.filter((position) => position.offset < offset);
+      return (higher.length ? higher[higher.length - 1] : positions[0]).snapPoint;
+    }
+
+    return positions.reduce((nearest, position) =>
+      Math.abs(position.offset - offset) < Math.abs(nearest.offset - offset) ? position : nearest).snapPoint;
+  }
+
+  /**
+   * @param {!Event} evt
+   * @return {number}
+   * @private
+   */
+  getPageY_(evt) {
+    return evt.touches ? evt.touches[0].pageY : evt.pageY;
+  }
+
+  /** @override */
+  isRootTransitioningEventTarget_(el) {
+    return this.adapter_.isSheet(el);
+  }
+}
+
+export default MDCBottomSheetFoundation;
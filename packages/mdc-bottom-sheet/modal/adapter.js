@@ -0,0 +1,76 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+
+import {MDCBottomSheetAdapter} from '../adapter';
+
+/**
+ * Adapter for MDC Modal Bottom Sheet.
+ *
+ * Extends the bottom sheet adapter with the methods needed by the scrim and the focus trap of the modal variant.
+ *
+ * @record
+ * @extends {MDCBottomSheetAdapter}
+ */
+class MDCModalBottomSheetAdapter extends MDCBottomSheetAdapter {
+  /**
+   * Adds a class to the body element.
+   * @param {string} className
+   */
+  addBodyClass(className) {}
+
+  /**
+   * Removes a class from the body element.
+   * @param {string} className
+   */
+  removeBodyClass(className) {}
+
+  /**
+   * Registers an event handler on the scrim element.
+   * @param {string} evtType
+   * @param {!EventListener} handler
+   */
+  registerScrimInteractionHandler(evtType, handler) {}
+
+  /**
+   * Deregisters an event handler from the scrim element.
+   * @param {string} evtType
+   * @param {!EventListener} handler
+   */
+  deregisterScrimInteractionHandler(evtType, handler) {}
+
+  /**
+   * Sets the CSS custom property controlling the opacity of the scrim while the sheet is dragged, or clears it when
+   * the value is an empty string.
+   * @param {number|string} value
+   */
+  updateCssVariable(value) {}
+
+  /**
+   * Traps focus within the sheet.
+   */
+  trapFocus() {}
+
+  /**
+   * Releases the focus trap.
+   */
+  untrapFocus() {}
+}
+
+export default MDCModalBottomSheetAdapter;
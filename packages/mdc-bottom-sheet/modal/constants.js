@@ -0,0 +1,33 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {cssClasses as baseCssClasses, strings as baseStrings} from '../constants';
+
+/** @enum {string} */
+const cssClasses = Object.assign({}, baseCssClasses, {
+  MODAL: 'mdc-bottom-sheet--modal',
+  SCROLL_LOCK: 'mdc-bottom-sheet-scroll-lock',
+});
+
+/** @enum {string} */
+const strings = Object.assign({}, baseStrings, {
+  SCRIM_SELECTOR: '.mdc-bottom-sheet__scrim',
+  SCRIM_OPACITY_VAR_NAME: '--mdc-bottom-sheet-scrim-opacity',
+});
+
+export {cssClasses, strings};
@@ -0,0 +1,155 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCBottomSheetFoundation from '../foundation';
+import MDCModalBottomSheetAdapter from './adapter';
+import {cssClasses, strings} from './constants';
+import {SnapPoint} from '../constants';
+
+/**
+ * @extends {MDCBottomSheetFoundation}
+ * @final
+ */
+class MDCModalBottomSheetFoundation extends MDCBottomSheetFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /**
+   * {@see MDCModalBottomSheetAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCModalBottomSheetAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCModalBottomSheetAdapter} */ (Object.assign(MDCBottomSheetFoundation.defaultAdapter, {
+      addBodyClass: () => {},
+      removeBodyClass: () => {},
+      registerScrimInteractionHandler: () => {},
+      deregisterScrimInteractionHandler: () => {},
+      updateCssVariable: () => {},
+      trapFocus: () => {},
+      untrapFocus: () => {},
+    }));
+  }
+
+  /** @param {!MDCModalBottomSheetAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCModalBottomSheetFoundation.defaultAdapter, adapter));
+
+    /** @private {function(!Event)} */
+    this.scrimClickHandler_ = () => this.close();
+  }
+
+  init() {
+    super.init();
+
+    this.adapter_.registerScrimInteractionHandler('click', this.scrimClickHandler_);
+    if (this.isOpen_) {
+      this.disableScroll_();
+      this.adapter_.registerDocumentKeydownHandler(this.documentKeydownHandler_);
+    }
+  }
+
+  destroy() {
+    super.destroy();
+
+    this.adapter_.deregisterScrimInteractionHandler('click', this.scrimClickHandler_);
+    if (this.isOpen_) {
+      this.adapter_.untrapFocus();
+    }
+    this.enableScroll_();
+  }
+
+  /**
+   * @param {!SnapPoint=} snapPoint
+   * @override
+   */
+  open(snapPoint = SnapPoint.HALF) {
+    const wasOpen = this.isOpen_;
+    this.disableScroll_();
+    // Make sure custom property values are cleared before starting.
+    this.adapter_.updateCssVariable('');
+
+    super.open(snapPoint);
+
+    if (!wasOpen) {
+      this.adapter_.trapFocus();
+    }
+  }
+
+  /** @override */
+  close() {
+    const wasOpen = this.isOpen_;
+    // Make sure custom property values are cleared before making any changes.
+    this.adapter_.updateCssVariable('');
+
+    super.close();
+
+    if (wasOpen) {
+      this.adapter_.untrapFocus();
+    }
+  }
+
+  /** @override */
+  isDismissible_() {
+    return true;
+  }
+
+  /** @override */
+  prepareForTouchEnd_() {
+    super.prepareForTouchEnd_();
+
+    this.adapter_.updateCssVariable('');
+  }
+
+  /** @override */
+  updateDrawer_() {
+    super.updateDrawer_();
+
+    // Fade the scrim out as the sheet is dragged from where the drag started towards its closed position.
+    const dragRange = this.sheetHeight_ - this.startOffset_;
+    const opacity = dragRange > 0 ? Math.min(1, (this.sheetHeight_ - this.getDragOffset_()) / dragRange) : 1;
+    this.adapter_.updateCssVariable(opacity);
+  }
+
+  /** @override */
+  handleTransitionEnd_(evt) {
+    super.handleTransitionEnd_(evt);
+    if (!this.isOpen_) {
+      this.enableScroll_();
+    }
+  }
+
+  /** @private */
+  disableScroll_() {
+    this.adapter_.addBodyClass(cssClasses.SCROLL_LOCK);
+  }
+
+  /** @private */
+  enableScroll_() {
+    this.adapter_.removeBodyClass(cssClasses.SCROLL_LOCK);
+  }
+}
+
+export default MDCModalBottomSheetFoundation;
@@ -0,0 +1,77 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+
+/**
+ * Adapter for MDC Circular Progress.
+ *
+ * Defines the shape of the adapter expected by the foundation. Implement this
+ * adapter to integrate the Circular Progress into your framework. See
+ * https://github.com/material-components/material-components-web/blob/master/docs/authoring-components.md
+ * for more information.
+ *
+ * @record
+ */
+class MDCCircularProgressAdapter {
+  /**
+   * Adds a class to the root element.
+   * @param {string} className
+   */
+  addClass(className) {}
+
+  /**
+   * Removes a class from the root element.
+   * @param {string} className
+   */
+  removeClass(className) {}
+
+  /**
+   * @param {string} className
+   * @return {boolean} Whether the root element has the class.
+   */
+  hasClass(className) {}
+
+  /**
+   * Sets an attribute on the root element.
+   * @param {string} attr
+   * @param {string} value
+   */
+  setAttribute(attr, value) {}
+
+  /**
+   * Removes an attribute from the root element.
+   * @param {string} attr
+   */
+  removeAttribute(attr) {}
+
+  /**
+   * @param {string} attr
+   * @return {?string} Value of the attribute of the determinate circle element.
+   */
+  getDeterminateCircleAttribute(attr) {}
+
+  /**
+   * Sets an attribute on the determinate circle element.
+   * @param {string} attr
+   * @param {string} value
+   */
+  setDeterminateCircleAttribute(attr, value) {}
+}
+
+export default MDCCircularProgressAdapter;
@@ -0,0 +1,34 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/** @enum {string} */
+const cssClasses = {
+  CLOSED_CLASS: 'mdc-circular-progress--closed',
+  INDETERMINATE_CLASS: 'mdc-circular-progress--indeterminate',
+};
+
+/** @enum {string} */
+const strings = {
+  DETERMINATE_CIRCLE_SELECTOR: '.mdc-circular-progress__determinate-circle',
+  ARIA_VALUENOW: 'aria-valuenow',
+  RADIUS: 'r',
+  STROKE_DASHARRAY: 'stroke-dasharray',
+  STROKE_DASHOFFSET: 'stroke-dashoffset',
+};
+
+export {cssClasses, strings};
@@ -0,0 +1,142 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCFoundation from '@material/base/foundation';
+import MDCCircularProgressAdapter from './adapter';
+import {cssClasses, strings} from './constants';
+
+/**
+ * @extends {MDCFoundation<!MDCCircularProgressAdapter>}
+ * @final
+ */
+class MDCCircularProgressFoundation extends MDCFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /**
+   * {@see MDCCircularProgressAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCCircularProgressAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCCircularProgressAdapter} */ ({
+      addClass: () => {},
+      removeClass: () => {},
+      hasClass: () => false,
+      setAttribute: () => {},
+      removeAttribute: () => {},
+      getDeterminateCircleAttribute: () => null,
+      setDeterminateCircleAttribute: () => {},
+    });
+  }
+
+  /** @param {!MDCCircularProgressAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCCircularProgressFoundation.defaultAdapter, adapter));
+
+    /** @private {boolean} */
+    this.determinate_ = true;
+    /** @private {number} */
+    this.progress_ = 0;
+    /** @private {number} */
+    this.circumference_ = 0;
+  }
+
+  init() {
+    this.determinate_ = !this.adapter_.hasClass(cssClasses.INDETERMINATE_CLASS);
+    this.progress_ = 0;
+
+    const radius = Number(this.adapter_.getDeterminateCircleAttribute(strings.RADIUS)) || 0;
+    this.circumference_ = 2 * Math.PI * radius;
+    this.adapter_.setDeterminateCircleAttribute(strings.STROKE_DASHARRAY, String(this.circumference_));
+    this.updateProgress_();
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isDeterminate() {
+    return this.determinate_;
+  }
+
+  /**
+   * Toggles between the determinate state, which shows the progress, and the indeterminate state, which shows an
+   * animated arc instead.
+   * @param {boolean} isDeterminate
+   */
+  setDeterminate(isDeterminate) {
+    this.determinate_ = isDeterminate;
+    if (this.determinate_) {
+      this.adapter_.removeClass(cssClasses.INDETERMINATE_CLASS);
+    } else {
+      this.adapter_.addClass(cssClasses.INDETERMINATE_CLASS);
+    }
+    this.updateProgress_();
+  }
+
+  /**
+   * @return {number}
+   */
+  getProgress() {
+    return this.progress_;
+  }
+
+  /**
+   * @param {number} value Progress between 0 and 1.
+   */
+  setProgress(value) {
+    this.progress_ = value;
+    if (this.determinate_) {
+      this.updateProgress_();
+    }
+  }
+
+  open() {
+    this.adapter_.removeClass(cssClasses.CLOSED_CLASS);
+  }
+
+  close() {
+    this.adapter_.addClass(cssClasses.CLOSED_CLASS);
+  }
+
+  /**
+   * Draws the arc of the determinate circle for the current progress, and updates `aria-valuenow` which is omitted
+   * while indeterminate.
+   * @private
+   */
+  updateProgress_() {
+    if (!this.determinate_) {
+      this.adapter_.removeAttribute(strings.ARIA_VALUENOW);
+      return;
+    }
+
+    const progress = Math.min(1, Math.max(0, this.progress_));
+    const dashOffset = (1 - progress) * this.circumference_;
+    this.adapter_.setDeterminateCircleAttribute(strings.STROKE_DASHOFFSET, String(dashOffset));
+    this.adapter_.setAttribute(strings.ARIA_VALUENOW, String(progress));
+  }
+}
+
+export default MDCCircularProgressFoundation;
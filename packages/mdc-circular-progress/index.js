@@ -0,0 +1,82 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCComponent from '@material/base/component';
+
+import MDCCircularProgressAdapter from './adapter';
+import MDCCircularProgressFoundation from './foundation';
+
+/**
+ * @extends {MDCComponent<!MDCCircularProgressFoundation>}
+ * @final
+ */
+class MDCCircularProgress extends MDCComponent {
+  /**
+   * @param {!Element} root
+   * @return {!MDCCircularProgress}
+   */
+  static attachTo(root) {
+    return new MDCCircularProgress(root);
+  }
+
+  /** @return {boolean} */
+  get determinate() {
+    return this.foundation_.isDeterminate();
+  }
+
+  /** @param {boolean} value */
+  set determinate(value) {
+    this.foundation_.setDeterminate(value);
+  }
+
+  /** @return {number} */
+  get progress() {
+    return this.foundation_.getProgress();
+  }
+
+  /** @param {number} value */
+  set progress(value) {
+    this.foundation_.setProgress(value);
+  }
+
+  open() {
+    this.foundation_.open();
+  }
+
+  close() {
+    this.foundation_.close();
+  }
+
+  /** @return {!MDCCircularProgressFoundation} */
+  getDefaultFoundation() {
+    const determinateCircle = () =>
+      this.root_.querySelector(MDCCircularProgressFoundation.strings.DETERMINATE_CIRCLE_SELECTOR);
+
+    return new MDCCircularProgressFoundation(/** @type {!MDCCircularProgressAdapter} */ (Object.assign({
+      addClass: (className) => this.root_.classList.add(className),
+      removeClass: (className) => this.root_.classList.remove(className),
+      hasClass: (className) => this.root_.classList.contains(className),
+      setAttribute: (attr, value) => this.root_.setAttribute(attr, value),
+      removeAttribute: (attr) => this.root_.removeAttribute(attr),
+      getDeterminateCircleAttribute: (attr) => determinateCircle().getAttribute(attr),
+      setDeterminateCircleAttribute: (attr, value) => determinateCircle().setAttribute(attr, value),
+    })));
+  }
+}
+
+export {MDCCircularProgress, MDCCircularProgressFoundation};
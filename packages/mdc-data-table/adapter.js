@@ -0,0 +1,218 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+
+/**
+ * @typedef {{
+ *   rowId: ?string,
+ *   rowIndex: number,
+ *   selected: boolean,
+ * }}
+ */
+let MDCDataTableSelectionChangedEventDetail;
+
+/**
+ * @typedef {{
+ *   columnId: ?string,
+ *   columnIndex: number,
+ *   sortValue: string,
+ * }}
+ */
+let MDCDataTableSortedEventDetail;
+
+/**
+ * Adapter for MDC Data Table.
+ *
+ * Defines the shape of the adapter expected by the foundation. Implement this
+ * adapter to integrate the Data Table into your framework. See
+ * https://github.com/material-components/material-components-web/blob/master/docs/authoring-components.md
+ * for more information.
+ *
+ * @record
+ */
+class MDCDataTableAdapter {
+  /**
+   * Adds a class name to the row element at the given index.
+   * @param {number} rowIndex
+   * @param {string} className
+   */
+  addClassAtRowIndex(rowIndex, className) {}
+
+  /**
+   * Removes a class name from the row element at the given index.
+   * @param {number} rowIndex
+   * @param {string} className
+   */
+  removeClassAtRowIndex(rowIndex, className) {}
+
+  /**
+   * Sets an attribute on the row element at the given index.
+   * @param {number} rowIndex
+   * @param {string} attr
+   * @param {string} value
+   */
+  setAttributeAtRowIndex(rowIndex, attr, value) {}
+
+  /**
+   * Returns the number of rows in the table body.
+   * @return {number}
+   */
+  getRowCount() {}
+
+  /**
+   * Returns the value of the `data-row-id` attribute of the row at the given index, or null if it is not set.
+   * @param {number} rowIndex
+   * @return {?string}
+   */
+  getRowIdAtIndex(rowIndex) {}
+
+  /**
+   * Returns the index of the row which contains the given element, or -1 if it is not within a body row.
+   * @param {!EventTarget} el
+   * @return {number}
+   */
+  getRowIndexByChildElement(el) {}
+
+  /**
+   * Returns true if the table contains row selection checkboxes.
+   * @return {boolean}
+   */
+  isRowsSelectable() {}
+
+  /**
+   * Instantiates the checkbox component within the header row.
+   */
+  registerHeaderRowCheckbox() {}
+
+  /**
+   * Instantiates the checkbox components within every body row.
+   */
+  registerRowCheckboxes() {}
+
+  /**
+   * @return {boolean}
+   */
+  isHeaderRowCheckboxChecked() {}
+
+  /**
+   * @param {boolean} checked
+   */
+  setHeaderRowCheckboxChecked(checked) {}
+
+  /**
+   * @param {boolean} indeterminate
+   */
+  setHeaderRowCheckboxIndeterminate(indeterminate) {}
+
+  /**
+   * @param {number} rowIndex
+   * @return {boolean}
+   */
+  isCheckboxAtRowIndexChecked(rowIndex) {}
+
+  /**
+   * @param {number} rowIndex
+   * @param {boolean} checked
+   */
+  setRowCheckboxCheckedAtIndex(rowIndex, checked) {}
+
+  /**
+   * Emits an event when the selection state of a single row changes.
+   * @param {!MDCDataTableSelectionChangedEventDetail} evtData
+   */
+  notifySelectionChanged(evtData) {}
+
+  /**
+   * Emits an event when every row is selected via the header row checkbox.
+   */
+  notifySelectedAll() {}
+
+  /**
+   * Emits an event when every row is unselected via the header row checkbox.
+   */
+  notifyUnselectedAll() {}
+
+  /**
+   * @return {number} Number of header cells in the header row.
+   */
+  getHeaderCellCount() {}
+
+  /**
+   * @param {!EventTarget} el Element within a header cell, or the header cell itself.
+   * @return {number} Index of the header cell containing the given element, or -1 if there is none.
+   */
+  getHeaderCellIndexByChildElement(el) {}
+
+  /**
+   * Adds a class name to the header cell at the given index.
+   * @param {number} columnIndex
+   * @param {string} className
+   */
+  addClassAtHeaderCellIndex(columnIndex, className) {}
+
+  /**
+   * Removes a class name from the header cell at the given index.
+   * @param {number} columnIndex
+   * @param {string} className
+   */
+  removeClassAtHeaderCellIndex(columnIndex, className) {}
+
+  /**
+   * @param {number} columnIndex
+   * @param {string} className
+   * @return {boolean} True if the header cell at the given index has the given class name.
+   */
+  hasClassAtHeaderCellIndex(columnIndex, className) {}
+
+  /**
+   * @param {number} columnIndex
+   * @param {string} attr
+   * @return {?string} Value of the attribute on the header cell at the given index.
+   */
+  getAttributeAtHeaderCellIndex(columnIndex, attr) {}
+
+  /**
+   * Sets an attribute on the header cell at the given index.
+   * @param {number} columnIndex
+   * @param {string} attr
+   * @param {string} value
+   */
+  setAttributeAtHeaderCellIndex(columnIndex, attr, value) {}
+
+  /**
+   * @param {number} rowIndex
+   * @param {number} columnIndex
+   * @return {string} Text content of the body cell at the given row and column index.
+   */
+  getCellTextAtIndex(rowIndex, columnIndex) {}
+
+  /**
+   * Reorders the body rows such that the row currently at `rowIndexes[i]` becomes the i-th row.
+   * @param {!Array<number>} rowIndexes
+   */
+  reorderRows(rowIndexes) {}
+
+  /**
+   * Emits a cancelable event when the sort direction of a column changes.
+   * @param {!MDCDataTableSortedEventDetail} evtData
+   * @return {boolean} False if the event was canceled, in which case the rows are not sorted client-side.
+   */
+  notifySorted(evtData) {}
+}
+
+export {MDCDataTableAdapter, MDCDataTableSelectionChangedEventDetail, MDCDataTableSortedEventDetail};
@@ -0,0 +1,76 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @enum {string} */
+const cssClasses = {
+  ROOT: 'mdc-data-table',
+  HEADER_CELL: 'mdc-data-table__header-cell',
+  HEADER_CELL_SORTABLE: 'mdc-data-table__header-cell--sortable',
+  HEADER_CELL_SORTED: 'mdc-data-table__header-cell--sorted',
+  HEADER_CELL_SORTED_DESCENDING: 'mdc-data-table__header-cell--sorted-descending',
+  HEADER_ROW_CHECKBOX: 'mdc-data-table__header-row-checkbox',
+  ROW: 'mdc-data-table__row',
+  ROW_CHECKBOX: 'mdc-data-table__row-checkbox',
+  ROW_SELECTED: 'mdc-data-table__row--selected',
+};
+
+/** @enum {string} */
+const strings = {
+  ARIA_SELECTED: 'aria-selected',
+  ARIA_SORT: 'aria-sort',
+  COLUMN_ID_ATTR: 'data-column-id',
+  CONTENT_SELECTOR: '.mdc-data-table__content',
+  HEADER_CELL_SELECTOR: '.mdc-data-table__header-cell',
+  HEADER_ROW_SELECTOR: '.mdc-data-table__header-row',
+  HEADER_ROW_CHECKBOX_SELECTOR: '.mdc-data-table__header-row-checkbox',
+  PAGINATION_SELECTOR: '.mdc-data-table__pagination',
+  ROW_CHECKBOX_SELECTOR: '.mdc-data-table__row-checkbox',
+  ROW_SELECTOR: '.mdc-data-table__row',
+  ROW_ID_ATTR: 'data-row-id',
+  SORT_TYPE_ATTR: 'data-sort-type',
+  SELECTION_CHANGED_EVENT: 'MDCDataTable:selectionChanged',
+  SELECTED_ALL_EVENT: 'MDCDataTable:selectedAll',
+  SORTED_EVENT: 'MDCDataTable:sorted',
+  UNSELECTED_ALL_EVENT: 'MDCDataTable:unselectedAll',
+};
+
+/**
+ * Sort direction of a column, as reflected by the `aria-sort` attribute of its header cell.
+ * @enum {string}
+ */
+const SortValue = {
+  ASCENDING: 'ascending',
+  DESCENDING: 'descending',
+  NONE: 'none',
+};
+
+/**
+ * Values of the `data-sort-type` attribute which enable client-side sorting of a column.
+ * @enum {string}
+ */
+const SortType = {
+  STRING: 'string',
+  NUMERIC: 'numeric',
+  DATE: 'date',
+};
+
+export {
+  cssClasses,
+  strings,
+  SortValue,
+  SortType,
+};
@@ -0,0 +1,320 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import MDCFoundation from '@material/base/foundation';
+import {MDCDataTableAdapter} from './adapter';
+import {cssClasses, strings, SortValue} from './constants';
+import {getComparator} from './util';
+
+/**
+ * @extends {MDCFoundation<!MDCDataTableAdapter>}
+ */
+class MDCDataTableFoundation extends MDCFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /**
+   * {@see MDCDataTableAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCDataTableAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCDataTableAdapter} */ ({
+      addClassAtRowIndex: () => {},
+      removeClassAtRowIndex: () => {},
+      setAttributeAtRowIndex: () => {},
+      getRowCount: () => 0,
+      getRowIdAtIndex: () => null,
+      getRowIndexByChildElement: () => -1,
+      isRowsSelectable: () => false,
+      registerHeaderRowCheckbox: () => {},
+      registerRowCheckboxes: () => {},
+      isHeaderRowCheckboxChecked: () => false,
+      setHeaderRowCheckboxChecked: () => {},
+      setHeaderRowCheckboxIndeterminate: () => {},
+      isCheckboxAtRowIndexChecked: () => false,
+      setRowCheckboxCheckedAtIndex: () => {},
+      notifySelectionChanged: () => {},
+      notifySelectedAll: () => {},
+      notifyUnselectedAll: () => {},
+      getHeaderCellCount: () => 0,
+      getHeaderCellIndexByChildElement: () => -1,
+      addClassAtHeaderCellIndex: () => {},
+      removeClassAtHeaderCellIndex: () => {},
+      hasClassAtHeaderCellIndex: () => false,
+      getAttributeAtHeaderCellIndex: () => null,
+      setAttributeAtHeaderCellIndex: () => {},
+      getCellTextAtIndex: () => '',
+      reorderRows: () => {},
+      notifySorted: () => true,
+    });
+  }
+
+  /** @param {!MDCDataTableAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCDataTableFoundation.defaultAdapter, adapter));
+
+    /**
+     * Maps the current position of every body row to its position before any client-side sorting was applied,
+     * so that the original order can be restored when a column is unsorted.
+     * @private {!Array<number>}
+     */
+    this.originalRowIndexes_ = [];
+  }
+
+  /**
+   * Re-initializes the row checkboxes and syncs the header row checkbox with them. Call this whenever rows are
+   * added to or removed from the table.
+   */
+  layout() {
+    this.originalRowIndexes_ = [];
+
+    if (!this.adapter_.isRowsSelectable()) {
+      return;
+    }
+
+    this.adapter_.registerHeaderRowCheckbox();
+    this.adapter_.registerRowCheckboxes();
+    for (let rowIndex = 0; rowIndex < this.adapter_.getRowCount(); rowIndex++) {
+      this.selectRowAtIndex_(rowIndex, this.adapter_.isCheckboxAtRowIndexChecked(rowIndex));
+    }
+    this.setHeaderRowCheckboxState_();
+  }
+
+  /**
+   * @return {!Array<?string>} Row ids of the currently selected rows.
+   */
+  getSelectedRowIds() {
+    const selectedRowIds = [];
+    for (let rowIndex = 0; rowIndex < this.adapter_.getRowCount(); rowIndex++) {
+      if (this.adapter_.isCheckboxAtRowIndexChecked(rowIndex)) {
+        selectedRowIds.push(this.adapter_.getRowIdAtIndex(rowIndex));
+      }
+    }
+    return selectedRowIds;
+  }
+
+  /**
+   * Selects exactly the rows with the given row ids, unselecting every other row.
+   * @param {!Array<string>} rowIds
+   */
+  setSelectedRowIds(rowIds) {
+    for (let rowIndex = 0; rowIndex < this.adapter_.getRowCount(); rowIndex++) {
+      const rowId = this.adapter_.getRowIdAtIndex(rowIndex);
+      const isSelected = rowId !== null && rowIds.indexOf(rowId) >= 0;
+      this.adapter_.setRowCheckboxCheckedAtIndex(rowIndex, isSelected);
+      this.selectRowAtIndex_(rowIndex, isSelected);
+    }
+    this.setHeaderRowCheckboxState_();
+  }
+
+  /**
+   * Handles the change event of the header row checkbox by selecting or unselecting every row.
+   */
+  handleHeaderRowCheckboxChange() {
+    const isHeaderChecked = this.adapter_.isHeaderRowCheckboxChecked();
+
+    for (let rowIndex = 0; rowIndex < this.adapter_.getRowCount(); rowIndex++) {
+      this.adapter_.setRowCheckboxCheckedAtIndex(rowIndex, isHeaderChecked);
+      this.selectRowAtIndex_(rowIndex, isHeaderChecked);
+    }
+
+    if (isHeaderChecked) {
+      this.adapter_.notifySelectedAll();
+    } else {
+      this.adapter_.notifyUnselectedAll();
+    }
+  }
+
+  /**
+   * Handles the change event of a row checkbox.
+   * @param {!Event} evt
+   */
+  handleRowCheckboxChange(evt) {
+    const rowIndex = this.adapter_.getRowIndexByChildElement(/** @type {!EventTarget} */ (evt.target));
+    if (rowIndex === -1) {
+      return;
+    }
+
+    const selected = this.adapter_.isCheckboxAtRowIndexChecked(rowIndex);
+    this.selectRowAtIndex_(rowIndex, selected);
+    this.setHeaderRowCheckboxState_();
+
+    this.adapter_.notifySelectionChanged({
+      rowId: this.adapter_.getRowIdAtIndex(rowIndex),
+      rowIndex,
+      selected,
+    });
+  }
+
+  /**
+   * Sorts the column with the given column id in the given direction. Other columns become unsorted.
+   * @param {string} columnId Value of the `data-column-id` attribute of the header cell.
+   * @param {!SortValue} sortValue
+   */
+  sort(columnId, sortValue) {
+    for (let columnIndex = 0; columnIndex < this.adapter_.getHeaderCellCount(); columnIndex++) {
+      if (this.adapter_.getAttributeAtHeaderCellIndex(columnIndex, strings.COLUMN_ID_ATTR) === columnId) {
+        this.sortColumnAtIndex_(columnIndex, sortValue);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Handles click and keydown events on the header row by cycling the sort direction of a sortable header cell
+   * from none to ascending to descending.
+   * @param {!Event} evt
+   */
+  handleHeaderCellInteraction(evt) {
+    const isEnter = evt.key === 'Enter' || evt.keyCode === 13;
+    const isSpace = evt.key === ' ' || evt.key === 'Spacebar' || evt.keyCode === 32;
+    if (evt.type !== 'click' && !isEnter && !isSpace) {
+      return;
+    }
+
+    const columnIndex = this.adapter_.getHeaderCellIndexByChildElement(/** @type {!EventTarget} */ (evt.target));
+    if (columnIndex === -1 || !this.adapter_.hasClassAtHeaderCellIndex(columnIndex, cssClasses.HEADER_CELL_SORTABLE)) {
+      return;
+    }
+
+    if (evt.type === 'keydown') {
+      evt.preventDefault();
+    }
+
+    const currentSortValue = this.adapter_.getAttributeAtHeaderCellIndex(columnIndex, strings.ARIA_SORT);
+    let sortValue = SortValue.ASCENDING;
+    if (currentSortValue === SortValue.ASCENDING) {
+      sortValue = SortValue.DESCENDING;
+    } else if (currentSortValue === SortValue.DESCENDING) {
+      sortValue = SortValue.NONE;
+    }
+    this.sortColumnAtIndex_(columnIndex, sortValue);
+  }
+
+  /**
+   * @param {number} columnIndex
+   * @param {!SortValue} sortValue
+   * @private
+   */
+  sortColumnAtIndex_(columnIndex, sortValue) {
+    for (let index = 0; index < this.adapter_.getHeaderCellCount(); index++) {
+      if (!this.adapter_.hasClassAtHeaderCellIndex(index, cssClasses.HEADER_CELL_SORTABLE)) {
+        continue;
+      }
+
+      const cellSortValue = index === columnIndex ? sortValue : SortValue.NONE;
+      this.adapter_.setAttributeAtHeaderCellIndex(index, strings.ARIA_SORT, cellSortValue);
+      if (cellSortValue === SortValue.NONE) {
+        this.adapter_.removeClassAtHeaderCellIndex(index, cssClasses.HEADER_CELL_SORTED);
+      } else {
+        this.adapter_.addClassAtHeaderCellIndex(index, cssClasses.HEADER_CELL_SORTED);
+      }
+      if (cellSortValue === SortValue.DESCENDING) {
+        this.adapter_.addClassAtHeaderCellIndex(index, cssClasses.HEADER_CELL_SORTED_DESCENDING);
+      } else {
+        this.adapter_.removeClassAtHeaderCellIndex(index, cssClasses.HEADER_CELL_SORTED_DESCENDING);
+      }
+    }
+
+    const shouldSortRows = this.adapter_.notifySorted({
+      columnId: this.adapter_.getAttributeAtHeaderCellIndex(columnIndex, strings.COLUMN_ID_ATTR),
+      columnIndex,
+      sortValue,
+    });
+
+    if (shouldSortRows) {
+      this.sortRows_(columnIndex, sortValue);
+    }
+  }
+
+  /**
+   * Reorders the body rows using the built-in comparator matching the `data-sort-type` attribute of the header cell,
+   * or restores their original order when the column is unsorted. Columns without a known sort type are left to be
+   * sorted by the application.
+   * @param {number} columnIndex
+   * @param {!SortValue} sortValue
+   * @private
+   */
+  sortRows_(columnIndex, sortValue) {
+    const rowCount = this.adapter_.getRowCount();
+    if (this.originalRowIndexes_.length !== rowCount) {
+      this.originalRowIndexes_ = [];
+      for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+        this.originalRowIndexes_.push(rowIndex);
+      }
+    }
+
+    const originalRowIndexes = this.originalRowIndexes_;
+    const rowIndexes = originalRowIndexes.map((originalRowIndex, rowIndex) => rowIndex);
+
+    if (sortValue === SortValue.NONE) {
+      rowIndexes.sort((a, b) => originalRowIndexes[a] - originalRowIndexes[b]);
+    } else {
+      const sortType = this.adapter_.getAttributeAtHeaderCellIndex(columnIndex, strings.SORT_TYPE_ATTR);
+      const comparator = getComparator(sortType);
+      if (!comparator) {
+        return;
+      }
+
+      const direction = sortValue === SortValue.ASCENDING ? 1 : -1;
+      const cellTexts = rowIndexes.map((rowIndex) => this.adapter_.getCellTextAtIndex(rowIndex, columnIndex));
+      // Falls back to the current order for equal cells, since Array.prototype.sort is not stable in all browsers.
+      rowIndexes.sort((a, b) => comparator(cellTexts[a], cellTexts[b], direction) || a - b);
+    }
+
+    this.originalRowIndexes_ = rowIndexes.map((rowIndex) => originalRowIndexes[rowIndex]);
+    this.adapter_.reorderRows(rowIndexes);
+  }
+
+  /**
+   * Updates the header row checkbox to reflect the selection state of the rows: checked when every row is
+   * selected, indeterminate when only some are.
+   * @private
+   */
+  setHeaderRowCheckboxState_() {
+    const rowCount = this.adapter_.getRowCount();
+    const selectedRowCount = this.getSelectedRowIds().length;
+    const isAllSelected = rowCount > 0 && selectedRowCount === rowCount;
+
+    this.adapter_.setHeaderRowCheckboxChecked(isAllSelected);
+    this.adapter_.setHeaderRowCheckboxIndeterminate(selectedRowCount > 0 && !isAllSelected);
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @param {boolean} selected
+   * @private
+   */
+  selectRowAtIndex_(rowIndex, selected) {
+    if (selected) {
+      this.adapter_.addClassAtRowIndex(rowIndex, cssClasses.ROW_SELECTED);
+    } else {
+      this.adapter_.removeClassAtRowIndex(rowIndex, cssClasses.ROW_SELECTED);
+    }
+    this.adapter_.setAttributeAtRowIndex(rowIndex, strings.ARIA_SELECTED, String(selected));
+  }
+}
+
+export default MDCDataTableFoundation;
@@ -0,0 +1,258 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import MDCComponent from '@material/base/component';
+import {MDCCheckbox} from '@material/checkbox/index';
+
+import {MDCDataTableAdapter} from './adapter';
+import MDCDataTableFoundation from './foundation';
+import {SortValue, SortType} from './constants';
+import {MDCDataTablePagination, MDCDataTablePaginationFoundation} from './pagination/index';
+
+/**
+ * @extends {MDCComponent<!MDCDataTableFoundation>}
+ */
+class MDCDataTable extends MDCComponent {
+  /**
+   * @param {...?} args
+   */
+  constructor(...args) {
+    super(...args);
+
+    /** @private {?MDCCheckbox} */
+    this.headerRowCheckbox_;
+    /** @private {!Array<!MDCCheckbox>} */
+    this.rowCheckboxList_;
+    /** @private {(function(!Element): !MDCCheckbox)} */
+    this.checkboxFactory_;
+    /** @private {?MDCDataTablePagination} */
+    this.pagination_;
+    /** @private {?Element} */
+    this.headerRow_;
+    /** @private {?Element} */
+    this.content_;
+    /** @private {function(!Event): undefined} */
+    this.handleHeaderRowCheckboxChange_;
+    /** @private {function(!Event): undefined} */
+    this.handleRowCheckboxChange_;
+    /** @private {function(!Event): undefined} */
+    this.handleHeaderCellInteraction_;
+  }
+
+  /**
+   * @param {!Element} root
+   * @return {!MDCDataTable}
+   */
+  static attachTo(root) {
+    return new MDCDataTable(root);
+  }
+
+  /**
+   * @param {(function(!Element): !MDCCheckbox)=} checkboxFactory A function which creates a new MDCCheckbox.
+   * @param {(function(!Element): !MDCDataTablePagination)=} paginationFactory A function which creates a new
+   * MDCDataTablePagination.
+   */
+  initialize(
+    checkboxFactory = (el) => new MDCCheckbox(el),
+    paginationFactory = (el) => new MDCDataTablePagination(el)) {
+    this.checkboxFactory_ = checkboxFactory;
+    this.headerRowCheckbox_ = null;
+    this.rowCheckboxList_ = [];
+
+    const paginationElement = this.root_.querySelector(MDCDataTableFoundation.strings.PAGINATION_SELECTOR);
+    this.pagination_ = paginationElement ? paginationFactory(paginationElement) : null;
+  }
+
+  initialSyncWithDOM() {
+    const {HEADER_ROW_SELECTOR, CONTENT_SELECTOR} = MDCDataTableFoundation.strings;
+
+    this.headerRow_ = this.root_.querySelector(HEADER_ROW_SELECTOR);
+    this.handleHeaderRowCheckboxChange_ = () => this.foundation_.handleHeaderRowCheckboxChange();
+    this.handleHeaderCellInteraction_ = (evt) => this.foundation_.handleHeaderCellInteraction(evt);
+    if (this.headerRow_) {
+      this.headerRow_.addEventListener('change', this.handleHeaderRowCheckboxChange_);
+      ['click', 'keydown'].forEach((evtType) => {
+        this.headerRow_.addEventListener(evtType, this.handleHeaderCellInteraction_);
+      });
+    }
+
+    this.content_ = this.root_.querySelector(CONTENT_SELECTOR);
+    this.handleRowCheckboxChange_ = (evt) => this.foundation_.handleRowCheckboxChange(evt);
+    if (this.content_) {
+      this.content_.addEventListener('change', this.handleRowCheckboxChange_);
+    }
+
+    this.layout();
+  }
+
+  /**
+   * Re-initializes the row checkboxes. Call this after adding or removing rows.
+   */
+  layout() {
+    this.foundation_.layout();
+  }
+
+  /**
+   * @return {?MDCDataTablePagination} The pagination controls of the table, if any.
+   */
+  get pagination() {
+    return this.pagination_;
+  }
+
+  /**
+   * @return {!Array<!Element>} The body row elements of the table.
+   */
+  getRows() {
+    return [].slice.call(this.root_.querySelectorAll(MDCDataTableFoundation.strings.ROW_SELECTOR));
+  }
+
+  /**
+   * @return {!Array<?string>} Row ids of the currently selected rows.
+   */
+  getSelectedRowIds() {
+    return this.foundation_.getSelectedRowIds();
+  }
+
+  /**
+   * @param {!Array<string>} rowIds Row ids of the rows to select. All other rows are unselected.
+   */
+  setSelectedRowIds(rowIds) {
+    this.foundation_.setSelectedRowIds(rowIds);
+  }
+
+  /**
+   * Sorts the column with the given column id in the given direction. Other columns become unsorted.
+   * @param {string} columnId Value of the `data-column-id` attribute of the header cell.
+   * @param {!SortValue} sortValue
+   */
+  sort(columnId, sortValue) {
+    this.foundation_.sort(columnId, sortValue);
+  }
+
+  destroy() {
+    if (this.headerRow_) {
+      this.headerRow_.removeEventListener('change', this.handleHeaderRowCheckboxChange_);
+      ['click', 'keydown'].forEach((evtType) => {
+        this.headerRow_.removeEventListener(evtType, this.handleHeaderCellInteraction_);
+      });
+    }
+    if (this.content_) {
+      this.content_.removeEventListener('change', this.handleRowCheckboxChange_);
+    }
+    if (this.headerRowCheckbox_) {
+      this.headerRowCheckbox_.destroy();
+    }
+    this.rowCheckboxList_.forEach((checkbox) => checkbox.destroy());
+    if (this.pagination_) {
+      this.pagination_.destroy();
+    }
+    super.destroy();
+  }
+
+  /**
+   * @return {!MDCDataTableFoundation}
+   */
+  getDefaultFoundation() {
+    const {HEADER_ROW_CHECKBOX_SELECTOR, ROW_CHECKBOX_SELECTOR, ROW_ID_ATTR} = MDCDataTableFoundation.strings;
+    const {HEADER_CELL, ROW} = MDCDataTableFoundation.cssClasses;
+
+    return new MDCDataTableFoundation(/** @type {!MDCDataTableAdapter} */ (Object.assign({
+      addClassAtRowIndex: (rowIndex, className) => this.getRows()[rowIndex].classList.add(className),
+      removeClassAtRowIndex: (rowIndex, className) => this.getRows()[rowIndex].classList.remove(className),
+      setAttributeAtRowIndex: (rowIndex, attr, value) => this.getRows()[rowIndex].setAttribute(attr, value),
+      getRowCount: () => this.getRows().length,
+      getRowIdAtIndex: (rowIndex) => this.getRows()[rowIndex].getAttribute(ROW_ID_ATTR),
+      getRowIndexByChildElement: (el) => {
+        let rowEl = /** @type {?Element} */ (el);
+        while (rowEl && rowEl !== this.root_ && !rowEl.classList.contains(ROW)) {
+          rowEl = rowEl.parentElement;
+        }
+        return this.getRows().indexOf(rowEl);
+      },
+      isRowsSelectable: () => Boolean(this.root_.querySelector(HEADER_ROW_CHECKBOX_SELECTOR)),
+      registerHeaderRowCheckbox: () => {
+        if (this.headerRowCheckbox_) {
+          this.headerRowCheckbox_.destroy();
+        }
+        this.headerRowCheckbox_ = this.checkboxFactory_(this.root_.querySelector(HEADER_ROW_CHECKBOX_SELECTOR));
+      },
+      registerRowCheckboxes: () => {
+        this.rowCheckboxList_.forEach((checkbox) => checkbox.destroy());
+        this.rowCheckboxList_ = this.getRows().map(
+          (rowEl) => this.checkboxFactory_(rowEl.querySelector(ROW_CHECKBOX_SELECTOR)));
+      },
+      isHeaderRowCheckboxChecked: () => this.headerRowCheckbox_.checked,
+      setHeaderRowCheckboxChecked: (checked) => {
+        this.headerRowCheckbox_.checked = checked;
+      },
+      setHeaderRowCheckboxIndeterminate: (indeterminate) => {
+        this.headerRowCheckbox_.indeterminate = indeterminate;
+      },
+      isCheckboxAtRowIndexChecked: (rowIndex) => this.rowCheckboxList_[rowIndex].checked,
+      setRowCheckboxCheckedAtIndex: (rowIndex, checked) => {
+        this.rowCheckboxList_[rowIndex].checked = checked;
+      },
+      notifySelectionChanged: (evtData) => this.emit(MDCDataTableFoundation.strings.SELECTION_CHANGED_EVENT, evtData),
+      notifySelectedAll: () => this.emit(MDCDataTableFoundation.strings.SELECTED_ALL_EVENT, {}),
+      notifyUnselectedAll: () => this.emit(MDCDataTableFoundation.strings.UNSELECTED_ALL_EVENT, {}),
+      getHeaderCellCount: () => this.getHeaderCells_().length,
+      getHeaderCellIndexByChildElement: (el) => {
+        let cellEl = /** @type {?Element} */ (el);
+        while (cellEl && cellEl !== this.root_ && !cellEl.classList.contains(HEADER_CELL)) {
+          cellEl = cellEl.parentElement;
+        }
+        return this.getHeaderCells_().indexOf(cellEl);
+      },
+      addClassAtHeaderCellIndex: (columnIndex, className) =>
+        this.getHeaderCells_()[columnIndex].classList.add(className),
+      removeClassAtHeaderCellIndex: (columnIndex, className) =>
+        this.getHeaderCells_()[columnIndex].classList.remove(className),
+      hasClassAtHeaderCellIndex: (columnIndex, className) =>
+        this.getHeaderCells_()[columnIndex].classList.contains(className),
+      getAttributeAtHeaderCellIndex: (columnIndex, attr) => this.getHeaderCells_()[columnIndex].getAttribute(attr),
+      setAttributeAtHeaderCellIndex: (columnIndex, attr, value) =>
+        this.getHeaderCells_()[columnIndex].setAttribute(attr, value),
+      getCellTextAtIndex: (rowIndex, columnIndex) => this.getRows()[rowIndex].cells[columnIndex].textContent,
+      reorderRows: (rowIndexes) => {
+        const rows = this.getRows();
+        rowIndexes.forEach((rowIndex) => this.content_.appendChild(rows[rowIndex]));
+        if (this.rowCheckboxList_.length) {
+          const rowCheckboxList = this.rowCheckboxList_;
+          this.rowCheckboxList_ = rowIndexes.map((rowIndex) => rowCheckboxList[rowIndex]);
+        }
+      },
+      notifySorted: (evtData) => this.emitCancelable(MDCDataTableFoundation.strings.SORTED_EVENT, evtData),
+    })));
+  }
+
+  /**
+   * @return {!Array<!Element>}
+   * @private
+   */
+  getHeaderCells_() {
+    return [].slice.call(this.root_.querySelectorAll(MDCDataTableFoundation.strings.HEADER_CELL_SELECTOR));
+  }
+}
+
+export {
+  MDCDataTable,
+  MDCDataTableFoundation,
+  MDCDataTablePagination,
+  MDCDataTablePaginationFoundation,
+  SortValue,
+  SortType,
+};
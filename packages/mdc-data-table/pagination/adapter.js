@@ -0,0 +1,70 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+
+/**
+ * @typedef {{
+ *   offset: number,
+ *   limit: number,
+ * }}
+ */
+let MDCDataTablePageChangedEventDetail;
+
+/**
+ * Adapter for MDC Data Table Pagination.
+ *
+ * Defines the shape of the adapter expected by the foundation. Implement this
+ * adapter to integrate the Data Table pagination controls into your framework. See
+ * https://github.com/material-components/material-components-web/blob/master/docs/authoring-components.md
+ * for more information.
+ *
+ * @record
+ */
+class MDCDataTablePaginationAdapter {
+  /**
+   * @return {string} Value of the rows per page select.
+   */
+  getRowsPerPageSelectValue() {}
+
+  /**
+   * Sets the value of the rows per page select.
+   * @param {string} value
+   */
+  setRowsPerPageSelectValue(value) {}
+
+  /**
+   * Sets the text of the label describing the rows shown on the current page, e.g. "1–25 of 340".
+   * @param {string} text
+   */
+  setTotalLabel(text) {}
+
+  /**
+   * Sets the disabled state of the given navigation button.
+   * @param {string} pageButton One of the values of the PageButton enum.
+   * @param {boolean} disabled
+   */
+  setButtonDisabled(pageButton, disabled) {}
+
+  /**
+   * Emits an event when the current page or the number of rows per page changes.
+   * @param {!MDCDataTablePageChangedEventDetail} evtData
+   */
+  notifyPageChanged(evtData) {}
+}
+
+export {MDCDataTablePaginationAdapter, MDCDataTablePageChangedEventDetail};
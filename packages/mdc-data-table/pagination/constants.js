@@ -0,0 +1,50 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @enum {string} */
+const cssClasses = {
+  ROOT: 'mdc-data-table__pagination',
+};
+
+/** @enum {string} */
+const strings = {
+  FIRST_PAGE_BUTTON_SELECTOR: '.mdc-data-table__pagination-button--first',
+  LAST_PAGE_BUTTON_SELECTOR: '.mdc-data-table__pagination-button--last',
+  NEXT_PAGE_BUTTON_SELECTOR: '.mdc-data-table__pagination-button--next',
+  PREVIOUS_PAGE_BUTTON_SELECTOR: '.mdc-data-table__pagination-button--previous',
+  ROWS_PER_PAGE_SELECT_SELECTOR: '.mdc-data-table__pagination-rows-per-page-select',
+  TOTAL_SELECTOR: '.mdc-data-table__pagination-total',
+  TOTAL_COUNT_ATTR: 'data-total-count',
+  PAGE_CHANGED_EVENT: 'MDCDataTable:pageChanged',
+};
+
+/**
+ * Navigation buttons of the pagination controls.
+ * @enum {string}
+ */
+const PageButton = {
+  FIRST: 'first',
+  PREVIOUS: 'previous',
+  NEXT: 'next',
+  LAST: 'last',
+};
+
+export {
+  cssClasses,
+  strings,
+  PageButton,
+};
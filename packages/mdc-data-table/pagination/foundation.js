@@ -0,0 +1,216 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import MDCFoundation from '@material/base/foundation';
+import {MDCDataTablePaginationAdapter} from './adapter';
+import {cssClasses, strings, PageButton} from './constants';
+
+/**
+ * @extends {MDCFoundation<!MDCDataTablePaginationAdapter>}
+ */
+class MDCDataTablePaginationFoundation extends MDCFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /**
+   * {@see MDCDataTablePaginationAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCDataTablePaginationAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCDataTablePaginationAdapter} */ ({
+      getRowsPerPageSelectValue: () => '',
+      setRowsPerPageSelectValue: () => {},
+      setTotalLabel: () => {},
+      setButtonDisabled: () => {},
+      notifyPageChanged: () => {},
+    });
+  }
+
+  /** @param {!MDCDataTablePaginationAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCDataTablePaginationFoundation.defaultAdapter, adapter));
+
+    /** @private {number} */
+    this.offset_ = 0;
+
+    /** @private {number} */
+    this.rowsPerPage_ = 0;
+
+    /** @private {number} */
+    this.totalCount_ = 0;
+
+    /** @private {function(number, number, number): string} */
+    this.totalLabelFormatter_ = (firstRow, lastRow, totalCount) => `${firstRow}–${lastRow} of ${totalCount}`;
+  }
+
+  init() {
+    this.rowsPerPage_ = this.getRowsPerPageSelectValue_();
+    this.update_();
+  }
+
+  /**
+   * @return {number} Index of the first row on the current page.
+   */
+  getOffset() {
+    return this.offset_;
+  }
+
+  /**
+   * @return {number} Maximum number of rows on a page.
+   */
+  getRowsPerPage() {
+    return this.rowsPerPage_;
+  }
+
+  /**
+   * Sets the number of rows per page, keeping the first row of the current page visible.
+   * @param {number} rowsPerPage
+   */
+  setRowsPerPage(rowsPerPage) {
+    this.adapter_.setRowsPerPageSelectValue(String(rowsPerPage));
+    this.changeRowsPerPage_(rowsPerPage);
+  }
+
+  /**
+   * @return {number} Total number of rows across all pages.
+   */
+  getTotalCount() {
+    return this.totalCount_;
+  }
+
+  /**
+   * Sets the total number of rows across all pages. Moves to the last page if the current page no longer exists.
+   * @param {number} totalCount
+   */
+  setTotalCount(totalCount) {
+    this.totalCount_ = Math.max(0, totalCount);
+    if (this.offset_ > this.getLastPageOffset_()) {
+      this.goToOffset_(this.getLastPageOffset_());
+    } else {
+      this.update_();
+    }
+  }
+
+  /**
+   * Sets the function returning the text of the label describing the rows shown on the current page, for
+   * localization.
+   * @param {function(number, number, number): string} totalLabelFormatter Called with the 1-based numbers of the
+   *     first and last rows on the current page, and the total number of rows.
+   */
+  setTotalLabelFormatter(totalLabelFormatter) {
+    this.totalLabelFormatter_ = totalLabelFormatter;
+    this.update_();
+  }
+
+  goToFirstPage() {
+    this.goToOffset_(0);
+  }
+
+  goToPreviousPage() {
+    this.goToOffset_(Math.max(0, this.offset_ - this.rowsPerPage_));
+  }
+
+  goToNextPage() {
+    this.goToOffset_(Math.min(this.getLastPageOffset_(), this.offset_ + this.rowsPerPage_));
+  }
+
+  goToLastPage() {
+    this.goToOffset_(this.getLastPageOffset_());
+  }
+
+  /**
+   * Handles the change event of the rows per page select.
+   */
+  handleRowsPerPageChange() {
+    this.changeRowsPerPage_(this.getRowsPerPageSelectValue_());
+  }
+
+  /**
+   * @param {number} rowsPerPage
+   * @private
+   */
+  changeRowsPerPage_(rowsPerPage) {
+    if (!(rowsPerPage > 0) || rowsPerPage === this.rowsPerPage_) {
+      return;
+    }
+
+    this.rowsPerPage_ = rowsPerPage;
+    this.offset_ = Math.floor(this.offset_ / rowsPerPage) * rowsPerPage;
+    this.update_();
+    this.adapter_.notifyPageChanged({offset: this.offset_, limit: this.rowsPerPage_});
+  }
+
+  /**
+   * @param {number} offset
+   * @private
+   */
+  goToOffset_(offset) {
+    if (offset === this.offset_) {
+      return;
+    }
+
+    this.offset_ = offset;
+    this.update_();
+    this.adapter_.notifyPageChanged({offset: this.offset_, limit: this.rowsPerPage_});
+  }
+
+  /**
+   * @return {number} Index of the first row on the last page.
+   * @private
+   */
+  getLastPageOffset_() {
+    if (this.totalCount_ === 0 || this.rowsPerPage_ === 0) {
+      return 0;
+    }
+    return Math.floor((this.totalCount_ - 1) / this.rowsPerPage_) * this.rowsPerPage_;
+  }
+
+  /**
+   * @return {number}
+   * @private
+   */
+  getRowsPerPageSelectValue_() {
+    return parseInt(this.adapter_.getRowsPerPageSelectValue(), 10) || 0;
+  }
+
+  /**
+   * Updates the total label and the disabled state of the navigation buttons to reflect the current page.
+   * @private
+   */
+  update_() {
+    const firstRow = this.totalCount_ === 0 ? 0 : this.offset_ + 1;
+    const lastRow = Math.min(this.offset_ + this.rowsPerPage_, this.totalCount_);
+    this.adapter_.setTotalLabel(this.totalLabelFormatter_(firstRow, lastRow, this.totalCount_));
+
+    const isFirstPage = this.offset_ === 0;
+    const isLastPage = this.offset_ >= this.getLastPageOffset_();
+    this.adapter_.setButtonDisabled(PageButton.FIRST, isFirstPage);
+    this.adapter_.setButtonDisabled(PageButton.PREVIOUS, isFirstPage);
+    this.adapter_.setButtonDisabled(PageButton.NEXT, isLastPage);
+    this.adapter_.setButtonDisabled(PageButton.LAST, isLastPage);
+  }
+}
+
+export default MDCDataTablePaginationFoundation;
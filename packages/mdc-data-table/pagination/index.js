@@ -0,0 +1,212 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import MDCComponent from '@material/base/component';
+import {MDCRipple} from '@material/ripple/index';
+import {MDCSelect} from '@material/select/index';
+
+import {MDCDataTablePaginationAdapter} from './adapter';
+import MDCDataTablePaginationFoundation from './foundation';
+import {PageButton} from './constants';
+
+/**
+ * @extends {MDCComponent<!MDCDataTablePaginationFoundation>}
+ * @final
+ */
+class MDCDataTablePagination extends MDCComponent {
+  /**
+   * @param {...?} args
+   */
+  constructor(...args) {
+    super(...args);
+
+    /** @private {!Object<string, ?Element>} */
+    this.buttons_;
+    /** @private {!Array<!MDCRipple>} */
+    this.buttonRipples_;
+    /** @private {?MDCSelect} */
+    this.rowsPerPageSelect_;
+    /** @private {?Element} */
+    this.totalEl_;
+    /** @private {!Object<string, function(!Event): undefined>} */
+    this.buttonClickHandlers_;
+    /** @private {function(!Event): undefined} */
+    this.handleRowsPerPageChange_;
+  }
+
+  /**
+   * @param {!Element} root
+   * @return {!MDCDataTablePagination}
+   */
+  static attachTo(root) {
+    return new MDCDataTablePagination(root);
+  }
+
+  /**
+   * @param {(function(!Element): !MDCRipple)=} rippleFactory A function which creates a new MDCRipple.
+   * @param {(function(!Element): !MDCSelect)=} selectFactory A function which creates a new MDCSelect.
+   */
+  initialize(
+    rippleFactory = (el) => MDCRipple.attachTo(el, {isUnbounded: true}),
+    selectFactory = (el) => new MDCSelect(el)) {
+    const {
+      FIRST_PAGE_BUTTON_SELECTOR, PREVIOUS_PAGE_BUTTON_SELECTOR, NEXT_PAGE_BUTTON_SELECTOR, LAST_PAGE_BUTTON_SELECTOR,
+      ROWS_PER_PAGE_SELECT_SELECTOR, TOTAL_SELECTOR,
+    } = MDCDataTablePaginationFoundation.strings;
+
+    this.buttons_ = {
+      [PageButton.FIRST]: this.root_.querySelector(FIRST_PAGE_BUTTON_SELECTOR),
+      [PageButton.PREVIOUS]: this.root_.querySelector(PREVIOUS_PAGE_BUTTON_SELECTOR),
+      [PageButton.NEXT]: this.root_.querySelector(NEXT_PAGE_BUTTON_SELECTOR),
+      [PageButton.LAST]: this.root_.querySelector(LAST_PAGE_BUTTON_SELECTOR),
+    };
+    this.buttonRipples_ = Object.keys(this.buttons_)
+      .filter((pageButton) => this.buttons_[pageButton])
+      .map((pageButton) => rippleFactory(this.buttons_[pageButton]));
+
+    const selectEl = this.root_.querySelector(ROWS_PER_PAGE_SELECT_SELECTOR);
+    this.rowsPerPageSelect_ = selectEl ? selectFactory(selectEl) : null;
+    this.totalEl_ = this.root_.querySelector(TOTAL_SELECTOR);
+  }
+
+  initialSyncWithDOM() {
+    this.buttonClickHandlers_ = {
+      [PageButton.FIRST]: () => this.foundation_.goToFirstPage(),
+      [PageButton.PREVIOUS]: () => this.foundation_.goToPreviousPage(),
+      [PageButton.NEXT]: () => this.foundation_.goToNextPage(),
+      [PageButton.LAST]: () => this.foundation_.goToLastPage(),
+    };
+    Object.keys(this.buttons_).forEach((pageButton) => {
+      if (this.buttons_[pageButton]) {
+        this.buttons_[pageButton].addEventListener('click', this.buttonClickHandlers_[pageButton]);
+      }
+    });
+
+    this.handleRowsPerPageChange_ = () => this.foundation_.handleRowsPerPageChange();
+    if (this.rowsPerPageSelect_) {
+      this.rowsPerPageSelect_.listen('change', this.handleRowsPerPageChange_);
+    }
+
+    const totalCount = this.root_.getAttribute(MDCDataTablePaginationFoundation.strings.TOTAL_COUNT_ATTR);
+    if (totalCount) {
+      this.totalCount = parseInt(totalCount, 10);
+    }
+  }
+
+  destroy() {
+    Object.keys(this.buttons_).forEach((pageButton) => {
+      if (this.buttons_[pageButton]) {
+        this.buttons_[pageButton].removeEventListener('click', this.buttonClickHandlers_[pageButton]);
+      }
+    });
+    this.buttonRipples_.forEach((ripple) => ripple.destroy());
+    if (this.rowsPerPageSelect_) {
+      this.rowsPerPageSelect_.unlisten('change', this.handleRowsPerPageChange_);
+      this.rowsPerPageSelect_.destroy();
+    }
+    super.destroy();
+  }
+
+  /**
+   * @return {number} Index of the first row on the current page.
+   */
+  get offset() {
+    return this.foundation_.getOffset();
+  }
+
+  /**
+   * @return {number} Maximum number of rows on a page.
+   */
+  get rowsPerPage() {
+    return this.foundation_.getRowsPerPage();
+  }
+
+  /**
+   * @param {number} rowsPerPage
+   */
+  set rowsPerPage(rowsPerPage) {
+    this.foundation_.setRowsPerPage(rowsPerPage);
+  }
+
+  /**
+   * @return {number} Total number of rows across all pages.
+   */
+  get totalCount() {
+    return this.foundation_.getTotalCount();
+  }
+
+  /**
+   * @param {number} totalCount
+   */
+  set totalCount(totalCount) {
+    this.foundation_.setTotalCount(totalCount);
+  }
+
+  /**
+   * Sets the function returning the text of the label describing the rows shown on the current page, for
+   * localization.
+   * @param {function(number, number, number): string} totalLabelFormatter Called with the 1-based numbers of the
+   *     first and last rows on the current page, and the total number of rows.
+   */
+  set totalLabelFormatter(totalLabelFormatter) {
+    this.foundation_.setTotalLabelFormatter(totalLabelFormatter);
+  }
+
+  goToFirstPage() {
+    this.foundation_.goToFirstPage();
+  }
+
+  goToPreviousPage() {
+    this.foundation_.goToPreviousPage();
+  }
+
+  goToNextPage() {
+    this.foundation_.goToNextPage();
+  }
+
+  goToLastPage() {
+    this.foundation_.goToLastPage();
+  }
+
+  /**
+   * @return {!MDCDataTablePaginationFoundation}
+   */
+  getDefaultFoundation() {
+    return new MDCDataTablePaginationFoundation(/** @type {!MDCDataTablePaginationAdapter} */ (Object.assign({
+      getRowsPerPageSelectValue: () => this.rowsPerPageSelect_ ? this.rowsPerPageSelect_.value : '',
+      setRowsPerPageSelectValue: (value) => {
+        if (this.rowsPerPageSelect_) {
+          this.rowsPerPageSelect_.value = value;
+        }
+      },
+      setTotalLabel: (text) => {
+        if (this.totalEl_) {
+          this.totalEl_.textContent = text;
+        }
+      },
+      setButtonDisabled: (pageButton, disabled) => {
+        if (this.buttons_[pageButton]) {
+          this.buttons_[pageButton].disabled = disabled;
+        }
+      },
+      notifyPageChanged: (evtData) =>
+        this.emit(MDCDataTablePaginationFoundation.strings.PAGE_CHANGED_EVENT, evtData, true /* shouldBubble */),
+    })));
+  }
+}
+
+export {MDCDataTablePagination, MDCDataTablePaginationFoundation};
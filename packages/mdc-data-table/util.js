@@ -0,0 +1,90 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {SortType} from './constants';
+
+/**
+ * Compares two values which were parsed from cell text, ordering values that could not be parsed (NaN) last in
+ * both directions.
+ * @param {number} a
+ * @param {number} b
+ * @param {number} direction 1 for ascending order, -1 for descending order.
+ * @return {number}
+ * @private
+ */
+function compareParsedValues_(a, b, direction) {
+  if (isNaN(a) || isNaN(b)) {
+    return Number(isNaN(a)) - Number(isNaN(b));
+  }
+  return direction * (a - b);
+}
+
+/**
+ * Compares the text content of two cells alphabetically, ignoring case.
+ * @param {string} a
+ * @param {string} b
+ * @param {number=} direction 1 for ascending order, -1 for descending order.
+ * @return {number}
+ */
+function compareStrings(a, b, direction = 1) {
+  return direction * a.trim().toLowerCase().localeCompare(b.trim().toLowerCase());
+}
+
+/**
+ * Compares the text content of two cells numerically. Characters other than digits, the decimal point and the
+ * minus sign (e.g. thousands separators or units) are ignored. Cells that are not numbers are ordered last.
+ * @param {string} a
+ * @param {string} b
+ * @param {number=} direction 1 for ascending order, -1 for descending order.
+ * @return {number}
+ */
+function compareNumbers(a, b, direction = 1) {
+  const parse = (text) => parseFloat(text.replace(/[^\d.-]/g, ''));
+  return compareParsedValues_(parse(a), parse(b), direction);
+}
+
+/**
+ * Compares the text content of two cells as dates, using any format understood by `Date.parse`. Cells that are not
+ * dates are ordered last.
+ * @param {string} a
+ * @param {string} b
+ * @param {number=} direction 1 for ascending order, -1 for descending order.
+ * @return {number}
+ */
+function compareDates(a, b, direction = 1) {
+  return compareParsedValues_(Date.parse(a.trim()), Date.parse(b.trim()), direction);
+}
+
+/**
+ * Returns the built-in comparator for the given sort type, or null if the sort type is unknown.
+ * @param {?string} sortType
+ * @return {?function(string, string, number=): number}
+ */
+function getComparator(sortType) {
+  switch (sortType) {
+  case SortType.STRING:
+    return compareStrings;
+  case SortType.NUMERIC:
+    return compareNumbers;
+  case SortType.DATE:
+    return compareDates;
+  default:
+    return null;
+  }
+}
+
+export {compareStrings, compareNumbers, compareDates, getComparator};
@@ -53,6 +53,7 @@ export class MDCSlidableDrawerFoundation extends MDCFoundation {
     this.transitionEndHandler_ = (evt) => this.handleTransitionEnd_(evt);
 
     this.inert_ = false;
+    this.isDragging_ = false;
 
     this.componentTouchStartHandler_ = (evt) => this.handleTouchStart_(evt);
     this.componentTouchMoveHandler_ = (evt) => this.handleTouchMove_(evt);
@@ -171,7 +172,9 @@ export class MDCSlidableDrawerFoundation extends MDCFoundation {
       return;
     }
 
-    this.direction_ = this.adapter_.isRtl() ? -1 : 1;
+    this.isDragging_ = true;
+    // The drawer closes towards the edge it is anchored to, which is mirrored in RTL.
+    this.direction_ = (this.adapter_.isRtl() ? -1 : 1) * (this.isAnchoredToTrailingEdge_() ? -1 : 1);
     this.drawerWidth_ = this.adapter_.getDrawerWidth();
     this.startX_ = evt.touches ? evt.touches[0].pageX : evt.pageX;
     this.currentX_ = this.startX_;
@@ -180,6 +183,9 @@ export class MDCSlidableDrawerFoundation extends MDCFoundation {
   }
 
   handleTouchMove_(evt) {
+    if (!this.isDragging_) {
+      return;
+    }
     if (evt.pointerType && evt.pointerType !== 'touch') {
       return;
     }
@@ -188,10 +194,14 @@ export class MDCSlidableDrawerFoundation extends MDCFoundation {
   }
 
   handleTouchEnd_(evt) {
+    if (!this.isDragging_) {
+      return;
+    }
     if (evt.pointerType && evt.pointerType !== 'touch') {
       return;
     }
 
+    this.isDragging_ = false;
     this.prepareForTouchEnd_();
 
     // Did the user close the drawer by more than 50%?
@@ -225,6 +235,12 @@ export class MDCSlidableDrawerFoundation extends MDCFoundation {
     return newPos;
   }
 
+  isAnchoredToTrailingEdge_() {
+    // Classes extending MDCSlidableDrawerFoundation should override this method to return true if the drawer is
+    // anchored to the trailing edge, so that it is closed by sliding it towards that edge.
+    return false;
+  }
+
   isRootTransitioningEventTarget_() {
     // Classes extending MDCSlidableDrawerFoundation should implement this method to return true or false
     // if the event target is the root event target currently transitioning.
@@ -18,7 +18,7 @@
 /* eslint no-unused-vars: [2, {"args": "none"}] */
 
 /**
- * Adapter for MDC List. Provides an interface for managing focus.
+ * Adapter for MDC List. Provides an interface for managing focus, selection and reordering.
  *
  * Additionally, provides type information for the adapter to the Closure
  * compiler.
@@ -54,6 +54,169 @@ class MDCListAdapter {
    * @param {Number} tabIndexValue
    */
   setTabIndexForListItemChildren(listItemIndex, tabIndexValue) {}
+
+  /**
+   * Returns the text of the list item at the index specified, which typeahead matches typed characters against.
+   * @param {Number} ndx
+   * @return {string}
+   */
+  getListItemTextAtIndex(ndx) {}
+
+  /**
+   * @param {Number} ndx
+   * @return {boolean} Whether the list item at the index specified is disabled, which typeahead skips.
+   */
+  isListItemDisabledAtIndex(ndx) {}
+
+  /**
+   * Sets an attribute of the list item at the index specified.
+   * @param {Number} ndx
+   * @param {string} attr
+   * @param {string} value
+   */
+  setAttributeForElementIndex(ndx, attr, value) {}
+
+  /**
+   * Adds a class to the list item at the index specified.
+   * @param {Number} ndx
+   * @param {string} className
+   */
+  addClassForElementIndex(ndx, className) {}
+
+  /**
+   * Removes a class from the list item at the index specified.
+   * @param {Number} ndx
+   * @param {string} className
+   */
+  removeClassForElementIndex(ndx, className) {}
+
+  /**
+   * @param {Number} ndx
+   * @return {boolean} Whether the list item at the index specified contains a checkbox.
+   */
+  hasCheckboxAtIndex(ndx) {}
+
+  /**
+   * @param {Number} ndx
+   * @return {boolean} Whether the list item at the index specified contains a radio button.
+   */
+  hasRadioAtIndex(ndx) {}
+
+  /**
+   * @param {Number} ndx
+   * @return {boolean} Whether the checkbox or radio button in the list item at the index specified is checked.
+   */
+  isCheckboxCheckedAtIndex(ndx) {}
+
+  /**
+   * Checks or unchecks the checkbox or radio button in the list item at the index specified.
+   * @param {Number} ndx
+   * @param {boolean} isChecked
+   */
+  setCheckedCheckboxOrRadioAtIndex(ndx, isChecked) {}
+
+  /**
+   * Notifies listeners that the list item at the index specified was activated by a click, `Enter` or `Space`.
+   * @param {Number} ndx
+   */
+  notifyAction(ndx) {}
+
+  /**
+   * Adds a class to the root element.
+   * @param {string} className
+   */
+  addClass(className) {}
+
+  /**
+   * Removes a class from the root element.
+   * @param {string} className
+   */
+  removeClass(className) {}
+
+  /**
+   * Sets a style property of the list item at the index specified.
+   * @param {Number} ndx
+   * @param {string} propertyName
+   * @param {string} value
+   */
+  setStyleForElementIndex(ndx, propertyName, value) {}
+
+  /**
+   * @param {Number} ndx
+   * @return {!ClientRect} The client rect of the list item at the index specified.
+   */
+  getListItemClientRectAtIndex(ndx) {}
+
+  /** @return {!ClientRect} The client rect of the root element. */
+  getListClientRect() {}
+
+  /** @return {number} */
+  getListScrollTop() {}
+
+  /** @param {number} scrollTop */
+  setListScrollTop(scrollTop) {}
+
+  /**
+   * Registers an event handler on the body, e.g. for mouse moves while dragging a list item.
+   * @param {string} evtType
+   * @param {!EventListener} handler
+   */
+  registerBodyInteractionHandler(evtType, handler) {}
+
+  /**
+   * Deregisters an event handler from the body.
+   * @param {string} evtType
+   * @param {!EventListener} handler
+   */
+  deregisterBodyInteractionHandler(evtType, handler) {}
+
+  /**
+   * Moves the list item at the index specified so that it ends up at the new index.
+   * @param {Number} fromIndex
+   * @param {Number} toIndex
+   */
+  moveListItem(fromIndex, toIndex) {}
+
+  /**
+   * Notifies listeners that the list item at the index specified is about to be moved to the new index.
+   * @param {Number} fromIndex
+   * @param {Number} toIndex
+   * @return {boolean} False if a listener canceled the move.
+   */
+  notifyReorder(fromIndex, toIndex) {}
+
+  /**
+   * Announces the new position of a moved list item to assistive technology.
+   * @param {Number} ndx
+   */
+  announceReorder(ndx) {}
+
+  /**
+   * @param {Number} ndx
+   * @return {number} The level of the list item of a tree list at the index specified, starting at 1.
+   */
+  getListItemLevelAtIndex(ndx) {}
+
+  /**
+   * @param {Number} ndx
+   * @return {boolean} Whether the list item of a tree list at the index specified has child items, which may not be
+   *     loaded yet.
+   */
+  isListItemExpandableAtIndex(ndx) {}
+
+  /**
+   * @param {Number} ndx
+   * @return {boolean} Whether the list item of a tree list at the index specified is expanded.
+   */
+  isListItemExpandedAtIndex(ndx) {}
+
+  /**
+   * Starts loading the child items of the list item of a tree list at the index specified. Once they are added after
+   * the list item, or loading failed, the foundation's `handleChildItemsLoaded` method needs to be called.
+   * @param {Number} ndx
+   * @return {boolean} Whether loading started.
+   */
+  loadChildItemsAtIndex(ndx) {}
 }
 
 export {MDCListAdapter};
@@ -18,14 +18,48 @@
 /** @enum {string} */
 const cssClasses = {
   LIST_ITEM_CLASS: 'mdc-list-item',
+  LIST_ITEM_SELECTED_CLASS: 'mdc-list-item--selected',
+  LIST_ITEM_ACTIVATED_CLASS: 'mdc-list-item--activated',
+  LIST_ITEM_DRAGGING_CLASS: 'mdc-list-item--dragging',
+  LIST_ITEM_DROP_BEFORE_CLASS: 'mdc-list-item--drop-before',
+  LIST_ITEM_DROP_AFTER_CLASS: 'mdc-list-item--drop-after',
+  LIST_ITEM_HIDDEN_CLASS: 'mdc-list-item--hidden',
+  LIST_REORDERABLE_CLASS: 'mdc-list--reorderable',
+  LIST_DRAGGING_CLASS: 'mdc-list--dragging',
+  LIST_TREE_CLASS: 'mdc-list--tree',
 };
 
 /** @enum {string} */
 const strings = {
+  ACTION_EVENT: 'MDCList:action',
+  ARIA_BUSY: 'aria-busy',
+  ARIA_CHECKED: 'aria-checked',
+  ARIA_DISABLED: 'aria-disabled',
+  ARIA_EXPANDED: 'aria-expanded',
+  ARIA_LEVEL: 'aria-level',
   ARIA_ORIENTATION: 'aria-orientation',
   ARIA_ORIENTATION_VERTICAL: 'vertical',
+  ARIA_SELECTED: 'aria-selected',
+  CHECKBOX_SELECTOR: 'input[type="checkbox"]',
   FOCUSABLE_CHILD_ELEMENTS: 'button:not(:disabled), a',
   ITEMS_SELECTOR: '.mdc-list-item',
+  RADIO_SELECTOR: 'input[type="radio"]',
+  REORDER_EVENT: 'MDCList:reorder',
+  SELECTED_ITEM_SELECTOR: '.mdc-list-item--selected, .mdc-list-item--activated',
 };
 
-export {strings, cssClasses};
+/** @enum {number} */
+const numbers = {
+  // Time after the last typed character at which typeahead starts over with the next typed character.
+  TYPEAHEAD_BUFFER_CLEAR_TIMEOUT_MS: 500,
+  // Distance the mouse needs to move with the button pressed to start dragging a list item, so that clicks still work.
+  DRAG_THRESHOLD_PX: 5,
+  // Time a list item needs to be touched without moving to start dragging it, so that touch scrolling still works.
+  LONG_PRESS_DELAY_MS: 500,
+  // Distance from the top or bottom edge of the list within which dragging scrolls the list.
+  AUTO_SCROLL_EDGE_PX: 48,
+  // Distance the list scrolls per frame while dragging at its very edge.
+  AUTO_SCROLL_MAX_STEP_PX: 16,
+};
+
+export {strings, cssClasses, numbers};
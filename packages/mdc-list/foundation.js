@@ -16,9 +16,29 @@
  */
 
 import MDCFoundation from '@material/base/foundation';
-import {strings, cssClasses} from './constants';
+import {strings, cssClasses, numbers} from './constants';
+import {MDCListTypeahead} from './typeahead';
 
 const ELEMENTS_KEY_ALLOWED_IN = ['input', 'button', 'textarea', 'select'];
+const ELEMENTS_TYPEAHEAD_IGNORED_IN = ['input', 'textarea', 'select'];
+
+/**
+ * @param {number} index
+ * @param {number} fromIndex
+ * @param {number} toIndex
+ * @return {number} The index of the list item at the index specified after moving a list item from and to the indexes
+ *     specified.
+ */
+function getIndexAfterMove(index, fromIndex, toIndex) {
+  if (index === fromIndex) {
+    return toIndex;
+  } else if (fromIndex < index && index <= toIndex) {
+    return index - 1;
+  } else if (toIndex <= index && index < fromIndex) {
+    return index + 1;
+  }
+  return index;
+}
 
 class MDCListFoundation extends MDCFoundation {
   static get strings() {
@@ -29,6 +49,10 @@ class MDCListFoundation extends MDCFoundation {
     return cssClasses;
   }
 
+  static get numbers() {
+    return numbers;
+  }
+
   static get defaultAdapter() {
     return /** {MDCListAdapter */ ({
       getListItemCount: () => {},
@@ -36,6 +60,32 @@ class MDCListFoundation extends MDCFoundation {
       getListItemIndex: () => {},
       focusItemAtIndex: () => {},
       setTabIndexForListItemChildren: () => {},
+      getListItemTextAtIndex: () => '',
+      isListItemDisabledAtIndex: () => false,
+      setAttributeForElementIndex: () => {},
+      addClassForElementIndex: () => {},
+      removeClassForElementIndex: () => {},
+      hasCheckboxAtIndex: () => false,
+      hasRadioAtIndex: () => false,
+      isCheckboxCheckedAtIndex: () => false,
+      setCheckedCheckboxOrRadioAtIndex: () => {},
+      notifyAction: () => {},
+      addClass: () => {},
+      removeClass: () => {},
+      setStyleForElementIndex: () => {},
+      getListItemClientRectAtIndex: () => ({top: 0, right: 0, bottom: 0, left: 0, width: 0, height: 0}),
+      getListClientRect: () => ({top: 0, right: 0, bottom: 0, left: 0, width: 0, height: 0}),
+      getListScrollTop: () => 0,
+      setListScrollTop: () => {},
+      registerBodyInteractionHandler: () => {},
+      deregisterBodyInteractionHandler: () => {},
+      moveListItem: () => {},
+      notifyReorder: () => true,
+      announceReorder: () => {},
+      getListItemLevelAtIndex: () => 1,
+      isListItemExpandableAtIndex: () => false,
+      isListItemExpandedAtIndex: () => false,
+      loadChildItemsAtIndex: () => false,
     });
   }
 
@@ -45,6 +95,73 @@ class MDCListFoundation extends MDCFoundation {
     this.wrapFocus_ = false;
     /** {boolean} */
     this.isVertical_ = true;
+    /** {!MDCListTypeahead} */
+    this.typeahead_ = new MDCListTypeahead();
+    /** {boolean} */
+    this.isSingleSelectionList_ = false;
+    /** {boolean} */
+    this.useActivatedClass_ = false;
+    /** {boolean} */
+    this.isCheckboxList_ = false;
+    /** {boolean} */
+    this.isRadioList_ = false;
+    /** {number|!Array<number>} */
+    this.selectedIndex_ = -1;
+    /**
+     * Index of the checkbox item clicked last, from which a Shift+click selects a range of items.
+     * {number}
+     */
+    this.rangeAnchorIndex_ = -1;
+    /** {boolean} */
+    this.isReorderable_ = false;
+    /** {boolean} */
+    this.isTree_ = false;
+    /**
+     * Whether the list items of a tree list are hidden within a collapsed list item, by index.
+     * {!Array<boolean>}
+     */
+    this.hiddenItems_ = [];
+    /**
+     * The list item which is pressed or dragged.
+     * {?{fromIndex: number, toIndex: number, isTouch: boolean, isDragging: boolean, startX: number, startY: number,
+     *     x: number, y: number, startScrollTop: number}}
+     */
+    this.dragState_ = null;
+    /** {number} */
+    this.longPressTimerId_ = 0;
+    /** {number} */
+    this.autoScrollFrameId_ = 0;
+    /**
+     * Whether to ignore the click which the browser dispatches after dragging a list item with the mouse.
+     * {boolean}
+     */
+    this.suppressClick_ = false;
+    /** {function(!Event)} */
+    this.mouseMoveHandler_ = (evt) => this.handlePointerMove_(evt.clientX, evt.clientY);
+    /** {function(!Event)} */
+    this.mouseUpHandler_ = () => this.handleMouseUp_();
+  }
+
+  destroy() {
+    this.typeahead_.clear();
+    this.endDrag_(false);
+  }
+
+  /**
+   * Determines whether the list is a checkbox or radio list from its first list item. Call this whenever list items
+   * are added or removed.
+   */
+  layout() {
+    const hasItems = this.adapter_.getListItemCount() > 0;
+    this.isCheckboxList_ = hasItems && this.adapter_.hasCheckboxAtIndex(0);
+    this.isRadioList_ = hasItems && !this.isCheckboxList_ && this.adapter_.hasRadioAtIndex(0);
+    if (this.isCheckboxList_ !== Array.isArray(this.selectedIndex_)) {
+      this.selectedIndex_ = this.isCheckboxList_ ? [] : -1;
+    }
+    this.rangeAnchorIndex_ = -1;
+    if (this.isTree_) {
+      this.updateTreeItems_();
+    }
   }
 
   /**
@@ -63,6 +180,121 @@ class MDCListFoundation extends MDCFoundation {
     this.isVertical_ = value;
   }
 
+  /**
+   * Sets whether one list item at a time can be selected by clicking it or pressing `Enter` or `Space`.
+   * @param {boolean} value
+   */
+  setSingleSelection(value) {
+    this.isSingleSelectionList_ = value;
+  }
+
+  /**
+   * Sets whether the list is a tree list, whose list items can be expanded to show the list items after them with a
+   * higher level, and collapsed to hide them.
+   * @param {boolean} value
+   */
+  setTree(value) {
+    this.isTree_ = value;
+    this.updateTreeItems_();
+  }
+
+  /**
+   * Expands or collapses the list item of a tree list at the index specified. Expanding a list item whose child items
+   * are not there yet starts loading them.
+   * @param {number} index
+   * @param {boolean} isExpanded
+   */
+  setExpandedAtIndex(index, isExpanded) {
+    if (!this.isTree_ || !this.adapter_.isListItemExpandableAtIndex(index) ||
+        this.adapter_.isListItemExpandedAtIndex(index) === isExpanded) {
+      return;
+    }
+
+    if (isExpanded && !this.hasChildItems_(index)) {
+      if (!this.adapter_.loadChildItemsAtIndex(index)) {
+        return;
+      }
+      this.adapter_.setAttributeForElementIndex(index, strings.ARIA_BUSY, 'true');
+    }
+
+    if (!isExpanded) {
+      // Keeps the focus from getting lost when a child item is focused.
+      const focusedIndex = this.adapter_.getFocusedElementIndex();
+      if (focusedIndex > index && focusedIndex <= this.getLastDescendantIndex_(index)) {
+        this.adapter_.focusItemAtIndex(index);
+      }
+    }
+    this.adapter_.setAttributeForElementIndex(index, strings.ARIA_EXPANDED, isExpanded ? 'true' : 'false');
+    this.updateTreeItems_();
+  }
+
+  /**
+   * Shows the child items of the list item of a tree list at the index specified once they were loaded. Collapses the
+   * list item again if loading failed, so that expanding it retries. Call this after adding the child items and
+   * calling `layout()`.
+   * @param {number} index
+   */
+  handleChildItemsLoaded(index) {
+    this.adapter_.setAttributeForElementIndex(index, strings.ARIA_BUSY, 'false');
+    if (!this.hasChildItems_(index)) {
+      this.adapter_.setAttributeForElementIndex(index, strings.ARIA_EXPANDED, 'false');
+    }
+    this.updateTreeItems_();
+  }
+
+  /**
+   * Sets whether list items can be reordered by dragging them, or by pressing `Alt` with the arrow keys.
+   * @param {boolean} value
+   */
+  setReorderable(value) {
+    this.isReorderable_ = value;
+    if (value) {
+      this.adapter_.addClass(cssClasses.LIST_REORDERABLE_CLASS);
+    } else {
+      this.endDrag_(false);
+      this.adapter_.removeClass(cssClasses.LIST_REORDERABLE_CLASS);
+    }
+  }
+
+  /**
+   * Sets whether the selected list item of a single selection list is styled with the activated class instead of the
+   * selected class, e.g. for the current page in a navigation list.
+   * @param {boolean} value
+   */
+  setUseActivatedClass(value) {
+    this.useActivatedClass_ = value;
+  }
+
+  /**
+   * @return {number|!Array<number>} The index of the selected list item, or -1 if none is selected. The sorted indexes
+   *     of the checked list items in checkbox lists.
+   */
+  getSelectedIndex() {
+    return Array.isArray(this.selectedIndex_) ? this.selectedIndex_.slice() : this.selectedIndex_;
+  }
+
+  /**
+   * Selects the list item at the index specified, or checks the list items at the indexes specified in checkbox lists.
+   * Does nothing if the index is not valid for the type of list.
+   * @param {number|!Array<number>} index
+   */
+  setSelectedIndex(index) {
+    if (!this.isIndexValid_(index)) {
+      return;
+    }
+
+    if (this.isCheckboxList_) {
+      const count = this.adapter_.getListItemCount();
+      for (let i = 0; i < count; i++) {
+        this.setCheckboxAtIndex_(i, index.indexOf(i) !== -1);
+      }
+    } else if (this.isRadioList_) {
+      this.setRadioAtIndex_(index);
+    } else {
+      this.setSingleSelectionAtIndex_(index);
+    }
+  }
+
   /**
    * Focus in handler for the list items.
    * @param evt
@@ -85,6 +317,36 @@ class MDCListFoundation extends MDCFoundation {
     this.adapter_.setTabIndexForListItemChildren(this.adapter_.getListItemIndex(listItem), -1);
   }
 
+  /**
+   * Click handler for the list. Selects or toggles the clicked list item and notifies of the action. Shift+click on an
+   * item of a checkbox list checks or unchecks all items between it and the item clicked before.
+   * @param {!Event} evt
+   */
+  handleClick(evt) {
+    if (this.suppressClick_) {
+      return;
+    }
+
+    const tagName = `${evt.target.tagName}`.toLowerCase();
+    if (tagName === 'label') {
+      // Clicking a label also dispatches a click on its checkbox or radio button, which is handled instead.
+      return;
+    }
+
+    const listItem = this.getListItem_(evt.target);
+    const index = listItem ? this.adapter_.getListItemIndex(listItem) : -1;
+    if (index < 0 || this.adapter_.isListItemDisabledAtIndex(index)) {
+      return;
+    }
+
+    if (this.isTree_ && tagName !== 'input' && this.adapter_.isListItemExpandableAtIndex(index)) {
+      this.setExpandedAtIndex(index, !this.adapter_.isListItemExpandedAtIndex(index));
+    }
+
+    // The browser already toggled a checkbox or radio button that was clicked itself.
+    this.handleAction_(index, tagName !== 'input', Boolean(evt.shiftKey));
+  }
+
   /**
    * Key handler for the list.
    * @param {Event} evt
@@ -96,6 +358,12 @@ class MDCListFoundation extends MDCFoundation {
     const arrowDown = evt.key === 'ArrowDown' || evt.keyCode === 40;
     const isHome = evt.key === 'Home' || evt.keyCode === 36;
     const isEnd = evt.key === 'End' || evt.keyCode === 35;
+    const isEnter = evt.key === 'Enter' || evt.keyCode === 13;
+    const isSpace = evt.key === 'Space' || evt.key === ' ' || evt.keyCode === 32;
+    // Tree lists are always vertical, as they expand and collapse list items with ArrowRight and ArrowLeft.
+    const isVertical = this.isVertical_ || this.isTree_;
+    const isNext = (isVertical && arrowDown) || (!isVertical && arrowRight);
+    const isPrev = (isVertical && arrowUp) || (!isVertical && arrowLeft);
     let currentIndex = this.adapter_.getFocusedElementIndex();
 
     if (currentIndex === -1) {
@@ -108,10 +376,19 @@ class MDCListFoundation extends MDCFoundation {
       }
     }
 
-    if ((this.isVertical_ && arrowDown) || (!this.isVertical_ && arrowRight)) {
+    if (this.isTree_ && (arrowRight || arrowLeft)) {
+      this.preventDefaultEvent_(evt);
+      this.handleTreeArrowKey_(currentIndex, arrowRight);
+    } else if (this.isReorderable_ && !this.isTree_ && evt.altKey && (isNext || isPrev)) {
+      this.preventDefaultEvent_(evt);
+      const toIndex = currentIndex + (isNext ? 1 : -1);
+      if (toIndex >= 0 && toIndex < this.adapter_.getListItemCount()) {
+        this.reorder_(currentIndex, toIndex);
+      }
+    } else if (isNext) {
       this.preventDefaultEvent_(evt);
       this.focusNextElement(currentIndex);
-    } else if ((this.isVertical_ && arrowUp) || (!this.isVertical_ && arrowLeft)) {
+    } else if (isPrev) {
       this.preventDefaultEvent_(evt);
       this.focusPrevElement(currentIndex);
     } else if (isHome) {
@@ -120,9 +397,547 @@ class MDCListFoundation extends MDCFoundation {
     } else if (isEnd) {
       this.preventDefaultEvent_(evt);
       this.focusLastElement();
+    } else if (this.typeahead_.isTypeaheadEvent(evt) && !this.isTypeaheadIgnoredIn_(evt.target)) {
+      this.preventDefaultEvent_(evt);
+      this.focusItemMatchingTypedText_(evt.key, currentIndex);
+    } else if ((isEnter || isSpace) && this.getListItem_(evt.target) === evt.target) {
+      // Keys pressed on elements within the list item, such as buttons, are left to those elements.
+      const isLink = `${evt.target.tagName}`.toLowerCase() === 'a';
+      if ((isEnter && isLink) || this.adapter_.isListItemDisabledAtIndex(currentIndex)) {
+        // Enter activates links by dispatching a click, which is handled by handleClick.
+        return;
+      }
+      this.preventDefaultEvent_(evt);
+      this.handleAction_(currentIndex, true, false);
+    }
+  }
+
+  /**
+   * Mouse down handler for the list. Dragging starts once the mouse moves a few pixels with the button pressed.
+   * @param {!Event} evt
+   */
+  handleMouseDown(evt) {
+    if (evt.button === 0 && this.pressItem_(evt.target, evt.clientX, evt.clientY, false)) {
+      this.adapter_.registerBodyInteractionHandler('mousemove', this.mouseMoveHandler_);
+      this.adapter_.registerBodyInteractionHandler('mouseup', this.mouseUpHandler_);
+    }
+  }
+
+  /**
+   * Touch start handler for the list. Dragging starts once the list item was touched for a while without moving.
+   * @param {!Event} evt
+   */
+  handleTouchStart(evt) {
+    if (evt.touches.length !== 1) {
+      this.endDrag_(false);
+      return;
+    }
+    const touch = evt.touches[0];
+    if (this.pressItem_(evt.target, touch.clientX, touch.clientY, true)) {
+      this.longPressTimerId_ = setTimeout(() => this.startDrag_(), numbers.LONG_PRESS_DELAY_MS);
+    }
+  }
+
+  /**
+   * Touch move handler for the list. Moves the dragged list item, or lets the list scroll if dragging did not start.
+   * @param {!Event} evt
+   */
+  handleTouchMove(evt) {
+    if (!this.dragState_ || !this.dragState_.isTouch) {
+      return;
+    }
+    const touch = evt.touches[0];
+    if (this.dragState_.isDragging) {
+      evt.preventDefault();
+      this.updateDrag_(touch.clientX, touch.clientY);
+    } else if (this.isBeyondDragThreshold_(touch.clientX, touch.clientY)) {
+      this.endDrag_(false);
+    }
+  }
+
+  /**
+   * Touch end handler for the list. Drops the dragged list item.
+   * @param {!Event} evt
+   */
+  handleTouchEnd(evt) {
+    if (!this.dragState_ || !this.dragState_.isTouch) {
+      return;
+    }
+    if (this.dragState_.isDragging) {
+      // Prevents the emulated mouse events and click after dropping the list item.
+      evt.preventDefault();
+    }
+    this.endDrag_(evt.type !== 'touchcancel');
+  }
+
+  /**
+   * Context menu handler for the list. Prevents the context menu which browsers show on long press while touching a
+   * list item to drag it.
+   * @param {!Event} evt
+   */
+  handleContextMenu(evt) {
+    if (this.dragState_ && this.dragState_.isTouch) {
+      evt.preventDefault();
+    }
+  }
+
+  /**
+   * Remembers the pressed list item, from which dragging may start.
+   * @param {!EventTarget} target
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} isTouch
+   * @return {boolean} Whether the target is within a list item that can be dragged.
+   * @private
+   */
+  pressItem_(target, x, y, isTouch) {
+    this.endDrag_(false);
+    const tagName = `${target.tagName}`.toLowerCase();
+    if (!this.isReorderable_ || this.isTree_ || ELEMENTS_KEY_ALLOWED_IN.indexOf(tagName) !== -1) {
+      return false;
+    }
+    const listItem = this.getListItem_(target);
+    const index = listItem ? this.adapter_.getListItemIndex(listItem) : -1;
+    if (index < 0 || this.adapter_.isListItemDisabledAtIndex(index)) {
+      return false;
+    }
+
+    this.dragState_ = {
+      fromIndex: index, toIndex: index, isTouch, isDragging: false, startX: x, startY: y, x, y, startScrollTop: 0,
+    };
+    return true;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @private
+   */
+  handlePointerMove_(x, y) {
+    if (!this.dragState_) {
+      return;
+    }
+    if (!this.dragState_.isDragging) {
+      if (!this.isBeyondDragThreshold_(x, y)) {
+        return;
+      }
+      this.startDrag_();
+    }
+    this.updateDrag_(x, y);
+  }
+
+  /** @private */
+  handleMouseUp_() {
+    const wasDragging = Boolean(this.dragState_ && this.dragState_.isDragging);
+    this.endDrag_(true);
+    if (wasDragging) {
+      this.suppressClick_ = true;
+      setTimeout(() => this.suppressClick_ = false, 0);
     }
   }
 
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @return {boolean} Whether the pointer moved far enough from where it pressed the list item to start dragging.
+   * @private
+   */
+  isBeyondDragThreshold_(x, y) {
+    const {startX, startY} = this.dragState_;
+    return Math.abs(x - startX) > numbers.DRAG_THRESHOLD_PX || Math.abs(y - startY) > numbers.DRAG_THRESHOLD_PX;
+  }
+
+  /** @private */
+  startDrag_() {
+    clearTimeout(this.longPressTimerId_);
+    this.dragState_.isDragging = true;
+    this.dragState_.startScrollTop = this.adapter_.getListScrollTop();
+    this.adapter_.addClass(cssClasses.LIST_DRAGGING_CLASS);
+    this.adapter_.addClassForElementIndex(this.dragState_.fromIndex, cssClasses.LIST_ITEM_DRAGGING_CLASS);
+  }
+
+  /**
+   * Moves the dragged list item with the pointer, and indicates where it would be dropped.
+   * @param {number} x
+   * @param {number} y
+   * @private
+   */
+  updateDrag_(x, y) {
+    const state = this.dragState_;
+    state.x = x;
+    state.y = y;
+    const position = this.isVertical_ ? y : x;
+    const scrollOffset = this.isVertical_ ? this.adapter_.getListScrollTop() - state.startScrollTop : 0;
+    const offset = position - (this.isVertical_ ? state.startY : state.startX) + scrollOffset;
+    this.adapter_.setStyleForElementIndex(state.fromIndex, 'transform',
+      `translate${this.isVertical_ ? 'Y' : 'X'}(${offset}px)`);
+
+    this.setDropIndicator_(false);
+    state.toIndex = this.getDropIndex_(position);
+    this.setDropIndicator_(true);
+
+    if (this.isVertical_) {
+      this.autoScroll_(y);
+    }
+  }
+
+  /**
+   * @param {number} position The position of the pointer along the orientation of the list.
+   * @return {number} The index the dragged list item would end up at when dropped.
+   * @private
+   */
+  getDropIndex_(position) {
+    const {fromIndex} = this.dragState_;
+    const count = this.adapter_.getListItemCount();
+    let dropIndex = 0;
+    for (let i = 0; i < count; i++) {
+      const rect = this.adapter_.getListItemClientRectAtIndex(i);
+      const center = this.isVertical_ ? rect.top + rect.height / 2 : rect.left + rect.width / 2;
+      if (i !== fromIndex && center < position) {
+        dropIndex++;
+      }
+    }
+    return dropIndex;
+  }
+
+  /**
+   * Shows or hides the indicator of where the dragged list item would be dropped, on the list item it would replace.
+   * @param {boolean} isShown
+   * @private
+   */
+  setDropIndicator_(isShown) {
+    const {fromIndex, toIndex} = this.dragState_;
+    if (toIndex === fromIndex) {
+      return;
+    }
+    const className = toIndex < fromIndex ?
+      cssClasses.LIST_ITEM_DROP_BEFORE_CLASS : cssClasses.LIST_ITEM_DROP_AFTER_CLASS;
+    if (isShown) {
+      this.adapter_.addClassForElementIndex(toIndex, className);
+    } else {
+      this.adapter_.removeClassForElementIndex(toIndex, className);
+    }
+  }
+
+  /**
+   * Scrolls the list while the pointer drags a list item near its top or bottom edge, faster closer to the edge.
+   * @param {number} y
+   * @private
+   */
+  autoScroll_(y) {
+    const {top, bottom} = this.adapter_.getListClientRect();
+    const edge = numbers.AUTO_SCROLL_EDGE_PX;
+    let step = 0;
+    if (y < top + edge) {
+      step = -Math.ceil(numbers.AUTO_SCROLL_MAX_STEP_PX * Math.min(1, (top + edge - y) / edge));
+    } else if (y > bottom - edge) {
+      step = Math.ceil(numbers.AUTO_SCROLL_MAX_STEP_PX * Math.min(1, (y - bottom + edge) / edge));
+    }
+
+    cancelAnimationFrame(this.autoScrollFrameId_);
+    this.autoScrollFrameId_ = 0;
+    if (step === 0) {
+      return;
+    }
+    this.autoScrollFrameId_ = requestAnimationFrame(() => {
+      this.autoScrollFrameId_ = 0;
+      const scrollTop = this.adapter_.getListScrollTop();
+      this.adapter_.setListScrollTop(scrollTop + step);
+      if (this.adapter_.getListScrollTop() !== scrollTop) {
+        // Keeps scrolling as long as the pointer stays near the edge and the list did not reach its end.
+        this.updateDrag_(this.dragState_.x, this.dragState_.y);
+      }
+    });
+  }
+
+  /**
+   * Stops pressing or dragging a list item.
+   * @param {boolean} shouldDrop Whether to move the dragged list item to where it was dropped.
+   * @private
+   */
+  endDrag_(shouldDrop) {
+    clearTimeout(this.longPressTimerId_);
+    cancelAnimationFrame(this.autoScrollFrameId_);
+    this.autoScrollFrameId_ = 0;
+    this.adapter_.deregisterBodyInteractionHandler('mousemove', this.mouseMoveHandler_);
+    this.adapter_.deregisterBodyInteractionHandler('mouseup', this.mouseUpHandler_);
+
+    const state = this.dragState_;
+    if (!state || !state.isDragging) {
+      this.dragState_ = null;
+      return;
+    }
+
+    this.setDropIndicator_(false);
+    this.dragState_ = null;
+    this.adapter_.removeClass(cssClasses.LIST_DRAGGING_CLASS);
+    this.adapter_.removeClassForElementIndex(state.fromIndex, cssClasses.LIST_ITEM_DRAGGING_CLASS);
+    this.adapter_.setStyleForElementIndex(state.fromIndex, 'transform', '');
+    if (shouldDrop && state.toIndex !== state.fromIndex) {
+      this.reorder_(state.fromIndex, state.toIndex);
+    }
+  }
+
+  /**
+   * Moves a list item unless a listener cancels it, keeping the selection and focus on the moved list items.
+   * @param {number} fromIndex
+   * @param {number} toIndex
+   * @private
+   */
+  reorder_(fromIndex, toIndex) {
+    if (!this.adapter_.notifyReorder(fromIndex, toIndex)) {
+      return;
+    }
+
+    this.adapter_.moveListItem(fromIndex, toIndex);
+    const move = (index) => index < 0 ? index : getIndexAfterMove(index, fromIndex, toIndex);
+    if (Array.isArray(this.selectedIndex_)) {
+      this.selectedIndex_ = this.selectedIndex_.map(move).sort((a, b) => a - b);
+    } else {
+      this.selectedIndex_ = move(this.selectedIndex_);
+    }
+    this.rangeAnchorIndex_ = move(this.rangeAnchorIndex_);
+
+    this.adapter_.focusItemAtIndex(toIndex);
+    this.adapter_.announceReorder(toIndex);
+  }
+
+  /**
+   * Updates the selection for the activated list item and notifies of the action.
+   * @param {number} index
+   * @param {boolean} toggleCheckbox Whether the checkbox or radio button of the list item still needs to be toggled.
+   * @param {boolean} selectRange Whether to check or uncheck all items from the previously activated checkbox item.
+   * @private
+   */
+  handleAction_(index, toggleCheckbox, selectRange) {
+    if (this.isCheckboxList_) {
+      let isChecked = this.adapter_.isCheckboxCheckedAtIndex(index);
+      if (toggleCheckbox) {
+        isChecked = !isChecked;
+      }
+      if (selectRange && this.rangeAnchorIndex_ >= 0) {
+        this.setCheckboxRange_(this.rangeAnchorIndex_, index, isChecked);
+      } else {
+        this.setCheckboxAtIndex_(index, isChecked);
+      }
+      this.rangeAnchorIndex_ = index;
+    } else if (this.isRadioList_) {
+      this.setRadioAtIndex_(index);
+    } else if (this.isSingleSelectionList_) {
+      this.setSingleSelectionAtIndex_(index);
+    }
+
+    this.adapter_.notifyAction(index);
+  }
+
+  /**
+   * @param {number|!Array<number>} index
+   * @return {boolean} Whether the index is an index, or an array of indexes in checkbox lists, of existing list items.
+   * @private
+   */
+  isIndexValid_(index) {
+    const count = this.adapter_.getListItemCount();
+    const isValid = (i) => typeof i === 'number' && i >= 0 && i < count;
+    if (this.isCheckboxList_) {
+      return Array.isArray(index) && index.every(isValid);
+    }
+    return index === -1 || isValid(index);
+  }
+
+  /**
+   * Selects the list item at the index specified, deselecting the previously selected list item.
+   * @param {number} index The index to select, or -1 to deselect.
+   * @private
+   */
+  setSingleSelectionAtIndex_(index) {
+    const className = this.useActivatedClass_ ?
+      cssClasses.LIST_ITEM_ACTIVATED_CLASS : cssClasses.LIST_ITEM_SELECTED_CLASS;
+    if (this.selectedIndex_ >= 0) {
+      this.adapter_.removeClassForElementIndex(this.selectedIndex_, className);
+      this.adapter_.setAttributeForElementIndex(this.selectedIndex_, strings.ARIA_SELECTED, 'false');
+    }
+    if (index >= 0) {
+      this.adapter_.addClassForElementIndex(index, className);
+      this.adapter_.setAttributeForElementIndex(index, strings.ARIA_SELECTED, 'true');
+    }
+    this.selectedIndex_ = index;
+  }
+
+  /**
+   * Checks the radio button of the list item at the index specified, unchecking the previously checked one.
+   * @param {number} index The index to check, or -1 to uncheck.
+   * @private
+   */
+  setRadioAtIndex_(index) {
+    if (this.selectedIndex_ >= 0 && this.selectedIndex_ !== index) {
+      this.adapter_.setCheckedCheckboxOrRadioAtIndex(this.selectedIndex_, false);
+      this.adapter_.setAttributeForElementIndex(this.selectedIndex_, strings.ARIA_CHECKED, 'false');
+    }
+    if (index >= 0) {
+      this.adapter_.setCheckedCheckboxOrRadioAtIndex(index, true);
+      this.adapter_.setAttributeForElementIndex(index, strings.ARIA_CHECKED, 'true');
+    }
+    this.selectedIndex_ = index;
+  }
+
+  /**
+   * Checks or unchecks the checkbox of the list item at the index specified.
+   * @param {number} index
+   * @param {boolean} isChecked
+   * @private
+   */
+  setCheckboxAtIndex_(index, isChecked) {
+    this.adapter_.setCheckedCheckboxOrRadioAtIndex(index, isChecked);
+    this.adapter_.setAttributeForElementIndex(index, strings.ARIA_CHECKED, isChecked ? 'true' : 'false');
+
+    const selectedIndex = /** @type {!Array<number>} */ (this.selectedIndex_).filter((i) => i !== index);
+    if (isChecked) {
+      selectedIndex.push(index);
+      selectedIndex.sort((a, b) => a - b);
+    }
+    this.selectedIndex_ = selectedIndex;
+  }
+
+  /**
+   * Checks or unchecks the checkboxes of all enabled list items between the indexes specified, inclusive.
+   * @param {number} fromIndex
+   * @param {number} toIndex
+   * @param {boolean} isChecked
+   * @private
+   */
+  setCheckboxRange_(fromIndex, toIndex, isChecked) {
+    for (let i = Math.min(fromIndex, toIndex); i <= Math.max(fromIndex, toIndex); i++) {
+      if (i === toIndex || (!this.adapter_.isListItemDisabledAtIndex(i) && !this.hiddenItems_[i])) {
+        this.setCheckboxAtIndex_(i, isChecked);
+      }
+    }
+  }
+
+  /**
+   * Expands the list item, or focuses its first child item if it is expanded, for ArrowRight. Collapses the list item,
+   * or focuses its parent item if it is collapsed, for ArrowLeft.
+   * @param {number} index
+   * @param {boolean} isArrowRight
+   * @private
+   */
+  handleTreeArrowKey_(index, isArrowRight) {
+    const isExpanded = this.adapter_.isListItemExpandableAtIndex(index) &&
+      this.adapter_.isListItemExpandedAtIndex(index);
+    if (isArrowRight && isExpanded) {
+      if (this.hasChildItems_(index)) {
+        this.adapter_.focusItemAtIndex(index + 1);
+      }
+    } else if (isArrowRight || isExpanded) {
+      this.setExpandedAtIndex(index, isArrowRight);
+    } else {
+      const parentIndex = this.getParentIndex_(index);
+      if (parentIndex >= 0) {
+        this.adapter_.focusItemAtIndex(parentIndex);
+      }
+    }
+  }
+
+  /**
+   * @param {number} index
+   * @return {boolean} Whether the list item of a tree list at the index specified is followed by its child items.
+   * @private
+   */
+  hasChildItems_(index) {
+    return index + 1 < this.adapter_.getListItemCount() &&
+      this.adapter_.getListItemLevelAtIndex(index + 1) > this.adapter_.getListItemLevelAtIndex(index);
+  }
+
+  /**
+   * @param {number} index
+   * @return {number} The index of the last child item, at any level, of the list item of a tree list at the index
+   *     specified, or the index itself if it has no child items.
+   * @private
+   */
+  getLastDescendantIndex_(index) {
+    const count = this.adapter_.getListItemCount();
+    const level = this.adapter_.getListItemLevelAtIndex(index);
+    let lastIndex = index;
+    while (lastIndex + 1 < count && this.adapter_.getListItemLevelAtIndex(lastIndex + 1) > level) {
+      lastIndex++;
+    }
+    return lastIndex;
+  }
+
+  /**
+   * @param {number} index
+   * @return {number} The index of the parent item of the list item of a tree list at the index specified, or -1 for
+   *     list items at the first level.
+   * @private
+   */
+  getParentIndex_(index) {
+    const level = this.adapter_.getListItemLevelAtIndex(index);
+    for (let i = index - 1; i >= 0; i--) {
+      if (this.adapter_.getListItemLevelAtIndex(i) < level) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Hides the list items of a tree list within collapsed list items, and shows all others. Shows all list items when
+   * the list is no tree list.
+   * @private
+   */
+  updateTreeItems_() {
+    const count = this.adapter_.getListItemCount();
+    const hiddenItems = [];
+    // The level of the collapsed list item whose child items are being hidden.
+    let collapsedLevel = Infinity;
+    for (let i = 0; i < count; i++) {
+      let isHidden = false;
+      if (this.isTree_) {
+        const level = this.adapter_.getListItemLevelAtIndex(i);
+        if (level <= collapsedLevel) {
+          collapsedLevel = Infinity;
+        }
+        isHidden = level > collapsedLevel;
+        const isCollapsed = this.adapter_.isListItemExpandableAtIndex(i) && !this.adapter_.isListItemExpandedAtIndex(i);
+        if (!isHidden && isCollapsed) {
+          collapsedLevel = level;
+        }
+      }
+
+      if (isHidden) {
+        this.adapter_.addClassForElementIndex(i, cssClasses.LIST_ITEM_HIDDEN_CLASS);
+      } else {
+        this.adapter_.removeClassForElementIndex(i, cssClasses.LIST_ITEM_HIDDEN_CLASS);
+      }
+      hiddenItems.push(isHidden);
+    }
+    this.hiddenItems_ = hiddenItems;
+  }
+
+  /**
+   * Focuses the next enabled list item whose text starts with the characters typed so far.
+   * @param {string} char The typed character.
+   * @param {number} currentIndex
+   * @private
+   */
+  focusItemMatchingTypedText_(char, currentIndex) {
+    const index = this.typeahead_.search(char, currentIndex, this.adapter_.getListItemCount(),
+      (i) => this.adapter_.getListItemTextAtIndex(i),
+      (i) => this.adapter_.isListItemDisabledAtIndex(i) || Boolean(this.hiddenItems_[i]));
+    if (index >= 0) {
+      this.adapter_.focusItemAtIndex(index);
+    }
+  }
+
+  /**
+   * Characters typed into text fields within list items are not typeahead.
+   * @param {EventTarget} target
+   * @return {boolean}
+   * @private
+   */
+  isTypeaheadIgnoredIn_(target) {
+    return ELEMENTS_TYPEAHEAD_IGNORED_IN.indexOf(`${target.tagName}`.toLowerCase()) !== -1;
+  }
+
   /**
    * Ensures that preventDefault is only called if the containing element doesn't
    * consume the event, and it will cause an unintended scroll.
@@ -142,15 +957,18 @@ class MDCListFoundation extends MDCFoundation {
    */
   focusNextElement(index) {
     const count = this.adapter_.getListItemCount();
-    let nextIndex = index + 1;
-    if (nextIndex >= count) {
-      if (this.wrapFocus_) {
-        nextIndex = 0;
-      } else {
-        // Return early because last item is already focused.
-        return;
+    let nextIndex = index;
+    do {
+      nextIndex++;
+      if (nextIndex >= count) {
+        if (this.wrapFocus_) {
+          nextIndex = 0;
+        } else {
+          // Return early because last item is already focused.
+          return;
+        }
       }
-    }
+    } while (this.hiddenItems_[nextIndex] && nextIndex !== index);
     this.adapter_.focusItemAtIndex(nextIndex);
   }
 
@@ -159,15 +977,18 @@ class MDCListFoundation extends MDCFoundation {
    * @param {Number} index
    */
   focusPrevElement(index) {
-    let prevIndex = index - 1;
-    if (prevIndex < 0) {
-      if (this.wrapFocus_) {
-        prevIndex = this.adapter_.getListItemCount() - 1;
-      } else {
-        // Return early because first item is already focused.
-        return;
+    let prevIndex = index;
+    do {
+      prevIndex--;
+      if (prevIndex < 0) {
+        if (this.wrapFocus_) {
+          prevIndex = this.adapter_.getListItemCount() - 1;
+        } else {
+          // Return early because first item is already focused.
+          return;
+        }
       }
-    }
+    } while (this.hiddenItems_[prevIndex] && prevIndex !== index);
     this.adapter_.focusItemAtIndex(prevIndex);
   }
 
@@ -178,7 +999,10 @@ class MDCListFoundation extends MDCFoundation {
   }
 
   focusLastElement() {
-    const lastIndex = this.adapter_.getListItemCount() - 1;
+    let lastIndex = this.adapter_.getListItemCount() - 1;
+    while (this.hiddenItems_[lastIndex]) {
+      lastIndex--;
+    }
     if (lastIndex >= 0) {
       this.adapter_.focusItemAtIndex(lastIndex);
     }
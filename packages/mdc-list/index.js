@@ -17,7 +17,10 @@
 
 import MDCComponent from '@material/base/component';
 import {MDCListFoundation} from './foundation';
-import {strings} from './constants';
+import {cssClasses, strings} from './constants';
+import {getListItemText} from './typeahead';
+
+export {MDCVirtualList, MDCVirtualListFoundation} from './virtual-list/index';
 
 /**
  * @extends MDCComponent<!MDCListFoundation>
@@ -29,6 +32,16 @@ export class MDCList extends MDCComponent {
     /** @private {!Function} */
     this.handleKeydown_;
     /** @private {!Function} */
+    this.handleClick_;
+    /** @private {!Object<string, !Function>} */
+    this.dragHandlers_;
+    /** @private {?Element} */
+    this.liveRegion_;
+    /** @private {function(number, number): string} */
+    this.reorderAnnouncement_;
+    /** @private {?function(!Element): !Promise<!Array<!Element>>} */
+    this.childItemsLoader_;
+    /** @private {!Function} */
     this.focusInEventListener_;
     /** @private {!Function} */
     this.focusOutEventListener_;
@@ -44,18 +57,52 @@ export class MDCList extends MDCComponent {
 
   destroy() {
     this.root_.removeEventListener('keydown', this.handleKeydown_);
+    this.root_.removeEventListener('click', this.handleClick_);
+    Object.keys(this.dragHandlers_).forEach((evtType) => {
+      this.root_.removeEventListener(evtType, this.dragHandlers_[evtType]);
+    });
+    if (this.liveRegion_ && this.liveRegion_.parentNode) {
+      this.liveRegion_.parentNode.removeChild(this.liveRegion_);
+    }
     this.root_.removeEventListener('focusin', this.focusInEventListener_);
     this.root_.removeEventListener('focusout', this.focusOutEventListener_);
+    super.destroy();
+  }
+
+  initialize() {
+    this.liveRegion_ = null;
+    this.reorderAnnouncement_ = (position, count) => `Moved to position ${position} of ${count}`;
+    this.childItemsLoader_ = null;
   }
 
   initialSyncWithDOM() {
+    this.dragHandlers_ = {
+      'mousedown': this.foundation_.handleMouseDown.bind(this.foundation_),
+      'touchstart': this.foundation_.handleTouchStart.bind(this.foundation_),
+      'touchmove': this.foundation_.handleTouchMove.bind(this.foundation_),
+      'touchend': this.foundation_.handleTouchEnd.bind(this.foundation_),
+      'touchcancel': this.foundation_.handleTouchEnd.bind(this.foundation_),
+      'contextmenu': this.foundation_.handleContextMenu.bind(this.foundation_),
+    };
+    Object.keys(this.dragHandlers_).forEach((evtType) => {
+      this.root_.addEventListener(evtType, this.dragHandlers_[evtType]);
+    });
     this.handleKeydown_ = this.foundation_.handleKeydown.bind(this.foundation_);
+    this.handleClick_ = this.foundation_.handleClick.bind(this.foundation_);
     this.focusInEventListener_ = this.foundation_.handleFocusIn.bind(this.foundation_);
     this.focusOutEventListener_ = this.foundation_.handleFocusOut.bind(this.foundation_);
     this.root_.addEventListener('keydown', this.handleKeydown_);
+    this.root_.addEventListener('click', this.handleClick_);
     this.root_.addEventListener('focusin', this.focusInEventListener_);
     this.root_.addEventListener('focusout', this.focusOutEventListener_);
+    if (this.root_.classList.contains(cssClasses.LIST_TREE_CLASS)) {
+      this.root_.setAttribute('role', 'tree');
+      this.foundation_.setTree(true);
+    }
     this.layout();
+    if (this.root_.classList.contains(cssClasses.LIST_REORDERABLE_CLASS)) {
+      this.reorderable = true;
+    }
   }
 
   layout() {
@@ -68,9 +115,65 @@ export class MDCList extends MDCComponent {
         ele.setAttribute('tabindex', -1);
       });
 
+    if (this.root_.classList.contains(cssClasses.LIST_TREE_CLASS)) {
+      this.listElements_.forEach((ele) => {
+        if (!ele.hasAttribute('role')) {
+          ele.setAttribute('role', 'treeitem');
+        }
+        if (!ele.hasAttribute(strings.ARIA_LEVEL)) {
+          ele.setAttribute(strings.ARIA_LEVEL, 1);
+        }
+      });
+    }
+
     // Child button/a elements are not tabbable until the list item is focused.
     [].slice.call(this.root_.querySelectorAll(strings.FOCUSABLE_CHILD_ELEMENTS))
       .forEach((ele) => ele.setAttribute('tabindex', -1));
+
+    this.foundation_.layout();
+    this.initializeSelection_();
+  }
+
+  /**
+   * Reads the initial selection from the DOM: the checked items of checkbox and radio lists, or the selected or
+   * activated item, which makes the list a single selection list.
+   * @private
+   */
+  initializeSelection_() {
+    const listElements = this.listElements_;
+    const selectedItem = this.root_.querySelector(strings.SELECTED_ITEM_SELECTOR);
+    const checkedIndexes = listElements
+      .map((ele, index) => this.isCheckboxOrRadioCheckedIn_(ele) ? index : -1)
+      .filter((index) => index >= 0);
+
+    if (listElements.some((ele) => ele.querySelector(strings.CHECKBOX_SELECTOR))) {
+      this.selectedIndex = checkedIndexes;
+    } else if (listElements.some((ele) => ele.querySelector(strings.RADIO_SELECTOR))) {
+      this.selectedIndex = checkedIndexes.length ? checkedIndexes[0] : -1;
+    } else if (selectedItem) {
+      this.foundation_.setUseActivatedClass(selectedItem.classList.contains(cssClasses.LIST_ITEM_ACTIVATED_CLASS));
+      this.singleSelection = true;
+      this.selectedIndex = listElements.indexOf(selectedItem);
+    }
+  }
+
+  /**
+   * @param {!Element} listItem
+   * @return {boolean} Whether the list item contains a checked checkbox or radio button.
+   * @private
+   */
+  isCheckboxOrRadioCheckedIn_(listItem) {
+    const toggle = this.getCheckboxOrRadio_(listItem);
+    return Boolean(toggle && toggle.checked);
+  }
+
+  /**
+   * @param {!Element} listItem
+   * @return {?Element} The checkbox or radio button within the list item.
+   * @private
+   */
+  getCheckboxOrRadio_(listItem) {
+    return listItem.querySelector(`${strings.CHECKBOX_SELECTOR}, ${strings.RADIO_SELECTOR}`);
   }
 
   /** @param {boolean} value */
@@ -89,6 +192,54 @@ export class MDCList extends MDCComponent {
     this.foundation_.setWrapFocus(value);
   }
 
+  /** @param {boolean} isSingleSelectionList */
+  set singleSelection(isSingleSelectionList) {
+    this.foundation_.setSingleSelection(isSingleSelectionList);
+  }
+
+  /** @return {number|!Array<number>} */
+  get selectedIndex() {
+    return this.foundation_.getSelectedIndex();
+  }
+
+  /** @param {number|!Array<number>} index */
+  set selectedIndex(index) {
+    this.foundation_.setSelectedIndex(index);
+  }
+
+  /** @param {boolean} isReorderable */
+  set reorderable(isReorderable) {
+    this.foundation_.setReorderable(isReorderable);
+  }
+
+  /**
+   * Sets the function returning the message announced after a list item moved, for localization.
+   * @param {function(number, number): string} reorderAnnouncement Called with the new one-based position of the list
+   *     item and the number of list items.
+   */
+  set reorderAnnouncement(reorderAnnouncement) {
+    this.reorderAnnouncement_ = reorderAnnouncement;
+  }
+
+  /**
+   * Sets the function loading the child items of a tree list item when it is expanded for the first time. List items
+   * with `aria-expanded="false"` but no child items after them are loaded this way.
+   * @param {?function(!Element): !Promise<!Array<!Element>>} childItemsLoader Called with the expanded list item.
+   *     Resolves with the child items, which are added after the list item, one level below it.
+   */
+  set childItemsLoader(childItemsLoader) {
+    this.childItemsLoader_ = childItemsLoader;
+  }
+
+  /**
+   * Expands or collapses the list item of a tree list at the index specified.
+   * @param {number} index
+   * @param {boolean} isExpanded
+   */
+  setExpanded(index, isExpanded) {
+    this.foundation_.setExpandedAtIndex(index, isExpanded);
+  }
+
   /** @return {!MDCListFoundation} */
   getDefaultFoundation() {
     return new MDCListFoundation(/** @type {!MDCListAdapter} */{
@@ -101,6 +252,110 @@ export class MDCList extends MDCComponent {
           .querySelectorAll(strings.FOCUSABLE_CHILD_ELEMENTS));
         listItemChildren.forEach((ele) => ele.setAttribute('tabindex', tabIndexValue));
       },
+      getListItemTextAtIndex: (ndx) => getListItemText(this.listElements_[ndx]),
+      isListItemDisabledAtIndex: (ndx) => this.listElements_[ndx].getAttribute(strings.ARIA_DISABLED) === 'true',
+      setAttributeForElementIndex: (ndx, attr, value) => this.listElements_[ndx].setAttribute(attr, value),
+      addClassForElementIndex: (ndx, className) => this.listElements_[ndx].classList.add(className),
+      removeClassForElementIndex: (ndx, className) => this.listElements_[ndx].classList.remove(className),
+      hasCheckboxAtIndex: (ndx) => Boolean(this.listElements_[ndx].querySelector(strings.CHECKBOX_SELECTOR)),
+      hasRadioAtIndex: (ndx) => Boolean(this.listElements_[ndx].querySelector(strings.RADIO_SELECTOR)),
+      isCheckboxCheckedAtIndex: (ndx) => this.isCheckboxOrRadioCheckedIn_(this.listElements_[ndx]),
+      setCheckedCheckboxOrRadioAtIndex: (ndx, isChecked) => {
+        const toggle = this.getCheckboxOrRadio_(this.listElements_[ndx]);
+        if (!toggle || toggle.checked === isChecked) {
+          return;
+        }
+        toggle.checked = isChecked;
+        // Lets an MDCCheckbox or MDCRadio wrapping the input update its state.
+        const evt = document.createEvent('Event');
+        evt.initEvent('change', true, true);
+        toggle.dispatchEvent(evt);
+      },
+      notifyAction: (ndx) => this.emit(strings.ACTION_EVENT, {index: ndx}),
+      addClass: (className) => this.root_.classList.add(className),
+      removeClass: (className) => this.root_.classList.remove(className),
+      setStyleForElementIndex: (ndx, propertyName, value) => this.listElements_[ndx].style[propertyName] = value,
+      getListItemClientRectAtIndex: (ndx) => this.listElements_[ndx].getBoundingClientRect(),
+      getListClientRect: () => this.root_.getBoundingClientRect(),
+      getListScrollTop: () => this.root_.scrollTop,
+      setListScrollTop: (scrollTop) => this.root_.scrollTop = scrollTop,
+      registerBodyInteractionHandler: (evtType, handler) => document.body.addEventListener(evtType, handler),
+      deregisterBodyInteractionHandler: (evtType, handler) => document.body.removeEventListener(evtType, handler),
+      moveListItem: (fromIndex, toIndex) => {
+        const listElements = this.listElements_;
+        const referenceNode = toIndex > fromIndex ? listElements[toIndex].nextSibling : listElements[toIndex];
+        this.root_.insertBefore(listElements[fromIndex], referenceNode);
+      },
+      notifyReorder: (fromIndex, toIndex) => this.emitCancelable(strings.REORDER_EVENT, {fromIndex, toIndex}),
+      announceReorder: (ndx) => this.announce_(this.reorderAnnouncement_(ndx + 1, this.listElements_.length)),
+      getListItemLevelAtIndex: (ndx) => this.getLevel_(this.listElements_[ndx]),
+      isListItemExpandableAtIndex: (ndx) => this.listElements_[ndx].hasAttribute(strings.ARIA_EXPANDED),
+      isListItemExpandedAtIndex: (ndx) => this.listElements_[ndx].getAttribute(strings.ARIA_EXPANDED) === 'true',
+      loadChildItemsAtIndex: (ndx) => this.loadChildItems_(this.listElements_[ndx]),
     });
   }
+
+  /**
+   * @param {!Element} listItem
+   * @return {number} The level of the tree list item.
+   * @private
+   */
+  getLevel_(listItem) {
+    return Number(listItem.getAttribute(strings.ARIA_LEVEL)) || 1;
+  }
+
+  /**
+   * Requests the child items of a tree list item from the child items loader, and adds them after the list item.
+   * @param {!Element} listItem
+   * @return {boolean} Whether loading started.
+   * @private
+   */
+  loadChildItems_(listItem) {
+    if (!this.childItemsLoader_) {
+      return false;
+    }
+    if (listItem.getAttribute(strings.ARIA_BUSY) === 'true') {
+      // The child items are still loading since the list item was expanded before.
+      return true;
+    }
+
+    const finishLoading = () => {
+      const index = this.listElements_.indexOf(listItem);
+      if (index >= 0) {
+        this.layout();
+        this.foundation_.handleChildItemsLoaded(index);
+      }
+    };
+    this.childItemsLoader_(listItem).then((childItems) => {
+      if (listItem.parentElement === this.root_) {
+        const referenceNode = listItem.nextSibling;
+        childItems.forEach((childItem) => {
+          childItem.classList.add(cssClasses.LIST_ITEM_CLASS);
+          childItem.setAttribute(strings.ARIA_LEVEL, this.getLevel_(listItem) + 1);
+          this.root_.insertBefore(childItem, referenceNode);
+        });
+      }
+      finishLoading();
+    }, finishLoading);
+    return true;
+  }
+
+  /**
+   * Announces a message to assistive technology through a visually hidden live region next to the list.
+   * @param {string} message
+   * @private
+   */
+  announce_(message) {
+    if (!this.liveRegion_) {
+      this.liveRegion_ = document.createElement('div');
+      this.liveRegion_.setAttribute('aria-live', 'polite');
+      Object.assign(this.liveRegion_.style, {
+        position: 'absolute', width: '1px', height: '1px', overflow: 'hidden', clip: 'rect(0 0 0 0)',
+      });
+    }
+    if (!this.liveRegion_.parentNode && this.root_.parentNode) {
+      this.root_.parentNode.insertBefore(this.liveRegion_, this.root_.nextSibling);
+    }
+    this.liveRegion_.textContent = message;
+  }
 }
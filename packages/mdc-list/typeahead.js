@@ -0,0 +1,120 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {numbers} from './constants';
+
+/**
+ * Moves focus to list items by typing the start of their text. Typed characters are buffered for a short time, so
+ * that typing "ne" focuses "Netherlands" rather than the next item starting with "e". Shared by MDCList and MDCMenu.
+ * @final
+ */
+class MDCListTypeahead {
+  constructor() {
+    /** @private {string} */
+    this.buffer_ = '';
+    /** @private {number} */
+    this.bufferClearTimerId_ = 0;
+  }
+
+  /**
+   * @param {!Event} evt A keydown event.
+   * @return {boolean} Whether the event types a character which should be handled as typeahead.
+   */
+  isTypeaheadEvent(evt) {
+    const {key} = evt;
+    if (!key || key.length !== 1 || evt.altKey || evt.ctrlKey || evt.metaKey) {
+      return false;
+    }
+    // Space selects items, unless it continues typing text which contains spaces.
+    return key !== ' ' || this.buffer_.length > 0;
+  }
+
+  /**
+   * Adds the character to the typed characters, and finds the item to focus. Typing the same character repeatedly
+   * cycles through the items starting with it.
+   * @param {string} char
+   * @param {number} focusedIndex Index of the focused item, or -1 if no item is focused.
+   * @param {number} itemCount
+   * @param {function(number): string} getItemText Returns the text of the item at the given index.
+   * @param {function(number): boolean} isItemDisabled Returns whether the item at the given index is disabled.
+   * @return {number} Index of the next enabled item whose text starts with the typed characters, or -1 if none does.
+   */
+  search(char, focusedIndex, itemCount, getItemText, isItemDisabled) {
+    clearTimeout(this.bufferClearTimerId_);
+    this.bufferClearTimerId_ = setTimeout(() => this.clear(), numbers.TYPEAHEAD_BUFFER_CLEAR_TIMEOUT_MS);
+    this.buffer_ += normalizeText(char);
+
+    const isRepeatedChar = this.buffer_.split('').every((bufferedChar) => bufferedChar === this.buffer_[0]);
+    const searchText = isRepeatedChar ? this.buffer_[0] : this.buffer_;
+    // The focused item still matches when more characters of its text are typed, but typing a repeated character
+    // moves on to the next item.
+    let startIndex = 0;
+    if (focusedIndex >= 0) {
+      startIndex = isRepeatedChar ? focusedIndex + 1 : focusedIndex;
+    }
+
+    for (let i = 0; i < itemCount; i++) {
+      const index = (startIndex + i) % itemCount;
+      if (!isItemDisabled(index) && normalizeText(getItemText(index).trim()).indexOf(searchText) === 0) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Forgets the typed characters.
+   */
+  clear() {
+    clearTimeout(this.bufferClearTimerId_);
+    this.bufferClearTimerId_ = 0;
+    this.buffer_ = '';
+  }
+}
+
+/**
+ * Lower-cases text and removes its accents, so that typing "e" matches "É".
+ * @param {string} text
+ * @return {string}
+ */
+function normalizeText(text) {
+  const lowerCaseText = text.toLowerCase();
+  // String#normalize is not available in IE11, where accented characters only match themselves.
+  if (typeof lowerCaseText.normalize !== 'function') {
+    return lowerCaseText;
+  }
+  return lowerCaseText.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * @param {!Element} item A list item element.
+ * @return {string} Text of the item for typeahead, without the text of its graphic and meta elements, e.g. icons.
+ */
+function getListItemText(item) {
+  const textEl = item.querySelector('.mdc-list-item__primary-text') || item.querySelector('.mdc-list-item__text');
+  if (textEl) {
+    return textEl.textContent;
+  }
+
+  return [].slice.call(item.childNodes)
+    .filter((node) => !node.classList ||
+      !(node.classList.contains('mdc-list-item__graphic') || node.classList.contains('mdc-list-item__meta')))
+    .map((node) => node.textContent)
+    .join('');
+}
+
+export {MDCListTypeahead, normalizeText, getListItemText};
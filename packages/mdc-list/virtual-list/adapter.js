@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+
+/**
+ * Adapter for MDC Virtual List. Provides an interface for rendering the visible items of a long list and managing
+ * focus between them.
+ *
+ * Additionally, provides type information for the adapter to the Closure
+ * compiler.
+ *
+ * Implement this adapter for your framework of choice to delegate updates to
+ * the component in your framework of choice. See architecture documentation
+ * for more details.
+ *
+ * @record
+ */
+class MDCVirtualListAdapter {
+  /** @return {number} The height of the visible area of the list, in pixels. */
+  getViewportHeight() {}
+
+  /** @return {number} */
+  getScrollTop() {}
+
+  /** @param {number} scrollTop */
+  setScrollTop(scrollTop) {}
+
+  /**
+   * Renders the list items in the range specified, in order, and removes all other list items. List items which were
+   * already rendered are kept as they are.
+   * @param {number} startIndex Index of the first list item to render.
+   * @param {number} endIndex Index after the last list item to render.
+   */
+  renderItems(startIndex, endIndex) {}
+
+  /**
+   * Sets the heights of the space reserved for the list items before and after the rendered ones.
+   * @param {number} beforeHeight
+   * @param {number} afterHeight
+   */
+  setSpacerHeights(beforeHeight, afterHeight) {}
+
+  /**
+   * @param {!EventTarget} target
+   * @return {number} The index of the rendered list item which is or contains the target, or -1.
+   */
+  getItemIndex(target) {}
+
+  /**
+   * Focuses the rendered list item at the index specified.
+   * @param {number} index
+   */
+  focusItemAtIndex(index) {}
+
+  /**
+   * Sets an attribute of the list item at the index specified, if it is rendered.
+   * @param {number} index
+   * @param {string} attr
+   * @param {string} value
+   */
+  setAttributeForItemAtIndex(index, attr, value) {}
+
+  /**
+   * Sets an attribute of the root element.
+   * @param {string} attr
+   * @param {string} value
+   */
+  setAttribute(attr, value) {}
+}
+
+export {MDCVirtualListAdapter};
@@ -0,0 +1,38 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/** @enum {string} */
+const cssClasses = {
+  LIST_ITEM_CLASS: 'mdc-list-item',
+  ROOT: 'mdc-list--virtual',
+};
+
+/** @enum {string} */
+const strings = {
+  ARIA_POSINSET: 'aria-posinset',
+  ARIA_SETSIZE: 'aria-setsize',
+};
+
+/** @enum {number} */
+const numbers = {
+  DEFAULT_ITEM_HEIGHT: 48,
+  // Number of items rendered above and below the visible items, so that they are ready when scrolling a bit.
+  OVERSCAN_ITEM_COUNT: 4,
+};
+
+export {cssClasses, strings, numbers};
@@ -0,0 +1,273 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCFoundation from '@material/base/foundation';
+import {MDCVirtualListAdapter} from './adapter';
+import {cssClasses, strings, numbers} from './constants';
+
+/**
+ * @extends {MDCFoundation<!MDCVirtualListAdapter>}
+ * @final
+ */
+class MDCVirtualListFoundation extends MDCFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /** @return enum {number} */
+  static get numbers() {
+    return numbers;
+  }
+
+  /**
+   * {@see MDCVirtualListAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCVirtualListAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCVirtualListAdapter} */ ({
+      getViewportHeight: () => 0,
+      getScrollTop: () => 0,
+      setScrollTop: () => {},
+      renderItems: () => {},
+      setSpacerHeights: () => {},
+      getItemIndex: () => -1,
+      focusItemAtIndex: () => {},
+      setAttributeForItemAtIndex: () => {},
+      setAttribute: () => {},
+    });
+  }
+
+  /** @param {!MDCVirtualListAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCVirtualListFoundation.defaultAdapter, adapter));
+
+    /** @private {number} */
+    this.itemCount_ = 0;
+
+    /** @private {number} */
+    this.itemHeight_ = numbers.DEFAULT_ITEM_HEIGHT;
+
+    /** @private {number} */
+    this.viewportHeight_ = 0;
+
+    /** @private {number} */
+    this.renderedStartIndex_ = 0;
+
+    /** @private {number} */
+    this.renderedEndIndex_ = 0;
+
+    /**
+     * Index of the list item focused last. It is kept while the list item is scrolled out of view and no longer
+     * rendered, so that keyboard navigation continues from it.
+     * @private {number}
+     */
+    this.focusedIndex_ = -1;
+
+    /**
+     * Index of the list item with tabindex="0", so that tabbing into the list focuses it.
+     * @private {number}
+     */
+    this.tabbableIndex_ = -1;
+  }
+
+  init() {
+    this.layout();
+  }
+
+  /** Measures the visible area of the list and renders the visible list items. Call this when the list is resized. */
+  layout() {
+    this.viewportHeight_ = this.adapter_.getViewportHeight();
+    this.render_(true);
+  }
+
+  /** @return {number} */
+  getItemCount() {
+    return this.itemCount_;
+  }
+
+  /**
+   * Sets the number of list items and renders the visible ones again, e.g. after the data of the list changed.
+   * @param {number} count
+   */
+  setItemCount(count) {
+    this.itemCount_ = Math.max(0, count);
+    this.focusedIndex_ = Math.min(this.focusedIndex_, this.itemCount_ - 1);
+    this.render_(true);
+  }
+
+  /** @return {number} */
+  getItemHeight() {
+    return this.itemHeight_;
+  }
+
+  /**
+   * Sets the height of each list item, in pixels. All list items of a virtual list have the same height.
+   * @param {number} height
+   */
+  setItemHeight(height) {
+    this.itemHeight_ = height;
+    this.render_(true);
+  }
+
+  /** @return {number} The index of the list item focused last, or -1. */
+  getFocusedIndex() {
+    return this.focusedIndex_;
+  }
+
+  /**
+   * Scrolls the list item at the index specified into view, renders it and focuses it.
+   * @param {number} index
+   */
+  focusItemAtIndex(index) {
+    if (index < 0 || index >= this.itemCount_) {
+      return;
+    }
+    this.scrollToIndex(index);
+    this.focusedIndex_ = index;
+    this.updateTabIndex_();
+    this.adapter_.focusItemAtIndex(index);
+  }
+
+  /**
+   * Scrolls the list as little as needed for the list item at the index specified to be fully visible.
+   * @param {number} index
+   */
+  scrollToIndex(index) {
+    const itemTop = index * this.itemHeight_;
+    const itemBottom = itemTop + this.itemHeight_;
+    const scrollTop = this.adapter_.getScrollTop();
+    if (itemTop < scrollTop) {
+      this.adapter_.setScrollTop(itemTop);
+    } else if (itemBottom > scrollTop + this.viewportHeight_) {
+      this.adapter_.setScrollTop(itemBottom - this.viewportHeight_);
+    }
+    // Renders synchronously rather than waiting for the scroll event, so that the list item can be focused right away.
+    this.render_();
+  }
+
+  /** Renders the list items which became visible. */
+  handleScroll() {
+    this.render_();
+  }
+
+  /**
+   * Remembers the focused list item.
+   * @param {!Event} evt
+   */
+  handleFocusIn(evt) {
+    const index = this.adapter_.getItemIndex(evt.target);
+    if (index >= 0) {
+      this.focusedIndex_ = index;
+      this.updateTabIndex_();
+    }
+  }
+
+  /**
+   * Moves focus between list items with the arrow, Page Up, Page Down, Home and End keys, scrolling list items which
+   * are not rendered into view.
+   * @param {!Event} evt
+   */
+  handleKeydown(evt) {
+    const isArrowUp = evt.key === 'ArrowUp' || evt.keyCode === 38;
+    const isArrowDown = evt.key === 'ArrowDown' || evt.keyCode === 40;
+    const isPageUp = evt.key === 'PageUp' || evt.keyCode === 33;
+    const isPageDown = evt.key === 'PageDown' || evt.keyCode === 34;
+    const isHome = evt.key === 'Home' || evt.keyCode === 36;
+    const isEnd = evt.key === 'End' || evt.keyCode === 35;
+    if (this.itemCount_ === 0 || !(isArrowUp || isArrowDown || isPageUp || isPageDown || isHome || isEnd)) {
+      return;
+    }
+
+    evt.preventDefault();
+    const pageSize = Math.max(1, Math.floor(this.viewportHeight_ / this.itemHeight_) - 1);
+    const lastIndex = this.itemCount_ - 1;
+    let index = this.focusedIndex_;
+    if (isHome) {
+      index = 0;
+    } else if (isEnd) {
+      index = lastIndex;
+    } else if (index === -1) {
+      // Nothing was focused yet, so any key starts at the first list item.
+      index = 0;
+    } else if (isArrowUp || isPageUp) {
+      index = Math.max(0, index - (isPageUp ? pageSize : 1));
+    } else {
+      index = Math.min(lastIndex, index + (isPageDown ? pageSize : 1));
+    }
+    this.focusItemAtIndex(index);
+  }
+
+  /**
+   * Renders the list items within the visible area of the list plus some overscan.
+   * @param {boolean=} force Whether to render even if the same list items are visible, e.g. after the data changed.
+   * @private
+   */
+  render_(force = false) {
+    const scrollTop = Math.max(0, this.adapter_.getScrollTop());
+    const firstVisibleIndex = Math.floor(scrollTop / this.itemHeight_);
+    const lastVisibleIndex = Math.ceil((scrollTop + this.viewportHeight_) / this.itemHeight_);
+    const startIndex = Math.min(this.itemCount_, Math.max(0, firstVisibleIndex - numbers.OVERSCAN_ITEM_COUNT));
+    const endIndex = Math.min(this.itemCount_, lastVisibleIndex + numbers.OVERSCAN_ITEM_COUNT);
+    if (!force && startIndex === this.renderedStartIndex_ && endIndex === this.renderedEndIndex_) {
+      return;
+    }
+
+    this.renderedStartIndex_ = startIndex;
+    this.renderedEndIndex_ = endIndex;
+    this.adapter_.renderItems(startIndex, endIndex);
+    this.adapter_.setSpacerHeights(startIndex * this.itemHeight_, (this.itemCount_ - endIndex) * this.itemHeight_);
+    this.updateTabIndex_();
+  }
+
+  /**
+   * Makes the focused list item, or the first one, tabbable. While that list item is not rendered, the root element is
+   * tabbable instead, and keyboard navigation continues from that list item.
+   * @private
+   */
+  updateTabIndex_() {
+    const index = Math.max(0, this.focusedIndex_);
+    if (this.tabbableIndex_ !== index && this.isRendered_(this.tabbableIndex_)) {
+      this.adapter_.setAttributeForItemAtIndex(this.tabbableIndex_, 'tabindex', '-1');
+    }
+    this.tabbableIndex_ = index;
+
+    const isTabbableItemRendered = this.isRendered_(index);
+    if (isTabbableItemRendered) {
+      this.adapter_.setAttributeForItemAtIndex(index, 'tabindex', '0');
+    }
+    this.adapter_.setAttribute('tabindex', isTabbableItemRendered ? '-1' : '0');
+  }
+
+  /**
+   * @param {number} index
+   * @return {boolean}
+   * @private
+   */
+  isRendered_(index) {
+    return index >= this.renderedStartIndex_ && index < this.renderedEndIndex_;
+  }
+}
+
+export {MDCVirtualListFoundation};
@@ -0,0 +1,273 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCComponent from '@material/base/component';
+import {MDCVirtualListFoundation} from './foundation';
+import {cssClasses, strings} from './constants';
+
+export {MDCVirtualListFoundation};
+
+/**
+ * A list which renders only the list items within its visible area, for lists with thousands of items.
+ * @extends MDCComponent<!MDCVirtualListFoundation>
+ * @final
+ */
+export class MDCVirtualList extends MDCComponent {
+  /** @param {...?} args */
+  constructor(...args) {
+    super(...args);
+    /** @private {!Element} */
+    this.beforeSpacer_;
+    /** @private {!Element} */
+    this.afterSpacer_;
+    /** @private {!Array<*>} */
+    this.items_;
+    /** @private {function(*, number): (!Node|string)} */
+    this.itemTemplate_;
+    /** @private {!Object<number, !Element>} */
+    this.renderedItems_;
+    /** @private {!Function} */
+    this.handleScroll_;
+    /** @private {!Function} */
+    this.handleKeydown_;
+    /** @private {!Function} */
+    this.handleFocusIn_;
+  }
+
+  /**
+   * @param {!Element} root
+   * @return {!MDCVirtualList}
+   */
+  static attachTo(root) {
+    return new MDCVirtualList(root);
+  }
+
+  initialize() {
+    this.items_ = [];
+    this.itemTemplate_ = (item) => String(item);
+    this.renderedItems_ = {};
+
+    // The spacers take up the space of the list items which are not rendered, so that the list scrolls as if they were.
+    this.beforeSpacer_ = this.createSpacer_();
+    this.afterSpacer_ = this.createSpacer_();
+    this.root_.appendChild(this.beforeSpacer_);
+    this.root_.appendChild(this.afterSpacer_);
+  }
+
+  initialSyncWithDOM() {
+    this.handleScroll_ = this.foundation_.handleScroll.bind(this.foundation_);
+    this.handleKeydown_ = this.foundation_.handleKeydown.bind(this.foundation_);
+    this.handleFocusIn_ = this.foundation_.handleFocusIn.bind(this.foundation_);
+    this.root_.addEventListener('scroll', this.handleScroll_);
+    this.root_.addEventListener('keydown', this.handleKeydown_);
+    this.root_.addEventListener('focusin', this.handleFocusIn_);
+  }
+
+  destroy() {
+    this.root_.removeEventListener('scroll', this.handleScroll_);
+    this.root_.removeEventListener('keydown', this.handleKeydown_);
+    this.root_.removeEventListener('focusin', this.handleFocusIn_);
+    super.destroy();
+  }
+
+  /** @return {!Array<*>} */
+  get items() {
+    return this.items_;
+  }
+
+  /**
+   * Sets the data of the list items. The list items which are rendered are rendered again with the new data.
+   * @param {!Array<*>} items
+   */
+  set items(items) {
+    this.items_ = items;
+    this.refreshRenderedItems_();
+    this.foundation_.setItemCount(items.length);
+  }
+
+  /**
+   * Sets the callback which returns the content of a list item from its data and index, as a node or as text.
+   * @param {function(*, number): (!Node|string)} itemTemplate
+   */
+  set itemTemplate(itemTemplate) {
+    this.itemTemplate_ = itemTemplate;
+    this.refreshRenderedItems_();
+  }
+
+  /** @return {number} */
+  get itemHeight() {
+    return this.foundation_.getItemHeight();
+  }
+
+  /** @param {number} height The height of each list item, in pixels. */
+  set itemHeight(height) {
+    this.foundation_.setItemHeight(height);
+    Object.keys(this.renderedItems_).forEach((index) => {
+      this.renderedItems_[index].style.height = `${height}px`;
+    });
+  }
+
+  /** @return {number} The index of the list item focused last, or -1. */
+  get focusedIndex() {
+    return this.foundation_.getFocusedIndex();
+  }
+
+  /** Measures the visible area of the list again, e.g. after it was resized. */
+  layout() {
+    this.foundation_.layout();
+  }
+
+  /**
+   * Scrolls the list item at the index specified into view.
+   * @param {number} index
+   */
+  scrollToIndex(index) {
+    this.foundation_.scrollToIndex(index);
+  }
+
+  /**
+   * Scrolls the list item at the index specified into view and focuses it.
+   * @param {number} index
+   */
+  focusItemAtIndex(index) {
+    this.foundation_.focusItemAtIndex(index);
+  }
+
+  /** @return {!MDCVirtualListFoundation} */
+  getDefaultFoundation() {
+    return new MDCVirtualListFoundation(/** @type {!MDCVirtualListAdapter} */ ({
+      getViewportHeight: () => this.root_.clientHeight,
+      getScrollTop: () => this.root_.scrollTop,
+      setScrollTop: (scrollTop) => this.root_.scrollTop = scrollTop,
+      renderItems: (startIndex, endIndex) => this.renderItems_(startIndex, endIndex),
+      setSpacerHeights: (beforeHeight, afterHeight) => {
+        this.beforeSpacer_.style.height = `${beforeHeight}px`;
+        this.afterSpacer_.style.height = `${afterHeight}px`;
+      },
+      getItemIndex: (target) => {
+        const index = Object.keys(this.renderedItems_).filter((i) => this.renderedItems_[i].contains(target))[0];
+        return index === undefined ? -1 : Number(index);
+      },
+      focusItemAtIndex: (index) => this.renderedItems_[index].focus(),
+      setAttributeForItemAtIndex: (index, attr, value) => {
+        if (this.renderedItems_[index]) {
+          this.renderedItems_[index].setAttribute(attr, value);
+        }
+      },
+      setAttribute: (attr, value) => this.root_.setAttribute(attr, value),
+    }));
+  }
+
+  /**
+   * @param {number} startIndex
+   * @param {number} endIndex
+   * @private
+   */
+  renderItems_(startIndex, endIndex) {
+    Object.keys(this.renderedItems_).map(Number).forEach((index) => {
+      if (index < startIndex || index >= endIndex) {
+        this.removeItem_(index);
+      }
+    });
+
+    // List items which stay rendered are never moved, as moving the focused element would blur it.
+    let nextSibling = this.afterSpacer_;
+    for (let index = endIndex - 1; index >= startIndex; index--) {
+      let listItem = this.renderedItems_[index];
+      if (!listItem) {
+        listItem = this.createItem_(index);
+        this.root_.insertBefore(listItem, nextSibling);
+        this.renderedItems_[index] = listItem;
+      }
+      listItem.setAttribute(strings.ARIA_SETSIZE, String(this.items_.length));
+      nextSibling = listItem;
+    }
+  }
+
+  /**
+   * @param {number} index
+   * @return {!Element}
+   * @private
+   */
+  createItem_(index) {
+    const listItem = document.createElement('li');
+    listItem.classList.add(cssClasses.LIST_ITEM_CLASS);
+    listItem.setAttribute('tabindex', '-1');
+    listItem.setAttribute(strings.ARIA_POSINSET, String(index + 1));
+    if (this.root_.getAttribute('role') === 'listbox') {
+      listItem.setAttribute('role', 'option');
+    }
+    listItem.style.height = `${this.foundation_.getItemHeight()}px`;
+    this.renderItemContent_(listItem, index);
+    return listItem;
+  }
+
+  /**
+   * @param {!Element} listItem
+   * @param {number} index
+   * @private
+   */
+  renderItemContent_(listItem, index) {
+    const content = this.itemTemplate_(this.items_[index], index);
+    if (typeof content === 'string') {
+      listItem.textContent = content;
+    } else {
+      listItem.textContent = '';
+      listItem.appendChild(content);
+    }
+  }
+
+  /**
+   * Renders the content of the rendered list items again, without replacing the list items themselves.
+   * @private
+   */
+  refreshRenderedItems_() {
+    Object.keys(this.renderedItems_).map(Number).forEach((index) => {
+      if (index < this.items_.length) {
+        this.renderItemContent_(this.renderedItems_[index], index);
+      } else {
+        this.removeItem_(index);
+      }
+    });
+  }
+
+  /**
+   * @param {number} index
+   * @private
+   */
+  removeItem_(index) {
+    const listItem = this.renderedItems_[index];
+    if (listItem.contains(document.activeElement)) {
+      // Keeps focus within the list, so that keyboard navigation continues from the removed list item.
+      this.root_.focus();
+    }
+    this.root_.removeChild(listItem);
+    delete this.renderedItems_[index];
+  }
+
+  /**
+   * @return {!Element}
+   * @private
+   */
+  createSpacer_() {
+    const spacer = document.createElement('li');
+    spacer.setAttribute('role', 'presentation');
+    spacer.setAttribute('aria-hidden', 'true');
+    return spacer;
+  }
+}
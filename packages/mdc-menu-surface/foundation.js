@@ -0,0 +1,486 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import MDCFoundation from '@material/base/foundation';
+import {MDCMenuSurfaceAdapter} from './adapter';
+import {cssClasses, strings, numbers, Corner, CornerBit} from './constants';
+/* eslint-disable no-unused-vars */
+import {AnchorMargin, AutoLayoutMeasurements, getAutoLayoutMeasurements, getOriginCorner} from './util';
+/* eslint-enable no-unused-vars */
+
+/**
+ * @extends {MDCFoundation<!MDCMenuSurfaceAdapter>}
+ */
+class MDCMenuSurfaceFoundation extends MDCFoundation {
+  /** @return enum{cssClasses} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum{strings} */
+  static get strings() {
+    return strings;
+  }
+
+  /** @return enum{numbers} */
+  static get numbers() {
+    return numbers;
+  }
+
+  /** @return enum{number} */
+  static get Corner() {
+    return Corner;
+  }
+
+  /**
+   * {@see MDCMenuSurfaceAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCMenuSurfaceAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCMenuSurfaceAdapter} */ ({
+      addClass: () => {},
+      removeClass: () => {},
+      hasClass: () => false,
+      getInnerDimensions: () => ({}),
+      hasAnchor: () => false,
+      getAnchorDimensions: () => ({}),
+      getWindowDimensions: () => ({}),
+      registerInteractionHandler: () => {},
+      deregisterInteractionHandler: () => {},
+      registerBodyClickHandler: () => {},
+      deregisterBodyClickHandler: () => {},
+      registerScrollHandler: () => {},
+      deregisterScrollHandler: () => {},
+      registerResizeHandler: () => {},
+      deregisterResizeHandler: () => {},
+      isElementInContainer: () => false,
+      notifyOpen: () => {},
+      notifyClose: () => {},
+      saveFocus: () => {},
+      restoreFocus: () => {},
+      isFocused: () => false,
+      focus: () => {},
+      isRtl: () => false,
+      setTransformOrigin: () => {},
+      setPosition: () => {},
+      setMaxHeight: () => {},
+    });
+  }
+
+  /**
+   * Components built on the menu surface, such as MDCMenu, may pass their own classes for the surface states.
+   * @param {!MDCMenuSurfaceAdapter} adapter
+   * @param {string=} openCssClass
+   * @param {string=} animatingOpenCssClass
+   * @param {string=} animatingClosedCssClass
+   * @param {string=} fixedCssClass
+   */
+  constructor(adapter,
+    openCssClass = cssClasses.OPEN,
+    animatingOpenCssClass = cssClasses.ANIMATING_OPEN,
+    animatingClosedCssClass = cssClasses.ANIMATING_CLOSED,
+    fixedCssClass = cssClasses.FIXED) {
+    super(Object.assign(MDCMenuSurfaceFoundation.defaultAdapter, adapter));
+
+    /** @private {string} */
+    this.openCssClass_ = openCssClass;
+    /** @private {string} */
+    this.animatingOpenCssClass_ = animatingOpenCssClass;
+    /** @private {string} */
+    this.animatingClosedCssClass_ = animatingClosedCssClass;
+    /** @private {string} */
+    this.fixedCssClass_ = fixedCssClass;
+
+    /** @private {function(!Event)} */
+    this.keydownHandler_ = (evt) => this.handleKeydown(evt);
+    /** @private {function(!Event)} */
+    this.bodyClickHandler_ = (evt) => this.handleBodyClick(evt);
+    /** @private {function(!Event)} */
+    this.viewportChangeHandler_ = (evt) => this.handleViewportChange_(evt);
+    /** @protected {boolean} */
+    this.isOpen_ = false;
+    /** @private {number} */
+    this.openAnimationEndTimerId_ = 0;
+    /** @private {number} */
+    this.closeAnimationEndTimerId_ = 0;
+    /** @private {number} */
+    this.animationRequestId_ = 0;
+    /** @private {!{ width: number, height: number }} */
+    this.dimensions_;
+    /** @private {Corner} */
+    this.anchorCorner_ = Corner.TOP_START;
+    /** @private {AnchorMargin} */
+    this.anchorMargin_ = {top: 0, right: 0, bottom: 0, left: 0};
+    /** @private {?AutoLayoutMeasurements} */
+    this.measures_ = null;
+    /**
+     * Viewport coordinates to position the surface at instead of its anchor, e.g. for context menus.
+     * @private {?{x: number, y: number}}
+     */
+    this.absolutePosition_ = null;
+    /**
+     * Whether the surface is positioned in viewport coordinates computed from the client rect of its anchor, so that
+     * it is not clipped by the ancestors of the anchor.
+     * @private {boolean}
+     */
+    this.isFixedPosition_ = false;
+    /** @protected {boolean} */
+    this.quickOpen_ = false;
+  }
+
+  init() {
+    if (this.adapter_.hasClass(this.openCssClass_)) {
+      this.isOpen_ = true;
+    }
+
+    this.adapter_.registerInteractionHandler('keydown', this.keydownHandler_);
+  }
+
+  destroy() {
+    clearTimeout(this.openAnimationEndTimerId_);
+    clearTimeout(this.closeAnimationEndTimerId_);
+    // Cancel any currently running animations.
+    cancelAnimationFrame(this.animationRequestId_);
+    this.adapter_.deregisterInteractionHandler('keydown', this.keydownHandler_);
+    this.adapter_.deregisterBodyClickHandler(this.bodyClickHandler_);
+    this.deregisterViewportChangeHandlers_();
+  }
+
+  /**
+   * @param {!Corner} corner Default anchor corner alignment of top-left surface corner.
+   */
+  setAnchorCorner(corner) {
+    this.anchorCorner_ = corner;
+  }
+
+  /**
+   * @param {!AnchorMargin} margin 4-plet of margins from anchor.
+   */
+  setAnchorMargin(margin) {
+    this.anchorMargin_.top = typeof margin.top === 'number' ? margin.top : 0;
+    this.anchorMargin_.right = typeof margin.right === 'number' ? margin.right : 0;
+    this.anchorMargin_.bottom = typeof margin.bottom === 'number' ? margin.bottom : 0;
+    this.anchorMargin_.left = typeof margin.left === 'number' ? margin.left : 0;
+  }
+
+  /**
+   * Positions the surface at the given viewport coordinates instead of relative to its anchor, e.g. at the pointer
+   * location of a `contextmenu` event. The point acts as a zero-size anchor, so the anchor corner, anchor margin and
+   * flipping near the edges of the viewport still apply. Pass null to position the surface relative to its anchor
+   * again.
+   * @param {?number} x
+   * @param {?number} y
+   */
+  setAbsolutePosition(x, y) {
+    if (x === null || y === null) {
+      this.absolutePosition_ = null;
+      if (!this.isFixedPosition_) {
+        this.adapter_.removeClass(this.fixedCssClass_);
+      }
+      return;
+    }
+
+    this.absolutePosition_ = {x: isFinite(x) ? x : 0, y: isFinite(y) ? y : 0};
+    this.adapter_.addClass(this.fixedCssClass_);
+  }
+
+  /**
+   * Sets whether the surface is positioned in viewport coordinates computed from the client rect of its anchor, which
+   * keeps it from being clipped by scrollable or `overflow: hidden` ancestors of the anchor. While open, a fixed
+   * surface follows its anchor when the page or a container scrolls, or when the window is resized.
+   * @param {boolean} isFixedPosition
+   */
+  setFixedPosition(isFixedPosition) {
+    this.isFixedPosition_ = isFixedPosition;
+    if (isFixedPosition) {
+      this.adapter_.addClass(this.fixedCssClass_);
+    } else if (!this.absolutePosition_) {
+      this.adapter_.removeClass(this.fixedCssClass_);
+    }
+  }
+
+  /** @param {boolean} quickOpen */
+  setQuickOpen(quickOpen) {
+    this.quickOpen_ = quickOpen;
+  }
+
+  /**
+   * Moves focus into the surface once it has opened.
+   * @protected
+   */
+  focusOnOpen_() {
+    this.adapter_.focus();
+  }
+
+  /**
+   * Closes the surface when a click happens outside of it.
+   * @param {!Event} evt
+   */
+  handleBodyClick(evt) {
+    if (this.adapter_.isElementInContainer(evt.target)) {
+      return;
+    }
+
+    this.close();
+  }
+
+  /**
+   * Closes the surface when Escape is pressed within it.
+   * @param {!Event} evt
+   */
+  handleKeydown(evt) {
+    const {keyCode, key} = evt;
+    if (key === 'Escape' || keyCode === 27) {
+      this.close();
+    }
+  }
+
+  /**
+   * @return {AutoLayoutMeasurements} Measurements used to position the surface.
+   * @private
+   */
+  getAutoLayoutMeasurements_() {
+    let anchorRect;
+    if (this.absolutePosition_) {
+      const {x, y} = this.absolutePosition_;
+      anchorRect = {width: 0, height: 0, top: y, right: x, bottom: y, left: x};
+    } else {
+      anchorRect = this.adapter_.getAnchorDimensions();
+    }
+    return getAutoLayoutMeasurements(anchorRect, this.adapter_.getWindowDimensions(), this.dimensions_);
+  }
+
+  /**
+   * Computes the corner of the anchor from which to animate and position the surface.
+   * @return {Corner}
+   * @private
+   */
+  getOriginCorner_() {
+    return getOriginCorner(this.measures_, this.anchorCorner_, this.anchorMargin_, this.adapter_.isRtl());
+  }
+
+  /**
+   * @param {Corner} corner Origin corner of the surface.
+   * @return {number} Horizontal offset of surface origin corner from corresponding anchor corner.
+   * @private
+   */
+  getHorizontalOriginOffset_(corner) {
+    const {anchorWidth} = this.measures_;
+    const isRightAligned = Boolean(corner & CornerBit.RIGHT);
+    const avoidHorizontalOverlap = Boolean(this.anchorCorner_ & CornerBit.RIGHT);
+    let x = 0;
+    if (isRightAligned) {
+      const rightOffset = avoidHorizontalOverlap ? anchorWidth - this.anchorMargin_.left : this.anchorMargin_.right;
+      x = rightOffset;
+    } else {
+      const leftOffset = avoidHorizontalOverlap ? anchorWidth - this.anchorMargin_.right : this.anchorMargin_.left;
+      x = leftOffset;
+    }
+    return x;
+  }
+
+  /**
+   * @param {Corner} corner Origin corner of the surface.
+   * @return {number} Vertical offset of surface origin corner from corresponding anchor corner.
+   * @private
+   */
+  getVerticalOriginOffset_(corner) {
+    const {viewport, viewportDistance, anchorHeight, menuHeight} = this.measures_;
+    const isBottomAligned = Boolean(corner & CornerBit.BOTTOM);
+    const {MARGIN_TO_EDGE} = numbers;
+    const avoidVerticalOverlap = Boolean(this.anchorCorner_ & CornerBit.BOTTOM);
+    const canOverlapVertically = !avoidVerticalOverlap;
+    let y = 0;
+
+    if (isBottomAligned) {
+      y = avoidVerticalOverlap ? anchorHeight - this.anchorMargin_.top : -this.anchorMargin_.bottom;
+      // adjust for when surface can overlap anchor, but too tall to be aligned to bottom
+      // anchor corner. Bottom margin is ignored in such cases.
+      if (canOverlapVertically && menuHeight > viewportDistance.top + anchorHeight) {
+        y = -(Math.min(menuHeight, viewport.height - MARGIN_TO_EDGE) - (viewportDistance.top + anchorHeight));
+      }
+    } else {
+      y = avoidVerticalOverlap ? (anchorHeight + this.anchorMargin_.bottom) : this.anchorMargin_.top;
+      // adjust for when surface can overlap anchor, but too tall to be aligned to top
+      // anchor corners. Top margin is ignored in that case.
+      if (canOverlapVertically && menuHeight > viewportDistance.bottom + anchorHeight) {
+        y = -(Math.min(menuHeight, viewport.height - MARGIN_TO_EDGE) - (viewportDistance.bottom + anchorHeight));
+      }
+    }
+    return y;
+  }
+
+  /**
+   * @param {Corner} corner Origin corner of the surface.
+   * @return {number} Maximum height of the surface, based on available space. 0 indicates should not be set.
+   * @private
+   */
+  getMaxHeight_(corner) {
+    let maxHeight = 0;
+    const {viewportDistance} = this.measures_;
+    const isBottomAligned = Boolean(corner & CornerBit.BOTTOM);
+
+    // When maximum height is not specified, it is handled from css.
+    if (this.anchorCorner_ & CornerBit.BOTTOM) {
+      if (isBottomAligned) {
+        maxHeight = viewportDistance.top + this.anchorMargin_.top;
+      } else {
+        maxHeight = viewportDistance.bottom - this.anchorMargin_.bottom;
+      }
+    }
+
+    return maxHeight;
+  }
+
+  /** @private */
+  autoPosition_() {
+    if (!this.absolutePosition_ && !this.adapter_.hasAnchor()) {
+      return;
+    }
+
+    // Compute measurements for autoposition methods reuse.
+    this.measures_ = this.getAutoLayoutMeasurements_();
+
+    const corner = this.getOriginCorner_();
+    const maxHeight = this.getMaxHeight_(corner);
+    let verticalAlignment = (corner & CornerBit.BOTTOM) ? 'bottom' : 'top';
+    let horizontalAlignment = (corner & CornerBit.RIGHT) ? 'right' : 'left';
+    const horizontalOffset = this.getHorizontalOriginOffset_(corner);
+    const verticalOffset = this.getVerticalOriginOffset_(corner);
+    const {anchorWidth, menuHeight, menuWidth, viewportDistance} = this.measures_;
+    let horizontalPosition = horizontalOffset;
+    let verticalPosition = verticalOffset;
+    if (this.absolutePosition_ || this.isFixedPosition_) {
+      // A fixed surface is positioned relative to the viewport, so offsets from the point or the client rect of the
+      // anchor are converted into offsets from the corresponding edges of the viewport.
+      horizontalPosition += viewportDistance[horizontalAlignment];
+      verticalPosition += viewportDistance[verticalAlignment];
+    }
+    const position = {
+      [horizontalAlignment]: horizontalPosition ? horizontalPosition + 'px' : '0',
+      [verticalAlignment]: verticalPosition ? verticalPosition + 'px' : '0',
+    };
+    // Center align when anchor width is comparable or greater than surface, otherwise keep corner.
+    if (anchorWidth / menuWidth > numbers.ANCHOR_TO_MENU_WIDTH_RATIO) {
+      horizontalAlignment = 'center';
+    }
+
+    // Adjust vertical origin when surface is positioned with significant offset from anchor. This is done so that
+    // scale animation is "anchored" on the anchor.
+    if (!(this.anchorCorner_ & CornerBit.BOTTOM) &&
+        Math.abs(verticalOffset / menuHeight) > numbers.OFFSET_TO_MENU_HEIGHT_RATIO) {
+      const verticalOffsetPercent = Math.abs(verticalOffset / menuHeight) * 100;
+      const originPercent = (corner & CornerBit.BOTTOM) ? 100 - verticalOffsetPercent : verticalOffsetPercent;
+      verticalAlignment = Math.round(originPercent * 100) / 100 + '%';
+    }
+
+    this.adapter_.setTransformOrigin(`${horizontalAlignment} ${verticalAlignment}`);
+    this.adapter_.setPosition(position);
+    this.adapter_.setMaxHeight(maxHeight ? maxHeight + 'px' : '');
+
+    // Clear measures after positioning is complete.
+    this.measures_ = null;
+  }
+
+  /**
+   * Opens the surface.
+   */
+  open() {
+    this.adapter_.saveFocus();
+
+    if (!this.quickOpen_) {
+      this.adapter_.addClass(this.animatingOpenCssClass_);
+    }
+
+    this.animationRequestId_ = requestAnimationFrame(() => {
+      this.dimensions_ = this.adapter_.getInnerDimensions();
+      this.autoPosition_();
+      this.adapter_.addClass(this.openCssClass_);
+      this.focusOnOpen_();
+      this.adapter_.registerBodyClickHandler(this.bodyClickHandler_);
+      if (this.isFixedPosition_) {
+        this.adapter_.registerScrollHandler(this.viewportChangeHandler_);
+        this.adapter_.registerResizeHandler(this.viewportChangeHandler_);
+      }
+      if (this.quickOpen_) {
+        this.adapter_.notifyOpen();
+      } else {
+        this.openAnimationEndTimerId_ = setTimeout(() => {
+          this.openAnimationEndTimerId_ = 0;
+          this.adapter_.removeClass(this.animatingOpenCssClass_);
+          this.adapter_.notifyOpen();
+        }, numbers.TRANSITION_OPEN_DURATION);
+      }
+    });
+    this.isOpen_ = true;
+  }
+
+  /**
+   * Closes the surface.
+   */
+  close() {
+    this.adapter_.deregisterBodyClickHandler(this.bodyClickHandler_);
+    this.deregisterViewportChangeHandlers_();
+
+    if (!this.quickOpen_) {
+      this.adapter_.addClass(this.animatingClosedCssClass_);
+    }
+
+    requestAnimationFrame(() => {
+      this.adapter_.removeClass(this.openCssClass_);
+      if (this.quickOpen_) {
+        this.adapter_.notifyClose();
+      } else {
+        this.closeAnimationEndTimerId_ = setTimeout(() => {
+          this.closeAnimationEndTimerId_ = 0;
+          this.adapter_.removeClass(this.animatingClosedCssClass_);
+          this.adapter_.notifyClose();
+        }, numbers.TRANSITION_CLOSE_DURATION);
+      }
+    });
+    this.isOpen_ = false;
+    this.adapter_.restoreFocus();
+  }
+
+  /**
+   * Keeps a fixed surface next to its anchor when the page or a container of the anchor scrolls, or when the window
+   * is resized. Scrolling of the surface's own content does not move the anchor.
+   * @param {!Event} evt
+   * @private
+   */
+  handleViewportChange_(evt) {
+    if (evt.type === 'scroll' && this.adapter_.isElementInContainer(evt.target)) {
+      return;
+    }
+
+    this.autoPosition_();
+  }
+
+  /** @private */
+  deregisterViewportChangeHandlers_() {
+    this.adapter_.deregisterScrollHandler(this.viewportChangeHandler_);
+    this.adapter_.deregisterResizeHandler(this.viewportChangeHandler_);
+  }
+
+  /** @return {boolean} */
+  isOpen() {
+    return this.isOpen_;
+  }
+}
+
+export {MDCMenuSurfaceFoundation, AnchorMargin};
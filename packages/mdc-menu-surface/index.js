@@ -0,0 +1,171 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import MDCComponent from '@material/base/component';
+import {MDCMenuSurfaceAdapter} from './adapter';
+import {MDCMenuSurfaceFoundation, AnchorMargin} from './foundation';
+import {Corner, CornerBit} from './constants';
+import {getTransformPropertyName} from './util';
+
+/**
+ * @extends MDCComponent<!MDCMenuSurfaceFoundation>
+ */
+class MDCMenuSurface extends MDCComponent {
+  /** @param {...?} args */
+  constructor(...args) {
+    super(...args);
+    /** @type {?Element} */
+    this.anchorElement;
+    /** @private {?Element} */
+    this.previousFocus_;
+  }
+
+  /**
+   * @param {!Element} root
+   * @return {!MDCMenuSurface}
+   */
+  static attachTo(root) {
+    return new MDCMenuSurface(root);
+  }
+
+  initialize() {
+    const {parentElement} = this.root_;
+    this.anchorElement = parentElement && parentElement.classList.contains(MDCMenuSurfaceFoundation.cssClasses.ANCHOR) ?
+      parentElement : null;
+  }
+
+  /** @return {boolean} */
+  get open() {
+    return this.foundation_.isOpen();
+  }
+
+  /** @param {boolean} value */
+  set open(value) {
+    if (value) {
+      this.foundation_.open();
+    } else {
+      this.foundation_.close();
+    }
+  }
+
+  /**
+   * @param {!Corner} corner Default anchor corner alignment of top-left surface corner.
+   */
+  setAnchorCorner(corner) {
+    this.foundation_.setAnchorCorner(corner);
+  }
+
+  /**
+   * @param {!AnchorMargin} margin
+   */
+  setAnchorMargin(margin) {
+    this.foundation_.setAnchorMargin(margin);
+  }
+
+  /**
+   * @param {?number} x Horizontal viewport coordinate to position the surface at, or null to use the anchor again.
+   * @param {?number} y Vertical viewport coordinate to position the surface at, or null to use the anchor again.
+   */
+  setAbsolutePosition(x, y) {
+    this.foundation_.setAbsolutePosition(x, y);
+  }
+
+  /**
+   * @param {boolean} isFixedPosition Whether to position the surface in viewport coordinates computed from its anchor.
+   */
+  setFixedPosition(isFixedPosition) {
+    this.foundation_.setFixedPosition(isFixedPosition);
+  }
+
+  /**
+   * Moves the surface to the end of the given layer, so that it is not clipped by the ancestors of its anchor, and
+   * positions it in viewport coordinates computed from its anchor.
+   * @param {!Element=} layer Element to move the surface to. Defaults to the body.
+   */
+  hoistTo(layer = document.body) {
+    layer.appendChild(this.root_);
+    this.setFixedPosition(true);
+  }
+
+  /** @param {boolean} quickOpen */
+  set quickOpen(quickOpen) {
+    this.foundation_.setQuickOpen(quickOpen);
+  }
+
+  /**
+   * Returns the adapter of the menu surface, which components built on it extend with their own methods.
+   * @return {!MDCMenuSurfaceAdapter}
+   * @protected
+   */
+  getDefaultAdapter_() {
+    return /** @type {!MDCMenuSurfaceAdapter} */ ({
+      addClass: (className) => this.root_.classList.add(className),
+      removeClass: (className) => this.root_.classList.remove(className),
+      hasClass: (className) => this.root_.classList.contains(className),
+      getInnerDimensions: () => {
+        return {width: this.root_.offsetWidth, height: this.root_.offsetHeight};
+      },
+      hasAnchor: () => Boolean(this.anchorElement),
+      getAnchorDimensions: () => this.anchorElement.getBoundingClientRect(),
+      getWindowDimensions: () => {
+        return {width: window.innerWidth, height: window.innerHeight};
+      },
+      registerInteractionHandler: (type, handler) => this.root_.addEventListener(type, handler),
+      deregisterInteractionHandler: (type, handler) => this.root_.removeEventListener(type, handler),
+      registerBodyClickHandler: (handler) => document.body.addEventListener('click', handler),
+      deregisterBodyClickHandler: (handler) => document.body.removeEventListener('click', handler),
+      // Scroll events do not bubble, so they are captured to also be notified of scrolling containers.
+      registerScrollHandler: (handler) => window.addEventListener('scroll', handler, true),
+      deregisterScrollHandler: (handler) => window.removeEventListener('scroll', handler, true),
+      registerResizeHandler: (handler) => window.addEventListener('resize', handler),
+      deregisterResizeHandler: (handler) => window.removeEventListener('resize', handler),
+      isElementInContainer: (el) => this.root_.contains(el),
+      notifyOpen: () => this.emit(MDCMenuSurfaceFoundation.strings.OPENED_EVENT, {}),
+      notifyClose: () => this.emit(MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, {}),
+      saveFocus: () => {
+        this.previousFocus_ = document.activeElement;
+      },
+      restoreFocus: () => {
+        if (this.root_.contains(document.activeElement) && this.previousFocus_ && this.previousFocus_.focus) {
+          this.previousFocus_.focus();
+        }
+      },
+      isFocused: () => document.activeElement === this.root_,
+      focus: () => this.root_.focus(),
+      isRtl: () => getComputedStyle(this.root_).getPropertyValue('direction') === 'rtl',
+      setTransformOrigin: (origin) => {
+        this.root_.style[`${getTransformPropertyName(window)}-origin`] = origin;
+      },
+      setPosition: (position) => {
+        this.root_.style.left = 'left' in position ? position.left : null;
+        this.root_.style.right = 'right' in position ? position.right : null;
+        this.root_.style.top = 'top' in position ? position.top : null;
+        this.root_.style.bottom = 'bottom' in position ? position.bottom : null;
+      },
+      setMaxHeight: (height) => {
+        this.root_.style.maxHeight = height;
+      },
+    });
+  }
+
+  /** @return {!MDCMenuSurfaceFoundation} */
+  getDefaultFoundation() {
+    return new MDCMenuSurfaceFoundation(this.getDefaultAdapter_());
+  }
+}
+
+export {MDCMenuSurfaceFoundation, MDCMenuSurface, AnchorMargin, Corner, CornerBit};
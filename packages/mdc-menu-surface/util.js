@@ -0,0 +1,138 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Corner, CornerBit} from './constants';
+
+/**
+ * @typedef {{
+ *   top: number,
+ *   right: number,
+ *   bottom: number,
+ *   left: number
+ * }}
+ */
+let AnchorMargin;
+
+/**
+ * @typedef {{
+ *   viewport: { width: number, height: number },
+ *   viewportDistance: {top: number, right: number, bottom: number, left: number},
+ *   anchorHeight: number,
+ *   anchorWidth: number,
+ *   menuHeight: number,
+ *   menuWidth: number,
+ * }}
+ */
+let AutoLayoutMeasurements;
+
+/** @type {string|undefined} */
+let storedTransformPropertyName_;
+
+/**
+ * Returns the name of the correct transform property to use on the current browser.
+ * @param {!Window} globalObj
+ * @param {boolean=} forceRefresh
+ * @return {string}
+ */
+function getTransformPropertyName(globalObj, forceRefresh = false) {
+  if (storedTransformPropertyName_ === undefined || forceRefresh) {
+    const el = globalObj.document.createElement('div');
+    const transformPropertyName = ('transform' in el.style ? 'transform' : 'webkitTransform');
+    storedTransformPropertyName_ = transformPropertyName;
+  }
+
+  return storedTransformPropertyName_;
+}
+
+/**
+ * Measures the distances between an anchor and the edges of the viewport, which are used to position a popup
+ * such as a menu relative to the anchor.
+ * @param {!ClientRect} anchorRect Bounding client rect of the anchor.
+ * @param {{width: number, height: number}} viewport
+ * @param {{width: number, height: number}} menuDimensions Dimensions of the popup.
+ * @return {!AutoLayoutMeasurements}
+ */
+function getAutoLayoutMeasurements(anchorRect, viewport, menuDimensions) {
+  return {
+    viewport: viewport,
+    viewportDistance: {
+      top: anchorRect.top,
+      right: viewport.width - anchorRect.right,
+      left: anchorRect.left,
+      bottom: viewport.height - anchorRect.bottom,
+    },
+    anchorHeight: anchorRect.height,
+    anchorWidth: anchorRect.width,
+    menuHeight: menuDimensions.height,
+    menuWidth: menuDimensions.width,
+  };
+}
+
+/**
+ * Computes the corner of the anchor from which to position a popup, flipping it vertically and horizontally when
+ * it would otherwise overflow the viewport.
+ * @param {!AutoLayoutMeasurements} measures
+ * @param {Corner} anchorCorner Preferred corner of the anchor to position the popup from.
+ * @param {!AnchorMargin} anchorMargin
+ * @param {boolean} isRtl
+ * @return {Corner}
+ */
+function getOriginCorner(measures, anchorCorner, anchorMargin, isRtl) {
+  // Defaults: open from the top left.
+  let corner = Corner.TOP_LEFT;
+
+  const {viewportDistance, anchorHeight, anchorWidth, menuHeight, menuWidth} = measures;
+  const isBottomAligned = Boolean(anchorCorner & CornerBit.BOTTOM);
+  const availableTop = isBottomAligned ? viewportDistance.top + anchorHeight + anchorMargin.bottom
+    : viewportDistance.top + anchorMargin.top;
+  const availableBottom = isBottomAligned ? viewportDistance.bottom - anchorMargin.bottom
+    : viewportDistance.bottom + anchorHeight - anchorMargin.top;
+
+  const topOverflow = menuHeight - availableTop;
+  const bottomOverflow = menuHeight - availableBottom;
+  if (bottomOverflow > 0 && topOverflow < bottomOverflow) {
+    corner |= CornerBit.BOTTOM;
+  }
+
+  const isFlipRtl = Boolean(anchorCorner & CornerBit.FLIP_RTL);
+  const avoidHorizontalOverlap = Boolean(anchorCorner & CornerBit.RIGHT);
+  const isAlignedRight = (avoidHorizontalOverlap && !isRtl) ||
+    (!avoidHorizontalOverlap && isFlipRtl && isRtl);
+  const availableLeft = isAlignedRight ? viewportDistance.left + anchorWidth + anchorMargin.right :
+    viewportDistance.left + anchorMargin.left;
+  const availableRight = isAlignedRight ? viewportDistance.right - anchorMargin.right :
+    viewportDistance.right + anchorWidth - anchorMargin.left;
+
+  const leftOverflow = menuWidth - availableLeft;
+  const rightOverflow = menuWidth - availableRight;
+
+  if ((leftOverflow < 0 && isAlignedRight && isRtl) ||
+      (avoidHorizontalOverlap && !isAlignedRight && leftOverflow < 0) ||
+      (rightOverflow > 0 && leftOverflow < rightOverflow)) {
+    corner |= CornerBit.RIGHT;
+  }
+
+  return corner;
+}
+
+export {
+  AnchorMargin,
+  AutoLayoutMeasurements,
+  getTransformPropertyName,
+  getAutoLayoutMeasurements,
+  getOriginCorner,
+};
@@ -17,8 +17,13 @@
 
 /* eslint no-unused-vars: [2, {"args": "none"}] */
 
+/* eslint-disable no-unused-vars */
+import {MDCMenuSurfaceAdapter} from '@material/menu-surface/adapter';
+/* eslint-enable no-unused-vars */
+
 /**
- * Adapter for MDC Menu. Provides an interface for managing
+ * Adapter for MDC Menu, which extends the adapter of the menu surface the menu is built on.
+ * Provides an interface for managing
  * - classes
  * - dom
  * - focus
@@ -35,6 +40,7 @@
  * https://github.com/material-components/material-components-web/blob/master/docs/code/architecture.md
  *
  * @record
+ * @extends {MDCMenuSurfaceAdapter}
  */
 class MDCMenuAdapter {
   /** @param {string} className */
@@ -92,17 +98,39 @@ class MDCMenuAdapter {
   /** @param {function(!Event)} handler */
   deregisterBodyClickHandler(handler) {}
 
+  /** @param {function(!Event)} handler */
+  registerScrollHandler(handler) {}
+
+  /** @param {function(!Event)} handler */
+  deregisterScrollHandler(handler) {}
+
+  /** @param {function(!Event)} handler */
+  registerResizeHandler(handler) {}
+
+  /** @param {function(!Event)} handler */
+  deregisterResizeHandler(handler) {}
+
   /**
    * @param {EventTarget} target
    * @return {number}
    */
   getIndexForEventTarget(target) {}
 
-  /** @param {{index: number}} evtData */
+  /**
+   * @param {EventTarget} el
+   * @return {boolean} Whether the element is the root element or one of its descendants.
+   */
+  isElementInContainer(el) {}
+
+  /** @param {{index: number, checked: (boolean|undefined)}} evtData */
   notifySelected(evtData) {}
 
   notifyCancel() {}
 
+  notifyOpen() {}
+
+  notifyClose() {}
+
   saveFocus() {}
 
   restoreFocus() {}
@@ -135,6 +163,19 @@ class MDCMenuAdapter {
   /** @param {string} height */
   setMaxHeight(height) {}
 
+  /**
+   * @param {number} index
+   * @param {string} attr
+   * @return {?string}
+   */
+  getAttrForOptionAtIndex(index, attr) {}
+
+  /**
+   * @param {number} index
+   * @return {string} Text of the item at the index, which typeahead matches typed characters against.
+   */
+  getTextForOptionAtIndex(index) {}
+
   /**
    * @param {number} index
    * @param {string} attr
@@ -159,6 +200,30 @@ class MDCMenuAdapter {
    * @param {string} className
    */
   rmClassForOptionAtIndex(index, className) {}
+
+  /**
+   * @param {number} index
+   * @return {boolean} Whether the item at the given index opens a submenu.
+   */
+  hasSubmenuAtIndex(index) {}
+
+  /**
+   * @param {number} index
+   * @param {?number} focusIndex Index of the submenu item to focus, or null to focus the submenu itself.
+   */
+  openSubmenuAtIndex(index, focusIndex) {}
+
+  /** @param {number} index */
+  closeSubmenuAtIndex(index) {}
+
+  /**
+   * @param {EventTarget} target
+   * @return {boolean} Whether the target is inside one of this menu's submenus.
+   */
+  isTargetInSubmenu(target) {}
+
+  /** @return {boolean} Whether this menu is itself the submenu of another menu. */
+  isSubmenu() {}
 }
 
 export {MDCMenuAdapter};
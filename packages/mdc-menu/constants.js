@@ -15,6 +15,8 @@
  * limitations under the License.
  */
 
+import {numbers as surfaceNumbers, Corner, CornerBit} from '@material/menu-surface/constants';
+
 /** @enum {string} */
 const cssClasses = {
   ROOT: 'mdc-menu',
@@ -22,6 +24,9 @@ const cssClasses = {
   ANIMATING_OPEN: 'mdc-menu--animating-open',
   ANIMATING_CLOSED: 'mdc-menu--animating-closed',
   SELECTED_LIST_ITEM: 'mdc-list-item--selected',
+  CASCADING: 'mdc-menu--cascading',
+  FIXED: 'mdc-menu--fixed',
+  ANCHOR: 'mdc-menu-anchor',
 };
 
 /** @enum {string} */
@@ -30,6 +35,13 @@ const strings = {
   SELECTED_EVENT: 'MDCMenu:selected',
   CANCEL_EVENT: 'MDCMenu:cancel',
   ARIA_DISABLED_ATTR: 'aria-disabled',
+  ARIA_EXPANDED_ATTR: 'aria-expanded',
+  ARIA_CHECKED_ATTR: 'aria-checked',
+  ROLE_ATTR: 'role',
+  MENUITEMCHECKBOX_ROLE: 'menuitemcheckbox',
+  MENUITEMRADIO_ROLE: 'menuitemradio',
+  GROUP_ATTR: 'data-mdc-menu-group',
+  SUBMENU_SELECTOR: '.mdc-menu',
 };
 
 /** @enum {number} */
@@ -38,48 +50,15 @@ const numbers = {
   // will most likely be bumped up once interactive lists are supported to allow for the ripple to
   // animate before closing the menu
   SELECTED_TRIGGER_DELAY: 50,
-  // Total duration of menu open animation.
-  TRANSITION_OPEN_DURATION: 120,
-  // Total duration of menu close animation.
-  TRANSITION_CLOSE_DURATION: 75,
-  // Margin left to the edge of the viewport when menu is at maximum possible height.
-  MARGIN_TO_EDGE: 32,
-  // Ratio of anchor width to menu width for switching from corner positioning to center positioning.
-  ANCHOR_TO_MENU_WIDTH_RATIO: 0.67,
-  // Ratio of vertical offset to menu height for switching from corner to mid-way origin positioning.
-  OFFSET_TO_MENU_HEIGHT_RATIO: 0.1,
-};
-
-/**
- * Enum for bits in the {@see Corner) bitmap.
- * @enum {number}
- */
-const CornerBit = {
-  BOTTOM: 1,
-  CENTER: 2,
-  RIGHT: 4,
-  FLIP_RTL: 8,
-};
-
-/**
- * Enum for representing an element corner for positioning the menu.
- *
- * The START constants map to LEFT if element directionality is left
- * to right and RIGHT if the directionality is right to left.
- * Likewise END maps to RIGHT or LEFT depending on the directionality.
- *
- * @enum {number}
- */
-const Corner = {
-  TOP_LEFT: 0,
-  TOP_RIGHT: CornerBit.RIGHT,
-  BOTTOM_LEFT: CornerBit.BOTTOM,
-  BOTTOM_RIGHT: CornerBit.BOTTOM | CornerBit.RIGHT,
-  TOP_START: CornerBit.FLIP_RTL,
-  TOP_END: CornerBit.FLIP_RTL | CornerBit.RIGHT,
-  BOTTOM_START: CornerBit.BOTTOM | CornerBit.FLIP_RTL,
-  BOTTOM_END: CornerBit.BOTTOM | CornerBit.RIGHT | CornerBit.FLIP_RTL,
+  // Opening, closing and positioning are implemented by the menu surface.
+  TRANSITION_OPEN_DURATION: surfaceNumbers.TRANSITION_OPEN_DURATION,
+  TRANSITION_CLOSE_DURATION: surfaceNumbers.TRANSITION_CLOSE_DURATION,
+  MARGIN_TO_EDGE: surfaceNumbers.MARGIN_TO_EDGE,
+  ANCHOR_TO_MENU_WIDTH_RATIO: surfaceNumbers.ANCHOR_TO_MENU_WIDTH_RATIO,
+  OFFSET_TO_MENU_HEIGHT_RATIO: surfaceNumbers.OFFSET_TO_MENU_HEIGHT_RATIO,
+  // Amount of time the pointer has to rest on an item before its submenu is opened, or before an open submenu is
+  // closed in favor of the hovered item. Prevents submenus from flickering while the pointer travels across items.
+  SUBMENU_HOVER_DELAY: 200,
 };
 
-
 export {cssClasses, strings, numbers, CornerBit, Corner};
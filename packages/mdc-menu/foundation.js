@@ -15,38 +15,16 @@
  * limitations under the License.
  */
 
-/**
- * @typedef {{
- *   top: number,
- *   right: number,
- *   bottom: number,
- *   left: number
- * }}
- */
-let AnchorMargin;
-
-/* eslint-disable no-unused-vars */
-/**
- * @typedef {{
- *   viewport: { width: number, height: number },
- *   viewportDistance: {top: number, right: number, bottom: number, left: number},
- *   anchorHeight: number,
- *   anchorWidth: number,
- *   menuHeight: number,
- *   menuWidth: number,
- * }}
- */
-let AutoLayoutMeasurements;
-/* eslint-enable no-unused-vars */
-
-import MDCFoundation from '@material/base/foundation';
+import {MDCMenuSurfaceFoundation, AnchorMargin} from '@material/menu-surface/foundation';
+import {MDCListTypeahead} from '@material/list/typeahead';
 import {MDCMenuAdapter} from './adapter';
-import {cssClasses, strings, numbers, Corner, CornerBit} from './constants';
+import {cssClasses, strings, numbers, Corner} from './constants';
 
 /**
- * @extends {MDCFoundation<!MDCMenuAdapter>}
+ * The menu is a menu surface, which implements opening, closing and positioning, containing a list of items.
+ * @extends {MDCMenuSurfaceFoundation}
  */
-class MDCMenuFoundation extends MDCFoundation {
+class MDCMenuFoundation extends MDCMenuSurfaceFoundation {
   /** @return enum{cssClasses} */
   static get cssClasses() {
     return cssClasses;
@@ -73,79 +51,65 @@ class MDCMenuFoundation extends MDCFoundation {
    * @return {!MDCMenuAdapter}
    */
   static get defaultAdapter() {
-    return /** @type {!MDCMenuAdapter} */ ({
-      addClass: () => {},
-      removeClass: () => {},
-      hasClass: () => false,
+    return /** @type {!MDCMenuAdapter} */ (Object.assign(MDCMenuSurfaceFoundation.defaultAdapter, {
       hasNecessaryDom: () => false,
       getAttributeForEventTarget: () => {},
-      getInnerDimensions: () => ({}),
-      hasAnchor: () => false,
-      getAnchorDimensions: () => ({}),
-      getWindowDimensions: () => ({}),
       getNumberOfItems: () => 0,
-      registerInteractionHandler: () => {},
-      deregisterInteractionHandler: () => {},
-      registerBodyClickHandler: () => {},
-      deregisterBodyClickHandler: () => {},
       getIndexForEventTarget: () => 0,
       notifySelected: () => {},
       notifyCancel: () => {},
-      saveFocus: () => {},
-      restoreFocus: () => {},
-      isFocused: () => false,
-      focus: () => {},
       getFocusedItemIndex: () => -1,
       focusItemAtIndex: () => {},
-      isRtl: () => false,
-      setTransformOrigin: () => {},
-      setPosition: () => {},
-      setMaxHeight: () => {},
+      getAttrForOptionAtIndex: () => null,
+      getTextForOptionAtIndex: () => '',
       setAttrForOptionAtIndex: () => {},
       rmAttrForOptionAtIndex: () => {},
       addClassForOptionAtIndex: () => {},
       rmClassForOptionAtIndex: () => {},
-    });
+      hasSubmenuAtIndex: () => false,
+      openSubmenuAtIndex: () => {},
+      closeSubmenuAtIndex: () => {},
+      isTargetInSubmenu: () => false,
+      isSubmenu: () => false,
+    }));
   }
 
   /** @param {!MDCMenuAdapter} adapter */
   constructor(adapter) {
-    super(Object.assign(MDCMenuFoundation.defaultAdapter, adapter));
+    super(
+      Object.assign(MDCMenuFoundation.defaultAdapter, adapter),
+      cssClasses.OPEN,
+      cssClasses.ANIMATING_OPEN,
+      cssClasses.ANIMATING_CLOSED,
+      cssClasses.FIXED);
 
     /** @private {function(!Event)} */
     this.clickHandler_ = (evt) => this.handlePossibleSelected_(evt);
     /** @private {function(!Event)} */
-    this.keydownHandler_ = (evt) => this.handleKeyboardDown_(evt);
-    /** @private {function(!Event)} */
     this.keyupHandler_ = (evt) => this.handleKeyboardUp_(evt);
     /** @private {function(!Event)} */
-    this.documentClickHandler_ = (evt) => this.handleDocumentClick_(evt);
-    /** @private {boolean} */
-    this.isOpen_ = false;
-    /** @private {number} */
-    this.openAnimationEndTimerId_ = 0;
-    /** @private {number} */
-    this.closeAnimationEndTimerId_ = 0;
+    this.mouseoverHandler_ = (evt) => this.handleMouseover_(evt);
     /** @private {number} */
     this.selectedTriggerTimerId_ = 0;
     /** @private {number} */
-    this.animationRequestId_ = 0;
-    /** @private {!{ width: number, height: number }} */
-    this.dimensions_;
+    this.hoverTimerId_ = 0;
+    /** @private {number} */
+    this.hoveredIndex_ = -1;
     /** @private {number} */
-    this.itemHeight_;
-    /** @private {Corner} */
-    this.anchorCorner_ = Corner.TOP_START;
-    /** @private {AnchorMargin} */
-    this.anchorMargin_ = {top: 0, right: 0, bottom: 0, left: 0};
-    /** @private {?AutoLayoutMeasurements} */
-    this.measures_ = null;
+    this.openSubmenuIndex_ = -1;
     /** @private {number} */
     this.selectedIndex_ = -1;
     /** @private {boolean} */
     this.rememberSelection_ = false;
     /** @private {boolean} */
-    this.quickOpen_ = false;
+    this.keepOpenOnCheck_ = false;
+    /** @private {!MDCListTypeahead} */
+    this.typeahead_ = new MDCListTypeahead();
+    /**
+     * Index of the item to focus once the menu has opened, or null to focus the menu itself.
+     * @private {?number}
+     */
+    this.focusIndexOnOpen_ = null;
 
     // A keyup event on the menu needs to have a corresponding keydown
     // event on the menu. If the user opens the menu with a keydown event on a
@@ -155,7 +119,7 @@ class MDCMenuFoundation extends MDCFoundation {
   }
 
   init() {
-    const {ROOT, OPEN} = MDCMenuFoundation.cssClasses;
+    const {ROOT} = MDCMenuFoundation.cssClasses;
 
     if (!this.adapter_.hasClass(ROOT)) {
       throw new Error(`${ROOT} class required in root element.`);
@@ -165,42 +129,28 @@ class MDCMenuFoundation extends MDCFoundation {
       throw new Error(`Required DOM nodes missing in ${ROOT} component.`);
     }
 
-    if (this.adapter_.hasClass(OPEN)) {
-      this.isOpen_ = true;
-    }
-
+    super.init();
     this.adapter_.registerInteractionHandler('click', this.clickHandler_);
     this.adapter_.registerInteractionHandler('keyup', this.keyupHandler_);
-    this.adapter_.registerInteractionHandler('keydown', this.keydownHandler_);
+
+    for (let i = 0; i < this.adapter_.getNumberOfItems(); i++) {
+      if (this.adapter_.hasSubmenuAtIndex(i)) {
+        // Submenus are positioned outside of their parent, which must not clip them.
+        this.adapter_.addClass(cssClasses.CASCADING);
+        this.adapter_.registerInteractionHandler('mouseover', this.mouseoverHandler_);
+        break;
+      }
+    }
   }
 
   destroy() {
     clearTimeout(this.selectedTriggerTimerId_);
-    clearTimeout(this.openAnimationEndTimerId_);
-    clearTimeout(this.closeAnimationEndTimerId_);
-    // Cancel any currently running animations.
-    cancelAnimationFrame(this.animationRequestId_);
+    this.typeahead_.clear();
+    clearTimeout(this.hoverTimerId_);
     this.adapter_.deregisterInteractionHandler('click', this.clickHandler_);
     this.adapter_.deregisterInteractionHandler('keyup', this.keyupHandler_);
-    this.adapter_.deregisterInteractionHandler('keydown', this.keydownHandler_);
-    this.adapter_.deregisterBodyClickHandler(this.documentClickHandler_);
-  }
-
-  /**
-   * @param {!Corner} corner Default anchor corner alignment of top-left menu corner.
-   */
-  setAnchorCorner(corner) {
-    this.anchorCorner_ = corner;
-  }
-
-  /**
-   * @param {!AnchorMargin} margin 4-plet of margins from anchor.
-   */
-  setAnchorMargin(margin) {
-    this.anchorMargin_.top = typeof margin.top === 'number' ? margin.top : 0;
-    this.anchorMargin_.right = typeof margin.right === 'number' ? margin.right : 0;
-    this.anchorMargin_.bottom = typeof margin.bottom === 'number' ? margin.bottom : 0;
-    this.anchorMargin_.left = typeof margin.left === 'number' ? margin.left : 0;
+    this.adapter_.deregisterInteractionHandler('mouseover', this.mouseoverHandler_);
+    super.destroy();
   }
 
   /** @param {boolean} rememberSelection */
@@ -209,16 +159,18 @@ class MDCMenuFoundation extends MDCFoundation {
     this.setSelectedIndex(-1);
   }
 
-  /** @param {boolean} quickOpen */
-  setQuickOpen(quickOpen) {
-    this.quickOpen_ = quickOpen;
+  /** @param {boolean} keepOpenOnCheck Whether selecting a checkbox or radio item leaves the menu open. */
+  setKeepOpenOnCheck(keepOpenOnCheck) {
+    this.keepOpenOnCheck_ = keepOpenOnCheck;
   }
 
   /**
-   * @param {?number} focusIndex
-   * @private
+   * Focuses the item requested when opening the menu.
+   * @protected
+   * @override
    */
-  focusOnOpen_(focusIndex) {
+  focusOnOpen_() {
+    const focusIndex = this.focusIndexOnOpen_;
     if (focusIndex === null) {
       // If this instance of MDCMenu remembers selections, and the user has
       // made a selection, then focus the last selected item
@@ -240,9 +192,9 @@ class MDCMenuFoundation extends MDCFoundation {
   /**
    * Handle clicks and cancel the menu if not a child list-item
    * @param {!Event} evt
-   * @private
+   * @override
    */
-  handleDocumentClick_(evt) {
+  handleBodyClick(evt) {
     let el = evt.target;
 
     while (el && el !== document.documentElement) {
@@ -254,7 +206,15 @@ class MDCMenuFoundation extends MDCFoundation {
 
     this.adapter_.notifyCancel();
     this.close(evt);
-  };
+  }
+
+  /**
+   * @param {!Event} evt
+   * @override
+   */
+  handleKeydown(evt) {
+    this.handleKeyboardDown_(evt);
+  }
 
   /**
    * Handle keys that we want to repeat on hold (tab and arrows).
@@ -263,15 +223,25 @@ class MDCMenuFoundation extends MDCFoundation {
    * @private
    */
   handleKeyboardDown_(evt) {
-    // Do nothing if Alt, Ctrl or Meta are pressed.
-    if (evt.altKey || evt.ctrlKey || evt.metaKey) {
+    // Do nothing if Alt, Ctrl or Meta are pressed, or if the event belongs to an open submenu.
+    if (evt.altKey || evt.ctrlKey || evt.metaKey || this.adapter_.isTargetInSubmenu(evt.target)) {
       return true;
     }
 
+    if (this.typeahead_.isTypeaheadEvent(evt)) {
+      // A space continuing typed text does not select the focused item on keyup.
+      this.keyDownWithinMenu_ = false;
+      this.focusItemMatchingTypedText_(evt.key);
+      evt.preventDefault();
+      return false;
+    }
+
     const {keyCode, key, shiftKey} = evt;
     const isTab = key === 'Tab' || keyCode === 9;
     const isArrowUp = key === 'ArrowUp' || keyCode === 38;
     const isArrowDown = key === 'ArrowDown' || keyCode === 40;
+    const isArrowLeft = key === 'ArrowLeft' || keyCode === 37;
+    const isArrowRight = key === 'ArrowRight' || keyCode === 39;
     const isSpace = key === 'Space' || keyCode === 32;
     const isEnter = key === 'Enter' || keyCode === 13;
     // The menu needs to know if the keydown event was triggered on the menu
@@ -280,6 +250,24 @@ class MDCMenuFoundation extends MDCFoundation {
     const focusedItemIndex = this.adapter_.getFocusedItemIndex();
     const lastItemIndex = this.adapter_.getNumberOfItems() - 1;
 
+    // Submenus cascade towards the end of the line, so the arrow keys for opening and closing them swap in RTL.
+    const isRtl = this.adapter_.isRtl();
+    const isOpenSubmenuKey = isRtl ? isArrowLeft : isArrowRight;
+    const isCloseSubmenuKey = isRtl ? isArrowRight : isArrowLeft;
+
+    if (isOpenSubmenuKey && focusedItemIndex >= 0 && this.adapter_.hasSubmenuAtIndex(focusedItemIndex)) {
+      this.openSubmenu_(focusedItemIndex, 0);
+      evt.preventDefault();
+      return false;
+    }
+
+    if (isCloseSubmenuKey && this.adapter_.isSubmenu()) {
+      this.adapter_.notifyCancel();
+      this.close();
+      evt.preventDefault();
+      return false;
+    }
+
     if (shiftKey && isTab && focusedItemIndex === 0) {
       this.adapter_.focusItemAtIndex(lastItemIndex);
       evt.preventDefault();
@@ -314,6 +302,20 @@ class MDCMenuFoundation extends MDCFoundation {
     return true;
   }
 
+  /**
+   * Focuses the next enabled item whose text starts with the characters typed so far.
+   * @param {string} char The typed character.
+   * @private
+   */
+  focusItemMatchingTypedText_(char) {
+    const index = this.typeahead_.search(char, this.adapter_.getFocusedItemIndex(), this.adapter_.getNumberOfItems(),
+      (i) => this.adapter_.getTextForOptionAtIndex(i),
+      (i) => this.adapter_.getAttrForOptionAtIndex(i, strings.ARIA_DISABLED_ATTR) === 'true');
+    if (index >= 0) {
+      this.adapter_.focusItemAtIndex(index);
+    }
+  }
+
   /**
    * Handle keys that we don't want to repeat on hold (Enter, Space, Escape).
    * @param {!Event} evt
@@ -321,8 +323,8 @@ class MDCMenuFoundation extends MDCFoundation {
    * @private
    */
   handleKeyboardUp_(evt) {
-    // Do nothing if Alt, Ctrl or Meta are pressed.
-    if (evt.altKey || evt.ctrlKey || evt.metaKey) {
+    // Do nothing if Alt, Ctrl or Meta are pressed, or if the event belongs to an open submenu.
+    if (evt.altKey || evt.ctrlKey || evt.metaKey || this.adapter_.isTargetInSubmenu(evt.target)) {
       return true;
     }
 
@@ -360,199 +362,127 @@ class MDCMenuFoundation extends MDCFoundation {
     if (targetIndex < 0) {
       return;
     }
+    // Items which open a submenu are never selected themselves. Keyboard users land on the first submenu item.
+    if (this.adapter_.hasSubmenuAtIndex(targetIndex)) {
+      this.openSubmenu_(targetIndex, evt.type === 'click' ? null : 0);
+      return;
+    }
     // Debounce multiple selections
     if (this.selectedTriggerTimerId_) {
       return;
     }
     this.selectedTriggerTimerId_ = setTimeout(() => {
       this.selectedTriggerTimerId_ = 0;
-      this.close();
+      const evtData = {index: targetIndex};
+      const isCheckable = this.isCheckableAtIndex_(targetIndex);
+      if (isCheckable) {
+        // Selecting a checked radio item leaves it checked, while checkbox items toggle.
+        evtData.checked = this.isRadioAtIndex_(targetIndex) || !this.isItemChecked(targetIndex);
+        this.setItemChecked(targetIndex, evtData.checked);
+      }
+      if (!isCheckable || !this.keepOpenOnCheck_) {
+        this.close();
+      }
       if (this.rememberSelection_) {
         this.setSelectedIndex(targetIndex);
       }
-      this.adapter_.notifySelected({index: targetIndex});
+      this.adapter_.notifySelected(evtData);
     }, numbers.SELECTED_TRIGGER_DELAY);
   }
 
   /**
-   * @return {AutoLayoutMeasurements} Measurements used to position menu popup.
+   * Opens the submenu of the item the pointer rests on, and closes any other open submenu, once the pointer has
+   * stayed on that item for SUBMENU_HOVER_DELAY.
+   * @param {!Event} evt
+   * @private
    */
-  getAutoLayoutMeasurements_() {
-    const anchorRect = this.adapter_.getAnchorDimensions();
-    const viewport = this.adapter_.getWindowDimensions();
-
-    return {
-      viewport: viewport,
-      viewportDistance: {
-        top: anchorRect.top,
-        right: viewport.width - anchorRect.right,
-        left: anchorRect.left,
-        bottom: viewport.height - anchorRect.bottom,
-      },
-      anchorHeight: anchorRect.height,
-      anchorWidth: anchorRect.width,
-      menuHeight: this.dimensions_.height,
-      menuWidth: this.dimensions_.width,
-    };
+  handleMouseover_(evt) {
+    // Walk up from the target so that hovering over an item's content or over an open submenu counts as hovering
+    // over the item itself.
+    let el = evt.target;
+    let index = -1;
+    while (el && el !== document.documentElement && index === -1) {
+      index = this.adapter_.getIndexForEventTarget(el);
+      el = el.parentNode;
+    }
+
+    if (index === -1 || index === this.hoveredIndex_) {
+      return;
+    }
+
+    this.hoveredIndex_ = index;
+    clearTimeout(this.hoverTimerId_);
+    this.hoverTimerId_ = setTimeout(() => {
+      this.hoverTimerId_ = 0;
+      if (this.adapter_.hasSubmenuAtIndex(index)) {
+        this.openSubmenu_(index, null);
+      } else {
+        this.closeSubmenu_();
+      }
+    }, numbers.SUBMENU_HOVER_DELAY);
   }
 
   /**
-   * Computes the corner of the anchor from which to animate and position the menu.
-   * @return {Corner}
+   * Opens the submenu of the item at the given index, closing any other open submenu first.
+   * @param {number} index
+   * @param {?number} focusIndex
    * @private
    */
-  getOriginCorner_() {
-    // Defaults: open from the top left.
-    let corner = Corner.TOP_LEFT;
-
-    const {viewportDistance, anchorHeight, anchorWidth, menuHeight, menuWidth} = this.measures_;
-    const isBottomAligned = Boolean(this.anchorCorner_ & CornerBit.BOTTOM);
-    const availableTop = isBottomAligned ? viewportDistance.top + anchorHeight + this.anchorMargin_.bottom
-      : viewportDistance.top + this.anchorMargin_.top;
-    const availableBottom = isBottomAligned ? viewportDistance.bottom - this.anchorMargin_.bottom
-      : viewportDistance.bottom + anchorHeight - this.anchorMargin_.top;
-
-    const topOverflow = menuHeight - availableTop;
-    const bottomOverflow = menuHeight - availableBottom;
-    if (bottomOverflow > 0 && topOverflow < bottomOverflow) {
-      corner |= CornerBit.BOTTOM;
+  openSubmenu_(index, focusIndex) {
+    if (index === this.openSubmenuIndex_) {
+      return;
     }
 
-    const isRtl = this.adapter_.isRtl();
-    const isFlipRtl = Boolean(this.anchorCorner_ & CornerBit.FLIP_RTL);
-    const avoidHorizontalOverlap = Boolean(this.anchorCorner_ & CornerBit.RIGHT);
-    const isAlignedRight = (avoidHorizontalOverlap && !isRtl) ||
-      (!avoidHorizontalOverlap && isFlipRtl && isRtl);
-    const availableLeft = isAlignedRight ? viewportDistance.left + anchorWidth + this.anchorMargin_.right :
-      viewportDistance.left + this.anchorMargin_.left;
-    const availableRight = isAlignedRight ? viewportDistance.right - this.anchorMargin_.right :
-      viewportDistance.right + anchorWidth - this.anchorMargin_.left;
-
-    const leftOverflow = menuWidth - availableLeft;
-    const rightOverflow = menuWidth - availableRight;
+    this.closeSubmenu_();
+    this.adapter_.setAttrForOptionAtIndex(index, strings.ARIA_EXPANDED_ATTR, 'true');
+    this.adapter_.openSubmenuAtIndex(index, focusIndex);
+    this.openSubmenuIndex_ = index;
+  }
 
-    if ((leftOverflow < 0 && isAlignedRight && isRtl) ||
-        (avoidHorizontalOverlap && !isAlignedRight && leftOverflow < 0) ||
-        (rightOverflow > 0 && leftOverflow < rightOverflow)) {
-      corner |= CornerBit.RIGHT;
+  /** @private */
+  closeSubmenu_() {
+    if (this.openSubmenuIndex_ === -1) {
+      return;
     }
 
-    return corner;
+    const index = this.openSubmenuIndex_;
+    this.openSubmenuIndex_ = -1;
+    this.adapter_.closeSubmenuAtIndex(index);
+    this.adapter_.setAttrForOptionAtIndex(index, strings.ARIA_EXPANDED_ATTR, 'false');
   }
 
   /**
-   * @param {Corner} corner Origin corner of the menu.
-   * @return {number} Horizontal offset of menu origin corner from corresponding anchor corner.
-   * @private
+   * Handles an item being selected in the open submenu, which closes this menu as well unless the submenu stayed open
+   * for a checked item.
+   * @param {{checked: (boolean|undefined)}=} evtData Data of the selected event of the submenu.
    */
-  getHorizontalOriginOffset_(corner) {
-    const {anchorWidth} = this.measures_;
-    const isRightAligned = Boolean(corner & CornerBit.RIGHT);
-    const avoidHorizontalOverlap = Boolean(this.anchorCorner_ & CornerBit.RIGHT);
-    let x = 0;
-    if (isRightAligned) {
-      const rightOffset = avoidHorizontalOverlap ? anchorWidth - this.anchorMargin_.left : this.anchorMargin_.right;
-      x = rightOffset;
-    } else {
-      const leftOffset = avoidHorizontalOverlap ? anchorWidth - this.anchorMargin_.right : this.anchorMargin_.left;
-      x = leftOffset;
+  handleSubmenuSelected({checked} = {}) {
+    if (checked !== undefined && this.keepOpenOnCheck_) {
+      return;
     }
-    return x;
+
+    this.markSubmenuClosed_();
+    this.close();
   }
 
   /**
-   * @param {Corner} corner Origin corner of the menu.
-   * @return {number} Vertical offset of menu origin corner from corresponding anchor corner.
-   * @private
+   * Handles the open submenu closing itself without a selection, e.g. via Escape or a click outside of it.
    */
-  getVerticalOriginOffset_(corner) {
-    const {viewport, viewportDistance, anchorHeight, menuHeight} = this.measures_;
-    const isBottomAligned = Boolean(corner & CornerBit.BOTTOM);
-    const {MARGIN_TO_EDGE} = MDCMenuFoundation.numbers;
-    const avoidVerticalOverlap = Boolean(this.anchorCorner_ & CornerBit.BOTTOM);
-    const canOverlapVertically = !avoidVerticalOverlap;
-    let y = 0;
-
-    if (isBottomAligned) {
-      y = avoidVerticalOverlap ? anchorHeight - this.anchorMargin_.top : -this.anchorMargin_.bottom;
-      // adjust for when menu can overlap anchor, but too tall to be aligned to bottom
-      // anchor corner. Bottom margin is ignored in such cases.
-      if (canOverlapVertically && menuHeight > viewportDistance.top + anchorHeight) {
-        y = -(Math.min(menuHeight, viewport.height - MARGIN_TO_EDGE) - (viewportDistance.top + anchorHeight));
-      }
-    } else {
-      y = avoidVerticalOverlap ? (anchorHeight + this.anchorMargin_.bottom) : this.anchorMargin_.top;
-      // adjust for when menu can overlap anchor, but too tall to be aligned to top
-      // anchor corners. Top margin is ignored in that case.
-      if (canOverlapVertically && menuHeight > viewportDistance.bottom + anchorHeight) {
-        y = -(Math.min(menuHeight, viewport.height - MARGIN_TO_EDGE) - (viewportDistance.bottom + anchorHeight));
-      }
-    }
-    return y;
+  handleSubmenuCancel() {
+    this.markSubmenuClosed_();
   }
 
   /**
-   * @param {Corner} corner Origin corner of the menu.
-   * @return {number} Maximum height of the menu, based on available space. 0 indicates should not be set.
+   * Updates the state of the open submenu's item after the submenu has closed itself.
    * @private
    */
-  getMenuMaxHeight_(corner) {
-    let maxHeight = 0;
-    const {viewportDistance} = this.measures_;
-    const isBottomAligned = Boolean(corner & CornerBit.BOTTOM);
-
-    // When maximum height is not specified, it is handled from css.
-    if (this.anchorCorner_ & CornerBit.BOTTOM) {
-      if (isBottomAligned) {
-        maxHeight = viewportDistance.top + this.anchorMargin_.top;
-      } else {
-        maxHeight = viewportDistance.bottom - this.anchorMargin_.bottom;
-      }
-    }
-
-    return maxHeight;
-  }
-
-  /** @private */
-  autoPosition_() {
-    if (!this.adapter_.hasAnchor()) {
+  markSubmenuClosed_() {
+    if (this.openSubmenuIndex_ === -1) {
       return;
     }
 
-    // Compute measurements for autoposition methods reuse.
-    this.measures_ = this.getAutoLayoutMeasurements_();
-
-    const corner = this.getOriginCorner_();
-    const maxMenuHeight = this.getMenuMaxHeight_(corner);
-    let verticalAlignment = (corner & CornerBit.BOTTOM) ? 'bottom' : 'top';
-    let horizontalAlignment = (corner & CornerBit.RIGHT) ? 'right' : 'left';
-    const horizontalOffset = this.getHorizontalOriginOffset_(corner);
-    const verticalOffset = this.getVerticalOriginOffset_(corner);
-    const position = {
-      [horizontalAlignment]: horizontalOffset ? horizontalOffset + 'px' : '0',
-      [verticalAlignment]: verticalOffset ? verticalOffset + 'px' : '0',
-    };
-    const {anchorWidth, menuHeight, menuWidth} = this.measures_;
-    // Center align when anchor width is comparable or greater than menu, otherwise keep corner.
-    if (anchorWidth / menuWidth > numbers.ANCHOR_TO_MENU_WIDTH_RATIO) {
-      horizontalAlignment = 'center';
-    }
-
-    // Adjust vertical origin when menu is positioned with significant offset from anchor. This is done so that
-    // scale animation is "anchored" on the anchor.
-    if (!(this.anchorCorner_ & CornerBit.BOTTOM) &&
-        Math.abs(verticalOffset / menuHeight) > numbers.OFFSET_TO_MENU_HEIGHT_RATIO) {
-      const verticalOffsetPercent = Math.abs(verticalOffset / menuHeight) * 100;
-      const originPercent = (corner & CornerBit.BOTTOM) ? 100 - verticalOffsetPercent : verticalOffsetPercent;
-      verticalAlignment = Math.round(originPercent * 100) / 100 + '%';
-    }
-
-    this.adapter_.setTransformOrigin(`${horizontalAlignment} ${verticalAlignment}`);
-    this.adapter_.setPosition(position);
-    this.adapter_.setMaxHeight(maxMenuHeight ? maxMenuHeight + 'px' : '');
-
-    // Clear measures after positioning is complete.
-    this.measures_ = null;
+    this.adapter_.setAttrForOptionAtIndex(this.openSubmenuIndex_, strings.ARIA_EXPANDED_ATTR, 'false');
+    this.openSubmenuIndex_ = -1;
   }
 
   /**
@@ -560,26 +490,8 @@ class MDCMenuFoundation extends MDCFoundation {
    * @param {{focusIndex: ?number}=} options
    */
   open({focusIndex = null} = {}) {
-    this.adapter_.saveFocus();
-
-    if (!this.quickOpen_) {
-      this.adapter_.addClass(MDCMenuFoundation.cssClasses.ANIMATING_OPEN);
-    }
-
-    this.animationRequestId_ = requestAnimationFrame(() => {
-      this.dimensions_ = this.adapter_.getInnerDimensions();
-      this.autoPosition_();
-      this.adapter_.addClass(MDCMenuFoundation.cssClasses.OPEN);
-      this.focusOnOpen_(focusIndex);
-      this.adapter_.registerBodyClickHandler(this.documentClickHandler_);
-      if (!this.quickOpen_) {
-        this.openAnimationEndTimerId_ = setTimeout(() => {
-          this.openAnimationEndTimerId_ = 0;
-          this.adapter_.removeClass(MDCMenuFoundation.cssClasses.ANIMATING_OPEN);
-        }, numbers.TRANSITION_OPEN_DURATION);
-      }
-    });
-    this.isOpen_ = true;
+    this.focusIndexOnOpen_ = focusIndex;
+    super.open();
   }
 
   /**
@@ -595,28 +507,12 @@ class MDCMenuFoundation extends MDCFoundation {
       return;
     }
 
-    this.adapter_.deregisterBodyClickHandler(this.documentClickHandler_);
-
-    if (!this.quickOpen_) {
-      this.adapter_.addClass(MDCMenuFoundation.cssClasses.ANIMATING_CLOSED);
-    }
-
-    requestAnimationFrame(() => {
-      this.adapter_.removeClass(MDCMenuFoundation.cssClasses.OPEN);
-      if (!this.quickOpen_) {
-        this.closeAnimationEndTimerId_ = setTimeout(() => {
-          this.closeAnimationEndTimerId_ = 0;
-          this.adapter_.removeClass(MDCMenuFoundation.cssClasses.ANIMATING_CLOSED);
-        }, numbers.TRANSITION_CLOSE_DURATION);
-      }
-    });
-    this.isOpen_ = false;
-    this.adapter_.restoreFocus();
-  }
-
-  /** @return {boolean} */
-  isOpen() {
-    return this.isOpen_;
+    clearTimeout(this.hoverTimerId_);
+    this.hoverTimerId_ = 0;
+    this.hoveredIndex_ = -1;
+    this.typeahead_.clear();
+    this.closeSubmenu_();
+    super.close();
   }
 
   /** @return {number} */
@@ -644,6 +540,57 @@ class MDCMenuFoundation extends MDCFoundation {
       this.adapter_.addClassForOptionAtIndex(this.selectedIndex_, cssClasses.SELECTED_LIST_ITEM);
     }
   }
+
+  /**
+   * @param {number} index
+   * @return {boolean} Whether the item at the index is a checkbox or radio item which is checked.
+   */
+  isItemChecked(index) {
+    return this.isCheckableAtIndex_(index) &&
+      this.adapter_.getAttrForOptionAtIndex(index, strings.ARIA_CHECKED_ATTR) === 'true';
+  }
+
+  /**
+   * Checks or unchecks the checkbox or radio item at the index. Checking a radio item unchecks the other radio items
+   * of its group, which are the radio items sharing the same group attribute.
+   * @param {number} index
+   * @param {boolean} checked
+   */
+  setItemChecked(index, checked) {
+    if (!this.isCheckableAtIndex_(index)) {
+      return;
+    }
+
+    if (checked && this.isRadioAtIndex_(index)) {
+      const group = this.adapter_.getAttrForOptionAtIndex(index, strings.GROUP_ATTR);
+      for (let i = 0; i < this.adapter_.getNumberOfItems(); i++) {
+        if (i !== index && this.isRadioAtIndex_(i) &&
+            this.adapter_.getAttrForOptionAtIndex(i, strings.GROUP_ATTR) === group) {
+          this.adapter_.setAttrForOptionAtIndex(i, strings.ARIA_CHECKED_ATTR, 'false');
+        }
+      }
+    }
+    this.adapter_.setAttrForOptionAtIndex(index, strings.ARIA_CHECKED_ATTR, String(checked));
+  }
+
+  /**
+   * @param {number} index
+   * @return {boolean}
+   * @private
+   */
+  isRadioAtIndex_(index) {
+    return this.adapter_.getAttrForOptionAtIndex(index, strings.ROLE_ATTR) === strings.MENUITEMRADIO_ROLE;
+  }
+
+  /**
+   * @param {number} index
+   * @return {boolean}
+   * @private
+   */
+  isCheckableAtIndex_(index) {
+    return this.isRadioAtIndex_(index) ||
+      this.adapter_.getAttrForOptionAtIndex(index, strings.ROLE_ATTR) === strings.MENUITEMCHECKBOX_ROLE;
+  }
 }
 
 export {MDCMenuFoundation, AnchorMargin};
@@ -15,20 +15,30 @@
  * limitations under the License.
  */
 
-import MDCComponent from '@material/base/component';
-import {getTransformPropertyName} from './util';
+import {MDCMenuSurface} from '@material/menu-surface/index';
+import {getListItemText} from '@material/list/typeahead';
 import {MDCMenuFoundation, AnchorMargin} from './foundation';
 import {Corner, CornerBit} from './constants';
 
 /**
- * @extends MDCComponent<!MDCMenuFoundation>
+ * The menu is a menu surface, which implements opening, closing and positioning, containing a list of items.
+ * @extends {MDCMenuSurface}
  */
-class MDCMenu extends MDCComponent {
+class MDCMenu extends MDCMenuSurface {
   /** @param {...?} args */
   constructor(...args) {
     super(...args);
-    /** @private {!Element} */
-    this.previousFocus_;
+    /** @private {!Array<?MDCMenu>} */
+    this.submenus_;
+    /** @private {function(!Event)} */
+    this.handleSubmenuSelected_;
+    /** @private {function(!Event)} */
+    this.handleSubmenuCancel_;
+    /**
+     * Anchor set via anchorElement, or the anchor of the menu before it was hoisted out of it.
+     * @private {?Element}
+     */
+    this.anchorElement_ = null;
   }
 
   /**
@@ -39,18 +49,43 @@ class MDCMenu extends MDCComponent {
     return new MDCMenu(root);
   }
 
-  /** @return {boolean} */
-  get open() {
-    return this.foundation_.isOpen();
+  /**
+   * @param {(function(!Element): !MDCMenu)=} submenuFactory A function which creates a new MDCMenu.
+   */
+  initialize(submenuFactory = (el) => new MDCMenu(el)) {
+    const {SELECTED_EVENT, CANCEL_EVENT, SUBMENU_SELECTOR} = MDCMenuFoundation.strings;
+
+    // Selecting an item anywhere in the chain of submenus closes this menu and re-emits the selection from it.
+    this.handleSubmenuSelected_ = (evt) => {
+      this.foundation_.handleSubmenuSelected(evt.detail);
+      this.emit(SELECTED_EVENT, evt.detail);
+    };
+    this.handleSubmenuCancel_ = () => this.foundation_.handleSubmenuCancel();
+
+    this.submenus_ = this.items.map((item) => {
+      const submenuEl = item.querySelector(SUBMENU_SELECTOR);
+      if (!submenuEl) {
+        return null;
+      }
+
+      const submenu = submenuFactory(submenuEl);
+      submenu.setAnchorCorner(Corner.TOP_END);
+      submenu.listen(SELECTED_EVENT, this.handleSubmenuSelected_);
+      submenu.listen(CANCEL_EVENT, this.handleSubmenuCancel_);
+      return submenu;
+    });
   }
 
-  /** @param {boolean} value */
-  set open(value) {
-    if (value) {
-      this.foundation_.open();
-    } else {
-      this.foundation_.close();
-    }
+  destroy() {
+    const {SELECTED_EVENT, CANCEL_EVENT} = MDCMenuFoundation.strings;
+    this.submenus_.forEach((submenu) => {
+      if (submenu) {
+        submenu.unlisten(SELECTED_EVENT, this.handleSubmenuSelected_);
+        submenu.unlisten(CANCEL_EVENT, this.handleSubmenuCancel_);
+        submenu.destroy();
+      }
+    });
+    super.destroy();
   }
 
   /** @param {{focusIndex: ?number}=} options */
@@ -62,21 +97,6 @@ class MDCMenu extends MDCComponent {
     this.foundation_.close();
   }
 
-  /**
-   * @param {Corner} corner Default anchor corner alignment of top-left
-   *     menu corner.
-   */
-  setAnchorCorner(corner) {
-    this.foundation_.setAnchorCorner(corner);
-  }
-
-  /**
-   * @param {AnchorMargin} margin
-   */
-  setAnchorMargin(margin) {
-    this.foundation_.setAnchorMargin(margin);
-  }
-
   /**
    * Return the item container element inside the component.
    * @return {?Element}
@@ -93,7 +113,34 @@ class MDCMenu extends MDCComponent {
    */
   get items() {
     const {itemsContainer_: itemsContainer} = this;
-    return [].slice.call(itemsContainer.querySelectorAll('.mdc-list-item[role]'));
+    const items = [].slice.call(itemsContainer.querySelectorAll('.mdc-list-item[role]'));
+    return items.filter((item) => !this.isInSubmenu_(item));
+  }
+
+  /**
+   * Return the submenu opened by the item at the given index.
+   * @param {number} index
+   * @return {?MDCMenu}
+   */
+  getSubmenuByIndex(index) {
+    return this.submenus_[index] || null;
+  }
+
+  /**
+   * @param {?Node} node
+   * @return {boolean} Whether the node is contained in one of this menu's submenus.
+   * @private
+   */
+  isInSubmenu_(node) {
+    const {ROOT} = MDCMenuFoundation.cssClasses;
+    let el = node;
+    while (el && el !== this.root_) {
+      if (el.classList && el.classList.contains(ROOT)) {
+        return true;
+      }
+      el = el.parentNode;
+    }
+    return false;
   }
 
   /**
@@ -126,69 +173,98 @@ class MDCMenu extends MDCComponent {
     this.foundation_.setRememberSelection(rememberSelection);
   }
 
-  /** @param {boolean} quickOpen */
-  set quickOpen(quickOpen) {
-    this.foundation_.setQuickOpen(quickOpen);
+  /**
+   * Sets whether selecting a checkbox or radio item leaves the menu and its submenus open.
+   * @param {boolean} keepOpenOnCheck
+   */
+  set keepOpenOnCheck(keepOpenOnCheck) {
+    this.foundation_.setKeepOpenOnCheck(keepOpenOnCheck);
+    this.submenus_.forEach((submenu) => {
+      if (submenu) {
+        submenu.keepOpenOnCheck = keepOpenOnCheck;
+      }
+    });
+  }
+
+  /**
+   * @param {number} index
+   * @return {boolean} Whether the checkbox or radio item at the index is checked.
+   */
+  isItemChecked(index) {
+    return this.foundation_.isItemChecked(index);
+  }
+
+  /**
+   * @param {number} index Index of a checkbox or radio item.
+   * @param {boolean} checked
+   */
+  setItemChecked(index, checked) {
+    this.foundation_.setItemChecked(index, checked);
+  }
+
+  /**
+   * @param {!Element=} layer
+   * @override
+   */
+  hoistTo(layer = document.body) {
+    // The menu defaults to being anchored to its parent element, which it is moved out of.
+    this.anchorElement_ = this.anchorElement;
+    super.hoistTo(layer);
+  }
+
+  /** @return {?Element} The element the menu is positioned relative to. */
+  get anchorElement() {
+    if (this.anchorElement_) {
+      return this.anchorElement_;
+    }
+    const {parentElement} = this.root_;
+    const {ANCHOR} = MDCMenuFoundation.cssClasses;
+    return parentElement && parentElement.classList.contains(ANCHOR) ? parentElement : null;
+  }
+
+  /**
+   * Positions the menu relative to the given element instead of its parent element.
+   * @param {?Element} anchorElement
+   */
+  set anchorElement(anchorElement) {
+    this.anchorElement_ = anchorElement;
   }
 
   /** @return {!MDCMenuFoundation} */
   getDefaultFoundation() {
-    return new MDCMenuFoundation({
-      addClass: (className) => this.root_.classList.add(className),
-      removeClass: (className) => this.root_.classList.remove(className),
-      hasClass: (className) => this.root_.classList.contains(className),
+    return new MDCMenuFoundation(Object.assign(this.getDefaultAdapter_(), {
       hasNecessaryDom: () => Boolean(this.itemsContainer_),
       getAttributeForEventTarget: (target, attributeName) => target.getAttribute(attributeName),
       getInnerDimensions: () => {
         const {itemsContainer_: itemsContainer} = this;
         return {width: itemsContainer.offsetWidth, height: itemsContainer.offsetHeight};
       },
-      hasAnchor: () => this.root_.parentElement && this.root_.parentElement.classList.contains('mdc-menu-anchor'),
-      getAnchorDimensions: () => this.root_.parentElement.getBoundingClientRect(),
-      getWindowDimensions: () => {
-        return {width: window.innerWidth, height: window.innerHeight};
-      },
       getNumberOfItems: () => this.items.length,
-      registerInteractionHandler: (type, handler) => this.root_.addEventListener(type, handler),
-      deregisterInteractionHandler: (type, handler) => this.root_.removeEventListener(type, handler),
-      registerBodyClickHandler: (handler) => document.body.addEventListener('click', handler),
-      deregisterBodyClickHandler: (handler) => document.body.removeEventListener('click', handler),
       getIndexForEventTarget: (target) => this.items.indexOf(target),
-      notifySelected: (evtData) => this.emit(MDCMenuFoundation.strings.SELECTED_EVENT, {
-        index: evtData.index,
+      notifySelected: (evtData) => this.emit(MDCMenuFoundation.strings.SELECTED_EVENT, Object.assign({
         item: this.items[evtData.index],
-      }),
+      }, evtData)),
       notifyCancel: () => this.emit(MDCMenuFoundation.strings.CANCEL_EVENT, {}),
-      saveFocus: () => {
-        this.previousFocus_ = document.activeElement;
-      },
-      restoreFocus: () => {
-        if (this.previousFocus_ && this.previousFocus_.focus) {
-          this.previousFocus_.focus();
-        }
-      },
-      isFocused: () => document.activeElement === this.root_,
-      focus: () => this.root_.focus(),
       getFocusedItemIndex: () => this.items.indexOf(document.activeElement),
       focusItemAtIndex: (index) => this.items[index].focus(),
-      isRtl: () => getComputedStyle(this.root_).getPropertyValue('direction') === 'rtl',
-      setTransformOrigin: (origin) => {
-        this.root_.style[`${getTransformPropertyName(window)}-origin`] = origin;
-      },
-      setPosition: (position) => {
-        this.root_.style.left = 'left' in position ? position.left : null;
-        this.root_.style.right = 'right' in position ? position.right : null;
-        this.root_.style.top = 'top' in position ? position.top : null;
-        this.root_.style.bottom = 'bottom' in position ? position.bottom : null;
-      },
-      setMaxHeight: (height) => {
-        this.root_.style.maxHeight = height;
-      },
+      getAttrForOptionAtIndex: (index, attr) => this.items[index].getAttribute(attr),
+      getTextForOptionAtIndex: (index) => getListItemText(this.items[index]),
       setAttrForOptionAtIndex: (index, attr, value) => this.items[index].setAttribute(attr, value),
       rmAttrForOptionAtIndex: (index, attr) => this.items[index].removeAttribute(attr),
       addClassForOptionAtIndex: (index, className) => this.items[index].classList.add(className),
       rmClassForOptionAtIndex: (index, className) => this.items[index].classList.remove(className),
-    });
+      hasSubmenuAtIndex: (index) => Boolean(this.submenus_[index]),
+      openSubmenuAtIndex: (index, focusIndex) => this.submenus_[index].show({focusIndex}),
+      closeSubmenuAtIndex: (index) => this.submenus_[index].hide(),
+      isTargetInSubmenu: (target) => this.isInSubmenu_(/** @type {?Node} */ (target)),
+      isSubmenu: () => {
+        let el = this.root_.parentElement;
+        while (el && !el.classList.contains(MDCMenuFoundation.cssClasses.ROOT)) {
+          el = el.parentElement;
+        }
+        return Boolean(el);
+      },
+    }));
   }
 }
 
@@ -14,24 +14,14 @@
  * limitations under the License.
  */
 
-/** @type {string|undefined} */
-let storedTransformPropertyName_;
-
-/**
- * Returns the name of the correct transform property to use on the current browser.
- * @param {!Window} globalObj
- * @param {boolean=} forceRefresh
- * @return {string}
- */
-function getTransformPropertyName(globalObj, forceRefresh = false) {
-  if (storedTransformPropertyName_ === undefined || forceRefresh) {
-    const el = globalObj.document.createElement('div');
-    const transformPropertyName = ('transform' in el.style ? 'transform' : 'webkitTransform');
-    storedTransformPropertyName_ = transformPropertyName;
-  }
-
-  return storedTransformPropertyName_;
-}
+// Positioning utilities are implemented by the menu surface, and re-exported here for backwards compatibility.
+import {
+  AnchorMargin,
+  AutoLayoutMeasurements,
+  getTransformPropertyName,
+  getAutoLayoutMeasurements,
+  getOriginCorner,
+} from '@material/menu-surface/util';
 
 /**
  * Clamps a value between the minimum and the maximum, returning the clamped value.
@@ -44,7 +34,6 @@ function clamp(value, min = 0, max = 1) {
   return Math.min(max, Math.max(min, value));
 }
 
-
 /**
  * Returns the easing value to apply at time t, for a given cubic bezier curve.
  * Control points P0 and P3 are assumed to be (0,0) and (1,1), respectively.
@@ -152,4 +141,12 @@ function solvePositionFromXValue_(xVal, x1, x2) {
   return t;
 }
 
-export {getTransformPropertyName, clamp, bezierProgress};
+export {
+  AnchorMargin,
+  AutoLayoutMeasurements,
+  getTransformPropertyName,
+  clamp,
+  getAutoLayoutMeasurements,
+  getOriginCorner,
+  bezierProgress,
+};
@@ -16,16 +16,30 @@
 const cssClasses = {
   BOX: 'mdc-select--box',
   DISABLED: 'mdc-select--disabled',
+  FOCUSED: 'mdc-select--focused',
+  INVALID: 'mdc-select--invalid',
+  MULTIPLE: 'mdc-select--multiple',
   ROOT: 'mdc-select',
   OUTLINED: 'mdc-select--outlined',
+  VALIDATION_INPUT: 'mdc-select__validation-input',
 };
 
 const strings = {
+  ARIA_CONTROLS: 'aria-controls',
+  ARIA_DISABLED_ATTR: 'aria-disabled',
+  ARIA_EXPANDED_ATTR: 'aria-expanded',
+  ARIA_REQUIRED_ATTR: 'aria-required',
   CHANGE_EVENT: 'MDCSelect:change',
+  CHECKBOX_SELECTOR: 'input[type="checkbox"]',
+  CHIP_SET_SELECTOR: '.mdc-select__chip-set',
+  HIDDEN_INPUT_SELECTOR: 'input[type="hidden"]',
   LINE_RIPPLE_SELECTOR: '.mdc-line-ripple',
   LABEL_SELECTOR: '.mdc-floating-label',
+  MENU_SELECTOR: '.mdc-select__menu',
   NATIVE_CONTROL_SELECTOR: '.mdc-select__native-control',
   OUTLINE_SELECTOR: '.mdc-notched-outline',
+  SELECTED_TEXT_SELECTOR: '.mdc-select__selected-text',
+  VALUE_ATTR: 'data-value',
 };
 
 /** @enum {number} */
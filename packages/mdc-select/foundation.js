@@ -16,6 +16,9 @@
 
 import {MDCFoundation} from '@material/base/index';
 import {cssClasses, strings, numbers} from './constants';
+/* eslint-disable no-unused-vars */
+import {MDCTextFieldHelperTextFoundation} from '@material/textfield/helper-text/index';
+/* eslint-enable no-unused-vars */
 
 export default class MDCSelectFoundation extends MDCFoundation {
   static get cssClasses() {
@@ -36,6 +39,7 @@ export default class MDCSelectFoundation extends MDCFoundation {
       removeClass: (/* className: string */) => {},
       hasClass: (/* className: string */) => false,
       floatLabel: (/* value: boolean */) => {},
+      shakeLabel: (/* shouldShake: boolean */) => {},
       activateBottomLine: () => {},
       deactivateBottomLine: () => {},
       registerInteractionHandler: (/* type: string, handler: EventListener */) => {},
@@ -51,27 +55,57 @@ export default class MDCSelectFoundation extends MDCFoundation {
       hasOutline: () => {},
       notchOutline: () => {},
       closeOutline: () => {},
+      hasMenu: () => false,
+      isMenuOpen: () => false,
+      openMenu: () => {},
+      isFocused: () => false,
+      setOptionChecked: (/* index: number, checked: boolean */) => {},
+      notifyChange: (/* value: (string|!Array<string>) */) => {},
+      isRequired: () => false,
+      setRequired: (/* isRequired: boolean */) => {},
     };
   }
 
-  constructor(adapter) {
+  /**
+   * @param {!Object} adapter
+   * @param {{helperText: (!MDCTextFieldHelperTextFoundation|undefined)}=} foundationMap Map from subcomponent names to
+   *     their subfoundations.
+   */
+  constructor(adapter, foundationMap = {}) {
     super(Object.assign(MDCSelectFoundation.defaultAdapter, adapter));
 
+    /** @private {!MDCTextFieldHelperTextFoundation|undefined} */
+    this.helperText_ = foundationMap.helperText;
+    /** @private {boolean} */
+    this.useCustomValidityChecking_ = false;
+    /** @private {boolean} */
+    this.isValid_ = true;
+
     this.focusHandler_ = (evt) => this.handleFocus_(evt);
     this.blurHandler_ = (evt) => this.handleBlur_(evt);
     this.selectionHandler_ = (evt) => this.handleSelect_(evt);
+    this.clickHandler_ = () => this.handleClick_();
+    this.keydownHandler_ = (evt) => this.handleKeydown_(evt);
   }
 
   init() {
     this.adapter_.registerInteractionHandler('focus', this.focusHandler_);
     this.adapter_.registerInteractionHandler('blur', this.blurHandler_);
     this.adapter_.registerInteractionHandler('change', this.selectionHandler_);
+    if (this.adapter_.hasMenu()) {
+      this.adapter_.registerInteractionHandler('click', this.clickHandler_);
+      this.adapter_.registerInteractionHandler('keydown', this.keydownHandler_);
+    }
   }
 
   destroy() {
     this.adapter_.deregisterInteractionHandler('focus', this.focusHandler_);
     this.adapter_.deregisterInteractionHandler('blur', this.blurHandler_);
     this.adapter_.deregisterInteractionHandler('change', this.selectionHandler_);
+    if (this.adapter_.hasMenu()) {
+      this.adapter_.deregisterInteractionHandler('click', this.clickHandler_);
+      this.adapter_.deregisterInteractionHandler('keydown', this.keydownHandler_);
+    }
   }
 
   setSelectedIndex(index) {
@@ -82,6 +116,48 @@ export default class MDCSelectFoundation extends MDCFoundation {
   setValue(value) {
     this.adapter_.setValue(value);
     this.setSelectedIndex(this.adapter_.getSelectedIndex());
+    this.styleValidity_(this.isValid());
+  }
+
+  /**
+   * @return {boolean} If a custom validity is set, returns that value. Otherwise, returns whether an option with a
+   *     value is selected, or the select is not required.
+   */
+  isValid() {
+    if (this.useCustomValidityChecking_) {
+      return this.isValid_;
+    }
+    return !this.adapter_.isRequired() || this.adapter_.getValue().length > 0;
+  }
+
+  /**
+   * @param {boolean} isValid Sets the validity state of the select, overriding the required check.
+   */
+  setValid(isValid) {
+    this.useCustomValidityChecking_ = true;
+    this.isValid_ = isValid;
+    this.styleValidity_(isValid);
+    this.adapter_.shakeLabel(!isValid && !this.adapter_.hasClass(cssClasses.FOCUSED));
+  }
+
+  /** @return {boolean} */
+  isRequired() {
+    return this.adapter_.isRequired();
+  }
+
+  /** @param {boolean} isRequired */
+  setRequired(isRequired) {
+    this.adapter_.setRequired(isRequired);
+    this.styleValidity_(this.isValid());
+  }
+
+  /**
+   * @param {string} content Sets the content of the helper text.
+   */
+  setHelperTextContent(content) {
+    if (this.helperText_) {
+      this.helperText_.setContent(content);
+    }
   }
 
   setDisabled(disabled) {
@@ -89,11 +165,55 @@ export default class MDCSelectFoundation extends MDCFoundation {
     this.adapter_.setDisabled(disabled);
     if (disabled) {
       this.adapter_.addClass(DISABLED);
+      this.adapter_.removeClass(cssClasses.INVALID);
     } else {
       this.adapter_.removeClass(DISABLED);
     }
   }
 
+  /**
+   * Selects the option picked from the menu of an enhanced select, and notifies of the change.
+   * @param {number} index
+   */
+  handleMenuSelected(index) {
+    if (index === this.adapter_.getSelectedIndex()) {
+      return;
+    }
+    this.setSelectedIndex(index);
+    this.styleValidity_(this.isValid());
+    this.adapter_.notifyChange(this.adapter_.getValue());
+  }
+
+  /**
+   * Checks or unchecks an option of a multiple select, which was toggled in its menu or removed via its chip, and
+   * notifies of the change.
+   * @param {number} index
+   * @param {boolean} checked
+   */
+  handleOptionChecked(index, checked) {
+    this.adapter_.setOptionChecked(index, checked);
+    this.floatLabelWithValue_();
+    this.styleValidity_(this.isValid());
+    this.adapter_.notifyChange(this.adapter_.getValue());
+  }
+
+  /**
+   * Styles the select as invalid after its form was not submitted because the select failed constraint validation.
+   */
+  handleInvalid() {
+    this.styleValidity_(false);
+    this.adapter_.shakeLabel(!this.adapter_.hasClass(cssClasses.FOCUSED));
+  }
+
+  /**
+   * Handles the menu of an enhanced select closing, which leaves the select unfocused unless focus returned to it.
+   */
+  handleMenuClosed() {
+    if (!this.adapter_.isFocused()) {
+      this.deactivateFocus_();
+    }
+  }
+
   floatLabelWithValue_() {
     const optionHasValue = this.adapter_.getValue().length > 0;
     this.adapter_.floatLabel(optionHasValue);
@@ -101,18 +221,73 @@ export default class MDCSelectFoundation extends MDCFoundation {
   }
 
   handleFocus_() {
+    this.adapter_.addClass(cssClasses.FOCUSED);
     this.adapter_.floatLabel(true);
     this.notchOutline(true);
     this.adapter_.activateBottomLine();
+    if (this.helperText_) {
+      this.helperText_.showToScreenReader();
+    }
   }
 
   handleBlur_() {
+    // The select of an enhanced select stays focused while focus is in its menu.
+    if (!this.adapter_.isMenuOpen()) {
+      this.deactivateFocus_();
+    }
+  }
+
+  /** @private */
+  deactivateFocus_() {
+    this.adapter_.removeClass(cssClasses.FOCUSED);
     this.floatLabelWithValue_();
     this.adapter_.deactivateBottomLine();
+    const isValid = this.isValid();
+    this.styleValidity_(isValid);
+    this.adapter_.shakeLabel(!isValid);
   }
 
   handleSelect_() {
     this.setSelectedIndex(this.adapter_.getSelectedIndex());
+    this.styleValidity_(this.isValid());
+    this.adapter_.notifyChange(this.adapter_.getValue());
+  }
+
+  handleClick_() {
+    if (!this.adapter_.isMenuOpen()) {
+      this.adapter_.openMenu();
+    }
+  }
+
+  /**
+   * Opens the menu of an enhanced select with the keys which open a native select.
+   * @param {!Event} evt
+   */
+  handleKeydown_(evt) {
+    const isEnter = evt.key === 'Enter' || evt.keyCode === 13;
+    const isSpace = evt.key === ' ' || evt.key === 'Spacebar' || evt.keyCode === 32;
+    const isArrowUp = evt.key === 'ArrowUp' || evt.keyCode === 38;
+    const isArrowDown = evt.key === 'ArrowDown' || evt.keyCode === 40;
+    if ((isEnter || isSpace || isArrowUp || isArrowDown) && !this.adapter_.isMenuOpen()) {
+      evt.preventDefault();
+      this.adapter_.openMenu();
+    }
+  }
+
+  /**
+   * Styles the select and its helper text based on the validity state.
+   * @param {boolean} isValid
+   * @private
+   */
+  styleValidity_(isValid) {
+    if (isValid) {
+      this.adapter_.removeClass(cssClasses.INVALID);
+    } else {
+      this.adapter_.addClass(cssClasses.INVALID);
+    }
+    if (this.helperText_) {
+      this.helperText_.setValidity(isValid);
+    }
   }
 
   /**
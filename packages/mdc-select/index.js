@@ -15,10 +15,16 @@
  */
 
 import {MDCComponent} from '@material/base/index';
+/* eslint-disable no-unused-vars */
+import {MDCChip, MDCChipSet, MDCChipFoundation} from '@material/chips/index';
+/* eslint-enable no-unused-vars */
 import {MDCFloatingLabel} from '@material/floating-label/index';
 import {MDCLineRipple} from '@material/line-ripple/index';
+import {getListItemText} from '@material/list/typeahead';
+import {MDCMenu, MDCMenuFoundation} from '@material/menu/index';
 import {MDCRipple, MDCRippleFoundation} from '@material/ripple/index';
 import {MDCNotchedOutline} from '@material/notched-outline/index';
+import {MDCTextFieldHelperText} from '@material/textfield/helper-text/index';
 
 import MDCSelectFoundation from './foundation';
 import {cssClasses, strings} from './constants';
@@ -30,7 +36,17 @@ export class MDCSelect extends MDCComponent {
     return new MDCSelect(root);
   }
 
+  /**
+   * @return {string|!Array<string>} The value of the selected option, or the values of the checked options of a
+   *     multiple select.
+   */
   get value() {
+    if (this.isMultiple_) {
+      return this.getCheckedIndexes_().map((index) => this.getItemValue_(index));
+    }
+    if (this.menu_) {
+      return this.getItemValue_(this.menu_.selectedItemIndex);
+    }
     return this.nativeControl_.value;
   }
 
@@ -38,7 +54,17 @@ export class MDCSelect extends MDCComponent {
     this.foundation_.setValue(value);
   }
 
+  /**
+   * @return {number|!Array<number>} The index of the selected option, or the sorted indexes of the checked options of
+   *     a multiple select.
+   */
   get selectedIndex() {
+    if (this.isMultiple_) {
+      return this.getCheckedIndexes_();
+    }
+    if (this.menu_) {
+      return this.menu_.selectedItemIndex;
+    }
     return this.nativeControl_.selectedIndex;
   }
 
@@ -47,6 +73,9 @@ export class MDCSelect extends MDCComponent {
   }
 
   get disabled() {
+    if (this.menu_) {
+      return this.root_.classList.contains(cssClasses.DISABLED);
+    }
     return this.nativeControl_.disabled;
   }
 
@@ -54,19 +83,83 @@ export class MDCSelect extends MDCComponent {
     this.foundation_.setDisabled(disabled);
   }
 
+  /** @return {boolean} Whether the select is valid, from its custom validity or its required state. */
+  get valid() {
+    return this.foundation_.isValid();
+  }
+
+  /**
+   * Sets a custom validity, which overrides the required check.
+   * @param {boolean} valid
+   */
+  set valid(valid) {
+    this.foundation_.setValid(valid);
+  }
+
+  /** @return {boolean} */
+  get required() {
+    return this.foundation_.isRequired();
+  }
+
+  /** @param {boolean} required */
+  set required(required) {
+    this.foundation_.setRequired(required);
+  }
+
+  /** @param {string} content Sets the content of the helper text. */
+  set helperTextContent(content) {
+    this.foundation_.setHelperTextContent(content);
+  }
+
+  /**
+   * Sets the function returning the text which summarizes the checked options of a multiple select without a chip
+   * set, for localization.
+   * @param {function(number): string} selectionSummary Called with the number of checked options, if there are several.
+   */
+  set selectionSummary(selectionSummary) {
+    this.selectionSummary_ = selectionSummary;
+  }
+
   /**
    * Recomputes the outline SVG path for the outline element.
    */
   layout() {
-    const openNotch = this.nativeControl_.value.length > 0;
+    const openNotch = this.value.length > 0;
     this.foundation_.notchOutline(openNotch);
   }
 
   initialize(
     labelFactory = (el) => new MDCFloatingLabel(el),
     lineRippleFactory = (el) => new MDCLineRipple(el),
-    outlineFactory = (el) => new MDCNotchedOutline(el)) {
+    outlineFactory = (el) => new MDCNotchedOutline(el),
+    menuFactory = (el) => new MDCMenu(el),
+    chipSetFactory = (el) => new MDCChipSet(el),
+    helperTextFactory = (el) => new MDCTextFieldHelperText(el)) {
     this.nativeControl_ = this.root_.querySelector(strings.NATIVE_CONTROL_SELECTOR);
+    this.selectedText_ = this.root_.querySelector(strings.SELECTED_TEXT_SELECTOR);
+    const menuElement = this.root_.querySelector(strings.MENU_SELECTOR);
+    this.isMultiple_ = false;
+    if (menuElement && this.selectedText_) {
+      this.menuElement_ = menuElement;
+      this.menu_ = menuFactory(menuElement);
+      // The box variant clips its content, so the menu is positioned in viewport coordinates below the select.
+      this.menu_.anchorElement = this.root_;
+      this.menu_.setFixedPosition(true);
+      this.hiddenInput_ = this.root_.querySelector(strings.HIDDEN_INPUT_SELECTOR);
+      this.isMultiple_ = this.root_.classList.contains(cssClasses.MULTIPLE);
+      this.validationInput_ = this.createValidationInput_();
+    }
+    if (this.isMultiple_) {
+      this.initializeMultiple_(chipSetFactory);
+    }
+    // The element which receives focus: the native select, or the selected text of an enhanced select.
+    this.control_ = this.menu_ ? this.selectedText_ : this.nativeControl_;
+    if (this.control_.hasAttribute(strings.ARIA_CONTROLS)) {
+      const helperTextElement = document.getElementById(this.control_.getAttribute(strings.ARIA_CONTROLS));
+      if (helperTextElement) {
+        this.helperText_ = helperTextFactory(helperTextElement);
+      }
+    }
     const labelElement = this.root_.querySelector(strings.LABEL_SELECTOR);
     if (labelElement) {
       this.label_ = labelFactory(labelElement);
@@ -85,10 +178,61 @@ export class MDCSelect extends MDCComponent {
     }
   }
 
+  /**
+   * Prepares a multiple select, which submits one hidden input per checked option and may show them as chips.
+   * @param {function(!Element): !MDCChipSet} chipSetFactory
+   * @private
+   */
+  initializeMultiple_(chipSetFactory) {
+    this.menu_.keepOpenOnCheck = true;
+    this.selectionSummary_ = (count) => `${count} selected`;
+
+    // The hidden input is cloned for each checked option, and only kept as a template.
+    this.hiddenInputs_ = [];
+    if (this.hiddenInput_) {
+      this.hiddenInput_.parentNode.removeChild(this.hiddenInput_);
+    }
+
+    const chipSetElement = this.root_.querySelector(strings.CHIP_SET_SELECTOR);
+    if (chipSetElement) {
+      this.chipSetElement_ = chipSetElement;
+      this.chipSet_ = chipSetFactory(chipSetElement);
+      /**
+       * Values of the options shown by the chips which are not exiting.
+       * @private {!Map<!MDCChip, string>}
+       */
+      this.chipValues_ = new Map();
+    }
+  }
+
+  /**
+   * Creates the input which takes part in the constraint validation of the form of an enhanced select, since hidden
+   * inputs never do. It has no name, so it is not submitted.
+   * @return {!Element}
+   * @private
+   */
+  createValidationInput_() {
+    const input = document.createElement('input');
+    input.className = cssClasses.VALIDATION_INPUT;
+    input.setAttribute('tabindex', '-1');
+    input.setAttribute('aria-hidden', 'true');
+    this.root_.insertBefore(input, this.selectedText_);
+    return input;
+  }
+
+  /**
+   * Updates the validation input of an enhanced select after its selection, required or disabled state changed.
+   * @private
+   */
+  syncValidationInput_() {
+    this.validationInput_.required = this.required;
+    this.validationInput_.value = String(this.value);
+  }
+
   initRipple_() {
     const adapter = Object.assign(MDCRipple.createAdapter(this), {
-      registerInteractionHandler: (type, handler) => this.nativeControl_.addEventListener(type, handler),
-      deregisterInteractionHandler: (type, handler) => this.nativeControl_.removeEventListener(type, handler),
+      registerInteractionHandler: (type, handler) => this.control_.addEventListener(type, handler),
+      deregisterInteractionHandler: (type, handler) => this.control_.removeEventListener(type, handler),
     });
     const foundation = new MDCRippleFoundation(adapter);
     return new MDCRipple(this.root_, foundation);
@@ -110,20 +254,32 @@ export class MDCSelect extends MDCComponent {
         }
       },
       setDisabled: (disabled) => this.nativeControl_.disabled = disabled,
-      registerInteractionHandler: (type, handler) => this.nativeControl_.addEventListener(type, handler),
-      deregisterInteractionHandler: (type, handler) => this.nativeControl_.removeEventListener(type, handler),
+      registerInteractionHandler: (type, handler) => this.control_.addEventListener(type, handler),
+      deregisterInteractionHandler: (type, handler) => this.control_.removeEventListener(type, handler),
       getSelectedIndex: () => this.nativeControl_.selectedIndex,
       setSelectedIndex: (index) => this.nativeControl_.selectedIndex = index,
       getValue: () => this.nativeControl_.value,
       setValue: (value) => this.nativeControl_.value = value,
       isRtl: () => window.getComputedStyle(this.root_).getPropertyValue('direction') === 'rtl',
+      isFocused: () => document.activeElement === this.control_,
+      notifyChange: (value) => this.emit(strings.CHANGE_EVENT, {value, index: this.selectedIndex}),
+      isRequired: () => this.nativeControl_.required,
+      setRequired: (isRequired) => this.nativeControl_.required = isRequired,
     },
+    this.menu_ ? this.getMenuAdapterMethods_() : {},
+    this.isMultiple_ ? this.getMultipleAdapterMethods_() : {},
     this.getOutlineAdapterMethods_(),
-    this.getLabelAdapterMethods_()))
+    this.getLabelAdapterMethods_())),
+    {helperText: this.helperText_ ? this.helperText_.foundation : undefined}
     );
   }
 
   initialSyncWithDOM() {
+    if (this.menu_) {
+      this.initialSyncMenu_();
+      return;
+    }
+
     // needed to sync floating label
     this.selectedIndex = this.nativeControl_.selectedIndex;
 
@@ -132,6 +288,45 @@ export class MDCSelect extends MDCComponent {
     }
   }
 
+  /**
+   * Syncs the selected option and disabled state of an enhanced select, and listens for the menu closing.
+   * @private
+   */
+  initialSyncMenu_() {
+    const {SELECTED_EVENT, CANCEL_EVENT} = MDCMenuFoundation.strings;
+    this.handleMenuSelected_ = (evt) => {
+      if (this.isMultiple_) {
+        // The menu of a multiple select stays open while options are checked.
+        this.foundation_.handleOptionChecked(evt.detail.index, evt.detail.checked);
+        return;
+      }
+      this.selectedText_.setAttribute(strings.ARIA_EXPANDED_ATTR, 'false');
+      this.foundation_.handleMenuSelected(evt.detail.index);
+      this.foundation_.handleMenuClosed();
+    };
+    this.handleMenuCancel_ = () => {
+      this.selectedText_.setAttribute(strings.ARIA_EXPANDED_ATTR, 'false');
+      this.foundation_.handleMenuClosed();
+    };
+    this.handleValidationInputInvalid_ = () => this.foundation_.handleInvalid();
+    this.menu_.listen(SELECTED_EVENT, this.handleMenuSelected_);
+    this.menu_.listen(CANCEL_EVENT, this.handleMenuCancel_);
+    this.validationInput_.addEventListener('invalid', this.handleValidationInputInvalid_);
+
+    this.selectedText_.setAttribute(strings.ARIA_EXPANDED_ATTR, 'false');
+    this.syncValidationInput_();
+    if (this.isMultiple_) {
+      this.initialSyncMultiple_();
+    } else {
+      this.selectedIndex = this.menu_.items.map((item) => item.getAttribute('aria-selected')).indexOf('true');
+    }
+
+    if (this.root_.classList.contains(cssClasses.DISABLED) ||
+      this.selectedText_.getAttribute(strings.ARIA_DISABLED_ATTR) === 'true') {
+      this.disabled = true;
+    }
+  }
+
   destroy() {
     if (this.ripple) {
       this.ripple.destroy();
@@ -139,9 +334,262 @@ export class MDCSelect extends MDCComponent {
     if (this.outline_) {
       this.outline_.destroy();
     }
+    if (this.helperText_) {
+      this.helperText_.destroy();
+    }
+    if (this.chipSet_) {
+      const {TRAILING_ICON_INTERACTION_EVENT, REMOVAL_EVENT} = MDCChipFoundation.strings;
+      this.chipSetElement_.removeEventListener(TRAILING_ICON_INTERACTION_EVENT, this.handleChipTrailingIcon_);
+      this.chipSetElement_.removeEventListener(REMOVAL_EVENT, this.handleChipRemoval_);
+      this.chipSet_.destroy();
+    }
+    if (this.menu_) {
+      const {SELECTED_EVENT, CANCEL_EVENT} = MDCMenuFoundation.strings;
+      this.menu_.unlisten(SELECTED_EVENT, this.handleMenuSelected_);
+      this.menu_.unlisten(CANCEL_EVENT, this.handleMenuCancel_);
+      this.menu_.destroy();
+      this.validationInput_.removeEventListener('invalid', this.handleValidationInputInvalid_);
+    }
     super.destroy();
   }
 
+  /**
+   * Adapter methods of an enhanced select, which shows its options in a menu and stores its value in the
+   * `data-value` attribute of the selected option.
+   * @return {!Object}
+   * @private
+   */
+  getMenuAdapterMethods_() {
+    return {
+      setDisabled: (disabled) => {
+        this.selectedText_.setAttribute('tabindex', disabled ? '-1' : '0');
+        this.selectedText_.setAttribute(strings.ARIA_DISABLED_ATTR, String(disabled));
+        if (this.hiddenInput_) {
+          this.hiddenInput_.disabled = disabled;
+        }
+        this.validationInput_.disabled = disabled;
+      },
+      isRequired: () => this.selectedText_.getAttribute(strings.ARIA_REQUIRED_ATTR) === 'true',
+      setRequired: (isRequired) => {
+        this.selectedText_.setAttribute(strings.ARIA_REQUIRED_ATTR, String(isRequired));
+        this.syncValidationInput_();
+      },
+      getSelectedIndex: () => this.menu_.selectedItemIndex,
+      setSelectedIndex: (index) => {
+        this.menu_.selectedItemIndex = index;
+        const selectedItem = this.menu_.items[this.menu_.selectedItemIndex];
+        this.selectedText_.textContent = selectedItem ? getListItemText(selectedItem).trim() : '';
+        if (this.hiddenInput_) {
+          this.hiddenInput_.value = this.value;
+        }
+        this.syncValidationInput_();
+      },
+      getValue: () => this.value,
+      setValue: (value) => this.menu_.selectedItemIndex = this.getItemIndexByValue_(value),
+      hasMenu: () => true,
+      isMenuOpen: () => this.menu_.open,
+      openMenu: () => {
+        this.menuElement_.style.minWidth = `${this.root_.offsetWidth}px`;
+        this.selectedText_.setAttribute(strings.ARIA_EXPANDED_ATTR, 'true');
+        const selectedIndex = this.menu_.selectedItemIndex;
+        this.menu_.show({focusIndex: selectedIndex >= 0 ? selectedIndex : 0});
+      },
+    };
+  }
+
+  /**
+   * Syncs the checked options of a multiple select, and listens for the removal of chips.
+   * @private
+   */
+  initialSyncMultiple_() {
+    if (this.chipSet_) {
+      const {TRAILING_ICON_INTERACTION_EVENT, REMOVAL_EVENT} = MDCChipFoundation.strings;
+      // Removing a chip unchecks its option right away, while the chip element is only removed after its exit
+      // animation.
+      this.handleChipTrailingIcon_ = (evt) => {
+        const {chip} = evt.detail;
+        const index = this.chipValues_.has(chip) ? this.getItemIndexByValue_(this.chipValues_.get(chip)) : -1;
+        if (index >= 0) {
+          this.foundation_.handleOptionChecked(index, false);
+        }
+      };
+      this.handleChipRemoval_ = (evt) => {
+        const {root} = evt.detail;
+        if (root.parentNode) {
+          root.parentNode.removeChild(root);
+        }
+      };
+      this.chipSetElement_.addEventListener(TRAILING_ICON_INTERACTION_EVENT, this.handleChipTrailingIcon_);
+      this.chipSetElement_.addEventListener(REMOVAL_EVENT, this.handleChipRemoval_);
+    }
+
+    this.selectedIndex = this.getCheckedIndexes_();
+  }
+
+  /**
+   * Adapter methods of a multiple select, whose options are checkbox items of its menu.
+   * @return {!Object}
+   * @private
+   */
+  getMultipleAdapterMethods_() {
+    return {
+      setDisabled: (disabled) => {
+        this.selectedText_.setAttribute('tabindex', disabled ? '-1' : '0');
+        this.selectedText_.setAttribute(strings.ARIA_DISABLED_ATTR, String(disabled));
+        if (this.hiddenInput_) {
+          this.hiddenInput_.disabled = disabled;
+        }
+        this.hiddenInputs_.forEach((input) => input.disabled = disabled);
+        this.validationInput_.disabled = disabled;
+      },
+      getSelectedIndex: () => this.getCheckedIndexes_(),
+      setSelectedIndex: (indexes) => {
+        this.menu_.items.forEach((item, index) => this.menu_.setItemChecked(index, indexes.indexOf(index) >= 0));
+        this.syncCheckedOptions_();
+      },
+      setValue: (values) => {
+        this.menu_.items.forEach((item, index) => {
+          this.menu_.setItemChecked(index, values.indexOf(this.getItemValue_(index)) >= 0);
+        });
+      },
+      setOptionChecked: (index, checked) => {
+        this.menu_.setItemChecked(index, checked);
+        this.syncCheckedOptions_();
+      },
+      openMenu: () => {
+        this.menuElement_.style.minWidth = `${this.root_.offsetWidth}px`;
+        this.selectedText_.setAttribute(strings.ARIA_EXPANDED_ATTR, 'true');
+        const checkedIndexes = this.getCheckedIndexes_();
+        this.menu_.show({focusIndex: checkedIndexes.length ? checkedIndexes[0] : 0});
+      },
+    };
+  }
+
+  /**
+   * Updates the checkboxes, summary, chips, hidden inputs and validation input of a multiple select after its checked
+   * options changed.
+   * @private
+   */
+  syncCheckedOptions_() {
+    const checkedIndexes = this.getCheckedIndexes_();
+    this.menu_.items.forEach((item, index) => {
+      const checkbox = item.querySelector(strings.CHECKBOX_SELECTOR);
+      if (checkbox) {
+        checkbox.checked = checkedIndexes.indexOf(index) >= 0;
+      }
+    });
+
+    let summary = '';
+    if (this.chipSet_) {
+      this.syncChips_(checkedIndexes);
+    } else if (checkedIndexes.length === 1) {
+      summary = getListItemText(this.menu_.items[checkedIndexes[0]]).trim();
+    } else if (checkedIndexes.length > 1) {
+      summary = this.selectionSummary_(checkedIndexes.length);
+    }
+    this.selectedText_.textContent = summary;
+
+    this.hiddenInputs_.forEach((input) => input.parentNode.removeChild(input));
+    this.hiddenInputs_ = this.hiddenInput_ ? checkedIndexes.map((index) => {
+      const input = this.hiddenInput_.cloneNode();
+      input.value = this.getItemValue_(index);
+      this.root_.insertBefore(input, this.selectedText_);
+      return input;
+    }) : [];
+    this.syncValidationInput_();
+  }
+
+  /**
+   * Starts the exit animation of the chips of unchecked options, and adds chips for newly checked options.
+   * @param {!Array<number>} checkedIndexes
+   * @private
+   */
+  syncChips_(checkedIndexes) {
+    const checkedValues = checkedIndexes.map((index) => this.getItemValue_(index));
+    const chipValues = [];
+    this.chipSet_.chips.forEach((chip) => {
+      if (!this.chipValues_.has(chip)) {
+        return;
+      }
+      const value = this.chipValues_.get(chip);
+      if (checkedValues.indexOf(value) >= 0) {
+        chipValues.push(value);
+      } else {
+        this.chipValues_.delete(chip);
+        chip.beginExit();
+      }
+    });
+
+    checkedIndexes.forEach((index) => {
+      const value = this.getItemValue_(index);
+      if (chipValues.indexOf(value) === -1) {
+        const chipElement = this.createChip_(value, getListItemText(this.menu_.items[index]).trim());
+        this.chipSetElement_.appendChild(chipElement);
+        this.chipSet_.addChip(chipElement);
+        this.chipValues_.set(this.chipSet_.chips[this.chipSet_.chips.length - 1], value);
+      }
+    });
+  }
+
+  /**
+   * @param {string} value
+   * @param {string} text
+   * @return {!Element} A removable chip for the checked option with the value.
+   * @private
+   */
+  createChip_(value, text) {
+    const chipElement = document.createElement('div');
+    chipElement.className = 'mdc-chip';
+    chipElement.setAttribute(strings.VALUE_ATTR, value);
+    chipElement.setAttribute('tabindex', '0');
+
+    const textElement = document.createElement('div');
+    textElement.className = 'mdc-chip__text';
+    textElement.textContent = text;
+    chipElement.appendChild(textElement);
+
+    const trailingIcon = document.createElement('i');
+    trailingIcon.className = 'material-icons mdc-chip__icon mdc-chip__icon--trailing';
+    trailingIcon.setAttribute('tabindex', '0');
+    trailingIcon.setAttribute('role', 'button');
+    trailingIcon.textContent = 'cancel';
+    chipElement.appendChild(trailingIcon);
+    return chipElement;
+  }
+
+  /**
+   * @return {!Array<number>} The sorted indexes of the checked options of a multiple select.
+   * @private
+   */
+  getCheckedIndexes_() {
+    const indexes = [];
+    this.menu_.items.forEach((item, index) => {
+      if (this.menu_.isItemChecked(index)) {
+        indexes.push(index);
+      }
+    });
+    return indexes;
+  }
+
+  /**
+   * @param {string} value
+   * @return {number} Index of the option of an enhanced select with the value, or -1 if there is none.
+   * @private
+   */
+  getItemIndexByValue_(value) {
+    return this.menu_.items.map((item) => item.getAttribute(strings.VALUE_ATTR)).indexOf(value);
+  }
+
+  /**
+   * @param {number} index
+   * @return {string} Value of the option of an enhanced select at the index, or an empty string if there is none.
+   * @private
+   */
+  getItemValue_(index) {
+    const item = this.menu_.items[index];
+    return item ? item.getAttribute(strings.VALUE_ATTR) || '' : '';
+  }
+
   /**
    * @return {!{
    *   notchOutline: function(number, boolean): undefined,
@@ -167,6 +615,7 @@ export class MDCSelect extends MDCComponent {
   /**
    * @return {!{
    *   floatLabel: function(boolean): undefined,
+   *   shakeLabel: function(boolean): undefined,
    *   hasLabel: function(): boolean,
    *   getLabelWidth: function(): number,
    * }}
@@ -178,6 +627,11 @@ export class MDCSelect extends MDCComponent {
           this.label_.float(shouldFloat);
         }
       },
+      shakeLabel: (shouldShake) => {
+        if (this.label_) {
+          this.label_.shake(shouldShake);
+        }
+      },
       hasLabel: () => !!this.label_,
       getLabelWidth: () => {
         if (this.label_) {
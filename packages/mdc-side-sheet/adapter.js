@@ -0,0 +1,163 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+
+/**
+ * Adapter for MDC Side Sheet.
+ *
+ * Defines the shape of the adapter expected by the foundation. Implement this
+ * adapter to integrate the Side Sheet into your framework. See
+ * https://github.com/material-components/material-components-web/blob/master/docs/authoring-components.md
+ * for more information.
+ *
+ * @record
+ */
+class MDCSideSheetAdapter {
+  /**
+   * Adds a class to the root element.
+   * @param {string} className
+   */
+  addClass(className) {}
+
+  /**
+   * Removes a class from the root element.
+   * @param {string} className
+   */
+  removeClass(className) {}
+
+  /**
+   * @param {string} className
+   * @return {boolean} Whether the root element has the class.
+   */
+  hasClass(className) {}
+
+  /**
+   * @return {boolean} Whether the sheet element exists within the root element.
+   */
+  hasNecessaryDom() {}
+
+  /**
+   * Registers an event handler on the root element.
+   * @param {string} evtType
+   * @param {!EventListener} handler
+   */
+  registerInteractionHandler(evtType, handler) {}
+
+  /**
+   * Deregisters an event handler from the root element.
+   * @param {string} evtType
+   * @param {!EventListener} handler
+   */
+  deregisterInteractionHandler(evtType, handler) {}
+
+  /**
+   * Registers an event handler on the sheet element.
+   * @param {string} evtType
+   * @param {!EventListener} handler
+   */
+  registerDrawerInteractionHandler(evtType, handler) {}
+
+  /**
+   * Deregisters an event handler from the sheet element.
+   * @param {string} evtType
+   * @param {!EventListener} handler
+   */
+  deregisterDrawerInteractionHandler(evtType, handler) {}
+
+  /**
+   * Registers a `transitionend` event handler on the sheet element.
+   * @param {!EventListener} handler
+   */
+  registerTransitionEndHandler(handler) {}
+
+  /**
+   * Deregisters a `transitionend` event handler from the sheet element.
+   * @param {!EventListener} handler
+   */
+  deregisterTransitionEndHandler(handler) {}
+
+  /**
+   * Registers a `keydown` event handler on the document.
+   * @param {!EventListener} handler
+   */
+  registerDocumentKeydownHandler(handler) {}
+
+  /**
+   * Deregisters a `keydown` event handler from the document.
+   * @param {!EventListener} handler
+   */
+  deregisterDocumentKeydownHandler(handler) {}
+
+  /**
+   * @param {?EventTarget} el
+   * @return {boolean} Whether the element is the sheet element.
+   */
+  isSheet(el) {}
+
+  /**
+   * Translates the sheet element horizontally, or removes its inline translation when the value is null.
+   * @param {?number} value
+   */
+  setTranslateX(value) {}
+
+  /**
+   * @return {number} Width of the sheet element.
+   */
+  getDrawerWidth() {}
+
+  /**
+   * @return {boolean} Whether the root element is in an RTL context.
+   */
+  isRtl() {}
+
+  /**
+   * @return {!NodeList|!Array<!Element>} Focusable elements within the sheet.
+   */
+  getFocusableElements() {}
+
+  /**
+   * Saves the tab index of the element.
+   * @param {!Element} el
+   */
+  saveElementTabState(el) {}
+
+  /**
+   * Restores the tab index of the element saved by `saveElementTabState`.
+   * @param {!Element} el
+   */
+  restoreElementTabState(el) {}
+
+  /**
+   * Removes the element from the tab order.
+   * @param {!Element} el
+   */
+  makeElementUntabbable(el) {}
+
+  /**
+   * Emits an event when the sheet opens.
+   */
+  notifyOpen() {}
+
+  /**
+   * Emits an event when the sheet closes.
+   */
+  notifyClose() {}
+}
+
+export default MDCSideSheetAdapter;
@@ -0,0 +1,103 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCComponent from '@material/base/component';
+import * as drawerUtil from '@material/drawer/util';
+
+import MDCSideSheetAdapter from './adapter';
+import MDCSideSheetFoundation from './foundation';
+
+/**
+ * @extends {MDCComponent<!MDCSideSheetFoundation>}
+ */
+class MDCSideSheet extends MDCComponent {
+  /**
+   * @param {!Element} root
+   * @return {!MDCSideSheet}
+   */
+  static attachTo(root) {
+    return new MDCSideSheet(root);
+  }
+
+  /** @return {boolean} */
+  get open() {
+    return this.foundation_.isOpen();
+  }
+
+  /** @param {boolean} value */
+  set open(value) {
+    if (value) {
+      this.foundation_.open();
+    } else {
+      this.foundation_.close();
+    }
+  }
+
+  /**
+   * Returns the sheet element inside the component.
+   * @return {!Element}
+   */
+  get sheet() {
+    return /** @type {!Element} */ (this.root_.querySelector(MDCSideSheetFoundation.strings.SHEET_SELECTOR));
+  }
+
+  /**
+   * @return {!MDCSideSheetAdapter}
+   * @protected
+   */
+  getDefaultAdapter_() {
+    const {FOCUSABLE_ELEMENTS, OPEN_EVENT, CLOSE_EVENT} = MDCSideSheetFoundation.strings;
+
+    return /** @type {!MDCSideSheetAdapter} */ ({
+      addClass: (className) => this.root_.classList.add(className),
+      removeClass: (className) => this.root_.classList.remove(className),
+      hasClass: (className) => this.root_.classList.contains(className),
+      hasNecessaryDom: () => Boolean(this.sheet),
+      registerInteractionHandler: (evtType, handler) =>
+        this.root_.addEventListener(drawerUtil.remapEvent(evtType), handler, drawerUtil.applyPassive()),
+      deregisterInteractionHandler: (evtType, handler) =>
+        this.root_.removeEventListener(drawerUtil.remapEvent(evtType), handler, drawerUtil.applyPassive()),
+      registerDrawerInteractionHandler: (evtType, handler) =>
+        this.sheet.addEventListener(drawerUtil.remapEvent(evtType), handler),
+      deregisterDrawerInteractionHandler: (evtType, handler) =>
+        this.sheet.removeEventListener(drawerUtil.remapEvent(evtType), handler),
+      registerTransitionEndHandler: (handler) => this.sheet.addEventListener('transitionend', handler),
+      deregisterTransitionEndHandler: (handler) => this.sheet.removeEventListener('transitionend', handler),
+      registerDocumentKeydownHandler: (handler) => document.addEventListener('keydown', handler),
+      deregisterDocumentKeydownHandler: (handler) => document.removeEventListener('keydown', handler),
+      isSheet: (el) => el === this.sheet,
+      setTranslateX: (value) => this.sheet.style.setProperty(
+        drawerUtil.getTransformPropertyName(), value === null ? null : `translateX(${value}px)`),
+      getDrawerWidth: () => this.sheet.offsetWidth,
+      isRtl: () => getComputedStyle(this.root_).getPropertyValue('direction') === 'rtl',
+      getFocusableElements: () => this.sheet.querySelectorAll(FOCUSABLE_ELEMENTS),
+      saveElementTabState: (el) => drawerUtil.saveElementTabState(el),
+      restoreElementTabState: (el) => drawerUtil.restoreElementTabState(el),
+      makeElementUntabbable: (el) => el.setAttribute('tabindex', -1),
+      notifyOpen: () => this.emit(OPEN_EVENT, {}),
+      notifyClose: () => this.emit(CLOSE_EVENT, {}),
+    });
+  }
+
+  /** @return {!MDCSideSheetFoundation} */
+  getDefaultFoundation() {
+    return new MDCSideSheetFoundation(this.getDefaultAdapter_());
+  }
+}
+
+export {MDCSideSheet};
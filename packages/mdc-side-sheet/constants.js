@@ -0,0 +1,35 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {FOCUSABLE_ELEMENTS} from '@material/drawer/slidable/constants';
+
+/** @enum {string} */
+const cssClasses = {
+  ROOT: 'mdc-side-sheet',
+  OPEN: 'mdc-side-sheet--open',
+  ANIMATING: 'mdc-side-sheet--animating',
+};
+
+/** @enum {string} */
+const strings = {
+  SHEET_SELECTOR: '.mdc-side-sheet__sheet',
+  FOCUSABLE_ELEMENTS,
+  OPEN_EVENT: 'MDCSideSheet:open',
+  CLOSE_EVENT: 'MDCSideSheet:close',
+};
+
+export {cssClasses, strings};
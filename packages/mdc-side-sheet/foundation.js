@@ -0,0 +1,76 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {MDCSlidableDrawerFoundation} from '@material/drawer/slidable/index';
+import MDCSideSheetAdapter from './adapter';
+import {cssClasses, strings} from './constants';
+
+/**
+ * Foundation of the standard side sheet, which the modal side sheet extends. Opening, closing and dragging are
+ * shared with the slidable drawers; the side sheet is anchored to the trailing edge instead of the leading edge.
+ */
+class MDCSideSheetFoundation extends MDCSlidableDrawerFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /**
+   * {@see MDCSideSheetAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCSideSheetAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCSideSheetAdapter} */ (Object.assign(MDCSlidableDrawerFoundation.defaultAdapter, {
+      isSheet: () => false,
+    }));
+  }
+
+  /** @param {!MDCSideSheetAdapter} adapter */
+  constructor(adapter) {
+    super(
+      Object.assign(MDCSideSheetFoundation.defaultAdapter, adapter),
+      cssClasses.ROOT,
+      cssClasses.ANIMATING,
+      cssClasses.OPEN);
+  }
+
+  destroy() {
+    super.destroy();
+
+    cancelAnimationFrame(this.updateRaf_);
+    this.adapter_.deregisterTransitionEndHandler(this.transitionEndHandler_);
+  }
+
+  /** @override */
+  isAnchoredToTrailingEdge_() {
+    return true;
+  }
+
+  /** @override */
+  isRootTransitioningEventTarget_(el) {
+    return this.adapter_.isSheet(el);
+  }
+}
+
+export default MDCSideSheetFoundation;
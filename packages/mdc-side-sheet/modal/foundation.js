@@ -0,0 +1,144 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCSideSheetFoundation from '../foundation';
+import MDCModalSideSheetAdapter from './adapter';
+import {cssClasses, strings} from './constants';
+
+/**
+ * @extends {MDCSideSheetFoundation}
+ * @final
+ */
+class MDCModalSideSheetFoundation extends MDCSideSheetFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /**
+   * {@see MDCModalSideSheetAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCModalSideSheetAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCModalSideSheetAdapter} */ (Object.assign(MDCSideSheetFoundation.defaultAdapter, {
+      addBodyClass: () => {},
+      removeBodyClass: () => {},
+      registerScrimInteractionHandler: () => {},
+      deregisterScrimInteractionHandler: () => {},
+      updateCssVariable: () => {},
+      trapFocus: () => {},
+      untrapFocus: () => {},
+    }));
+  }
+
+  /** @param {!MDCModalSideSheetAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCModalSideSheetFoundation.defaultAdapter, adapter));
+
+    /** @private {function(!Event)} */
+    this.scrimClickHandler_ = () => this.close();
+  }
+
+  init() {
+    super.init();
+
+    this.adapter_.registerScrimInteractionHandler('click', this.scrimClickHandler_);
+    if (this.isOpen_) {
+      this.disableScroll_();
+      this.adapter_.registerDocumentKeydownHandler(this.documentKeydownHandler_);
+    }
+  }
+
+  destroy() {
+    super.destroy();
+
+    this.adapter_.deregisterScrimInteractionHandler('click', this.scrimClickHandler_);
+    if (this.isOpen_) {
+      this.adapter_.untrapFocus();
+    }
+    this.enableScroll_();
+  }
+
+  /** @override */
+  open() {
+    const wasOpen = this.isOpen_;
+    this.disableScroll_();
+    // Make sure custom property values are cleared before starting.
+    this.adapter_.updateCssVariable('');
+
+    super.open();
+
+    if (!wasOpen) {
+      this.adapter_.trapFocus();
+    }
+  }
+
+  /** @override */
+  close() {
+    const wasOpen = this.isOpen_;
+    // Make sure custom property values are cleared before making any changes.
+    this.adapter_.updateCssVariable('');
+
+    super.close();
+
+    if (wasOpen) {
+      this.adapter_.untrapFocus();
+    }
+  }
+
+  /** @override */
+  prepareForTouchEnd_() {
+    super.prepareForTouchEnd_();
+
+    this.adapter_.updateCssVariable('');
+  }
+
+  /** @override */
+  updateDrawer_() {
+    super.updateDrawer_();
+
+    const opacity = Math.max(0, 1 + this.direction_ * (this.newPosition_ / this.drawerWidth_));
+    this.adapter_.updateCssVariable(opacity);
+  }
+
+  /** @override */
+  handleTransitionEnd_(evt) {
+    super.handleTransitionEnd_(evt);
+    if (!this.isOpen_) {
+      this.enableScroll_();
+    }
+  }
+
+  /** @private */
+  disableScroll_() {
+    this.adapter_.addBodyClass(cssClasses.SCROLL_LOCK);
+  }
+
+  /** @private */
+  enableScroll_() {
+    this.adapter_.removeBodyClass(cssClasses.SCROLL_LOCK);
+  }
+}
+
+export default MDCModalSideSheetFoundation;
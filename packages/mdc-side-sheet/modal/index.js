@@ -0,0 +1,86 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import * as drawerUtil from '@material/drawer/util';
+
+import {MDCSideSheet} from '../component';
+import MDCModalSideSheetAdapter from './adapter';
+import MDCModalSideSheetFoundation from './foundation';
+import * as util from '../util';
+
+/**
+ * @extends {MDCSideSheet}
+ * @final
+ */
+class MDCModalSideSheet extends MDCSideSheet {
+  /**
+   * @param {...?} args
+   */
+  constructor(...args) {
+    super(...args);
+
+    /** @private {!FocusTrapInstance} */
+    this.focusTrap_;
+  }
+
+  /**
+   * @param {!Element} root
+   * @return {!MDCModalSideSheet}
+   */
+  static attachTo(root) {
+    return new MDCModalSideSheet(root);
+  }
+
+  /**
+   * @param {(function(!Element): !FocusTrapInstance)=} focusTrapFactory A function which creates a focus trap.
+   */
+  initialize(focusTrapFactory = (el) => util.createFocusTrapInstance(el)) {
+    this.focusTrap_ = focusTrapFactory(this.sheet);
+  }
+
+  /** @return {!MDCModalSideSheetFoundation} */
+  getDefaultFoundation() {
+    const {SCRIM_SELECTOR, SCRIM_OPACITY_VAR_NAME} = MDCModalSideSheetFoundation.strings;
+    const getScrim = () => this.root_.querySelector(SCRIM_SELECTOR);
+
+    return new MDCModalSideSheetFoundation(/** @type {!MDCModalSideSheetAdapter} */ (Object.assign(
+      this.getDefaultAdapter_(), {
+        addBodyClass: (className) => document.body.classList.add(className),
+        removeBodyClass: (className) => document.body.classList.remove(className),
+        registerScrimInteractionHandler: (evtType, handler) => {
+          if (getScrim()) {
+            getScrim().addEventListener(evtType, handler);
+          }
+        },
+        deregisterScrimInteractionHandler: (evtType, handler) => {
+          if (getScrim()) {
+            getScrim().removeEventListener(evtType, handler);
+          }
+        },
+        updateCssVariable: (value) => {
+          if (drawerUtil.supportsCssCustomProperties()) {
+            this.root_.style.setProperty(SCRIM_OPACITY_VAR_NAME, value);
+          }
+        },
+        trapFocus: () => this.focusTrap_.activate(),
+        untrapFocus: () => this.focusTrap_.deactivate(),
+      })));
+  }
+}
+
+export {MDCModalSideSheet, MDCModalSideSheetFoundation};
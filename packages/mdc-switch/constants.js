@@ -0,0 +1,33 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/** @enum {string} */
+const cssClasses = {
+  UPGRADED: 'mdc-switch--upgraded',
+  CHECKED: 'mdc-switch--checked',
+  DISABLED: 'mdc-switch--disabled',
+};
+
+/** @enum {string} */
+const strings = {
+  NATIVE_CONTROL_SELECTOR: '.mdc-switch__native-control',
+  RIPPLE_SELECTOR: '.mdc-switch__ripple',
+  ARIA_CHECKED_ATTR: 'aria-checked',
+};
+
+export {cssClasses, strings};
@@ -0,0 +1,196 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCFoundation from '@material/base/foundation';
+/* eslint-disable no-unused-vars */
+import {MDCSelectionControlState} from '@material/selection-control/index';
+import MDCSwitchAdapter from './adapter';
+/* eslint-enable no-unused-vars */
+import {cssClasses, strings} from './constants';
+
+/** @const {!Array<string>} */
+const SWITCH_PROTO_PROPS = ['checked', 'disabled'];
+
+/**
+ * @extends {MDCFoundation<!MDCSwitchAdapter>}
+ */
+class MDCSwitchFoundation extends MDCFoundation {
+  /** @return enum {cssClasses} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {strings} */
+  static get strings() {
+    return strings;
+  }
+
+  /** @return {!MDCSwitchAdapter} */
+  static get defaultAdapter() {
+    return /** @type {!MDCSwitchAdapter} */ ({
+      addClass: (/* className: string */) => {},
+      removeClass: (/* className: string */) => {},
+      setNativeControlAttr: (/* attr: string, value: string */) => {},
+      registerChangeHandler: (/* handler: EventListener */) => {},
+      deregisterChangeHandler: (/* handler: EventListener */) => {},
+      getNativeControl: () => /* !MDCSelectionControlState */ {},
+    });
+  }
+
+  constructor(adapter) {
+    super(Object.assign(MDCSwitchFoundation.defaultAdapter, adapter));
+
+    this.changeHandler_ = /** @private {!EventListener} */ (
+      () => this.handleChange());
+  }
+
+  /** @override */
+  init() {
+    this.adapter_.addClass(cssClasses.UPGRADED);
+    this.syncState_();
+    this.adapter_.registerChangeHandler(this.changeHandler_);
+    this.installPropertyChangeHooks_();
+  }
+
+  /** @override */
+  destroy() {
+    this.adapter_.deregisterChangeHandler(this.changeHandler_);
+    this.uninstallPropertyChangeHooks_();
+  }
+
+  /** @return {boolean} */
+  isChecked() {
+    return this.getNativeControl_().checked;
+  }
+
+  /** @param {boolean} checked */
+  setChecked(checked) {
+    this.getNativeControl_().checked = checked;
+    this.syncState_();
+  }
+
+  /** @return {boolean} */
+  isDisabled() {
+    return this.getNativeControl_().disabled;
+  }
+
+  /** @param {boolean} disabled */
+  setDisabled(disabled) {
+    this.getNativeControl_().disabled = disabled;
+    this.syncState_();
+  }
+
+  /** @return {?string} */
+  getValue() {
+    return this.getNativeControl_().value;
+  }
+
+  /** @param {?string} value */
+  setValue(value) {
+    this.getNativeControl_().value = value;
+  }
+
+  /**
+   * Handles the change event for the switch
+   */
+  handleChange() {
+    this.syncState_();
+  }
+
+  /** @private */
+  installPropertyChangeHooks_() {
+    const nativeControl = this.getNativeControl_();
+    const controlProto = Object.getPrototypeOf(nativeControl);
+
+    SWITCH_PROTO_PROPS.forEach((controlState) => {
+      const desc = Object.getOwnPropertyDescriptor(controlProto, controlState);
+      // We have to check for this descriptor, since some browsers (Safari) don't support its return.
+      // See: https://bugs.webkit.org/show_bug.cgi?id=49739
+      if (validDescriptor(desc)) {
+        const nativeControlDesc = /** @type {!ObjectPropertyDescriptor} */ ({
+          get: desc.get,
+          set: (state) => {
+            desc.set.call(nativeControl, state);
+            this.syncState_();
+          },
+          configurable: desc.configurable,
+          enumerable: desc.enumerable,
+        });
+        Object.defineProperty(nativeControl, controlState, nativeControlDesc);
+      }
+    });
+  }
+
+  /** @private */
+  uninstallPropertyChangeHooks_() {
+    const nativeControl = this.getNativeControl_();
+    const controlProto = Object.getPrototypeOf(nativeControl);
+
+    SWITCH_PROTO_PROPS.forEach((controlState) => {
+      const desc = /** @type {!ObjectPropertyDescriptor} */ (
+        Object.getOwnPropertyDescriptor(controlProto, controlState));
+      if (validDescriptor(desc)) {
+        Object.defineProperty(nativeControl, controlState, desc);
+      }
+    });
+  }
+
+  /**
+   * Updates the modifier classes and `aria-checked` to match the state of the native control.
+   * @private
+   */
+  syncState_() {
+    const {checked, disabled} = this.getNativeControl_();
+
+    if (checked) {
+      this.adapter_.addClass(cssClasses.CHECKED);
+    } else {
+      this.adapter_.removeClass(cssClasses.CHECKED);
+    }
+
+    if (disabled) {
+      this.adapter_.addClass(cssClasses.DISABLED);
+    } else {
+      this.adapter_.removeClass(cssClasses.DISABLED);
+    }
+
+    this.adapter_.setNativeControlAttr(strings.ARIA_CHECKED_ATTR, `${!!checked}`);
+  }
+
+  /**
+   * @return {!MDCSelectionControlState}
+   * @private
+   */
+  getNativeControl_() {
+    return this.adapter_.getNativeControl() || {
+      checked: false,
+      disabled: false,
+      value: null,
+    };
+  }
+}
+
+/**
+ * @param {ObjectPropertyDescriptor|undefined} inputPropDesc
+ * @return {boolean}
+ */
+function validDescriptor(inputPropDesc) {
+  return !!inputPropDesc && typeof inputPropDesc.set === 'function';
+}
+
+export default MDCSwitchFoundation;
@@ -0,0 +1,130 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import MDCComponent from '@material/base/component';
+/* eslint-disable no-unused-vars */
+import {MDCSelectionControlState, MDCSelectionControl} from '@material/selection-control/index';
+import {MDCRipple, MDCRippleFoundation, RippleCapableSurface} from '@material/ripple/index';
+/* eslint-enable no-unused-vars */
+import MDCSwitchFoundation from './foundation';
+import {getMatchesProperty} from '@material/ripple/util';
+
+/**
+ * @extends MDCComponent<!MDCSwitchFoundation>
+ * @implements {MDCSelectionControl}
+ */
+class MDCSwitch extends MDCComponent {
+  static attachTo(root) {
+    return new MDCSwitch(root);
+  }
+
+  /**
+   * Returns the state of the native control element, or null if the native control element is not present.
+   * @return {?MDCSelectionControlState}
+   * @private
+   */
+  get nativeControl_() {
+    const {NATIVE_CONTROL_SELECTOR} = MDCSwitchFoundation.strings;
+    const el = /** @type {?MDCSelectionControlState} */ (
+      this.root_.querySelector(NATIVE_CONTROL_SELECTOR));
+    return el;
+  }
+
+  constructor(...args) {
+    super(...args);
+
+    /** @private {!MDCRipple} */
+    this.ripple_ = this.initRipple_();
+  }
+
+  /**
+   * Attaches the ripple to the element which travels with the knob, while listening for interactions on the native
+   * control which covers it.
+   * @return {!MDCRipple}
+   * @private
+   */
+  initRipple_() {
+    const MATCHES = getMatchesProperty(HTMLElement.prototype);
+    const rippleSurface = /** @type {!Element} */ (
+      this.root_.querySelector(MDCSwitchFoundation.strings.RIPPLE_SELECTOR));
+    const adapter = Object.assign(MDCRipple.createAdapter(
+      /** @type {!RippleCapableSurface} */ ({root_: rippleSurface})), {
+      isUnbounded: () => true,
+      isSurfaceActive: () => this.nativeControl_[MATCHES](':active'),
+      isSurfaceDisabled: () => this.disabled,
+      registerInteractionHandler: (type, handler) => this.nativeControl_.addEventListener(type, handler),
+      deregisterInteractionHandler: (type, handler) => this.nativeControl_.removeEventListener(type, handler),
+    });
+    const foundation = new MDCRippleFoundation(adapter);
+    return new MDCRipple(rippleSurface, foundation);
+  }
+
+  /** @return {!MDCSwitchFoundation} */
+  getDefaultFoundation() {
+    return new MDCSwitchFoundation({
+      addClass: (className) => this.root_.classList.add(className),
+      removeClass: (className) => this.root_.classList.remove(className),
+      setNativeControlAttr: (attr, value) => this.nativeControl_.setAttribute(attr, value),
+      registerChangeHandler: (handler) => this.nativeControl_.addEventListener('change', handler),
+      deregisterChangeHandler: (handler) => this.nativeControl_.removeEventListener('change', handler),
+      getNativeControl: () => this.nativeControl_,
+    });
+  }
+
+  /** @return {!MDCRipple} */
+  get ripple() {
+    return this.ripple_;
+  }
+
+  /** @return {boolean} */
+  get checked() {
+    return this.foundation_.isChecked();
+  }
+
+  /** @param {boolean} checked */
+  set checked(checked) {
+    this.foundation_.setChecked(checked);
+  }
+
+  /** @return {boolean} */
+  get disabled() {
+    return this.foundation_.isDisabled();
+  }
+
+  /** @param {boolean} disabled */
+  set disabled(disabled) {
+    this.foundation_.setDisabled(disabled);
+  }
+
+  /** @return {?string} */
+  get value() {
+    return this.foundation_.getValue();
+  }
+
+  /** @param {?string} value */
+  set value(value) {
+    this.foundation_.setValue(value);
+  }
+
+  destroy() {
+    this.ripple_.destroy();
+    super.destroy();
+  }
+}
+
+export {MDCSwitchFoundation, MDCSwitch};
@@ -0,0 +1,128 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint no-unused-vars: [2, {"args": "none"}] */
+
+/**
+ * Adapter for MDC Tooltip.
+ *
+ * Defines the shape of the adapter expected by the foundation. Implement this
+ * adapter to integrate the Tooltip into your framework. See
+ * https://github.com/material-components/material-components-web/blob/master/docs/authoring-components.md
+ * for more information.
+ *
+ * @record
+ */
+class MDCTooltipAdapter {
+  /**
+   * Adds a class to the tooltip element.
+   * @param {string} className
+   */
+  addClass(className) {}
+
+  /**
+   * Removes a class from the tooltip element.
+   * @param {string} className
+   */
+  removeClass(className) {}
+
+  /**
+   * @param {string} attr
+   * @return {?string} Value of the attribute on the tooltip element.
+   */
+  getAttribute(attr) {}
+
+  /**
+   * Sets an attribute on the tooltip element.
+   * @param {string} attr
+   * @param {string} value
+   */
+  setAttribute(attr, value) {}
+
+  /**
+   * @param {string} attr
+   * @return {?string} Value of the attribute on the anchor element.
+   */
+  getAnchorAttribute(attr) {}
+
+  /**
+   * Sets an attribute on the anchor element.
+   * @param {string} attr
+   * @param {string} value
+   */
+  setAnchorAttribute(attr, value) {}
+
+  /**
+   * Removes an attribute from the anchor element.
+   * @param {string} attr
+   */
+  removeAnchorAttribute(attr) {}
+
+  /**
+   * Registers an event handler on the anchor element.
+   * @param {string} evtType
+   * @param {function(!Event)} handler
+   */
+  registerAnchorInteractionHandler(evtType, handler) {}
+
+  /**
+   * Deregisters an event handler from the anchor element.
+   * @param {string} evtType
+   * @param {function(!Event)} handler
+   */
+  deregisterAnchorInteractionHandler(evtType, handler) {}
+
+  /**
+   * Registers a keydown event handler on the document.
+   * @param {function(!Event)} handler
+   */
+  registerDocumentKeydownHandler(handler) {}
+
+  /**
+   * Deregisters a keydown event handler from the document.
+   * @param {function(!Event)} handler
+   */
+  deregisterDocumentKeydownHandler(handler) {}
+
+  /**
+   * @return {!ClientRect} Bounding client rect of the anchor element.
+   */
+  getAnchorBoundingClientRect() {}
+
+  /**
+   * @return {{width: number, height: number}} Dimensions of the tooltip element.
+   */
+  getTooltipDimensions() {}
+
+  /**
+   * @return {{width: number, height: number}} Dimensions of the viewport.
+   */
+  getWindowDimensions() {}
+
+  /**
+   * @return {boolean} True if the anchor element is in an RTL context.
+   */
+  isRtl() {}
+
+  /**
+   * Sets the position of the tooltip element relative to the viewport.
+   * @param {{top: string, left: string}} position
+   */
+  setPosition(position) {}
+}
+
+export default MDCTooltipAdapter;
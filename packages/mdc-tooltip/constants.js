@@ -0,0 +1,41 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @enum {string} */
+const cssClasses = {
+  ROOT: 'mdc-tooltip',
+  SHOWN: 'mdc-tooltip--shown',
+};
+
+/** @enum {string} */
+const strings = {
+  ARIA_DESCRIBEDBY: 'aria-describedby',
+  ARIA_HIDDEN: 'aria-hidden',
+  TOOLTIP_ID_ATTR: 'data-tooltip-id',
+};
+
+/** @enum {number} */
+const numbers = {
+  // Amount of time to wait after the anchor is hovered or focused before showing the tooltip.
+  SHOW_DELAY_MS: 500,
+  // Distance between the anchor and the tooltip.
+  ANCHOR_GAP: 8,
+  // Minimum distance between the tooltip and the edges of the viewport.
+  MARGIN_TO_EDGE: 8,
+};
+
+export {cssClasses, strings, numbers};
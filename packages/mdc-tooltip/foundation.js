@@ -0,0 +1,217 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import MDCFoundation from '@material/base/foundation';
+import {Corner, CornerBit} from '@material/menu-surface/constants';
+import {getAutoLayoutMeasurements, getOriginCorner} from '@material/menu-surface/util';
+
+import MDCTooltipAdapter from './adapter';
+import {cssClasses, strings, numbers} from './constants';
+
+/**
+ * @extends {MDCFoundation<!MDCTooltipAdapter>}
+ * @final
+ */
+class MDCTooltipFoundation extends MDCFoundation {
+  /** @return enum {string} */
+  static get cssClasses() {
+    return cssClasses;
+  }
+
+  /** @return enum {string} */
+  static get strings() {
+    return strings;
+  }
+
+  /** @return enum {number} */
+  static get numbers() {
+    return numbers;
+  }
+
+  /**
+   * {@see MDCTooltipAdapter} for typing information on parameters and return
+   * types.
+   * @return {!MDCTooltipAdapter}
+   */
+  static get defaultAdapter() {
+    return /** @type {!MDCTooltipAdapter} */ ({
+      addClass: () => {},
+      removeClass: () => {},
+      getAttribute: () => null,
+      setAttribute: () => {},
+      getAnchorAttribute: () => null,
+      setAnchorAttribute: () => {},
+      removeAnchorAttribute: () => {},
+      registerAnchorInteractionHandler: () => {},
+      deregisterAnchorInteractionHandler: () => {},
+      registerDocumentKeydownHandler: () => {},
+      deregisterDocumentKeydownHandler: () => {},
+      getAnchorBoundingClientRect: () => /** @type {!ClientRect} */ ({}),
+      getTooltipDimensions: () => ({width: 0, height: 0}),
+      getWindowDimensions: () => ({width: 0, height: 0}),
+      isRtl: () => false,
+      setPosition: () => {},
+    });
+  }
+
+  /** @param {!MDCTooltipAdapter} adapter */
+  constructor(adapter) {
+    super(Object.assign(MDCTooltipFoundation.defaultAdapter, adapter));
+
+    /** @private {boolean} */
+    this.isShown_ = false;
+    /** @private {number} */
+    this.showTimerId_ = 0;
+
+    /** @private {function(!Event)} */
+    this.anchorShowHandler_ = () => this.scheduleShow_();
+    /** @private {function(!Event)} */
+    this.anchorHideHandler_ = () => this.hide();
+    /** @private {function(!Event)} */
+    this.documentKeydownHandler_ = (evt) => this.handleDocumentKeydown_(evt);
+  }
+
+  init() {
+    const tooltipId = this.adapter_.getAttribute('id');
+    if (tooltipId) {
+      const describedBy = this.getAnchorDescribedByIds_();
+      if (describedBy.indexOf(tooltipId) === -1) {
+        describedBy.push(tooltipId);
+        this.adapter_.setAnchorAttribute(strings.ARIA_DESCRIBEDBY, describedBy.join(' '));
+      }
+    }
+    this.adapter_.setAttribute(strings.ARIA_HIDDEN, 'true');
+
+    ['mouseenter', 'focus'].forEach((evtType) => {
+      this.adapter_.registerAnchorInteractionHandler(evtType, this.anchorShowHandler_);
+    });
+    ['mouseleave', 'blur'].forEach((evtType) => {
+      this.adapter_.registerAnchorInteractionHandler(evtType, this.anchorHideHandler_);
+    });
+  }
+
+  destroy() {
+    clearTimeout(this.showTimerId_);
+    this.adapter_.deregisterDocumentKeydownHandler(this.documentKeydownHandler_);
+
+    ['mouseenter', 'focus'].forEach((evtType) => {
+      this.adapter_.deregisterAnchorInteractionHandler(evtType, this.anchorShowHandler_);
+    });
+    ['mouseleave', 'blur'].forEach((evtType) => {
+      this.adapter_.deregisterAnchorInteractionHandler(evtType, this.anchorHideHandler_);
+    });
+
+    const tooltipId = this.adapter_.getAttribute('id');
+    const describedBy = this.getAnchorDescribedByIds_().filter((id) => id !== tooltipId);
+    if (describedBy.length) {
+      this.adapter_.setAnchorAttribute(strings.ARIA_DESCRIBEDBY, describedBy.join(' '));
+    } else {
+      this.adapter_.removeAnchorAttribute(strings.ARIA_DESCRIBEDBY);
+    }
+  }
+
+  /**
+   * Positions the tooltip relative to its anchor and shows it immediately.
+   */
+  show() {
+    clearTimeout(this.showTimerId_);
+    if (this.isShown_) {
+      return;
+    }
+
+    this.isShown_ = true;
+    this.position_();
+    this.adapter_.setAttribute(strings.ARIA_HIDDEN, 'false');
+    this.adapter_.addClass(cssClasses.SHOWN);
+    this.adapter_.registerDocumentKeydownHandler(this.documentKeydownHandler_);
+  }
+
+  /**
+   * Hides the tooltip, or cancels a pending show.
+   */
+  hide() {
+    clearTimeout(this.showTimerId_);
+    if (!this.isShown_) {
+      return;
+    }
+
+    this.isShown_ = false;
+    this.adapter_.setAttribute(strings.ARIA_HIDDEN, 'true');
+    this.adapter_.removeClass(cssClasses.SHOWN);
+    this.adapter_.deregisterDocumentKeydownHandler(this.documentKeydownHandler_);
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isShown() {
+    return this.isShown_;
+  }
+
+  /** @private */
+  scheduleShow_() {
+    clearTimeout(this.showTimerId_);
+    this.showTimerId_ = setTimeout(() => this.show(), numbers.SHOW_DELAY_MS);
+  }
+
+  /**
+   * @param {!Event} evt
+   * @private
+   */
+  handleDocumentKeydown_(evt) {
+    if (evt.key === 'Escape' || evt.keyCode === 27) {
+      this.hide();
+    }
+  }
+
+  /**
+   * @return {!Array<string>} Ids referenced by the `aria-describedby` attribute of the anchor.
+   * @private
+   */
+  getAnchorDescribedByIds_() {
+    const describedBy = this.adapter_.getAnchorAttribute(strings.ARIA_DESCRIBEDBY) || '';
+    return describedBy.split(/\s+/).filter((id) => id.length > 0);
+  }
+
+  /**
+   * Positions the tooltip below the anchor, or above it when there is not enough room below. The tooltip is centered
+   * horizontally on the anchor, unless that would overflow the viewport, in which case it is aligned to the start or
+   * end edge of the anchor the same way a menu would be.
+   * @private
+   */
+  position_() {
+    const {ANCHOR_GAP, MARGIN_TO_EDGE} = numbers;
+    const anchorRect = this.adapter_.getAnchorBoundingClientRect();
+    const viewport = this.adapter_.getWindowDimensions();
+    const tooltipDimensions = this.adapter_.getTooltipDimensions();
+    const measures = getAutoLayoutMeasurements(anchorRect, viewport, tooltipDimensions);
+    const anchorMargin = {top: ANCHOR_GAP, right: 0, bottom: ANCHOR_GAP, left: 0};
+    const corner = getOriginCorner(measures, Corner.BOTTOM_START, anchorMargin, this.adapter_.isRtl());
+
+    const top = (corner & CornerBit.BOTTOM) ?
+      anchorRect.top - ANCHOR_GAP - tooltipDimensions.height : anchorRect.bottom + ANCHOR_GAP;
+
+    let left = anchorRect.left + (anchorRect.width - tooltipDimensions.width) / 2;
+    if (left < MARGIN_TO_EDGE || left + tooltipDimensions.width > viewport.width - MARGIN_TO_EDGE) {
+      left = (corner & CornerBit.RIGHT) ? anchorRect.right - tooltipDimensions.width : anchorRect.left;
+    }
+
+    this.adapter_.setPosition({top: `${top}px`, left: `${left}px`});
+  }
+}
+
+export default MDCTooltipFoundation;
@@ -0,0 +1,122 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import MDCComponent from '@material/base/component';
+
+import MDCTooltipAdapter from './adapter';
+import MDCTooltipFoundation from './foundation';
+
+/**
+ * @extends {MDCComponent<!MDCTooltipFoundation>}
+ * @final
+ */
+class MDCTooltip extends MDCComponent {
+  /**
+   * @param {...?} args
+   */
+  constructor(...args) {
+    super(...args);
+
+    /** @private {?Element} */
+    this.anchor_;
+  }
+
+  /**
+   * @param {!Element} root
+   * @return {!MDCTooltip}
+   */
+  static attachTo(root) {
+    return new MDCTooltip(root);
+  }
+
+  /**
+   * @param {?Element=} anchor Element which shows the tooltip when hovered or focused. Defaults to the element whose
+   * `data-tooltip-id` attribute matches the id of the tooltip.
+   */
+  initialize(anchor = null) {
+    const {TOOLTIP_ID_ATTR} = MDCTooltipFoundation.strings;
+    this.anchor_ = anchor || (this.root_.id ? document.querySelector(`[${TOOLTIP_ID_ATTR}="${this.root_.id}"]`) : null);
+  }
+
+  /** @return {?Element} */
+  get anchor() {
+    return this.anchor_;
+  }
+
+  /** @return {boolean} */
+  get shown() {
+    return this.foundation_.isShown();
+  }
+
+  /**
+   * Shows the tooltip immediately.
+   */
+  show() {
+    this.foundation_.show();
+  }
+
+  /**
+   * Hides the tooltip.
+   */
+  hide() {
+    this.foundation_.hide();
+  }
+
+  /** @return {!MDCTooltipFoundation} */
+  getDefaultFoundation() {
+    return new MDCTooltipFoundation(/** @type {!MDCTooltipAdapter} */ (Object.assign({
+      addClass: (className) => this.root_.classList.add(className),
+      removeClass: (className) => this.root_.classList.remove(className),
+      getAttribute: (attr) => this.root_.getAttribute(attr),
+      setAttribute: (attr, value) => this.root_.setAttribute(attr, value),
+      getAnchorAttribute: (attr) => this.anchor_ ? this.anchor_.getAttribute(attr) : null,
+      setAnchorAttribute: (attr, value) => {
+        if (this.anchor_) {
+          this.anchor_.setAttribute(attr, value);
+        }
+      },
+      removeAnchorAttribute: (attr) => {
+        if (this.anchor_) {
+          this.anchor_.removeAttribute(attr);
+        }
+      },
+      registerAnchorInteractionHandler: (evtType, handler) => {
+        if (this.anchor_) {
+          this.anchor_.addEventListener(evtType, handler);
+        }
+      },
+      deregisterAnchorInteractionHandler: (evtType, handler) => {
+        if (this.anchor_) {
+          this.anchor_.removeEventListener(evtType, handler);
+        }
+      },
+      registerDocumentKeydownHandler: (handler) => document.addEventListener('keydown', handler),
+      deregisterDocumentKeydownHandler: (handler) => document.removeEventListener('keydown', handler),
+      getAnchorBoundingClientRect: () =>
+        this.anchor_ ? this.anchor_.getBoundingClientRect() : this.root_.getBoundingClientRect(),
+      getTooltipDimensions: () => ({width: this.root_.offsetWidth, height: this.root_.offsetHeight}),
+      getWindowDimensions: () => ({width: window.innerWidth, height: window.innerHeight}),
+      isRtl: () => getComputedStyle(this.anchor_ || this.root_).getPropertyValue('direction') === 'rtl',
+      setPosition: (position) => {
+        this.root_.style.top = position.top;
+        this.root_.style.left = position.left;
+      },
+    })));
+  }
+}
+
+export {MDCTooltip, MDCTooltipFoundation};
@@ -0,0 +1,115 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {numbers} from './constants';
+
+const INITIAL_VALUE = 0;
+
+/**
+ * Tracks the scroll position of the viewport for an element which moves out of view as the page scrolls down, such as
+ * the standard top app bar. Scroll changes are not reported while the window is being resized.
+ * @final
+ */
+class MDCHideOnScrollTracker {
+  /**
+   * @param {function(): number} getViewportScrollY Returns the vertical scroll position of the viewport.
+   * @param {function(number)} scrollCallback Called with the distance scrolled down since the previous scroll event.
+   * @param {function()} resizeCallback Called at most once per throttle interval while the window is resized.
+   */
+  constructor(getViewportScrollY, scrollCallback, resizeCallback) {
+    /** @private {function(): number} */
+    this.getViewportScrollY_ = getViewportScrollY;
+
+    /** @private {function(number)} */
+    this.scrollCallback_ = scrollCallback;
+
+    /** @private {function()} */
+    this.resizeCallback_ = resizeCallback;
+
+    /**
+     * Used for diffs of current scroll position vs previous scroll position
+     * @private {number}
+     */
+    this.lastScrollPosition_ = Math.max(getViewportScrollY(), 0);
+
+    /**
+     * Used to prevent the element from being scrolled out of view during resize events
+     * @private {boolean}
+     */
+    this.isCurrentlyBeingResized_ = false;
+
+    /**
+     * The timeout that's used to throttle the resize events
+     * @private {number}
+     */
+    this.resizeThrottleId_ = INITIAL_VALUE;
+
+    /**
+     * The timeout that's used to debounce toggling the isCurrentlyBeingResized_ variable after a resize
+     * @private {number}
+     */
+    this.resizeDebounceId_ = INITIAL_VALUE;
+  }
+
+  destroy() {
+    clearTimeout(this.resizeThrottleId_);
+    clearTimeout(this.resizeDebounceId_);
+  }
+
+  /**
+   * Scroll handler which reports the distance scrolled to the scroll callback.
+   */
+  handleScroll() {
+    const currentScrollPosition = Math.max(this.getViewportScrollY_(), 0);
+    const diff = currentScrollPosition - this.lastScrollPosition_;
+    this.lastScrollPosition_ = currentScrollPosition;
+
+    // If the window is being resized the lastScrollPosition_ needs to be updated but the
+    // current scroll of the element should stay in the same position.
+    if (!this.isCurrentlyBeingResized_) {
+      this.scrollCallback_(diff);
+    }
+  }
+
+  /**
+   * Resize handler that throttles calls of the resize callback and debounces the scroll handling.
+   */
+  handleResize() {
+    // Throttle resize events 10 p/s
+    if (!this.resizeThrottleId_) {
+      this.resizeThrottleId_ = setTimeout(() => {
+        this.resizeThrottleId_ = INITIAL_VALUE;
+        this.resizeCallback_();
+        this.handleScroll();
+      }, numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
+    }
+
+    this.isCurrentlyBeingResized_ = true;
+
+    if (this.resizeDebounceId_) {
+      clearTimeout(this.resizeDebounceId_);
+    }
+
+    this.resizeDebounceId_ = setTimeout(() => {
+      this.handleScroll();
+      this.isCurrentlyBeingResized_ = false;
+      this.resizeDebounceId_ = INITIAL_VALUE;
+    }, numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
+  }
+}
+
+export default MDCHideOnScrollTracker;
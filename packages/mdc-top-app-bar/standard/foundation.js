@@ -17,9 +17,9 @@
 
 import MDCTopAppBarAdapter from '../adapter';
 import MDCTopAppBarBaseFoundation from '../foundation';
+import MDCHideOnScrollTracker from '../hide-on-scroll-tracker';
 import {numbers} from '../constants';
 
-const INITIAL_VALUE = 0;
 /**
  * @extends {MDCTopAppBarBaseFoundation<!MDCTopAppBarFoundation>}
  * @final
@@ -30,11 +30,6 @@ class MDCTopAppBarFoundation extends MDCTopAppBarBaseFoundation {
    */
   constructor(adapter) {
     super(adapter);
-    /**
-     * Used for diffs of current scroll position vs previous scroll position
-     * @private {number}
-     */
-    this.lastScrollPosition_ = this.adapter_.getViewportScrollY();
 
     /**
      * Used to verify when the top app bar is completely showing or completely hidden
@@ -62,25 +57,14 @@ class MDCTopAppBarFoundation extends MDCTopAppBarBaseFoundation {
      */
     this.currentAppBarOffsetTop_ = 0;
 
-    /**
-     * Used to prevent the top app bar from being scrolled out of view during resize events
-     * @private {boolean} */
-    this.isCurrentlyBeingResized_ = false;
-
-    /**
-     * The timeout that's used to throttle the resize events
-     * @private {number}
-     */
-    this.resizeThrottleId_ = INITIAL_VALUE;
-
-    /**
-     * The timeout that's used to debounce toggling the isCurrentlyBeingResized_ variable after a resize
-     * @private {number}
-     */
-    this.resizeDebounceId_ = INITIAL_VALUE;
+    /** @private {!MDCHideOnScrollTracker} */
+    this.scrollTracker_ = new MDCHideOnScrollTracker(
+      () => this.adapter_.getViewportScrollY(),
+      (diff) => this.topAppBarScrollHandler_(diff),
+      () => this.throttledResizeHandler_());
 
-    this.scrollHandler_ = () => this.topAppBarScrollHandler_();
-    this.resizeHandler_ = () => this.topAppBarResizeHandler_();
+    this.scrollHandler_ = () => this.scrollTracker_.handleScroll();
+    this.resizeHandler_ = () => this.scrollTracker_.handleResize();
   }
 
   init() {
@@ -94,6 +78,7 @@ class MDCTopAppBarFoundation extends MDCTopAppBarBaseFoundation {
     this.adapter_.deregisterScrollHandler(this.scrollHandler_);
     this.adapter_.deregisterResizeHandler(this.resizeHandler_);
     this.adapter_.setStyle('top', '');
+    this.scrollTracker_.destroy();
   }
 
   /**
@@ -143,52 +128,19 @@ class MDCTopAppBarFoundation extends MDCTopAppBarBaseFoundation {
 
   /**
    * Scroll handler for the default scroll behavior of the top app bar.
+   * @param {number} diff Distance scrolled down since the previous scroll event.
    * @private
    */
-  topAppBarScrollHandler_() {
-    const currentScrollPosition = Math.max(this.adapter_.getViewportScrollY(), 0);
-    const diff = currentScrollPosition - this.lastScrollPosition_;
-    this.lastScrollPosition_ = currentScrollPosition;
-
-    // If the window is being resized the lastScrollPosition_ needs to be updated but the
-    // current scroll of the top app bar should stay in the same position.
-    if (!this.isCurrentlyBeingResized_) {
-      this.currentAppBarOffsetTop_ -= diff;
-
-      if (this.currentAppBarOffsetTop_ > 0) {
-        this.currentAppBarOffsetTop_ = 0;
-      } else if (Math.abs(this.currentAppBarOffsetTop_) > this.topAppBarHeight_) {
-        this.currentAppBarOffsetTop_ = -this.topAppBarHeight_;
-      }
-
-      this.moveTopAppBar_();
-    }
-  }
-
-  /**
-   * Top app bar resize handler that throttle/debounce functions that execute updates.
-   * @private
-   */
-  topAppBarResizeHandler_() {
-    // Throttle resize events 10 p/s
-    if (!this.resizeThrottleId_) {
-      this.resizeThrottleId_ = setTimeout(() => {
-        this.resizeThrottleId_ = INITIAL_VALUE;
-        this.throttledResizeHandler_();
-      }, numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
-    }
-
-    this.isCurrentlyBeingResized_ = true;
+  topAppBarScrollHandler_(diff) {
+    this.currentAppBarOffsetTop_ -= diff;
 
-    if (this.resizeDebounceId_) {
-      clearTimeout(this.resizeDebounceId_);
+    if (this.currentAppBarOffsetTop_ > 0) {
+      this.currentAppBarOffsetTop_ = 0;
+    } else if (Math.abs(this.currentAppBarOffsetTop_) > this.topAppBarHeight_) {
+      this.currentAppBarOffsetTop_ = -this.topAppBarHeight_;
     }
 
-    this.resizeDebounceId_ = setTimeout(() => {
-      this.topAppBarScrollHandler_();
-      this.isCurrentlyBeingResized_ = false;
-      this.resizeDebounceId_ = INITIAL_VALUE;
-    }, numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
+    this.moveTopAppBar_();
   }
 
   /**
@@ -207,7 +159,6 @@ class MDCTopAppBarFoundation extends MDCTopAppBarBaseFoundation {
       this.currentAppBarOffsetTop_ -= this.topAppBarHeight_ - currentHeight;
       this.topAppBarHeight_ = currentHeight;
     }
-    this.topAppBarScrollHandler_();
   }
 }
 
@@ -135,10 +135,17 @@ class CssBundleFactory {
     return this.createCustomCss({
       bundleName: 'main-css-a-la-carte',
       chunks: {
+        'mdc.autocomplete': getAbsolutePath('/packages/mdc-autocomplete/mdc-autocomplete.scss'),
+        'mdc.backdrop': getAbsolutePath('/packages/mdc-backdrop/mdc-backdrop.scss'),
+        'mdc.banner': getAbsolutePath('/packages/mdc-banner/mdc-banner.scss'),
+        'mdc.bottom-navigation': getAbsolutePath('/packages/mdc-bottom-navigation/mdc-bottom-navigation.scss'),
+        'mdc.bottom-sheet': getAbsolutePath('/packages/mdc-bottom-sheet/mdc-bottom-sheet.scss'),
         'mdc.button': getAbsolutePath('/packages/mdc-button/mdc-button.scss'),
         'mdc.card': getAbsolutePath('/packages/mdc-card/mdc-card.scss'),
         'mdc.checkbox': getAbsolutePath('/packages/mdc-checkbox/mdc-checkbox.scss'),
         'mdc.chips': getAbsolutePath('/packages/mdc-chips/mdc-chips.scss'),
+        'mdc.circular-progress': getAbsolutePath('/packages/mdc-circular-progress/mdc-circular-progress.scss'),
+        'mdc.data-table': getAbsolutePath('/packages/mdc-data-table/mdc-data-table.scss'),
         'mdc.dialog': getAbsolutePath('/packages/mdc-dialog/mdc-dialog.scss'),
         'mdc.drawer': getAbsolutePath('/packages/mdc-drawer/mdc-drawer.scss'),
         'mdc.elevation': getAbsolutePath('/packages/mdc-elevation/mdc-elevation.scss'),
@@ -154,11 +161,13 @@ class CssBundleFactory {
         'mdc.linear-progress': getAbsolutePath('/packages/mdc-linear-progress/mdc-linear-progress.scss'),
         'mdc.list': getAbsolutePath('/packages/mdc-list/mdc-list.scss'),
         'mdc.menu': getAbsolutePath('/packages/mdc-menu/mdc-menu.scss'),
+        'mdc.menu-surface': getAbsolutePath('/packages/mdc-menu-surface/mdc-menu-surface.scss'),
         'mdc.notched-outline': getAbsolutePath('/packages/mdc-notched-outline/mdc-notched-outline.scss'),
         'mdc.radio': getAbsolutePath('/packages/mdc-radio/mdc-radio.scss'),
         'mdc.ripple': getAbsolutePath('/packages/mdc-ripple/mdc-ripple.scss'),
         'mdc.select': getAbsolutePath('/packages/mdc-select/mdc-select.scss'),
         'mdc.shape': getAbsolutePath('/packages/mdc-shape/mdc-shape.scss'),
+        'mdc.side-sheet': getAbsolutePath('/packages/mdc-side-sheet/mdc-side-sheet.scss'),
         'mdc.slider': getAbsolutePath('/packages/mdc-slider/mdc-slider.scss'),
         'mdc.snackbar': getAbsolutePath('/packages/mdc-snackbar/mdc-snackbar.scss'),
         'mdc.switch': getAbsolutePath('/packages/mdc-switch/mdc-switch.scss'),
@@ -166,6 +175,7 @@ class CssBundleFactory {
         'mdc.textfield': getAbsolutePath('/packages/mdc-textfield/mdc-text-field.scss'),
         'mdc.theme': getAbsolutePath('/packages/mdc-theme/mdc-theme.scss'),
         'mdc.toolbar': getAbsolutePath('/packages/mdc-toolbar/mdc-toolbar.scss'),
+        'mdc.tooltip': getAbsolutePath('/packages/mdc-tooltip/mdc-tooltip.scss'),
         'mdc.top-app-bar': getAbsolutePath('/packages/mdc-top-app-bar/mdc-top-app-bar.scss'),
         'mdc.typography': getAbsolutePath('/packages/mdc-typography/mdc-typography.scss'),
       },
@@ -126,9 +126,16 @@ class JsBundleFactory {
       chunks: {
         animation: getAbsolutePath('/packages/mdc-animation/index.js'),
         autoInit: getAbsolutePath('/packages/mdc-auto-init/index.js'),
+        autocomplete: getAbsolutePath('/packages/mdc-autocomplete/index.js'),
+        backdrop: getAbsolutePath('/packages/mdc-backdrop/index.js'),
+        banner: getAbsolutePath('/packages/mdc-banner/index.js'),
         base: getAbsolutePath('/packages/mdc-base/index.js'),
+        bottomNavigation: getAbsolutePath('/packages/mdc-bottom-navigation/index.js'),
+        bottomSheet: getAbsolutePath('/packages/mdc-bottom-sheet/index.js'),
         checkbox: getAbsolutePath('/packages/mdc-checkbox/index.js'),
         chips: getAbsolutePath('/packages/mdc-chips/index.js'),
+        circularProgress: getAbsolutePath('/packages/mdc-circular-progress/index.js'),
+        dataTable: getAbsolutePath('/packages/mdc-data-table/index.js'),
         dialog: getAbsolutePath('/packages/mdc-dialog/index.js'),
         drawer: getAbsolutePath('/packages/mdc-drawer/index.js'),
         floatingLabel: getAbsolutePath('/packages/mdc-floating-label/index.js'),
@@ -139,16 +146,20 @@ class JsBundleFactory {
         lineRipple: getAbsolutePath('/packages/mdc-line-ripple/index.js'),
         linearProgress: getAbsolutePath('/packages/mdc-linear-progress/index.js'),
         menu: getAbsolutePath('/packages/mdc-menu/index.js'),
+        menuSurface: getAbsolutePath('/packages/mdc-menu-surface/index.js'),
         notchedOutline: getAbsolutePath('/packages/mdc-notched-outline/index.js'),
         radio: getAbsolutePath('/packages/mdc-radio/index.js'),
         ripple: getAbsolutePath('/packages/mdc-ripple/index.js'),
         select: getAbsolutePath('/packages/mdc-select/index.js'),
         selectionControl: getAbsolutePath('/packages/mdc-selection-control/index.js'),
+        sideSheet: getAbsolutePath('/packages/mdc-side-sheet/index.js'),
         slider: getAbsolutePath('/packages/mdc-slider/index.js'),
         snackbar: getAbsolutePath('/packages/mdc-snackbar/index.js'),
+        switch: getAbsolutePath('/packages/mdc-switch/index.js'),
         tabs: getAbsolutePath('/packages/mdc-tabs/index.js'),
         textfield: getAbsolutePath('/packages/mdc-textfield/index.js'),
         toolbar: getAbsolutePath('/packages/mdc-toolbar/index.js'),
+        tooltip: getAbsolutePath('/packages/mdc-tooltip/index.js'),
         topAppBar: getAbsolutePath('/packages/mdc-top-app-bar/index.js'),
       },
       output: {
@@ -0,0 +1,337 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import lolex from 'lolex';
+import td from 'testdouble';
+
+import {captureHandlers, verifyDefaultAdapter} from '../helpers/foundation';
+import {MDCAutocompleteFoundation} from '../../../packages/mdc-autocomplete/foundation';
+
+const {cssClasses, strings, numbers} = MDCAutocompleteFoundation;
+
+function setupTest({debounceDelay = 0, source = () => ['Paris', 'Parma', 'Porto']} = {}) {
+  const mockAdapter = td.object(MDCAutocompleteFoundation.defaultAdapter);
+  const inputHandlers = captureHandlers(mockAdapter, 'registerInputInteractionHandler');
+  const menuHandlers = captureHandlers(mockAdapter, 'registerMenuInteractionHandler');
+  let isMenuOpen = false;
+  td.when(mockAdapter.isMenuOpen()).thenDo(() => isMenuOpen);
+  mockAdapter.openMenu = () => isMenuOpen = true;
+  mockAdapter.closeMenu = () => isMenuOpen = false;
+  td.when(mockAdapter.getOptionId(td.matchers.isA(Number))).thenDo((index) => `list-option-${index}`);
+  const foundation = new MDCAutocompleteFoundation(mockAdapter);
+  foundation.setDebounceDelay(debounceDelay);
+  foundation.setSource(source);
+  foundation.init();
+  return {foundation, mockAdapter, inputHandlers, menuHandlers};
+}
+
+function type(mockAdapter, inputHandlers, value) {
+  td.when(mockAdapter.getInputValue()).thenReturn(value);
+  inputHandlers.input();
+}
+
+function keydown(inputHandlers, key) {
+  const evt = {key, preventDefault: td.func('preventDefault')};
+  inputHandlers.keydown(evt);
+  return evt;
+}
+
+suite('MDCAutocompleteFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCAutocompleteFoundation);
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCAutocompleteFoundation);
+});
+
+test('exports numbers', () => {
+  assert.isOk('numbers' in MDCAutocompleteFoundation);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCAutocompleteFoundation, [
+    'setRootAttr', 'getInputValue', 'setInputValue', 'setInputAttr', 'removeInputAttr',
+    'registerInputInteractionHandler', 'deregisterInputInteractionHandler', 'registerMenuInteractionHandler',
+    'deregisterMenuInteractionHandler', 'setOptions', 'getOptionIndexForEventTarget', 'getOptionId',
+    'addClassForOptionAtIndex', 'removeClassForOptionAtIndex', 'setAttrForOptionAtIndex', 'scrollOptionIntoView',
+    'openMenu', 'closeMenu', 'isMenuOpen', 'notifySelected',
+  ]);
+});
+
+test('#init collapses the combobox and registers input and menu handlers', () => {
+  const {mockAdapter} = setupTest();
+  const {isA} = td.matchers;
+  td.verify(mockAdapter.setRootAttr(strings.ARIA_EXPANDED, 'false'));
+  td.verify(mockAdapter.registerInputInteractionHandler('input', isA(Function)));
+  td.verify(mockAdapter.registerInputInteractionHandler('keydown', isA(Function)));
+  td.verify(mockAdapter.registerInputInteractionHandler('blur', isA(Function)));
+  td.verify(mockAdapter.registerMenuInteractionHandler('click', isA(Function)));
+  td.verify(mockAdapter.registerMenuInteractionHandler('mousedown', isA(Function)));
+});
+
+test('#destroy deregisters input and menu handlers', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const {isA} = td.matchers;
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterInputInteractionHandler('input', isA(Function)));
+  td.verify(mockAdapter.deregisterInputInteractionHandler('keydown', isA(Function)));
+  td.verify(mockAdapter.deregisterInputInteractionHandler('blur', isA(Function)));
+  td.verify(mockAdapter.deregisterMenuInteractionHandler('click', isA(Function)));
+  td.verify(mockAdapter.deregisterMenuInteractionHandler('mousedown', isA(Function)));
+});
+
+test('on input shows the suggestions of a synchronous source with their matches', () => {
+  const source = td.func('source');
+  td.when(source('par'), {ignoreExtraArgs: true}).thenReturn(['Paris', 'Parma']);
+  const {foundation, mockAdapter, inputHandlers} = setupTest({source});
+  type(mockAdapter, inputHandlers, 'par');
+  td.verify(mockAdapter.setOptions([
+    [{text: 'Par', isMatch: true}, {text: 'is', isMatch: false}],
+    [{text: 'Par', isMatch: true}, {text: 'ma', isMatch: false}],
+  ]));
+  td.verify(mockAdapter.setRootAttr(strings.ARIA_EXPANDED, 'true'));
+  assert.deepEqual(foundation.getSuggestions(), ['Paris', 'Parma']);
+  assert.isTrue(foundation.isOpen());
+});
+
+test('on input closes the menu if the source returns no suggestions', () => {
+  let suggestions = ['Paris'];
+  const {foundation, mockAdapter, inputHandlers} = setupTest({source: () => suggestions});
+  type(mockAdapter, inputHandlers, 'par');
+  suggestions = [];
+  type(mockAdapter, inputHandlers, 'parx');
+  td.verify(mockAdapter.setOptions([]));
+  assert.isFalse(foundation.isOpen());
+});
+
+test('on input does not request suggestions until the minimum length is typed', () => {
+  const source = td.func('source');
+  const {foundation, mockAdapter, inputHandlers} = setupTest({source});
+  foundation.setMinLength(3);
+  type(mockAdapter, inputHandlers, 'pa ');
+  td.verify(source(), {times: 0, ignoreExtraArgs: true});
+  td.verify(mockAdapter.setOptions([]));
+});
+
+test('on input debounces requests for suggestions', () => {
+  const clock = lolex.install();
+  const queries = [];
+  const source = (query) => {
+    queries.push(query);
+    return [];
+  };
+  const {mockAdapter, inputHandlers} = setupTest({source, debounceDelay: numbers.DEBOUNCE_DELAY_MS});
+  type(mockAdapter, inputHandlers, 'p');
+  clock.tick(numbers.DEBOUNCE_DELAY_MS - 1);
+  type(mockAdapter, inputHandlers, 'pa');
+  clock.tick(numbers.DEBOUNCE_DELAY_MS - 1);
+  assert.deepEqual(queries, []);
+  clock.tick(1);
+  assert.deepEqual(queries, ['pa']);
+  clock.uninstall();
+});
+
+test('on input shows the suggestions of a Promise-returning source once they arrive', () => {
+  const result = Promise.resolve(['Paris']);
+  const {foundation, mockAdapter, inputHandlers} = setupTest({source: () => result});
+  type(mockAdapter, inputHandlers, 'par');
+  assert.isFalse(foundation.isOpen());
+  return result.then(() => {
+    td.verify(mockAdapter.setOptions([[{text: 'Par', isMatch: true}, {text: 'is', isMatch: false}]]));
+    assert.isTrue(foundation.isOpen());
+  });
+});
+
+test('on input ignores the suggestions of stale requests and aborts them', () => {
+  const resolvers = [];
+  const results = [];
+  const signals = [];
+  const source = (query, signal) => {
+    signals.push(signal);
+    const result = new Promise((resolve) => resolvers.push(resolve));
+    results.push(result);
+    return result;
+  };
+  const {foundation, mockAdapter, inputHandlers} = setupTest({source});
+  type(mockAdapter, inputHandlers, 'p');
+  type(mockAdapter, inputHandlers, 'pa');
+  if (signals[0]) {
+    assert.isTrue(signals[0].aborted);
+    assert.isFalse(signals[1].aborted);
+  }
+  resolvers[1](['Paris']);
+  resolvers[0](['Porto']);
+  return Promise.all(results).then(() => {
+    assert.deepEqual(foundation.getSuggestions(), ['Paris']);
+  });
+});
+
+test('on input shows no suggestions if the request fails', () => {
+  const result = Promise.reject(new Error('Offline'));
+  const {foundation, mockAdapter, inputHandlers} = setupTest({source: () => result});
+  type(mockAdapter, inputHandlers, 'par');
+  return result.catch(() => {}).then(() => {
+    assert.deepEqual(foundation.getSuggestions(), []);
+    td.verify(mockAdapter.setOptions([]));
+  });
+});
+
+test('on keydown ArrowDown activates the next option and references it via aria-activedescendant', () => {
+  const {foundation, mockAdapter, inputHandlers} = setupTest();
+  type(mockAdapter, inputHandlers, 'p');
+  const evt = keydown(inputHandlers, 'ArrowDown');
+  td.verify(evt.preventDefault());
+  td.verify(mockAdapter.addClassForOptionAtIndex(0, cssClasses.OPTION_ACTIVATED));
+  td.verify(mockAdapter.setAttrForOptionAtIndex(0, strings.ARIA_SELECTED, 'true'));
+  td.verify(mockAdapter.setInputAttr(strings.ARIA_ACTIVEDESCENDANT, 'list-option-0'));
+  td.verify(mockAdapter.scrollOptionIntoView(0));
+  keydown(inputHandlers, 'ArrowDown');
+  td.verify(mockAdapter.removeClassForOptionAtIndex(0, cssClasses.OPTION_ACTIVATED));
+  td.verify(mockAdapter.setAttrForOptionAtIndex(0, strings.ARIA_SELECTED, 'false'));
+  td.verify(mockAdapter.setInputAttr(strings.ARIA_ACTIVEDESCENDANT, 'list-option-1'));
+  assert.equal(foundation.getActiveIndex(), 1);
+});
+
+test('on keydown ArrowDown and ArrowUp wrap around', () => {
+  const {foundation, mockAdapter, inputHandlers} = setupTest();
+  type(mockAdapter, inputHandlers, 'p');
+  keydown(inputHandlers, 'ArrowUp');
+  assert.equal(foundation.getActiveIndex(), 2);
+  keydown(inputHandlers, 'ArrowDown');
+  assert.equal(foundation.getActiveIndex(), 0);
+  keydown(inputHandlers, 'ArrowUp');
+  assert.equal(foundation.getActiveIndex(), 2);
+});
+
+test('on keydown ArrowDown reopens the menu with the last suggestions', () => {
+  const {foundation, mockAdapter, inputHandlers} = setupTest();
+  type(mockAdapter, inputHandlers, 'p');
+  keydown(inputHandlers, 'Escape');
+  assert.isFalse(foundation.isOpen());
+  keydown(inputHandlers, 'ArrowDown');
+  assert.isTrue(foundation.isOpen());
+  assert.equal(foundation.getActiveIndex(), 0);
+});
+
+test('on keydown Enter selects the active option', () => {
+  const {foundation, mockAdapter, inputHandlers} = setupTest();
+  type(mockAdapter, inputHandlers, 'p');
+  keydown(inputHandlers, 'ArrowDown');
+  keydown(inputHandlers, 'ArrowDown');
+  const evt = keydown(inputHandlers, 'Enter');
+  td.verify(evt.preventDefault());
+  td.verify(mockAdapter.setInputValue('Parma'));
+  td.verify(mockAdapter.notifySelected({index: 1, suggestion: 'Parma'}));
+  td.verify(mockAdapter.removeInputAttr(strings.ARIA_ACTIVEDESCENDANT));
+  assert.isFalse(foundation.isOpen());
+});
+
+test('on keydown Enter does nothing without an active option', () => {
+  const {mockAdapter, inputHandlers} = setupTest();
+  type(mockAdapter, inputHandlers, 'p');
+  const evt = keydown(inputHandlers, 'Enter');
+  td.verify(evt.preventDefault(), {times: 0});
+  td.verify(mockAdapter.notifySelected(td.matchers.anything()), {times: 0});
+});
+
+test('on keydown Escape closes the menu and cancels the pending request', () => {
+  const clock = lolex.install();
+  const queries = [];
+  const source = (query) => {
+    queries.push(query);
+    return ['Paris'];
+  };
+  const {foundation, mockAdapter, inputHandlers} = setupTest({source, debounceDelay: numbers.DEBOUNCE_DELAY_MS});
+  type(mockAdapter, inputHandlers, 'p');
+  clock.tick(numbers.DEBOUNCE_DELAY_MS);
+  type(mockAdapter, inputHandlers, 'pa');
+  const evt = keydown(inputHandlers, 'Escape');
+  clock.tick(numbers.DEBOUNCE_DELAY_MS);
+  td.verify(evt.preventDefault());
+  assert.deepEqual(queries, ['p']);
+  td.verify(mockAdapter.setRootAttr(strings.ARIA_EXPANDED, 'false'));
+  assert.isFalse(foundation.isOpen());
+  clock.uninstall();
+});
+
+test('on blur closes the menu', () => {
+  const {foundation, mockAdapter, inputHandlers} = setupTest();
+  type(mockAdapter, inputHandlers, 'p');
+  inputHandlers.blur();
+  assert.isFalse(foundation.isOpen());
+});
+
+test('on menu click selects the clicked option', () => {
+  const {mockAdapter, inputHandlers, menuHandlers} = setupTest();
+  const target = {};
+  td.when(mockAdapter.getOptionIndexForEventTarget(target)).thenReturn(2);
+  type(mockAdapter, inputHandlers, 'p');
+  menuHandlers.click({target});
+  td.verify(mockAdapter.setInputValue('Porto'));
+  td.verify(mockAdapter.notifySelected({index: 2, suggestion: 'Porto'}));
+});
+
+test('on menu click outside of an option does nothing', () => {
+  const {mockAdapter, inputHandlers, menuHandlers} = setupTest();
+  type(mockAdapter, inputHandlers, 'p');
+  menuHandlers.click({target: {}});
+  td.verify(mockAdapter.notifySelected(td.matchers.anything()), {times: 0});
+});
+
+test('on menu mousedown keeps focus in the input', () => {
+  const {menuHandlers} = setupTest();
+  const preventDefault = td.func('preventDefault');
+  menuHandlers.mousedown({preventDefault});
+  td.verify(preventDefault());
+});
+
+test('#selectOption fills the input with the text of object suggestions', () => {
+  const suggestion = {text: 'Paris', id: 'fr-75'};
+  const {foundation, mockAdapter, inputHandlers} = setupTest({source: () => [suggestion]});
+  type(mockAdapter, inputHandlers, 'p');
+  foundation.selectOption(0);
+  td.verify(mockAdapter.setInputValue('Paris'));
+  td.verify(mockAdapter.notifySelected({index: 0, suggestion}));
+});
+
+test('#selectOption does nothing for an index without a suggestion', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.selectOption(0);
+  td.verify(mockAdapter.setInputValue(td.matchers.anything()), {times: 0});
+});
+
+test('#handleMenuClosed collapses the combobox after the menu closed by itself', () => {
+  const {foundation, mockAdapter, inputHandlers} = setupTest();
+  type(mockAdapter, inputHandlers, 'p');
+  keydown(inputHandlers, 'ArrowDown');
+  td.when(mockAdapter.isMenuOpen()).thenReturn(false);
+  foundation.handleMenuClosed();
+  td.verify(mockAdapter.removeInputAttr(strings.ARIA_ACTIVEDESCENDANT));
+  td.verify(mockAdapter.setRootAttr(strings.ARIA_EXPANDED, 'false'), {times: 2});
+  assert.equal(foundation.getActiveIndex(), -1);
+});
+
+test('#handleMenuClosed does nothing if the menu was reopened since', () => {
+  const {foundation, mockAdapter, inputHandlers} = setupTest();
+  type(mockAdapter, inputHandlers, 'p');
+  keydown(inputHandlers, 'ArrowDown');
+  foundation.handleMenuClosed();
+  assert.equal(foundation.getActiveIndex(), 0);
+});
@@ -0,0 +1,221 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+import domEvents from 'dom-events';
+import td from 'testdouble';
+
+import {MDCAutocomplete, MDCAutocompleteFoundation} from '../../../packages/mdc-autocomplete/index';
+import {MDCMenuSurfaceFoundation, Corner} from '../../../packages/mdc-menu-surface/index';
+
+const {cssClasses, strings} = MDCAutocompleteFoundation;
+
+function getFixture() {
+  return bel`
+    <div class="mdc-autocomplete" role="combobox" aria-haspopup="listbox" aria-owns="city-list">
+      <div class="mdc-text-field">
+        <input type="text" id="city" class="mdc-text-field__input" aria-autocomplete="list" aria-controls="city-list">
+        <label for="city" class="mdc-floating-label">City</label>
+        <div class="mdc-line-ripple"></div>
+      </div>
+      <div class="mdc-menu-surface mdc-autocomplete__menu">
+        <ul id="city-list" class="mdc-list" role="listbox"></ul>
+      </div>
+    </div>
+  `;
+}
+
+class FakeTextField {
+  constructor() {
+    this.value = '';
+    this.destroy = td.func('textField.destroy');
+  }
+}
+
+class FakeMenuSurface {
+  constructor() {
+    this.open = false;
+    this.anchorElement = null;
+    this.setAnchorCorner = td.func('menuSurface.setAnchorCorner');
+    this.listen = td.func('menuSurface.listen');
+    this.unlisten = td.func('menuSurface.unlisten');
+    this.destroy = td.func('menuSurface.destroy');
+  }
+}
+
+function setupTest(fixture = getFixture(), menuSurface = new FakeMenuSurface()) {
+  const textField = new FakeTextField();
+  const component = new MDCAutocomplete(fixture, undefined, () => textField, () => menuSurface);
+  component.debounceDelay = 0;
+  component.source = () => ['Paris', 'Parma', 'Porto'];
+  const input = fixture.querySelector(strings.INPUT_SELECTOR);
+  const list = fixture.querySelector(strings.LIST_SELECTOR);
+  return {fixture, component, textField, menuSurface, input, list};
+}
+
+function type(input, textField, value) {
+  textField.value = value;
+  domEvents.emit(input, 'input');
+}
+
+function keydown(input, key) {
+  const evt = document.createEvent('KeyboardEvent');
+  evt.initEvent('keydown', true, true);
+  Object.defineProperty(evt, 'key', {value: key});
+  input.dispatchEvent(evt);
+}
+
+suite('MDCAutocomplete');
+
+test('attachTo returns an MDCAutocomplete instance', () => {
+  assert.isOk(MDCAutocomplete.attachTo(getFixture()) instanceof MDCAutocomplete);
+});
+
+test('#initialize anchors the menu surface below the root element', () => {
+  const {fixture, menuSurface} = setupTest();
+  assert.equal(menuSurface.anchorElement, fixture);
+  td.verify(menuSurface.setAnchorCorner(Corner.BOTTOM_START));
+});
+
+test('#initialize gives a listbox without an id a unique one', () => {
+  const fixture = getFixture();
+  fixture.querySelector(strings.LIST_SELECTOR).removeAttribute('id');
+  const {list} = setupTest(fixture);
+  assert.match(list.id, /^mdc-autocomplete-list-\d+$/);
+});
+
+test('#initialSyncWithDOM collapses the combobox and listens for the menu surface closing', () => {
+  const {fixture, menuSurface} = setupTest();
+  assert.equal(fixture.getAttribute(strings.ARIA_EXPANDED), 'false');
+  td.verify(menuSurface.listen(MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, td.matchers.isA(Function)));
+});
+
+test('#destroy destroys the text field and menu surface', () => {
+  const {component, textField, menuSurface} = setupTest();
+  component.destroy();
+  td.verify(menuSurface.unlisten(MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, td.matchers.isA(Function)));
+  td.verify(menuSurface.destroy());
+  td.verify(textField.destroy());
+});
+
+test('input renders one option per suggestion with highlighted matches and opens the menu', () => {
+  const {fixture, component, textField, menuSurface, input, list} = setupTest();
+  type(input, textField, 'par');
+  const options = list.querySelectorAll(strings.OPTION_SELECTOR);
+  assert.equal(options.length, 3);
+  assert.equal(options[0].id, 'city-list-option-0');
+  assert.equal(options[0].getAttribute('role'), 'option');
+  assert.equal(options[0].getAttribute(strings.ARIA_SELECTED), 'false');
+  assert.equal(options[0].textContent, 'Paris');
+  const matches = options[0].querySelectorAll(`.${cssClasses.MATCH}`);
+  assert.equal(matches.length, 1);
+  assert.equal(matches[0].textContent, 'Par');
+  assert.equal(options[2].querySelectorAll(`.${cssClasses.MATCH}`).length, 0);
+  assert.isTrue(menuSurface.open);
+  assert.isTrue(component.open);
+  assert.equal(fixture.getAttribute(strings.ARIA_EXPANDED), 'true');
+  assert.deepEqual(component.suggestions, ['Paris', 'Parma', 'Porto']);
+});
+
+test('option text is not parsed as HTML', () => {
+  const {component, textField, input, list} = setupTest();
+  component.source = () => ['<img src="x">'];
+  type(input, textField, '<');
+  assert.equal(list.querySelectorAll('img').length, 0);
+  assert.equal(list.textContent, '<img src="x">');
+});
+
+test('ArrowDown activates an option and references it via aria-activedescendant', () => {
+  const {textField, input, list} = setupTest();
+  type(input, textField, 'p');
+  keydown(input, 'ArrowDown');
+  const option = list.querySelector(strings.OPTION_SELECTOR);
+  assert.isTrue(option.classList.contains(cssClasses.OPTION_ACTIVATED));
+  assert.equal(option.getAttribute(strings.ARIA_SELECTED), 'true');
+  assert.equal(input.getAttribute(strings.ARIA_ACTIVEDESCENDANT), option.id);
+});
+
+test('ArrowDown scrolls the active option into view', () => {
+  const {textField, input, fixture} = setupTest();
+  const menu = fixture.querySelector(strings.MENU_SELECTOR);
+  type(input, textField, 'p');
+  menu.scrollTop = 100;
+  keydown(input, 'ArrowDown');
+  assert.equal(menu.scrollTop, 0);
+});
+
+test('clicking an option fills the input and emits a selected event', () => {
+  const {component, textField, menuSurface, input, list} = setupTest();
+  const handler = td.func('selected handler');
+  component.listen(strings.SELECTED_EVENT, handler);
+  type(input, textField, 'p');
+  domEvents.emit(list.querySelectorAll(strings.OPTION_SELECTOR)[1], 'click', {bubbles: true});
+  assert.equal(textField.value, 'Parma');
+  assert.isFalse(menuSurface.open);
+  td.verify(handler(td.matchers.contains({detail: {index: 1, suggestion: 'Parma'}})));
+});
+
+test('clicking the highlighted match of an option selects the option', () => {
+  const {textField, input, list} = setupTest();
+  type(input, textField, 'par');
+  domEvents.emit(list.querySelector(`.${cssClasses.MATCH}`), 'click', {bubbles: true});
+  assert.equal(textField.value, 'Paris');
+});
+
+test('mousedown on the menu keeps focus in the input', () => {
+  const {fixture} = setupTest();
+  const evt = document.createEvent('MouseEvent');
+  evt.initEvent('mousedown', true, true);
+  fixture.querySelector(strings.MENU_SELECTOR).dispatchEvent(evt);
+  assert.isTrue(evt.defaultPrevented);
+});
+
+test('closing the menu surface by itself collapses the combobox', () => {
+  const menuSurface = new FakeMenuSurface();
+  let closedHandler;
+  td.when(menuSurface.listen(MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, td.matchers.isA(Function)))
+    .thenDo((type, handler) => closedHandler = handler);
+  const {fixture, textField, input} = setupTest(getFixture(), menuSurface);
+  type(input, textField, 'p');
+  keydown(input, 'ArrowDown');
+  menuSurface.open = false;
+  closedHandler();
+  assert.equal(fixture.getAttribute(strings.ARIA_EXPANDED), 'false');
+  assert.isFalse(input.hasAttribute(strings.ARIA_ACTIVEDESCENDANT));
+});
+
+test('#close closes the menu', () => {
+  const {component, textField, menuSurface, input} = setupTest();
+  type(input, textField, 'p');
+  component.close();
+  assert.isFalse(menuSurface.open);
+});
+
+test('#minLength sets the number of characters needed to request suggestions', () => {
+  const {component, textField, menuSurface, input} = setupTest();
+  component.minLength = 2;
+  type(input, textField, 'p');
+  assert.isFalse(menuSurface.open);
+});
+
+test('#get/set value proxies to the text field', () => {
+  const {component, textField} = setupTest();
+  component.value = 'Lyon';
+  assert.equal(textField.value, 'Lyon');
+  assert.equal(component.value, 'Lyon');
+});
@@ -0,0 +1,62 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+
+import {getSuggestionText, getMatchSegments} from '../../../packages/mdc-autocomplete/util';
+
+suite('MDCAutocomplete - util');
+
+test('getSuggestionText returns string suggestions and the text of object suggestions', () => {
+  assert.equal(getSuggestionText('Paris'), 'Paris');
+  assert.equal(getSuggestionText({text: 'Paris', id: 'fr-75'}), 'Paris');
+});
+
+test('getMatchSegments returns the whole text as one segment for an empty query', () => {
+  assert.deepEqual(getMatchSegments('Paris', ' '), [{text: 'Paris', isMatch: false}]);
+});
+
+test('getMatchSegments splits the text into matching and other segments', () => {
+  assert.deepEqual(getMatchSegments('New York', 'york'), [
+    {text: 'New ', isMatch: false},
+    {text: 'York', isMatch: true},
+  ]);
+});
+
+test('getMatchSegments highlights every occurrence of the query', () => {
+  assert.deepEqual(getMatchSegments('Banana', 'an'), [
+    {text: 'B', isMatch: false},
+    {text: 'an', isMatch: true},
+    {text: 'an', isMatch: true},
+    {text: 'a', isMatch: false},
+  ]);
+});
+
+test('getMatchSegments ignores case and accents, and keeps the original text', () => {
+  assert.deepEqual(getMatchSegments('Café de Flore', 'CAFE'), [
+    {text: 'Café', isMatch: true},
+    {text: ' de Flore', isMatch: false},
+  ]);
+  assert.deepEqual(getMatchSegments('Café Noir', 'cafe'), [
+    {text: 'Café', isMatch: true},
+    {text: ' Noir', isMatch: false},
+  ]);
+});
+
+test('getMatchSegments returns no matching segment if the text does not contain the query', () => {
+  assert.deepEqual(getMatchSegments('Paris', 'rome'), [{text: 'Paris', isMatch: false}]);
+});
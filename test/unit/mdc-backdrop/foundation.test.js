@@ -0,0 +1,213 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import td from 'testdouble';
+
+import {captureHandlers, verifyDefaultAdapter} from '../helpers/foundation';
+import MDCBackdropFoundation from '../../../packages/mdc-backdrop/foundation';
+
+const {cssClasses, strings} = MDCBackdropFoundation;
+
+function setupTest({backContentHeight = 200, frontLayerHeight = 500, subheaderHeight = 48} = {}) {
+  const mockAdapter = td.object(MDCBackdropFoundation.defaultAdapter);
+  td.when(mockAdapter.hasClass(cssClasses.REVEALED)).thenReturn(false);
+  td.when(mockAdapter.getBackContentHeight()).thenReturn(backContentHeight);
+  td.when(mockAdapter.getFrontLayerHeight()).thenReturn(frontLayerHeight);
+  td.when(mockAdapter.getSubheaderHeight()).thenReturn(subheaderHeight);
+  td.when(mockAdapter.getBackContentFocusableElements()).thenReturn([]);
+  const foundation = new MDCBackdropFoundation(mockAdapter);
+  return {foundation, mockAdapter};
+}
+
+suite('MDCBackdropFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCBackdropFoundation);
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCBackdropFoundation);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCBackdropFoundation, [
+    'addClass', 'removeClass', 'hasClass', 'getBackContentHeight', 'getFrontLayerHeight', 'getSubheaderHeight',
+    'setFrontLayerTranslateY', 'setBackContentAttribute', 'removeBackContentAttribute',
+    'getBackContentFocusableElements', 'saveElementTabState', 'restoreElementTabState', 'makeElementUntabbable',
+    'registerFrontLayerInteractionHandler', 'deregisterFrontLayerInteractionHandler', 'registerNavigationHandler',
+    'deregisterNavigationHandler', 'registerResizeHandler', 'deregisterResizeHandler', 'notifyReveal',
+    'notifyConceal',
+  ]);
+});
+
+test('#init registers front layer, navigation and resize handlers', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.registerFrontLayerInteractionHandler('click', td.matchers.isA(Function)));
+  td.verify(mockAdapter.registerNavigationHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.registerResizeHandler(td.matchers.isA(Function)));
+});
+
+test('#destroy deregisters front layer, navigation and resize handlers', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterFrontLayerInteractionHandler('click', td.matchers.isA(Function)));
+  td.verify(mockAdapter.deregisterNavigationHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.deregisterResizeHandler(td.matchers.isA(Function)));
+});
+
+test('#init hides the back content when the root element does not have the revealed class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const button = {};
+  td.when(mockAdapter.getBackContentFocusableElements()).thenReturn([button]);
+  foundation.init();
+  assert.isFalse(foundation.isRevealed());
+  td.verify(mockAdapter.setBackContentAttribute(strings.ARIA_HIDDEN, 'true'));
+  td.verify(mockAdapter.saveElementTabState(button));
+  td.verify(mockAdapter.makeElementUntabbable(button));
+});
+
+test('#init positions the front layer when the root element has the revealed class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.hasClass(cssClasses.REVEALED)).thenReturn(true);
+  foundation.init();
+  assert.isTrue(foundation.isRevealed());
+  td.verify(mockAdapter.setFrontLayerTranslateY(200));
+  td.verify(mockAdapter.setBackContentAttribute(strings.ARIA_HIDDEN, 'true'), {times: 0});
+});
+
+test('#reveal adds the revealed class, translates the front layer and emits a reveal event', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.reveal();
+  assert.isTrue(foundation.isRevealed());
+  td.verify(mockAdapter.addClass(cssClasses.REVEALED));
+  td.verify(mockAdapter.setFrontLayerTranslateY(200));
+  td.verify(mockAdapter.notifyReveal(), {times: 1});
+});
+
+test('#reveal keeps the subheader visible when the back content is taller than the front layer', () => {
+  const {foundation, mockAdapter} = setupTest({backContentHeight: 800});
+  foundation.init();
+  foundation.reveal();
+  td.verify(mockAdapter.setFrontLayerTranslateY(500 - 48));
+});
+
+test('#reveal makes the back content accessible', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const button = {};
+  td.when(mockAdapter.getBackContentFocusableElements()).thenReturn([button]);
+  foundation.init();
+  foundation.reveal();
+  td.verify(mockAdapter.removeBackContentAttribute(strings.ARIA_HIDDEN));
+  td.verify(mockAdapter.restoreElementTabState(button));
+});
+
+test('#reveal does nothing when already revealed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.reveal();
+  foundation.reveal();
+  td.verify(mockAdapter.notifyReveal(), {times: 1});
+});
+
+test('#conceal removes the revealed class, resets the front layer and emits a conceal event', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.reveal();
+  foundation.conceal();
+  assert.isFalse(foundation.isRevealed());
+  td.verify(mockAdapter.removeClass(cssClasses.REVEALED));
+  td.verify(mockAdapter.setFrontLayerTranslateY(null));
+  td.verify(mockAdapter.setBackContentAttribute(strings.ARIA_HIDDEN, 'true'), {times: 2});
+  td.verify(mockAdapter.notifyConceal(), {times: 1});
+});
+
+test('#conceal does nothing when already concealed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.conceal();
+  td.verify(mockAdapter.removeClass(cssClasses.REVEALED), {times: 0});
+  td.verify(mockAdapter.notifyConceal(), {times: 0});
+});
+
+test('#toggle alternates between revealed and concealed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.toggle();
+  assert.isTrue(foundation.isRevealed());
+  foundation.toggle();
+  assert.isFalse(foundation.isRevealed());
+  td.verify(mockAdapter.notifyReveal(), {times: 1});
+  td.verify(mockAdapter.notifyConceal(), {times: 1});
+});
+
+test('#layout does nothing while concealed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.layout();
+  td.verify(mockAdapter.setFrontLayerTranslateY(td.matchers.isA(Number)), {times: 0});
+});
+
+test('#layout re-measures the back content while revealed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.reveal();
+  td.when(mockAdapter.getBackContentHeight()).thenReturn(300);
+  foundation.layout();
+  td.verify(mockAdapter.setFrontLayerTranslateY(300));
+});
+
+test('navigation handler toggles the backdrop', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let navigationHandler;
+  td.when(mockAdapter.registerNavigationHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    navigationHandler = handler;
+  });
+  foundation.init();
+  navigationHandler();
+  assert.isTrue(foundation.isRevealed());
+  navigationHandler();
+  assert.isFalse(foundation.isRevealed());
+});
+
+test('front layer click conceals the backdrop while revealed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerFrontLayerInteractionHandler');
+  foundation.init();
+  handlers.click();
+  assert.isFalse(foundation.isRevealed());
+  foundation.reveal();
+  handlers.click();
+  assert.isFalse(foundation.isRevealed());
+  td.verify(mockAdapter.notifyConceal(), {times: 1});
+});
+
+test('resize handler re-measures the back content while revealed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let resizeHandler;
+  td.when(mockAdapter.registerResizeHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    resizeHandler = handler;
+  });
+  foundation.init();
+  foundation.reveal();
+  td.when(mockAdapter.getBackContentHeight()).thenReturn(100);
+  resizeHandler();
+  td.verify(mockAdapter.setFrontLayerTranslateY(100));
+});
@@ -0,0 +1,159 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+import domEvents from 'dom-events';
+import td from 'testdouble';
+
+import {MDCBackdrop, MDCBackdropFoundation} from '../../../packages/mdc-backdrop/index';
+import {MDCTopAppBar} from '../../../packages/mdc-top-app-bar/index';
+import {getTransformPropertyName} from '../../../packages/mdc-drawer/util';
+
+const {cssClasses, strings} = MDCBackdropFoundation;
+
+function getFixture() {
+  return bel`
+    <div class="mdc-backdrop">
+      <div class="mdc-backdrop__back-layer">
+        <header class="mdc-top-app-bar">
+          <div class="mdc-top-app-bar__row">
+            <section class="mdc-top-app-bar__section">
+              <a href="#" class="mdc-top-app-bar__navigation-icon">menu</a>
+            </section>
+          </div>
+        </header>
+        <div class="mdc-backdrop__back-content">
+          <button>Filter</button>
+        </div>
+      </div>
+      <div class="mdc-backdrop__front-layer">
+        <div class="mdc-backdrop__subheader">Subheader</div>
+        <div class="mdc-backdrop__front-content"></div>
+      </div>
+    </div>
+  `;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const component = new MDCBackdrop(root);
+  const backContent = root.querySelector(strings.BACK_CONTENT_SELECTOR);
+  const frontLayer = root.querySelector(strings.FRONT_LAYER_SELECTOR);
+  return {root, backContent, frontLayer, component};
+}
+
+suite('MDCBackdrop');
+
+test('attachTo initializes and returns a MDCBackdrop instance', () => {
+  assert.isOk(MDCBackdrop.attachTo(getFixture()) instanceof MDCBackdrop);
+});
+
+test('get/set revealed', () => {
+  const {root, component} = setupTest();
+  const revealHandler = td.func('revealHandler');
+  const concealHandler = td.func('concealHandler');
+  root.addEventListener(strings.REVEAL_EVENT, revealHandler);
+  root.addEventListener(strings.CONCEAL_EVENT, concealHandler);
+
+  component.revealed = true;
+  assert.isTrue(root.classList.contains(cssClasses.REVEALED));
+  assert.isTrue(component.revealed);
+  td.verify(revealHandler(td.matchers.anything()));
+
+  component.revealed = false;
+  assert.isFalse(root.classList.contains(cssClasses.REVEALED));
+  assert.isFalse(component.revealed);
+  td.verify(concealHandler(td.matchers.anything()));
+});
+
+test('#reveal, #conceal and #toggle change the revealed state', () => {
+  const {component} = setupTest();
+  component.reveal();
+  assert.isTrue(component.revealed);
+  component.conceal();
+  assert.isFalse(component.revealed);
+  component.toggle();
+  assert.isTrue(component.revealed);
+});
+
+test('is revealed initially when the root element has the revealed class', () => {
+  const root = getFixture();
+  root.classList.add(cssClasses.REVEALED);
+  const component = new MDCBackdrop(root);
+  assert.isTrue(component.revealed);
+});
+
+test('back content is hidden and untabbable while concealed', () => {
+  const {backContent, component} = setupTest();
+  const button = backContent.querySelector('button');
+  assert.equal(backContent.getAttribute('aria-hidden'), 'true');
+  assert.equal(button.getAttribute('tabindex'), '-1');
+
+  component.revealed = true;
+  assert.isFalse(backContent.hasAttribute('aria-hidden'));
+  assert.isFalse(button.hasAttribute('tabindex'));
+});
+
+test('front layer is translated while revealed and reset when concealed', () => {
+  const {frontLayer, component} = setupTest();
+  component.revealed = true;
+  assert.equal(frontLayer.style.getPropertyValue(getTransformPropertyName()), 'translateY(0px)');
+  component.revealed = false;
+  assert.equal(frontLayer.style.getPropertyValue(getTransformPropertyName()), '');
+});
+
+test('clicking the front layer conceals the backdrop', () => {
+  const {frontLayer, component} = setupTest();
+  component.revealed = true;
+  domEvents.emit(frontLayer, 'click');
+  assert.isFalse(component.revealed);
+});
+
+test('MDCTopAppBar:nav event from the top app bar toggles the backdrop', () => {
+  const {root, component} = setupTest();
+  const topAppBar = root.querySelector('.mdc-top-app-bar');
+  domEvents.emit(topAppBar, 'MDCTopAppBar:nav');
+  assert.isTrue(component.revealed);
+  domEvents.emit(topAppBar, 'MDCTopAppBar:nav');
+  assert.isFalse(component.revealed);
+});
+
+test('clicking the navigation icon of an MDCTopAppBar toggles the backdrop', () => {
+  const {root, component} = setupTest();
+  const topAppBar = new MDCTopAppBar(root.querySelector('.mdc-top-app-bar'));
+  domEvents.emit(root.querySelector('.mdc-top-app-bar__navigation-icon'), 'click');
+  assert.isTrue(component.revealed);
+  topAppBar.destroy();
+});
+
+test('#destroy removes the navigation and front layer listeners', () => {
+  const {root, frontLayer, component} = setupTest();
+  component.revealed = true;
+  component.destroy();
+  domEvents.emit(frontLayer, 'click');
+  assert.isTrue(component.revealed);
+  domEvents.emit(root.querySelector('.mdc-top-app-bar'), 'MDCTopAppBar:nav');
+  assert.isTrue(component.revealed);
+});
+
+test('#layout updates the position of the front layer', () => {
+  const {component} = setupTest();
+  component.foundation_.layout = td.func('layout');
+  component.layout();
+  td.verify(component.foundation_.layout(), {times: 1});
+});
@@ -0,0 +1,250 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import lolex from 'lolex';
+import td from 'testdouble';
+
+import {createMockRaf} from '../helpers/raf';
+import {setupFoundationTest} from '../helpers/setup';
+import {verifyDefaultAdapter} from '../helpers/foundation';
+import MDCBannerFoundation from '../../../packages/mdc-banner/foundation';
+import {CloseAction} from '../../../packages/mdc-banner/constants';
+
+const {cssClasses, numbers} = MDCBannerFoundation;
+
+suite('MDCBannerFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCBannerFoundation);
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCBannerFoundation);
+});
+
+test('exports numbers', () => {
+  assert.isOk('numbers' in MDCBannerFoundation);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCBannerFoundation, [
+    'addClass', 'removeClass', 'getContentHeight', 'setStyleProperty', 'registerResizeHandler',
+    'deregisterResizeHandler', 'notifyOpening', 'notifyOpened', 'notifyClosing', 'notifyClosed',
+  ]);
+});
+
+function setupTest() {
+  const {foundation, mockAdapter} = setupFoundationTest(MDCBannerFoundation);
+  td.when(mockAdapter.getContentHeight()).thenReturn(52);
+  return {foundation, mockAdapter};
+}
+
+function setupOpenTest() {
+  const {foundation, mockAdapter} = setupTest();
+  const raf = createMockRaf();
+  const clock = lolex.install();
+  foundation.open();
+  raf.flush();
+  clock.tick(numbers.OPEN_ANIMATION_TIME_MS);
+  return {foundation, mockAdapter, raf, clock};
+}
+
+test('#open emits the opening event and adds the opening class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const raf = createMockRaf();
+  foundation.open();
+  td.verify(mockAdapter.notifyOpening());
+  td.verify(mockAdapter.addClass(cssClasses.OPENING));
+  td.verify(mockAdapter.addClass(cssClasses.OPEN), {times: 0});
+  assert.isTrue(foundation.isOpen());
+  raf.restore();
+});
+
+test('#open adds the open class and animates the height to the content height in the next frame', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const raf = createMockRaf();
+  foundation.open();
+  raf.flush();
+  td.verify(mockAdapter.addClass(cssClasses.OPEN));
+  td.verify(mockAdapter.setStyleProperty('height', '52px'));
+  raf.restore();
+});
+
+test('#open removes the opening class and emits the opened event after the animation', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const raf = createMockRaf();
+  const clock = lolex.install();
+  foundation.open();
+  raf.flush();
+  clock.tick(numbers.OPEN_ANIMATION_TIME_MS - 1);
+  td.verify(mockAdapter.notifyOpened(), {times: 0});
+  clock.tick(1);
+  td.verify(mockAdapter.removeClass(cssClasses.OPENING));
+  td.verify(mockAdapter.notifyOpened());
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#open does nothing if the banner is already open', () => {
+  const {foundation, mockAdapter, raf, clock} = setupOpenTest();
+  foundation.open();
+  td.verify(mockAdapter.notifyOpening(), {times: 1});
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#close emits the closing event, removes the open class and animates the height to zero', () => {
+  const {foundation, mockAdapter, raf, clock} = setupOpenTest();
+  foundation.close(CloseAction.PRIMARY);
+  td.verify(mockAdapter.notifyClosing({action: CloseAction.PRIMARY}));
+  td.verify(mockAdapter.removeClass(cssClasses.OPEN));
+  td.verify(mockAdapter.addClass(cssClasses.CLOSING));
+  td.verify(mockAdapter.setStyleProperty('height', '0'));
+  assert.isFalse(foundation.isOpen());
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#close removes the closing class and emits the closed event with the action after the animation', () => {
+  const {foundation, mockAdapter, raf, clock} = setupOpenTest();
+  foundation.close(CloseAction.SECONDARY);
+  clock.tick(numbers.CLOSE_ANIMATION_TIME_MS - 1);
+  td.verify(mockAdapter.notifyClosed(td.matchers.anything()), {times: 0});
+  clock.tick(1);
+  td.verify(mockAdapter.removeClass(cssClasses.CLOSING));
+  td.verify(mockAdapter.notifyClosed({action: CloseAction.SECONDARY}));
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#close defaults to an unspecified action', () => {
+  const {foundation, mockAdapter, raf, clock} = setupOpenTest();
+  foundation.close();
+  td.verify(mockAdapter.notifyClosing({action: CloseAction.UNSPECIFIED}));
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#close does nothing if the banner is not open', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.close();
+  td.verify(mockAdapter.notifyClosing(td.matchers.anything()), {times: 0});
+});
+
+test('#close while opening cancels the opening animation', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const raf = createMockRaf();
+  const clock = lolex.install();
+  foundation.open();
+  foundation.close();
+  raf.flush();
+  clock.tick(numbers.OPEN_ANIMATION_TIME_MS);
+  td.verify(mockAdapter.addClass(cssClasses.OPEN), {times: 0});
+  td.verify(mockAdapter.notifyOpened(), {times: 0});
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#open while closing cancels the closing animation', () => {
+  const {foundation, mockAdapter, raf, clock} = setupOpenTest();
+  foundation.close();
+  foundation.open();
+  td.verify(mockAdapter.removeClass(cssClasses.CLOSING));
+  clock.tick(numbers.CLOSE_ANIMATION_TIME_MS);
+  td.verify(mockAdapter.notifyClosed(td.matchers.anything()), {times: 0});
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#layout updates the height of the open banner', () => {
+  const {foundation, mockAdapter, raf, clock} = setupOpenTest();
+  td.when(mockAdapter.getContentHeight()).thenReturn(72);
+  foundation.layout();
+  td.verify(mockAdapter.setStyleProperty('height', '72px'));
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#layout does nothing if the banner is closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.layout();
+  td.verify(mockAdapter.setStyleProperty('height', td.matchers.anything()), {times: 0});
+});
+
+test('#open registers a resize handler which lays out the banner at most once per throttle interval', () => {
+  const {mockAdapter, raf, clock} = setupOpenTest();
+  const resizeHandler = td.matchers.captor();
+  td.verify(mockAdapter.registerResizeHandler(resizeHandler.capture()));
+  td.when(mockAdapter.getContentHeight()).thenReturn(72);
+  resizeHandler.value();
+  resizeHandler.value();
+  td.verify(mockAdapter.setStyleProperty('height', '72px'), {times: 0});
+  clock.tick(numbers.RESIZE_THROTTLE_TIME_MS);
+  td.verify(mockAdapter.setStyleProperty('height', '72px'), {times: 1});
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#close deregisters the resize handler and cancels a pending layout', () => {
+  const {foundation, mockAdapter, raf, clock} = setupOpenTest();
+  const resizeHandler = td.matchers.captor();
+  td.verify(mockAdapter.registerResizeHandler(resizeHandler.capture()));
+  resizeHandler.value();
+  foundation.close();
+  td.verify(mockAdapter.deregisterResizeHandler(resizeHandler.value));
+  clock.tick(numbers.RESIZE_THROTTLE_TIME_MS);
+  td.verify(mockAdapter.setStyleProperty('height', '52px'), {times: 1});
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#destroy deregisters the resize handler', () => {
+  const {foundation, mockAdapter, raf, clock} = setupOpenTest();
+  const resizeHandler = td.matchers.captor();
+  td.verify(mockAdapter.registerResizeHandler(resizeHandler.capture()));
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterResizeHandler(resizeHandler.value));
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#handlePrimaryActionClick closes the banner with the primary action', () => {
+  const {foundation, mockAdapter, raf, clock} = setupOpenTest();
+  foundation.handlePrimaryActionClick();
+  td.verify(mockAdapter.notifyClosing({action: CloseAction.PRIMARY}));
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#handleSecondaryActionClick closes the banner with the secondary action', () => {
+  const {foundation, mockAdapter, raf, clock} = setupOpenTest();
+  foundation.handleSecondaryActionClick();
+  td.verify(mockAdapter.notifyClosing({action: CloseAction.SECONDARY}));
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#destroy cancels pending animations', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const raf = createMockRaf();
+  foundation.open();
+  foundation.destroy();
+  raf.flush();
+  td.verify(mockAdapter.addClass(cssClasses.OPEN), {times: 0});
+  raf.restore();
+});
@@ -0,0 +1,207 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+import domEvents from 'dom-events';
+import td from 'testdouble';
+
+import {MDCBanner, MDCBannerFoundation, CloseAction} from '../../../packages/mdc-banner/index';
+
+const {strings} = MDCBannerFoundation;
+
+function getFixture() {
+  return bel`
+    <div class="mdc-banner">
+      <div class="mdc-banner__content">
+        <div class="mdc-banner__text">You have lost connection to the internet.</div>
+        <div class="mdc-banner__actions">
+          <button class="mdc-button mdc-banner__secondary-action">Dismiss</button>
+          <button class="mdc-button mdc-banner__primary-action">Retry</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const component = new MDCBanner(root);
+  return {root, component};
+}
+
+function setupMockFoundationTest() {
+  const root = getFixture();
+  const MockFoundationConstructor = td.constructor(MDCBannerFoundation);
+  const mockFoundation = new MockFoundationConstructor();
+  const component = new MDCBanner(root, mockFoundation);
+  return {root, component, mockFoundation};
+}
+
+suite('MDCBanner');
+
+test('attachTo initializes and returns a MDCBanner instance', () => {
+  assert.isOk(MDCBanner.attachTo(getFixture()) instanceof MDCBanner);
+});
+
+test('initialize creates a ripple for each action button', () => {
+  const root = getFixture();
+  const rippledElements = [];
+  const component = new MDCBanner(root, undefined, (el) => {
+    rippledElements.push(el);
+    return {destroy: () => {}};
+  });
+  assert.deepEqual(rippledElements, [
+    root.querySelector(strings.PRIMARY_ACTION_SELECTOR),
+    root.querySelector(strings.SECONDARY_ACTION_SELECTOR),
+  ]);
+  component.destroy();
+});
+
+test('#open delegates to the foundation', () => {
+  const {component, mockFoundation} = setupMockFoundationTest();
+  component.open();
+  td.verify(mockFoundation.open());
+});
+
+test('#close delegates to the foundation', () => {
+  const {component, mockFoundation} = setupMockFoundationTest();
+  component.close(CloseAction.PRIMARY);
+  td.verify(mockFoundation.close(CloseAction.PRIMARY));
+});
+
+test('#layout delegates to the foundation', () => {
+  const {component, mockFoundation} = setupMockFoundationTest();
+  component.layout();
+  td.verify(mockFoundation.layout());
+});
+
+test('isOpen returns whether the banner is open', () => {
+  const {component, mockFoundation} = setupMockFoundationTest();
+  td.when(mockFoundation.isOpen()).thenReturn(true);
+  assert.isTrue(component.isOpen);
+});
+
+test('click on the primary action calls foundation#handlePrimaryActionClick', () => {
+  const {root, mockFoundation} = setupMockFoundationTest();
+  domEvents.emit(root.querySelector(strings.PRIMARY_ACTION_SELECTOR), 'click');
+  td.verify(mockFoundation.handlePrimaryActionClick());
+});
+
+test('click on the secondary action calls foundation#handleSecondaryActionClick', () => {
+  const {root, mockFoundation} = setupMockFoundationTest();
+  domEvents.emit(root.querySelector(strings.SECONDARY_ACTION_SELECTOR), 'click');
+  td.verify(mockFoundation.handleSecondaryActionClick());
+});
+
+test('#destroy removes the action click handlers', () => {
+  const {root, component, mockFoundation} = setupMockFoundationTest();
+  component.destroy();
+  domEvents.emit(root.querySelector(strings.PRIMARY_ACTION_SELECTOR), 'click');
+  domEvents.emit(root.querySelector(strings.SECONDARY_ACTION_SELECTOR), 'click');
+  td.verify(mockFoundation.handlePrimaryActionClick(), {times: 0});
+  td.verify(mockFoundation.handleSecondaryActionClick(), {times: 0});
+});
+
+test('adapter#addClass adds a class to the root element', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.addClass('foo');
+  assert.isTrue(root.classList.contains('foo'));
+});
+
+test('adapter#removeClass removes a class from the root element', () => {
+  const {root, component} = setupTest();
+  root.classList.add('foo');
+  component.getDefaultFoundation().adapter_.removeClass('foo');
+  assert.isFalse(root.classList.contains('foo'));
+});
+
+test('adapter#getContentHeight returns the height of the content element', () => {
+  const {root, component} = setupTest();
+  assert.equal(component.getDefaultFoundation().adapter_.getContentHeight(),
+    root.querySelector(strings.CONTENT_SELECTOR).offsetHeight);
+});
+
+test('adapter#getContentHeight returns 0 if there is no content element', () => {
+  const root = bel`<div class="mdc-banner"></div>`;
+  const component = new MDCBanner(root);
+  assert.equal(component.getDefaultFoundation().adapter_.getContentHeight(), 0);
+  component.destroy();
+});
+
+test('adapter#setStyleProperty sets a style property on the root element', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.setStyleProperty('height', '52px');
+  assert.equal(root.style.height, '52px');
+});
+
+test('adapter#registerResizeHandler adds a resize handler to the window', () => {
+  const {component} = setupTest();
+  const handler = td.func('resizeHandler');
+  component.getDefaultFoundation().adapter_.registerResizeHandler(handler);
+  domEvents.emit(window, 'resize');
+  try {
+    td.verify(handler(td.matchers.anything()));
+  } finally {
+    window.removeEventListener('resize', handler);
+  }
+});
+
+test('adapter#deregisterResizeHandler removes a resize handler from the window', () => {
+  const {component} = setupTest();
+  const handler = td.func('resizeHandler');
+  window.addEventListener('resize', handler);
+  component.getDefaultFoundation().adapter_.deregisterResizeHandler(handler);
+  domEvents.emit(window, 'resize');
+  try {
+    td.verify(handler(td.matchers.anything()), {times: 0});
+  } finally {
+    window.removeEventListener('resize', handler);
+  }
+});
+
+test(`adapter#notifyOpening emits ${strings.OPENING_EVENT}`, () => {
+  const {root, component} = setupTest();
+  const handler = td.func('openingHandler');
+  root.addEventListener(strings.OPENING_EVENT, handler);
+  component.getDefaultFoundation().adapter_.notifyOpening();
+  td.verify(handler(td.matchers.anything()));
+});
+
+test(`adapter#notifyOpened emits ${strings.OPENED_EVENT}`, () => {
+  const {root, component} = setupTest();
+  const handler = td.func('openedHandler');
+  root.addEventListener(strings.OPENED_EVENT, handler);
+  component.getDefaultFoundation().adapter_.notifyOpened();
+  td.verify(handler(td.matchers.anything()));
+});
+
+test(`adapter#notifyClosing emits ${strings.CLOSING_EVENT} with the action`, () => {
+  const {root, component} = setupTest();
+  const handler = td.func('closingHandler');
+  root.addEventListener(strings.CLOSING_EVENT, handler);
+  component.getDefaultFoundation().adapter_.notifyClosing({action: CloseAction.PRIMARY});
+  td.verify(handler(td.matchers.contains({detail: {action: CloseAction.PRIMARY}})));
+});
+
+test(`adapter#notifyClosed emits ${strings.CLOSED_EVENT} with the action`, () => {
+  const {root, component} = setupTest();
+  const handler = td.func('closedHandler');
+  root.addEventListener(strings.CLOSED_EVENT, handler);
+  component.getDefaultFoundation().adapter_.notifyClosed({action: CloseAction.SECONDARY});
+  td.verify(handler(td.matchers.contains({detail: {action: CloseAction.SECONDARY}})));
+});
@@ -180,6 +180,45 @@ test('#emit dispatches a custom event with the supplied data where custom events
   assert.deepEqual(evt.detail, data);
 });
 
+test('#emitCancelable dispatches a cancelable custom event and returns whether it was not canceled', () => {
+  const root = document.createElement('div');
+  const f = new FakeComponent(root);
+  let evt = null;
+  const handler = (evt_) => {
+    evt = evt_;
+  };
+  const data = {evtData: true};
+  const type = 'customeventtype';
+
+  root.addEventListener(type, handler);
+  assert.isTrue(f.emitCancelable(type, data));
+  assert.equal(evt.type, type);
+  assert.deepEqual(evt.detail, data);
+  assert.isTrue(evt.cancelable);
+  assert.isFalse(evt.bubbles);
+
+  root.removeEventListener(type, handler);
+  root.addEventListener(type, (evt_) => evt_.preventDefault());
+  assert.isFalse(f.emitCancelable(type, data, true));
+});
+
+test('#emitCancelable dispatches a cancelable custom event where custom events aren\'t available', () => {
+  const root = document.createElement('div');
+  const f = new FakeComponent(root);
+  root.addEventListener('customeventtype', (evt) => evt.preventDefault());
+
+  const {CustomEvent} = window;
+  window.CustomEvent = undefined;
+  let result;
+  try {
+    result = f.emitCancelable('customeventtype', {evtData: true});
+  } finally {
+    window.CustomEvent = CustomEvent;
+  }
+
+  assert.isFalse(result);
+});
+
 test('(regression) ensures that this.root_ is available for use within getDefaultFoundation()', () => {
   const root = document.createElement('div');
   const f = new FakeComponent(root);
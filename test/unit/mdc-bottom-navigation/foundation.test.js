@@ -0,0 +1,324 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import lolex from 'lolex';
+import td from 'testdouble';
+
+import {verifyDefaultAdapter} from '../helpers/foundation';
+import MDCBottomNavigationFoundation from '../../../packages/mdc-bottom-navigation/foundation';
+import {numbers} from '../../../packages/mdc-top-app-bar/constants';
+
+const {cssClasses, strings} = MDCBottomNavigationFoundation;
+
+const ITEM_COUNT = 4;
+
+function setupTest({activeIndex = -1, hidesOnScroll = false} = {}) {
+  const mockAdapter = td.object(MDCBottomNavigationFoundation.defaultAdapter);
+  td.when(mockAdapter.getItemCount()).thenReturn(ITEM_COUNT);
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(-1);
+  td.when(mockAdapter.getItemIndexByChildElement(td.matchers.anything())).thenReturn(-1);
+  td.when(mockAdapter.hasClassForItemAtIndex(activeIndex, cssClasses.ITEM_ACTIVE)).thenReturn(true);
+  td.when(mockAdapter.hasClass(cssClasses.HIDE_ON_SCROLL)).thenReturn(hidesOnScroll);
+  td.when(mockAdapter.getViewportScrollY()).thenReturn(0);
+  td.when(mockAdapter.getBottomNavigationHeight()).thenReturn(56);
+  const foundation = new MDCBottomNavigationFoundation(mockAdapter);
+  return {foundation, mockAdapter};
+}
+
+/**
+ * Initializes a bottom navigation which hides on scroll, and returns a function to scroll the viewport.
+ */
+function setupScrollTest() {
+  const {foundation, mockAdapter} = setupTest({hidesOnScroll: true});
+  let scrollHandler;
+  let resizeHandler;
+  td.when(mockAdapter.registerScrollHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    scrollHandler = handler;
+  });
+  td.when(mockAdapter.registerResizeHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    resizeHandler = handler;
+  });
+  foundation.init();
+
+  const scrollTo = (scrollY) => {
+    td.when(mockAdapter.getViewportScrollY()).thenReturn(scrollY);
+    scrollHandler();
+  };
+  return {foundation, mockAdapter, scrollTo, resize: () => resizeHandler()};
+}
+
+function createKeydownEvent(key, keyCode, target = {}) {
+  return {key, keyCode, target, preventDefault: td.func('preventDefault')};
+}
+
+suite('MDCBottomNavigationFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCBottomNavigationFoundation);
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCBottomNavigationFoundation);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCBottomNavigationFoundation, [
+    'hasClass', 'setStyle', 'getItemCount', 'hasClassForItemAtIndex', 'addClassForItemAtIndex',
+    'removeClassForItemAtIndex', 'setAttributeForItemAtIndex', 'removeAttributeForItemAtIndex',
+    'getItemIndexByChildElement', 'getFocusedItemIndex', 'focusItemAtIndex', 'isRtl', 'notifyChange',
+    'registerScrollHandler', 'deregisterScrollHandler', 'registerResizeHandler', 'deregisterResizeHandler',
+    'getViewportScrollY', 'getBottomNavigationHeight',
+  ]);
+});
+
+test('#init activates the item with the active class', () => {
+  const {foundation, mockAdapter} = setupTest({activeIndex: 2});
+  foundation.init();
+  assert.equal(foundation.getActiveIndex(), 2);
+  td.verify(mockAdapter.setAttributeForItemAtIndex(2, strings.ARIA_CURRENT, strings.ARIA_CURRENT_VALUE));
+});
+
+test('#init activates the first item when no item has the active class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  assert.equal(foundation.getActiveIndex(), 0);
+  td.verify(mockAdapter.addClassForItemAtIndex(0, cssClasses.ITEM_ACTIVE));
+});
+
+test('#init does not listen for scroll and resize events by default', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.registerScrollHandler(td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.registerResizeHandler(td.matchers.anything()), {times: 0});
+});
+
+test('#init listens for scroll and resize events when the bottom navigation hides on scroll', () => {
+  const {foundation, mockAdapter} = setupTest({hidesOnScroll: true});
+  foundation.init();
+  td.verify(mockAdapter.registerScrollHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.registerResizeHandler(td.matchers.isA(Function)));
+});
+
+test('#destroy removes scroll and resize listeners and the inline bottom offset', () => {
+  const {foundation, mockAdapter} = setupTest({hidesOnScroll: true});
+  foundation.init();
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterScrollHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.deregisterResizeHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.setStyle('bottom', ''));
+});
+
+test('#setActiveIndex marks only the item at the index as current', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setActiveIndex(1);
+  td.verify(mockAdapter.addClassForItemAtIndex(1, cssClasses.ITEM_ACTIVE));
+  td.verify(mockAdapter.setAttributeForItemAtIndex(1, strings.ARIA_CURRENT, strings.ARIA_CURRENT_VALUE));
+  td.verify(mockAdapter.setAttributeForItemAtIndex(1, 'tabindex', '0'));
+  [0, 2, 3].forEach((index) => {
+    td.verify(mockAdapter.removeClassForItemAtIndex(index, cssClasses.ITEM_ACTIVE));
+    td.verify(mockAdapter.removeAttributeForItemAtIndex(index, strings.ARIA_CURRENT));
+    td.verify(mockAdapter.setAttributeForItemAtIndex(index, 'tabindex', '-1'));
+  });
+  assert.equal(foundation.getActiveIndex(), 1);
+});
+
+test('#setActiveIndex does not emit a change event', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setActiveIndex(1);
+  td.verify(mockAdapter.notifyChange(td.matchers.anything()), {times: 0});
+});
+
+test('#setActiveIndex ignores indexes out of range', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.setActiveIndex(ITEM_COUNT);
+  foundation.setActiveIndex(-1);
+  assert.equal(foundation.getActiveIndex(), 0);
+  td.verify(mockAdapter.addClassForItemAtIndex(td.matchers.anything(), cssClasses.ITEM_ACTIVE), {times: 1});
+});
+
+test('#handleClick activates the clicked item and emits a change event', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.when(mockAdapter.getItemIndexByChildElement('icon')).thenReturn(2);
+  foundation.handleClick({target: 'icon'});
+  assert.equal(foundation.getActiveIndex(), 2);
+  td.verify(mockAdapter.notifyChange({index: 2}));
+});
+
+test('#handleClick does not emit a change event for the active item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.when(mockAdapter.getItemIndexByChildElement('icon')).thenReturn(0);
+  foundation.handleClick({target: 'icon'});
+  td.verify(mockAdapter.notifyChange(td.matchers.anything()), {times: 0});
+});
+
+test('#handleClick ignores clicks outside of items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.handleClick({target: 'root'});
+  assert.equal(foundation.getActiveIndex(), 0);
+  td.verify(mockAdapter.notifyChange(td.matchers.anything()), {times: 0});
+});
+
+test('#handleKeydown ArrowRight focuses the next item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(1);
+  const evt = createKeydownEvent('ArrowRight');
+  foundation.handleKeydown(evt);
+  td.verify(mockAdapter.focusItemAtIndex(2));
+  td.verify(evt.preventDefault());
+});
+
+test('#handleKeydown ArrowLeft keyCode focuses the previous item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(1);
+  foundation.handleKeydown(createKeydownEvent(undefined, 37));
+  td.verify(mockAdapter.focusItemAtIndex(0));
+});
+
+test('#handleKeydown ArrowRight wraps from the last item to the first', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(ITEM_COUNT - 1);
+  foundation.handleKeydown(createKeydownEvent('ArrowRight'));
+  td.verify(mockAdapter.focusItemAtIndex(0));
+});
+
+test('#handleKeydown ArrowLeft wraps from the first item to the last', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(0);
+  foundation.handleKeydown(createKeydownEvent('ArrowLeft'));
+  td.verify(mockAdapter.focusItemAtIndex(ITEM_COUNT - 1));
+});
+
+test('#handleKeydown reverses the arrow keys in RTL', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.isRtl()).thenReturn(true);
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(1);
+  foundation.handleKeydown(createKeydownEvent('ArrowRight'));
+  td.verify(mockAdapter.focusItemAtIndex(0));
+  foundation.handleKeydown(createKeydownEvent('ArrowLeft'));
+  td.verify(mockAdapter.focusItemAtIndex(2));
+});
+
+test('#handleKeydown Home and End focus the first and last items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(1);
+  foundation.handleKeydown(createKeydownEvent('End'));
+  td.verify(mockAdapter.focusItemAtIndex(ITEM_COUNT - 1));
+  foundation.handleKeydown(createKeydownEvent(undefined, 36));
+  td.verify(mockAdapter.focusItemAtIndex(0));
+});
+
+test('#handleKeydown falls back to the item containing the event target', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getItemIndexByChildElement('label')).thenReturn(2);
+  foundation.handleKeydown(createKeydownEvent('ArrowRight', undefined, 'label'));
+  td.verify(mockAdapter.focusItemAtIndex(3));
+});
+
+test('#handleKeydown ignores events outside of items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const evt = createKeydownEvent('ArrowRight');
+  foundation.handleKeydown(evt);
+  td.verify(mockAdapter.focusItemAtIndex(td.matchers.anything()), {times: 0});
+  td.verify(evt.preventDefault(), {times: 0});
+});
+
+test('#handleKeydown ignores other keys', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(1);
+  const evt = createKeydownEvent('Enter');
+  foundation.handleKeydown(evt);
+  td.verify(mockAdapter.focusItemAtIndex(td.matchers.anything()), {times: 0});
+  td.verify(evt.preventDefault(), {times: 0});
+});
+
+test('#handleKeydown does not change the active item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(0);
+  foundation.handleKeydown(createKeydownEvent('ArrowRight'));
+  assert.equal(foundation.getActiveIndex(), 0);
+});
+
+test('scrolling down moves the bottom navigation down out of view', () => {
+  const {mockAdapter, scrollTo} = setupScrollTest();
+  scrollTo(20);
+  td.verify(mockAdapter.setStyle('bottom', '-20px'));
+});
+
+test('scrolling down further than its height hides the bottom navigation completely', () => {
+  const {mockAdapter, scrollTo} = setupScrollTest();
+  scrollTo(200);
+  td.verify(mockAdapter.setStyle('bottom', '-56px'));
+});
+
+test('scrolling up moves the bottom navigation back into view', () => {
+  const {mockAdapter, scrollTo} = setupScrollTest();
+  scrollTo(200);
+  scrollTo(170);
+  td.verify(mockAdapter.setStyle('bottom', '-26px'));
+  scrollTo(100);
+  td.verify(mockAdapter.setStyle('bottom', '0px'));
+});
+
+test('scrolling does not update the DOM when the bottom navigation is already in place', () => {
+  const {mockAdapter, scrollTo} = setupScrollTest();
+  scrollTo(200);
+  scrollTo(300);
+  scrollTo(-50);
+  scrollTo(0);
+  td.verify(mockAdapter.setStyle('bottom', td.matchers.anything()), {times: 2});
+});
+
+test('scrolling while the window is resized does not move the bottom navigation', () => {
+  const {mockAdapter, scrollTo, resize} = setupScrollTest();
+  const clock = lolex.install();
+  resize();
+  scrollTo(20);
+  td.verify(mockAdapter.setStyle('bottom', td.matchers.anything()), {times: 0});
+  clock.tick(numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
+  scrollTo(40);
+  td.verify(mockAdapter.setStyle('bottom', '-20px'));
+  clock.uninstall();
+});
+
+test('resizing keeps a hidden bottom navigation hidden when its height changes', () => {
+  const {mockAdapter, scrollTo, resize} = setupScrollTest();
+  const clock = lolex.install();
+  scrollTo(200);
+  td.when(mockAdapter.getBottomNavigationHeight()).thenReturn(72);
+  resize();
+  clock.tick(numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
+  td.verify(mockAdapter.setStyle('bottom', '-72px'));
+  clock.uninstall();
+});
+
+test('#destroy cancels pending resize timers', () => {
+  const {foundation, mockAdapter, scrollTo, resize} = setupScrollTest();
+  const clock = lolex.install();
+  scrollTo(200);
+  td.when(mockAdapter.getBottomNavigationHeight()).thenReturn(72);
+  resize();
+  foundation.destroy();
+  clock.tick(numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
+  td.verify(mockAdapter.setStyle('bottom', '-72px'), {times: 0});
+  clock.uninstall();
+});
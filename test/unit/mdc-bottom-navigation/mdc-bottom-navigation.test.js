@@ -0,0 +1,191 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+import domEvents from 'dom-events';
+import td from 'testdouble';
+
+import {MDCRipple} from '../../../packages/mdc-ripple/index';
+import {MDCBottomNavigation, MDCBottomNavigationFoundation} from '../../../packages/mdc-bottom-navigation/index';
+
+const {cssClasses, strings} = MDCBottomNavigationFoundation;
+
+function getFixture() {
+  return bel`
+    <nav class="mdc-bottom-navigation">
+      <a class="mdc-bottom-navigation__item" href="#">
+        <i class="material-icons mdc-bottom-navigation__icon" aria-hidden="true">home</i>
+        <span class="mdc-bottom-navigation__label">Home</span>
+      </a>
+      <a class="mdc-bottom-navigation__item mdc-bottom-navigation__item--active" href="#">
+        <i class="material-icons mdc-bottom-navigation__icon" aria-hidden="true">search</i>
+        <span class="mdc-bottom-navigation__label">Search</span>
+      </a>
+      <a class="mdc-bottom-navigation__item" href="#">
+        <i class="material-icons mdc-bottom-navigation__icon" aria-hidden="true">person</i>
+        <span class="mdc-bottom-navigation__label">Profile</span>
+      </a>
+    </nav>
+  `;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const component = new MDCBottomNavigation(root);
+  const items = [].slice.call(root.querySelectorAll(strings.ITEM_SELECTOR));
+  return {root, items, component};
+}
+
+suite('MDCBottomNavigation');
+
+test('attachTo initializes and returns a MDCBottomNavigation instance', () => {
+  assert.isOk(MDCBottomNavigation.attachTo(getFixture()) instanceof MDCBottomNavigation);
+});
+
+test('#constructor instantiates a ripple on each item', () => {
+  const root = getFixture();
+  const rippleFactory = td.func('rippleFactory');
+  td.when(rippleFactory(td.matchers.anything())).thenReturn({destroy: () => {}});
+  // eslint-disable-next-line no-new
+  new MDCBottomNavigation(root, undefined, rippleFactory);
+  [].slice.call(root.querySelectorAll(strings.ITEM_SELECTOR)).forEach((item) => td.verify(rippleFactory(item)));
+});
+
+test('#constructor uses MDCRipple by default', () => {
+  const {component} = setupTest();
+  assert.isOk(component.itemRipples_[0] instanceof MDCRipple);
+});
+
+test('#destroy destroys the item ripples', () => {
+  const root = getFixture();
+  const ripple = td.object({destroy: () => {}});
+  const component = new MDCBottomNavigation(root, undefined, () => ripple);
+  component.destroy();
+  td.verify(ripple.destroy(), {times: 3});
+});
+
+test('#initialSyncWithDOM marks the item with the active class as current', () => {
+  const {items, component} = setupTest();
+  assert.equal(component.activeIndex, 1);
+  assert.equal(items[1].getAttribute(strings.ARIA_CURRENT), strings.ARIA_CURRENT_VALUE);
+  assert.equal(items[1].getAttribute('tabindex'), '0');
+  assert.isFalse(items[0].hasAttribute(strings.ARIA_CURRENT));
+  assert.equal(items[0].getAttribute('tabindex'), '-1');
+});
+
+test('items returns the item elements', () => {
+  const {items, component} = setupTest();
+  assert.deepEqual(component.items, items);
+});
+
+test('set activeIndex moves the active class and aria-current', () => {
+  const {items, component} = setupTest();
+  component.activeIndex = 2;
+  assert.equal(component.activeIndex, 2);
+  assert.isTrue(items[2].classList.contains(cssClasses.ITEM_ACTIVE));
+  assert.equal(items[2].getAttribute(strings.ARIA_CURRENT), strings.ARIA_CURRENT_VALUE);
+  assert.isFalse(items[1].classList.contains(cssClasses.ITEM_ACTIVE));
+  assert.isFalse(items[1].hasAttribute(strings.ARIA_CURRENT));
+});
+
+test('click on an item activates it and emits a change event', () => {
+  const {root, items, component} = setupTest();
+  const handler = td.func('changeHandler');
+  root.addEventListener(strings.CHANGE_EVENT, handler);
+  domEvents.emit(items[2].querySelector('.mdc-bottom-navigation__label'), 'click', {bubbles: true});
+  assert.equal(component.activeIndex, 2);
+  td.verify(handler(td.matchers.contains({detail: {index: 2}})));
+});
+
+test('#destroy removes the click listener', () => {
+  const {items, component} = setupTest();
+  component.destroy();
+  domEvents.emit(items[2], 'click');
+  assert.equal(component.activeIndex, 1);
+});
+
+test('keydown handler is added to the root element', () => {
+  const root = getFixture();
+  const MockFoundationCtor = td.constructor(MDCBottomNavigationFoundation);
+  const mockFoundation = new MockFoundationCtor();
+  const component = new MDCBottomNavigation(root, mockFoundation);
+  const event = document.createEvent('KeyboardEvent');
+  event.initEvent('keydown', false, true);
+  root.dispatchEvent(event);
+  td.verify(mockFoundation.handleKeydown(event), {times: 1});
+
+  component.destroy();
+  root.dispatchEvent(event);
+  td.verify(mockFoundation.handleKeydown(event), {times: 1});
+});
+
+test('adapter#getItemIndexByChildElement returns the index of the item containing the element', () => {
+  const {root, items, component} = setupTest();
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  assert.equal(adapter.getItemIndexByChildElement(items[2].querySelector('.mdc-bottom-navigation__icon')), 2);
+  assert.equal(adapter.getItemIndexByChildElement(items[0]), 0);
+  assert.equal(adapter.getItemIndexByChildElement(root), -1);
+});
+
+test('adapter#getFocusedItemIndex returns the index of the focused item', () => {
+  const {root, items, component} = setupTest();
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  document.body.appendChild(root);
+  assert.equal(adapter.getFocusedItemIndex(), -1);
+  items[2].focus();
+  assert.equal(adapter.getFocusedItemIndex(), 2);
+  document.body.removeChild(root);
+});
+
+test('adapter#setStyle sets an inline style property on the root element', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.setStyle('bottom', '-10px');
+  assert.equal(root.style.getPropertyValue('bottom'), '-10px');
+});
+
+test('adapter#registerScrollHandler and adapter#deregisterScrollHandler toggle a window scroll listener', () => {
+  const {component} = setupTest();
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  const handler = td.func('scrollHandler');
+  adapter.registerScrollHandler(handler);
+  domEvents.emit(window, 'scroll');
+  adapter.deregisterScrollHandler(handler);
+  domEvents.emit(window, 'scroll');
+  td.verify(handler(td.matchers.anything()), {times: 1});
+});
+
+test('adapter#registerResizeHandler and adapter#deregisterResizeHandler toggle a window resize listener', () => {
+  const {component} = setupTest();
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  const handler = td.func('resizeHandler');
+  adapter.registerResizeHandler(handler);
+  domEvents.emit(window, 'resize');
+  adapter.deregisterResizeHandler(handler);
+  domEvents.emit(window, 'resize');
+  td.verify(handler(td.matchers.anything()), {times: 1});
+});
+
+test('adapter#getViewportScrollY returns the vertical scroll position of the window', () => {
+  const {component} = setupTest();
+  assert.equal(component.getDefaultFoundation().adapter_.getViewportScrollY(), window.pageYOffset);
+});
+
+test('adapter#getBottomNavigationHeight returns the height of the root element', () => {
+  const {root, component} = setupTest();
+  assert.equal(component.getDefaultFoundation().adapter_.getBottomNavigationHeight(), root.clientHeight);
+});
@@ -0,0 +1,393 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import lolex from 'lolex';
+import td from 'testdouble';
+
+import {captureHandlers, verifyDefaultAdapter} from '../helpers/foundation';
+import {createMockRaf} from '../helpers/raf';
+import MDCBottomSheetFoundation from '../../../packages/mdc-bottom-sheet/foundation';
+import {SnapPoint} from '../../../packages/mdc-bottom-sheet/constants';
+
+const {cssClasses, numbers} = MDCBottomSheetFoundation;
+
+// With a 600px tall sheet in an 800px tall viewport, the sheet is translated down by 0px at the full snap point,
+// 200px at the half snap point and 504px at the peek snap point.
+const SHEET_HEIGHT = 600;
+const HALF_OFFSET = 200;
+const PEEK_OFFSET = SHEET_HEIGHT - numbers.DEFAULT_PEEK_HEIGHT;
+
+function setupTest() {
+  const mockAdapter = td.object(MDCBottomSheetFoundation.defaultAdapter);
+  td.when(mockAdapter.hasClass(cssClasses.ROOT)).thenReturn(true);
+  td.when(mockAdapter.hasNecessaryDom()).thenReturn(true);
+  td.when(mockAdapter.getSheetHeight()).thenReturn(SHEET_HEIGHT);
+  td.when(mockAdapter.getViewportHeight()).thenReturn(800);
+  td.when(mockAdapter.getFocusableElements()).thenReturn([]);
+  const foundation = new MDCBottomSheetFoundation(mockAdapter);
+  return {foundation, mockAdapter};
+}
+
+/**
+ * Opens the sheet at the given snap point and returns helpers to drag it.
+ */
+function setupDragTest(snapPoint = SnapPoint.HALF) {
+  const {foundation, mockAdapter} = setupTest();
+  const sheetHandlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const documentHandlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  const clock = lolex.install();
+  foundation.init();
+  foundation.open(snapPoint);
+
+  const drag = (fromY, toY, durationMs) => {
+    sheetHandlers.touchstart({touches: [{pageY: fromY}]});
+    clock.tick(durationMs);
+    documentHandlers.touchmove({touches: [{pageY: toY}]});
+    raf.flush();
+  };
+  const release = () => documentHandlers.touchend({touches: []});
+  const teardown = () => {
+    raf.restore();
+    clock.uninstall();
+  };
+  return {foundation, mockAdapter, sheetHandlers, documentHandlers, raf, drag, release, teardown};
+}
+
+suite('MDCBottomSheetFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCBottomSheetFoundation);
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCBottomSheetFoundation);
+});
+
+test('exports numbers', () => {
+  assert.isOk('numbers' in MDCBottomSheetFoundation);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCBottomSheetFoundation, [
+    'addClass', 'removeClass', 'hasClass', 'hasNecessaryDom', 'registerInteractionHandler',
+    'deregisterInteractionHandler', 'registerDrawerInteractionHandler', 'deregisterDrawerInteractionHandler',
+    'registerTransitionEndHandler', 'deregisterTransitionEndHandler', 'registerDocumentKeydownHandler',
+    'deregisterDocumentKeydownHandler', 'setTranslateX', 'getFocusableElements',
+    'saveElementTabState', 'restoreElementTabState', 'makeElementUntabbable',
+    'notifyOpen', 'notifyClose', 'isRtl', 'getDrawerWidth', 'isSheet', 'isInScrolledContent', 'setTranslateY',
+    'getSheetHeight', 'getViewportHeight',
+  ]);
+});
+
+test('#init registers touch handlers', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const {isA} = td.matchers;
+  foundation.init();
+  td.verify(mockAdapter.registerDrawerInteractionHandler('touchstart', isA(Function)));
+  td.verify(mockAdapter.registerInteractionHandler('touchmove', isA(Function)));
+  td.verify(mockAdapter.registerInteractionHandler('touchend', isA(Function)));
+});
+
+test('#init throws when the sheet element is missing', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.hasNecessaryDom()).thenReturn(false);
+  assert.throws(() => foundation.init());
+});
+
+test('#init makes focusable elements untabbable when the sheet is closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const button = {};
+  td.when(mockAdapter.getFocusableElements()).thenReturn([button]);
+  foundation.init();
+  td.verify(mockAdapter.saveElementTabState(button));
+  td.verify(mockAdapter.makeElementUntabbable(button));
+  assert.isFalse(foundation.isOpen());
+});
+
+test('#init treats a sheet with the open class as fully open', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.hasClass(cssClasses.OPEN)).thenReturn(true);
+  foundation.init();
+  assert.isTrue(foundation.isOpen());
+  assert.equal(foundation.getSnapPoint(), SnapPoint.FULL);
+  td.verify(mockAdapter.makeElementUntabbable(td.matchers.anything()), {times: 0});
+});
+
+test('#destroy deregisters touch and transitionend handlers', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const {isA} = td.matchers;
+  foundation.init();
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterDrawerInteractionHandler('touchstart', isA(Function)));
+  td.verify(mockAdapter.deregisterInteractionHandler('touchmove', isA(Function)));
+  td.verify(mockAdapter.deregisterInteractionHandler('touchend', isA(Function)));
+  td.verify(mockAdapter.deregisterTransitionEndHandler(isA(Function)));
+});
+
+test('#open adds the open and animating classes and emits the open event', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open(SnapPoint.PEEK);
+  td.verify(mockAdapter.addClass(cssClasses.OPEN));
+  td.verify(mockAdapter.addClass(cssClasses.ANIMATING));
+  td.verify(mockAdapter.registerTransitionEndHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.notifyOpen());
+  assert.isTrue(foundation.isOpen());
+  assert.equal(foundation.getSnapPoint(), SnapPoint.PEEK);
+});
+
+test('#open defaults to the half snap point', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  td.verify(mockAdapter.setTranslateY(HALF_OFFSET));
+  assert.equal(foundation.getSnapPoint(), SnapPoint.HALF);
+});
+
+test('#open translates the sheet to the snap point', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open(SnapPoint.FULL);
+  td.verify(mockAdapter.setTranslateY(0));
+  foundation.open(SnapPoint.PEEK);
+  td.verify(mockAdapter.setTranslateY(PEEK_OFFSET));
+});
+
+test('#open does not translate a sheet shorter than the snap point below its fully open position', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getSheetHeight()).thenReturn(300);
+  foundation.open(SnapPoint.HALF);
+  td.verify(mockAdapter.setTranslateY(0));
+});
+
+test('#open emits the open event only when the sheet was closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open(SnapPoint.PEEK);
+  foundation.open(SnapPoint.FULL);
+  td.verify(mockAdapter.notifyOpen(), {times: 1});
+});
+
+test('#open restores the tab state of focusable elements', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const button = {};
+  td.when(mockAdapter.getFocusableElements()).thenReturn([button]);
+  foundation.init();
+  foundation.open();
+  td.verify(mockAdapter.restoreElementTabState(button));
+});
+
+test('#close removes the open class, clears the translation and emits the close event', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  foundation.close();
+  td.verify(mockAdapter.removeClass(cssClasses.OPEN));
+  td.verify(mockAdapter.setTranslateY(null));
+  td.verify(mockAdapter.notifyClose());
+  assert.isFalse(foundation.isOpen());
+  assert.isNull(foundation.getSnapPoint());
+});
+
+test('#open sets the snap point before emitting the open event', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let snapPoint;
+  td.when(mockAdapter.notifyOpen()).thenDo(() => {
+    snapPoint = foundation.getSnapPoint();
+  });
+  foundation.open(SnapPoint.FULL);
+  assert.equal(snapPoint, SnapPoint.FULL);
+});
+
+test('#close emits the close event only when the sheet was open', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.close();
+  td.verify(mockAdapter.notifyClose(), {times: 0});
+});
+
+test('Escape keydown closes the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let keydown;
+  td.when(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    keydown = handler;
+  });
+  foundation.open();
+  keydown({key: 'Escape'});
+  assert.isFalse(foundation.isOpen());
+  td.verify(mockAdapter.deregisterDocumentKeydownHandler(keydown));
+});
+
+test('#setPeekHeight changes the peek snap point', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setPeekHeight(200);
+  assert.equal(foundation.getPeekHeight(), 200);
+  foundation.open(SnapPoint.PEEK);
+  td.verify(mockAdapter.setTranslateY(SHEET_HEIGHT - 200));
+});
+
+test('#setPeekHeight moves a sheet resting at the peek snap point', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open(SnapPoint.PEEK);
+  foundation.setPeekHeight(150);
+  td.verify(mockAdapter.setTranslateY(SHEET_HEIGHT - 150));
+});
+
+test('transitionend on the sheet removes the animating class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let transitionEndHandler;
+  td.when(mockAdapter.registerTransitionEndHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    transitionEndHandler = handler;
+  });
+  td.when(mockAdapter.isSheet('sheet')).thenReturn(true);
+  foundation.open();
+  transitionEndHandler({target: 'sheet'});
+  td.verify(mockAdapter.removeClass(cssClasses.ANIMATING));
+  td.verify(mockAdapter.deregisterTransitionEndHandler(transitionEndHandler));
+});
+
+test('transitionend on a child of the sheet does not remove the animating class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let transitionEndHandler;
+  td.when(mockAdapter.registerTransitionEndHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    transitionEndHandler = handler;
+  });
+  foundation.open();
+  transitionEndHandler({target: 'child'});
+  td.verify(mockAdapter.removeClass(cssClasses.ANIMATING), {times: 0});
+});
+
+test('on touch start does nothing when the sheet is closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const raf = createMockRaf();
+  foundation.init();
+  handlers.touchstart({touches: [{pageY: 300}]});
+  raf.flush();
+  td.verify(mockAdapter.setTranslateY(td.matchers.anything()), {times: 0});
+  raf.restore();
+});
+
+test('on touch start ignores pointer events which are not touch', () => {
+  const {mockAdapter, sheetHandlers, raf, teardown} = setupDragTest();
+  sheetHandlers.touchstart({pointerType: 'mouse', pageY: 300});
+  raf.flush();
+  td.verify(mockAdapter.removeClass(cssClasses.ANIMATING), {times: 0});
+  teardown();
+});
+
+test('on touch start does not drag the sheet when the touch starts within scrolled content', () => {
+  const {foundation, mockAdapter, sheetHandlers, documentHandlers, raf, teardown} = setupDragTest(SnapPoint.FULL);
+  const content = {};
+  td.when(mockAdapter.isInScrolledContent(content)).thenReturn(true);
+  sheetHandlers.touchstart({target: content, touches: [{pageY: 300}]});
+  documentHandlers.touchmove({touches: [{pageY: 600}]});
+  raf.flush();
+  documentHandlers.touchend({touches: []});
+  td.verify(mockAdapter.setTranslateY(300), {times: 0});
+  assert.equal(foundation.getSnapPoint(), SnapPoint.FULL);
+  teardown();
+});
+
+test('on touch start drags the sheet when the touch starts within content scrolled to its top', () => {
+  const {mockAdapter, sheetHandlers, documentHandlers, raf, teardown} = setupDragTest(SnapPoint.FULL);
+  const content = {};
+  td.when(mockAdapter.isInScrolledContent(content)).thenReturn(false);
+  sheetHandlers.touchstart({target: content, touches: [{pageY: 300}]});
+  documentHandlers.touchmove({touches: [{pageY: 350}]});
+  raf.flush();
+  td.verify(mockAdapter.setTranslateY(50));
+  teardown();
+});
+
+test('on touch move translates the sheet along with the touch', () => {
+  const {mockAdapter, drag, teardown} = setupDragTest();
+  drag(300, 350, 1000);
+  td.verify(mockAdapter.removeClass(cssClasses.ANIMATING));
+  td.verify(mockAdapter.setTranslateY(HALF_OFFSET + 50));
+  teardown();
+});
+
+test('on touch move works for pointer events', () => {
+  const {mockAdapter, sheetHandlers, documentHandlers, raf, teardown} = setupDragTest();
+  sheetHandlers.touchstart({pointerType: 'touch', pageY: 300});
+  documentHandlers.touchmove({pointerType: 'touch', pageY: 280});
+  raf.flush();
+  td.verify(mockAdapter.setTranslateY(HALF_OFFSET - 20));
+  teardown();
+});
+
+test('on touch move does not translate the sheet above its fully open position', () => {
+  const {mockAdapter, drag, teardown} = setupDragTest();
+  drag(300, 0, 1000);
+  td.verify(mockAdapter.setTranslateY(0));
+  teardown();
+});
+
+test('on touch end after a slow drag moves the sheet to the nearest snap point', () => {
+  const {foundation, drag, release, teardown} = setupDragTest();
+  drag(300, 500, 1000);
+  release();
+  assert.equal(foundation.getSnapPoint(), SnapPoint.PEEK);
+  teardown();
+});
+
+test('on touch end after a slow short drag moves the sheet back to its snap point', () => {
+  const {foundation, mockAdapter, drag, release, teardown} = setupDragTest();
+  drag(300, 350, 1000);
+  release();
+  assert.equal(foundation.getSnapPoint(), SnapPoint.HALF);
+  td.verify(mockAdapter.setTranslateY(HALF_OFFSET), {times: 2});
+  teardown();
+});
+
+test('on touch end after a fast drag down moves the sheet to the next lower snap point', () => {
+  const {foundation, drag, release, teardown} = setupDragTest();
+  drag(300, 320, 10);
+  release();
+  assert.equal(foundation.getSnapPoint(), SnapPoint.PEEK);
+  teardown();
+});
+
+test('on touch end after a fast drag up moves the sheet to the next higher snap point', () => {
+  const {foundation, drag, release, teardown} = setupDragTest(SnapPoint.PEEK);
+  drag(300, 280, 10);
+  release();
+  assert.equal(foundation.getSnapPoint(), SnapPoint.HALF);
+  teardown();
+});
+
+test('on touch end after a fast drag down from the peek snap point keeps the persistent sheet open', () => {
+  const {foundation, drag, release, teardown} = setupDragTest(SnapPoint.PEEK);
+  drag(300, 320, 10);
+  release();
+  assert.isTrue(foundation.isOpen());
+  assert.equal(foundation.getSnapPoint(), SnapPoint.PEEK);
+  teardown();
+});
+
+test('on touch end does nothing without a preceding touch start', () => {
+  const {foundation, release, teardown} = setupDragTest();
+  release();
+  assert.equal(foundation.getSnapPoint(), SnapPoint.HALF);
+  teardown();
+});
+
+test('on touch end stops updating the sheet', () => {
+  const {mockAdapter, raf, drag, release, teardown} = setupDragTest();
+  drag(300, 350, 1000);
+  release();
+  raf.flush();
+  td.verify(mockAdapter.setTranslateY(HALF_OFFSET + 50), {times: 1});
+  teardown();
+});
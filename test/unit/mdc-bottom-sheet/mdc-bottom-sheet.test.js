@@ -0,0 +1,261 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+import domEvents from 'dom-events';
+import td from 'testdouble';
+
+import {MDCBottomSheet, MDCBottomSheetFoundation, SnapPoint} from '../../../packages/mdc-bottom-sheet/index';
+import {getTransformPropertyName} from '../../../packages/mdc-drawer/util';
+
+const {strings} = MDCBottomSheetFoundation;
+
+function getFixture() {
+  return bel`
+    <aside class="mdc-bottom-sheet">
+      <div class="mdc-bottom-sheet__sheet">
+        <div class="mdc-bottom-sheet__content">
+          <button>Share</button>
+        </div>
+      </div>
+    </aside>
+  `;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const component = new MDCBottomSheet(root);
+  const sheet = root.querySelector(strings.SHEET_SELECTOR);
+  return {root, sheet, component};
+}
+
+suite('MDCBottomSheet');
+
+test('attachTo initializes and returns a MDCBottomSheet instance', () => {
+  assert.isOk(MDCBottomSheet.attachTo(getFixture()) instanceof MDCBottomSheet);
+});
+
+test('get/set open', () => {
+  const {root, component} = setupTest();
+  const openHandler = td.func('openHandler');
+  const closeHandler = td.func('closeHandler');
+  root.addEventListener(strings.OPEN_EVENT, openHandler);
+  root.addEventListener(strings.CLOSE_EVENT, closeHandler);
+
+  component.open = true;
+  assert.isTrue(root.classList.contains(MDCBottomSheetFoundation.cssClasses.OPEN));
+  assert.isTrue(component.open);
+  td.verify(openHandler(td.matchers.contains({detail: {snapPoint: SnapPoint.HALF}})));
+
+  component.open = false;
+  assert.isFalse(root.classList.contains(MDCBottomSheetFoundation.cssClasses.OPEN));
+  assert.isFalse(component.open);
+  td.verify(closeHandler(td.matchers.anything()));
+});
+
+test('#show opens the sheet at the given snap point', () => {
+  const {component} = setupTest();
+  component.show(SnapPoint.FULL);
+  assert.isTrue(component.open);
+  assert.equal(component.snapPoint, SnapPoint.FULL);
+});
+
+test('#close closes the sheet', () => {
+  const {component} = setupTest();
+  component.show();
+  component.close();
+  assert.isFalse(component.open);
+  assert.isNull(component.snapPoint);
+});
+
+test('get/set peekHeight', () => {
+  const {component} = setupTest();
+  component.peekHeight = 120;
+  assert.equal(component.peekHeight, 120);
+});
+
+test('#show emits the open event with the snap point', () => {
+  const {root, component} = setupTest();
+  const openHandler = td.func('openHandler');
+  root.addEventListener(strings.OPEN_EVENT, openHandler);
+  component.show(SnapPoint.PEEK);
+  td.verify(openHandler(td.matchers.contains({detail: {snapPoint: SnapPoint.PEEK}})));
+});
+
+test('sheet returns the sheet element', () => {
+  const {sheet, component} = setupTest();
+  assert.equal(component.sheet, sheet);
+});
+
+test('focusable elements are untabbable while the sheet is closed', () => {
+  const {root, component} = setupTest();
+  const button = root.querySelector('button');
+  assert.equal(button.getAttribute('tabindex'), '-1');
+  component.show();
+  assert.isFalse(button.hasAttribute('tabindex'));
+});
+
+test('adapter#hasClass returns whether the root element has the class', () => {
+  const {root, component} = setupTest();
+  root.classList.add('foo');
+  assert.isTrue(component.getDefaultFoundation().adapter_.hasClass('foo'));
+  assert.isFalse(component.getDefaultFoundation().adapter_.hasClass('bar'));
+});
+
+test('adapter#hasNecessaryDom returns whether the sheet element exists', () => {
+  const {root, sheet, component} = setupTest();
+  assert.isTrue(component.getDefaultFoundation().adapter_.hasNecessaryDom());
+  root.removeChild(sheet);
+  assert.isFalse(component.getDefaultFoundation().adapter_.hasNecessaryDom());
+});
+
+test('adapter#registerInteractionHandler adds an event listener to the document', () => {
+  const {component} = setupTest();
+  const handler = td.func('eventHandler');
+  component.getDefaultFoundation().adapter_.registerInteractionHandler('click', handler);
+  domEvents.emit(document, 'click');
+  td.verify(handler(td.matchers.anything()));
+  document.removeEventListener('click', handler);
+});
+
+test('adapter#deregisterInteractionHandler removes an event listener from the document', () => {
+  const {component} = setupTest();
+  const handler = td.func('eventHandler');
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  adapter.registerInteractionHandler('click', handler);
+  adapter.deregisterInteractionHandler('click', handler);
+  domEvents.emit(document, 'click');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#registerDrawerInteractionHandler adds an event listener to the sheet element', () => {
+  const {sheet, component} = setupTest();
+  const handler = td.func('eventHandler');
+  component.getDefaultFoundation().adapter_.registerDrawerInteractionHandler('click', handler);
+  domEvents.emit(sheet, 'click');
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('adapter#deregisterDrawerInteractionHandler removes an event listener from the sheet element', () => {
+  const {sheet, component} = setupTest();
+  const handler = td.func('eventHandler');
+  sheet.addEventListener('click', handler);
+  component.getDefaultFoundation().adapter_.deregisterDrawerInteractionHandler('click', handler);
+  domEvents.emit(sheet, 'click');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#registerDocumentKeydownHandler adds a keydown listener to the document', () => {
+  const {component} = setupTest();
+  const handler = td.func('keydownHandler');
+  component.getDefaultFoundation().adapter_.registerDocumentKeydownHandler(handler);
+  domEvents.emit(document, 'keydown');
+  td.verify(handler(td.matchers.anything()));
+  document.removeEventListener('keydown', handler);
+});
+
+test('adapter#deregisterDocumentKeydownHandler removes a keydown listener from the document', () => {
+  const {component} = setupTest();
+  const handler = td.func('keydownHandler');
+  document.addEventListener('keydown', handler);
+  component.getDefaultFoundation().adapter_.deregisterDocumentKeydownHandler(handler);
+  domEvents.emit(document, 'keydown');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#registerTransitionEndHandler adds a transitionend listener to the sheet element', () => {
+  const {sheet, component} = setupTest();
+  const handler = td.func('transitionEndHandler');
+  component.getDefaultFoundation().adapter_.registerTransitionEndHandler(handler);
+  domEvents.emit(sheet, 'transitionend');
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('adapter#deregisterTransitionEndHandler removes a transitionend listener from the sheet element', () => {
+  const {sheet, component} = setupTest();
+  const handler = td.func('transitionEndHandler');
+  sheet.addEventListener('transitionend', handler);
+  component.getDefaultFoundation().adapter_.deregisterTransitionEndHandler(handler);
+  domEvents.emit(sheet, 'transitionend');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#isSheet returns whether the element is the sheet element', () => {
+  const {root, sheet, component} = setupTest();
+  assert.isTrue(component.getDefaultFoundation().adapter_.isSheet(sheet));
+  assert.isFalse(component.getDefaultFoundation().adapter_.isSheet(root));
+});
+
+test('adapter#isInScrolledContent returns whether the element is within content scrolled down from its top', () => {
+  const {sheet, component} = setupTest();
+  const content = sheet.querySelector(strings.CONTENT_SELECTOR);
+  const button = content.querySelector('button');
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  assert.isFalse(adapter.isInScrolledContent(button));
+  content.scrollTop = 100;
+  assert.isTrue(adapter.isInScrolledContent(button));
+  assert.isFalse(adapter.isInScrolledContent(sheet));
+});
+
+test('adapter#setTranslateY sets the transform of the sheet element', () => {
+  const {sheet, component} = setupTest();
+  component.getDefaultFoundation().adapter_.setTranslateY(200);
+  assert.equal(sheet.style.getPropertyValue(getTransformPropertyName()), 'translateY(200px)');
+});
+
+test('adapter#setTranslateY removes the transform of the sheet element when given null', () => {
+  const {sheet, component} = setupTest();
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  adapter.setTranslateY(200);
+  adapter.setTranslateY(null);
+  assert.equal(sheet.style.getPropertyValue(getTransformPropertyName()), '');
+});
+
+test('adapter#getSheetHeight returns the height of the sheet element', () => {
+  const {sheet, component} = setupTest();
+  assert.equal(component.getDefaultFoundation().adapter_.getSheetHeight(), sheet.offsetHeight);
+});
+
+test('adapter#getViewportHeight returns the height of the window', () => {
+  const {component} = setupTest();
+  assert.equal(component.getDefaultFoundation().adapter_.getViewportHeight(), window.innerHeight);
+});
+
+test('adapter#getFocusableElements returns the focusable elements within the sheet', () => {
+  const {root, component} = setupTest();
+  const elements = component.getDefaultFoundation().adapter_.getFocusableElements();
+  assert.equal(elements.length, 1);
+  assert.equal(elements[0], root.querySelector('button'));
+});
+
+test('adapter#makeElementUntabbable sets a negative tab index on the element', () => {
+  const {component} = setupTest();
+  const el = bel`<a href="#">Link</a>`;
+  component.getDefaultFoundation().adapter_.makeElementUntabbable(el);
+  assert.equal(el.getAttribute('tabindex'), '-1');
+});
+
+test('adapter#saveElementTabState and adapter#restoreElementTabState restore the tab index of the element', () => {
+  const {component} = setupTest();
+  const el = bel`<a href="#" tabindex="2">Link</a>`;
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  adapter.saveElementTabState(el);
+  adapter.makeElementUntabbable(el);
+  adapter.restoreElementTabState(el);
+  assert.equal(el.getAttribute('tabindex'), '2');
+});
@@ -0,0 +1,254 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import lolex from 'lolex';
+import td from 'testdouble';
+
+import {captureHandlers, verifyDefaultAdapter} from '../helpers/foundation';
+import {createMockRaf} from '../helpers/raf';
+import MDCModalBottomSheetFoundation from '../../../packages/mdc-bottom-sheet/modal/foundation';
+import {SnapPoint} from '../../../packages/mdc-bottom-sheet/constants';
+
+const {cssClasses} = MDCModalBottomSheetFoundation;
+
+function setupTest() {
+  const mockAdapter = td.object(MDCModalBottomSheetFoundation.defaultAdapter);
+  td.when(mockAdapter.hasClass(cssClasses.ROOT)).thenReturn(true);
+  td.when(mockAdapter.hasNecessaryDom()).thenReturn(true);
+  td.when(mockAdapter.getSheetHeight()).thenReturn(600);
+  td.when(mockAdapter.getViewportHeight()).thenReturn(800);
+  td.when(mockAdapter.getFocusableElements()).thenReturn([]);
+  const foundation = new MDCModalBottomSheetFoundation(mockAdapter);
+  return {foundation, mockAdapter};
+}
+
+function captureKeydownHandler(mockAdapter) {
+  const handlers = {};
+  td.when(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    handlers.keydown = handler;
+  });
+  return handlers;
+}
+
+suite('MDCModalBottomSheetFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCModalBottomSheetFoundation);
+  assert.equal(MDCModalBottomSheetFoundation.cssClasses.OPEN, 'mdc-bottom-sheet--open');
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCModalBottomSheetFoundation);
+  assert.equal(MDCModalBottomSheetFoundation.strings.OPEN_EVENT, 'MDCBottomSheet:open');
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCModalBottomSheetFoundation, [
+    'addClass', 'removeClass', 'hasClass', 'hasNecessaryDom', 'registerInteractionHandler',
+    'deregisterInteractionHandler', 'registerDrawerInteractionHandler', 'deregisterDrawerInteractionHandler',
+    'registerTransitionEndHandler', 'deregisterTransitionEndHandler', 'registerDocumentKeydownHandler',
+    'deregisterDocumentKeydownHandler', 'setTranslateX', 'getFocusableElements',
+    'saveElementTabState', 'restoreElementTabState', 'makeElementUntabbable',
+    'notifyOpen', 'notifyClose', 'isRtl', 'getDrawerWidth', 'isSheet', 'isInScrolledContent', 'setTranslateY',
+    'getSheetHeight', 'getViewportHeight', 'addBodyClass', 'removeBodyClass',
+    'registerScrimInteractionHandler', 'deregisterScrimInteractionHandler', 'updateCssVariable', 'trapFocus',
+    'untrapFocus',
+  ]);
+});
+
+test('#init registers a scrim click handler', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.registerScrimInteractionHandler('click', td.matchers.isA(Function)));
+});
+
+test('#init locks body scroll and listens for keydown when the sheet is open', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.hasClass(cssClasses.OPEN)).thenReturn(true);
+  foundation.init();
+  td.verify(mockAdapter.addBodyClass(cssClasses.SCROLL_LOCK));
+  td.verify(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function)));
+});
+
+test('#destroy deregisters the scrim click and keydown handlers and unlocks body scroll', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterScrimInteractionHandler('click', td.matchers.isA(Function)));
+  td.verify(mockAdapter.deregisterDocumentKeydownHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.removeBodyClass(cssClasses.SCROLL_LOCK));
+});
+
+test('#destroy releases the focus trap when the sheet is open', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  foundation.destroy();
+  td.verify(mockAdapter.untrapFocus());
+});
+
+test('#open locks body scroll, traps focus and listens for keydown', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  td.verify(mockAdapter.addBodyClass(cssClasses.SCROLL_LOCK));
+  td.verify(mockAdapter.trapFocus());
+  td.verify(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.updateCssVariable(''));
+});
+
+test('#open traps focus only when the sheet was closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open(SnapPoint.HALF);
+  foundation.open(SnapPoint.FULL);
+  td.verify(mockAdapter.trapFocus(), {times: 1});
+});
+
+test('#close releases the focus trap and stops listening for keydown', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  foundation.close();
+  td.verify(mockAdapter.untrapFocus());
+  td.verify(mockAdapter.deregisterDocumentKeydownHandler(td.matchers.isA(Function)));
+});
+
+test('#close does not release the focus trap when the sheet is closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.close();
+  td.verify(mockAdapter.untrapFocus(), {times: 0});
+});
+
+test('transitionend after closing unlocks body scroll', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let transitionEndHandler;
+  td.when(mockAdapter.registerTransitionEndHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    transitionEndHandler = handler;
+  });
+  td.when(mockAdapter.isSheet('sheet')).thenReturn(true);
+  foundation.open();
+  foundation.close();
+  transitionEndHandler({target: 'sheet'});
+  td.verify(mockAdapter.removeBodyClass(cssClasses.SCROLL_LOCK));
+});
+
+test('transitionend after opening keeps body scroll locked', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let transitionEndHandler;
+  td.when(mockAdapter.registerTransitionEndHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    transitionEndHandler = handler;
+  });
+  td.when(mockAdapter.isSheet('sheet')).thenReturn(true);
+  foundation.open();
+  transitionEndHandler({target: 'sheet'});
+  td.verify(mockAdapter.removeBodyClass(cssClasses.SCROLL_LOCK), {times: 0});
+});
+
+test('click on the scrim closes the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerScrimInteractionHandler');
+  foundation.init();
+  foundation.open();
+  handlers.click();
+  assert.isFalse(foundation.isOpen());
+});
+
+test('Escape keydown closes the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureKeydownHandler(mockAdapter);
+  foundation.open();
+  handlers.keydown({key: 'Escape'});
+  assert.isFalse(foundation.isOpen());
+});
+
+test('Escape keyCode closes the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureKeydownHandler(mockAdapter);
+  foundation.open();
+  handlers.keydown({keyCode: 27});
+  assert.isFalse(foundation.isOpen());
+});
+
+test('other keys do not close the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureKeydownHandler(mockAdapter);
+  foundation.open();
+  handlers.keydown({key: 'Enter'});
+  assert.isTrue(foundation.isOpen());
+});
+
+test('dragging the sheet fades the scrim out towards the closed position', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const sheetHandlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const documentHandlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  foundation.init();
+  foundation.open(SnapPoint.HALF);
+  sheetHandlers.touchstart({touches: [{pageY: 300}]});
+  documentHandlers.touchmove({touches: [{pageY: 500}]});
+  raf.flush();
+  td.verify(mockAdapter.updateCssVariable(0.5));
+  raf.restore();
+});
+
+test('releasing the sheet clears the scrim opacity', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const sheetHandlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const documentHandlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  foundation.init();
+  foundation.open(SnapPoint.HALF);
+  sheetHandlers.touchstart({touches: [{pageY: 300}]});
+  raf.flush();
+  documentHandlers.touchend({touches: []});
+  // Once when opening, once when the touch ends, and once when the sheet moves back to its snap point.
+  td.verify(mockAdapter.updateCssVariable(''), {times: 3});
+  raf.restore();
+});
+
+test('a fast drag down from the peek snap point closes the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const sheetHandlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const documentHandlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  const clock = lolex.install();
+  foundation.init();
+  foundation.open(SnapPoint.PEEK);
+  sheetHandlers.touchstart({touches: [{pageY: 700}]});
+  clock.tick(10);
+  documentHandlers.touchmove({touches: [{pageY: 720}]});
+  documentHandlers.touchend({touches: []});
+  assert.isFalse(foundation.isOpen());
+  td.verify(mockAdapter.notifyClose());
+  raf.restore();
+  clock.uninstall();
+});
+
+test('a slow drag close to the bottom of the viewport closes the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const sheetHandlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const documentHandlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  const clock = lolex.install();
+  foundation.init();
+  foundation.open(SnapPoint.PEEK);
+  sheetHandlers.touchstart({touches: [{pageY: 700}]});
+  clock.tick(1000);
+  documentHandlers.touchmove({touches: [{pageY: 790}]});
+  documentHandlers.touchend({touches: []});
+  assert.isFalse(foundation.isOpen());
+  raf.restore();
+  clock.uninstall();
+});
@@ -0,0 +1,137 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import td from 'testdouble';
+
+import {verifyDefaultAdapter} from '../helpers/foundation';
+import MDCCircularProgressFoundation from '../../../packages/mdc-circular-progress/foundation';
+
+const {cssClasses, strings} = MDCCircularProgressFoundation;
+
+const RADIUS = 20;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+function setupTest({indeterminate = false} = {}) {
+  const mockAdapter = td.object(MDCCircularProgressFoundation.defaultAdapter);
+  td.when(mockAdapter.hasClass(cssClasses.INDETERMINATE_CLASS)).thenReturn(indeterminate);
+  td.when(mockAdapter.getDeterminateCircleAttribute(strings.RADIUS)).thenReturn(String(RADIUS));
+  const foundation = new MDCCircularProgressFoundation(mockAdapter);
+  return {foundation, mockAdapter};
+}
+
+suite('MDCCircularProgressFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCCircularProgressFoundation);
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCCircularProgressFoundation);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCCircularProgressFoundation, [
+    'addClass', 'removeClass', 'hasClass', 'setAttribute', 'removeAttribute', 'getDeterminateCircleAttribute',
+    'setDeterminateCircleAttribute',
+  ]);
+});
+
+test('#init sets the dash array of the determinate circle to its circumference', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.setDeterminateCircleAttribute(strings.STROKE_DASHARRAY, String(CIRCUMFERENCE)));
+});
+
+test('#init draws no arc and sets aria-valuenow to 0 when determinate', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  assert.isTrue(foundation.isDeterminate());
+  td.verify(mockAdapter.setDeterminateCircleAttribute(strings.STROKE_DASHOFFSET, String(CIRCUMFERENCE)));
+  td.verify(mockAdapter.setAttribute(strings.ARIA_VALUENOW, '0'));
+});
+
+test('#init removes aria-valuenow when the root element has the indeterminate class', () => {
+  const {foundation, mockAdapter} = setupTest({indeterminate: true});
+  foundation.init();
+  assert.isFalse(foundation.isDeterminate());
+  td.verify(mockAdapter.removeAttribute(strings.ARIA_VALUENOW));
+});
+
+test('#setDeterminate false adds the indeterminate class and removes aria-valuenow', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.setDeterminate(false);
+  assert.isFalse(foundation.isDeterminate());
+  td.verify(mockAdapter.addClass(cssClasses.INDETERMINATE_CLASS));
+  td.verify(mockAdapter.removeAttribute(strings.ARIA_VALUENOW));
+});
+
+test('#setDeterminate true removes the indeterminate class and restores the progress', () => {
+  const {foundation, mockAdapter} = setupTest({indeterminate: true});
+  foundation.init();
+  foundation.setProgress(0.5);
+  td.verify(mockAdapter.setAttribute(strings.ARIA_VALUENOW, '0.5'), {times: 0});
+
+  foundation.setDeterminate(true);
+  td.verify(mockAdapter.removeClass(cssClasses.INDETERMINATE_CLASS));
+  td.verify(mockAdapter.setDeterminateCircleAttribute(strings.STROKE_DASHOFFSET, String(CIRCUMFERENCE / 2)));
+  td.verify(mockAdapter.setAttribute(strings.ARIA_VALUENOW, '0.5'));
+});
+
+test('#setProgress draws the arc and sets aria-valuenow', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.setProgress(0.75);
+  assert.equal(foundation.getProgress(), 0.75);
+  td.verify(mockAdapter.setDeterminateCircleAttribute(strings.STROKE_DASHOFFSET, String(CIRCUMFERENCE / 4)));
+  td.verify(mockAdapter.setAttribute(strings.ARIA_VALUENOW, '0.75'));
+});
+
+test('#setProgress clamps the arc and aria-valuenow between empty and full', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.setProgress(2);
+  td.verify(mockAdapter.setDeterminateCircleAttribute(strings.STROKE_DASHOFFSET, '0'));
+  td.verify(mockAdapter.setAttribute(strings.ARIA_VALUENOW, '1'));
+  foundation.setProgress(-1);
+  td.verify(mockAdapter.setDeterminateCircleAttribute(strings.STROKE_DASHOFFSET, String(CIRCUMFERENCE)), {times: 2});
+  td.verify(mockAdapter.setAttribute(strings.ARIA_VALUENOW, '0'), {times: 2});
+  td.verify(mockAdapter.setAttribute(strings.ARIA_VALUENOW, '2'), {times: 0});
+  td.verify(mockAdapter.setAttribute(strings.ARIA_VALUENOW, '-1'), {times: 0});
+});
+
+test('#setProgress does not draw the arc when indeterminate', () => {
+  const {foundation, mockAdapter} = setupTest({indeterminate: true});
+  foundation.init();
+  foundation.setProgress(0.5);
+  td.verify(mockAdapter.setDeterminateCircleAttribute(strings.STROKE_DASHOFFSET, td.matchers.anything()), {times: 0});
+});
+
+test('#open removes the closed class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.open();
+  td.verify(mockAdapter.removeClass(cssClasses.CLOSED_CLASS));
+});
+
+test('#close adds the closed class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.close();
+  td.verify(mockAdapter.addClass(cssClasses.CLOSED_CLASS));
+});
@@ -0,0 +1,85 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+
+import {MDCCircularProgress, MDCCircularProgressFoundation} from '../../../packages/mdc-circular-progress/index';
+
+const {cssClasses, strings} = MDCCircularProgressFoundation;
+
+function getFixture() {
+  return bel`
+    <div role="progressbar" class="mdc-circular-progress" aria-valuemin="0" aria-valuemax="1">
+      <svg class="mdc-circular-progress__svg" viewBox="0 0 48 48">
+        <circle class="mdc-circular-progress__determinate-circle" cx="24" cy="24" r="20" stroke-width="4"/>
+      </svg>
+    </div>
+  `;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const component = new MDCCircularProgress(root);
+  const circle = root.querySelector(strings.DETERMINATE_CIRCLE_SELECTOR);
+  return {root, circle, component};
+}
+
+suite('MDCCircularProgress');
+
+test('attachTo initializes and returns a MDCCircularProgress instance', () => {
+  assert.isOk(MDCCircularProgress.attachTo(getFixture()) instanceof MDCCircularProgress);
+});
+
+test('#constructor sets the dash array of the determinate circle', () => {
+  const {circle} = setupTest();
+  assert.equal(Number(circle.getAttribute('stroke-dasharray')), 2 * Math.PI * 20);
+});
+
+test('get/set determinate', () => {
+  const {root, component} = setupTest();
+  component.determinate = false;
+  assert.isFalse(component.determinate);
+  assert.isOk(root.classList.contains(cssClasses.INDETERMINATE_CLASS));
+  assert.isFalse(root.hasAttribute('aria-valuenow'));
+
+  component.determinate = true;
+  assert.isTrue(component.determinate);
+  assert.isNotOk(root.classList.contains(cssClasses.INDETERMINATE_CLASS));
+  assert.equal(root.getAttribute('aria-valuenow'), '0');
+});
+
+test('get/set progress', () => {
+  const {root, circle, component} = setupTest();
+  component.progress = 0.5;
+  assert.equal(component.progress, 0.5);
+  assert.equal(root.getAttribute('aria-valuenow'), '0.5');
+  assert.equal(Number(circle.getAttribute('stroke-dashoffset')), Math.PI * 20);
+});
+
+test('#open removes the closed class', () => {
+  const {root, component} = setupTest();
+  root.classList.add(cssClasses.CLOSED_CLASS);
+  component.open();
+  assert.isNotOk(root.classList.contains(cssClasses.CLOSED_CLASS));
+});
+
+test('#close adds the closed class', () => {
+  const {root, component} = setupTest();
+  component.close();
+  assert.isOk(root.classList.contains(cssClasses.CLOSED_CLASS));
+});
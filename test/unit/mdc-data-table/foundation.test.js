@@ -0,0 +1,378 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {assert} from 'chai';
+import td from 'testdouble';
+
+import {verifyDefaultAdapter} from '../helpers/foundation';
+import {setupFoundationTest} from '../helpers/setup';
+import MDCDataTableFoundation from '../../../packages/mdc-data-table/foundation';
+import {SortValue} from '../../../packages/mdc-data-table/constants';
+
+const {cssClasses, strings} = MDCDataTableFoundation;
+
+suite('MDCDataTableFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCDataTableFoundation);
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCDataTableFoundation);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCDataTableFoundation, [
+    'addClassAtRowIndex', 'removeClassAtRowIndex', 'setAttributeAtRowIndex',
+    'getRowCount', 'getRowIdAtIndex', 'getRowIndexByChildElement',
+    'isRowsSelectable', 'registerHeaderRowCheckbox', 'registerRowCheckboxes',
+    'isHeaderRowCheckboxChecked', 'setHeaderRowCheckboxChecked', 'setHeaderRowCheckboxIndeterminate',
+    'isCheckboxAtRowIndexChecked', 'setRowCheckboxCheckedAtIndex',
+    'notifySelectionChanged', 'notifySelectedAll', 'notifyUnselectedAll',
+    'getHeaderCellCount', 'getHeaderCellIndexByChildElement', 'addClassAtHeaderCellIndex',
+    'removeClassAtHeaderCellIndex', 'hasClassAtHeaderCellIndex', 'getAttributeAtHeaderCellIndex',
+    'setAttributeAtHeaderCellIndex', 'getCellTextAtIndex', 'reorderRows', 'notifySorted',
+  ]);
+});
+
+/**
+ * Sets up a foundation whose adapter reports the given row ids and checked states.
+ * @param {!Array<string>} rowIds
+ * @param {!Array<boolean>=} checkedStates
+ */
+function setupTest(rowIds = ['u0', 'u1', 'u2'], checkedStates = [false, false, false]) {
+  const {foundation, mockAdapter} = setupFoundationTest(MDCDataTableFoundation);
+  td.when(mockAdapter.isRowsSelectable()).thenReturn(true);
+  td.when(mockAdapter.getRowCount()).thenReturn(rowIds.length);
+  rowIds.forEach((rowId, index) => {
+    td.when(mockAdapter.getRowIdAtIndex(index)).thenReturn(rowId);
+    td.when(mockAdapter.isCheckboxAtRowIndexChecked(index)).thenReturn(checkedStates[index]);
+  });
+  return {foundation, mockAdapter};
+}
+
+test('#layout registers header row and row checkboxes when rows are selectable', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.layout();
+  td.verify(mockAdapter.registerHeaderRowCheckbox(), {times: 1});
+  td.verify(mockAdapter.registerRowCheckboxes(), {times: 1});
+});
+
+test('#layout does not register checkboxes when rows are not selectable', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.isRowsSelectable()).thenReturn(false);
+  foundation.layout();
+  td.verify(mockAdapter.registerHeaderRowCheckbox(), {times: 0});
+  td.verify(mockAdapter.registerRowCheckboxes(), {times: 0});
+});
+
+test('#layout marks rows with checked checkboxes as selected', () => {
+  const {foundation, mockAdapter} = setupTest(['u0', 'u1'], [true, false]);
+  foundation.layout();
+  td.verify(mockAdapter.addClassAtRowIndex(0, cssClasses.ROW_SELECTED));
+  td.verify(mockAdapter.setAttributeAtRowIndex(0, strings.ARIA_SELECTED, 'true'));
+  td.verify(mockAdapter.removeClassAtRowIndex(1, cssClasses.ROW_SELECTED));
+  td.verify(mockAdapter.setAttributeAtRowIndex(1, strings.ARIA_SELECTED, 'false'));
+});
+
+test('#layout sets the header row checkbox to indeterminate when some rows are selected', () => {
+  const {foundation, mockAdapter} = setupTest(['u0', 'u1'], [true, false]);
+  foundation.layout();
+  td.verify(mockAdapter.setHeaderRowCheckboxChecked(false));
+  td.verify(mockAdapter.setHeaderRowCheckboxIndeterminate(true));
+});
+
+test('#layout checks the header row checkbox when every row is selected', () => {
+  const {foundation, mockAdapter} = setupTest(['u0', 'u1'], [true, true]);
+  foundation.layout();
+  td.verify(mockAdapter.setHeaderRowCheckboxChecked(true));
+  td.verify(mockAdapter.setHeaderRowCheckboxIndeterminate(false));
+});
+
+test('#layout unchecks the header row checkbox when the table has no rows', () => {
+  const {foundation, mockAdapter} = setupTest([], []);
+  foundation.layout();
+  td.verify(mockAdapter.setHeaderRowCheckboxChecked(false));
+  td.verify(mockAdapter.setHeaderRowCheckboxIndeterminate(false));
+});
+
+test('#getSelectedRowIds returns the row ids of rows with checked checkboxes', () => {
+  const {foundation} = setupTest(['u0', 'u1', 'u2'], [true, false, true]);
+  assert.deepEqual(foundation.getSelectedRowIds(), ['u0', 'u2']);
+});
+
+test('#getSelectedRowIds returns an empty array when no row is selected', () => {
+  const {foundation} = setupTest();
+  assert.deepEqual(foundation.getSelectedRowIds(), []);
+});
+
+test('#setSelectedRowIds checks the checkboxes of the given rows and unchecks all others', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setSelectedRowIds(['u1']);
+  td.verify(mockAdapter.setRowCheckboxCheckedAtIndex(0, false));
+  td.verify(mockAdapter.setRowCheckboxCheckedAtIndex(1, true));
+  td.verify(mockAdapter.setRowCheckboxCheckedAtIndex(2, false));
+  td.verify(mockAdapter.addClassAtRowIndex(1, cssClasses.ROW_SELECTED));
+  td.verify(mockAdapter.setAttributeAtRowIndex(1, strings.ARIA_SELECTED, 'true'));
+  td.verify(mockAdapter.removeClassAtRowIndex(0, cssClasses.ROW_SELECTED));
+});
+
+test('#setSelectedRowIds updates the header row checkbox state', () => {
+  const {foundation, mockAdapter} = setupTest(['u0', 'u1'], [true, false]);
+  foundation.setSelectedRowIds(['u0']);
+  td.verify(mockAdapter.setHeaderRowCheckboxIndeterminate(true));
+});
+
+test('#setSelectedRowIds does not select rows without a row id', () => {
+  const {foundation, mockAdapter} = setupTest([null], [false]);
+  foundation.setSelectedRowIds([null]);
+  td.verify(mockAdapter.setRowCheckboxCheckedAtIndex(0, false));
+});
+
+test('#handleHeaderRowCheckboxChange selects every row and notifies when header row checkbox is checked', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.isHeaderRowCheckboxChecked()).thenReturn(true);
+  foundation.handleHeaderRowCheckboxChange();
+  [0, 1, 2].forEach((rowIndex) => {
+    td.verify(mockAdapter.setRowCheckboxCheckedAtIndex(rowIndex, true));
+    td.verify(mockAdapter.addClassAtRowIndex(rowIndex, cssClasses.ROW_SELECTED));
+  });
+  td.verify(mockAdapter.notifySelectedAll(), {times: 1});
+  td.verify(mockAdapter.notifyUnselectedAll(), {times: 0});
+});
+
+test('#handleHeaderRowCheckboxChange unselects every row and notifies when header row checkbox is unchecked', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.isHeaderRowCheckboxChecked()).thenReturn(false);
+  foundation.handleHeaderRowCheckboxChange();
+  [0, 1, 2].forEach((rowIndex) => {
+    td.verify(mockAdapter.setRowCheckboxCheckedAtIndex(rowIndex, false));
+    td.verify(mockAdapter.removeClassAtRowIndex(rowIndex, cssClasses.ROW_SELECTED));
+  });
+  td.verify(mockAdapter.notifyUnselectedAll(), {times: 1});
+  td.verify(mockAdapter.notifySelectedAll(), {times: 0});
+});
+
+test('#handleRowCheckboxChange selects the row and emits selection changed event', () => {
+  const {foundation, mockAdapter} = setupTest(['u0', 'u1'], [false, true]);
+  const target = {};
+  td.when(mockAdapter.getRowIndexByChildElement(target)).thenReturn(1);
+  foundation.handleRowCheckboxChange({target});
+  td.verify(mockAdapter.addClassAtRowIndex(1, cssClasses.ROW_SELECTED));
+  td.verify(mockAdapter.setAttributeAtRowIndex(1, strings.ARIA_SELECTED, 'true'));
+  td.verify(mockAdapter.notifySelectionChanged({rowId: 'u1', rowIndex: 1, selected: true}));
+});
+
+test('#handleRowCheckboxChange unselects the row and emits selection changed event', () => {
+  const {foundation, mockAdapter} = setupTest(['u0', 'u1'], [false, false]);
+  const target = {};
+  td.when(mockAdapter.getRowIndexByChildElement(target)).thenReturn(0);
+  foundation.handleRowCheckboxChange({target});
+  td.verify(mockAdapter.removeClassAtRowIndex(0, cssClasses.ROW_SELECTED));
+  td.verify(mockAdapter.notifySelectionChanged({rowId: 'u0', rowIndex: 0, selected: false}));
+});
+
+test('#handleRowCheckboxChange updates the header row checkbox state', () => {
+  const {foundation, mockAdapter} = setupTest(['u0', 'u1'], [true, true]);
+  const target = {};
+  td.when(mockAdapter.getRowIndexByChildElement(target)).thenReturn(0);
+  foundation.handleRowCheckboxChange({target});
+  td.verify(mockAdapter.setHeaderRowCheckboxChecked(true));
+  td.verify(mockAdapter.setHeaderRowCheckboxIndeterminate(false));
+});
+
+test('#handleRowCheckboxChange does nothing when the event target is not within a row', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const target = {};
+  td.when(mockAdapter.getRowIndexByChildElement(target)).thenReturn(-1);
+  foundation.handleRowCheckboxChange({target});
+  td.verify(mockAdapter.notifySelectionChanged(td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.setHeaderRowCheckboxChecked(td.matchers.anything()), {times: 0});
+});
+
+/**
+ * Sets up a foundation whose adapter reports a sortable "name" column, a sortable "calories" column with the given
+ * sort type and a non-sortable "comments" column, with body cells containing the given texts.
+ * @param {!Array<!Array<string>>} cellTexts Cell texts of every row, one entry per column.
+ * @param {?string=} sortType
+ */
+function setupSortTest(cellTexts = [], sortType = 'numeric') {
+  const {foundation, mockAdapter} = setupFoundationTest(MDCDataTableFoundation);
+  const columns = [
+    {id: 'name', sortable: true, sortType: 'string'},
+    {id: 'calories', sortable: true, sortType},
+    {id: 'comments', sortable: false, sortType: null},
+  ];
+  td.when(mockAdapter.getHeaderCellCount()).thenReturn(columns.length);
+  td.when(mockAdapter.getRowCount()).thenReturn(cellTexts.length);
+  td.when(mockAdapter.notifySorted(td.matchers.anything())).thenReturn(true);
+  columns.forEach(({id, sortable, sortType}, columnIndex) => {
+    td.when(mockAdapter.hasClassAtHeaderCellIndex(columnIndex, cssClasses.HEADER_CELL_SORTABLE)).thenReturn(sortable);
+    td.when(mockAdapter.getAttributeAtHeaderCellIndex(columnIndex, strings.COLUMN_ID_ATTR)).thenReturn(id);
+    td.when(mockAdapter.getAttributeAtHeaderCellIndex(columnIndex, strings.SORT_TYPE_ATTR)).thenReturn(sortType);
+    cellTexts.forEach((rowTexts, rowIndex) => {
+      td.when(mockAdapter.getCellTextAtIndex(rowIndex, columnIndex)).thenReturn(rowTexts[columnIndex]);
+    });
+  });
+  return {foundation, mockAdapter};
+}
+
+/**
+ * Simulates a click on the header cell at the given index, with the header cell currently having the given sort value.
+ * @param {!MDCDataTableFoundation} foundation
+ * @param {!Object} mockAdapter
+ * @param {number} columnIndex
+ * @param {string} currentSortValue
+ */
+function clickHeaderCell(foundation, mockAdapter, columnIndex, currentSortValue = SortValue.NONE) {
+  const target = {};
+  td.when(mockAdapter.getHeaderCellIndexByChildElement(target)).thenReturn(columnIndex);
+  td.when(mockAdapter.getAttributeAtHeaderCellIndex(columnIndex, strings.ARIA_SORT)).thenReturn(currentSortValue);
+  foundation.handleHeaderCellInteraction({type: 'click', target});
+}
+
+test('#handleHeaderCellInteraction sorts an unsorted column in ascending order on click', () => {
+  const {foundation, mockAdapter} = setupSortTest();
+  clickHeaderCell(foundation, mockAdapter, 1, SortValue.NONE);
+  td.verify(mockAdapter.setAttributeAtHeaderCellIndex(1, strings.ARIA_SORT, SortValue.ASCENDING));
+  td.verify(mockAdapter.addClassAtHeaderCellIndex(1, cssClasses.HEADER_CELL_SORTED));
+  td.verify(mockAdapter.removeClassAtHeaderCellIndex(1, cssClasses.HEADER_CELL_SORTED_DESCENDING));
+  td.verify(mockAdapter.notifySorted({columnId: 'calories', columnIndex: 1, sortValue: SortValue.ASCENDING}));
+});
+
+test('#handleHeaderCellInteraction sorts an ascending column in descending order on click', () => {
+  const {foundation, mockAdapter} = setupSortTest();
+  clickHeaderCell(foundation, mockAdapter, 1, SortValue.ASCENDING);
+  td.verify(mockAdapter.setAttributeAtHeaderCellIndex(1, strings.ARIA_SORT, SortValue.DESCENDING));
+  td.verify(mockAdapter.addClassAtHeaderCellIndex(1, cssClasses.HEADER_CELL_SORTED));
+  td.verify(mockAdapter.addClassAtHeaderCellIndex(1, cssClasses.HEADER_CELL_SORTED_DESCENDING));
+  td.verify(mockAdapter.notifySorted({columnId: 'calories', columnIndex: 1, sortValue: SortValue.DESCENDING}));
+});
+
+test('#handleHeaderCellInteraction unsorts a descending column on click', () => {
+  const {foundation, mockAdapter} = setupSortTest();
+  clickHeaderCell(foundation, mockAdapter, 1, SortValue.DESCENDING);
+  td.verify(mockAdapter.setAttributeAtHeaderCellIndex(1, strings.ARIA_SORT, SortValue.NONE));
+  td.verify(mockAdapter.removeClassAtHeaderCellIndex(1, cssClasses.HEADER_CELL_SORTED));
+  td.verify(mockAdapter.removeClassAtHeaderCellIndex(1, cssClasses.HEADER_CELL_SORTED_DESCENDING));
+  td.verify(mockAdapter.notifySorted({columnId: 'calories', columnIndex: 1, sortValue: SortValue.NONE}));
+});
+
+test('#handleHeaderCellInteraction resets the sort state of other sortable columns', () => {
+  const {foundation, mockAdapter} = setupSortTest();
+  clickHeaderCell(foundation, mockAdapter, 1);
+  td.verify(mockAdapter.setAttributeAtHeaderCellIndex(0, strings.ARIA_SORT, SortValue.NONE));
+  td.verify(mockAdapter.removeClassAtHeaderCellIndex(0, cssClasses.HEADER_CELL_SORTED));
+  td.verify(mockAdapter.setAttributeAtHeaderCellIndex(2, td.matchers.anything(), td.matchers.anything()), {times: 0});
+});
+
+test('#handleHeaderCellInteraction does nothing for header cells which are not sortable', () => {
+  const {foundation, mockAdapter} = setupSortTest();
+  clickHeaderCell(foundation, mockAdapter, 2);
+  td.verify(mockAdapter.setAttributeAtHeaderCellIndex(
+    td.matchers.anything(), td.matchers.anything(), td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.notifySorted(td.matchers.anything()), {times: 0});
+});
+
+test('#handleHeaderCellInteraction does nothing when the event target is not within a header cell', () => {
+  const {foundation, mockAdapter} = setupSortTest();
+  clickHeaderCell(foundation, mockAdapter, -1);
+  td.verify(mockAdapter.notifySorted(td.matchers.anything()), {times: 0});
+});
+
+test('#handleHeaderCellInteraction sorts the column on Enter and Space keydown', () => {
+  const {foundation, mockAdapter} = setupSortTest();
+  const target = {};
+  td.when(mockAdapter.getHeaderCellIndexByChildElement(target)).thenReturn(0);
+  const preventDefault = td.func('preventDefault');
+  foundation.handleHeaderCellInteraction({type: 'keydown', key: 'Enter', target, preventDefault});
+  foundation.handleHeaderCellInteraction({type: 'keydown', keyCode: 32, target, preventDefault});
+  td.verify(mockAdapter.notifySorted({columnId: 'name', columnIndex: 0, sortValue: SortValue.ASCENDING}), {times: 2});
+  td.verify(preventDefault(), {times: 2});
+});
+
+test('#handleHeaderCellInteraction ignores other keys', () => {
+  const {foundation, mockAdapter} = setupSortTest();
+  const target = {};
+  td.when(mockAdapter.getHeaderCellIndexByChildElement(target)).thenReturn(0);
+  foundation.handleHeaderCellInteraction({type: 'keydown', key: 'ArrowDown', target, preventDefault: () => {}});
+  td.verify(mockAdapter.notifySorted(td.matchers.anything()), {times: 0});
+});
+
+test('#sort sorts the column with the given column id', () => {
+  const {foundation, mockAdapter} = setupSortTest();
+  foundation.sort('name', SortValue.DESCENDING);
+  td.verify(mockAdapter.setAttributeAtHeaderCellIndex(0, strings.ARIA_SORT, SortValue.DESCENDING));
+  td.verify(mockAdapter.notifySorted({columnId: 'name', columnIndex: 0, sortValue: SortValue.DESCENDING}));
+});
+
+test('#sort does nothing for an unknown column id', () => {
+  const {foundation, mockAdapter} = setupSortTest();
+  foundation.sort('unknown', SortValue.ASCENDING);
+  td.verify(mockAdapter.notifySorted(td.matchers.anything()), {times: 0});
+});
+
+test('#sort reorders rows in ascending order using the comparator of the column sort type', () => {
+  const {foundation, mockAdapter} = setupSortTest([['a', '200'], ['b', '30'], ['c', '1,000']]);
+  foundation.sort('calories', SortValue.ASCENDING);
+  td.verify(mockAdapter.reorderRows([1, 0, 2]));
+});
+
+test('#sort reorders rows in descending order using the comparator of the column sort type', () => {
+  const {foundation, mockAdapter} = setupSortTest([['b'], ['c'], ['a']]);
+  foundation.sort('name', SortValue.DESCENDING);
+  td.verify(mockAdapter.reorderRows([1, 0, 2]));
+});
+
+test('#sort orders rows whose cells cannot be parsed last in ascending order', () => {
+  const {foundation, mockAdapter} = setupSortTest([['a', 'n/a'], ['b', '200'], ['c', '30']]);
+  foundation.sort('calories', SortValue.ASCENDING);
+  td.verify(mockAdapter.reorderRows([2, 1, 0]));
+});
+
+test('#sort orders rows whose cells cannot be parsed last in descending order', () => {
+  const {foundation, mockAdapter} = setupSortTest([['a', 'n/a'], ['b', '30'], ['c', '200']]);
+  foundation.sort('calories', SortValue.DESCENDING);
+  td.verify(mockAdapter.reorderRows([2, 1, 0]));
+});
+
+test('#sort keeps the current order of rows with equal cells', () => {
+  const {foundation, mockAdapter} = setupSortTest([['a', '2'], ['b', '1'], ['c', '2'], ['d', '1']]);
+  foundation.sort('calories', SortValue.DESCENDING);
+  td.verify(mockAdapter.reorderRows([0, 2, 1, 3]));
+});
+
+test('#sort restores the original row order when the column is unsorted', () => {
+  const {foundation, mockAdapter} = setupSortTest([['b'], ['c'], ['a']]);
+  foundation.sort('name', SortValue.ASCENDING);
+  td.verify(mockAdapter.reorderRows([2, 0, 1]));
+  foundation.sort('name', SortValue.NONE);
+  td.verify(mockAdapter.reorderRows([1, 2, 0]));
+});
+
+test('#sort does not reorder rows of columns without a known sort type', () => {
+  const {foundation, mockAdapter} = setupSortTest([['a', '2'], ['b', '1']], null);
+  foundation.sort('calories', SortValue.ASCENDING);
+  td.verify(mockAdapter.reorderRows(td.matchers.anything()), {times: 0});
+});
+
+test('#sort does not reorder rows when the sorted event is canceled', () => {
+  const {foundation, mockAdapter} = setupSortTest([['a', '2'], ['b', '1']]);
+  td.when(mockAdapter.notifySorted(td.matchers.anything())).thenReturn(false);
+  foundation.sort('calories', SortValue.ASCENDING);
+  td.verify(mockAdapter.setAttributeAtHeaderCellIndex(1, strings.ARIA_SORT, SortValue.ASCENDING));
+  td.verify(mockAdapter.reorderRows(td.matchers.anything()), {times: 0});
+});
@@ -0,0 +1,188 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {assert} from 'chai';
+import td from 'testdouble';
+
+import {verifyDefaultAdapter} from '../helpers/foundation';
+import {setupFoundationTest} from '../helpers/setup';
+import MDCDataTablePaginationFoundation from '../../../packages/mdc-data-table/pagination/foundation';
+import {PageButton} from '../../../packages/mdc-data-table/pagination/constants';
+
+suite('MDCDataTablePaginationFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCDataTablePaginationFoundation);
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCDataTablePaginationFoundation);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCDataTablePaginationFoundation, [
+    'getRowsPerPageSelectValue', 'setRowsPerPageSelectValue', 'setTotalLabel', 'setButtonDisabled', 'notifyPageChanged',
+  ]);
+});
+
+/**
+ * Sets up an initialized foundation with the given number of rows per page and total number of rows.
+ * @param {number} rowsPerPage
+ * @param {number} totalCount
+ */
+function setupTest(rowsPerPage = 25, totalCount = 340) {
+  const {foundation, mockAdapter} = setupFoundationTest(MDCDataTablePaginationFoundation);
+  td.when(mockAdapter.getRowsPerPageSelectValue()).thenReturn(String(rowsPerPage));
+  foundation.init();
+  foundation.setTotalCount(totalCount);
+  return {foundation, mockAdapter};
+}
+
+test('#init reads the number of rows per page from the rows per page select', () => {
+  const {foundation} = setupTest(50);
+  assert.equal(foundation.getRowsPerPage(), 50);
+  assert.equal(foundation.getOffset(), 0);
+});
+
+test('#setTotalCount updates the total label', () => {
+  const {mockAdapter} = setupTest(25, 340);
+  td.verify(mockAdapter.setTotalLabel('1–25 of 340'));
+});
+
+test('#setTotalCount updates the total label of a table without rows', () => {
+  const {mockAdapter} = setupTest(25, 0);
+  td.verify(mockAdapter.setTotalLabel('0–0 of 0'));
+});
+
+test('#setTotalLabelFormatter formats the total label with the given function', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setTotalLabelFormatter((firstRow, lastRow, totalCount) => `${firstRow}-${lastRow} de ${totalCount}`);
+  td.verify(mockAdapter.setTotalLabel('1-25 de 340'));
+  foundation.goToNextPage();
+  td.verify(mockAdapter.setTotalLabel('26-50 de 340'));
+});
+
+test('#setTotalCount disables the first and previous page buttons on the first page', () => {
+  const {mockAdapter} = setupTest();
+  td.verify(mockAdapter.setButtonDisabled(PageButton.FIRST, true));
+  td.verify(mockAdapter.setButtonDisabled(PageButton.PREVIOUS, true));
+  td.verify(mockAdapter.setButtonDisabled(PageButton.NEXT, false));
+  td.verify(mockAdapter.setButtonDisabled(PageButton.LAST, false));
+});
+
+test('#setTotalCount disables every button when all rows fit on a single page', () => {
+  const {mockAdapter} = setupTest(25, 25);
+  td.verify(mockAdapter.setButtonDisabled(PageButton.NEXT, true));
+  td.verify(mockAdapter.setButtonDisabled(PageButton.LAST, true));
+});
+
+test('#setTotalCount moves to the last page when the current page no longer exists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.goToLastPage();
+  foundation.setTotalCount(60);
+  assert.equal(foundation.getOffset(), 50);
+  td.verify(mockAdapter.notifyPageChanged({offset: 50, limit: 25}));
+  td.verify(mockAdapter.setTotalLabel('51–60 of 60'));
+});
+
+test('#goToNextPage moves to the next page and notifies', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.goToNextPage();
+  assert.equal(foundation.getOffset(), 25);
+  td.verify(mockAdapter.setTotalLabel('26–50 of 340'));
+  td.verify(mockAdapter.setButtonDisabled(PageButton.PREVIOUS, false));
+  td.verify(mockAdapter.notifyPageChanged({offset: 25, limit: 25}));
+});
+
+test('#goToNextPage does nothing on the last page', () => {
+  const {foundation, mockAdapter} = setupTest(25, 20);
+  foundation.goToNextPage();
+  assert.equal(foundation.getOffset(), 0);
+  td.verify(mockAdapter.notifyPageChanged(td.matchers.anything()), {times: 0});
+});
+
+test('#goToPreviousPage moves to the previous page and notifies', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.goToNextPage();
+  foundation.goToNextPage();
+  foundation.goToPreviousPage();
+  assert.equal(foundation.getOffset(), 25);
+  td.verify(mockAdapter.notifyPageChanged({offset: 25, limit: 25}), {times: 2});
+});
+
+test('#goToPreviousPage does nothing on the first page', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.goToPreviousPage();
+  td.verify(mockAdapter.notifyPageChanged(td.matchers.anything()), {times: 0});
+});
+
+test('#goToLastPage moves to the last page and notifies', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.goToLastPage();
+  assert.equal(foundation.getOffset(), 325);
+  td.verify(mockAdapter.setTotalLabel('326–340 of 340'));
+  td.verify(mockAdapter.setButtonDisabled(PageButton.NEXT, true));
+  td.verify(mockAdapter.setButtonDisabled(PageButton.LAST, true));
+  td.verify(mockAdapter.notifyPageChanged({offset: 325, limit: 25}));
+});
+
+test('#goToFirstPage moves to the first page and notifies', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.goToLastPage();
+  foundation.goToFirstPage();
+  assert.equal(foundation.getOffset(), 0);
+  td.verify(mockAdapter.notifyPageChanged({offset: 0, limit: 25}));
+});
+
+test('#setRowsPerPage sets the value of the rows per page select', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setRowsPerPage(10);
+  td.verify(mockAdapter.setRowsPerPageSelectValue('10'));
+  assert.equal(foundation.getRowsPerPage(), 10);
+});
+
+test('#setRowsPerPage keeps the first row of the current page visible', () => {
+  const {foundation, mockAdapter} = setupTest(10);
+  foundation.goToNextPage();
+  foundation.goToNextPage();
+  foundation.goToNextPage();
+  foundation.setRowsPerPage(25);
+  assert.equal(foundation.getOffset(), 25);
+  td.verify(mockAdapter.notifyPageChanged({offset: 25, limit: 25}));
+});
+
+test('#setRowsPerPage does not notify when the number of rows per page does not change', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setRowsPerPage(25);
+  td.verify(mockAdapter.notifyPageChanged(td.matchers.anything()), {times: 0});
+});
+
+test('#handleRowsPerPageChange reads the number of rows per page from the select and notifies', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getRowsPerPageSelectValue()).thenReturn('50');
+  foundation.handleRowsPerPageChange();
+  assert.equal(foundation.getRowsPerPage(), 50);
+  td.verify(mockAdapter.setTotalLabel('1–50 of 340'));
+  td.verify(mockAdapter.notifyPageChanged({offset: 0, limit: 50}));
+});
+
+test('#handleRowsPerPageChange ignores invalid values', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getRowsPerPageSelectValue()).thenReturn('all');
+  foundation.handleRowsPerPageChange();
+  assert.equal(foundation.getRowsPerPage(), 25);
+  td.verify(mockAdapter.notifyPageChanged(td.matchers.anything()), {times: 0});
+});
@@ -0,0 +1,192 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import bel from 'bel';
+import domEvents from 'dom-events';
+import {assert} from 'chai';
+import td from 'testdouble';
+
+import {MDCRipple} from '../../../packages/mdc-ripple';
+import {MDCSelect} from '../../../packages/mdc-select';
+import {
+  MDCDataTable, MDCDataTablePagination, MDCDataTablePaginationFoundation,
+} from '../../../packages/mdc-data-table';
+
+const {strings} = MDCDataTablePaginationFoundation;
+
+function getFixture() {
+  return bel`
+    <div class="mdc-data-table__pagination" data-total-count="340">
+      <div class="mdc-data-table__pagination-rows-per-page">
+        Rows per page
+        <div class="mdc-select mdc-data-table__pagination-rows-per-page-select">
+          <select class="mdc-select__native-control">
+            <option value="10">10</option>
+            <option value="25" selected>25</option>
+            <option value="100">100</option>
+          </select>
+          <div class="mdc-line-ripple"></div>
+        </div>
+      </div>
+      <div class="mdc-data-table__pagination-total"></div>
+      <button class="mdc-icon-button material-icons mdc-data-table__pagination-button
+        mdc-data-table__pagination-button--first">first_page</button>
+      <button class="mdc-icon-button material-icons mdc-data-table__pagination-button
+        mdc-data-table__pagination-button--previous">chevron_left</button>
+      <button class="mdc-icon-button material-icons mdc-data-table__pagination-button
+        mdc-data-table__pagination-button--next">chevron_right</button>
+      <button class="mdc-icon-button material-icons mdc-data-table__pagination-button
+        mdc-data-table__pagination-button--last">last_page</button>
+    </div>
+  `;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const component = new MDCDataTablePagination(root);
+  return {root, component};
+}
+
+suite('MDCDataTablePagination');
+
+test('attachTo returns an MDCDataTablePagination instance', () => {
+  assert.isOk(MDCDataTablePagination.attachTo(getFixture()) instanceof MDCDataTablePagination);
+});
+
+test('#constructor instantiates an unbounded ripple on every navigation button', () => {
+  const {component, root} = setupTest();
+  const ripples = component.buttonRipples_;
+  assert.equal(ripples.length, 4);
+  ripples.forEach((ripple) => {
+    assert.instanceOf(ripple, MDCRipple);
+    assert.isTrue(ripple.unbounded);
+  });
+  assert.equal(ripples[0].root_, root.querySelector(strings.FIRST_PAGE_BUTTON_SELECTOR));
+});
+
+test('#constructor instantiates an MDCSelect for the rows per page select', () => {
+  const {component} = setupTest();
+  assert.instanceOf(component.rowsPerPageSelect_, MDCSelect);
+});
+
+test('#initialSyncWithDOM reads the total count and the rows per page from the DOM', () => {
+  const {root, component} = setupTest();
+  assert.equal(component.totalCount, 340);
+  assert.equal(component.rowsPerPage, 25);
+  assert.equal(root.querySelector(strings.TOTAL_SELECTOR).textContent, '1–25 of 340');
+  assert.isTrue(root.querySelector(strings.FIRST_PAGE_BUTTON_SELECTOR).disabled);
+  assert.isFalse(root.querySelector(strings.NEXT_PAGE_BUTTON_SELECTOR).disabled);
+});
+
+test('click on the next page button moves to the next page and emits MDCDataTable:pageChanged', () => {
+  const {root, component} = setupTest();
+  const handler = td.func('pageChangedHandler');
+  component.listen(strings.PAGE_CHANGED_EVENT, handler);
+
+  domEvents.emit(root.querySelector(strings.NEXT_PAGE_BUTTON_SELECTOR), 'click');
+
+  assert.equal(component.offset, 25);
+  assert.equal(root.querySelector(strings.TOTAL_SELECTOR).textContent, '26–50 of 340');
+  assert.isFalse(root.querySelector(strings.PREVIOUS_PAGE_BUTTON_SELECTOR).disabled);
+  td.verify(handler(td.matchers.contains({detail: {offset: 25, limit: 25}})));
+});
+
+test('click on the last, previous and first page buttons moves between pages', () => {
+  const {root, component} = setupTest();
+  domEvents.emit(root.querySelector(strings.LAST_PAGE_BUTTON_SELECTOR), 'click');
+  assert.equal(component.offset, 325);
+  assert.isTrue(root.querySelector(strings.LAST_PAGE_BUTTON_SELECTOR).disabled);
+  domEvents.emit(root.querySelector(strings.PREVIOUS_PAGE_BUTTON_SELECTOR), 'click');
+  assert.equal(component.offset, 300);
+  domEvents.emit(root.querySelector(strings.FIRST_PAGE_BUTTON_SELECTOR), 'click');
+  assert.equal(component.offset, 0);
+});
+
+test('change event on the rows per page select updates the rows per page', () => {
+  const {root, component} = setupTest();
+  const nativeControl = root.querySelector('.mdc-select__native-control');
+  nativeControl.value = '100';
+  domEvents.emit(nativeControl, 'change', {bubbles: true});
+  assert.equal(component.rowsPerPage, 100);
+  assert.equal(root.querySelector(strings.TOTAL_SELECTOR).textContent, '1–100 of 340');
+});
+
+test('#rowsPerPage sets the value of the rows per page select', () => {
+  const {root, component} = setupTest();
+  component.rowsPerPage = 10;
+  assert.equal(root.querySelector('.mdc-select__native-control').value, '10');
+});
+
+test('#totalCount updates the total label', () => {
+  const {root, component} = setupTest();
+  component.totalCount = 12;
+  assert.equal(root.querySelector(strings.TOTAL_SELECTOR).textContent, '1–12 of 12');
+  assert.isTrue(root.querySelector(strings.LAST_PAGE_BUTTON_SELECTOR).disabled);
+});
+
+test('#totalLabelFormatter formats the total label', () => {
+  const {root, component} = setupTest();
+  component.totalLabelFormatter = (firstRow, lastRow, totalCount) => `${firstRow}-${lastRow} de ${totalCount}`;
+  assert.equal(root.querySelector(strings.TOTAL_SELECTOR).textContent, '1-25 de 340');
+});
+
+test('#goToNextPage, #goToLastPage, #goToPreviousPage and #goToFirstPage move between pages', () => {
+  const {component} = setupTest();
+  component.goToNextPage();
+  assert.equal(component.offset, 25);
+  component.goToLastPage();
+  assert.equal(component.offset, 325);
+  component.goToPreviousPage();
+  assert.equal(component.offset, 300);
+  component.goToFirstPage();
+  assert.equal(component.offset, 0);
+});
+
+test('#destroy removes the button listeners and destroys the ripples and the select', () => {
+  const {root, component} = setupTest();
+  const rippleDestroy = td.func('rippleDestroy');
+  const selectDestroy = td.func('selectDestroy');
+  component.buttonRipples_.forEach((ripple) => ripple.destroy = rippleDestroy);
+  component.rowsPerPageSelect_.destroy = selectDestroy;
+
+  component.destroy();
+  domEvents.emit(root.querySelector(strings.NEXT_PAGE_BUTTON_SELECTOR), 'click');
+
+  assert.equal(component.offset, 0);
+  td.verify(rippleDestroy(), {times: 4});
+  td.verify(selectDestroy(), {times: 1});
+});
+
+test('MDCDataTable instantiates the pagination controls within its root', () => {
+  const root = bel`
+    <div class="mdc-data-table">
+      <table class="mdc-data-table__table"><tbody class="mdc-data-table__content"></tbody></table>
+      ${getFixture()}
+    </div>
+  `;
+  const dataTable = new MDCDataTable(root);
+  const handler = td.func('pageChangedHandler');
+  dataTable.listen(strings.PAGE_CHANGED_EVENT, handler);
+
+  assert.instanceOf(dataTable.pagination, MDCDataTablePagination);
+  dataTable.pagination.goToNextPage();
+  td.verify(handler(td.matchers.contains({detail: {offset: 25, limit: 25}})));
+});
+
+test('MDCDataTable without pagination controls has no pagination', () => {
+  const root = bel`<div class="mdc-data-table"><table class="mdc-data-table__table"></table></div>`;
+  assert.isNull(new MDCDataTable(root).pagination);
+});
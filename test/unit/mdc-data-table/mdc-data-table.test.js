@@ -0,0 +1,343 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import bel from 'bel';
+import domEvents from 'dom-events';
+import {assert} from 'chai';
+import td from 'testdouble';
+
+import {MDCDataTable, MDCDataTableFoundation, SortValue} from '../../../packages/mdc-data-table';
+
+const {cssClasses, strings} = MDCDataTableFoundation;
+
+function getCheckbox(className, checked = false) {
+  return bel`
+    <div class="mdc-checkbox ${className}">
+      <input type="checkbox" class="mdc-checkbox__native-control" ${checked ? 'checked' : ''}/>
+      <div class="mdc-checkbox__background">
+        <svg class="mdc-checkbox__checkmark" viewBox="0 0 24 24">
+          <path class="mdc-checkbox__checkmark-path" fill="none" d="M1.73,12.91 8.1,19.28 22.79,4.59"/>
+        </svg>
+        <div class="mdc-checkbox__mixedmark"></div>
+      </div>
+    </div>
+  `;
+}
+
+function getFixture({selectedRowIndex = -1} = {}) {
+  const rowIds = ['u0', 'u1', 'u2'];
+  return bel`
+    <div class="mdc-data-table">
+      <table class="mdc-data-table__table">
+        <thead>
+          <tr class="mdc-data-table__header-row">
+            <th class="mdc-data-table__header-cell mdc-data-table__header-cell--checkbox">
+              ${getCheckbox(cssClasses.HEADER_ROW_CHECKBOX)}
+            </th>
+            <th class="mdc-data-table__header-cell">Dessert</th>
+          </tr>
+        </thead>
+        <tbody class="mdc-data-table__content">
+          ${rowIds.map((rowId, index) => bel`
+            <tr data-row-id="${rowId}" class="mdc-data-table__row">
+              <td class="mdc-data-table__cell mdc-data-table__cell--checkbox">
+                ${getCheckbox(cssClasses.ROW_CHECKBOX, index === selectedRowIndex)}
+              </td>
+              <td class="mdc-data-table__cell">Dessert ${index}</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function getPlainFixture() {
+  return bel`
+    <div class="mdc-data-table">
+      <table class="mdc-data-table__table">
+        <thead>
+          <tr class="mdc-data-table__header-row">
+            <th class="mdc-data-table__header-cell">Dessert</th>
+          </tr>
+        </thead>
+        <tbody class="mdc-data-table__content">
+          <tr class="mdc-data-table__row"><td class="mdc-data-table__cell">Frozen yogurt</td></tr>
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function getSortableFixture() {
+  const desserts = [['u0', 'Frozen yogurt', '159'], ['u1', 'Eclair', '262'], ['u2', 'Cupcake', '1,305']];
+  return bel`
+    <div class="mdc-data-table">
+      <table class="mdc-data-table__table">
+        <thead>
+          <tr class="mdc-data-table__header-row">
+            <th class="mdc-data-table__header-cell mdc-data-table__header-cell--checkbox">
+              ${getCheckbox(cssClasses.HEADER_ROW_CHECKBOX)}
+            </th>
+            <th class="mdc-data-table__header-cell mdc-data-table__header-cell--sortable"
+              data-column-id="dessert" data-sort-type="string" aria-sort="none" tabindex="0">
+              Dessert<i class="material-icons mdc-data-table__sort-icon">arrow_upward</i>
+            </th>
+            <th class="mdc-data-table__header-cell mdc-data-table__header-cell--sortable"
+              data-column-id="calories" data-sort-type="numeric" aria-sort="none" tabindex="0">Calories</th>
+          </tr>
+        </thead>
+        <tbody class="mdc-data-table__content">
+          ${desserts.map(([rowId, name, calories]) => bel`
+            <tr data-row-id="${rowId}" class="mdc-data-table__row">
+              <td class="mdc-data-table__cell mdc-data-table__cell--checkbox">
+                ${getCheckbox(cssClasses.ROW_CHECKBOX)}
+              </td>
+              <td class="mdc-data-table__cell">${name}</td>
+              <td class="mdc-data-table__cell mdc-data-table__cell--numeric">${calories}</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function getRowIds(root) {
+  return [].slice.call(root.querySelectorAll(strings.ROW_SELECTOR)).map((rowEl) => rowEl.getAttribute('data-row-id'));
+}
+
+function setupTest(fixtureOptions) {
+  const root = getFixture(fixtureOptions);
+  const component = new MDCDataTable(root);
+  const adapter = component.getDefaultFoundation().adapter_;
+  return {root, component, adapter};
+}
+
+suite('MDCDataTable');
+
+test('attachTo returns an MDCDataTable instance', () => {
+  assert.isOk(MDCDataTable.attachTo(getFixture()) instanceof MDCDataTable);
+});
+
+test('#constructor instantiates a checkbox for the header row and every body row', () => {
+  const root = getFixture();
+  const checkboxElements = [];
+  const component = new MDCDataTable(root, undefined, (el) => {
+    checkboxElements.push(el);
+    return {checked: false, destroy: () => {}};
+  });
+  assert.deepEqual(checkboxElements, [
+    root.querySelector(strings.HEADER_ROW_CHECKBOX_SELECTOR),
+    ...[].slice.call(root.querySelectorAll(strings.ROW_CHECKBOX_SELECTOR)),
+  ]);
+  component.destroy();
+});
+
+test('#constructor does not instantiate checkboxes for a table without row selection', () => {
+  const checkboxFactory = td.func('checkboxFactory');
+  const component = new MDCDataTable(getPlainFixture(), undefined, checkboxFactory);
+  td.verify(checkboxFactory(td.matchers.anything()), {times: 0});
+  component.destroy();
+});
+
+test('#constructor marks rows with checked checkboxes as selected', () => {
+  const {root} = setupTest({selectedRowIndex: 1});
+  const rows = root.querySelectorAll(strings.ROW_SELECTOR);
+  assert.isTrue(rows[1].classList.contains(cssClasses.ROW_SELECTED));
+  assert.equal(rows[1].getAttribute(strings.ARIA_SELECTED), 'true');
+  assert.isFalse(rows[0].classList.contains(cssClasses.ROW_SELECTED));
+  assert.equal(rows[0].getAttribute(strings.ARIA_SELECTED), 'false');
+});
+
+test('#destroy destroys the checkbox components', () => {
+  const root = getFixture();
+  const destroy = td.func('destroy');
+  const component = new MDCDataTable(root, undefined, () => ({checked: false, destroy}));
+  component.destroy();
+  td.verify(destroy(), {times: 4});
+});
+
+test('#destroy removes the change listeners', () => {
+  const {root, component} = setupTest();
+  const handler = td.func('selectionChangedHandler');
+  component.listen(strings.SELECTION_CHANGED_EVENT, handler);
+  component.destroy();
+  domEvents.emit(root.querySelector(`${strings.ROW_CHECKBOX_SELECTOR} input`), 'change', {bubbles: true});
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('#getRows returns the body row elements', () => {
+  const {root, component} = setupTest();
+  assert.deepEqual(component.getRows(), [].slice.call(root.querySelectorAll(strings.ROW_SELECTOR)));
+});
+
+test('#getSelectedRowIds returns the ids of the selected rows', () => {
+  const {component} = setupTest({selectedRowIndex: 2});
+  assert.deepEqual(component.getSelectedRowIds(), ['u2']);
+});
+
+test('#setSelectedRowIds selects the given rows', () => {
+  const {root, component} = setupTest();
+  component.setSelectedRowIds(['u0', 'u1']);
+  const rows = root.querySelectorAll(strings.ROW_SELECTOR);
+  assert.isTrue(rows[0].classList.contains(cssClasses.ROW_SELECTED));
+  assert.isTrue(rows[1].classList.contains(cssClasses.ROW_SELECTED));
+  assert.isFalse(rows[2].classList.contains(cssClasses.ROW_SELECTED));
+  assert.deepEqual(component.getSelectedRowIds(), ['u0', 'u1']);
+});
+
+test('change event on a row checkbox emits MDCDataTable:selectionChanged', () => {
+  const {root, component} = setupTest();
+  const handler = td.func('selectionChangedHandler');
+  component.listen(strings.SELECTION_CHANGED_EVENT, handler);
+
+  const nativeControl = root.querySelectorAll(`${strings.ROW_CHECKBOX_SELECTOR} input`)[1];
+  nativeControl.checked = true;
+  domEvents.emit(nativeControl, 'change', {bubbles: true});
+
+  td.verify(handler(td.matchers.contains({detail: {rowId: 'u1', rowIndex: 1, selected: true}})));
+});
+
+test('change event on the header row checkbox selects all rows and emits MDCDataTable:selectedAll', () => {
+  const {root, component} = setupTest();
+  const handler = td.func('selectedAllHandler');
+  component.listen(strings.SELECTED_ALL_EVENT, handler);
+
+  const nativeControl = root.querySelector(`${strings.HEADER_ROW_CHECKBOX_SELECTOR} input`);
+  nativeControl.checked = true;
+  domEvents.emit(nativeControl, 'change', {bubbles: true});
+
+  assert.deepEqual(component.getSelectedRowIds(), ['u0', 'u1', 'u2']);
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('change event on the header row checkbox unselects all rows and emits MDCDataTable:unselectedAll', () => {
+  const {root, component} = setupTest();
+  const handler = td.func('unselectedAllHandler');
+  component.listen(strings.UNSELECTED_ALL_EVENT, handler);
+  component.setSelectedRowIds(['u0', 'u1', 'u2']);
+
+  const nativeControl = root.querySelector(`${strings.HEADER_ROW_CHECKBOX_SELECTOR} input`);
+  nativeControl.checked = false;
+  domEvents.emit(nativeControl, 'change', {bubbles: true});
+
+  assert.deepEqual(component.getSelectedRowIds(), []);
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('#adapter.getRowIndexByChildElement returns the index of the row containing the element', () => {
+  const {root, adapter} = setupTest();
+  const cell = root.querySelectorAll('.mdc-data-table__cell')[3];
+  assert.equal(adapter.getRowIndexByChildElement(cell), 1);
+});
+
+test('#adapter.getRowIndexByChildElement returns -1 for elements outside of body rows', () => {
+  const {root, adapter} = setupTest();
+  assert.equal(adapter.getRowIndexByChildElement(root.querySelector('.mdc-data-table__header-cell')), -1);
+});
+
+test('#adapter.setHeaderRowCheckboxIndeterminate sets the header row checkbox to indeterminate', () => {
+  const {root, component} = setupTest();
+  component.setSelectedRowIds(['u0']);
+  assert.isTrue(root.querySelector(`${strings.HEADER_ROW_CHECKBOX_SELECTOR} input`).indeterminate);
+});
+
+test('#adapter.isRowsSelectable returns false when the table has no header row checkbox', () => {
+  const component = new MDCDataTable(getPlainFixture());
+  assert.isFalse(component.getDefaultFoundation().adapter_.isRowsSelectable());
+});
+
+test('#adapter.addClassAtRowIndex adds a class to the row at the given index', () => {
+  const {root, adapter} = setupTest();
+  adapter.addClassAtRowIndex(2, 'foo');
+  assert.isTrue(root.querySelectorAll(strings.ROW_SELECTOR)[2].classList.contains('foo'));
+});
+
+test('#adapter.getRowIdAtIndex returns the row id of the row at the given index', () => {
+  const {adapter} = setupTest();
+  assert.equal(adapter.getRowIdAtIndex(1), 'u1');
+});
+
+test('click on a sortable header cell sorts the rows and emits MDCDataTable:sorted', () => {
+  const root = getSortableFixture();
+  const component = new MDCDataTable(root);
+  const handler = td.func('sortedHandler');
+  component.listen(strings.SORTED_EVENT, handler);
+
+  const headerCell = root.querySelectorAll(strings.HEADER_CELL_SELECTOR)[1];
+  domEvents.emit(headerCell.querySelector('.mdc-data-table__sort-icon'), 'click', {bubbles: true});
+
+  assert.equal(headerCell.getAttribute(strings.ARIA_SORT), SortValue.ASCENDING);
+  assert.isTrue(headerCell.classList.contains(cssClasses.HEADER_CELL_SORTED));
+  assert.deepEqual(getRowIds(root), ['u2', 'u1', 'u0']);
+  td.verify(handler(td.matchers.contains({detail: {columnId: 'dessert', columnIndex: 1, sortValue: 'ascending'}})));
+});
+
+test('clicks on a sortable header cell cycle its sort direction', () => {
+  const root = getSortableFixture();
+  const component = new MDCDataTable(root);
+  const headerCell = root.querySelectorAll(strings.HEADER_CELL_SELECTOR)[2];
+
+  domEvents.emit(headerCell, 'click', {bubbles: true});
+  assert.equal(headerCell.getAttribute(strings.ARIA_SORT), SortValue.ASCENDING);
+  domEvents.emit(headerCell, 'click', {bubbles: true});
+  assert.equal(headerCell.getAttribute(strings.ARIA_SORT), SortValue.DESCENDING);
+  assert.deepEqual(getRowIds(root), ['u2', 'u1', 'u0']);
+  domEvents.emit(headerCell, 'click', {bubbles: true});
+  assert.equal(headerCell.getAttribute(strings.ARIA_SORT), SortValue.NONE);
+  assert.deepEqual(getRowIds(root), ['u0', 'u1', 'u2']);
+  component.destroy();
+});
+
+test('canceling MDCDataTable:sorted prevents the rows from being sorted', () => {
+  const root = getSortableFixture();
+  const component = new MDCDataTable(root);
+  component.listen(strings.SORTED_EVENT, (evt) => evt.preventDefault());
+
+  component.sort('dessert', SortValue.ASCENDING);
+
+  assert.equal(root.querySelectorAll(strings.HEADER_CELL_SELECTOR)[1].getAttribute(strings.ARIA_SORT), 'ascending');
+  assert.deepEqual(getRowIds(root), ['u0', 'u1', 'u2']);
+});
+
+test('#sort sorts the rows by the column with the given column id', () => {
+  const root = getSortableFixture();
+  const component = new MDCDataTable(root);
+  component.sort('calories', SortValue.DESCENDING);
+  assert.deepEqual(getRowIds(root), ['u2', 'u1', 'u0']);
+});
+
+test('#getSelectedRowIds returns the ids of the selected rows after sorting', () => {
+  const root = getSortableFixture();
+  const component = new MDCDataTable(root);
+  component.setSelectedRowIds(['u0']);
+  component.sort('dessert', SortValue.ASCENDING);
+  assert.deepEqual(component.getSelectedRowIds(), ['u0']);
+
+  const nativeControl = root.querySelectorAll(`${strings.ROW_CHECKBOX_SELECTOR} input`)[0];
+  nativeControl.checked = true;
+  domEvents.emit(nativeControl, 'change', {bubbles: true});
+  assert.deepEqual(component.getSelectedRowIds(), ['u2', 'u0']);
+});
+
+test('#destroy removes the header cell listeners', () => {
+  const root = getSortableFixture();
+  const component = new MDCDataTable(root);
+  component.destroy();
+  domEvents.emit(root.querySelectorAll(strings.HEADER_CELL_SELECTOR)[1], 'click', {bubbles: true});
+  assert.deepEqual(getRowIds(root), ['u0', 'u1', 'u2']);
+});
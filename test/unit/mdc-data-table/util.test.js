@@ -0,0 +1,73 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {assert} from 'chai';
+import * as util from '../../../packages/mdc-data-table/util';
+import {SortType} from '../../../packages/mdc-data-table/constants';
+
+suite('MDCDataTable - util');
+
+test('compareStrings compares case-insensitively', () => {
+  assert.isBelow(util.compareStrings('apple', 'Banana'), 0);
+  assert.isAbove(util.compareStrings('Cherry', 'banana'), 0);
+  assert.equal(util.compareStrings(' Apple', 'apple'), 0);
+});
+
+test('compareNumbers compares numerically rather than alphabetically', () => {
+  assert.isBelow(util.compareNumbers('9', '10'), 0);
+  assert.isAbove(util.compareNumbers('-1', '-2'), 0);
+});
+
+test('compareNumbers ignores thousands separators and units', () => {
+  assert.isAbove(util.compareNumbers('1,200 kcal', '980 kcal'), 0);
+  assert.equal(util.compareNumbers('$4.50', '4.5'), 0);
+});
+
+test('compareNumbers orders cells that are not numbers last', () => {
+  assert.isAbove(util.compareNumbers('n/a', '3'), 0);
+  assert.isBelow(util.compareNumbers('3', 'n/a'), 0);
+  assert.equal(util.compareNumbers('n/a', ''), 0);
+});
+
+test('compareNumbers orders cells that are not numbers last in descending order', () => {
+  assert.isAbove(util.compareNumbers('9', '10', -1), 0);
+  assert.isAbove(util.compareNumbers('n/a', '3', -1), 0);
+  assert.isBelow(util.compareNumbers('3', 'n/a', -1), 0);
+});
+
+test('compareStrings reverses the order in descending order', () => {
+  assert.isAbove(util.compareStrings('apple', 'Banana', -1), 0);
+});
+
+test('compareDates compares chronologically', () => {
+  assert.isBelow(util.compareDates('2017-12-31', '2018-01-01'), 0);
+  assert.isAbove(util.compareDates('March 2, 2018', 'February 28, 2018'), 0);
+});
+
+test('compareDates orders cells that are not dates last', () => {
+  assert.isAbove(util.compareDates('unknown', '2018-01-01'), 0);
+});
+
+test('getComparator returns the comparator for each built-in sort type', () => {
+  assert.equal(util.getComparator(SortType.STRING), util.compareStrings);
+  assert.equal(util.getComparator(SortType.NUMERIC), util.compareNumbers);
+  assert.equal(util.getComparator(SortType.DATE), util.compareDates);
+});
+
+test('getComparator returns null for unknown sort types', () => {
+  assert.isNull(util.getComparator('currency'));
+  assert.isNull(util.getComparator(null));
+});
@@ -639,6 +639,68 @@ test('on touch does nothing for non touch pointer events', () => {
   raf.restore();
 });
 
+test('on touch end does nothing without a preceding touch start', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  td.when(mockAdapter.hasClass('mdc-slidable-drawer--open')).thenReturn(true);
+  td.when(mockAdapter.getDrawerWidth()).thenReturn(500);
+  foundation.init();
+
+  handlers.touchend({});
+  td.verify(mockAdapter.setTranslateX(td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.addClass(td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.removeClass(td.matchers.anything()), {times: 0});
+});
+
+test('on touch move translates a drawer anchored to the trailing edge towards that edge', () => {
+  const mockAdapter = td.object(MDCSlidableDrawerFoundation.defaultAdapter);
+
+  class MDCFakeTrailingDrawerFoundation extends MDCSlidableDrawerFoundation {
+    isAnchoredToTrailingEdge_() {
+      return true;
+    }
+  }
+
+  const foundation =
+    new MDCFakeTrailingDrawerFoundation(
+      mockAdapter, 'mdc-slidable-drawer', 'mdc-slidable-drawer--animating', 'mdc-slidable-drawer--open');
+  const drawerHandlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  td.when(mockAdapter.hasClass('mdc-slidable-drawer')).thenReturn(true);
+  td.when(mockAdapter.hasNecessaryDom()).thenReturn(true);
+  td.when(mockAdapter.hasClass('mdc-slidable-drawer--open')).thenReturn(true);
+  td.when(mockAdapter.getDrawerWidth()).thenReturn(500);
+  foundation.init();
+
+  drawerHandlers.touchstart({
+    touches: [{pageX: 100}],
+  });
+  handlers.touchmove({
+    touches: [{pageX: 110}],
+  });
+  raf.flush();
+  td.verify(mockAdapter.setTranslateX(10));
+
+  handlers.touchmove({
+    touches: [{pageX: 90}],
+  });
+  raf.flush();
+  td.verify(mockAdapter.setTranslateX(0));
+
+  td.when(mockAdapter.isRtl()).thenReturn(true);
+  handlers.touchend({});
+  drawerHandlers.touchstart({
+    touches: [{pageX: 100}],
+  });
+  handlers.touchmove({
+    touches: [{pageX: 90}],
+  });
+  raf.flush();
+  td.verify(mockAdapter.setTranslateX(-10));
+  raf.restore();
+});
+
 test('on document keydown closes the drawer via the escape key', () => {
   const {foundation, mockAdapter} = setupTest();
   let keydown;
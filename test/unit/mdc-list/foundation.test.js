@@ -19,10 +19,13 @@
 import {assert} from 'chai';
 import td from 'testdouble';
 
+import lolex from 'lolex';
+
+import {createMockRaf} from '../helpers/raf';
 import {verifyDefaultAdapter} from '../helpers/foundation';
 import {setupFoundationTest} from '../helpers/setup';
 import {MDCListFoundation} from '../../../packages/mdc-list/foundation';
-import {strings, cssClasses} from '../../../packages/mdc-list/constants';
+import {strings, cssClasses, numbers} from '../../../packages/mdc-list/constants';
 
 suite('MDCListFoundation');
 
@@ -34,10 +37,20 @@ test('exports cssClasses', () => {
   assert.deepEqual(MDCListFoundation.cssClasses, cssClasses);
 });
 
+test('exports numbers', () => {
+  assert.deepEqual(MDCListFoundation.numbers, numbers);
+});
+
 test('defaultAdapter returns a complete adapter implementation', () => {
   verifyDefaultAdapter(MDCListFoundation, [
     'getListItemCount', 'getFocusedElementIndex', 'getListItemIndex',
-    'focusItemAtIndex', 'setTabIndexForListItemChildren',
+    'focusItemAtIndex', 'setTabIndexForListItemChildren', 'getListItemTextAtIndex', 'isListItemDisabledAtIndex',
+    'setAttributeForElementIndex', 'addClassForElementIndex', 'removeClassForElementIndex', 'hasCheckboxAtIndex',
+    'hasRadioAtIndex', 'isCheckboxCheckedAtIndex', 'setCheckedCheckboxOrRadioAtIndex', 'notifyAction', 'addClass',
+    'removeClass', 'setStyleForElementIndex', 'getListItemClientRectAtIndex', 'getListClientRect', 'getListScrollTop',
+    'setListScrollTop', 'registerBodyInteractionHandler', 'deregisterBodyInteractionHandler', 'moveListItem',
+    'notifyReorder', 'announceReorder', 'getListItemLevelAtIndex', 'isListItemExpandableAtIndex',
+    'isListItemExpandedAtIndex', 'loadChildItemsAtIndex',
   ]);
 });
 
@@ -129,7 +142,7 @@ test('#handleKeydown does nothing if the key is not used for navigation', () =>
   const {foundation, mockAdapter} = setupTest();
   const preventDefault = td.func('preventDefault');
   const target = {tagName: 'li'};
-  const event = {key: 'A', target, preventDefault};
+  const event = {key: 'Shift', target, preventDefault};
 
   td.when(mockAdapter.getFocusedElementIndex()).thenReturn(1);
   td.when(mockAdapter.getListItemCount()).thenReturn(3);
@@ -387,3 +400,842 @@ test('#handleKeydown does not find ancestor with mdc-list-item so returns early'
 
   td.verify(preventDefault(), {times: 0});
 });
+
+/**
+ * Sets up list items with the given texts, and returns a function which types a character in the list.
+ * @param {!MDCListFoundation} foundation
+ * @param {Object} mockAdapter Mock double for the adapter.
+ * @param {!Array<string>} texts
+ * @param {!Array<number>=} disabledIndexes
+ * @return {function(string, number)} Types the key with the item at the given index focused.
+ */
+function initTypeahead(foundation, mockAdapter, texts, disabledIndexes = []) {
+  td.when(mockAdapter.getListItemCount()).thenReturn(texts.length);
+  texts.forEach((text, index) => {
+    td.when(mockAdapter.getListItemTextAtIndex(index)).thenReturn(text);
+    td.when(mockAdapter.isListItemDisabledAtIndex(index)).thenReturn(disabledIndexes.indexOf(index) !== -1);
+  });
+  return (key, focusedIndex) => {
+    td.when(mockAdapter.getFocusedElementIndex()).thenReturn(focusedIndex);
+    foundation.handleKeydown({key, target: {tagName: 'li', classList: ['mdc-list-item']}, preventDefault: () => {}});
+  };
+}
+
+test('#handleKeydown with a character focuses the next item starting with it', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const type = initTypeahead(foundation, mockAdapter, ['Austria', 'Belgium', 'Bulgaria']);
+  const clock = lolex.install();
+  type('b', 0);
+  td.verify(mockAdapter.focusItemAtIndex(1));
+  clock.uninstall();
+});
+
+test('#handleKeydown with characters typed in quick succession matches them all', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const type = initTypeahead(foundation, mockAdapter, ['Austria', 'Belgium', 'Bulgaria']);
+  const clock = lolex.install();
+  type('b', 0);
+  td.verify(mockAdapter.focusItemAtIndex(1));
+  type('u', 1);
+  td.verify(mockAdapter.focusItemAtIndex(2));
+  clock.uninstall();
+});
+
+test('#handleKeydown starts typeahead over once the buffer timeout has passed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const type = initTypeahead(foundation, mockAdapter, ['Austria', 'Belgium', 'Uganda', 'Bulgaria']);
+  const clock = lolex.install();
+  type('b', 0);
+  clock.tick(numbers.TYPEAHEAD_BUFFER_CLEAR_TIMEOUT_MS);
+  type('u', 1);
+  td.verify(mockAdapter.focusItemAtIndex(2));
+  clock.uninstall();
+});
+
+test('#handleKeydown typing the same character repeatedly cycles through the matching items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const type = initTypeahead(foundation, mockAdapter, ['Belgium', 'Austria', 'Bulgaria']);
+  const clock = lolex.install();
+  type('b', 1);
+  td.verify(mockAdapter.focusItemAtIndex(2));
+  type('b', 2);
+  td.verify(mockAdapter.focusItemAtIndex(0));
+  clock.uninstall();
+});
+
+test('#handleKeydown typeahead ignores case and accents', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const type = initTypeahead(foundation, mockAdapter, ['Austria', 'Équateur']);
+  const clock = lolex.install();
+  type('E', 0);
+  td.verify(mockAdapter.focusItemAtIndex(1));
+  clock.uninstall();
+});
+
+test('#handleKeydown typeahead skips disabled items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const type = initTypeahead(foundation, mockAdapter, ['Austria', 'Belgium', 'Bulgaria'], [1]);
+  const clock = lolex.install();
+  type('b', 0);
+  td.verify(mockAdapter.focusItemAtIndex(2));
+  td.verify(mockAdapter.focusItemAtIndex(1), {times: 0});
+  clock.uninstall();
+});
+
+test('#handleKeydown typeahead matches text containing spaces', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const type = initTypeahead(foundation, mockAdapter, ['United Kingdom', 'United States']);
+  const clock = lolex.install();
+  'united s'.split('').forEach((key) => type(key, 0));
+  td.verify(mockAdapter.focusItemAtIndex(1));
+  clock.uninstall();
+});
+
+test('#handleKeydown does not handle a space as typeahead when no characters were typed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const type = initTypeahead(foundation, mockAdapter, [' Leading space']);
+  type(' ', 0);
+  td.verify(mockAdapter.focusItemAtIndex(td.matchers.anything()), {times: 0});
+});
+
+test('#handleKeydown does not handle characters typed into a text field or with modifiers as typeahead', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initTypeahead(foundation, mockAdapter, ['Austria']);
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(0);
+  foundation.handleKeydown({key: 'a', target: {tagName: 'INPUT'}, preventDefault: () => {}});
+  foundation.handleKeydown({key: 'a', ctrlKey: true, target: {tagName: 'li'}, preventDefault: () => {}});
+  td.verify(mockAdapter.focusItemAtIndex(td.matchers.anything()), {times: 0});
+});
+
+test('#destroy clears the typed characters', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const type = initTypeahead(foundation, mockAdapter, ['Austria', 'Belgium', 'Uganda', 'Bulgaria']);
+  const clock = lolex.install();
+  type('b', 0);
+  foundation.destroy();
+  type('u', 1);
+  td.verify(mockAdapter.focusItemAtIndex(2));
+  clock.uninstall();
+});
+
+/**
+ * Sets up a checkbox or radio list with the given number of items, and returns click events for the list items.
+ * @param {!MDCListFoundation} foundation
+ * @param {Object} mockAdapter Mock double for the adapter.
+ * @param {number} count
+ * @param {string=} type 'checkbox', 'radio', or '' for a list without checkboxes and radio buttons.
+ * @return {!Array<{target: !Object}>}
+ */
+function initSelectionList(foundation, mockAdapter, count, type = '') {
+  td.when(mockAdapter.getListItemCount()).thenReturn(count);
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    const target = {tagName: 'LI', classList: ['mdc-list-item'], id: i};
+    td.when(mockAdapter.getListItemIndex(target)).thenReturn(i);
+    td.when(mockAdapter.hasCheckboxAtIndex(i)).thenReturn(type === 'checkbox');
+    td.when(mockAdapter.hasRadioAtIndex(i)).thenReturn(type === 'radio');
+    events.push({target});
+  }
+  foundation.layout();
+  return events;
+}
+
+test('#getSelectedIndex returns -1 when no list item is selected', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3);
+  assert.equal(foundation.getSelectedIndex(), -1);
+});
+
+test('#getSelectedIndex returns an empty array for checkbox lists without checked items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3, 'checkbox');
+  assert.deepEqual(foundation.getSelectedIndex(), []);
+});
+
+test('#setSelectedIndex selects the list item and deselects the previously selected one', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3);
+  foundation.setSelectedIndex(1);
+  td.verify(mockAdapter.addClassForElementIndex(1, cssClasses.LIST_ITEM_SELECTED_CLASS));
+  td.verify(mockAdapter.setAttributeForElementIndex(1, strings.ARIA_SELECTED, 'true'));
+
+  foundation.setSelectedIndex(2);
+  td.verify(mockAdapter.removeClassForElementIndex(1, cssClasses.LIST_ITEM_SELECTED_CLASS));
+  td.verify(mockAdapter.setAttributeForElementIndex(1, strings.ARIA_SELECTED, 'false'));
+  td.verify(mockAdapter.addClassForElementIndex(2, cssClasses.LIST_ITEM_SELECTED_CLASS));
+  assert.equal(foundation.getSelectedIndex(), 2);
+});
+
+test('#setSelectedIndex uses the activated class if setUseActivatedClass is true', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3);
+  foundation.setUseActivatedClass(true);
+  foundation.setSelectedIndex(1);
+  td.verify(mockAdapter.addClassForElementIndex(1, cssClasses.LIST_ITEM_ACTIVATED_CLASS));
+  td.verify(mockAdapter.addClassForElementIndex(1, cssClasses.LIST_ITEM_SELECTED_CLASS), {times: 0});
+});
+
+test('#setSelectedIndex with -1 deselects the selected list item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3);
+  foundation.setSelectedIndex(1);
+  foundation.setSelectedIndex(-1);
+  td.verify(mockAdapter.removeClassForElementIndex(1, cssClasses.LIST_ITEM_SELECTED_CLASS));
+  assert.equal(foundation.getSelectedIndex(), -1);
+});
+
+test('#setSelectedIndex ignores indexes of missing list items and arrays outside of checkbox lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3);
+  foundation.setSelectedIndex(3);
+  foundation.setSelectedIndex([1]);
+  td.verify(mockAdapter.addClassForElementIndex(td.matchers.anything(), td.matchers.anything()), {times: 0});
+  assert.equal(foundation.getSelectedIndex(), -1);
+});
+
+test('#setSelectedIndex checks the list items at the indexes in checkbox lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3, 'checkbox');
+  foundation.setSelectedIndex([2, 0]);
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(0, true));
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(1, false));
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(2, true));
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_CHECKED, 'true'));
+  td.verify(mockAdapter.setAttributeForElementIndex(1, strings.ARIA_CHECKED, 'false'));
+  assert.deepEqual(foundation.getSelectedIndex(), [0, 2]);
+});
+
+test('#setSelectedIndex ignores numbers and indexes of missing list items in checkbox lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3, 'checkbox');
+  foundation.setSelectedIndex(1);
+  foundation.setSelectedIndex([0, 3]);
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(td.matchers.anything(), td.matchers.anything()), {times: 0});
+  assert.deepEqual(foundation.getSelectedIndex(), []);
+});
+
+test('#getSelectedIndex returns a copy of the checked indexes', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3, 'checkbox');
+  foundation.setSelectedIndex([1]);
+  foundation.getSelectedIndex().push(2);
+  assert.deepEqual(foundation.getSelectedIndex(), [1]);
+});
+
+test('#setSelectedIndex checks the radio button of the list item and unchecks the previous one in radio lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3, 'radio');
+  foundation.setSelectedIndex(0);
+  foundation.setSelectedIndex(2);
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(2, true));
+  td.verify(mockAdapter.setAttributeForElementIndex(2, strings.ARIA_CHECKED, 'true'));
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(0, false));
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_CHECKED, 'false'));
+  assert.equal(foundation.getSelectedIndex(), 2);
+});
+
+test('#handleClick notifies of the action on the clicked list item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3);
+  foundation.handleClick(events[1]);
+  td.verify(mockAdapter.notifyAction(1));
+  td.verify(mockAdapter.addClassForElementIndex(td.matchers.anything(), td.matchers.anything()), {times: 0});
+});
+
+test('#handleClick selects the clicked list item in single selection lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3);
+  foundation.setSingleSelection(true);
+  foundation.handleClick(events[1]);
+  td.verify(mockAdapter.addClassForElementIndex(1, cssClasses.LIST_ITEM_SELECTED_CLASS));
+  assert.equal(foundation.getSelectedIndex(), 1);
+});
+
+test('#handleClick finds the list item of a clicked child element', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3);
+  foundation.handleClick({target: {tagName: 'SPAN', classList: [], parentElement: events[2].target}});
+  td.verify(mockAdapter.notifyAction(2));
+});
+
+test('#handleClick does nothing for disabled list items, labels and targets outside of list items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3);
+  td.when(mockAdapter.isListItemDisabledAtIndex(0)).thenReturn(true);
+  foundation.handleClick(events[0]);
+  foundation.handleClick({target: {tagName: 'LABEL', classList: [], parentElement: events[1].target}});
+  foundation.handleClick({target: {tagName: 'DIV', classList: [], parentElement: null}});
+  td.verify(mockAdapter.notifyAction(td.matchers.anything()), {times: 0});
+});
+
+test('#handleClick toggles the checkbox of the clicked list item in checkbox lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3, 'checkbox');
+  foundation.handleClick(events[1]);
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(1, true));
+  td.verify(mockAdapter.setAttributeForElementIndex(1, strings.ARIA_CHECKED, 'true'));
+  td.verify(mockAdapter.notifyAction(1));
+  assert.deepEqual(foundation.getSelectedIndex(), [1]);
+
+  td.when(mockAdapter.isCheckboxCheckedAtIndex(1)).thenReturn(true);
+  foundation.handleClick(events[1]);
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(1, false));
+  assert.deepEqual(foundation.getSelectedIndex(), []);
+});
+
+test('#handleClick on a checkbox keeps the state the browser toggled it to', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3, 'checkbox');
+  td.when(mockAdapter.isCheckboxCheckedAtIndex(2)).thenReturn(true);
+  foundation.handleClick({target: {tagName: 'INPUT', classList: [], parentElement: events[2].target}});
+  td.verify(mockAdapter.setAttributeForElementIndex(2, strings.ARIA_CHECKED, 'true'));
+  assert.deepEqual(foundation.getSelectedIndex(), [2]);
+});
+
+test('#handleClick with Shift checks all enabled list items from the previously clicked one in checkbox lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 5, 'checkbox');
+  td.when(mockAdapter.isListItemDisabledAtIndex(2)).thenReturn(true);
+  foundation.handleClick(events[4]);
+  foundation.handleClick(Object.assign({shiftKey: true}, events[1]));
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(2, true), {times: 0});
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(0, true), {times: 0});
+  assert.deepEqual(foundation.getSelectedIndex(), [1, 3, 4]);
+});
+
+test('#handleClick with Shift unchecks the range if the clicked list item becomes unchecked', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 4, 'checkbox');
+  foundation.setSelectedIndex([0, 1, 2, 3]);
+  td.when(mockAdapter.isCheckboxCheckedAtIndex(td.matchers.isA(Number))).thenReturn(true);
+  foundation.handleClick(events[0]);
+  foundation.handleClick(Object.assign({shiftKey: true}, events[2]));
+  assert.deepEqual(foundation.getSelectedIndex(), [3]);
+});
+
+test('#handleClick with Shift toggles only the clicked list item if no list item was clicked before', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3, 'checkbox');
+  foundation.handleClick(Object.assign({shiftKey: true}, events[2]));
+  assert.deepEqual(foundation.getSelectedIndex(), [2]);
+});
+
+test('#handleClick checks the radio button of the clicked list item in radio lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3, 'radio');
+  foundation.handleClick(events[1]);
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(1, true));
+  td.verify(mockAdapter.notifyAction(1));
+  assert.equal(foundation.getSelectedIndex(), 1);
+});
+
+test('#handleKeydown Enter or Space on a list item selects it and notifies of the action', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3);
+  const preventDefault = td.func('preventDefault');
+  foundation.setSingleSelection(true);
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(1);
+  foundation.handleKeydown({key: 'Enter', target: events[1].target, preventDefault});
+  td.verify(mockAdapter.addClassForElementIndex(1, cssClasses.LIST_ITEM_SELECTED_CLASS));
+  td.verify(mockAdapter.notifyAction(1));
+
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(2);
+  foundation.handleKeydown({key: ' ', target: events[2].target, preventDefault});
+  td.verify(mockAdapter.notifyAction(2));
+  td.verify(preventDefault(), {times: 2});
+  assert.equal(foundation.getSelectedIndex(), 2);
+});
+
+test('#handleKeydown Space on a list item toggles its checkbox in checkbox lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3, 'checkbox');
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(0);
+  foundation.handleKeydown({key: ' ', target: events[0].target, preventDefault: () => {}});
+  td.verify(mockAdapter.setCheckedCheckboxOrRadioAtIndex(0, true));
+  assert.deepEqual(foundation.getSelectedIndex(), [0]);
+});
+
+test('#handleKeydown Enter on a link list item is left to the click it dispatches', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const target = {tagName: 'A', classList: ['mdc-list-item']};
+  const preventDefault = td.func('preventDefault');
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(0);
+  foundation.handleKeydown({key: 'Enter', target, preventDefault});
+  td.verify(mockAdapter.notifyAction(td.matchers.anything()), {times: 0});
+  td.verify(preventDefault(), {times: 0});
+});
+
+test('#handleKeydown Enter or Space does nothing on disabled list items and on elements within list items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3);
+  td.when(mockAdapter.isListItemDisabledAtIndex(0)).thenReturn(true);
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(0);
+  foundation.handleKeydown({key: 'Enter', target: events[0].target, preventDefault: () => {}});
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(-1);
+  foundation.handleKeydown({key: 'Enter', target: {tagName: 'BUTTON', classList: [], parentElement: events[1].target},
+    preventDefault: () => {}});
+  td.verify(mockAdapter.notifyAction(td.matchers.anything()), {times: 0});
+});
+
+test('#handleKeydown Space after typed characters continues typeahead instead of selecting', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const type = initTypeahead(foundation, mockAdapter, ['United Kingdom', 'United States']);
+  const clock = lolex.install();
+  foundation.setSingleSelection(true);
+  type('u', 0);
+  type(' ', 0);
+  td.verify(mockAdapter.notifyAction(td.matchers.anything()), {times: 0});
+  clock.uninstall();
+});
+
+test('#layout resets the selection when a list becomes a checkbox list', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initSelectionList(foundation, mockAdapter, 3);
+  foundation.setSelectedIndex(1);
+  td.when(mockAdapter.hasCheckboxAtIndex(0)).thenReturn(true);
+  foundation.layout();
+  assert.deepEqual(foundation.getSelectedIndex(), []);
+});
+
+/**
+ * Sets up a reorderable vertical list of 48px high list items, and returns events targeting the list items.
+ * @param {!MDCListFoundation} foundation
+ * @param {Object} mockAdapter Mock double for the adapter.
+ * @param {number} count
+ * @return {!Array<{target: !Object}>}
+ */
+function initReorderableList(foundation, mockAdapter, count) {
+  const events = initSelectionList(foundation, mockAdapter, count);
+  for (let i = 0; i < count; i++) {
+    td.when(mockAdapter.getListItemClientRectAtIndex(i)).thenReturn({top: i * 48, height: 48, left: 0, width: 200});
+  }
+  td.when(mockAdapter.getListClientRect()).thenReturn({top: 0, bottom: count * 48});
+  td.when(mockAdapter.getListScrollTop()).thenReturn(0);
+  td.when(mockAdapter.notifyReorder(td.matchers.isA(Number), td.matchers.isA(Number))).thenReturn(true);
+  foundation.setReorderable(true);
+  return events;
+}
+
+/**
+ * @param {!Object} target
+ * @param {number} clientY
+ * @return {!Object} A touch event on the target.
+ */
+function touchEvent(target, clientY) {
+  return {target, touches: [{clientX: 0, clientY}], preventDefault: td.func('preventDefault')};
+}
+
+test('#setReorderable adds and removes the reorderable class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setReorderable(true);
+  td.verify(mockAdapter.addClass(cssClasses.LIST_REORDERABLE_CLASS));
+  foundation.setReorderable(false);
+  td.verify(mockAdapter.removeClass(cssClasses.LIST_REORDERABLE_CLASS));
+});
+
+test('#handleKeydown Alt+ArrowDown moves the focused list item down and keeps it focused', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 3);
+  const preventDefault = td.func('preventDefault');
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(1);
+  foundation.handleKeydown({key: 'ArrowDown', altKey: true, target: events[1].target, preventDefault});
+  td.verify(mockAdapter.notifyReorder(1, 2));
+  td.verify(mockAdapter.moveListItem(1, 2));
+  td.verify(mockAdapter.focusItemAtIndex(2));
+  td.verify(mockAdapter.announceReorder(2));
+  td.verify(preventDefault());
+});
+
+test('#handleKeydown Alt+ArrowRight moves the focused list item in horizontal lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 3);
+  foundation.setVerticalOrientation(false);
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(0);
+  foundation.handleKeydown({key: 'ArrowRight', altKey: true, target: events[0].target, preventDefault: () => {}});
+  td.verify(mockAdapter.moveListItem(0, 1));
+});
+
+test('#handleKeydown Alt+ArrowUp does nothing on the first list item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 3);
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(0);
+  foundation.handleKeydown({key: 'ArrowUp', altKey: true, target: events[0].target, preventDefault: () => {}});
+  td.verify(mockAdapter.notifyReorder(td.matchers.anything(), td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.focusItemAtIndex(td.matchers.anything()), {times: 0});
+});
+
+test('#handleKeydown Alt+ArrowDown only moves focus if the list is not reorderable', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initSelectionList(foundation, mockAdapter, 3);
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(0);
+  foundation.handleKeydown({key: 'ArrowDown', altKey: true, target: events[0].target, preventDefault: () => {}});
+  td.verify(mockAdapter.moveListItem(td.matchers.anything(), td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.focusItemAtIndex(1));
+});
+
+test('#handleKeydown Alt+ArrowDown does not move the list item if the reorder event is canceled', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 3);
+  td.when(mockAdapter.notifyReorder(0, 1)).thenReturn(false);
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(0);
+  foundation.handleKeydown({key: 'ArrowDown', altKey: true, target: events[0].target, preventDefault: () => {}});
+  td.verify(mockAdapter.moveListItem(td.matchers.anything(), td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.announceReorder(td.matchers.anything()), {times: 0});
+});
+
+test('moving a list item keeps the selection on the same list items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  foundation.setSelectedIndex(1);
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(0);
+  foundation.handleKeydown({key: 'ArrowDown', altKey: true, target: events[0].target, preventDefault: () => {}});
+  assert.equal(foundation.getSelectedIndex(), 0);
+});
+
+test('moving a list item keeps the checked list items of checkbox lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  td.when(mockAdapter.hasCheckboxAtIndex(0)).thenReturn(true);
+  foundation.layout();
+  foundation.setSelectedIndex([0, 3]);
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(3);
+  foundation.handleKeydown({key: 'ArrowUp', altKey: true, target: events[3].target, preventDefault: () => {}});
+  assert.deepEqual(foundation.getSelectedIndex(), [0, 2]);
+});
+
+test('dragging a list item with the mouse moves it to where it is dropped', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  const moveHandler = td.matchers.captor();
+  const upHandler = td.matchers.captor();
+  foundation.handleMouseDown({button: 0, clientX: 0, clientY: 10, target: events[0].target});
+  td.verify(mockAdapter.registerBodyInteractionHandler('mousemove', moveHandler.capture()));
+  td.verify(mockAdapter.registerBodyInteractionHandler('mouseup', upHandler.capture()));
+
+  moveHandler.value({clientX: 0, clientY: 130});
+  td.verify(mockAdapter.addClass(cssClasses.LIST_DRAGGING_CLASS));
+  td.verify(mockAdapter.addClassForElementIndex(0, cssClasses.LIST_ITEM_DRAGGING_CLASS));
+  td.verify(mockAdapter.setStyleForElementIndex(0, 'transform', 'translateY(120px)'));
+  td.verify(mockAdapter.addClassForElementIndex(2, cssClasses.LIST_ITEM_DROP_AFTER_CLASS));
+
+  upHandler.value({});
+  td.verify(mockAdapter.removeClassForElementIndex(2, cssClasses.LIST_ITEM_DROP_AFTER_CLASS));
+  td.verify(mockAdapter.removeClass(cssClasses.LIST_DRAGGING_CLASS));
+  td.verify(mockAdapter.removeClassForElementIndex(0, cssClasses.LIST_ITEM_DRAGGING_CLASS));
+  td.verify(mockAdapter.setStyleForElementIndex(0, 'transform', ''));
+  td.verify(mockAdapter.deregisterBodyInteractionHandler('mousemove', moveHandler.value));
+  td.verify(mockAdapter.notifyReorder(0, 2));
+  td.verify(mockAdapter.moveListItem(0, 2));
+  td.verify(mockAdapter.focusItemAtIndex(2));
+});
+
+test('dragging a list item up indicates the drop position before the list item it would replace', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  const moveHandler = td.matchers.captor();
+  foundation.handleMouseDown({button: 0, clientX: 0, clientY: 160, target: events[3].target});
+  td.verify(mockAdapter.registerBodyInteractionHandler('mousemove', moveHandler.capture()));
+  moveHandler.value({clientX: 0, clientY: 60});
+  td.verify(mockAdapter.addClassForElementIndex(1, cssClasses.LIST_ITEM_DROP_BEFORE_CLASS));
+});
+
+test('moving the mouse less than the drag threshold does not start dragging, and clicks still work', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  const moveHandler = td.matchers.captor();
+  const upHandler = td.matchers.captor();
+  foundation.handleMouseDown({button: 0, clientX: 0, clientY: 10, target: events[0].target});
+  td.verify(mockAdapter.registerBodyInteractionHandler('mousemove', moveHandler.capture()));
+  td.verify(mockAdapter.registerBodyInteractionHandler('mouseup', upHandler.capture()));
+  moveHandler.value({clientX: 0, clientY: 10 + numbers.DRAG_THRESHOLD_PX});
+  upHandler.value({});
+  foundation.handleClick(events[0]);
+  td.verify(mockAdapter.addClass(cssClasses.LIST_DRAGGING_CLASS), {times: 0});
+  td.verify(mockAdapter.notifyAction(0));
+});
+
+test('the click after dragging a list item with the mouse is ignored', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  const clock = lolex.install();
+  const moveHandler = td.matchers.captor();
+  const upHandler = td.matchers.captor();
+  foundation.handleMouseDown({button: 0, clientX: 0, clientY: 10, target: events[0].target});
+  td.verify(mockAdapter.registerBodyInteractionHandler('mousemove', moveHandler.capture()));
+  td.verify(mockAdapter.registerBodyInteractionHandler('mouseup', upHandler.capture()));
+  moveHandler.value({clientX: 0, clientY: 30});
+  upHandler.value({});
+  foundation.handleClick(events[0]);
+  td.verify(mockAdapter.notifyAction(td.matchers.anything()), {times: 0});
+
+  clock.tick(0);
+  foundation.handleClick(events[0]);
+  td.verify(mockAdapter.notifyAction(0));
+  clock.uninstall();
+});
+
+test('#handleMouseDown ignores other buttons, elements within list items and lists which are not reorderable', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  foundation.handleMouseDown({button: 2, clientX: 0, clientY: 10, target: events[0].target});
+  foundation.handleMouseDown({button: 0, clientX: 0, clientY: 10,
+    target: {tagName: 'BUTTON', classList: [], parentElement: events[0].target}});
+  foundation.setReorderable(false);
+  foundation.handleMouseDown({button: 0, clientX: 0, clientY: 10, target: events[0].target});
+  td.verify(mockAdapter.registerBodyInteractionHandler(td.matchers.anything(), td.matchers.anything()), {times: 0});
+});
+
+test('dragging a list item near the bottom edge of the list scrolls the list', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  const raf = createMockRaf();
+  const moveHandler = td.matchers.captor();
+  foundation.handleMouseDown({button: 0, clientX: 0, clientY: 10, target: events[0].target});
+  td.verify(mockAdapter.registerBodyInteractionHandler('mousemove', moveHandler.capture()));
+  moveHandler.value({clientX: 0, clientY: 4 * 48 - numbers.AUTO_SCROLL_EDGE_PX / 2});
+  raf.flush();
+  td.verify(mockAdapter.setListScrollTop(numbers.AUTO_SCROLL_MAX_STEP_PX / 2));
+
+  moveHandler.value({clientX: 0, clientY: 100});
+  raf.flush();
+  td.verify(mockAdapter.setListScrollTop(td.matchers.anything()), {times: 1});
+  raf.restore();
+});
+
+test('touching a list item for a while starts dragging it', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  const clock = lolex.install();
+  foundation.handleTouchStart(touchEvent(events[0].target, 10));
+  clock.tick(numbers.LONG_PRESS_DELAY_MS);
+  td.verify(mockAdapter.addClassForElementIndex(0, cssClasses.LIST_ITEM_DRAGGING_CLASS));
+
+  const moveEvent = touchEvent(events[0].target, 130);
+  foundation.handleTouchMove(moveEvent);
+  td.verify(moveEvent.preventDefault());
+  const endEvent = Object.assign(touchEvent(events[0].target, 130), {type: 'touchend'});
+  foundation.handleTouchEnd(endEvent);
+  td.verify(endEvent.preventDefault());
+  td.verify(mockAdapter.moveListItem(0, 2));
+  clock.uninstall();
+});
+
+test('moving the touch before the long press delay lets the list scroll instead of dragging', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  const clock = lolex.install();
+  foundation.handleTouchStart(touchEvent(events[0].target, 10));
+  const moveEvent = touchEvent(events[0].target, 40);
+  foundation.handleTouchMove(moveEvent);
+  clock.tick(numbers.LONG_PRESS_DELAY_MS);
+  td.verify(moveEvent.preventDefault(), {times: 0});
+  td.verify(mockAdapter.addClass(cssClasses.LIST_DRAGGING_CLASS), {times: 0});
+  clock.uninstall();
+});
+
+test('canceling the touch while dragging does not move the list item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  const clock = lolex.install();
+  foundation.handleTouchStart(touchEvent(events[0].target, 10));
+  clock.tick(numbers.LONG_PRESS_DELAY_MS);
+  foundation.handleTouchMove(touchEvent(events[0].target, 130));
+  foundation.handleTouchEnd(Object.assign(touchEvent(events[0].target, 130), {type: 'touchcancel'}));
+  td.verify(mockAdapter.removeClass(cssClasses.LIST_DRAGGING_CLASS));
+  td.verify(mockAdapter.moveListItem(td.matchers.anything(), td.matchers.anything()), {times: 0});
+  clock.uninstall();
+});
+
+test('#handleContextMenu prevents the context menu while a list item is touched', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  const clock = lolex.install();
+  const preventDefault = td.func('preventDefault');
+  foundation.handleContextMenu({preventDefault});
+  td.verify(preventDefault(), {times: 0});
+  foundation.handleTouchStart(touchEvent(events[0].target, 10));
+  foundation.handleContextMenu({preventDefault});
+  td.verify(preventDefault());
+  clock.uninstall();
+});
+
+test('#destroy stops dragging', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initReorderableList(foundation, mockAdapter, 4);
+  const moveHandler = td.matchers.captor();
+  foundation.handleMouseDown({button: 0, clientX: 0, clientY: 10, target: events[0].target});
+  td.verify(mockAdapter.registerBodyInteractionHandler('mousemove', moveHandler.capture()));
+  moveHandler.value({clientX: 0, clientY: 130});
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterBodyInteractionHandler('mousemove', moveHandler.value));
+  td.verify(mockAdapter.removeClass(cssClasses.LIST_DRAGGING_CLASS));
+  td.verify(mockAdapter.moveListItem(td.matchers.anything(), td.matchers.anything()), {times: 0});
+});
+
+/**
+ * Sets up a tree list whose adapter keeps track of the expanded list items, and returns events targeting the list
+ * items.
+ * @param {!MDCListFoundation} foundation
+ * @param {Object} mockAdapter Mock double for the adapter.
+ * @param {!Array<number>} levels The levels of the list items.
+ * @param {!Object<number, boolean>} expanded Whether the expandable list items are expanded, by index.
+ * @return {!Array<{target: !Object}>}
+ */
+function initTreeList(foundation, mockAdapter, levels, expanded) {
+  const events = initSelectionList(foundation, mockAdapter, levels.length);
+  levels.forEach((level, i) => {
+    td.when(mockAdapter.getListItemLevelAtIndex(i)).thenReturn(level);
+    td.when(mockAdapter.isListItemExpandableAtIndex(i)).thenReturn(i in expanded);
+    td.when(mockAdapter.isListItemExpandedAtIndex(i)).thenDo(() => Boolean(expanded[i]));
+  });
+  const {isA} = td.matchers;
+  td.when(mockAdapter.setAttributeForElementIndex(isA(Number), strings.ARIA_EXPANDED, isA(String))).thenDo(
+    (i, attr, value) => expanded[i] = value === 'true');
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(-1);
+  foundation.setTree(true);
+  return events;
+}
+
+/**
+ * @param {!Object} target
+ * @param {string} key
+ * @return {!Object} A keydown event on the target.
+ */
+function keydownEvent(target, key) {
+  return {target, key, preventDefault: td.func('preventDefault')};
+}
+
+test('#setTree hides the list items within collapsed list items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initTreeList(foundation, mockAdapter, [1, 2, 3, 1, 2], {0: true, 1: false, 3: false});
+  td.verify(mockAdapter.addClassForElementIndex(2, cssClasses.LIST_ITEM_HIDDEN_CLASS));
+  td.verify(mockAdapter.addClassForElementIndex(4, cssClasses.LIST_ITEM_HIDDEN_CLASS));
+  [0, 1, 3].forEach((i) => {
+    td.verify(mockAdapter.addClassForElementIndex(i, cssClasses.LIST_ITEM_HIDDEN_CLASS), {times: 0});
+  });
+});
+
+test('#setTree with false shows all list items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initTreeList(foundation, mockAdapter, [1, 2], {0: false});
+  foundation.setTree(false);
+  td.verify(mockAdapter.removeClassForElementIndex(1, cssClasses.LIST_ITEM_HIDDEN_CLASS));
+});
+
+test('#handleKeydown ArrowRight expands a collapsed list item and shows its child items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initTreeList(foundation, mockAdapter, [1, 2, 1], {0: false});
+  const evt = keydownEvent(events[0].target, 'ArrowRight');
+  foundation.handleKeydown(evt);
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_EXPANDED, 'true'));
+  td.verify(mockAdapter.removeClassForElementIndex(1, cssClasses.LIST_ITEM_HIDDEN_CLASS));
+  td.verify(evt.preventDefault());
+});
+
+test('#handleKeydown ArrowRight focuses the first child item of an expanded list item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initTreeList(foundation, mockAdapter, [1, 2, 2], {0: true});
+  foundation.handleKeydown(keydownEvent(events[0].target, 'ArrowRight'));
+  td.verify(mockAdapter.focusItemAtIndex(1));
+});
+
+test('#handleKeydown ArrowRight does nothing on list items without child items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initTreeList(foundation, mockAdapter, [1, 1], {});
+  foundation.handleKeydown(keydownEvent(events[0].target, 'ArrowRight'));
+  td.verify(mockAdapter.focusItemAtIndex(td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_EXPANDED, td.matchers.anything()), {times: 0});
+});
+
+test('#handleKeydown ArrowLeft collapses an expanded list item and hides its child items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initTreeList(foundation, mockAdapter, [1, 2, 3, 1], {0: true, 1: true});
+  foundation.handleKeydown(keydownEvent(events[0].target, 'ArrowLeft'));
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_EXPANDED, 'false'));
+  td.verify(mockAdapter.addClassForElementIndex(1, cssClasses.LIST_ITEM_HIDDEN_CLASS));
+  td.verify(mockAdapter.addClassForElementIndex(2, cssClasses.LIST_ITEM_HIDDEN_CLASS));
+  td.verify(mockAdapter.addClassForElementIndex(3, cssClasses.LIST_ITEM_HIDDEN_CLASS), {times: 0});
+});
+
+test('#handleKeydown ArrowLeft focuses the parent item of a collapsed list item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initTreeList(foundation, mockAdapter, [1, 2, 2, 3], {0: true});
+  foundation.handleKeydown(keydownEvent(events[3].target, 'ArrowLeft'));
+  td.verify(mockAdapter.focusItemAtIndex(2));
+  foundation.handleKeydown(keydownEvent(events[2].target, 'ArrowLeft'));
+  td.verify(mockAdapter.focusItemAtIndex(0));
+});
+
+test('collapsing a list item moves the focus from its child items to it', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initTreeList(foundation, mockAdapter, [1, 2, 3, 1], {0: true, 1: true});
+  td.when(mockAdapter.getFocusedElementIndex()).thenReturn(2);
+  foundation.setExpandedAtIndex(0, false);
+  td.verify(mockAdapter.focusItemAtIndex(0));
+});
+
+test('#handleKeydown ArrowDown, ArrowUp and End skip the list items within collapsed list items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initTreeList(foundation, mockAdapter, [1, 2, 1, 2], {0: false, 2: false});
+  foundation.handleKeydown(keydownEvent(events[0].target, 'ArrowDown'));
+  td.verify(mockAdapter.focusItemAtIndex(2));
+  foundation.handleKeydown(keydownEvent(events[2].target, 'ArrowUp'));
+  td.verify(mockAdapter.focusItemAtIndex(0));
+  foundation.handleKeydown(keydownEvent(events[0].target, 'End'));
+  td.verify(mockAdapter.focusItemAtIndex(2), {times: 2});
+  td.verify(mockAdapter.focusItemAtIndex(1), {times: 0});
+  td.verify(mockAdapter.focusItemAtIndex(3), {times: 0});
+});
+
+test('#handleKeydown Alt+ArrowDown only moves focus in tree lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initTreeList(foundation, mockAdapter, [1, 1], {});
+  foundation.setReorderable(true);
+  foundation.handleKeydown(Object.assign(keydownEvent(events[0].target, 'ArrowDown'), {altKey: true}));
+  td.verify(mockAdapter.focusItemAtIndex(1));
+  td.verify(mockAdapter.moveListItem(td.matchers.anything(), td.matchers.anything()), {times: 0});
+});
+
+test('#handleClick toggles the clicked list item and notifies of the action', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const events = initTreeList(foundation, mockAdapter, [1, 2], {0: false});
+  foundation.handleClick(events[0]);
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_EXPANDED, 'true'));
+  foundation.handleClick(events[0]);
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_EXPANDED, 'false'));
+  td.verify(mockAdapter.notifyAction(0), {times: 2});
+});
+
+test('expanding a list item without child items loads them', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initTreeList(foundation, mockAdapter, [1, 1], {0: false});
+  td.when(mockAdapter.loadChildItemsAtIndex(0)).thenReturn(true);
+  foundation.setExpandedAtIndex(0, true);
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_BUSY, 'true'));
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_EXPANDED, 'true'));
+
+  td.when(mockAdapter.getListItemCount()).thenReturn(3);
+  td.when(mockAdapter.getListItemLevelAtIndex(1)).thenReturn(2);
+  td.when(mockAdapter.getListItemLevelAtIndex(2)).thenReturn(1);
+  foundation.handleChildItemsLoaded(0);
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_BUSY, 'false'));
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_EXPANDED, 'false'), {times: 0});
+});
+
+test('#handleChildItemsLoaded collapses the list item again if no child items were loaded', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initTreeList(foundation, mockAdapter, [1, 1], {0: false});
+  td.when(mockAdapter.loadChildItemsAtIndex(0)).thenReturn(true);
+  foundation.setExpandedAtIndex(0, true);
+  foundation.handleChildItemsLoaded(0);
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_BUSY, 'false'));
+  td.verify(mockAdapter.setAttributeForElementIndex(0, strings.ARIA_EXPANDED, 'false'));
+});
+
+test('expanding a list item without child items does nothing if they cannot be loaded', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initTreeList(foundation, mockAdapter, [1, 1], {0: false});
+  td.when(mockAdapter.loadChildItemsAtIndex(0)).thenReturn(false);
+  foundation.setExpandedAtIndex(0, true);
+  td.verify(mockAdapter.setAttributeForElementIndex(0, td.matchers.anything(), td.matchers.anything()), {times: 0});
+});
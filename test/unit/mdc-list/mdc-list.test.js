@@ -131,3 +131,382 @@ test('keydown handler is removed from the root element on destroy', () => {
   root.dispatchEvent(event);
   td.verify(mockFoundation.handleKeydown(event), {times: 0});
 });
+
+test('#adapter.getListItemTextAtIndex returns the text of the list item', () => {
+  const {component} = setupTest();
+  assert.equal(component.getDefaultFoundation().adapter_.getListItemTextAtIndex(2).trim(), 'Pizza');
+});
+
+test('#adapter.isListItemDisabledAtIndex returns whether the list item has aria-disabled set to true', () => {
+  const {root, component} = setupTest();
+  root.querySelectorAll('.mdc-list-item')[1].setAttribute('aria-disabled', 'true');
+  assert.isFalse(component.getDefaultFoundation().adapter_.isListItemDisabledAtIndex(0));
+  assert.isTrue(component.getDefaultFoundation().adapter_.isListItemDisabledAtIndex(1));
+});
+
+test('destroy destroys the foundation', () => {
+  const {component, mockFoundation} = setupTest();
+  component.destroy();
+  td.verify(mockFoundation.destroy());
+});
+
+function getCheckboxListFixture() {
+  return bel`
+  <ul class="mdc-list" role="group">
+    <li class="mdc-list-item" role="checkbox" aria-checked="false"><input type="checkbox">Apples</li>
+    <li class="mdc-list-item" role="checkbox" aria-checked="true"><input type="checkbox" checked>Bananas</li>
+    <li class="mdc-list-item" role="checkbox" aria-checked="true"><input type="checkbox" checked>Cherries</li>
+   </ul>
+  `;
+}
+
+function getRadioListFixture() {
+  return bel`
+  <ul class="mdc-list" role="radiogroup">
+    <li class="mdc-list-item" role="radio" aria-checked="false"><input type="radio" name="fruit">Apples</li>
+    <li class="mdc-list-item" role="radio" aria-checked="true"><input type="radio" name="fruit" checked>Bananas</li>
+   </ul>
+  `;
+}
+
+test('click handler is added to and removed from the root element', () => {
+  const {root, component, mockFoundation} = setupTest();
+  const event = document.createEvent('MouseEvent');
+  event.initEvent('click', false, true);
+  root.dispatchEvent(event);
+  td.verify(mockFoundation.handleClick(event), {times: 1});
+
+  component.destroy();
+  root.dispatchEvent(event);
+  td.verify(mockFoundation.handleClick(event), {times: 1});
+});
+
+test('layout calls layout on the foundation', () => {
+  const {component, mockFoundation} = setupTest();
+  component.layout();
+  td.verify(mockFoundation.layout(), {times: 2});
+});
+
+test('singleSelection calls setSingleSelection on foundation', () => {
+  const {component, mockFoundation} = setupTest();
+  component.singleSelection = true;
+  td.verify(mockFoundation.setSingleSelection(true), {times: 1});
+});
+
+test('selectedIndex proxies to the foundation', () => {
+  const {component, mockFoundation} = setupTest();
+  td.when(mockFoundation.getSelectedIndex()).thenReturn(2);
+  component.selectedIndex = 1;
+  td.verify(mockFoundation.setSelectedIndex(1), {times: 1});
+  assert.equal(component.selectedIndex, 2);
+});
+
+test('initializes the checked items of checkbox lists', () => {
+  const component = new MDCList(getCheckboxListFixture());
+  assert.deepEqual(component.selectedIndex, [1, 2]);
+});
+
+test('initializes the checked item of radio lists', () => {
+  const component = new MDCList(getRadioListFixture());
+  assert.equal(component.selectedIndex, 1);
+});
+
+test('initializes a single selection list from the selected list item', () => {
+  const root = getFixture();
+  root.querySelectorAll('.mdc-list-item')[1].classList.add('mdc-list-item--selected');
+  const component = new MDCList(root);
+  assert.equal(component.selectedIndex, 1);
+  assert.equal(root.querySelectorAll('.mdc-list-item')[1].getAttribute('aria-selected'), 'true');
+
+  root.querySelectorAll('.mdc-list-item')[2].click();
+  assert.equal(component.selectedIndex, 2);
+  assert.isFalse(root.querySelectorAll('.mdc-list-item')[1].classList.contains('mdc-list-item--selected'));
+});
+
+test('initializes a single selection list using the activated class from the activated list item', () => {
+  const root = getFixture();
+  root.querySelectorAll('.mdc-list-item')[0].classList.add('mdc-list-item--activated');
+  const component = new MDCList(root);
+  component.selectedIndex = 2;
+  assert.isTrue(root.querySelectorAll('.mdc-list-item')[2].classList.contains('mdc-list-item--activated'));
+  assert.isFalse(root.querySelectorAll('.mdc-list-item')[0].classList.contains('mdc-list-item--activated'));
+});
+
+test('#adapter.setAttributeForElementIndex sets the attribute of the list item', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.setAttributeForElementIndex(1, 'aria-selected', 'true');
+  assert.equal(root.querySelectorAll('.mdc-list-item')[1].getAttribute('aria-selected'), 'true');
+});
+
+test('#adapter.addClassForElementIndex and #adapter.removeClassForElementIndex update the list item', () => {
+  const {root, component} = setupTest();
+  const listItem = root.querySelectorAll('.mdc-list-item')[1];
+  component.getDefaultFoundation().adapter_.addClassForElementIndex(1, 'foo');
+  assert.isTrue(listItem.classList.contains('foo'));
+  component.getDefaultFoundation().adapter_.removeClassForElementIndex(1, 'foo');
+  assert.isFalse(listItem.classList.contains('foo'));
+});
+
+test('#adapter.hasCheckboxAtIndex and #adapter.hasRadioAtIndex return whether the list item contains one', () => {
+  const checkboxList = new MDCList(getCheckboxListFixture());
+  const radioList = new MDCList(getRadioListFixture());
+  assert.isTrue(checkboxList.getDefaultFoundation().adapter_.hasCheckboxAtIndex(0));
+  assert.isFalse(checkboxList.getDefaultFoundation().adapter_.hasRadioAtIndex(0));
+  assert.isTrue(radioList.getDefaultFoundation().adapter_.hasRadioAtIndex(0));
+  assert.isFalse(radioList.getDefaultFoundation().adapter_.hasCheckboxAtIndex(0));
+});
+
+test('#adapter.isCheckboxCheckedAtIndex returns whether the checkbox of the list item is checked', () => {
+  const component = new MDCList(getCheckboxListFixture());
+  assert.isFalse(component.getDefaultFoundation().adapter_.isCheckboxCheckedAtIndex(0));
+  assert.isTrue(component.getDefaultFoundation().adapter_.isCheckboxCheckedAtIndex(1));
+});
+
+test('#adapter.setCheckedCheckboxOrRadioAtIndex checks the checkbox and dispatches a change event', () => {
+  const root = getCheckboxListFixture();
+  const component = new MDCList(root);
+  const input = root.querySelector('input');
+  const handler = td.func('changeHandler');
+  input.addEventListener('change', handler);
+  component.getDefaultFoundation().adapter_.setCheckedCheckboxOrRadioAtIndex(0, true);
+  assert.isTrue(input.checked);
+  td.verify(handler(td.matchers.anything()), {times: 1});
+
+  component.getDefaultFoundation().adapter_.setCheckedCheckboxOrRadioAtIndex(0, true);
+  td.verify(handler(td.matchers.anything()), {times: 1});
+});
+
+test('#adapter.notifyAction emits MDCList:action with the index of the list item', () => {
+  const {component} = setupTest();
+  const handler = td.func('actionHandler');
+  component.listen('MDCList:action', handler);
+  component.getDefaultFoundation().adapter_.notifyAction(2);
+  td.verify(handler(td.matchers.contains({detail: {index: 2}})));
+});
+
+test('clicking a list item of a checkbox list toggles its checkbox', () => {
+  const root = getCheckboxListFixture();
+  const component = new MDCList(root);
+  root.querySelectorAll('.mdc-list-item')[0].click();
+  assert.isTrue(root.querySelector('input').checked);
+  assert.equal(root.querySelectorAll('.mdc-list-item')[0].getAttribute('aria-checked'), 'true');
+  assert.deepEqual(component.selectedIndex, [0, 1, 2]);
+});
+
+test('clicking the checkbox of a list item keeps its toggled state', () => {
+  const root = getCheckboxListFixture();
+  const component = new MDCList(root);
+  root.querySelectorAll('input')[1].click();
+  assert.isFalse(root.querySelectorAll('input')[1].checked);
+  assert.deepEqual(component.selectedIndex, [2]);
+});
+
+test('drag handlers are added to and removed from the root element', () => {
+  const {root, component, mockFoundation} = setupTest();
+  const dispatch = (type) => {
+    const event = document.createEvent('Event');
+    event.initEvent(type, false, true);
+    root.dispatchEvent(event);
+    return event;
+  };
+  td.verify(mockFoundation.handleMouseDown(dispatch('mousedown')));
+  td.verify(mockFoundation.handleTouchStart(dispatch('touchstart')));
+  td.verify(mockFoundation.handleTouchMove(dispatch('touchmove')));
+  td.verify(mockFoundation.handleTouchEnd(dispatch('touchend')));
+  td.verify(mockFoundation.handleTouchEnd(dispatch('touchcancel')));
+  td.verify(mockFoundation.handleContextMenu(dispatch('contextmenu')));
+
+  component.destroy();
+  dispatch('mousedown');
+  td.verify(mockFoundation.handleMouseDown(td.matchers.anything()), {times: 1});
+});
+
+test('reorderable calls setReorderable on foundation', () => {
+  const {component, mockFoundation} = setupTest();
+  component.reorderable = true;
+  td.verify(mockFoundation.setReorderable(true), {times: 1});
+});
+
+test('initializes lists with the reorderable class as reorderable', () => {
+  const root = getFixture();
+  root.classList.add('mdc-list--reorderable');
+  const MockFoundationCtor = td.constructor(MDCListFoundation);
+  const mockFoundation = new MockFoundationCtor();
+  // eslint-disable-next-line no-new
+  new MDCList(root, mockFoundation);
+  td.verify(mockFoundation.setReorderable(true), {times: 1});
+});
+
+test('#adapter.moveListItem moves the list item down and up', () => {
+  const {root, component} = setupTest();
+  const adapter = component.getDefaultFoundation().adapter_;
+  const getTexts = () => [].map.call(root.querySelectorAll('.mdc-list-item'),
+    (ele) => ele.firstChild.textContent.trim());
+  adapter.moveListItem(0, 2);
+  assert.deepEqual(getTexts(), ['Pasta', 'Pizza', 'Fruit']);
+  adapter.moveListItem(2, 1);
+  assert.deepEqual(getTexts(), ['Pasta', 'Fruit', 'Pizza']);
+});
+
+test('#adapter.notifyReorder emits a cancelable MDCList:reorder event', () => {
+  const {component} = setupTest();
+  const adapter = component.getDefaultFoundation().adapter_;
+  const handler = td.func('reorderHandler');
+  component.listen('MDCList:reorder', handler);
+  assert.isTrue(adapter.notifyReorder(0, 2));
+  td.verify(handler(td.matchers.contains({detail: {fromIndex: 0, toIndex: 2}})));
+
+  component.listen('MDCList:reorder', (evt) => evt.preventDefault());
+  assert.isFalse(adapter.notifyReorder(0, 2));
+});
+
+test('#adapter.announceReorder announces the new position in a live region after the list', () => {
+  const {root, component} = setupTest();
+  const parent = document.createElement('div');
+  parent.appendChild(root);
+  component.getDefaultFoundation().adapter_.announceReorder(1);
+  assert.equal(root.nextSibling.getAttribute('aria-live'), 'polite');
+  assert.equal(root.nextSibling.textContent, 'Moved to position 2 of 3');
+
+  component.reorderAnnouncement = (position, count) => `${position}/${count}`;
+  component.getDefaultFoundation().adapter_.announceReorder(0);
+  assert.equal(root.nextSibling.textContent, '1/3');
+
+  component.destroy();
+  assert.isNull(root.nextSibling);
+});
+
+test('#adapter.setStyleForElementIndex sets the style of the list item', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.setStyleForElementIndex(1, 'transform', 'translateY(10px)');
+  assert.equal(root.querySelectorAll('.mdc-list-item')[1].style.transform, 'translateY(10px)');
+});
+
+test('#adapter.addClass and #adapter.removeClass update the root element', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.addClass('foo');
+  assert.isTrue(root.classList.contains('foo'));
+  component.getDefaultFoundation().adapter_.removeClass('foo');
+  assert.isFalse(root.classList.contains('foo'));
+});
+
+test('#adapter.registerBodyInteractionHandler and #adapter.deregisterBodyInteractionHandler update the body', () => {
+  const {component} = setupTest();
+  const adapter = component.getDefaultFoundation().adapter_;
+  const handler = td.func('mousemoveHandler');
+  const dispatch = () => {
+    const event = document.createEvent('Event');
+    event.initEvent('mousemove', false, true);
+    document.body.dispatchEvent(event);
+  };
+  adapter.registerBodyInteractionHandler('mousemove', handler);
+  dispatch();
+  adapter.deregisterBodyInteractionHandler('mousemove', handler);
+  dispatch();
+  td.verify(handler(td.matchers.anything()), {times: 1});
+});
+
+test('#adapter.getListItemClientRectAtIndex and #adapter.getListClientRect return client rects', () => {
+  const {root, component} = setupTest();
+  const adapter = component.getDefaultFoundation().adapter_;
+  assert.deepEqual(adapter.getListItemClientRectAtIndex(0),
+    root.querySelectorAll('.mdc-list-item')[0].getBoundingClientRect());
+  assert.deepEqual(adapter.getListClientRect(), root.getBoundingClientRect());
+  assert.equal(adapter.getListScrollTop(), root.scrollTop);
+});
+
+function setupTreeTest() {
+  const root = bel`
+  <ul class="mdc-list mdc-list--tree">
+    <li class="mdc-list-item" aria-expanded="true">Fruit</li>
+    <li class="mdc-list-item" aria-level="2">Apple</li>
+    <li class="mdc-list-item" aria-expanded="false">Pasta</li>
+  </ul>
+  `;
+  const MockFoundationCtor = td.constructor(MDCListFoundation);
+  const mockFoundation = new MockFoundationCtor();
+  const component = new MDCList(root, mockFoundation);
+  return {root, component, mockFoundation};
+}
+
+test('initializes lists with the tree class as tree lists', () => {
+  const {root, mockFoundation} = setupTreeTest();
+  const items = root.querySelectorAll('.mdc-list-item');
+  td.verify(mockFoundation.setTree(true));
+  assert.equal(root.getAttribute('role'), 'tree');
+  assert.equal(items[0].getAttribute('role'), 'treeitem');
+  assert.equal(items[0].getAttribute('aria-level'), '1');
+  assert.equal(items[1].getAttribute('aria-level'), '2');
+});
+
+test('setExpanded calls setExpandedAtIndex on foundation', () => {
+  const {component, mockFoundation} = setupTreeTest();
+  component.setExpanded(2, true);
+  td.verify(mockFoundation.setExpandedAtIndex(2, true));
+});
+
+test('#adapter.getListItemLevelAtIndex, #adapter.isListItemExpandableAtIndex and ' +
+  '#adapter.isListItemExpandedAtIndex read the attributes of the list item', () => {
+  const {component} = setupTreeTest();
+  const adapter = component.getDefaultFoundation().adapter_;
+  assert.equal(adapter.getListItemLevelAtIndex(1), 2);
+  assert.isTrue(adapter.isListItemExpandableAtIndex(0));
+  assert.isFalse(adapter.isListItemExpandableAtIndex(1));
+  assert.isTrue(adapter.isListItemExpandedAtIndex(0));
+  assert.isFalse(adapter.isListItemExpandedAtIndex(2));
+});
+
+test('#adapter.loadChildItemsAtIndex returns false without a child items loader', () => {
+  const {component} = setupTreeTest();
+  assert.isFalse(component.getDefaultFoundation().adapter_.loadChildItemsAtIndex(2));
+});
+
+test('#adapter.loadChildItemsAtIndex adds the loaded child items after the list item', () => {
+  const {root, component, mockFoundation} = setupTreeTest();
+  const childItems = [bel`<li>Spaghetti</li>`, bel`<li>Penne</li>`];
+  const loading = Promise.resolve(childItems);
+  const loader = td.func('childItemsLoader');
+  td.when(loader(root.children[2])).thenReturn(loading);
+  component.childItemsLoader = loader;
+  assert.isTrue(component.getDefaultFoundation().adapter_.loadChildItemsAtIndex(2));
+  return loading.then(() => {
+    assert.equal(root.children[3], childItems[0]);
+    assert.equal(root.children[4], childItems[1]);
+    childItems.forEach((childItem) => {
+      assert.isTrue(childItem.classList.contains('mdc-list-item'));
+      assert.equal(childItem.getAttribute('aria-level'), '2');
+      assert.equal(childItem.getAttribute('role'), 'treeitem');
+    });
+    td.verify(mockFoundation.handleChildItemsLoaded(2));
+  });
+});
+
+test('#adapter.loadChildItemsAtIndex finishes loading if the child items loader fails', () => {
+  const {root, component, mockFoundation} = setupTreeTest();
+  const loading = Promise.reject(new Error('Offline'));
+  component.childItemsLoader = () => loading;
+  component.getDefaultFoundation().adapter_.loadChildItemsAtIndex(2);
+  return loading.catch(() => {
+    assert.equal(root.children.length, 3);
+    td.verify(mockFoundation.handleChildItemsLoaded(2));
+  });
+});
+
+test('#adapter.loadChildItemsAtIndex does not load the child items again while they are loading', () => {
+  const {root, component} = setupTreeTest();
+  const loader = td.func('childItemsLoader');
+  component.childItemsLoader = loader;
+  root.children[2].setAttribute('aria-busy', 'true');
+  assert.isTrue(component.getDefaultFoundation().adapter_.loadChildItemsAtIndex(2));
+  td.verify(loader(td.matchers.anything()), {times: 0});
+});
+
+test('clicking an expanded list item of a tree list collapses it and hides its child items', () => {
+  const {root} = setupTreeTest();
+  const component = new MDCList(root);
+  const items = root.querySelectorAll('.mdc-list-item');
+  items[0].click();
+  assert.equal(items[0].getAttribute('aria-expanded'), 'false');
+  assert.isTrue(items[1].classList.contains('mdc-list-item--hidden'));
+  component.destroy();
+});
@@ -0,0 +1,204 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import td from 'testdouble';
+import bel from 'bel';
+import {MDCVirtualList, MDCVirtualListFoundation} from '../../../packages/mdc-list/index';
+
+function getFixture() {
+  return bel`<ul class="mdc-list mdc-list--virtual" role="listbox" style="height: 240px"></ul>`;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const MockFoundationCtor = td.constructor(MDCVirtualListFoundation);
+  const mockFoundation = new MockFoundationCtor();
+  const component = new MDCVirtualList(root, mockFoundation);
+  return {root, component, mockFoundation};
+}
+
+/**
+ * @param {number} count
+ * @return {!Array<string>}
+ */
+function createItems(count) {
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    items.push(`Line ${i + 1}`);
+  }
+  return items;
+}
+
+/**
+ * @param {!Element} root
+ * @return {!Array<!Element>}
+ */
+function getListItems(root) {
+  return [].slice.call(root.querySelectorAll('.mdc-list-item'));
+}
+
+suite('MDCVirtualList');
+
+test('attachTo initializes and returns a MDCVirtualList instance', () => {
+  assert.isTrue(MDCVirtualList.attachTo(getFixture()) instanceof MDCVirtualList);
+});
+
+test('adds presentational spacers before and after the list items', () => {
+  const root = getFixture();
+  MDCVirtualList.attachTo(root);
+  assert.equal(root.children.length, 2);
+  [].slice.call(root.children).forEach((spacer) => {
+    assert.equal(spacer.getAttribute('role'), 'presentation');
+    assert.equal(spacer.getAttribute('aria-hidden'), 'true');
+  });
+});
+
+test('#items renders the first list items between the spacers', () => {
+  const root = getFixture();
+  const component = MDCVirtualList.attachTo(root);
+  component.items = createItems(1000);
+  const listItems = getListItems(root);
+
+  assert.isAbove(listItems.length, 0);
+  assert.isBelow(listItems.length, 1000);
+  assert.equal(root.firstElementChild.nextElementSibling, listItems[0]);
+  assert.equal(root.lastElementChild.previousElementSibling, listItems[listItems.length - 1]);
+  assert.equal(listItems[1].textContent, 'Line 2');
+  assert.equal(listItems[1].getAttribute('aria-posinset'), '2');
+  assert.equal(listItems[1].getAttribute('aria-setsize'), '1000');
+  assert.equal(listItems[1].getAttribute('role'), 'option');
+  assert.equal(listItems[1].style.height, '48px');
+  assert.equal(root.lastElementChild.style.height, `${(1000 - listItems.length) * 48}px`);
+});
+
+test('#items renders the content of rendered list items again and updates aria-setsize', () => {
+  const root = getFixture();
+  const component = MDCVirtualList.attachTo(root);
+  component.items = createItems(1000);
+  const listItem = getListItems(root)[0];
+  component.items = ['New line'].concat(createItems(1000));
+  assert.equal(getListItems(root)[0], listItem);
+  assert.equal(listItem.textContent, 'New line');
+  assert.equal(listItem.getAttribute('aria-setsize'), '1001');
+  assert.equal(component.items.length, 1001);
+});
+
+test('#items removes list items which no longer exist', () => {
+  const root = getFixture();
+  const component = MDCVirtualList.attachTo(root);
+  component.items = createItems(1000);
+  component.items = createItems(2);
+  assert.equal(getListItems(root).length, 2);
+});
+
+test('#itemTemplate renders list items from the node it returns', () => {
+  const root = getFixture();
+  const component = MDCVirtualList.attachTo(root);
+  component.items = createItems(10);
+  component.itemTemplate = (item, index) => bel`<span class="mdc-list-item__text">${index}: ${item}</span>`;
+  assert.equal(getListItems(root)[1].querySelector('.mdc-list-item__text').textContent, '1: Line 2');
+});
+
+test('#itemHeight sets the height of the list items', () => {
+  const root = getFixture();
+  const component = MDCVirtualList.attachTo(root);
+  component.items = createItems(10);
+  component.itemHeight = 40;
+  assert.equal(component.itemHeight, 40);
+  assert.equal(getListItems(root)[0].style.height, '40px');
+});
+
+test('#focusItemAtIndex focuses the list item', () => {
+  const root = getFixture();
+  document.body.appendChild(root);
+  const component = MDCVirtualList.attachTo(root);
+  component.items = createItems(10);
+  component.focusItemAtIndex(2);
+  assert.equal(document.activeElement, getListItems(root)[2]);
+  assert.equal(component.focusedIndex, 2);
+  assert.equal(getListItems(root)[2].getAttribute('tabindex'), '0');
+  document.body.removeChild(root);
+});
+
+test('keydown on the root element moves focus between list items', () => {
+  const root = getFixture();
+  document.body.appendChild(root);
+  const component = MDCVirtualList.attachTo(root);
+  component.items = createItems(10);
+  const event = document.createEvent('Event');
+  event.initEvent('keydown', false, true);
+  event.key = 'ArrowDown';
+  root.dispatchEvent(event);
+  assert.equal(document.activeElement, getListItems(root)[0]);
+  document.body.removeChild(root);
+});
+
+test('removing the focused list item moves focus to the root element', () => {
+  const root = getFixture();
+  document.body.appendChild(root);
+  const component = MDCVirtualList.attachTo(root);
+  component.items = createItems(10);
+  component.focusItemAtIndex(2);
+  component.items = createItems(2);
+  assert.equal(document.activeElement, root);
+  document.body.removeChild(root);
+});
+
+test('#adapter.getItemIndex returns the index of the list item containing the target', () => {
+  const root = getFixture();
+  const component = MDCVirtualList.attachTo(root);
+  component.itemTemplate = (item) => bel`<span>${item}</span>`;
+  component.items = createItems(10);
+  const adapter = component.getDefaultFoundation().adapter_;
+  assert.equal(adapter.getItemIndex(getListItems(root)[1].querySelector('span')), 1);
+  assert.equal(adapter.getItemIndex(root), -1);
+});
+
+test('#adapter.setAttributeForItemAtIndex ignores list items which are not rendered', () => {
+  const root = getFixture();
+  const component = MDCVirtualList.attachTo(root);
+  component.items = createItems(1000);
+  const adapter = component.getDefaultFoundation().adapter_;
+  adapter.setAttributeForItemAtIndex(0, 'data-foo', 'bar');
+  assert.doesNotThrow(() => adapter.setAttributeForItemAtIndex(999, 'data-foo', 'bar'));
+  assert.equal(getListItems(root)[0].getAttribute('data-foo'), 'bar');
+});
+
+test('layout, scrollToIndex and focusedIndex proxy to the foundation', () => {
+  const {component, mockFoundation} = setupTest();
+  td.when(mockFoundation.getFocusedIndex()).thenReturn(3);
+  component.layout();
+  component.scrollToIndex(5);
+  td.verify(mockFoundation.layout());
+  td.verify(mockFoundation.scrollToIndex(5));
+  assert.equal(component.focusedIndex, 3);
+});
+
+test('event handlers are removed from the root element on destroy', () => {
+  const {root, component, mockFoundation} = setupTest();
+  component.destroy();
+  ['scroll', 'keydown', 'focusin'].forEach((type) => {
+    const event = document.createEvent('Event');
+    event.initEvent(type, false, true);
+    root.dispatchEvent(event);
+  });
+  td.verify(mockFoundation.handleScroll(), {times: 0});
+  td.verify(mockFoundation.handleKeydown(td.matchers.anything()), {times: 0});
+  td.verify(mockFoundation.handleFocusIn(td.matchers.anything()), {times: 0});
+  td.verify(mockFoundation.destroy());
+});
@@ -0,0 +1,71 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {assert} from 'chai';
+import bel from 'bel';
+
+import {MDCListTypeahead, normalizeText, getListItemText} from '../../../packages/mdc-list/typeahead';
+
+suite('MDCList - typeahead');
+
+test('normalizeText lower-cases text and removes accents', () => {
+  assert.equal(normalizeText('Équateur'), 'equateur');
+  assert.equal(normalizeText('São Tomé'), 'sao tome');
+});
+
+test('getListItemText returns the text of the item without its graphic and meta elements', () => {
+  const item = bel`
+    <li class="mdc-list-item">
+      <i class="mdc-list-item__graphic">check</i>Show grid<span class="mdc-list-item__meta">Ctrl+G</span>
+    </li>
+  `;
+  assert.equal(getListItemText(item).trim(), 'Show grid');
+});
+
+test('getListItemText returns the primary text of two-line items', () => {
+  const item = bel`
+    <li class="mdc-list-item">
+      <span class="mdc-list-item__text">
+        <span class="mdc-list-item__primary-text">Belgium</span>
+        <span class="mdc-list-item__secondary-text">Brussels</span>
+      </span>
+    </li>
+  `;
+  assert.equal(getListItemText(item), 'Belgium');
+});
+
+test('#isTypeaheadEvent returns true for printable characters only', () => {
+  const typeahead = new MDCListTypeahead();
+  assert.isTrue(typeahead.isTypeaheadEvent(/** @type {!Event} */ ({key: 'a'})));
+  assert.isFalse(typeahead.isTypeaheadEvent(/** @type {!Event} */ ({key: 'ArrowDown'})));
+  assert.isFalse(typeahead.isTypeaheadEvent(/** @type {!Event} */ ({key: 'a', metaKey: true})));
+  assert.isFalse(typeahead.isTypeaheadEvent(/** @type {!Event} */ ({keyCode: 65})));
+});
+
+test('#isTypeaheadEvent returns true for a space only after other characters were typed', () => {
+  const typeahead = new MDCListTypeahead();
+  assert.isFalse(typeahead.isTypeaheadEvent(/** @type {!Event} */ ({key: ' '})));
+  typeahead.search('a', -1, 0, () => '', () => false);
+  assert.isTrue(typeahead.isTypeaheadEvent(/** @type {!Event} */ ({key: ' '})));
+  typeahead.clear();
+  assert.isFalse(typeahead.isTypeaheadEvent(/** @type {!Event} */ ({key: ' '})));
+});
+
+test('#search returns -1 when no item matches', () => {
+  const typeahead = new MDCListTypeahead();
+  assert.equal(typeahead.search('z', 0, 2, (i) => ['Austria', 'Belgium'][i], () => false), -1);
+  typeahead.clear();
+});
@@ -0,0 +1,256 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import td from 'testdouble';
+
+import {verifyDefaultAdapter} from '../helpers/foundation';
+import {setupFoundationTest} from '../helpers/setup';
+import {MDCVirtualListFoundation} from '../../../packages/mdc-list/virtual-list/foundation';
+import {cssClasses, strings, numbers} from '../../../packages/mdc-list/virtual-list/constants';
+
+const {OVERSCAN_ITEM_COUNT} = numbers;
+
+suite('MDCVirtualListFoundation');
+
+test('exports cssClasses', () => {
+  assert.deepEqual(MDCVirtualListFoundation.cssClasses, cssClasses);
+});
+
+test('exports strings', () => {
+  assert.deepEqual(MDCVirtualListFoundation.strings, strings);
+});
+
+test('exports numbers', () => {
+  assert.deepEqual(MDCVirtualListFoundation.numbers, numbers);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCVirtualListFoundation, [
+    'getViewportHeight', 'getScrollTop', 'setScrollTop', 'renderItems', 'setSpacerHeights', 'getItemIndex',
+    'focusItemAtIndex', 'setAttributeForItemAtIndex', 'setAttribute',
+  ]);
+});
+
+/**
+ * Sets up a list of 1000 items of the default height, of which 10 are visible at a time.
+ * @return {{foundation: !MDCVirtualListFoundation, mockAdapter: !Object}}
+ */
+function setupTest() {
+  const {foundation, mockAdapter} = setupFoundationTest(MDCVirtualListFoundation);
+  td.when(mockAdapter.getViewportHeight()).thenReturn(numbers.DEFAULT_ITEM_HEIGHT * 10);
+  td.when(mockAdapter.getScrollTop()).thenReturn(0);
+  td.when(mockAdapter.setScrollTop(td.matchers.isA(Number))).thenDo((scrollTop) => {
+    td.when(mockAdapter.getScrollTop()).thenReturn(scrollTop);
+  });
+  foundation.init();
+  foundation.setItemCount(1000);
+  return {foundation, mockAdapter};
+}
+
+test('#setItemCount renders the visible list items plus overscan', () => {
+  const {mockAdapter} = setupTest();
+  const endIndex = 10 + OVERSCAN_ITEM_COUNT;
+  td.verify(mockAdapter.renderItems(0, endIndex));
+  td.verify(mockAdapter.setSpacerHeights(0, (1000 - endIndex) * numbers.DEFAULT_ITEM_HEIGHT));
+});
+
+test('#setItemCount renders again even if the same list items are visible', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setItemCount(1000);
+  td.verify(mockAdapter.renderItems(0, 10 + OVERSCAN_ITEM_COUNT), {times: 2});
+});
+
+test('#setItemCount renders all list items of short lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setItemCount(3);
+  td.verify(mockAdapter.renderItems(0, 3));
+  td.verify(mockAdapter.setSpacerHeights(0, 0));
+  assert.equal(foundation.getItemCount(), 3);
+});
+
+test('#handleScroll renders the list items which became visible', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getScrollTop()).thenReturn(100 * numbers.DEFAULT_ITEM_HEIGHT);
+  foundation.handleScroll();
+  td.verify(mockAdapter.renderItems(100 - OVERSCAN_ITEM_COUNT, 110 + OVERSCAN_ITEM_COUNT));
+  td.verify(mockAdapter.setSpacerHeights((100 - OVERSCAN_ITEM_COUNT) * numbers.DEFAULT_ITEM_HEIGHT,
+    (1000 - 110 - OVERSCAN_ITEM_COUNT) * numbers.DEFAULT_ITEM_HEIGHT));
+});
+
+test('#handleScroll does not render again if the same list items are visible', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.handleScroll();
+  td.verify(mockAdapter.renderItems(0, 10 + OVERSCAN_ITEM_COUNT), {times: 1});
+});
+
+test('#setItemHeight renders the list items visible at the new height', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setItemHeight(24);
+  td.verify(mockAdapter.renderItems(0, 20 + OVERSCAN_ITEM_COUNT));
+  assert.equal(foundation.getItemHeight(), 24);
+});
+
+test('#layout measures the visible area again', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getViewportHeight()).thenReturn(numbers.DEFAULT_ITEM_HEIGHT * 20);
+  foundation.layout();
+  td.verify(mockAdapter.renderItems(0, 20 + OVERSCAN_ITEM_COUNT));
+});
+
+test('the first list item is tabbable while nothing was focused', () => {
+  const {mockAdapter} = setupTest();
+  td.verify(mockAdapter.setAttributeForItemAtIndex(0, 'tabindex', '0'));
+  td.verify(mockAdapter.setAttribute('tabindex', '-1'));
+});
+
+test('the root element is tabbable while the tabbable list item is not rendered', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getScrollTop()).thenReturn(100 * numbers.DEFAULT_ITEM_HEIGHT);
+  foundation.handleScroll();
+  td.verify(mockAdapter.setAttribute('tabindex', '0'));
+});
+
+test('#handleFocusIn makes the focused list item tabbable', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const target = {id: 'item'};
+  td.when(mockAdapter.getItemIndex(target)).thenReturn(5);
+  foundation.handleFocusIn({target});
+  td.verify(mockAdapter.setAttributeForItemAtIndex(0, 'tabindex', '-1'));
+  td.verify(mockAdapter.setAttributeForItemAtIndex(5, 'tabindex', '0'));
+  assert.equal(foundation.getFocusedIndex(), 5);
+});
+
+test('#handleFocusIn ignores focus outside of list items', () => {
+  const {foundation} = setupTest();
+  foundation.handleFocusIn({target: {id: 'root'}});
+  assert.equal(foundation.getFocusedIndex(), -1);
+});
+
+test('#focusItemAtIndex scrolls down to the list item and focuses it', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.focusItemAtIndex(20);
+  td.verify(mockAdapter.setScrollTop(11 * numbers.DEFAULT_ITEM_HEIGHT));
+  td.verify(mockAdapter.renderItems(11 - OVERSCAN_ITEM_COUNT, 21 + OVERSCAN_ITEM_COUNT));
+  td.verify(mockAdapter.focusItemAtIndex(20));
+  assert.equal(foundation.getFocusedIndex(), 20);
+});
+
+test('#focusItemAtIndex scrolls up to the list item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getScrollTop()).thenReturn(100 * numbers.DEFAULT_ITEM_HEIGHT);
+  foundation.focusItemAtIndex(50);
+  td.verify(mockAdapter.setScrollTop(50 * numbers.DEFAULT_ITEM_HEIGHT));
+});
+
+test('#focusItemAtIndex does not scroll if the list item is visible', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.focusItemAtIndex(9);
+  td.verify(mockAdapter.setScrollTop(td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.focusItemAtIndex(9));
+});
+
+test('#focusItemAtIndex ignores indexes of missing list items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.focusItemAtIndex(1000);
+  foundation.focusItemAtIndex(-1);
+  td.verify(mockAdapter.focusItemAtIndex(td.matchers.anything()), {times: 0});
+});
+
+test('#setItemCount keeps the focused index within the list', () => {
+  const {foundation} = setupTest();
+  foundation.focusItemAtIndex(20);
+  foundation.setItemCount(10);
+  assert.equal(foundation.getFocusedIndex(), 9);
+});
+
+/**
+ * @param {string} key
+ * @return {{key: string, preventDefault: !Function}}
+ */
+function keydownEvent(key) {
+  return {key, preventDefault: td.func('preventDefault')};
+}
+
+test('#handleKeydown ArrowDown focuses the first list item if nothing was focused', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const evt = keydownEvent('ArrowDown');
+  foundation.handleKeydown(evt);
+  td.verify(mockAdapter.focusItemAtIndex(0));
+  td.verify(evt.preventDefault());
+});
+
+test('#handleKeydown ArrowDown and ArrowUp focus the next and previous list items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.focusItemAtIndex(5);
+  foundation.handleKeydown(keydownEvent('ArrowDown'));
+  td.verify(mockAdapter.focusItemAtIndex(6));
+  foundation.handleKeydown(keydownEvent('ArrowUp'));
+  td.verify(mockAdapter.focusItemAtIndex(5), {times: 2});
+});
+
+test('#handleKeydown ArrowUp on the first list item keeps it focused', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.focusItemAtIndex(0);
+  foundation.handleKeydown(keydownEvent('ArrowUp'));
+  td.verify(mockAdapter.focusItemAtIndex(0), {times: 2});
+});
+
+test('#handleKeydown End focuses the last list item even though it is not rendered', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.handleKeydown(keydownEvent('End'));
+  td.verify(mockAdapter.setScrollTop(990 * numbers.DEFAULT_ITEM_HEIGHT));
+  td.verify(mockAdapter.renderItems(990 - OVERSCAN_ITEM_COUNT, 1000));
+  td.verify(mockAdapter.focusItemAtIndex(999));
+});
+
+test('#handleKeydown Home focuses the first list item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.focusItemAtIndex(500);
+  foundation.handleKeydown(keydownEvent('Home'));
+  td.verify(mockAdapter.setScrollTop(0));
+  td.verify(mockAdapter.focusItemAtIndex(0));
+});
+
+test('#handleKeydown PageDown and PageUp move focus by the number of visible list items', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.focusItemAtIndex(0);
+  foundation.handleKeydown(keydownEvent('PageDown'));
+  td.verify(mockAdapter.focusItemAtIndex(9));
+  foundation.handleKeydown(keydownEvent('PageUp'));
+  td.verify(mockAdapter.focusItemAtIndex(0), {times: 2});
+});
+
+test('#handleKeydown continues from the focused list item after it was scrolled out of view', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.focusItemAtIndex(2);
+  td.when(mockAdapter.getScrollTop()).thenReturn(500 * numbers.DEFAULT_ITEM_HEIGHT);
+  foundation.handleScroll();
+  foundation.handleKeydown(keydownEvent('ArrowDown'));
+  td.verify(mockAdapter.setScrollTop(3 * numbers.DEFAULT_ITEM_HEIGHT));
+  td.verify(mockAdapter.focusItemAtIndex(3));
+});
+
+test('#handleKeydown ignores other keys and empty lists', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const evt = keydownEvent('a');
+  foundation.handleKeydown(evt);
+  foundation.setItemCount(0);
+  foundation.handleKeydown(keydownEvent('ArrowDown'));
+  td.verify(mockAdapter.focusItemAtIndex(td.matchers.anything()), {times: 0});
+  td.verify(evt.preventDefault(), {times: 0});
+});
@@ -0,0 +1,348 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {assert} from 'chai';
+import lolex from 'lolex';
+import td from 'testdouble';
+import {captureHandlers, verifyDefaultAdapter} from '../helpers/foundation';
+import {setupFoundationTest} from '../helpers/setup';
+import {createMockRaf} from '../helpers/raf';
+import {MDCMenuSurfaceFoundation} from '../../../packages/mdc-menu-surface/foundation';
+import {cssClasses, strings, numbers, Corner} from '../../../packages/mdc-menu-surface/constants';
+
+function setupTest() {
+  const {foundation, mockAdapter} = setupFoundationTest(MDCMenuSurfaceFoundation);
+  td.when(mockAdapter.getInnerDimensions()).thenReturn({width: 100, height: 200});
+  return {foundation, mockAdapter};
+}
+
+/**
+ * Initializes a 1000x1000 viewport with a 40x20 anchor near its top left corner.
+ * @param {Object} mockAdapter Mock double for the adapter.
+ */
+function initAnchorLayout(mockAdapter) {
+  td.when(mockAdapter.hasAnchor()).thenReturn(true);
+  td.when(mockAdapter.getWindowDimensions()).thenReturn({height: 1000, width: 1000});
+  td.when(mockAdapter.getAnchorDimensions()).thenReturn({height: 20, width: 40, top: 20, bottom: 40, left: 20,
+    right: 60});
+}
+
+function testFoundation(desc, runTests) {
+  test(desc, () => {
+    const {mockAdapter, foundation} = setupTest();
+    const mockRaf = createMockRaf();
+    runTests({mockAdapter, foundation, mockRaf});
+    mockRaf.restore();
+  });
+}
+
+suite('MDCMenuSurfaceFoundation');
+
+test('exports strings', () => {
+  assert.deepEqual(MDCMenuSurfaceFoundation.strings, strings);
+});
+
+test('exports cssClasses', () => {
+  assert.deepEqual(MDCMenuSurfaceFoundation.cssClasses, cssClasses);
+});
+
+test('exports numbers', () => {
+  assert.deepEqual(MDCMenuSurfaceFoundation.numbers, numbers);
+});
+
+test('exports Corner', () => {
+  assert.deepEqual(MDCMenuSurfaceFoundation.Corner, Corner);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCMenuSurfaceFoundation, [
+    'addClass', 'removeClass', 'hasClass', 'getInnerDimensions', 'hasAnchor', 'getAnchorDimensions',
+    'getWindowDimensions', 'registerInteractionHandler', 'deregisterInteractionHandler', 'registerBodyClickHandler',
+    'deregisterBodyClickHandler', 'registerScrollHandler', 'deregisterScrollHandler', 'registerResizeHandler',
+    'deregisterResizeHandler', 'isElementInContainer', 'notifyOpen', 'notifyClose', 'saveFocus', 'restoreFocus',
+    'isFocused', 'focus', 'isRtl', 'setTransformOrigin', 'setPosition', 'setMaxHeight',
+  ]);
+});
+
+test('#init registers a keydown handler', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.registerInteractionHandler('keydown', td.matchers.isA(Function)));
+});
+
+test('#init considers the surface open when it has the open class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.hasClass(cssClasses.OPEN)).thenReturn(true);
+  foundation.init();
+  assert.isTrue(foundation.isOpen());
+});
+
+test('#destroy deregisters the keydown and body click handlers', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterInteractionHandler('keydown', td.matchers.isA(Function)));
+  td.verify(mockAdapter.deregisterBodyClickHandler(td.matchers.isA(Function)));
+});
+
+testFoundation('#open adds the animating open class and saves focus', ({foundation, mockAdapter}) => {
+  foundation.open();
+  td.verify(mockAdapter.saveFocus());
+  td.verify(mockAdapter.addClass(cssClasses.ANIMATING_OPEN));
+  assert.isTrue(foundation.isOpen());
+});
+
+testFoundation('#open adds the open class, focuses the surface and registers the body click handler',
+  ({foundation, mockAdapter, mockRaf}) => {
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.addClass(cssClasses.OPEN));
+    td.verify(mockAdapter.focus());
+    td.verify(mockAdapter.registerBodyClickHandler(td.matchers.isA(Function)));
+  });
+
+testFoundation('#open notifies and removes the animating open class once the animation ends',
+  ({foundation, mockAdapter, mockRaf}) => {
+    const clock = lolex.install();
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.notifyOpen(), {times: 0});
+    clock.tick(numbers.TRANSITION_OPEN_DURATION);
+    td.verify(mockAdapter.removeClass(cssClasses.ANIMATING_OPEN));
+    td.verify(mockAdapter.notifyOpen(), {times: 1});
+    clock.uninstall();
+  });
+
+testFoundation('#open notifies immediately and does not animate when quickOpen is set',
+  ({foundation, mockAdapter, mockRaf}) => {
+    foundation.setQuickOpen(true);
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.addClass(cssClasses.ANIMATING_OPEN), {times: 0});
+    td.verify(mockAdapter.notifyOpen(), {times: 1});
+  });
+
+testFoundation('#open positions the surface relative to its anchor', ({foundation, mockAdapter, mockRaf}) => {
+  initAnchorLayout(mockAdapter);
+  foundation.open();
+  mockRaf.flush();
+  td.verify(mockAdapter.setTransformOrigin('left top'));
+  td.verify(mockAdapter.setPosition({left: '0', top: '0'}));
+});
+
+testFoundation('#open does not position the surface without an anchor', ({foundation, mockAdapter, mockRaf}) => {
+  foundation.open();
+  mockRaf.flush();
+  td.verify(mockAdapter.setPosition(td.matchers.anything()), {times: 0});
+});
+
+testFoundation('#open positions the surface at the absolute position without an anchor',
+  ({foundation, mockAdapter, mockRaf}) => {
+    td.when(mockAdapter.getWindowDimensions()).thenReturn({height: 1000, width: 1000});
+    foundation.setAbsolutePosition(100, 150);
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.addClass(cssClasses.FIXED));
+    td.verify(mockAdapter.setPosition({left: '100px', top: '150px'}));
+  });
+
+test('#setAbsolutePosition with null removes the fixed class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setAbsolutePosition(null, null);
+  td.verify(mockAdapter.removeClass(cssClasses.FIXED));
+});
+
+testFoundation('#close adds the animating closed class and restores focus', ({foundation, mockAdapter}) => {
+  foundation.open();
+  foundation.close();
+  td.verify(mockAdapter.addClass(cssClasses.ANIMATING_CLOSED));
+  td.verify(mockAdapter.deregisterBodyClickHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.restoreFocus());
+  assert.isFalse(foundation.isOpen());
+});
+
+testFoundation('#close removes the open class and notifies once the animation ends',
+  ({foundation, mockAdapter, mockRaf}) => {
+    const clock = lolex.install();
+    foundation.close();
+    mockRaf.flush();
+    td.verify(mockAdapter.removeClass(cssClasses.OPEN));
+    td.verify(mockAdapter.notifyClose(), {times: 0});
+    clock.tick(numbers.TRANSITION_CLOSE_DURATION);
+    td.verify(mockAdapter.removeClass(cssClasses.ANIMATING_CLOSED));
+    td.verify(mockAdapter.notifyClose(), {times: 1});
+    clock.uninstall();
+  });
+
+testFoundation('#close notifies immediately and does not animate when quickOpen is set',
+  ({foundation, mockAdapter, mockRaf}) => {
+    foundation.setQuickOpen(true);
+    foundation.close();
+    mockRaf.flush();
+    td.verify(mockAdapter.addClass(cssClasses.ANIMATING_CLOSED), {times: 0});
+    td.verify(mockAdapter.notifyClose(), {times: 1});
+  });
+
+testFoundation('keydown with Escape closes the surface', ({foundation, mockAdapter}) => {
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  foundation.init();
+  foundation.open();
+  handlers.keydown({key: 'Escape'});
+  assert.isFalse(foundation.isOpen());
+});
+
+testFoundation('keydown with another key does not close the surface', ({foundation, mockAdapter}) => {
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  foundation.init();
+  foundation.open();
+  handlers.keydown({key: 'Tab'});
+  assert.isTrue(foundation.isOpen());
+});
+
+testFoundation('#handleBodyClick closes the surface when clicking outside of it', ({foundation, mockAdapter}) => {
+  const target = {id: 'outside'};
+  td.when(mockAdapter.isElementInContainer(target)).thenReturn(false);
+  foundation.open();
+  foundation.handleBodyClick({target});
+  assert.isFalse(foundation.isOpen());
+});
+
+testFoundation('#handleBodyClick does not close the surface when clicking inside of it',
+  ({foundation, mockAdapter}) => {
+    const target = {id: 'inside'};
+    td.when(mockAdapter.isElementInContainer(target)).thenReturn(true);
+    foundation.open();
+    foundation.handleBodyClick({target});
+    assert.isTrue(foundation.isOpen());
+  });
+
+test('uses the state classes passed to the constructor', () => {
+  const mockRaf = createMockRaf();
+  const {mockAdapter} = setupTest();
+  const foundation = new MDCMenuSurfaceFoundation(mockAdapter, 'x--open', 'x--animating-open', 'x--animating-closed',
+    'x--fixed');
+  td.when(mockAdapter.hasClass('x--open')).thenReturn(true);
+  foundation.init();
+  assert.isTrue(foundation.isOpen());
+
+  foundation.setAbsolutePosition(0, 0);
+  td.verify(mockAdapter.addClass('x--fixed'));
+  foundation.setAbsolutePosition(null, null);
+  td.verify(mockAdapter.removeClass('x--fixed'));
+  foundation.open();
+  mockRaf.flush();
+  td.verify(mockAdapter.addClass('x--animating-open'));
+  td.verify(mockAdapter.addClass('x--open'));
+  foundation.close();
+  mockRaf.flush();
+  td.verify(mockAdapter.addClass('x--animating-closed'));
+  td.verify(mockAdapter.removeClass('x--open'));
+  td.verify(mockAdapter.addClass(cssClasses.OPEN), {times: 0});
+  mockRaf.restore();
+});
+
+test('#setFixedPosition adds and removes the fixed class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setFixedPosition(true);
+  td.verify(mockAdapter.addClass(cssClasses.FIXED));
+  foundation.setFixedPosition(false);
+  td.verify(mockAdapter.removeClass(cssClasses.FIXED));
+});
+
+test('#setFixedPosition(false) keeps the fixed class of a surface positioned at a point', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setAbsolutePosition(10, 10);
+  foundation.setFixedPosition(false);
+  td.verify(mockAdapter.removeClass(cssClasses.FIXED), {times: 0});
+});
+
+test('#setAbsolutePosition with null keeps the fixed class of a fixed surface', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setFixedPosition(true);
+  foundation.setAbsolutePosition(null, null);
+  td.verify(mockAdapter.removeClass(cssClasses.FIXED), {times: 0});
+});
+
+testFoundation('#open positions a fixed surface in viewport coordinates computed from its anchor',
+  ({foundation, mockAdapter, mockRaf}) => {
+    initAnchorLayout(mockAdapter);
+    foundation.setFixedPosition(true);
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.setPosition({left: '20px', top: '20px'}));
+  });
+
+testFoundation('#open registers scroll and resize handlers for a fixed surface only',
+  ({foundation, mockAdapter, mockRaf}) => {
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.registerScrollHandler(td.matchers.anything()), {times: 0});
+    td.verify(mockAdapter.registerResizeHandler(td.matchers.anything()), {times: 0});
+
+    foundation.setFixedPosition(true);
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.registerScrollHandler(td.matchers.isA(Function)));
+    td.verify(mockAdapter.registerResizeHandler(td.matchers.isA(Function)));
+  });
+
+testFoundation('#close deregisters the scroll and resize handlers', ({foundation, mockAdapter}) => {
+  foundation.close();
+  td.verify(mockAdapter.deregisterScrollHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.deregisterResizeHandler(td.matchers.isA(Function)));
+});
+
+testFoundation('scrolling repositions an open fixed surface next to its anchor',
+  ({foundation, mockAdapter, mockRaf}) => {
+    initAnchorLayout(mockAdapter);
+    foundation.setFixedPosition(true);
+    foundation.open();
+    mockRaf.flush();
+
+    const captor = td.matchers.captor();
+    td.verify(mockAdapter.registerScrollHandler(captor.capture()));
+    td.when(mockAdapter.getAnchorDimensions()).thenReturn({height: 20, width: 40, top: 120, bottom: 140, left: 20,
+      right: 60});
+    captor.value({type: 'scroll', target: {id: 'page'}});
+    td.verify(mockAdapter.setPosition({left: '20px', top: '120px'}));
+  });
+
+testFoundation('scrolling the content of a fixed surface does not reposition it',
+  ({foundation, mockAdapter, mockRaf}) => {
+    const target = {id: 'content'};
+    td.when(mockAdapter.isElementInContainer(target)).thenReturn(true);
+    initAnchorLayout(mockAdapter);
+    foundation.setFixedPosition(true);
+    foundation.open();
+    mockRaf.flush();
+
+    const captor = td.matchers.captor();
+    td.verify(mockAdapter.registerScrollHandler(captor.capture()));
+    captor.value({type: 'scroll', target});
+    td.verify(mockAdapter.setPosition(td.matchers.anything()), {times: 1});
+  });
+
+testFoundation('resizing the window repositions an open fixed surface', ({foundation, mockAdapter, mockRaf}) => {
+  initAnchorLayout(mockAdapter);
+  foundation.setFixedPosition(true);
+  foundation.open();
+  mockRaf.flush();
+
+  const captor = td.matchers.captor();
+  td.verify(mockAdapter.registerResizeHandler(captor.capture()));
+  captor.value({type: 'resize'});
+  td.verify(mockAdapter.setPosition(td.matchers.anything()), {times: 2});
+});
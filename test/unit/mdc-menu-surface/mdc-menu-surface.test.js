@@ -0,0 +1,318 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {assert} from 'chai';
+import bel from 'bel';
+import domEvents from 'dom-events';
+import td from 'testdouble';
+
+import {MDCMenuSurface, MDCMenuSurfaceFoundation} from '../../../packages/mdc-menu-surface/index';
+import {strings, cssClasses, Corner} from '../../../packages/mdc-menu-surface/constants';
+import {getTransformPropertyName} from '../../../packages/mdc-menu-surface/util';
+
+function getFixture(open) {
+  return bel`
+    <div class="mdc-menu-surface--anchor">
+      <button class="anchor-button">Open</button>
+      <div class="mdc-menu-surface ${open ? 'mdc-menu-surface--open' : ''}" tabindex="-1">
+        <button class="content-button">Content</button>
+      </div>
+    </div>
+  `;
+}
+
+function setupTest(open = false) {
+  const fixture = getFixture(open);
+  const root = fixture.querySelector('.mdc-menu-surface');
+  const component = new MDCMenuSurface(root);
+  return {fixture, root, component};
+}
+
+function setupTestWithFakes() {
+  const fixture = getFixture(false);
+  const root = fixture.querySelector('.mdc-menu-surface');
+  const MockFoundationCtor = td.constructor(MDCMenuSurfaceFoundation);
+  const mockFoundation = new MockFoundationCtor();
+  const component = new MDCMenuSurface(root, mockFoundation);
+  return {root, component, mockFoundation};
+}
+
+suite('MDCMenuSurface');
+
+test('attachTo initializes and returns a MDCMenuSurface instance', () => {
+  assert.isOk(MDCMenuSurface.attachTo(getFixture().querySelector('.mdc-menu-surface')) instanceof MDCMenuSurface);
+});
+
+test('initialize uses the parent element with the anchor class as the anchor element', () => {
+  const {fixture, component} = setupTest();
+  assert.equal(component.anchorElement, fixture);
+});
+
+test('initialize does not set an anchor element when the parent does not have the anchor class', () => {
+  const root = bel`<div class="mdc-menu-surface"></div>`;
+  const parent = bel`<div></div>`;
+  parent.appendChild(root);
+  const component = new MDCMenuSurface(root);
+  assert.isNull(component.anchorElement);
+});
+
+test('get/set open', () => {
+  const {component} = setupTest();
+  component.open = true;
+  assert.isTrue(component.open);
+
+  component.open = false;
+  assert.isFalse(component.open);
+});
+
+test('open is true when the root element has the open class', () => {
+  const {component} = setupTest(true);
+  assert.isTrue(component.open);
+});
+
+test('setAnchorCorner proxies to the foundation', () => {
+  const {component, mockFoundation} = setupTestWithFakes();
+  component.setAnchorCorner(Corner.BOTTOM_END);
+  td.verify(mockFoundation.setAnchorCorner(Corner.BOTTOM_END));
+});
+
+test('setAnchorMargin proxies to the foundation', () => {
+  const {component, mockFoundation} = setupTestWithFakes();
+  component.setAnchorMargin({top: 10});
+  td.verify(mockFoundation.setAnchorMargin({top: 10}));
+});
+
+test('setAbsolutePosition proxies to the foundation', () => {
+  const {component, mockFoundation} = setupTestWithFakes();
+  component.setAbsolutePosition(10, 20);
+  td.verify(mockFoundation.setAbsolutePosition(10, 20));
+});
+
+test('set quickOpen proxies to the foundation', () => {
+  const {component, mockFoundation} = setupTestWithFakes();
+  component.quickOpen = true;
+  td.verify(mockFoundation.setQuickOpen(true));
+});
+
+test('adapter#addClass adds a class to the root element', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.addClass('foo');
+  assert.isTrue(root.classList.contains('foo'));
+});
+
+test('adapter#removeClass removes a class from the root element', () => {
+  const {root, component} = setupTest();
+  root.classList.add('foo');
+  component.getDefaultFoundation().adapter_.removeClass('foo');
+  assert.isFalse(root.classList.contains('foo'));
+});
+
+test('adapter#hasClass returns whether the root element has a class', () => {
+  const {root, component} = setupTest();
+  root.classList.add('foo');
+  assert.isTrue(component.getDefaultFoundation().adapter_.hasClass('foo'));
+  assert.isFalse(component.getDefaultFoundation().adapter_.hasClass('bar'));
+});
+
+test('adapter#hasAnchor returns whether there is an anchor element', () => {
+  const {component} = setupTest();
+  assert.isTrue(component.getDefaultFoundation().adapter_.hasAnchor());
+  component.anchorElement = null;
+  assert.isFalse(component.getDefaultFoundation().adapter_.hasAnchor());
+});
+
+test('adapter#getWindowDimensions returns the dimensions of the window', () => {
+  const {component} = setupTest();
+  assert.deepEqual(component.getDefaultFoundation().adapter_.getWindowDimensions(),
+    {width: window.innerWidth, height: window.innerHeight});
+});
+
+test('adapter#registerInteractionHandler adds an event listener to the root element', () => {
+  const {root, component} = setupTest();
+  const handler = td.func('interactionHandler');
+  component.getDefaultFoundation().adapter_.registerInteractionHandler('foo', handler);
+  domEvents.emit(root, 'foo');
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('adapter#deregisterInteractionHandler removes an event listener from the root element', () => {
+  const {root, component} = setupTest();
+  const handler = td.func('interactionHandler');
+  root.addEventListener('foo', handler);
+  component.getDefaultFoundation().adapter_.deregisterInteractionHandler('foo', handler);
+  domEvents.emit(root, 'foo');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#registerBodyClickHandler adds a click listener to the body', () => {
+  const {component} = setupTest();
+  const handler = td.func('bodyClickHandler');
+  component.getDefaultFoundation().adapter_.registerBodyClickHandler(handler);
+  domEvents.emit(document.body, 'click');
+  td.verify(handler(td.matchers.anything()));
+  document.body.removeEventListener('click', handler);
+});
+
+test('adapter#deregisterBodyClickHandler removes a click listener from the body', () => {
+  const {component} = setupTest();
+  const handler = td.func('bodyClickHandler');
+  document.body.addEventListener('click', handler);
+  component.getDefaultFoundation().adapter_.deregisterBodyClickHandler(handler);
+  domEvents.emit(document.body, 'click');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#isElementInContainer returns whether the element is within the root element', () => {
+  const {fixture, root, component} = setupTest();
+  const adapter = component.getDefaultFoundation().adapter_;
+  assert.isTrue(adapter.isElementInContainer(root));
+  assert.isTrue(adapter.isElementInContainer(root.querySelector('.content-button')));
+  assert.isFalse(adapter.isElementInContainer(fixture.querySelector('.anchor-button')));
+});
+
+test(`adapter#notifyOpen emits ${strings.OPENED_EVENT}`, () => {
+  const {root, component} = setupTest();
+  const handler = td.func('openedHandler');
+  root.addEventListener(strings.OPENED_EVENT, handler);
+  component.getDefaultFoundation().adapter_.notifyOpen();
+  td.verify(handler(td.matchers.anything()));
+});
+
+test(`adapter#notifyClose emits ${strings.CLOSED_EVENT}`, () => {
+  const {root, component} = setupTest();
+  const handler = td.func('closedHandler');
+  root.addEventListener(strings.CLOSED_EVENT, handler);
+  component.getDefaultFoundation().adapter_.notifyClose();
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('adapter#restoreFocus restores focus saved by adapter#saveFocus when focus is within the root element', () => {
+  const {fixture, root, component} = setupTest();
+  document.body.appendChild(fixture);
+  const anchorButton = fixture.querySelector('.anchor-button');
+  const adapter = component.getDefaultFoundation().adapter_;
+  anchorButton.focus();
+  adapter.saveFocus();
+  root.querySelector('.content-button').focus();
+  adapter.restoreFocus();
+  assert.equal(document.activeElement, anchorButton);
+  document.body.removeChild(fixture);
+});
+
+test('adapter#restoreFocus does not move focus which has left the root element', () => {
+  const {fixture, root, component} = setupTest();
+  const outsideButton = bel`<button>Outside</button>`;
+  document.body.appendChild(fixture);
+  document.body.appendChild(outsideButton);
+  const adapter = component.getDefaultFoundation().adapter_;
+  fixture.querySelector('.anchor-button').focus();
+  adapter.saveFocus();
+  root.focus();
+  outsideButton.focus();
+  adapter.restoreFocus();
+  assert.equal(document.activeElement, outsideButton);
+  document.body.removeChild(fixture);
+  document.body.removeChild(outsideButton);
+});
+
+test('adapter#isFocused returns whether the root element is focused', () => {
+  const {fixture, root, component} = setupTest();
+  document.body.appendChild(fixture);
+  const adapter = component.getDefaultFoundation().adapter_;
+  assert.isFalse(adapter.isFocused());
+  adapter.focus();
+  assert.isTrue(adapter.isFocused());
+  assert.equal(document.activeElement, root);
+  document.body.removeChild(fixture);
+});
+
+test('adapter#setTransformOrigin sets the transform origin of the root element', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.setTransformOrigin('left top');
+  assert.equal(root.style[`${getTransformPropertyName(window)}-origin`], 'left top');
+});
+
+test('adapter#setPosition sets the position of the root element', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.setPosition({left: '10px', top: '20px'});
+  assert.equal(root.style.left, '10px');
+  assert.equal(root.style.top, '20px');
+  assert.equal(root.style.right, '');
+  assert.equal(root.style.bottom, '');
+});
+
+test('adapter#setMaxHeight sets the max height of the root element', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.setMaxHeight('100px');
+  assert.equal(root.style.maxHeight, '100px');
+});
+
+test('clicking outside of an open surface closes it', () => {
+  const {fixture, component} = setupTest();
+  document.body.appendChild(fixture);
+  component.quickOpen = true;
+  component.open = true;
+  component.foundation_.handleBodyClick({target: fixture.querySelector('.anchor-button')});
+  assert.isFalse(component.open);
+  document.body.removeChild(fixture);
+});
+
+test('setFixedPosition proxies to the foundation', () => {
+  const {component, mockFoundation} = setupTestWithFakes();
+  component.setFixedPosition(true);
+  td.verify(mockFoundation.setFixedPosition(true));
+});
+
+test('hoistTo moves the surface to the body and makes it fixed while keeping its anchor', () => {
+  const {fixture, root, component} = setupTest();
+  component.hoistTo();
+  assert.equal(root.parentElement, document.body);
+  assert.equal(component.anchorElement, fixture);
+  assert.isTrue(root.classList.contains(cssClasses.FIXED));
+  document.body.removeChild(root);
+});
+
+test('hoistTo moves the surface to the given layer', () => {
+  const {root, component} = setupTest();
+  const layer = bel`<div></div>`;
+  component.hoistTo(layer);
+  assert.equal(root.parentElement, layer);
+});
+
+test('adapter#registerScrollHandler captures scroll events of containers', () => {
+  const {component} = setupTest();
+  const container = bel`<div></div>`;
+  document.body.appendChild(container);
+  const handler = td.func('scrollHandler');
+  component.getDefaultFoundation().adapter_.registerScrollHandler(handler);
+  domEvents.emit(container, 'scroll', {bubbles: false});
+  td.verify(handler(td.matchers.anything()));
+  component.getDefaultFoundation().adapter_.deregisterScrollHandler(handler);
+  domEvents.emit(container, 'scroll', {bubbles: false});
+  td.verify(handler(td.matchers.anything()), {times: 1});
+  document.body.removeChild(container);
+});
+
+test('adapter#registerResizeHandler adds a resize listener to the window', () => {
+  const {component} = setupTest();
+  const handler = td.func('resizeHandler');
+  component.getDefaultFoundation().adapter_.registerResizeHandler(handler);
+  domEvents.emit(window, 'resize');
+  td.verify(handler(td.matchers.anything()));
+  component.getDefaultFoundation().adapter_.deregisterResizeHandler(handler);
+  domEvents.emit(window, 'resize');
+  td.verify(handler(td.matchers.anything()), {times: 1});
+});
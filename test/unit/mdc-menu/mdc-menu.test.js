@@ -20,6 +20,8 @@ import domEvents from 'dom-events';
 import td from 'testdouble';
 
 import {MDCMenu} from '../../../packages/mdc-menu/index';
+import {MDCMenuSurface} from '../../../packages/mdc-menu-surface/index';
+import {strings as surfaceStrings} from '../../../packages/mdc-menu-surface/constants';
 import {strings, Corner} from '../../../packages/mdc-menu/constants';
 import {getTransformPropertyName} from '../../../packages/mdc-menu/util';
 
@@ -47,6 +49,24 @@ test('attachTo initializes and returns a MDCMenu instance', () => {
   assert.isOk(MDCMenu.attachTo(getFixture()) instanceof MDCMenu);
 });
 
+test('MDCMenu is built on MDCMenuSurface', () => {
+  const {component} = setupTest();
+  assert.instanceOf(component, MDCMenuSurface);
+});
+
+test('adapter#notifyOpen and adapter#notifyClose emit the events of the menu surface', () => {
+  const {root, component} = setupTest();
+  const {OPENED_EVENT, CLOSED_EVENT} = surfaceStrings;
+  const openedHandler = td.func('openedHandler');
+  const closedHandler = td.func('closedHandler');
+  root.addEventListener(OPENED_EVENT, openedHandler);
+  root.addEventListener(CLOSED_EVENT, closedHandler);
+  component.getDefaultFoundation().adapter_.notifyOpen();
+  component.getDefaultFoundation().adapter_.notifyClose();
+  td.verify(openedHandler(td.matchers.anything()));
+  td.verify(closedHandler(td.matchers.anything()));
+});
+
 test('get/set open', () => {
   const {component} = setupTest();
   component.open = true;
@@ -435,3 +455,252 @@ test('adapter#rmClassForOptionAtIndex removes a class from the option at the ind
   assert.equal(root.querySelector('.test-class'), null);
   document.body.removeChild(root);
 });
+
+function getCascadingFixture() {
+  return bel`
+    <div class="mdc-menu" tabindex="-1">
+      <ul class="mdc-menu__items mdc-list" role="menu">
+        <li class="mdc-list-item" role="menuitem" tabindex="0">Item</li>
+        <li class="mdc-list-item mdc-menu-anchor" role="menuitem" tabindex="0" aria-haspopup="true"
+          aria-expanded="false">
+          Submenu
+          <div class="mdc-menu" tabindex="-1">
+            <ul class="mdc-menu__items mdc-list" role="menu">
+              <li class="mdc-list-item" role="menuitem" tabindex="0">Submenu item</li>
+            </ul>
+          </div>
+        </li>
+      </ul>
+    </div>
+  `;
+}
+
+function setupCascadingTest() {
+  const root = getCascadingFixture();
+  const submenuEl = root.querySelector('.mdc-menu .mdc-menu');
+  const submenu = td.object({
+    setAnchorCorner: () => {},
+    listen: () => {},
+    unlisten: () => {},
+    show: () => {},
+    hide: () => {},
+    destroy: () => {},
+  });
+  const component = new MDCMenu(root, undefined, (el) => el === submenuEl ? submenu : null);
+  return {root, component, submenu};
+}
+
+test('items does not include the items of submenus', () => {
+  const root = getCascadingFixture();
+  const component = new MDCMenu(root);
+  assert.equal(component.items.length, 2);
+  assert.equal(component.getSubmenuByIndex(1).items.length, 1);
+  component.destroy();
+});
+
+test('getSubmenuByIndex returns null for items without a submenu', () => {
+  const {component} = setupCascadingTest();
+  assert.isNull(component.getSubmenuByIndex(0));
+});
+
+test('submenus are anchored to the end of their item', () => {
+  const {submenu} = setupCascadingTest();
+  td.verify(submenu.setAnchorCorner(Corner.TOP_END));
+});
+
+test('a selection in a submenu closes the menu and is re-emitted from it', () => {
+  const {component, submenu} = setupCascadingTest();
+  const captor = td.matchers.captor();
+  td.verify(submenu.listen(strings.SELECTED_EVENT, captor.capture()));
+  const handler = td.func('selected handler');
+  component.listen(strings.SELECTED_EVENT, handler);
+  component.open = true;
+
+  const detail = {index: 0, item: {}};
+  captor.value({detail});
+
+  assert.isNotOk(component.open);
+  td.verify(handler(td.matchers.contains({detail})));
+});
+
+test('destroy destroys submenus and removes their listeners', () => {
+  const {component, submenu} = setupCascadingTest();
+  component.destroy();
+  td.verify(submenu.unlisten(strings.SELECTED_EVENT, td.matchers.isA(Function)));
+  td.verify(submenu.unlisten(strings.CANCEL_EVENT, td.matchers.isA(Function)));
+  td.verify(submenu.destroy());
+});
+
+test('adapter#hasSubmenuAtIndex returns whether the item at the index has a submenu', () => {
+  const {component} = setupCascadingTest();
+  assert.isFalse(component.getDefaultFoundation().adapter_.hasSubmenuAtIndex(0));
+  assert.isTrue(component.getDefaultFoundation().adapter_.hasSubmenuAtIndex(1));
+});
+
+test('adapter#openSubmenuAtIndex shows the submenu with the focus index', () => {
+  const {component, submenu} = setupCascadingTest();
+  component.getDefaultFoundation().adapter_.openSubmenuAtIndex(1, 0);
+  td.verify(submenu.show({focusIndex: 0}));
+});
+
+test('adapter#closeSubmenuAtIndex hides the submenu', () => {
+  const {component, submenu} = setupCascadingTest();
+  component.getDefaultFoundation().adapter_.closeSubmenuAtIndex(1);
+  td.verify(submenu.hide());
+});
+
+test('adapter#isTargetInSubmenu returns whether the target is inside a submenu', () => {
+  const {root, component} = setupCascadingTest();
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  const submenuEl = root.querySelector('.mdc-menu .mdc-menu');
+  assert.isTrue(adapter.isTargetInSubmenu(submenuEl));
+  assert.isTrue(adapter.isTargetInSubmenu(submenuEl.querySelector('.mdc-list-item')));
+  assert.isFalse(adapter.isTargetInSubmenu(root.querySelector('.mdc-list-item')));
+  assert.isFalse(adapter.isTargetInSubmenu(root));
+});
+
+test('adapter#isSubmenu returns whether the menu is nested in another menu', () => {
+  const root = getCascadingFixture();
+  const component = new MDCMenu(root);
+  assert.isFalse(component.getDefaultFoundation().adapter_.isSubmenu());
+  assert.isTrue(component.getSubmenuByIndex(1).getDefaultFoundation().adapter_.isSubmenu());
+  component.destroy();
+});
+
+test('setAbsolutePosition', () => {
+  const {root, component} = setupTest();
+  component.setAbsolutePosition(100, 150);
+  assert.isTrue(root.classList.contains('mdc-menu--fixed'));
+});
+
+function getCheckableFixture() {
+  return bel`
+    <div class="mdc-menu" tabindex="-1">
+      <ul class="mdc-menu__items mdc-list" role="menu">
+        <li class="mdc-list-item" role="menuitemcheckbox" aria-checked="false" tabindex="0">Show grid</li>
+        <li class="mdc-list-item" role="menuitemradio" aria-checked="true" data-mdc-menu-group="sort" tabindex="0">
+          Name
+        </li>
+        <li class="mdc-list-item" role="menuitemradio" aria-checked="false" data-mdc-menu-group="sort" tabindex="0">
+          Date
+        </li>
+      </ul>
+    </div>
+  `;
+}
+
+test('isItemChecked returns whether the item at the index is checked', () => {
+  const component = new MDCMenu(getCheckableFixture());
+  assert.isFalse(component.isItemChecked(0));
+  assert.isTrue(component.isItemChecked(1));
+});
+
+test('setItemChecked checks a radio item and unchecks the other items of its group', () => {
+  const root = getCheckableFixture();
+  const component = new MDCMenu(root);
+  component.setItemChecked(2, true);
+  assert.equal(component.items[2].getAttribute('aria-checked'), 'true');
+  assert.equal(component.items[1].getAttribute('aria-checked'), 'false');
+});
+
+test('set keepOpenOnCheck proxies to the foundation and the submenus', () => {
+  const {component, submenu} = setupCascadingTest();
+  component.keepOpenOnCheck = true;
+  assert.isTrue(submenu.keepOpenOnCheck);
+  assert.isTrue(component.foundation_.keepOpenOnCheck_);
+});
+
+test('adapter#getAttrForOptionAtIndex returns the attribute of the item at the index', () => {
+  const component = new MDCMenu(getCheckableFixture());
+  assert.equal(component.getDefaultFoundation().adapter_.getAttrForOptionAtIndex(1, 'data-mdc-menu-group'), 'sort');
+});
+
+test(`adapter#notifySelected includes the checked state in the ${strings.SELECTED_EVENT} event`, () => {
+  const root = getCheckableFixture();
+  const component = new MDCMenu(root);
+  const handler = td.func('selected handler');
+  root.addEventListener(strings.SELECTED_EVENT, handler);
+  component.getDefaultFoundation().adapter_.notifySelected({index: 0, checked: true});
+  td.verify(handler(td.matchers.contains({detail: {index: 0, item: component.items[0], checked: true}})));
+});
+
+test('a checkable selection in a submenu keeps the menu open when keepOpenOnCheck is set', () => {
+  const {component, submenu} = setupCascadingTest();
+  const captor = td.matchers.captor();
+  td.verify(submenu.listen(strings.SELECTED_EVENT, captor.capture()));
+  component.keepOpenOnCheck = true;
+  component.open = true;
+
+  captor.value({detail: {index: 0, item: {}, checked: true}});
+  assert.isOk(component.open);
+});
+
+test('hoistTo moves the menu to the body and keeps positioning it relative to its anchor', () => {
+  const anchor = bel`<div class="mdc-menu-anchor" style="height: 21px;"></div>`;
+  const {root, component} = setupTest();
+  anchor.appendChild(root);
+  document.body.appendChild(anchor);
+  component.hoistTo();
+  assert.equal(root.parentElement, document.body);
+  assert.isTrue(root.classList.contains('mdc-menu--fixed'));
+  assert.isTrue(component.getDefaultFoundation().adapter_.hasAnchor());
+  assert.deepEqual(component.getDefaultFoundation().adapter_.getAnchorDimensions(), anchor.getBoundingClientRect());
+  document.body.removeChild(root);
+  document.body.removeChild(anchor);
+});
+
+test('anchorElement positions the menu relative to the given element', () => {
+  const anchor = bel`<div style="height: 21px;"></div>`;
+  const {component} = setupTest();
+  assert.isNull(component.anchorElement);
+  component.anchorElement = anchor;
+  assert.equal(component.anchorElement, anchor);
+  assert.isTrue(component.getDefaultFoundation().adapter_.hasAnchor());
+  assert.deepEqual(component.getDefaultFoundation().adapter_.getAnchorDimensions(), anchor.getBoundingClientRect());
+});
+
+test('hoistTo moves the menu to the given layer', () => {
+  const {root, component} = setupTest();
+  const layer = bel`<div></div>`;
+  component.hoistTo(layer);
+  assert.equal(root.parentElement, layer);
+});
+
+test('setFixedPosition adds the fixed class', () => {
+  const {root, component} = setupTest();
+  component.setFixedPosition(true);
+  assert.isTrue(root.classList.contains('mdc-menu--fixed'));
+  component.setFixedPosition(false);
+  assert.isFalse(root.classList.contains('mdc-menu--fixed'));
+});
+
+test('adapter#registerScrollHandler captures scroll events of containers', () => {
+  const {component} = setupTest();
+  const container = bel`<div></div>`;
+  document.body.appendChild(container);
+  const handler = td.func('scrollHandler');
+  component.getDefaultFoundation().adapter_.registerScrollHandler(handler);
+  domEvents.emit(container, 'scroll', {bubbles: false});
+  td.verify(handler(td.matchers.anything()));
+  component.getDefaultFoundation().adapter_.deregisterScrollHandler(handler);
+  domEvents.emit(container, 'scroll', {bubbles: false});
+  td.verify(handler(td.matchers.anything()), {times: 1});
+  document.body.removeChild(container);
+});
+
+test('adapter#registerResizeHandler adds a resize listener to the window', () => {
+  const {component} = setupTest();
+  const handler = td.func('resizeHandler');
+  component.getDefaultFoundation().adapter_.registerResizeHandler(handler);
+  domEvents.emit(window, 'resize');
+  td.verify(handler(td.matchers.anything()));
+  component.getDefaultFoundation().adapter_.deregisterResizeHandler(handler);
+  domEvents.emit(window, 'resize');
+  td.verify(handler(td.matchers.anything()), {times: 1});
+});
+
+test('adapter#getTextForOptionAtIndex returns the text of the item without its graphic', () => {
+  const component = new MDCMenu(getCheckableFixture());
+  component.items[0].insertBefore(bel`<i class="mdc-list-item__graphic">check</i>`, component.items[0].firstChild);
+  assert.equal(component.getDefaultFoundation().adapter_.getTextForOptionAtIndex(0).trim(), 'Show grid');
+});
@@ -89,10 +89,13 @@ test('defaultAdapter returns a complete adapter implementation', () => {
     'addClass', 'removeClass', 'hasClass', 'hasNecessaryDom', 'getAttributeForEventTarget',
     'getInnerDimensions', 'hasAnchor', 'getAnchorDimensions', 'getWindowDimensions',
     'getNumberOfItems', 'registerInteractionHandler', 'deregisterInteractionHandler', 'registerBodyClickHandler',
-    'deregisterBodyClickHandler', 'getIndexForEventTarget', 'notifySelected', 'notifyCancel', 'saveFocus',
+    'deregisterBodyClickHandler', 'registerScrollHandler', 'deregisterScrollHandler', 'registerResizeHandler',
+    'deregisterResizeHandler', 'getIndexForEventTarget', 'notifySelected', 'notifyCancel', 'saveFocus',
     'restoreFocus', 'isFocused', 'focus', 'getFocusedItemIndex', 'focusItemAtIndex', 'isRtl', 'setTransformOrigin',
-    'setPosition', 'setMaxHeight', 'setAttrForOptionAtIndex', 'rmAttrForOptionAtIndex',
-    'addClassForOptionAtIndex', 'rmClassForOptionAtIndex',
+    'setPosition', 'setMaxHeight', 'getAttrForOptionAtIndex', 'getTextForOptionAtIndex',
+    'setAttrForOptionAtIndex', 'rmAttrForOptionAtIndex',
+    'addClassForOptionAtIndex', 'rmClassForOptionAtIndex', 'hasSubmenuAtIndex', 'openSubmenuAtIndex',
+    'closeSubmenuAtIndex', 'isTargetInSubmenu', 'isSubmenu', 'isElementInContainer', 'notifyOpen', 'notifyClose',
   ]);
 });
 
@@ -1242,3 +1245,654 @@ test('getSelectedValue should return the last selected item', () => {
   assert.isTrue(foundation.getSelectedIndex() === expectedIndex);
   clock.uninstall();
 });
+
+test('#init adds the cascading class and a mouseover handler when an item has a submenu', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getNumberOfItems()).thenReturn(3);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+
+  foundation.init();
+  td.verify(mockAdapter.addClass(cssClasses.CASCADING));
+  td.verify(mockAdapter.registerInteractionHandler('mouseover', td.matchers.isA(Function)));
+});
+
+test('#init does not add the cascading class when no item has a submenu', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getNumberOfItems()).thenReturn(3);
+
+  foundation.init();
+  td.verify(mockAdapter.addClass(cssClasses.CASCADING), {times: 0});
+  td.verify(mockAdapter.registerInteractionHandler('mouseover', td.matchers.isA(Function)), {times: 0});
+});
+
+test('#destroy deregisters the mouseover handler', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getNumberOfItems()).thenReturn(3);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+
+  foundation.init();
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterInteractionHandler('mouseover', td.matchers.isA(Function)));
+});
+
+test('on click on an item with a submenu opens the submenu instead of selecting the item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const target = {};
+  td.when(mockAdapter.getIndexForEventTarget(target)).thenReturn(1);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+
+  foundation.init();
+  handlers.click({type: 'click', target});
+  clock.tick(numbers.SELECTED_TRIGGER_DELAY);
+
+  td.verify(mockAdapter.openSubmenuAtIndex(1, null));
+  td.verify(mockAdapter.setAttrForOptionAtIndex(1, strings.ARIA_EXPANDED_ATTR, 'true'));
+  td.verify(mockAdapter.notifySelected(td.matchers.anything()), {times: 0});
+
+  clock.uninstall();
+});
+
+test('on enter keyup on an item with a submenu opens the submenu and focuses its first item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const target = {};
+  td.when(mockAdapter.getIndexForEventTarget(target)).thenReturn(1);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+
+  foundation.init();
+  handlers.keydown({type: 'keydown', target, key: 'Enter', preventDefault: () => {}});
+  handlers.keyup({type: 'keyup', target, key: 'Enter'});
+
+  td.verify(mockAdapter.openSubmenuAtIndex(1, 0));
+});
+
+test('on ArrowRight keydown on an item with a submenu opens the submenu and focuses its first item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const preventDefault = td.func('preventDefault');
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(1);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+
+  foundation.init();
+  handlers.keydown({target: {}, key: 'ArrowRight', preventDefault});
+
+  td.verify(mockAdapter.openSubmenuAtIndex(1, 0));
+  td.verify(preventDefault());
+});
+
+test('on ArrowLeft keydown in RTL opens the submenu of the focused item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(1);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+  td.when(mockAdapter.isRtl()).thenReturn(true);
+
+  foundation.init();
+  handlers.keydown({target: {}, key: 'ArrowRight', preventDefault: () => {}});
+  td.verify(mockAdapter.openSubmenuAtIndex(td.matchers.anything(), td.matchers.anything()), {times: 0});
+
+  handlers.keydown({target: {}, key: 'ArrowLeft', preventDefault: () => {}});
+  td.verify(mockAdapter.openSubmenuAtIndex(1, 0));
+});
+
+test('on ArrowRight keydown on an item without a submenu does nothing', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const preventDefault = td.func('preventDefault');
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(0);
+
+  foundation.init();
+  handlers.keydown({target: {}, key: 'ArrowRight', preventDefault});
+
+  td.verify(mockAdapter.openSubmenuAtIndex(td.matchers.anything(), td.matchers.anything()), {times: 0});
+  td.verify(preventDefault(), {times: 0});
+});
+
+test('on ArrowLeft keydown in a submenu cancels and closes the submenu', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  td.when(mockAdapter.isSubmenu()).thenReturn(true);
+
+  foundation.init();
+  handlers.keydown({target: {}, key: 'ArrowLeft', preventDefault: () => {}});
+  raf.flush();
+
+  td.verify(mockAdapter.notifyCancel());
+  td.verify(mockAdapter.removeClass(cssClasses.OPEN));
+  td.verify(mockAdapter.restoreFocus());
+
+  raf.restore();
+});
+
+test('on ArrowRight keydown in an RTL submenu cancels and closes the submenu', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  td.when(mockAdapter.isSubmenu()).thenReturn(true);
+  td.when(mockAdapter.isRtl()).thenReturn(true);
+
+  foundation.init();
+  handlers.keydown({target: {}, key: 'ArrowLeft', preventDefault: () => {}});
+  td.verify(mockAdapter.notifyCancel(), {times: 0});
+
+  handlers.keydown({target: {}, key: 'ArrowRight', preventDefault: () => {}});
+  td.verify(mockAdapter.notifyCancel());
+});
+
+test('on ArrowLeft keydown in a top-level menu does not close the menu', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+
+  foundation.init();
+  handlers.keydown({target: {}, key: 'ArrowLeft', preventDefault: () => {}});
+
+  td.verify(mockAdapter.notifyCancel(), {times: 0});
+  td.verify(mockAdapter.restoreFocus(), {times: 0});
+});
+
+test('keyboard events from within a submenu are left to the submenu', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const target = {};
+  td.when(mockAdapter.isTargetInSubmenu(target)).thenReturn(true);
+  td.when(mockAdapter.getNumberOfItems()).thenReturn(3);
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(2);
+
+  foundation.init();
+  handlers.keydown({target, key: 'ArrowDown', preventDefault: () => {}});
+  handlers.keyup({target, key: 'Escape'});
+
+  td.verify(mockAdapter.focusItemAtIndex(td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.notifyCancel(), {times: 0});
+});
+
+test('on mouseover an item with a submenu opens the submenu after the hover delay', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const target = {};
+  td.when(mockAdapter.getNumberOfItems()).thenReturn(3);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+  td.when(mockAdapter.getIndexForEventTarget(target)).thenReturn(1);
+
+  foundation.init();
+  handlers.mouseover({target});
+  clock.tick(numbers.SUBMENU_HOVER_DELAY - 1);
+  td.verify(mockAdapter.openSubmenuAtIndex(td.matchers.anything(), td.matchers.anything()), {times: 0});
+
+  clock.tick(1);
+  td.verify(mockAdapter.openSubmenuAtIndex(1, null));
+
+  clock.uninstall();
+});
+
+test('on mouseover a child of an item resolves the item from the target ancestors', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const item = {};
+  const target = {parentNode: item};
+  td.when(mockAdapter.getNumberOfItems()).thenReturn(3);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+  td.when(mockAdapter.getIndexForEventTarget(td.matchers.anything())).thenReturn(-1);
+  td.when(mockAdapter.getIndexForEventTarget(item)).thenReturn(1);
+
+  foundation.init();
+  handlers.mouseover({target});
+  clock.tick(numbers.SUBMENU_HOVER_DELAY);
+  td.verify(mockAdapter.openSubmenuAtIndex(1, null));
+
+  clock.uninstall();
+});
+
+test('on mouseover another item before the hover delay elapses, the submenu is not opened', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const submenuItem = {id: 'submenu-item'};
+  const otherItem = {id: 'other-item'};
+  td.when(mockAdapter.getNumberOfItems()).thenReturn(3);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+  td.when(mockAdapter.getIndexForEventTarget(submenuItem)).thenReturn(1);
+  td.when(mockAdapter.getIndexForEventTarget(otherItem)).thenReturn(2);
+
+  foundation.init();
+  handlers.mouseover({target: submenuItem});
+  clock.tick(numbers.SUBMENU_HOVER_DELAY / 2);
+  handlers.mouseover({target: otherItem});
+  clock.tick(numbers.SUBMENU_HOVER_DELAY);
+
+  td.verify(mockAdapter.openSubmenuAtIndex(td.matchers.anything(), td.matchers.anything()), {times: 0});
+
+  clock.uninstall();
+});
+
+test('on mouseover another item after the hover delay, the open submenu is closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const submenuItem = {id: 'submenu-item'};
+  const otherItem = {id: 'other-item'};
+  td.when(mockAdapter.getNumberOfItems()).thenReturn(3);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+  td.when(mockAdapter.getIndexForEventTarget(submenuItem)).thenReturn(1);
+  td.when(mockAdapter.getIndexForEventTarget(otherItem)).thenReturn(2);
+
+  foundation.init();
+  handlers.mouseover({target: submenuItem});
+  clock.tick(numbers.SUBMENU_HOVER_DELAY);
+  handlers.mouseover({target: otherItem});
+  clock.tick(numbers.SUBMENU_HOVER_DELAY);
+
+  td.verify(mockAdapter.closeSubmenuAtIndex(1));
+  td.verify(mockAdapter.setAttrForOptionAtIndex(1, strings.ARIA_EXPANDED_ATTR, 'false'));
+
+  clock.uninstall();
+});
+
+test('opening a submenu closes the previously open submenu', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  td.when(mockAdapter.hasSubmenuAtIndex(0)).thenReturn(true);
+  td.when(mockAdapter.hasSubmenuAtIndex(1)).thenReturn(true);
+
+  foundation.init();
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(0);
+  handlers.keydown({target: {}, key: 'ArrowRight', preventDefault: () => {}});
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(1);
+  handlers.keydown({target: {}, key: 'ArrowRight', preventDefault: () => {}});
+
+  td.verify(mockAdapter.closeSubmenuAtIndex(0));
+  td.verify(mockAdapter.openSubmenuAtIndex(1, 0));
+});
+
+test('#close closes the open submenu', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(0);
+  td.when(mockAdapter.hasSubmenuAtIndex(0)).thenReturn(true);
+
+  foundation.init();
+  handlers.keydown({target: {}, key: 'ArrowRight', preventDefault: () => {}});
+  foundation.close();
+
+  td.verify(mockAdapter.closeSubmenuAtIndex(0));
+});
+
+test('#handleSubmenuSelected closes the menu without closing the already closed submenu again', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(0);
+  td.when(mockAdapter.hasSubmenuAtIndex(0)).thenReturn(true);
+
+  foundation.init();
+  handlers.keydown({target: {}, key: 'ArrowRight', preventDefault: () => {}});
+  foundation.handleSubmenuSelected();
+  raf.flush();
+
+  td.verify(mockAdapter.closeSubmenuAtIndex(td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.setAttrForOptionAtIndex(0, strings.ARIA_EXPANDED_ATTR, 'false'));
+  td.verify(mockAdapter.removeClass(cssClasses.OPEN));
+  assert.isFalse(foundation.isOpen());
+
+  raf.restore();
+});
+
+test('#handleSubmenuCancel marks the submenu as closed so that it can be reopened', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(0);
+  td.when(mockAdapter.hasSubmenuAtIndex(0)).thenReturn(true);
+
+  foundation.init();
+  handlers.keydown({target: {}, key: 'ArrowRight', preventDefault: () => {}});
+  foundation.handleSubmenuCancel();
+  handlers.keydown({target: {}, key: 'ArrowRight', preventDefault: () => {}});
+
+  td.verify(mockAdapter.setAttrForOptionAtIndex(0, strings.ARIA_EXPANDED_ATTR, 'false'));
+  td.verify(mockAdapter.closeSubmenuAtIndex(td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.openSubmenuAtIndex(0, 0), {times: 2});
+});
+
+/**
+ * Initializes a 1000x1000 viewport and a 100x200 menu without an anchor.
+ * @param {Object} mockAdapter Mock double for the adapter.
+ */
+function initAbsoluteLayout(mockAdapter) {
+  td.when(mockAdapter.hasAnchor()).thenReturn(false);
+  td.when(mockAdapter.getWindowDimensions()).thenReturn({height: 1000, width: 1000});
+  td.when(mockAdapter.getInnerDimensions()).thenReturn({height: 200, width: 100});
+}
+
+testFoundation('#setAbsolutePosition adds the fixed class', ({foundation, mockAdapter}) => {
+  foundation.setAbsolutePosition(100, 150);
+  td.verify(mockAdapter.addClass(cssClasses.FIXED));
+});
+
+testFoundation('#setAbsolutePosition with null removes the fixed class', ({foundation, mockAdapter}) => {
+  foundation.setAbsolutePosition(100, 150);
+  foundation.setAbsolutePosition(null, null);
+  td.verify(mockAdapter.removeClass(cssClasses.FIXED));
+});
+
+testFoundation('#open at an absolute position positions the menu at the point without an anchor',
+  ({foundation, mockAdapter, mockRaf}) => {
+    initAbsoluteLayout(mockAdapter);
+    foundation.setAbsolutePosition(100, 150);
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.getAnchorDimensions(), {times: 0});
+    td.verify(mockAdapter.setTransformOrigin('left top'));
+    td.verify(mockAdapter.setPosition({left: '100px', top: '150px'}));
+  });
+
+testFoundation('#open at an absolute position near the bottom right of the viewport flips the menu',
+  ({foundation, mockAdapter, mockRaf}) => {
+    initAbsoluteLayout(mockAdapter);
+    foundation.setAbsolutePosition(950, 900);
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.setTransformOrigin('right bottom'));
+    td.verify(mockAdapter.setPosition({right: '50px', bottom: '100px'}));
+  });
+
+testFoundation('#open at an absolute position applies the anchor margin',
+  ({foundation, mockAdapter, mockRaf}) => {
+    initAbsoluteLayout(mockAdapter);
+    foundation.setAbsolutePosition(100, 150);
+    foundation.setAnchorMargin({left: 5, top: 10});
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.setPosition({left: '105px', top: '160px'}));
+  });
+
+testFoundation('#open at an absolute position in RTL opens towards the start of the line',
+  ({foundation, mockAdapter, mockRaf}) => {
+    initAbsoluteLayout(mockAdapter);
+    td.when(mockAdapter.isRtl()).thenReturn(true);
+    foundation.setAbsolutePosition(500, 150);
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.setTransformOrigin('right top'));
+    td.verify(mockAdapter.setPosition({right: '500px', top: '150px'}));
+  });
+
+testFoundation('#setAbsolutePosition treats non-finite coordinates as 0',
+  ({foundation, mockAdapter, mockRaf}) => {
+    initAbsoluteLayout(mockAdapter);
+    foundation.setAbsolutePosition(NaN, 150);
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.setPosition({left: '0', top: '150px'}));
+  });
+
+testFoundation('#setAbsolutePosition with null positions the menu relative to its anchor again',
+  ({foundation, mockAdapter, mockRaf}) => {
+    initAbsoluteLayout(mockAdapter);
+    foundation.setAbsolutePosition(100, 150);
+    foundation.setAbsolutePosition(null, null);
+    foundation.open();
+    mockRaf.flush();
+    td.verify(mockAdapter.setPosition(td.matchers.anything()), {times: 0});
+  });
+
+/**
+ * Sets up a menu with a checkbox item at index 0, radio items of the "sort" group at indexes 1 and 2, a radio item of
+ * the "view" group at index 3 and a plain item at index 4.
+ * @param {Object} mockAdapter Mock double for the adapter.
+ */
+function initCheckableItems(mockAdapter) {
+  const {ROLE_ATTR, GROUP_ATTR, MENUITEMCHECKBOX_ROLE, MENUITEMRADIO_ROLE} = strings;
+  td.when(mockAdapter.getNumberOfItems()).thenReturn(5);
+  td.when(mockAdapter.getAttrForOptionAtIndex(0, ROLE_ATTR)).thenReturn(MENUITEMCHECKBOX_ROLE);
+  [1, 2, 3].forEach((index) => {
+    td.when(mockAdapter.getAttrForOptionAtIndex(index, ROLE_ATTR)).thenReturn(MENUITEMRADIO_ROLE);
+    td.when(mockAdapter.getAttrForOptionAtIndex(index, GROUP_ATTR)).thenReturn(index === 3 ? 'view' : 'sort');
+  });
+  td.when(mockAdapter.getAttrForOptionAtIndex(4, ROLE_ATTR)).thenReturn('menuitem');
+}
+
+test('#isItemChecked returns whether a checkable item has aria-checked set to true', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initCheckableItems(mockAdapter);
+  td.when(mockAdapter.getAttrForOptionAtIndex(0, strings.ARIA_CHECKED_ATTR)).thenReturn('true');
+  td.when(mockAdapter.getAttrForOptionAtIndex(1, strings.ARIA_CHECKED_ATTR)).thenReturn('false');
+  td.when(mockAdapter.getAttrForOptionAtIndex(4, strings.ARIA_CHECKED_ATTR)).thenReturn('true');
+  assert.isTrue(foundation.isItemChecked(0));
+  assert.isFalse(foundation.isItemChecked(1));
+  assert.isFalse(foundation.isItemChecked(4));
+});
+
+test('#setItemChecked sets aria-checked of a checkbox item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initCheckableItems(mockAdapter);
+  foundation.setItemChecked(0, true);
+  td.verify(mockAdapter.setAttrForOptionAtIndex(0, strings.ARIA_CHECKED_ATTR, 'true'));
+  foundation.setItemChecked(0, false);
+  td.verify(mockAdapter.setAttrForOptionAtIndex(0, strings.ARIA_CHECKED_ATTR, 'false'));
+});
+
+test('#setItemChecked unchecks the other radio items of the same group only', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initCheckableItems(mockAdapter);
+  foundation.setItemChecked(2, true);
+  td.verify(mockAdapter.setAttrForOptionAtIndex(2, strings.ARIA_CHECKED_ATTR, 'true'));
+  td.verify(mockAdapter.setAttrForOptionAtIndex(1, strings.ARIA_CHECKED_ATTR, 'false'));
+  td.verify(mockAdapter.setAttrForOptionAtIndex(3, strings.ARIA_CHECKED_ATTR, td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.setAttrForOptionAtIndex(0, strings.ARIA_CHECKED_ATTR, td.matchers.anything()), {times: 0});
+});
+
+test('#setItemChecked does nothing for items which are not checkable', () => {
+  const {foundation, mockAdapter} = setupTest();
+  initCheckableItems(mockAdapter);
+  foundation.setItemChecked(4, true);
+  td.verify(mockAdapter.setAttrForOptionAtIndex(4, strings.ARIA_CHECKED_ATTR, td.matchers.anything()), {times: 0});
+});
+
+test('on click of an unchecked checkbox item checks it, closes the menu and notifies the checked state', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const raf = createMockRaf();
+  const target = {id: 'checkbox'};
+  initCheckableItems(mockAdapter);
+  td.when(mockAdapter.getIndexForEventTarget(target)).thenReturn(0);
+  td.when(mockAdapter.getAttrForOptionAtIndex(0, strings.ARIA_CHECKED_ATTR)).thenReturn('false');
+
+  foundation.init();
+  foundation.open();
+  handlers.click({target});
+  clock.tick(numbers.SELECTED_TRIGGER_DELAY);
+  td.verify(mockAdapter.setAttrForOptionAtIndex(0, strings.ARIA_CHECKED_ATTR, 'true'));
+  td.verify(mockAdapter.notifySelected({index: 0, checked: true}));
+  assert.isFalse(foundation.isOpen());
+
+  raf.restore();
+  clock.uninstall();
+});
+
+test('on click of a checked checkbox item unchecks it', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const target = {id: 'checkbox'};
+  initCheckableItems(mockAdapter);
+  td.when(mockAdapter.getIndexForEventTarget(target)).thenReturn(0);
+  td.when(mockAdapter.getAttrForOptionAtIndex(0, strings.ARIA_CHECKED_ATTR)).thenReturn('true');
+
+  foundation.init();
+  handlers.click({target});
+  clock.tick(numbers.SELECTED_TRIGGER_DELAY);
+  td.verify(mockAdapter.setAttrForOptionAtIndex(0, strings.ARIA_CHECKED_ATTR, 'false'));
+  td.verify(mockAdapter.notifySelected({index: 0, checked: false}));
+
+  clock.uninstall();
+});
+
+test('on click of a checked radio item leaves it checked', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const target = {id: 'radio'};
+  initCheckableItems(mockAdapter);
+  td.when(mockAdapter.getIndexForEventTarget(target)).thenReturn(1);
+  td.when(mockAdapter.getAttrForOptionAtIndex(1, strings.ARIA_CHECKED_ATTR)).thenReturn('true');
+
+  foundation.init();
+  handlers.click({target});
+  clock.tick(numbers.SELECTED_TRIGGER_DELAY);
+  td.verify(mockAdapter.setAttrForOptionAtIndex(1, strings.ARIA_CHECKED_ATTR, 'true'));
+  td.verify(mockAdapter.setAttrForOptionAtIndex(2, strings.ARIA_CHECKED_ATTR, 'false'));
+  td.verify(mockAdapter.notifySelected({index: 1, checked: true}));
+
+  clock.uninstall();
+});
+
+test('on click of a checkable item keeps the menu open when keepOpenOnCheck is set', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const raf = createMockRaf();
+  const target = {id: 'radio'};
+  initCheckableItems(mockAdapter);
+  td.when(mockAdapter.getIndexForEventTarget(target)).thenReturn(2);
+
+  foundation.init();
+  foundation.setKeepOpenOnCheck(true);
+  foundation.open();
+  handlers.click({target});
+  clock.tick(numbers.SELECTED_TRIGGER_DELAY);
+  td.verify(mockAdapter.notifySelected({index: 2, checked: true}));
+  assert.isTrue(foundation.isOpen());
+
+  raf.restore();
+  clock.uninstall();
+});
+
+test('on click of an item which is not checkable closes the menu when keepOpenOnCheck is set', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const raf = createMockRaf();
+  const target = {id: 'item'};
+  initCheckableItems(mockAdapter);
+  td.when(mockAdapter.getIndexForEventTarget(target)).thenReturn(4);
+
+  foundation.init();
+  foundation.setKeepOpenOnCheck(true);
+  foundation.open();
+  handlers.click({target});
+  clock.tick(numbers.SELECTED_TRIGGER_DELAY);
+  td.verify(mockAdapter.notifySelected({index: 4}));
+  assert.isFalse(foundation.isOpen());
+
+  raf.restore();
+  clock.uninstall();
+});
+
+test('#handleSubmenuSelected keeps the menu open for checkable items when keepOpenOnCheck is set', () => {
+  const {foundation} = setupTest();
+  const raf = createMockRaf();
+  foundation.init();
+  foundation.setKeepOpenOnCheck(true);
+  foundation.open();
+  foundation.handleSubmenuSelected({checked: false});
+  assert.isTrue(foundation.isOpen());
+  foundation.handleSubmenuSelected({});
+  assert.isFalse(foundation.isOpen());
+  raf.restore();
+});
+
+/**
+ * Sets up menu items with the given texts, the item at the given index being focused.
+ * @param {Object} mockAdapter Mock double for the adapter.
+ * @param {!Array<string>} texts
+ * @param {number} focusedIndex
+ */
+function initTypeaheadItems(mockAdapter, texts, focusedIndex) {
+  td.when(mockAdapter.getNumberOfItems()).thenReturn(texts.length);
+  td.when(mockAdapter.getFocusedItemIndex()).thenReturn(focusedIndex);
+  texts.forEach((text, index) => td.when(mockAdapter.getTextForOptionAtIndex(index)).thenReturn(text));
+}
+
+test('on keydown of a character focuses the next item starting with it', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const preventDefault = td.func('preventDefault');
+  initTypeaheadItems(mockAdapter, ['Copy', 'Paste', 'Print'], 0);
+
+  foundation.init();
+  handlers.keydown({key: 'p', target: {}, preventDefault});
+  td.verify(mockAdapter.focusItemAtIndex(1));
+  td.verify(preventDefault());
+
+  clock.uninstall();
+});
+
+test('on keydown of characters typed in quick succession focuses the item matching them all', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  initTypeaheadItems(mockAdapter, ['Copy', 'Paste', 'Print'], 1);
+
+  foundation.init();
+  handlers.keydown({key: 'p', target: {}, preventDefault: () => {}});
+  handlers.keydown({key: 'r', target: {}, preventDefault: () => {}});
+  td.verify(mockAdapter.focusItemAtIndex(2), {times: 2});
+
+  clock.uninstall();
+});
+
+test('on keydown typeahead skips items with aria-disabled set to true', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  initTypeaheadItems(mockAdapter, ['Copy', 'Paste', 'Print'], 0);
+  td.when(mockAdapter.getAttrForOptionAtIndex(1, strings.ARIA_DISABLED_ATTR)).thenReturn('true');
+
+  foundation.init();
+  handlers.keydown({key: 'p', target: {}, preventDefault: () => {}});
+  td.verify(mockAdapter.focusItemAtIndex(2));
+  td.verify(mockAdapter.focusItemAtIndex(1), {times: 0});
+
+  clock.uninstall();
+});
+
+test('on keyup of a space continuing typed characters does not select the focused item', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const target = {id: 'item'};
+  initTypeaheadItems(mockAdapter, ['Save', 'Save as'], 0);
+  td.when(mockAdapter.getIndexForEventTarget(target)).thenReturn(0);
+
+  foundation.init();
+  handlers.keydown({key: 's', target, preventDefault: () => {}});
+  handlers.keydown({key: ' ', keyCode: 32, target, preventDefault: () => {}});
+  handlers.keyup({key: ' ', keyCode: 32, target});
+  clock.tick(numbers.SELECTED_TRIGGER_DELAY);
+  td.verify(mockAdapter.notifySelected(td.matchers.anything()), {times: 0});
+
+  clock.uninstall();
+});
+
+test('#close clears the typed characters', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const clock = lolex.install();
+  const raf = createMockRaf();
+  initTypeaheadItems(mockAdapter, ['Copy', 'Paste', 'Redo'], 0);
+
+  foundation.init();
+  handlers.keydown({key: 'p', target: {}, preventDefault: () => {}});
+  foundation.close();
+  handlers.keydown({key: 'r', target: {}, preventDefault: () => {}});
+  td.verify(mockAdapter.focusItemAtIndex(2));
+
+  raf.restore();
+  clock.uninstall();
+});
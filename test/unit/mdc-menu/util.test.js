@@ -16,6 +16,7 @@
 
 import {assert} from 'chai';
 import * as utils from '../../../packages/mdc-menu/util';
+import {Corner, CornerBit} from '../../../packages/mdc-menu/constants';
 
 suite('MDCMenu - util');
 
@@ -86,6 +87,49 @@ test('clamp correctly clamps with provided minimum and maximum values', () => {
   assert.equal(utils.clamp(5.111111, 1, 5), 5);
 });
 
+test('getAutoLayoutMeasurements returns the distances between the anchor and the edges of the viewport', () => {
+  const anchorRect = {top: 100, right: 300, bottom: 140, left: 200, width: 100, height: 40};
+  const measures = utils.getAutoLayoutMeasurements(anchorRect, {width: 1000, height: 800}, {width: 150, height: 60});
+  assert.deepEqual(measures, {
+    viewport: {width: 1000, height: 800},
+    viewportDistance: {top: 100, right: 700, left: 200, bottom: 660},
+    anchorHeight: 40,
+    anchorWidth: 100,
+    menuHeight: 60,
+    menuWidth: 150,
+  });
+});
+
+const noMargin = {top: 0, right: 0, bottom: 0, left: 0};
+
+function getMeasures(anchorRect, popupDimensions = {width: 150, height: 60}) {
+  return utils.getAutoLayoutMeasurements(Object.assign({
+    width: anchorRect.right - anchorRect.left,
+    height: anchorRect.bottom - anchorRect.top,
+  }, anchorRect), {width: 1000, height: 800}, popupDimensions);
+}
+
+test('getOriginCorner returns the top left corner when the popup fits below and to the right', () => {
+  const measures = getMeasures({top: 100, right: 300, bottom: 140, left: 200});
+  assert.equal(utils.getOriginCorner(measures, Corner.TOP_START, noMargin, false), Corner.TOP_LEFT);
+});
+
+test('getOriginCorner flips vertically when the popup overflows the bottom of the viewport', () => {
+  const measures = getMeasures({top: 740, right: 300, bottom: 780, left: 200});
+  assert.equal(utils.getOriginCorner(measures, Corner.BOTTOM_START, noMargin, false) & CornerBit.BOTTOM,
+    CornerBit.BOTTOM);
+});
+
+test('getOriginCorner flips horizontally when the popup overflows the right of the viewport', () => {
+  const measures = getMeasures({top: 100, right: 1000, bottom: 140, left: 960});
+  assert.equal(utils.getOriginCorner(measures, Corner.TOP_START, noMargin, false), Corner.TOP_RIGHT);
+});
+
+test('getOriginCorner aligns to the right in RTL when the preferred corner flips in RTL', () => {
+  const measures = getMeasures({top: 100, right: 600, bottom: 140, left: 500});
+  assert.equal(utils.getOriginCorner(measures, Corner.TOP_START, noMargin, true), Corner.TOP_RIGHT);
+});
+
 function testBezier(curve, expected) {
   Object.keys(expected).forEach((time) => {
     // Compare values rounded to 3 decimal places.
@@ -20,8 +20,11 @@ import {captureHandlers} from '../helpers/foundation';
 
 import MDCSelectFoundation from '../../../packages/mdc-select/foundation';
 
-function setupTest() {
+const {cssClasses} = MDCSelectFoundation;
+
+function setupTest(hasMenu = false) {
   const {foundation, mockAdapter} = setupFoundationTest(MDCSelectFoundation);
+  td.when(mockAdapter.hasMenu()).thenReturn(hasMenu);
 
   const handlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
   foundation.init();
@@ -69,3 +72,96 @@ test('on select value change with option value', () => {
   });
   td.verify(mockAdapter.floatLabel(true), {times: 1});
 });
+
+test('on select value change notifies of the change', () => {
+  const {mockAdapter, handlers} = setupTest();
+  td.when(mockAdapter.getSelectedIndex()).thenReturn(1);
+  td.when(mockAdapter.getValue()).thenReturn('abc');
+  handlers.change({
+    target: {value: 'abc'},
+  });
+  td.verify(mockAdapter.notifyChange('abc'), {times: 1});
+});
+
+test('on focus adds the focused class', () => {
+  const {mockAdapter, handlers} = setupTest();
+  handlers.focus();
+  td.verify(mockAdapter.addClass(cssClasses.FOCUSED), {times: 1});
+});
+
+test('on blur removes the focused class', () => {
+  const {mockAdapter, handlers} = setupTest();
+  td.when(mockAdapter.getValue()).thenReturn('');
+  handlers.blur();
+  td.verify(mockAdapter.removeClass(cssClasses.FOCUSED), {times: 1});
+});
+
+test('on blur keeps an enhanced select focused while its menu is open', () => {
+  const {mockAdapter, handlers} = setupTest(true);
+  td.when(mockAdapter.getValue()).thenReturn('');
+  td.when(mockAdapter.isMenuOpen()).thenReturn(true);
+  handlers.blur();
+  td.verify(mockAdapter.removeClass(cssClasses.FOCUSED), {times: 0});
+  td.verify(mockAdapter.deactivateBottomLine(), {times: 0});
+  td.verify(mockAdapter.floatLabel(false), {times: 0});
+});
+
+test('on click opens the menu of an enhanced select', () => {
+  const {mockAdapter, handlers} = setupTest(true);
+  handlers.click();
+  td.verify(mockAdapter.openMenu(), {times: 1});
+});
+
+test('on click does not open the menu of an enhanced select again', () => {
+  const {mockAdapter, handlers} = setupTest(true);
+  td.when(mockAdapter.isMenuOpen()).thenReturn(true);
+  handlers.click();
+  td.verify(mockAdapter.openMenu(), {times: 0});
+});
+
+test('on keydown of Enter, Space, ArrowUp or ArrowDown opens the menu of an enhanced select', () => {
+  const {mockAdapter, handlers} = setupTest(true);
+  ['Enter', ' ', 'ArrowUp', 'ArrowDown'].forEach((key) => {
+    const preventDefault = td.func('preventDefault');
+    handlers.keydown({key, preventDefault});
+    td.verify(preventDefault(), {times: 1});
+  });
+  td.verify(mockAdapter.openMenu(), {times: 4});
+});
+
+test('on keydown of other keys does not open the menu of an enhanced select', () => {
+  const {mockAdapter, handlers} = setupTest(true);
+  const preventDefault = td.func('preventDefault');
+  handlers.keydown({key: 'Tab', preventDefault});
+  td.verify(preventDefault(), {times: 0});
+  td.verify(mockAdapter.openMenu(), {times: 0});
+});
+
+test('on blur styles the validity and shakes the label of an invalid select', () => {
+  const {mockAdapter, handlers} = setupTest();
+  td.when(mockAdapter.getValue()).thenReturn('');
+  td.when(mockAdapter.isRequired()).thenReturn(true);
+  handlers.blur();
+  td.verify(mockAdapter.addClass(cssClasses.INVALID), {times: 1});
+  td.verify(mockAdapter.shakeLabel(true), {times: 1});
+});
+
+test('on blur removes the invalid class of a valid select', () => {
+  const {mockAdapter, handlers} = setupTest();
+  td.when(mockAdapter.getValue()).thenReturn('abc');
+  td.when(mockAdapter.isRequired()).thenReturn(true);
+  handlers.blur();
+  td.verify(mockAdapter.removeClass(cssClasses.INVALID), {times: 1});
+  td.verify(mockAdapter.shakeLabel(false), {times: 1});
+});
+
+test('on select value change styles the validity', () => {
+  const {mockAdapter, handlers} = setupTest();
+  td.when(mockAdapter.getSelectedIndex()).thenReturn(0);
+  td.when(mockAdapter.getValue()).thenReturn('');
+  td.when(mockAdapter.isRequired()).thenReturn(true);
+  handlers.change({
+    target: {value: ''},
+  });
+  td.verify(mockAdapter.addClass(cssClasses.INVALID), {times: 1});
+});
@@ -39,11 +39,12 @@ test('exports strings', () => {
 
 test('default adapter returns a complete adapter implementation', () => {
   verifyDefaultAdapter(MDCSelectFoundation, [
-    'addClass', 'removeClass', 'hasClass', 'floatLabel', 'activateBottomLine',
+    'addClass', 'removeClass', 'hasClass', 'floatLabel', 'shakeLabel', 'activateBottomLine',
     'deactivateBottomLine', 'setDisabled', 'registerInteractionHandler',
     'deregisterInteractionHandler', 'getValue', 'setValue', 'getSelectedIndex',
     'setSelectedIndex', 'isRtl', 'hasLabel', 'getLabelWidth', 'hasOutline',
-    'notchOutline', 'closeOutline',
+    'notchOutline', 'closeOutline', 'hasMenu', 'isMenuOpen', 'openMenu', 'isFocused', 'setOptionChecked',
+    'notifyChange', 'isRequired', 'setRequired',
   ]);
 });
 
@@ -53,6 +54,18 @@ function setupTest() {
   return {mockAdapter, foundation};
 }
 
+function setupHelperTextTest() {
+  const mockAdapter = td.object(MDCSelectFoundation.defaultAdapter);
+  const helperText = td.object({
+    setContent: () => {},
+    setValidity: () => {},
+    showToScreenReader: () => {},
+  });
+  const foundation = new MDCSelectFoundation(mockAdapter, {helperText});
+  td.when(mockAdapter.getValue()).thenReturn('');
+  return {mockAdapter, foundation, helperText};
+}
+
 test('#setDisabled to true calls adapter.setDisabled and adapter.addClass', () => {
   const {mockAdapter, foundation} = setupTest();
   foundation.setDisabled(true);
@@ -83,6 +96,198 @@ test('#destroy deregisters focus, blur, and change handlers', () => {
   td.verify(mockAdapter.deregisterInteractionHandler('change', foundation.selectionHandler_));
 });
 
+test('#init registers click and keydown handlers of an enhanced select', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.hasMenu()).thenReturn(true);
+  foundation.init();
+  td.verify(mockAdapter.registerInteractionHandler('click', foundation.clickHandler_));
+  td.verify(mockAdapter.registerInteractionHandler('keydown', foundation.keydownHandler_));
+});
+
+test('#init does not register click and keydown handlers of a native select', () => {
+  const {mockAdapter, foundation} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.registerInteractionHandler('click', td.matchers.isA(Function)), {times: 0});
+  td.verify(mockAdapter.registerInteractionHandler('keydown', td.matchers.isA(Function)), {times: 0});
+});
+
+test('#destroy deregisters click and keydown handlers of an enhanced select', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.hasMenu()).thenReturn(true);
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterInteractionHandler('click', foundation.clickHandler_));
+  td.verify(mockAdapter.deregisterInteractionHandler('keydown', foundation.keydownHandler_));
+});
+
+test('#handleMenuSelected selects the option and notifies of the change', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.getSelectedIndex()).thenReturn(0);
+  td.when(mockAdapter.getValue()).thenReturn('apple');
+  foundation.handleMenuSelected(1);
+  td.verify(mockAdapter.setSelectedIndex(1));
+  td.verify(mockAdapter.floatLabel(true));
+  td.verify(mockAdapter.notifyChange('apple'));
+});
+
+test('#handleMenuSelected styles the validity', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.getSelectedIndex()).thenReturn(1);
+  td.when(mockAdapter.getValue()).thenReturn('');
+  td.when(mockAdapter.isRequired()).thenReturn(true);
+  foundation.handleMenuSelected(0);
+  td.verify(mockAdapter.addClass(cssClasses.INVALID));
+});
+
+test('#handleMenuSelected does nothing if the option is already selected', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.getSelectedIndex()).thenReturn(1);
+  foundation.handleMenuSelected(1);
+  td.verify(mockAdapter.setSelectedIndex(td.matchers.anything()), {times: 0});
+  td.verify(mockAdapter.notifyChange(td.matchers.anything()), {times: 0});
+});
+
+test('#handleOptionChecked checks the option, floats the label and notifies of the change', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.getValue()).thenReturn(['apple']);
+  foundation.handleOptionChecked(2, true);
+  td.verify(mockAdapter.setOptionChecked(2, true));
+  td.verify(mockAdapter.floatLabel(true));
+  td.verify(mockAdapter.notifyChange(['apple']));
+});
+
+test('#handleOptionChecked styles the validity', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.getValue()).thenReturn([]);
+  td.when(mockAdapter.isRequired()).thenReturn(true);
+  foundation.handleOptionChecked(2, false);
+  td.verify(mockAdapter.addClass(cssClasses.INVALID));
+});
+
+test('#handleOptionChecked defloats the label once no option is checked', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.getValue()).thenReturn([]);
+  foundation.handleOptionChecked(2, false);
+  td.verify(mockAdapter.setOptionChecked(2, false));
+  td.verify(mockAdapter.floatLabel(false));
+  td.verify(mockAdapter.notifyChange([]));
+});
+
+test('#handleMenuClosed unfocuses the select if focus did not return to it', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.isFocused()).thenReturn(false);
+  foundation.handleMenuClosed();
+  td.verify(mockAdapter.removeClass(cssClasses.FOCUSED));
+  td.verify(mockAdapter.floatLabel(false));
+  td.verify(mockAdapter.deactivateBottomLine());
+});
+
+test('#handleMenuClosed keeps the select focused if focus returned to it', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.isFocused()).thenReturn(true);
+  foundation.handleMenuClosed();
+  td.verify(mockAdapter.removeClass(cssClasses.FOCUSED), {times: 0});
+  td.verify(mockAdapter.deactivateBottomLine(), {times: 0});
+});
+
+test('#setDisabled to true removes the invalid class', () => {
+  const {mockAdapter, foundation} = setupTest();
+  foundation.setDisabled(true);
+  td.verify(mockAdapter.removeClass(cssClasses.INVALID));
+});
+
+test('#isValid returns true if the select is not required', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.isRequired()).thenReturn(false);
+  assert.isTrue(foundation.isValid());
+});
+
+test('#isValid returns false if the select is required and no option with a value is selected', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.isRequired()).thenReturn(true);
+  assert.isFalse(foundation.isValid());
+  td.when(mockAdapter.getValue()).thenReturn([]);
+  assert.isFalse(foundation.isValid());
+});
+
+test('#isValid returns true if the select is required and an option with a value is selected', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.isRequired()).thenReturn(true);
+  td.when(mockAdapter.getValue()).thenReturn('apple');
+  assert.isTrue(foundation.isValid());
+  td.when(mockAdapter.getValue()).thenReturn(['apple']);
+  assert.isTrue(foundation.isValid());
+});
+
+test('#setValid overrides the required check and styles the validity', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.isRequired()).thenReturn(false);
+  foundation.setValid(false);
+  assert.isFalse(foundation.isValid());
+  td.verify(mockAdapter.addClass(cssClasses.INVALID));
+  td.verify(mockAdapter.shakeLabel(true));
+  foundation.setValid(true);
+  assert.isTrue(foundation.isValid());
+  td.verify(mockAdapter.removeClass(cssClasses.INVALID));
+});
+
+test('#setValid does not shake the label of a focused select', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.hasClass(cssClasses.FOCUSED)).thenReturn(true);
+  foundation.setValid(false);
+  td.verify(mockAdapter.shakeLabel(true), {times: 0});
+});
+
+test('#setRequired calls adapter.setRequired and styles the validity', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.isRequired()).thenReturn(true);
+  foundation.setRequired(true);
+  td.verify(mockAdapter.setRequired(true));
+  td.verify(mockAdapter.addClass(cssClasses.INVALID));
+  assert.isTrue(foundation.isRequired());
+});
+
+test('#setSelectedIndex does not style the validity', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.isRequired()).thenReturn(true);
+  td.when(mockAdapter.getValue()).thenReturn('');
+  foundation.setSelectedIndex(-1);
+  td.verify(mockAdapter.addClass(cssClasses.INVALID), {times: 0});
+});
+
+test('#handleInvalid styles the select as invalid and shakes the label', () => {
+  const {mockAdapter, foundation} = setupTest();
+  foundation.handleInvalid();
+  td.verify(mockAdapter.addClass(cssClasses.INVALID));
+  td.verify(mockAdapter.shakeLabel(true));
+});
+
+test('#handleInvalid does not shake the label of a focused select', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.hasClass(cssClasses.FOCUSED)).thenReturn(true);
+  foundation.handleInvalid();
+  td.verify(mockAdapter.addClass(cssClasses.INVALID));
+  td.verify(mockAdapter.shakeLabel(true), {times: 0});
+});
+
+test('#setValue styles the validity', () => {
+  const {mockAdapter, foundation} = setupTest();
+  td.when(mockAdapter.isRequired()).thenReturn(true);
+  foundation.setValue('');
+  td.verify(mockAdapter.addClass(cssClasses.INVALID));
+});
+
+test('#setHelperTextContent sets the content of the helper text', () => {
+  const {foundation, helperText} = setupHelperTextTest();
+  foundation.setHelperTextContent('Pick one');
+  td.verify(helperText.setContent('Pick one'));
+});
+
+test('#setValid sets the validity of the helper text', () => {
+  const {foundation, helperText} = setupHelperTextTest();
+  foundation.setValid(false);
+  td.verify(helperText.setValidity(false));
+});
+
 test('#setSelectedIndex calls adapter.setSelectedIndex', () => {
   const {mockAdapter, foundation} = setupTest();
   foundation.setSelectedIndex(1);
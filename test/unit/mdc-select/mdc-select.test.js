@@ -29,6 +29,7 @@ import {MDCNotchedOutline} from '../../../packages/mdc-notched-outline';
 class FakeLabel {
   constructor() {
     this.float = td.func('label.float');
+    this.shake = td.func('label.shake');
   }
 }
 
@@ -372,3 +373,396 @@ test('adapter#getSelectedIndex returns selected index', () => {
   component.selectedIndex = 1;
   assert.equal(component.getDefaultFoundation().adapter_.getSelectedIndex(), 1);
 });
+
+function getEnhancedFixture() {
+  return bel`
+    <div class="mdc-select">
+      <input type="hidden" name="fruit">
+      <div class="mdc-select__selected-text" tabindex="0" role="button" aria-haspopup="listbox"></div>
+      <div class="mdc-select__menu mdc-menu" tabindex="-1">
+        <ul class="mdc-menu__items mdc-list" role="listbox">
+          <li class="mdc-list-item" role="option" data-value="" tabindex="0"></li>
+          <li class="mdc-list-item" role="option" data-value="orange" tabindex="0">
+            Orange
+          </li>
+          <li class="mdc-list-item" role="option" data-value="apple" tabindex="0">
+            Apple
+          </li>
+        </ul>
+      </div>
+      <label class="mdc-floating-label">Pick a Food Group</label>
+      <div class="mdc-line-ripple"></div>
+    </div>
+  `;
+}
+
+function setupEnhancedTest(fixture = getEnhancedFixture()) {
+  const bottomLine = new FakeBottomLine();
+  const label = new FakeLabel();
+  const selectedText = fixture.querySelector('.mdc-select__selected-text');
+  const hiddenInput = fixture.querySelector('input[type="hidden"]');
+  const menuEl = fixture.querySelector('.mdc-select__menu');
+  const component = new MDCSelect(fixture, /* foundation */ undefined, () => label, () => bottomLine);
+  return {fixture, selectedText, hiddenInput, menuEl, label, bottomLine, component};
+}
+
+test('enhanced select anchors a fixed menu to the select', () => {
+  const {fixture, menuEl, component} = setupEnhancedTest();
+  assert.equal(component.menu_.anchorElement, fixture);
+  assert.isTrue(menuEl.classList.contains('mdc-menu--fixed'));
+});
+
+test('enhanced select #get/set selectedIndex updates the selected text, menu and hidden input', () => {
+  const {selectedText, hiddenInput, menuEl, component} = setupEnhancedTest();
+  assert.equal(component.selectedIndex, -1);
+  assert.equal(selectedText.getAttribute('aria-expanded'), 'false');
+  component.selectedIndex = 2;
+  assert.equal(component.selectedIndex, 2);
+  assert.equal(component.value, 'apple');
+  assert.equal(selectedText.textContent, 'Apple');
+  assert.equal(hiddenInput.value, 'apple');
+  assert.equal(menuEl.querySelectorAll('.mdc-list-item')[2].getAttribute('aria-selected'), 'true');
+});
+
+test('enhanced select #set value selects the option with the value', () => {
+  const {selectedText, hiddenInput, label, component} = setupEnhancedTest();
+  component.value = 'orange';
+  assert.equal(component.selectedIndex, 1);
+  assert.equal(selectedText.textContent, 'Orange');
+  assert.equal(hiddenInput.value, 'orange');
+  td.verify(label.float(true));
+});
+
+test('enhanced select #initialSyncWithDOM selects the option with aria-selected', () => {
+  const fixture = getEnhancedFixture();
+  fixture.querySelectorAll('.mdc-list-item')[1].setAttribute('aria-selected', 'true');
+  const {selectedText, component} = setupEnhancedTest(fixture);
+  assert.equal(component.selectedIndex, 1);
+  assert.equal(component.value, 'orange');
+  assert.equal(selectedText.textContent, 'Orange');
+});
+
+test('enhanced select #get/set disabled updates the selected text and hidden input', () => {
+  const {fixture, selectedText, hiddenInput, component} = setupEnhancedTest();
+  assert.isFalse(component.disabled);
+  component.disabled = true;
+  assert.isTrue(component.disabled);
+  assert.isTrue(fixture.classList.contains(cssClasses.DISABLED));
+  assert.equal(selectedText.getAttribute('tabindex'), '-1');
+  assert.equal(selectedText.getAttribute('aria-disabled'), 'true');
+  assert.isTrue(hiddenInput.disabled);
+  component.disabled = false;
+  assert.equal(selectedText.getAttribute('tabindex'), '0');
+  assert.equal(selectedText.getAttribute('aria-disabled'), 'false');
+  assert.isFalse(hiddenInput.disabled);
+});
+
+test('enhanced select opens its menu on click of the selected text', () => {
+  const {selectedText, component} = setupEnhancedTest();
+  domEvents.emit(selectedText, 'click');
+  assert.isTrue(component.menu_.open);
+  assert.equal(selectedText.getAttribute('aria-expanded'), 'true');
+});
+
+test('enhanced select selects the option picked from its menu and emits MDCSelect:change', () => {
+  const {selectedText, component} = setupEnhancedTest();
+  const handler = td.func('changeHandler');
+  component.listen('MDCSelect:change', handler);
+  domEvents.emit(selectedText, 'click');
+  component.menu_.emit('MDCMenu:selected', {index: 2});
+  assert.equal(component.value, 'apple');
+  assert.equal(selectedText.getAttribute('aria-expanded'), 'false');
+  td.verify(handler(td.matchers.contains({detail: {value: 'apple', index: 2}})));
+});
+
+test('enhanced select is unfocused when its menu is cancelled without focus returning to it', () => {
+  const {fixture, selectedText, bottomLine, component} = setupEnhancedTest();
+  fixture.classList.add(cssClasses.FOCUSED);
+  domEvents.emit(selectedText, 'click');
+  component.menu_.emit('MDCMenu:cancel', {});
+  assert.isFalse(fixture.classList.contains(cssClasses.FOCUSED));
+  assert.equal(selectedText.getAttribute('aria-expanded'), 'false');
+  td.verify(bottomLine.deactivate());
+});
+
+test('enhanced select #destroy destroys its menu', () => {
+  const {component} = setupEnhancedTest();
+  const menuDestroy = td.replace(component.menu_, 'destroy');
+  component.destroy();
+  td.verify(menuDestroy());
+});
+
+function getMultipleFixture({hasChipSet = false} = {}) {
+  const fixture = bel`
+    <div class="mdc-select mdc-select--multiple">
+      <input type="hidden" name="fruit">
+      <div class="mdc-select__selected-text" tabindex="0" role="button" aria-haspopup="true"></div>
+      <div class="mdc-select__menu mdc-menu" tabindex="-1">
+        <ul class="mdc-menu__items mdc-list" role="menu" aria-multiselectable="true">
+          <li class="mdc-list-item" role="menuitemcheckbox" aria-checked="false" data-value="orange" tabindex="0">
+            <span class="mdc-list-item__graphic"><input type="checkbox" tabindex="-1"></span>
+            Orange
+          </li>
+          <li class="mdc-list-item" role="menuitemcheckbox" aria-checked="true" data-value="apple" tabindex="0">
+            <span class="mdc-list-item__graphic"><input type="checkbox" tabindex="-1"></span>
+            Apple
+          </li>
+          <li class="mdc-list-item" role="menuitemcheckbox" aria-checked="false" data-value="pear" tabindex="0">
+            <span class="mdc-list-item__graphic"><input type="checkbox" tabindex="-1"></span>
+            Pear
+          </li>
+        </ul>
+      </div>
+      <label class="mdc-floating-label">Pick Fruit</label>
+      <div class="mdc-line-ripple"></div>
+    </div>
+  `;
+  if (hasChipSet) {
+    fixture.appendChild(bel`<div class="mdc-select__chip-set mdc-chip-set mdc-chip-set--input"></div>`);
+  }
+  return fixture;
+}
+
+function getHiddenValues(fixture) {
+  return [].slice.call(fixture.querySelectorAll('input[type="hidden"]')).map((input) => input.value);
+}
+
+function getCheckboxStates(fixture) {
+  return [].slice.call(fixture.querySelectorAll('input[type="checkbox"]')).map((input) => input.checked);
+}
+
+test('multiple select #initialSyncWithDOM checks the options with aria-checked', () => {
+  const {fixture, selectedText, label, component} = setupEnhancedTest(getMultipleFixture());
+  assert.deepEqual(component.selectedIndex, [1]);
+  assert.deepEqual(component.value, ['apple']);
+  assert.equal(selectedText.textContent, 'Apple');
+  assert.deepEqual(getHiddenValues(fixture), ['apple']);
+  assert.deepEqual(getCheckboxStates(fixture), [false, true, false]);
+  td.verify(label.float(true));
+});
+
+test('multiple select #set value checks the options with the values', () => {
+  const {fixture, selectedText, component} = setupEnhancedTest(getMultipleFixture());
+  component.value = ['orange', 'pear'];
+  assert.deepEqual(component.selectedIndex, [0, 2]);
+  assert.deepEqual(component.value, ['orange', 'pear']);
+  assert.equal(selectedText.textContent, '2 selected');
+  assert.deepEqual(getHiddenValues(fixture), ['orange', 'pear']);
+  assert.deepEqual(getCheckboxStates(fixture), [true, false, true]);
+});
+
+test('multiple select #set selectedIndex checks the options at the indexes', () => {
+  const {fixture, selectedText, label, component} = setupEnhancedTest(getMultipleFixture());
+  component.selectedIndex = [];
+  assert.deepEqual(component.value, []);
+  assert.equal(selectedText.textContent, '');
+  assert.deepEqual(getHiddenValues(fixture), []);
+  td.verify(label.float(false));
+});
+
+test('multiple select #selectionSummary sets the summary of several checked options', () => {
+  const {selectedText, component} = setupEnhancedTest(getMultipleFixture());
+  component.selectionSummary = (count) => `${count} fruits`;
+  component.value = ['orange', 'apple', 'pear'];
+  assert.equal(selectedText.textContent, '3 fruits');
+});
+
+test('multiple select #set disabled disables the hidden inputs', () => {
+  const {fixture, component} = setupEnhancedTest(getMultipleFixture());
+  component.disabled = true;
+  component.value = ['orange', 'pear'];
+  assert.isTrue([].slice.call(fixture.querySelectorAll('input[type="hidden"]')).every((input) => input.disabled));
+});
+
+test('required multiple select fails the constraint validation of its form while no option is checked', () => {
+  const form = document.createElement('form');
+  const {component} = setupEnhancedTest(form.appendChild(getMultipleFixture()));
+  component.required = true;
+  component.value = [];
+  assert.isFalse(form.checkValidity());
+  component.value = ['orange', 'pear'];
+  assert.isTrue(form.checkValidity());
+});
+
+test('multiple select keeps its menu open and emits MDCSelect:change when an option is checked', () => {
+  const {fixture, selectedText, component} = setupEnhancedTest(getMultipleFixture());
+  const handler = td.func('changeHandler');
+  component.listen('MDCSelect:change', handler);
+  domEvents.emit(selectedText, 'click');
+  component.menu_.setItemChecked(2, true);
+  component.menu_.emit('MDCMenu:selected', {index: 2, checked: true});
+  assert.isTrue(component.menu_.open);
+  assert.equal(selectedText.getAttribute('aria-expanded'), 'true');
+  assert.deepEqual(getHiddenValues(fixture), ['apple', 'pear']);
+  td.verify(handler(td.matchers.contains({detail: {value: ['apple', 'pear'], index: [1, 2]}})));
+});
+
+test('multiple select submits one hidden input per checked option with a form', () => {
+  const form = bel`<form></form>`;
+  const {fixture, component} = setupEnhancedTest(getMultipleFixture());
+  form.appendChild(fixture);
+  component.value = ['orange', 'pear'];
+  const submitted = [].slice.call(form.elements).filter((el) => el.name === 'fruit').map((el) => el.value);
+  assert.deepEqual(submitted, ['orange', 'pear']);
+});
+
+test('multiple select with a chip set shows a chip per checked option', () => {
+  const {fixture, selectedText, component} = setupEnhancedTest(getMultipleFixture({hasChipSet: true}));
+  const chipSetEl = fixture.querySelector('.mdc-select__chip-set');
+  assert.equal(selectedText.textContent, '');
+  assert.equal(component.chipSet_.chips.length, 1);
+  component.value = ['orange', 'apple'];
+  const chips = [].slice.call(chipSetEl.querySelectorAll('.mdc-chip'));
+  assert.deepEqual(chips.map((chip) => chip.getAttribute('data-value')), ['apple', 'orange']);
+  assert.equal(chips[1].querySelector('.mdc-chip__text').textContent, 'Orange');
+  assert.isOk(chips[1].querySelector('.mdc-chip__icon--trailing'));
+});
+
+test('multiple select with a chip set removes the chips of unchecked options', () => {
+  const {fixture, component} = setupEnhancedTest(getMultipleFixture({hasChipSet: true}));
+  const chipEl = fixture.querySelector('.mdc-chip');
+  component.value = [];
+  assert.isTrue(chipEl.classList.contains('mdc-chip--exit'));
+  component.chipSet_.chips[0].emit('MDCChip:removal', {chip: component.chipSet_.chips[0], root: chipEl}, true);
+  assert.isNull(chipEl.parentNode);
+  assert.equal(component.chipSet_.chips.length, 0);
+});
+
+test('multiple select with a chip set unchecks the option of a chip removed via its trailing icon', () => {
+  const {fixture, component} = setupEnhancedTest(getMultipleFixture({hasChipSet: true}));
+  const handler = td.func('changeHandler');
+  component.listen('MDCSelect:change', handler);
+  domEvents.emit(fixture.querySelector('.mdc-chip__icon--trailing'), 'click');
+  assert.deepEqual(component.value, []);
+  assert.deepEqual(getHiddenValues(fixture), []);
+  assert.deepEqual(getCheckboxStates(fixture), [false, false, false]);
+  td.verify(handler(td.matchers.contains({detail: {value: [], index: []}})));
+});
+
+class FakeHelperText {
+  constructor() {
+    this.foundation = td.object({
+      setContent: () => {},
+      setValidity: () => {},
+      showToScreenReader: () => {},
+    });
+    this.destroy = td.func('helperText.destroy');
+  }
+}
+
+test('#get/set required sets the required state of the <select>', () => {
+  const {component, nativeControl, fixture} = setupTest();
+  assert.isFalse(component.required);
+  component.required = true;
+  assert.isTrue(component.required);
+  assert.isTrue(nativeControl.required);
+  assert.isFalse(component.valid);
+  assert.isTrue(fixture.classList.contains(cssClasses.INVALID));
+  component.value = 'orange';
+  assert.isTrue(component.valid);
+  assert.isFalse(fixture.classList.contains(cssClasses.INVALID));
+});
+
+test('#set valid sets a custom validity', () => {
+  const {component, fixture} = setupTest();
+  component.valid = false;
+  assert.isFalse(component.valid);
+  assert.isTrue(fixture.classList.contains(cssClasses.INVALID));
+  component.valid = true;
+  assert.isTrue(component.valid);
+  assert.isFalse(fixture.classList.contains(cssClasses.INVALID));
+});
+
+test('adapter#shakeLabel shakes the label', () => {
+  const {component, label} = setupTest();
+  component.getDefaultFoundation().adapter_.shakeLabel(true);
+  td.verify(label.shake(true));
+});
+
+test('enhanced select #get/set required sets aria-required of the selected text', () => {
+  const {selectedText, component} = setupEnhancedTest();
+  assert.isFalse(component.required);
+  component.required = true;
+  assert.isTrue(component.required);
+  assert.equal(selectedText.getAttribute('aria-required'), 'true');
+  assert.isFalse(component.valid);
+  component.value = 'apple';
+  assert.isTrue(component.valid);
+});
+
+test('required select is not styled as invalid right after it is attached', () => {
+  const fixture = getFixture();
+  fixture.querySelector('.mdc-select__native-control').required = true;
+  const component = MDCSelect.attachTo(fixture);
+  assert.isFalse(component.valid);
+  assert.isFalse(fixture.classList.contains(cssClasses.INVALID));
+});
+
+test('required enhanced select is not styled as invalid right after it is attached', () => {
+  const fixture = getEnhancedFixture();
+  fixture.querySelector('.mdc-select__selected-text').setAttribute('aria-required', 'true');
+  const component = MDCSelect.attachTo(fixture);
+  assert.isFalse(component.valid);
+  assert.isFalse(fixture.classList.contains(cssClasses.INVALID));
+});
+
+test('required enhanced select fails the constraint validation of its form while no option with a value is selected',
+  () => {
+    const form = document.createElement('form');
+    const fixture = form.appendChild(getEnhancedFixture());
+    fixture.querySelector('.mdc-select__selected-text').setAttribute('aria-required', 'true');
+    const {component} = setupEnhancedTest(fixture);
+    assert.isFalse(form.checkValidity());
+    component.value = 'apple';
+    assert.isTrue(form.checkValidity());
+    component.required = false;
+    component.value = '';
+    assert.isTrue(form.checkValidity());
+  });
+
+test('disabled enhanced select does not take part in the constraint validation of its form', () => {
+  const form = document.createElement('form');
+  const {component} = setupEnhancedTest(form.appendChild(getEnhancedFixture()));
+  component.required = true;
+  component.disabled = true;
+  assert.isTrue(form.checkValidity());
+});
+
+test('enhanced select is styled as invalid when its form fails constraint validation', () => {
+  const form = document.createElement('form');
+  const fixture = form.appendChild(getEnhancedFixture());
+  fixture.querySelector('.mdc-select__selected-text').setAttribute('aria-required', 'true');
+  const {label} = setupEnhancedTest(fixture);
+  form.checkValidity();
+  assert.isTrue(fixture.classList.contains(cssClasses.INVALID));
+  td.verify(label.shake(true));
+});
+
+test('enhanced select does not submit its validation input with its form', () => {
+  const {fixture} = setupEnhancedTest();
+  const validationInput = fixture.querySelector(`.${cssClasses.VALIDATION_INPUT}`);
+  assert.isOk(validationInput);
+  assert.isFalse(validationInput.hasAttribute('name'));
+});
+
+test('#initialize instantiates the helper text referenced via aria-controls', () => {
+  const fixture = getFixture();
+  const helperTextEl = bel`<p id="select-helper-text" class="mdc-text-field-helper-text"></p>`;
+  fixture.querySelector('.mdc-select__native-control').setAttribute('aria-controls', 'select-helper-text');
+  document.body.appendChild(fixture);
+  document.body.appendChild(helperTextEl);
+  const helperText = new FakeHelperText();
+  const helperTextFactory = td.func('helperTextFactory');
+  td.when(helperTextFactory(helperTextEl)).thenReturn(helperText);
+  const component = new MDCSelect(fixture, undefined, () => new FakeLabel(), () => new FakeBottomLine(),
+    undefined, undefined, undefined, helperTextFactory);
+
+  component.helperTextContent = 'Pick a food group';
+  td.verify(helperText.foundation.setContent('Pick a food group'));
+  component.valid = false;
+  td.verify(helperText.foundation.setValidity(false));
+  component.destroy();
+  td.verify(helperText.destroy());
+  document.body.removeChild(fixture);
+  document.body.removeChild(helperTextEl);
+});
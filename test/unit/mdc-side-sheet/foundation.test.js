@@ -0,0 +1,312 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import td from 'testdouble';
+
+import {captureHandlers, verifyDefaultAdapter} from '../helpers/foundation';
+import {createMockRaf} from '../helpers/raf';
+import MDCSideSheetFoundation from '../../../packages/mdc-side-sheet/foundation';
+
+const {cssClasses} = MDCSideSheetFoundation;
+
+const SHEET_WIDTH = 256;
+
+function setupTest() {
+  const mockAdapter = td.object(MDCSideSheetFoundation.defaultAdapter);
+  td.when(mockAdapter.hasClass(cssClasses.ROOT)).thenReturn(true);
+  td.when(mockAdapter.hasNecessaryDom()).thenReturn(true);
+  td.when(mockAdapter.getDrawerWidth()).thenReturn(SHEET_WIDTH);
+  td.when(mockAdapter.getFocusableElements()).thenReturn([]);
+  const foundation = new MDCSideSheetFoundation(mockAdapter);
+  return {foundation, mockAdapter};
+}
+
+/**
+ * Opens the sheet and returns helpers to drag it.
+ */
+function setupDragTest({isRtl = false} = {}) {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.isRtl()).thenReturn(isRtl);
+  td.when(mockAdapter.hasClass(cssClasses.OPEN)).thenReturn(true);
+  const sheetHandlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const rootHandlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  foundation.init();
+  foundation.open();
+
+  const drag = (fromX, toX) => {
+    sheetHandlers.touchstart({touches: [{pageX: fromX}]});
+    rootHandlers.touchmove({touches: [{pageX: toX}]});
+    raf.flush();
+  };
+  const release = () => rootHandlers.touchend({touches: []});
+  const teardown = () => raf.restore();
+  return {foundation, mockAdapter, sheetHandlers, rootHandlers, raf, drag, release, teardown};
+}
+
+suite('MDCSideSheetFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCSideSheetFoundation);
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCSideSheetFoundation);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCSideSheetFoundation, [
+    'addClass', 'removeClass', 'hasClass', 'hasNecessaryDom', 'registerInteractionHandler',
+    'deregisterInteractionHandler', 'registerDrawerInteractionHandler', 'deregisterDrawerInteractionHandler',
+    'registerTransitionEndHandler', 'deregisterTransitionEndHandler', 'registerDocumentKeydownHandler',
+    'deregisterDocumentKeydownHandler', 'setTranslateX', 'getFocusableElements',
+    'saveElementTabState', 'restoreElementTabState', 'makeElementUntabbable',
+    'notifyOpen', 'notifyClose', 'isRtl', 'getDrawerWidth', 'isSheet',
+  ]);
+});
+
+test('#init registers touch handlers', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const {isA} = td.matchers;
+  foundation.init();
+  td.verify(mockAdapter.registerDrawerInteractionHandler('touchstart', isA(Function)));
+  td.verify(mockAdapter.registerInteractionHandler('touchmove', isA(Function)));
+  td.verify(mockAdapter.registerInteractionHandler('touchend', isA(Function)));
+});
+
+test('#init throws when the sheet element is missing', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.hasNecessaryDom()).thenReturn(false);
+  assert.throws(() => foundation.init());
+});
+
+test('#init makes focusable elements untabbable when the sheet is closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const button = {};
+  td.when(mockAdapter.getFocusableElements()).thenReturn([button]);
+  foundation.init();
+  td.verify(mockAdapter.saveElementTabState(button));
+  td.verify(mockAdapter.makeElementUntabbable(button));
+  assert.isFalse(foundation.isOpen());
+});
+
+test('#init treats a sheet with the open class as open', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.hasClass(cssClasses.OPEN)).thenReturn(true);
+  foundation.init();
+  assert.isTrue(foundation.isOpen());
+  td.verify(mockAdapter.makeElementUntabbable(td.matchers.anything()), {times: 0});
+});
+
+test('#destroy deregisters touch and transitionend handlers', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const {isA} = td.matchers;
+  foundation.init();
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterDrawerInteractionHandler('touchstart', isA(Function)));
+  td.verify(mockAdapter.deregisterInteractionHandler('touchmove', isA(Function)));
+  td.verify(mockAdapter.deregisterInteractionHandler('touchend', isA(Function)));
+  td.verify(mockAdapter.deregisterTransitionEndHandler(isA(Function)));
+});
+
+test('#open adds the open and animating classes and emits the open event', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  td.verify(mockAdapter.addClass(cssClasses.OPEN));
+  td.verify(mockAdapter.addClass(cssClasses.ANIMATING));
+  td.verify(mockAdapter.registerTransitionEndHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.notifyOpen());
+  assert.isTrue(foundation.isOpen());
+});
+
+test('#open emits the open event only when the sheet was closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  foundation.open();
+  td.verify(mockAdapter.notifyOpen(), {times: 1});
+});
+
+test('#open restores the tab state of focusable elements', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const button = {};
+  td.when(mockAdapter.getFocusableElements()).thenReturn([button]);
+  foundation.init();
+  foundation.open();
+  td.verify(mockAdapter.restoreElementTabState(button));
+});
+
+test('#close removes the open class and emits the close event', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  foundation.close();
+  td.verify(mockAdapter.removeClass(cssClasses.OPEN));
+  td.verify(mockAdapter.notifyClose());
+  assert.isFalse(foundation.isOpen());
+});
+
+test('Escape keydown closes the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let keydown;
+  td.when(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    keydown = handler;
+  });
+  foundation.open();
+  keydown({key: 'Escape'});
+  assert.isFalse(foundation.isOpen());
+  td.verify(mockAdapter.deregisterDocumentKeydownHandler(keydown));
+});
+
+test('#close emits the close event only when the sheet was open', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.close();
+  td.verify(mockAdapter.notifyClose(), {times: 0});
+});
+
+test('#close makes focusable elements untabbable', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const button = {};
+  td.when(mockAdapter.getFocusableElements()).thenReturn([button]);
+  foundation.open();
+  foundation.close();
+  td.verify(mockAdapter.makeElementUntabbable(button));
+});
+
+test('transitionend on the sheet removes the animating class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let transitionEndHandler;
+  td.when(mockAdapter.registerTransitionEndHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    transitionEndHandler = handler;
+  });
+  td.when(mockAdapter.isSheet('sheet')).thenReturn(true);
+  foundation.open();
+  transitionEndHandler({target: 'sheet'});
+  td.verify(mockAdapter.removeClass(cssClasses.ANIMATING));
+  td.verify(mockAdapter.deregisterTransitionEndHandler(transitionEndHandler));
+});
+
+test('transitionend on a child of the sheet does not remove the animating class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let transitionEndHandler;
+  td.when(mockAdapter.registerTransitionEndHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    transitionEndHandler = handler;
+  });
+  foundation.open();
+  transitionEndHandler({target: 'child'});
+  td.verify(mockAdapter.removeClass(cssClasses.ANIMATING), {times: 0});
+});
+
+test('on touch start does nothing when the sheet is closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const raf = createMockRaf();
+  foundation.init();
+  handlers.touchstart({touches: [{pageX: 100}]});
+  raf.flush();
+  td.verify(mockAdapter.setTranslateX(td.matchers.anything()), {times: 0});
+  raf.restore();
+});
+
+test('on touch start ignores pointer events which are not touch', () => {
+  const {mockAdapter, sheetHandlers, raf, teardown} = setupDragTest();
+  sheetHandlers.touchstart({pointerType: 'mouse', pageX: 100});
+  raf.flush();
+  td.verify(mockAdapter.setTranslateX(td.matchers.anything()), {times: 0});
+  teardown();
+});
+
+test('on touch move translates the sheet towards the trailing edge along with the touch', () => {
+  const {mockAdapter, drag, teardown} = setupDragTest();
+  drag(100, 150);
+  td.verify(mockAdapter.setTranslateX(50));
+  teardown();
+});
+
+test('on touch move works for pointer events', () => {
+  const {mockAdapter, sheetHandlers, rootHandlers, raf, teardown} = setupDragTest();
+  sheetHandlers.touchstart({pointerType: 'touch', pageX: 100});
+  rootHandlers.touchmove({pointerType: 'touch', pageX: 130});
+  raf.flush();
+  td.verify(mockAdapter.setTranslateX(30));
+  teardown();
+});
+
+test('on touch move does not translate the sheet past its open position', () => {
+  const {mockAdapter, drag, teardown} = setupDragTest();
+  drag(100, 0);
+  td.verify(mockAdapter.setTranslateX(0));
+  teardown();
+});
+
+test('on touch move translates the sheet towards the left edge in RTL', () => {
+  const {mockAdapter, drag, teardown} = setupDragTest({isRtl: true});
+  drag(200, 150);
+  td.verify(mockAdapter.setTranslateX(-50));
+  teardown();
+});
+
+test('on touch move does not translate the sheet past its open position in RTL', () => {
+  const {mockAdapter, drag, teardown} = setupDragTest({isRtl: true});
+  drag(100, 200);
+  td.verify(mockAdapter.setTranslateX(0));
+  teardown();
+});
+
+test('on touch end closes the sheet when dragged by at least half its width', () => {
+  const {foundation, mockAdapter, drag, release, teardown} = setupDragTest();
+  drag(100, 100 + SHEET_WIDTH / 2);
+  release();
+  assert.isFalse(foundation.isOpen());
+  td.verify(mockAdapter.setTranslateX(null));
+  td.verify(mockAdapter.notifyClose());
+  teardown();
+});
+
+test('on touch end closes the sheet when dragged by at least half its width in RTL', () => {
+  const {foundation, drag, release, teardown} = setupDragTest({isRtl: true});
+  drag(300, 300 - SHEET_WIDTH / 2);
+  release();
+  assert.isFalse(foundation.isOpen());
+  teardown();
+});
+
+test('on touch end moves the sheet back to its open position when dragged by less than half its width', () => {
+  const {foundation, mockAdapter, drag, release, teardown} = setupDragTest();
+  drag(100, 150);
+  release();
+  assert.isTrue(foundation.isOpen());
+  td.verify(mockAdapter.setTranslateX(null));
+  td.verify(mockAdapter.addClass(cssClasses.ANIMATING), {times: 2});
+  teardown();
+});
+
+test('on touch end does nothing without a preceding touch start', () => {
+  const {foundation, mockAdapter, release, teardown} = setupDragTest();
+  release();
+  assert.isTrue(foundation.isOpen());
+  td.verify(mockAdapter.setTranslateX(td.matchers.anything()), {times: 0});
+  teardown();
+});
+
+test('on touch end stops updating the sheet', () => {
+  const {mockAdapter, raf, drag, release, teardown} = setupDragTest();
+  drag(100, 150);
+  release();
+  raf.flush();
+  td.verify(mockAdapter.setTranslateX(50), {times: 1});
+  teardown();
+});
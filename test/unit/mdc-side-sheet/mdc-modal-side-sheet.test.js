@@ -0,0 +1,126 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+import domEvents from 'dom-events';
+import td from 'testdouble';
+
+import {MDCModalSideSheet, MDCModalSideSheetFoundation} from '../../../packages/mdc-side-sheet/index';
+import {supportsCssCustomProperties} from '../../../packages/mdc-drawer/util';
+
+const {cssClasses, strings} = MDCModalSideSheetFoundation;
+
+function getFixture() {
+  return bel`
+    <aside class="mdc-side-sheet mdc-side-sheet--modal">
+      <div class="mdc-side-sheet__scrim"></div>
+      <div class="mdc-side-sheet__sheet">
+        <div class="mdc-side-sheet__content">
+          <button>Edit</button>
+        </div>
+      </div>
+    </aside>
+  `;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const focusTrap = td.object(['activate', 'deactivate']);
+  const component = new MDCModalSideSheet(root, undefined, () => focusTrap);
+  const scrim = root.querySelector(strings.SCRIM_SELECTOR);
+  return {root, scrim, focusTrap, component};
+}
+
+suite('MDCModalSideSheet');
+
+test('attachTo initializes and returns a MDCModalSideSheet instance', () => {
+  assert.isOk(MDCModalSideSheet.attachTo(getFixture()) instanceof MDCModalSideSheet);
+});
+
+test('opening traps focus and locks body scroll', () => {
+  const {focusTrap, component} = setupTest();
+  component.open = true;
+  td.verify(focusTrap.activate());
+  assert.isTrue(document.body.classList.contains(cssClasses.SCROLL_LOCK));
+  component.destroy();
+});
+
+test('closing releases the focus trap', () => {
+  const {focusTrap, component} = setupTest();
+  component.open = true;
+  component.open = false;
+  td.verify(focusTrap.deactivate());
+  component.destroy();
+});
+
+test('#destroy unlocks body scroll', () => {
+  const {component} = setupTest();
+  component.open = true;
+  component.destroy();
+  assert.isFalse(document.body.classList.contains(cssClasses.SCROLL_LOCK));
+});
+
+test('click on the scrim closes the sheet', () => {
+  const {scrim, component} = setupTest();
+  component.open = true;
+  domEvents.emit(scrim, 'click');
+  assert.isFalse(component.open);
+  component.destroy();
+});
+
+test('adapter#registerScrimInteractionHandler adds an event listener to the scrim element', () => {
+  const {scrim, component} = setupTest();
+  const handler = td.func('eventHandler');
+  component.getDefaultFoundation().adapter_.registerScrimInteractionHandler('click', handler);
+  domEvents.emit(scrim, 'click');
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('adapter#deregisterScrimInteractionHandler removes an event listener from the scrim element', () => {
+  const {scrim, component} = setupTest();
+  const handler = td.func('eventHandler');
+  scrim.addEventListener('click', handler);
+  component.getDefaultFoundation().adapter_.deregisterScrimInteractionHandler('click', handler);
+  domEvents.emit(scrim, 'click');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#registerScrimInteractionHandler does not throw when there is no scrim', () => {
+  const {root, scrim, component} = setupTest();
+  root.removeChild(scrim);
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  assert.doesNotThrow(() => adapter.registerScrimInteractionHandler('click', () => {}));
+  assert.doesNotThrow(() => adapter.deregisterScrimInteractionHandler('click', () => {}));
+});
+
+test('adapter#addBodyClass and adapter#removeBodyClass toggle a class on the body element', () => {
+  const {component} = setupTest();
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  adapter.addBodyClass('foo');
+  assert.isTrue(document.body.classList.contains('foo'));
+  adapter.removeBodyClass('foo');
+  assert.isFalse(document.body.classList.contains('foo'));
+});
+
+test('adapter#updateCssVariable sets the scrim opacity custom property', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.updateCssVariable(0.5);
+  if (supportsCssCustomProperties()) {
+    assert.equal(root.style.getPropertyValue(strings.SCRIM_OPACITY_VAR_NAME), '0.5');
+  }
+});
@@ -0,0 +1,232 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+import domEvents from 'dom-events';
+import td from 'testdouble';
+
+import {MDCSideSheet, MDCSideSheetFoundation} from '../../../packages/mdc-side-sheet/index';
+import {getTransformPropertyName} from '../../../packages/mdc-drawer/util';
+
+const {strings} = MDCSideSheetFoundation;
+
+function getFixture() {
+  return bel`
+    <aside class="mdc-side-sheet">
+      <div class="mdc-side-sheet__sheet">
+        <div class="mdc-side-sheet__content">
+          <button>Edit</button>
+        </div>
+      </div>
+    </aside>
+  `;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const component = new MDCSideSheet(root);
+  const sheet = root.querySelector(strings.SHEET_SELECTOR);
+  return {root, sheet, component};
+}
+
+suite('MDCSideSheet');
+
+test('attachTo initializes and returns a MDCSideSheet instance', () => {
+  assert.isOk(MDCSideSheet.attachTo(getFixture()) instanceof MDCSideSheet);
+});
+
+test('get/set open', () => {
+  const {root, component} = setupTest();
+  const openHandler = td.func('openHandler');
+  const closeHandler = td.func('closeHandler');
+  root.addEventListener(strings.OPEN_EVENT, openHandler);
+  root.addEventListener(strings.CLOSE_EVENT, closeHandler);
+
+  component.open = true;
+  assert.isTrue(root.classList.contains(MDCSideSheetFoundation.cssClasses.OPEN));
+  assert.isTrue(component.open);
+  td.verify(openHandler(td.matchers.anything()));
+
+  component.open = false;
+  assert.isFalse(root.classList.contains(MDCSideSheetFoundation.cssClasses.OPEN));
+  assert.isFalse(component.open);
+  td.verify(closeHandler(td.matchers.anything()));
+});
+
+test('sheet returns the sheet element', () => {
+  const {sheet, component} = setupTest();
+  assert.equal(component.sheet, sheet);
+});
+
+test('focusable elements are untabbable while the sheet is closed', () => {
+  const {root, component} = setupTest();
+  const button = root.querySelector('button');
+  assert.equal(button.getAttribute('tabindex'), '-1');
+  component.open = true;
+  assert.isFalse(button.hasAttribute('tabindex'));
+});
+
+test('adapter#hasClass returns whether the root element has the class', () => {
+  const {root, component} = setupTest();
+  root.classList.add('foo');
+  assert.isTrue(component.getDefaultFoundation().adapter_.hasClass('foo'));
+  assert.isFalse(component.getDefaultFoundation().adapter_.hasClass('bar'));
+});
+
+test('adapter#hasNecessaryDom returns whether the sheet element exists', () => {
+  const {root, sheet, component} = setupTest();
+  assert.isTrue(component.getDefaultFoundation().adapter_.hasNecessaryDom());
+  root.removeChild(sheet);
+  assert.isFalse(component.getDefaultFoundation().adapter_.hasNecessaryDom());
+});
+
+test('adapter#registerInteractionHandler adds an event listener to the root element', () => {
+  const {root, component} = setupTest();
+  const handler = td.func('eventHandler');
+  component.getDefaultFoundation().adapter_.registerInteractionHandler('click', handler);
+  domEvents.emit(root, 'click');
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('adapter#deregisterInteractionHandler removes an event listener from the root element', () => {
+  const {root, component} = setupTest();
+  const handler = td.func('eventHandler');
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  adapter.registerInteractionHandler('click', handler);
+  adapter.deregisterInteractionHandler('click', handler);
+  domEvents.emit(root, 'click');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#registerDrawerInteractionHandler adds an event listener to the sheet element', () => {
+  const {sheet, component} = setupTest();
+  const handler = td.func('eventHandler');
+  component.getDefaultFoundation().adapter_.registerDrawerInteractionHandler('click', handler);
+  domEvents.emit(sheet, 'click');
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('adapter#deregisterDrawerInteractionHandler removes an event listener from the sheet element', () => {
+  const {sheet, component} = setupTest();
+  const handler = td.func('eventHandler');
+  sheet.addEventListener('click', handler);
+  component.getDefaultFoundation().adapter_.deregisterDrawerInteractionHandler('click', handler);
+  domEvents.emit(sheet, 'click');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#registerDocumentKeydownHandler adds a keydown listener to the document', () => {
+  const {component} = setupTest();
+  const handler = td.func('keydownHandler');
+  component.getDefaultFoundation().adapter_.registerDocumentKeydownHandler(handler);
+  domEvents.emit(document, 'keydown');
+  td.verify(handler(td.matchers.anything()));
+  document.removeEventListener('keydown', handler);
+});
+
+test('adapter#deregisterDocumentKeydownHandler removes a keydown listener from the document', () => {
+  const {component} = setupTest();
+  const handler = td.func('keydownHandler');
+  document.addEventListener('keydown', handler);
+  component.getDefaultFoundation().adapter_.deregisterDocumentKeydownHandler(handler);
+  domEvents.emit(document, 'keydown');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#registerTransitionEndHandler adds a transitionend listener to the sheet element', () => {
+  const {sheet, component} = setupTest();
+  const handler = td.func('transitionEndHandler');
+  component.getDefaultFoundation().adapter_.registerTransitionEndHandler(handler);
+  domEvents.emit(sheet, 'transitionend');
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('adapter#deregisterTransitionEndHandler removes a transitionend listener from the sheet element', () => {
+  const {sheet, component} = setupTest();
+  const handler = td.func('transitionEndHandler');
+  sheet.addEventListener('transitionend', handler);
+  component.getDefaultFoundation().adapter_.deregisterTransitionEndHandler(handler);
+  domEvents.emit(sheet, 'transitionend');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#isSheet returns whether the element is the sheet element', () => {
+  const {root, sheet, component} = setupTest();
+  assert.isTrue(component.getDefaultFoundation().adapter_.isSheet(sheet));
+  assert.isFalse(component.getDefaultFoundation().adapter_.isSheet(root));
+});
+
+test('adapter#setTranslateX sets the transform of the sheet element', () => {
+  const {sheet, component} = setupTest();
+  component.getDefaultFoundation().adapter_.setTranslateX(100);
+  assert.equal(sheet.style.getPropertyValue(getTransformPropertyName()), 'translateX(100px)');
+});
+
+test('adapter#setTranslateX removes the transform of the sheet element when given null', () => {
+  const {sheet, component} = setupTest();
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  adapter.setTranslateX(100);
+  adapter.setTranslateX(null);
+  assert.equal(sheet.style.getPropertyValue(getTransformPropertyName()), '');
+});
+
+test('adapter#getDrawerWidth returns the width of the sheet element', () => {
+  const {sheet, component} = setupTest();
+  assert.equal(component.getDefaultFoundation().adapter_.getDrawerWidth(), sheet.offsetWidth);
+});
+
+test('adapter#isRtl returns true for RTL documents', () => {
+  const root = getFixture();
+  root.setAttribute('dir', 'rtl');
+  document.body.appendChild(root);
+  const component = new MDCSideSheet(root);
+  assert.isOk(component.getDefaultFoundation().adapter_.isRtl());
+  document.body.removeChild(root);
+});
+
+test('adapter#isRtl returns false for implicit LTR documents', () => {
+  const root = getFixture();
+  document.body.appendChild(root);
+  const component = new MDCSideSheet(root);
+  assert.isNotOk(component.getDefaultFoundation().adapter_.isRtl());
+  document.body.removeChild(root);
+});
+
+test('adapter#getFocusableElements returns the focusable elements within the sheet', () => {
+  const {root, component} = setupTest();
+  const elements = component.getDefaultFoundation().adapter_.getFocusableElements();
+  assert.equal(elements.length, 1);
+  assert.equal(elements[0], root.querySelector('button'));
+});
+
+test('adapter#makeElementUntabbable sets a negative tab index on the element', () => {
+  const {component} = setupTest();
+  const el = bel`<a href="#">Link</a>`;
+  component.getDefaultFoundation().adapter_.makeElementUntabbable(el);
+  assert.equal(el.getAttribute('tabindex'), '-1');
+});
+
+test('adapter#saveElementTabState and adapter#restoreElementTabState restore the tab index of the element', () => {
+  const {component} = setupTest();
+  const el = bel`<a href="#" tabindex="2">Link</a>`;
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  adapter.saveElementTabState(el);
+  adapter.makeElementUntabbable(el);
+  adapter.restoreElementTabState(el);
+  assert.equal(el.getAttribute('tabindex'), '2');
+});
@@ -0,0 +1,233 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import td from 'testdouble';
+
+import {captureHandlers, verifyDefaultAdapter} from '../helpers/foundation';
+import {createMockRaf} from '../helpers/raf';
+import MDCModalSideSheetFoundation from '../../../packages/mdc-side-sheet/modal/foundation';
+
+const {cssClasses} = MDCModalSideSheetFoundation;
+
+function setupTest() {
+  const mockAdapter = td.object(MDCModalSideSheetFoundation.defaultAdapter);
+  td.when(mockAdapter.hasClass(cssClasses.ROOT)).thenReturn(true);
+  td.when(mockAdapter.hasNecessaryDom()).thenReturn(true);
+  td.when(mockAdapter.getDrawerWidth()).thenReturn(200);
+  td.when(mockAdapter.getFocusableElements()).thenReturn([]);
+  const foundation = new MDCModalSideSheetFoundation(mockAdapter);
+  return {foundation, mockAdapter};
+}
+
+function captureKeydownHandler(mockAdapter) {
+  const handlers = {};
+  td.when(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    handlers.keydown = handler;
+  });
+  return handlers;
+}
+
+suite('MDCModalSideSheetFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCModalSideSheetFoundation);
+  assert.equal(MDCModalSideSheetFoundation.cssClasses.OPEN, 'mdc-side-sheet--open');
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCModalSideSheetFoundation);
+  assert.equal(MDCModalSideSheetFoundation.strings.OPEN_EVENT, 'MDCSideSheet:open');
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCModalSideSheetFoundation, [
+    'addClass', 'removeClass', 'hasClass', 'hasNecessaryDom', 'registerInteractionHandler',
+    'deregisterInteractionHandler', 'registerDrawerInteractionHandler', 'deregisterDrawerInteractionHandler',
+    'registerTransitionEndHandler', 'deregisterTransitionEndHandler', 'registerDocumentKeydownHandler',
+    'deregisterDocumentKeydownHandler', 'setTranslateX', 'getFocusableElements',
+    'saveElementTabState', 'restoreElementTabState', 'makeElementUntabbable',
+    'notifyOpen', 'notifyClose', 'isRtl', 'getDrawerWidth', 'isSheet', 'addBodyClass', 'removeBodyClass',
+    'registerScrimInteractionHandler', 'deregisterScrimInteractionHandler', 'updateCssVariable', 'trapFocus',
+    'untrapFocus',
+  ]);
+});
+
+test('#init registers a scrim click handler', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.registerScrimInteractionHandler('click', td.matchers.isA(Function)));
+});
+
+test('#init locks body scroll and listens for keydown when the sheet is open', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.hasClass(cssClasses.OPEN)).thenReturn(true);
+  foundation.init();
+  td.verify(mockAdapter.addBodyClass(cssClasses.SCROLL_LOCK));
+  td.verify(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function)));
+});
+
+test('#destroy deregisters the scrim click and keydown handlers and unlocks body scroll', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterScrimInteractionHandler('click', td.matchers.isA(Function)));
+  td.verify(mockAdapter.deregisterDocumentKeydownHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.removeBodyClass(cssClasses.SCROLL_LOCK));
+});
+
+test('#destroy releases the focus trap when the sheet is open', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  foundation.destroy();
+  td.verify(mockAdapter.untrapFocus());
+});
+
+test('#open locks body scroll, traps focus and listens for keydown', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  td.verify(mockAdapter.addBodyClass(cssClasses.SCROLL_LOCK));
+  td.verify(mockAdapter.trapFocus());
+  td.verify(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function)));
+  td.verify(mockAdapter.updateCssVariable(''));
+});
+
+test('#open traps focus only when the sheet was closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  foundation.open();
+  td.verify(mockAdapter.trapFocus(), {times: 1});
+});
+
+test('#close releases the focus trap and stops listening for keydown', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.open();
+  foundation.close();
+  td.verify(mockAdapter.untrapFocus());
+  td.verify(mockAdapter.deregisterDocumentKeydownHandler(td.matchers.isA(Function)));
+});
+
+test('#close does not release the focus trap when the sheet is closed', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.close();
+  td.verify(mockAdapter.untrapFocus(), {times: 0});
+});
+
+test('transitionend after closing unlocks body scroll', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let transitionEndHandler;
+  td.when(mockAdapter.registerTransitionEndHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    transitionEndHandler = handler;
+  });
+  td.when(mockAdapter.isSheet('sheet')).thenReturn(true);
+  foundation.open();
+  foundation.close();
+  transitionEndHandler({target: 'sheet'});
+  td.verify(mockAdapter.removeBodyClass(cssClasses.SCROLL_LOCK));
+});
+
+test('transitionend after opening keeps body scroll locked', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let transitionEndHandler;
+  td.when(mockAdapter.registerTransitionEndHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    transitionEndHandler = handler;
+  });
+  td.when(mockAdapter.isSheet('sheet')).thenReturn(true);
+  foundation.open();
+  transitionEndHandler({target: 'sheet'});
+  td.verify(mockAdapter.removeBodyClass(cssClasses.SCROLL_LOCK), {times: 0});
+});
+
+test('click on the scrim closes the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureHandlers(mockAdapter, 'registerScrimInteractionHandler');
+  foundation.init();
+  foundation.open();
+  handlers.click();
+  assert.isFalse(foundation.isOpen());
+});
+
+test('Escape keydown closes the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureKeydownHandler(mockAdapter);
+  foundation.open();
+  handlers.keydown({key: 'Escape'});
+  assert.isFalse(foundation.isOpen());
+});
+
+test('Escape keyCode closes the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureKeydownHandler(mockAdapter);
+  foundation.open();
+  handlers.keydown({keyCode: 27});
+  assert.isFalse(foundation.isOpen());
+});
+
+test('other keys do not close the sheet', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = captureKeydownHandler(mockAdapter);
+  foundation.open();
+  handlers.keydown({key: 'Enter'});
+  assert.isTrue(foundation.isOpen());
+});
+
+test('dragging the sheet fades the scrim out towards the closed position', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const sheetHandlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const rootHandlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  td.when(mockAdapter.hasClass(cssClasses.OPEN)).thenReturn(true);
+  foundation.init();
+  foundation.open();
+  sheetHandlers.touchstart({touches: [{pageX: 100}]});
+  rootHandlers.touchmove({touches: [{pageX: 150}]});
+  raf.flush();
+  td.verify(mockAdapter.updateCssVariable(0.75));
+  raf.restore();
+});
+
+test('dragging the sheet fades the scrim out towards the closed position in RTL', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.isRtl()).thenReturn(true);
+  const sheetHandlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const rootHandlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  td.when(mockAdapter.hasClass(cssClasses.OPEN)).thenReturn(true);
+  foundation.init();
+  foundation.open();
+  sheetHandlers.touchstart({touches: [{pageX: 150}]});
+  rootHandlers.touchmove({touches: [{pageX: 50}]});
+  raf.flush();
+  td.verify(mockAdapter.updateCssVariable(0.5));
+  raf.restore();
+});
+
+test('releasing the sheet clears the scrim opacity', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const sheetHandlers = captureHandlers(mockAdapter, 'registerDrawerInteractionHandler');
+  const rootHandlers = captureHandlers(mockAdapter, 'registerInteractionHandler');
+  const raf = createMockRaf();
+  td.when(mockAdapter.hasClass(cssClasses.OPEN)).thenReturn(true);
+  foundation.init();
+  foundation.open();
+  sheetHandlers.touchstart({touches: [{pageX: 100}]});
+  raf.flush();
+  rootHandlers.touchend({touches: []});
+  // Once when opening, once when the touch ends, and once when the sheet moves back to its open position.
+  td.verify(mockAdapter.updateCssVariable(''), {times: 3});
+  raf.restore();
+});
@@ -0,0 +1,273 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+import td from 'testdouble';
+
+import {setupFoundationTest} from '../helpers/setup';
+import {verifyDefaultAdapter} from '../helpers/foundation';
+import MDCSwitchFoundation from '../../../packages/mdc-switch/foundation';
+import {cssClasses, strings} from '../../../packages/mdc-switch/constants';
+
+const DESC_UNDEFINED = {
+  get: undefined,
+  set: undefined,
+  enumerable: false,
+  configurable: true,
+};
+
+function setupTest() {
+  const {foundation, mockAdapter} = setupFoundationTest(MDCSwitchFoundation);
+  const nativeControl = bel`<input type="checkbox">`;
+  td.when(mockAdapter.getNativeControl()).thenReturn(nativeControl);
+  return {foundation, mockAdapter, nativeControl};
+}
+
+// Shims Object.getOwnPropertyDescriptor for the switch's WebIDL attributes, to test environments where
+// WebIDL attributes cannot be overridden (e.g. Safari).
+function withMockSwitchDescriptorReturning(descriptor, runTests) {
+  const originalDesc = Object.getOwnPropertyDescriptor(Object, 'getOwnPropertyDescriptor');
+  const mockGetOwnPropertyDescriptor = td.func('.getOwnPropertyDescriptor');
+  const oneOf = (...validArgs) => td.matchers.argThat((x) => validArgs.indexOf(x) >= 0);
+
+  td.when(mockGetOwnPropertyDescriptor(HTMLInputElement.prototype, oneOf('checked', 'disabled')))
+    .thenReturn(descriptor);
+
+  Object.defineProperty(Object, 'getOwnPropertyDescriptor', Object.assign({}, originalDesc, {
+    value: mockGetOwnPropertyDescriptor,
+  }));
+  runTests(mockGetOwnPropertyDescriptor);
+  Object.defineProperty(Object, 'getOwnPropertyDescriptor', originalDesc);
+}
+
+suite('MDCSwitchFoundation');
+
+test('exports strings', () => {
+  assert.deepEqual(MDCSwitchFoundation.strings, strings);
+});
+
+test('exports cssClasses', () => {
+  assert.deepEqual(MDCSwitchFoundation.cssClasses, cssClasses);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCSwitchFoundation, [
+    'addClass', 'removeClass', 'setNativeControlAttr', 'registerChangeHandler', 'deregisterChangeHandler',
+    'getNativeControl',
+  ]);
+});
+
+test('#init adds the upgraded class to the root element', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.addClass(cssClasses.UPGRADED));
+});
+
+test('#init sets aria-checked="false" if the switch is initially unchecked', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.setNativeControlAttr(strings.ARIA_CHECKED_ATTR, 'false'));
+  td.verify(mockAdapter.removeClass(cssClasses.CHECKED));
+});
+
+test('#init sets aria-checked="true" and the checked class if the switch is initially checked', () => {
+  const {foundation, mockAdapter, nativeControl} = setupTest();
+  nativeControl.checked = true;
+  foundation.init();
+  td.verify(mockAdapter.setNativeControlAttr(strings.ARIA_CHECKED_ATTR, 'true'));
+  td.verify(mockAdapter.addClass(cssClasses.CHECKED));
+});
+
+test('#init adds the disabled class if the switch is initially disabled', () => {
+  const {foundation, mockAdapter, nativeControl} = setupTest();
+  nativeControl.disabled = true;
+  foundation.init();
+  td.verify(mockAdapter.addClass(cssClasses.DISABLED));
+});
+
+test('#init calls adapter.registerChangeHandler() with a change handler function', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.registerChangeHandler(td.matchers.isA(Function)));
+});
+
+test('#init handles case where getNativeControl() does not return anything', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getNativeControl()).thenReturn(undefined);
+  assert.doesNotThrow(() => foundation.init());
+});
+
+test('#init handles case when WebIDL attrs cannot be overridden (Safari)', () => {
+  const {foundation, nativeControl} = setupTest();
+  withMockSwitchDescriptorReturning(DESC_UNDEFINED, () => {
+    assert.doesNotThrow(() => {
+      foundation.init();
+      nativeControl.checked = !nativeControl.checked;
+    });
+  });
+});
+
+test('#init handles case when property descriptors are not returned at all (Android Browser)', () => {
+  const {foundation} = setupTest();
+  withMockSwitchDescriptorReturning(undefined, () => {
+    assert.doesNotThrow(() => foundation.init());
+  });
+});
+
+test('#destroy calls adapter.deregisterChangeHandler() with a registerChangeHandler function', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let changeHandler;
+  td.when(mockAdapter.registerChangeHandler(td.matchers.isA(Function))).thenDo(function(handler) {
+    changeHandler = handler;
+  });
+  foundation.init();
+
+  foundation.destroy();
+  td.verify(mockAdapter.deregisterChangeHandler(changeHandler));
+});
+
+test('#destroy handles case where getNativeControl() does not return anything', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+
+  td.when(mockAdapter.getNativeControl()).thenReturn(undefined);
+  assert.doesNotThrow(() => foundation.destroy());
+});
+
+test('#destroy uninstalls the property change hooks', () => {
+  const {foundation, mockAdapter, nativeControl} = setupTest();
+  foundation.init();
+  foundation.destroy();
+
+  nativeControl.checked = true;
+  td.verify(mockAdapter.setNativeControlAttr(strings.ARIA_CHECKED_ATTR, 'true'), {times: 0});
+});
+
+test('#setChecked updates the value of nativeControl.checked', () => {
+  const {foundation, nativeControl} = setupTest();
+  foundation.setChecked(true);
+  assert.isOk(foundation.isChecked());
+  assert.isOk(nativeControl.checked);
+  foundation.setChecked(false);
+  assert.isNotOk(foundation.isChecked());
+  assert.isNotOk(nativeControl.checked);
+});
+
+test('#setChecked updates aria-checked and the checked class', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.setChecked(true);
+  td.verify(mockAdapter.setNativeControlAttr(strings.ARIA_CHECKED_ATTR, 'true'));
+  td.verify(mockAdapter.addClass(cssClasses.CHECKED));
+});
+
+test('#setChecked works when no native control is returned', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getNativeControl()).thenReturn(null);
+  assert.doesNotThrow(() => foundation.setChecked(true));
+});
+
+test('#isChecked returns false when no native control is returned', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getNativeControl()).thenReturn(null);
+  assert.isNotOk(foundation.isChecked());
+});
+
+test('#setDisabled updates the value of nativeControl.disabled', () => {
+  const {foundation, nativeControl} = setupTest();
+  foundation.setDisabled(true);
+  assert.isOk(foundation.isDisabled());
+  assert.isOk(nativeControl.disabled);
+  foundation.setDisabled(false);
+  assert.isNotOk(foundation.isDisabled());
+  assert.isNotOk(nativeControl.disabled);
+});
+
+test('#setDisabled adds mdc-switch--disabled class to the root element when set to true', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setDisabled(true);
+  td.verify(mockAdapter.addClass(cssClasses.DISABLED));
+});
+
+test('#setDisabled removes mdc-switch--disabled class from the root element when set to false', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.setDisabled(false);
+  td.verify(mockAdapter.removeClass(cssClasses.DISABLED));
+});
+
+test('#setDisabled works when no native control is returned', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getNativeControl()).thenReturn(null);
+  assert.doesNotThrow(() => foundation.setDisabled(true));
+});
+
+test('#getValue returns the value of nativeControl.value', () => {
+  const {foundation, nativeControl} = setupTest();
+  nativeControl.value = 'value';
+  assert.equal(foundation.getValue(), nativeControl.value);
+});
+
+test('#getValue returns null if no native control is returned', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getNativeControl()).thenReturn(null);
+  assert.isNull(foundation.getValue());
+});
+
+test('#setValue sets the value of nativeControl.value', () => {
+  const {foundation, nativeControl} = setupTest();
+  foundation.setValue('new value');
+  assert.equal(nativeControl.value, 'new value');
+});
+
+test('#setValue exits gracefully if no native control is returned', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getNativeControl()).thenReturn(null);
+  assert.doesNotThrow(() => foundation.setValue('new value'));
+});
+
+test('change handler updates aria-checked and the checked class', () => {
+  const {foundation, mockAdapter, nativeControl} = setupTest();
+  let changeHandler;
+  td.when(mockAdapter.registerChangeHandler(td.matchers.isA(Function))).thenDo(function(handler) {
+    changeHandler = handler;
+  });
+  foundation.init();
+
+  td.when(mockAdapter.getNativeControl()).thenReturn({checked: true, disabled: false, value: null});
+  changeHandler();
+  td.verify(mockAdapter.setNativeControlAttr(strings.ARIA_CHECKED_ATTR, 'true'));
+  td.verify(mockAdapter.addClass(cssClasses.CHECKED));
+  assert.isFalse(nativeControl.checked);
+});
+
+test('setting the checked property of the native control updates aria-checked and the checked class', () => {
+  const {foundation, mockAdapter, nativeControl} = setupTest();
+  foundation.init();
+  nativeControl.checked = true;
+  td.verify(mockAdapter.setNativeControlAttr(strings.ARIA_CHECKED_ATTR, 'true'));
+  td.verify(mockAdapter.addClass(cssClasses.CHECKED));
+});
+
+test('setting the disabled property of the native control updates the disabled class', () => {
+  const {foundation, mockAdapter, nativeControl} = setupTest();
+  foundation.init();
+  nativeControl.disabled = true;
+  td.verify(mockAdapter.addClass(cssClasses.DISABLED));
+  nativeControl.disabled = false;
+  td.verify(mockAdapter.removeClass(cssClasses.DISABLED), {times: 2});
+});
@@ -0,0 +1,181 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+import domEvents from 'dom-events';
+import td from 'testdouble';
+
+import {supportsCssVariables} from '../../../packages/mdc-ripple/util';
+import {createMockRaf} from '../helpers/raf';
+import {MDCSwitch} from '../../../packages/mdc-switch';
+import {MDCRipple} from '../../../packages/mdc-ripple';
+import {cssClasses, strings} from '../../../packages/mdc-switch/constants';
+import {getMatchesProperty} from '../../../packages/mdc-ripple/util';
+
+function getFixture() {
+  return bel`
+    <div class="mdc-switch">
+      <input type="checkbox" class="mdc-switch__native-control" role="switch">
+      <div class="mdc-switch__background">
+        <div class="mdc-switch__knob">
+          <div class="mdc-switch__ripple"></div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const nativeControl = root.querySelector(strings.NATIVE_CONTROL_SELECTOR);
+  const rippleSurface = root.querySelector(strings.RIPPLE_SELECTOR);
+  const component = new MDCSwitch(root);
+  return {root, nativeControl, rippleSurface, component};
+}
+
+suite('MDCSwitch');
+
+if (supportsCssVariables(window)) {
+  test('#constructor initializes the ripple element of the knob with a ripple', () => {
+    const raf = createMockRaf();
+    const {root, rippleSurface} = setupTest();
+    raf.flush();
+    assert.isOk(rippleSurface.classList.contains('mdc-ripple-upgraded'));
+    assert.isNotOk(root.classList.contains('mdc-ripple-upgraded'));
+    raf.restore();
+  });
+
+  test('#destroy removes the ripple', () => {
+    const raf = createMockRaf();
+    const {rippleSurface, component} = setupTest();
+    raf.flush();
+    component.destroy();
+    raf.flush();
+    assert.isNotOk(rippleSurface.classList.contains('mdc-ripple-upgraded'));
+    raf.restore();
+  });
+
+  test('activates ripple on keydown when the input element surface is active', () => {
+    const raf = createMockRaf();
+    const {nativeControl, rippleSurface} = setupTest();
+    raf.flush();
+
+    const fakeMatches = td.func('.matches');
+    td.when(fakeMatches(':active')).thenReturn(true);
+    nativeControl[getMatchesProperty(HTMLElement.prototype)] = fakeMatches;
+
+    domEvents.emit(nativeControl, 'keydown');
+    raf.flush();
+
+    assert.isTrue(rippleSurface.classList.contains('mdc-ripple-upgraded--foreground-activation'));
+    raf.restore();
+  });
+}
+
+test('attachTo initializes and returns a MDCSwitch instance', () => {
+  assert.isOk(MDCSwitch.attachTo(getFixture()) instanceof MDCSwitch);
+});
+
+test('#constructor adds the upgraded class and aria-checked', () => {
+  const {root, nativeControl} = setupTest();
+  assert.isOk(root.classList.contains(cssClasses.UPGRADED));
+  assert.equal(nativeControl.getAttribute(strings.ARIA_CHECKED_ATTR), 'false');
+});
+
+test('get/set checked updates the checked property on the native control element', () => {
+  const {root, nativeControl, component} = setupTest();
+  component.checked = true;
+  assert.isOk(nativeControl.checked);
+  assert.equal(component.checked, nativeControl.checked);
+  assert.equal(nativeControl.getAttribute(strings.ARIA_CHECKED_ATTR), 'true');
+  assert.isOk(root.classList.contains(cssClasses.CHECKED));
+});
+
+test('get/set disabled updates the disabled property on the native control element', () => {
+  const {root, nativeControl, component} = setupTest();
+  component.disabled = true;
+  assert.isOk(nativeControl.disabled);
+  assert.equal(component.disabled, nativeControl.disabled);
+  assert.isOk(root.classList.contains(cssClasses.DISABLED));
+});
+
+test('get/set value updates the value of the native control element', () => {
+  const {nativeControl, component} = setupTest();
+  component.value = 'new value';
+  assert.equal(nativeControl.value, 'new value');
+  assert.equal(component.value, nativeControl.value);
+});
+
+test('get ripple returns a MDCRipple instance', () => {
+  const {component} = setupTest();
+  assert.isOk(component.ripple instanceof MDCRipple);
+});
+
+test('change event on the native control updates aria-checked', () => {
+  const {nativeControl} = setupTest();
+  // Bypass the property change hooks to simulate user interaction.
+  Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'checked').set.call(nativeControl, true);
+  assert.equal(nativeControl.getAttribute(strings.ARIA_CHECKED_ATTR), 'false');
+  domEvents.emit(nativeControl, 'change');
+  assert.equal(nativeControl.getAttribute(strings.ARIA_CHECKED_ATTR), 'true');
+});
+
+test('adapter#addClass adds a class to the root element', () => {
+  const {root, component} = setupTest();
+  component.getDefaultFoundation().adapter_.addClass('foo');
+  assert.isOk(root.classList.contains('foo'));
+});
+
+test('adapter#removeClass removes a class from the root element', () => {
+  const {root, component} = setupTest();
+  root.classList.add('foo');
+  component.getDefaultFoundation().adapter_.removeClass('foo');
+  assert.isNotOk(root.classList.contains('foo'));
+});
+
+test('adapter#setNativeControlAttr sets an attribute on the input element', () => {
+  const {nativeControl, component} = setupTest();
+  component.getDefaultFoundation().adapter_.setNativeControlAttr('aria-checked', 'true');
+  assert.equal(nativeControl.getAttribute('aria-checked'), 'true');
+});
+
+test('adapter#registerChangeHandler adds a change event listener to the native control element', () => {
+  const {nativeControl, component} = setupTest();
+  const handler = td.func('changeHandler');
+
+  component.getDefaultFoundation().adapter_.registerChangeHandler(handler);
+  domEvents.emit(nativeControl, 'change');
+
+  td.verify(handler(td.matchers.anything()));
+});
+
+test('adapter#deregisterChangeHandler removes a change event listener from the native control element', () => {
+  const {nativeControl, component} = setupTest();
+  const handler = td.func('changeHandler');
+  nativeControl.addEventListener('change', handler);
+
+  component.getDefaultFoundation().adapter_.deregisterChangeHandler(handler);
+  domEvents.emit(nativeControl, 'change');
+
+  td.verify(handler(td.matchers.anything()), {times: 0});
+});
+
+test('adapter#getNativeControl returns the native control element', () => {
+  const {nativeControl, component} = setupTest();
+  assert.equal(component.getDefaultFoundation().adapter_.getNativeControl(), nativeControl);
+});
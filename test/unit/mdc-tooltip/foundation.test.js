@@ -0,0 +1,278 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import lolex from 'lolex';
+import td from 'testdouble';
+
+import {setupFoundationTest} from '../helpers/setup';
+import {verifyDefaultAdapter} from '../helpers/foundation';
+import MDCTooltipFoundation from '../../../packages/mdc-tooltip/foundation';
+
+const {cssClasses, strings, numbers} = MDCTooltipFoundation;
+
+suite('MDCTooltipFoundation');
+
+test('exports cssClasses', () => {
+  assert.isOk('cssClasses' in MDCTooltipFoundation);
+});
+
+test('exports strings', () => {
+  assert.isOk('strings' in MDCTooltipFoundation);
+});
+
+test('exports numbers', () => {
+  assert.isOk('numbers' in MDCTooltipFoundation);
+});
+
+test('defaultAdapter returns a complete adapter implementation', () => {
+  verifyDefaultAdapter(MDCTooltipFoundation, [
+    'addClass', 'removeClass', 'getAttribute', 'setAttribute', 'getAnchorAttribute', 'setAnchorAttribute',
+    'removeAnchorAttribute', 'registerAnchorInteractionHandler', 'deregisterAnchorInteractionHandler',
+    'registerDocumentKeydownHandler', 'deregisterDocumentKeydownHandler', 'getAnchorBoundingClientRect',
+    'getTooltipDimensions', 'getWindowDimensions', 'isRtl', 'setPosition',
+  ]);
+});
+
+
+/**
+ * Initializes the foundation and returns the handlers it registered on the anchor, keyed by event type.
+ */
+function initWithHandlers(foundation, mockAdapter) {
+  const handlers = {};
+  td.when(mockAdapter.registerAnchorInteractionHandler(td.matchers.isA(String), td.matchers.isA(Function)))
+    .thenDo((evtType, handler) => {
+      handlers[evtType] = handler;
+    });
+  foundation.init();
+  return handlers;
+}
+
+function setupTest(anchorRect = {top: 100, bottom: 140, left: 200, right: 300},
+  {width = 100, height = 24, viewportWidth = 1000, viewportHeight = 800} = {}) {
+  const {foundation, mockAdapter} = setupFoundationTest(MDCTooltipFoundation);
+  td.when(mockAdapter.getAnchorBoundingClientRect()).thenReturn(Object.assign({
+    width: anchorRect.right - anchorRect.left,
+    height: anchorRect.bottom - anchorRect.top,
+  }, anchorRect));
+  td.when(mockAdapter.getTooltipDimensions()).thenReturn({width, height});
+  td.when(mockAdapter.getWindowDimensions()).thenReturn({width: viewportWidth, height: viewportHeight});
+  return {foundation, mockAdapter};
+}
+
+test('#init appends the tooltip id to the aria-describedby attribute of the anchor', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getAttribute('id')).thenReturn('tooltip');
+  td.when(mockAdapter.getAnchorAttribute(strings.ARIA_DESCRIBEDBY)).thenReturn('helper');
+  foundation.init();
+  td.verify(mockAdapter.setAnchorAttribute(strings.ARIA_DESCRIBEDBY, 'helper tooltip'));
+});
+
+test('#init does not duplicate the tooltip id in the aria-describedby attribute of the anchor', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getAttribute('id')).thenReturn('tooltip');
+  td.when(mockAdapter.getAnchorAttribute(strings.ARIA_DESCRIBEDBY)).thenReturn('tooltip');
+  foundation.init();
+  td.verify(mockAdapter.setAnchorAttribute(strings.ARIA_DESCRIBEDBY, td.matchers.anything()), {times: 0});
+});
+
+test('#init hides the tooltip from assistive technology', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  td.verify(mockAdapter.setAttribute(strings.ARIA_HIDDEN, 'true'));
+});
+
+test('#init registers anchor interaction handlers', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  ['mouseenter', 'focus', 'mouseleave', 'blur'].forEach((evtType) => {
+    td.verify(mockAdapter.registerAnchorInteractionHandler(evtType, td.matchers.isA(Function)));
+  });
+});
+
+test('#destroy deregisters anchor interaction and document keydown handlers', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.init();
+  foundation.destroy();
+  ['mouseenter', 'focus', 'mouseleave', 'blur'].forEach((evtType) => {
+    td.verify(mockAdapter.deregisterAnchorInteractionHandler(evtType, td.matchers.isA(Function)));
+  });
+  td.verify(mockAdapter.deregisterDocumentKeydownHandler(td.matchers.isA(Function)));
+});
+
+test('#destroy removes the tooltip id from the aria-describedby attribute of the anchor', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getAttribute('id')).thenReturn('tooltip');
+  td.when(mockAdapter.getAnchorAttribute(strings.ARIA_DESCRIBEDBY)).thenReturn('helper tooltip');
+  foundation.destroy();
+  td.verify(mockAdapter.setAnchorAttribute(strings.ARIA_DESCRIBEDBY, 'helper'));
+});
+
+test('#destroy removes the aria-describedby attribute of the anchor if it only referenced the tooltip', () => {
+  const {foundation, mockAdapter} = setupTest();
+  td.when(mockAdapter.getAttribute('id')).thenReturn('tooltip');
+  td.when(mockAdapter.getAnchorAttribute(strings.ARIA_DESCRIBEDBY)).thenReturn('tooltip');
+  foundation.destroy();
+  td.verify(mockAdapter.removeAnchorAttribute(strings.ARIA_DESCRIBEDBY));
+});
+
+test('#destroy cancels a pending show', () => {
+  const clock = lolex.install();
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = initWithHandlers(foundation, mockAdapter);
+  handlers.mouseenter();
+  foundation.destroy();
+  clock.tick(numbers.SHOW_DELAY_MS);
+  td.verify(mockAdapter.addClass(cssClasses.SHOWN), {times: 0});
+  clock.uninstall();
+});
+
+test('#show adds the shown class, unhides the tooltip and listens for document keydown', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.show();
+  td.verify(mockAdapter.addClass(cssClasses.SHOWN));
+  td.verify(mockAdapter.setAttribute(strings.ARIA_HIDDEN, 'false'));
+  td.verify(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function)));
+  assert.isTrue(foundation.isShown());
+});
+
+test('#show does nothing if the tooltip is already shown', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.show();
+  foundation.show();
+  td.verify(mockAdapter.addClass(cssClasses.SHOWN), {times: 1});
+});
+
+test('#hide removes the shown class, hides the tooltip and stops listening for document keydown', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.show();
+  foundation.hide();
+  td.verify(mockAdapter.removeClass(cssClasses.SHOWN));
+  td.verify(mockAdapter.setAttribute(strings.ARIA_HIDDEN, 'true'));
+  td.verify(mockAdapter.deregisterDocumentKeydownHandler(td.matchers.isA(Function)));
+  assert.isFalse(foundation.isShown());
+});
+
+test('#hide does nothing if the tooltip is not shown', () => {
+  const {foundation, mockAdapter} = setupTest();
+  foundation.hide();
+  td.verify(mockAdapter.removeClass(cssClasses.SHOWN), {times: 0});
+});
+
+test('anchor mouseenter shows the tooltip after a delay', () => {
+  const clock = lolex.install();
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = initWithHandlers(foundation, mockAdapter);
+  handlers.mouseenter();
+  clock.tick(numbers.SHOW_DELAY_MS - 1);
+  td.verify(mockAdapter.addClass(cssClasses.SHOWN), {times: 0});
+  clock.tick(1);
+  td.verify(mockAdapter.addClass(cssClasses.SHOWN));
+  clock.uninstall();
+});
+
+test('anchor focus shows the tooltip after a delay', () => {
+  const clock = lolex.install();
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = initWithHandlers(foundation, mockAdapter);
+  handlers.focus();
+  clock.tick(numbers.SHOW_DELAY_MS);
+  td.verify(mockAdapter.addClass(cssClasses.SHOWN));
+  clock.uninstall();
+});
+
+test('anchor mouseleave before the delay elapses cancels showing the tooltip', () => {
+  const clock = lolex.install();
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = initWithHandlers(foundation, mockAdapter);
+  handlers.mouseenter();
+  handlers.mouseleave();
+  clock.tick(numbers.SHOW_DELAY_MS);
+  td.verify(mockAdapter.addClass(cssClasses.SHOWN), {times: 0});
+  clock.uninstall();
+});
+
+test('anchor blur hides the tooltip', () => {
+  const {foundation, mockAdapter} = setupTest();
+  const handlers = initWithHandlers(foundation, mockAdapter);
+  foundation.show();
+  handlers.blur();
+  td.verify(mockAdapter.removeClass(cssClasses.SHOWN));
+});
+
+test('Escape keydown on the document hides the tooltip', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let keydownHandler;
+  td.when(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    keydownHandler = handler;
+  });
+  foundation.show();
+  keydownHandler({key: 'Escape'});
+  assert.isFalse(foundation.isShown());
+});
+
+test('Escape keyCode on the document hides the tooltip', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let keydownHandler;
+  td.when(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    keydownHandler = handler;
+  });
+  foundation.show();
+  keydownHandler({keyCode: 27});
+  assert.isFalse(foundation.isShown());
+});
+
+test('other keys on the document do not hide the tooltip', () => {
+  const {foundation, mockAdapter} = setupTest();
+  let keydownHandler;
+  td.when(mockAdapter.registerDocumentKeydownHandler(td.matchers.isA(Function))).thenDo((handler) => {
+    keydownHandler = handler;
+  });
+  foundation.show();
+  keydownHandler({key: 'Enter'});
+  assert.isTrue(foundation.isShown());
+});
+
+test('#show positions the tooltip below the anchor, centered horizontally', () => {
+  const {foundation, mockAdapter} = setupTest({top: 100, bottom: 140, left: 200, right: 300});
+  foundation.show();
+  td.verify(mockAdapter.setPosition({top: `${140 + numbers.ANCHOR_GAP}px`, left: '200px'}));
+});
+
+test('#show centers a tooltip wider than the anchor on the anchor', () => {
+  const {foundation, mockAdapter} = setupTest({top: 100, bottom: 140, left: 200, right: 240});
+  foundation.show();
+  td.verify(mockAdapter.setPosition({top: `${140 + numbers.ANCHOR_GAP}px`, left: '170px'}));
+});
+
+test('#show positions the tooltip above the anchor when there is not enough room below', () => {
+  const {foundation, mockAdapter} = setupTest({top: 740, bottom: 780, left: 200, right: 300});
+  foundation.show();
+  td.verify(mockAdapter.setPosition({top: `${740 - numbers.ANCHOR_GAP - 24}px`, left: '200px'}));
+});
+
+test('#show aligns the tooltip to the left edge of the anchor if centering overflows the viewport', () => {
+  const {foundation, mockAdapter} = setupTest({top: 100, bottom: 140, left: 0, right: 40});
+  foundation.show();
+  td.verify(mockAdapter.setPosition({top: `${140 + numbers.ANCHOR_GAP}px`, left: '0px'}));
+});
+
+test('#show aligns the tooltip to the right edge of the anchor if centering overflows the viewport', () => {
+  const {foundation, mockAdapter} = setupTest({top: 100, bottom: 140, left: 960, right: 1000});
+  foundation.show();
+  td.verify(mockAdapter.setPosition({top: `${140 + numbers.ANCHOR_GAP}px`, left: '900px'}));
+});
@@ -0,0 +1,174 @@
+/**
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {assert} from 'chai';
+import bel from 'bel';
+import domEvents from 'dom-events';
+import td from 'testdouble';
+
+import {MDCTooltip, MDCTooltipFoundation} from '../../../packages/mdc-tooltip/index';
+
+const {cssClasses, strings} = MDCTooltipFoundation;
+
+function getFixture() {
+  return bel`
+    <div>
+      <button data-tooltip-id="tooltip" aria-describedby="helper">Save</button>
+      <div id="tooltip" class="mdc-tooltip" role="tooltip">Save the document</div>
+    </div>
+  `;
+}
+
+function setupTest() {
+  const fixture = getFixture();
+  document.body.appendChild(fixture);
+  const anchor = fixture.querySelector('button');
+  const root = fixture.querySelector('.mdc-tooltip');
+  const component = new MDCTooltip(root);
+  return {fixture, anchor, root, component};
+}
+
+function teardown(fixture, component) {
+  component.destroy();
+  document.body.removeChild(fixture);
+}
+
+suite('MDCTooltip');
+
+test('attachTo initializes and returns a MDCTooltip instance', () => {
+  const {fixture, root, component} = setupTest();
+  const tooltip = MDCTooltip.attachTo(root);
+  assert.isOk(tooltip instanceof MDCTooltip);
+  tooltip.destroy();
+  teardown(fixture, component);
+});
+
+test('finds the anchor by its data-tooltip-id attribute', () => {
+  const {fixture, anchor, component} = setupTest();
+  assert.equal(component.anchor, anchor);
+  teardown(fixture, component);
+});
+
+test('uses the anchor passed to the constructor', () => {
+  const {fixture, root, component} = setupTest();
+  const otherAnchor = bel`<button>Other</button>`;
+  const tooltip = new MDCTooltip(root, undefined, otherAnchor);
+  assert.equal(tooltip.anchor, otherAnchor);
+  tooltip.destroy();
+  teardown(fixture, component);
+});
+
+test('references the tooltip from the aria-describedby attribute of the anchor', () => {
+  const {fixture, anchor, component} = setupTest();
+  assert.equal(anchor.getAttribute(strings.ARIA_DESCRIBEDBY), 'helper tooltip');
+  teardown(fixture, component);
+});
+
+test('#destroy removes the tooltip from the aria-describedby attribute of the anchor', () => {
+  const {fixture, anchor, component} = setupTest();
+  component.destroy();
+  assert.equal(anchor.getAttribute(strings.ARIA_DESCRIBEDBY), 'helper');
+  document.body.removeChild(fixture);
+});
+
+test('#show shows the tooltip', () => {
+  const {fixture, root, component} = setupTest();
+  component.show();
+  assert.isTrue(root.classList.contains(cssClasses.SHOWN));
+  assert.equal(root.getAttribute(strings.ARIA_HIDDEN), 'false');
+  assert.isTrue(component.shown);
+  teardown(fixture, component);
+});
+
+test('#show sets the position of the tooltip', () => {
+  const {fixture, root, component} = setupTest();
+  component.show();
+  assert.match(root.style.top, /px$/);
+  assert.match(root.style.left, /px$/);
+  teardown(fixture, component);
+});
+
+test('#hide hides the tooltip', () => {
+  const {fixture, root, component} = setupTest();
+  component.show();
+  component.hide();
+  assert.isFalse(root.classList.contains(cssClasses.SHOWN));
+  assert.equal(root.getAttribute(strings.ARIA_HIDDEN), 'true');
+  assert.isFalse(component.shown);
+  teardown(fixture, component);
+});
+
+test('anchor blur hides the tooltip', () => {
+  const {fixture, anchor, component} = setupTest();
+  component.show();
+  domEvents.emit(anchor, 'blur');
+  assert.isFalse(component.shown);
+  teardown(fixture, component);
+});
+
+test('anchor mouseleave hides the tooltip', () => {
+  const {fixture, anchor, component} = setupTest();
+  component.show();
+  domEvents.emit(anchor, 'mouseleave');
+  assert.isFalse(component.shown);
+  teardown(fixture, component);
+});
+
+test('adapter#registerDocumentKeydownHandler adds a keydown handler to the document', () => {
+  const {fixture, component} = setupTest();
+  const handler = td.func('keydownHandler');
+  component.getDefaultFoundation().adapter_.registerDocumentKeydownHandler(handler);
+  domEvents.emit(document, 'keydown');
+  td.verify(handler(td.matchers.anything()));
+  document.removeEventListener('keydown', handler);
+  teardown(fixture, component);
+});
+
+test('adapter#deregisterDocumentKeydownHandler removes a keydown handler from the document', () => {
+  const {fixture, component} = setupTest();
+  const handler = td.func('keydownHandler');
+  document.addEventListener('keydown', handler);
+  component.getDefaultFoundation().adapter_.deregisterDocumentKeydownHandler(handler);
+  domEvents.emit(document, 'keydown');
+  td.verify(handler(td.matchers.anything()), {times: 0});
+  teardown(fixture, component);
+});
+
+test('adapter#getTooltipDimensions returns the size of the tooltip', () => {
+  const {fixture, root, component} = setupTest();
+  assert.deepEqual(component.getDefaultFoundation().adapter_.getTooltipDimensions(),
+    {width: root.offsetWidth, height: root.offsetHeight});
+  teardown(fixture, component);
+});
+
+test('adapter#isRtl returns true when the anchor is in an RTL context', () => {
+  const {fixture, component} = setupTest();
+  fixture.setAttribute('dir', 'rtl');
+  assert.isTrue(component.getDefaultFoundation().adapter_.isRtl());
+  teardown(fixture, component);
+});
+
+test('adapter methods do not throw when there is no anchor', () => {
+  const root = bel`<div class="mdc-tooltip" role="tooltip">Tooltip</div>`;
+  const component = new MDCTooltip(root);
+  const {adapter_: adapter} = component.getDefaultFoundation();
+  assert.isNull(component.anchor);
+  assert.isNull(adapter.getAnchorAttribute(strings.ARIA_DESCRIBEDBY));
+  assert.doesNotThrow(() => adapter.setAnchorAttribute(strings.ARIA_DESCRIBEDBY, 'tooltip'));
+  assert.doesNotThrow(() => adapter.removeAnchorAttribute(strings.ARIA_DESCRIBEDBY));
+  assert.doesNotThrow(() => component.destroy());
+});
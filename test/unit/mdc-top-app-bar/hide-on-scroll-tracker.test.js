@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import td from 'testdouble';
+import lolex from 'lolex';
+
+import MDCHideOnScrollTracker from '../../../packages/mdc-top-app-bar/hide-on-scroll-tracker';
+import {numbers} from '../../../packages/mdc-top-app-bar/constants';
+
+suite('MDCHideOnScrollTracker');
+
+const setupTest = (initialScrollY = 0) => {
+  let scrollY = initialScrollY;
+  const scrollCallback = td.func('scrollCallback');
+  const resizeCallback = td.func('resizeCallback');
+  const tracker = new MDCHideOnScrollTracker(() => scrollY, scrollCallback, resizeCallback);
+  const scrollTo = (y) => {
+    scrollY = y;
+    tracker.handleScroll();
+  };
+  return {tracker, scrollCallback, resizeCallback, scrollTo};
+};
+
+test('#handleScroll reports the distance scrolled since the previous scroll event', () => {
+  const {scrollCallback, scrollTo} = setupTest(10);
+  scrollTo(30);
+  td.verify(scrollCallback(20));
+  scrollTo(25);
+  td.verify(scrollCallback(-5));
+});
+
+test('#handleScroll treats negative scroll positions as 0', () => {
+  const {scrollCallback, scrollTo} = setupTest(-20);
+  scrollTo(-10);
+  td.verify(scrollCallback(0));
+  scrollTo(10);
+  td.verify(scrollCallback(10));
+});
+
+test('#handleScroll does not report scrolling while the window is resized', () => {
+  const clock = lolex.install();
+  const {tracker, scrollCallback, scrollTo} = setupTest();
+  tracker.handleResize();
+  scrollTo(50);
+  td.verify(scrollCallback(td.matchers.anything()), {times: 0});
+  clock.tick(numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
+  scrollTo(60);
+  td.verify(scrollCallback(10));
+  clock.uninstall();
+});
+
+test('#handleResize calls the resize callback once per throttle interval', () => {
+  const clock = lolex.install();
+  const {tracker, resizeCallback} = setupTest();
+  tracker.handleResize();
+  tracker.handleResize();
+  clock.tick(numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
+  td.verify(resizeCallback(), {times: 1});
+  tracker.handleResize();
+  clock.tick(numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
+  td.verify(resizeCallback(), {times: 2});
+  clock.uninstall();
+});
+
+test('#destroy cancels pending resize timers', () => {
+  const clock = lolex.install();
+  const {tracker, resizeCallback} = setupTest();
+  tracker.handleResize();
+  tracker.destroy();
+  clock.tick(numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
+  td.verify(resizeCallback(), {times: 0});
+  clock.uninstall();
+});
@@ -161,8 +161,8 @@ test('top app bar : topAppBarScrollHandler_ does not update currentAppBarOffsetT
   'isCurrentlyBeingResized_ is true', () => {
   const {foundation} = setupTest();
   foundation.init();
-  foundation.isCurrentlyBeingResized_ = true;
-  foundation.topAppBarScrollHandler_();
+  foundation.scrollTracker_.isCurrentlyBeingResized_ = true;
+  foundation.scrollHandler_();
   assert.isTrue(foundation.currentAppBarOffsetTop_ === 0);
 });
 
@@ -170,7 +170,7 @@ test('top app bar : topAppBarScrollHandler_ subtracts the currentAppBarOffsetTop
   const {foundation, mockAdapter} = setupTest();
   foundation.init();
   td.when(mockAdapter.getViewportScrollY()).thenReturn(1);
-  foundation.topAppBarScrollHandler_();
+  foundation.scrollHandler_();
   assert.isTrue(foundation.currentAppBarOffsetTop_ === -1);
 });
 
@@ -178,7 +178,7 @@ test('top app bar : topAppBarScrollHandler_ negative scroll results in currentAp
   const {foundation, mockAdapter} = setupTest();
   foundation.init();
   td.when(mockAdapter.getViewportScrollY()).thenReturn(-1);
-  foundation.topAppBarScrollHandler_();
+  foundation.scrollHandler_();
   assert.isTrue(foundation.currentAppBarOffsetTop_ === 0);
 });
 
@@ -187,7 +187,7 @@ test('top app bar : topAppBarScrollHandler_ scroll greater than top app bar heig
   const {foundation, mockAdapter} = setupTest();
   foundation.init();
   td.when(mockAdapter.getViewportScrollY()).thenReturn(100);
-  foundation.topAppBarScrollHandler_();
+  foundation.scrollHandler_();
   assert.isTrue(foundation.currentAppBarOffsetTop_ === -64);
 });
 
@@ -196,9 +196,9 @@ test('top app bar : topAppBarScrollHandler_ scrolling does not generate a ' +
   const {foundation, mockAdapter} = setupTest();
   foundation.init();
   td.when(mockAdapter.getViewportScrollY()).thenReturn(100);
-  foundation.topAppBarScrollHandler_();
+  foundation.scrollHandler_();
   td.when(mockAdapter.getViewportScrollY()).thenReturn(-100);
-  foundation.topAppBarScrollHandler_();
+  foundation.scrollHandler_();
   assert.isTrue(foundation.currentAppBarOffsetTop_ === 0);
 });
 
@@ -210,7 +210,7 @@ test('top app bar : resize events should set isCurrentlyBeingResized_ to true',
   foundation.init();
   resizeHandler();
 
-  assert.isTrue(foundation.isCurrentlyBeingResized_);
+  assert.isTrue(foundation.scrollTracker_.isCurrentlyBeingResized_);
 });
 
 test('top app bar : resize events throttle multiple calls of throttledResizeHandler_ ', () => {
@@ -221,10 +221,10 @@ test('top app bar : resize events throttle multiple calls of throttledResizeHand
 
   foundation.init();
   resizeHandler();
-  assert.isFalse(!foundation.resizeThrottleId_);
+  assert.isFalse(!foundation.scrollTracker_.resizeThrottleId_);
   resizeHandler();
   clock.tick(numbers.DEBOUNCE_THROTTLE_RESIZE_TIME_MS);
-  assert.isTrue(!foundation.resizeThrottleId_);
+  assert.isTrue(!foundation.scrollTracker_.resizeThrottleId_);
 });
 
 test('top app bar : resize events debounce changing isCurrentlyBeingResized_ to false ', () => {
@@ -236,11 +236,11 @@ test('top app bar : resize events debounce changing isCurrentlyBeingResized_ to
   foundation.init();
 
   resizeHandler();
-  const debounceId = foundation.resizeDebounceId_;
+  const debounceId = foundation.scrollTracker_.resizeDebounceId_;
   clock.tick(50);
   resizeHandler();
-  assert.isFalse(debounceId === foundation.resizeDebounceId_);
-  assert.isTrue(foundation.isCurrentlyBeingResized_);
+  assert.isFalse(debounceId === foundation.scrollTracker_.resizeDebounceId_);
+  assert.isTrue(foundation.scrollTracker_.isCurrentlyBeingResized_);
   clock.tick(150);
-  assert.isFalse(foundation.isCurrentlyBeingResized_);
+  assert.isFalse(foundation.scrollTracker_.isCurrentlyBeingResized_);
 });